@@ -72,4 +72,264 @@ describe('Environment Configuration', () => {
       expect(config.openai.maxTokens).toBe(3000);
     });
   });
+
+  describe('AI provider selection', () => {
+    it('should default to openai when an API key is set', () => {
+      delete process.env.AI_PROVIDER;
+      process.env.OPENAI_API_KEY = 'sk-test123';
+
+      const config = require('../../config/env');
+
+      expect(config.ai.provider).toBe('openai');
+    });
+
+    it('should default to heuristic when no API key is set', () => {
+      delete process.env.AI_PROVIDER;
+      delete process.env.OPENAI_API_KEY;
+
+      const config = require('../../config/env');
+
+      expect(config.ai.provider).toBe('heuristic');
+    });
+
+    it('should read local model settings', () => {
+      process.env.AI_PROVIDER = 'LOCAL';
+      process.env.LOCAL_AI_BASE_URL = 'http://vllm:8000/v1';
+      process.env.LOCAL_AI_MODEL = 'mistral';
+
+      const config = require('../../config/env');
+
+      expect(config.ai.provider).toBe('local');
+      expect(config.localModel.baseUrl).toBe('http://vllm:8000/v1');
+      expect(config.localModel.model).toBe('mistral');
+    });
+  });
+
+  describe('AI cost settings', () => {
+    it('should merge AI_PRICING over the built-in price table', () => {
+      process.env.AI_PRICING = '{"llama3.1": {"input": 0, "output": 0}, "gpt-4o": {"input": 2, "output": 8}}';
+      process.env.AI_MONTHLY_BUDGET_USD = '250';
+
+      const config = require('../../config/env');
+
+      expect(config.aiUsage.pricing['gpt-4o-mini']).toEqual({ input: 0.15, output: 0.60 });
+      expect(config.aiUsage.pricing['gpt-4o']).toEqual({ input: 2, output: 8 });
+      expect(config.aiUsage.pricing['llama3.1']).toEqual({ input: 0, output: 0 });
+      expect(config.aiUsage.monthlyBudgetUsd).toBe(250);
+    });
+  });
+
+  describe('Prompt template settings', () => {
+    it('should default to the bundled v2 analysis template without a split', () => {
+      delete process.env.ANALYSIS_PROMPT_VERSION;
+      delete process.env.ANALYSIS_PROMPT_SPLIT;
+
+      const config = require('../../config/env');
+
+      expect(config.prompts.analysisVersion).toBe('v2');
+      expect(config.prompts.analysisSplit).toEqual({});
+    });
+
+    it('should refuse to start with a malformed split or a missing template', () => {
+      const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      process.env.ANALYSIS_PROMPT_SPLIT = 'v2:50,v9:50';
+
+      require('../../config/env');
+
+      expect(exit).toHaveBeenCalledWith(1);
+      expect(consoleError.mock.calls.flat().join('\n')).toContain('incident-analysis/v9 not found');
+
+      jest.resetModules();
+      exit.mockClear();
+      process.env.ANALYSIS_PROMPT_SPLIT = 'v2:fifty';
+
+      require('../../config/env');
+
+      expect(exit).toHaveBeenCalledWith(1);
+
+      exit.mockRestore();
+      consoleError.mockRestore();
+    });
+  });
+
+  describe('Redaction settings', () => {
+    it('should enable built-in redaction by default', () => {
+      delete process.env.REDACTION_ENABLED;
+      delete process.env.REDACTION_RULES;
+
+      const config = require('../../config/env');
+
+      expect(config.redaction.enabled).toBe(true);
+      expect(config.redaction.rules).toEqual([]);
+      expect(config.redaction.storeRedacted).toBe(false);
+    });
+
+    it('should read custom rules and disabled detectors', () => {
+      process.env.REDACTION_RULES = '[{"name":"customer_id","pattern":"CUST-\\\\d+"}]';
+      process.env.REDACTION_DISABLED_DETECTORS = 'ipv4, email';
+
+      const config = require('../../config/env');
+
+      expect(config.redaction.rules).toEqual([{ name: 'customer_id', pattern: 'CUST-\\d+' }]);
+      expect(config.redaction.disabledDetectors).toEqual(['ipv4', 'email']);
+    });
+
+    it('should refuse to start with invalid rules', () => {
+      const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      process.env.REDACTION_RULES = '[{"name":"broken","pattern":"("}]';
+
+      require('../../config/env');
+
+      expect(exit).toHaveBeenCalledWith(1);
+      expect(consoleError).toHaveBeenCalledWith(expect.stringContaining('REDACTION_RULES[0] (broken)'));
+
+      exit.mockRestore();
+      consoleError.mockRestore();
+    });
+  });
+
+  describe('Status page settings', () => {
+    it('should keep component names as written', () => {
+      process.env.STATUS_PAGE_COMPONENTS = 'API, Checkout ,,Dashboard';
+      process.env.STATUS_PAGE_URL = 'https://status.acme.test/';
+
+      const config = require('../../config/env');
+
+      expect(config.statusPage.components).toEqual(['API', 'Checkout', 'Dashboard']);
+      expect(config.statusPage.url).toBe('https://status.acme.test');
+      expect(config.statusPage.resolvedDays).toBe(7);
+    });
+  });
+
+  describe('Incident status workflow settings', () => {
+    it('should use the built-in workflow by default', () => {
+      delete process.env.INCIDENT_STATUS_TRANSITIONS;
+      delete process.env.INCIDENT_STATUS_REQUIRED_FIELDS;
+
+      const config = require('../../config/env');
+
+      expect(config.incidentStatus.transitions.closed).toEqual(['reopened']);
+      expect(config.incidentStatus.requiredFields).toEqual({ resolved: ['resolutionNote'], reopened: ['reason'] });
+    });
+
+    it('should refuse a workflow with unknown statuses', () => {
+      const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      process.env.INCIDENT_STATUS_TRANSITIONS = '{"open": ["done"]}';
+
+      require('../../config/env');
+
+      expect(exit).toHaveBeenCalledWith(1);
+      expect(consoleError).toHaveBeenCalledWith(expect.stringContaining('INCIDENT_STATUS_TRANSITIONS.open has an unknown status: done'));
+
+      exit.mockRestore();
+      consoleError.mockRestore();
+    });
+  });
+
+  describe('Incident archive settings', () => {
+    it('should keep archived incidents for 30 days by default', () => {
+      delete process.env.INCIDENT_ARCHIVE_RETENTION_DAYS;
+
+      const config = require('../../config/env');
+
+      expect(config.incidentArchive.retentionDays).toBe(30);
+    });
+
+    it('should refuse a retention period that is not a number', () => {
+      const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      process.env.INCIDENT_ARCHIVE_RETENTION_DAYS = 'forever';
+
+      require('../../config/env');
+
+      expect(exit).toHaveBeenCalledWith(1);
+      expect(consoleError).toHaveBeenCalledWith(expect.stringContaining('INCIDENT_ARCHIVE_RETENTION_DAYS must be 0 or a positive integer'));
+
+      exit.mockRestore();
+      consoleError.mockRestore();
+    });
+  });
+
+  describe('Authentication settings', () => {
+    it('should use secure cookies in production by default', () => {
+      process.env.NODE_ENV = 'production';
+      delete process.env.AUTH_COOKIE_SECURE;
+
+      const config = require('../../config/env');
+
+      expect(config.auth.cookieSecure).toBe(true);
+      expect(config.auth.cookieSameSite).toBe('lax');
+      expect(config.auth.sessionTtlHours).toBe(12);
+    });
+
+    it('should refuse SameSite=None without secure cookies and a half-set bootstrap account', () => {
+      const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      process.env.AUTH_COOKIE_SAMESITE = 'None';
+      process.env.AUTH_COOKIE_SECURE = 'false';
+      process.env.AUTH_BOOTSTRAP_EMAIL = 'admin@example.com';
+      delete process.env.AUTH_BOOTSTRAP_PASSWORD;
+
+      require('../../config/env');
+
+      expect(exit).toHaveBeenCalledWith(1);
+      expect(consoleError).toHaveBeenCalledWith(expect.stringContaining('AUTH_COOKIE_SAMESITE=none requires AUTH_COOKIE_SECURE=true'));
+      expect(consoleError).toHaveBeenCalledWith(expect.stringContaining('must be set together'));
+
+      exit.mockRestore();
+      consoleError.mockRestore();
+    });
+
+    it('should read the OIDC settings', () => {
+      process.env.OIDC_ISSUER = 'https://idp.example.com/';
+      process.env.OIDC_CLIENT_ID = 'incident-assistant';
+      process.env.OIDC_CLIENT_SECRET = 'secret';
+      process.env.OIDC_ROLE_MAPPING = '{"sre-leads": "incident_commander"}';
+
+      const config = require('../../config/env');
+
+      expect(config.auth.oidc).toMatchObject({
+        issuer: 'https://idp.example.com',
+        roleMapping: { 'sre-leads': 'incident_commander' },
+        defaultRole: 'viewer',
+      });
+      expect(config.auth.passwordLogin).toBe(true);
+    });
+
+    it('should refuse incomplete OIDC settings and unknown roles', () => {
+      const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      process.env.OIDC_ISSUER = 'https://idp.example.com';
+      delete process.env.OIDC_CLIENT_SECRET;
+      process.env.OIDC_ROLE_MAPPING = '{"sre": "owner"}';
+      process.env.OIDC_DEFAULT_ROLE = 'guest';
+
+      require('../../config/env');
+
+      expect(exit).toHaveBeenCalledWith(1);
+      expect(consoleError).toHaveBeenCalledWith(expect.stringContaining('OIDC_CLIENT_ID and OIDC_CLIENT_SECRET are required'));
+      expect(consoleError).toHaveBeenCalledWith(expect.stringContaining('maps sre to unknown role owner'));
+      expect(consoleError).toHaveBeenCalledWith(expect.stringContaining('OIDC_DEFAULT_ROLE must be one of'));
+
+      exit.mockRestore();
+      consoleError.mockRestore();
+    });
+
+    it('should refuse turning off password login without OIDC', () => {
+      const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      process.env.AUTH_PASSWORD_LOGIN = 'false';
+      delete process.env.OIDC_ISSUER;
+
+      require('../../config/env');
+
+      expect(consoleError).toHaveBeenCalledWith(expect.stringContaining('AUTH_PASSWORD_LOGIN=false requires OIDC_ISSUER'));
+
+      exit.mockRestore();
+      consoleError.mockRestore();
+    });
+  });
 });
@@ -0,0 +1,58 @@
+/**
+ * AI Usage Controller Unit Tests
+ * Tests date range handling for the usage report
+ */
+
+const request = require('supertest');
+const express = require('express');
+const aiUsageController = require('../../controllers/ai-usage.controller');
+const aiUsageService = require('../../services/ai-usage.service');
+const { errorHandler } = require('../../middlewares/errorHandler');
+
+jest.mock('../../services/ai-usage.service');
+
+const app = express();
+app.get('/api/analytics/ai-usage', aiUsageController.getUsageReport);
+app.use(errorHandler);
+
+describe('AI Usage Controller', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should return the report for the requested range', async () => {
+    aiUsageService.getUsageReport.mockResolvedValue({ totals: { calls: 2 } });
+
+    const response = await request(app).get('/api/analytics/ai-usage?from=2024-01-01&to=2024-01-31');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.totals.calls).toBe(2);
+    expect(aiUsageService.getUsageReport).toHaveBeenCalledWith({ from: '2024-01-01', to: '2024-01-31' });
+  });
+
+  it('should default to the last 30 days', async () => {
+    aiUsageService.getUsageReport.mockResolvedValue({});
+
+    await request(app).get('/api/analytics/ai-usage');
+
+    const { from, to } = aiUsageService.getUsageReport.mock.calls[0][0];
+    expect((new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000)).toBe(29);
+  });
+
+  it('should reject invalid or reversed dates', async () => {
+    const invalid = await request(app).get('/api/analytics/ai-usage?from=2024-02-30');
+    const reversed = await request(app).get('/api/analytics/ai-usage?from=2024-02-01&to=2024-01-01');
+
+    expect(invalid.status).toBe(400);
+    expect(reversed.status).toBe(400);
+    expect(aiUsageService.getUsageReport).not.toHaveBeenCalled();
+  });
+
+  it('should pass service errors to the error handler', async () => {
+    aiUsageService.getUsageReport.mockRejectedValue(new Error('Database down'));
+
+    const response = await request(app).get('/api/analytics/ai-usage');
+
+    expect(response.status).toBe(500);
+  });
+});
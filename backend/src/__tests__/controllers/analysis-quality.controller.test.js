@@ -0,0 +1,58 @@
+/**
+ * Analysis Quality Controller Unit Tests
+ * Tests the prompt version comparison and AI-quality endpoints
+ */
+
+const request = require('supertest');
+const express = require('express');
+const analysisQualityController = require('../../controllers/analysis-quality.controller');
+const feedbackService = require('../../services/analysis-feedback.service');
+
+jest.mock('../../services/analysis-feedback.service');
+
+const app = express();
+app.get('/api/analytics/prompt-versions', analysisQualityController.getPromptVersionReport);
+app.get('/api/analytics/ai-quality', analysisQualityController.getQualityReport);
+
+describe('Analysis Quality Controller', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/analytics/prompt-versions', () => {
+    it('should return the report for the requested range', async () => {
+      feedbackService.getPromptVersionReport.mockResolvedValue({ versions: [] });
+
+      const response = await request(app).get('/api/analytics/prompt-versions?from=2024-05-01&to=2024-05-31');
+
+      expect(response.status).toBe(200);
+      expect(feedbackService.getPromptVersionReport)
+        .toHaveBeenCalledWith({ from: '2024-05-01', to: '2024-05-31' });
+    });
+
+    it('should return 400 for an invalid range', async () => {
+      const response = await request(app).get('/api/analytics/prompt-versions?from=2024-06-01&to=2024-05-01');
+
+      expect(response.status).toBe(400);
+      expect(feedbackService.getPromptVersionReport).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/analytics/ai-quality', () => {
+    it('should default to the last 30 days', async () => {
+      feedbackService.getQualityReport.mockResolvedValue({ flagged: [] });
+
+      const response = await request(app).get('/api/analytics/ai-quality');
+
+      expect(response.status).toBe(200);
+      const { from, to } = feedbackService.getQualityReport.mock.calls[0][0];
+      expect((new Date(to) - new Date(from)) / 86400000).toBe(29);
+    });
+
+    it('should return 400 for a malformed date', async () => {
+      const response = await request(app).get('/api/analytics/ai-quality?from=yesterday');
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Auth Controller Unit Tests
+ * Tests login cookies, single sign-on redirects, logout, the current user, password changes and API tokens
+ */
+
+const request = require('supertest');
+const express = require('express');
+const authRoutes = require('../../routes/auth.routes');
+const authService = require('../../services/auth.service');
+const usersService = require('../../services/users.service');
+const oidcService = require('../../services/oidc.service');
+const config = require('../../config/env');
+const { createHttpError } = require('../../utils/httpError');
+const { errorHandler } = require('../../middlewares/errorHandler');
+
+jest.mock('../../services/auth.service');
+jest.mock('../../services/users.service');
+jest.mock('../../services/oidc.service');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use(errorHandler);
+
+describe('Auth Controller', () => {
+  const user = { id: 1, email: 'jane@example.com', name: 'Jane', role: 'viewer' };
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    authService.resolveToken.mockImplementation(async (token) => {
+      if (token === 'session-token') {
+        return { user, method: 'session', credentialId: 5 };
+      }
+      return token === 'iat_abc' ? { user, method: 'token', credentialId: 9 } : null;
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('should set an httpOnly session cookie', async () => {
+      authService.login.mockResolvedValue({
+        user,
+        token: 'session-token',
+        expiresAt: new Date('2030-01-01T00:00:00.000Z'),
+      });
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'jane@example.com', password: 'secret password' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.user).toEqual(user);
+      expect(response.body.data).not.toHaveProperty('token');
+      const cookie = response.headers['set-cookie'][0];
+      expect(cookie).toMatch(/^incident_session=session-token;/);
+      expect(cookie).toContain('HttpOnly');
+      expect(cookie).toContain('SameSite=Lax');
+    });
+
+    it('should return 400 without credentials', async () => {
+      const response = await request(app).post('/api/auth/login').send({ email: 'jane@example.com' });
+
+      expect(response.status).toBe(400);
+      expect(authService.login).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 for wrong credentials', async () => {
+      authService.login.mockRejectedValue(createHttpError(401, 'Invalid email or password'));
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'jane@example.com', password: 'wrong' });
+
+      expect(response.status).toBe(401);
+      expect(response.headers['set-cookie']).toBeUndefined();
+    });
+  });
+
+  describe('single sign-on', () => {
+    const appUrl = config.auth.oidc.appUrl;
+
+    it('should describe the login methods without a session', async () => {
+      oidcService.getLoginOptions.mockReturnValue({ passwordLogin: true, oidc: { name: 'SSO' } });
+
+      const response = await request(app).get('/api/auth/options');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.oidc).toEqual({ name: 'SSO' });
+    });
+
+    it('should redirect to the IdP and keep the pending login in a cookie', async () => {
+      oidcService.startLogin.mockResolvedValue({ url: 'https://idp.example.com/authorize?state=s', pendingLogin: 'pending' });
+
+      const response = await request(app).get('/api/auth/oidc/login?returnTo=%2Fincidents%2F5');
+
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('https://idp.example.com/authorize?state=s');
+      expect(oidcService.startLogin).toHaveBeenCalledWith('/incidents/5');
+      const cookie = response.headers['set-cookie'][0];
+      expect(cookie).toMatch(/^incident_oidc=pending;/);
+      expect(cookie).toContain('Path=/api/auth/oidc');
+      expect(cookie).toContain('HttpOnly');
+    });
+
+    it('should set the session cookie and go back to the app after the callback', async () => {
+      oidcService.completeLogin.mockResolvedValue({
+        user,
+        token: 'session-token',
+        expiresAt: new Date('2030-01-01T00:00:00.000Z'),
+        returnTo: '/incidents/5',
+      });
+
+      const response = await request(app)
+        .get('/api/auth/oidc/callback?code=abc&state=s')
+        .set('Cookie', 'incident_oidc=pending');
+
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe(`${appUrl}/incidents/5`);
+      expect(oidcService.completeLogin).toHaveBeenCalledWith(
+        { code: 'abc', state: 's', error: undefined, errorDescription: undefined },
+        'pending',
+        expect.objectContaining({ ip: expect.any(String) })
+      );
+      const cookies = response.headers['set-cookie'].join('\n');
+      expect(cookies).toMatch(/incident_oidc=;/);
+      expect(cookies).toMatch(/incident_session=session-token;/);
+    });
+
+    it('should send failed logins to the login page with the reason', async () => {
+      oidcService.completeLogin.mockRejectedValue(createHttpError(401, 'Invalid ID token: expired'));
+
+      const response = await request(app).get('/api/auth/oidc/callback?code=abc&state=s');
+
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe(`${appUrl}/login?error=Invalid%20ID%20token%3A%20expired`);
+      expect(response.headers['set-cookie'].join('\n')).not.toContain('incident_session=');
+    });
+
+    it('should hide unexpected errors', async () => {
+      oidcService.startLogin.mockRejectedValue(new Error('socket hang up'));
+
+      const response = await request(app).get('/api/auth/oidc/login');
+
+      expect(response.headers.location).toBe(`${appUrl}/login?error=Single%20sign-on%20failed`);
+    });
+  });
+
+  describe('authenticated routes', () => {
+    it('should return 401 without a credential', async () => {
+      const response = await request(app).get('/api/auth/me');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should return the current user from the session cookie', async () => {
+      const response = await request(app).get('/api/auth/me').set('Cookie', 'incident_session=session-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ ...user, authMethod: 'session' });
+      expect(response.body.data.permissions).toEqual(['incidents:read', 'analytics:read']);
+    });
+
+    it('should end the session and clear the cookie on logout', async () => {
+      authService.logout.mockResolvedValue('password');
+
+      const response = await request(app).post('/api/auth/logout').set('Cookie', 'incident_session=session-token');
+
+      expect(response.status).toBe(200);
+      expect(authService.logout).toHaveBeenCalledWith(5);
+      expect(response.body.data.logoutUrl).toBeNull();
+      expect(oidcService.getLogoutUrl).not.toHaveBeenCalled();
+      expect(response.headers['set-cookie'][0]).toMatch(/^incident_session=;/);
+    });
+
+    it('should return the IdP logout URL for single sign-on sessions', async () => {
+      authService.logout.mockResolvedValue('oidc');
+      oidcService.getLogoutUrl.mockResolvedValue('https://idp.example.com/logout?client_id=x');
+
+      const response = await request(app).post('/api/auth/logout').set('Cookie', 'incident_session=session-token');
+
+      expect(response.body.data.logoutUrl).toBe('https://idp.example.com/logout?client_id=x');
+    });
+
+    it('should change the password and log out other sessions', async () => {
+      const response = await request(app)
+        .put('/api/auth/password')
+        .set('Cookie', 'incident_session=session-token')
+        .send({ currentPassword: 'old password 123', newPassword: 'new password 456' });
+
+      expect(response.status).toBe(200);
+      expect(usersService.changePassword).toHaveBeenCalledWith(1, 'old password 123', 'new password 456');
+      expect(authService.logoutOtherSessions).toHaveBeenCalledWith(1, 5);
+    });
+
+    it('should create an API token for the caller', async () => {
+      authService.createApiToken.mockResolvedValue({ id: 3, name: 'CI', token: 'iat_new' });
+
+      const response = await request(app)
+        .post('/api/auth/tokens')
+        .set('Authorization', 'Bearer iat_abc')
+        .send({ name: 'CI', expiresInDays: 30 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.token).toBe('iat_new');
+      expect(authService.createApiToken).toHaveBeenCalledWith(1, { name: 'CI', expiresInDays: 30 });
+    });
+
+    it('should list and revoke the caller\'s API tokens', async () => {
+      authService.listApiTokens.mockResolvedValue([{ id: 3, name: 'CI' }]);
+      authService.revokeApiToken.mockResolvedValue({ id: 3, name: 'CI', revoked_at: '2024-05-01T10:00:00.000Z' });
+
+      const list = await request(app).get('/api/auth/tokens').set('Authorization', 'Bearer iat_abc');
+      const revoke = await request(app).delete('/api/auth/tokens/3').set('Authorization', 'Bearer iat_abc');
+
+      expect(list.body.count).toBe(1);
+      expect(revoke.status).toBe(200);
+      expect(authService.revokeApiToken).toHaveBeenCalledWith(1, '3');
+    });
+  });
+});
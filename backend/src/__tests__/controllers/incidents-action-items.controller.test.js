@@ -0,0 +1,100 @@
+/**
+ * Incidents Action Items Controller Unit Tests
+ * Tests HTTP handling for the remediation checklist
+ */
+
+const request = require('supertest');
+const express = require('express');
+const actionItemsRoutes = require('../../routes/incidents-action-items.routes');
+const actionItemsService = require('../../services/incidents-action-items.service');
+const { errorHandler } = require('../../middlewares/errorHandler');
+
+jest.mock('../../services/incidents-action-items.service');
+
+const app = express();
+app.use(express.json());
+// Stands in for the authenticate middleware
+app.use((req, res, next) => {
+  req.user = { id: 7, email: 'jane@example.com', name: 'Jane', role: 'incident_commander' };
+  next();
+});
+app.use('/api/incidents', actionItemsRoutes);
+app.use(errorHandler);
+
+describe('Incidents Action Items Controller', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/incidents/:id/action-items', () => {
+    it('should list action items', async () => {
+      actionItemsService.listActionItems.mockResolvedValue([{ id: 1 }, { id: 2 }]);
+
+      const response = await request(app).get('/api/incidents/1/action-items');
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(2);
+    });
+  });
+
+  describe('POST /api/incidents/:id/action-items', () => {
+    it('should add an item and return 201', async () => {
+      actionItemsService.createActionItem.mockResolvedValue({ id: 7, action: 'Rotate credentials' });
+
+      const response = await request(app)
+        .post('/api/incidents/1/action-items')
+        .send({ action: 'Rotate credentials', owner: 'DBA' });
+
+      expect(response.status).toBe(201);
+      expect(actionItemsService.createActionItem)
+        .toHaveBeenCalledWith('1', { action: 'Rotate credentials', owner: 'DBA' }, 'Jane');
+    });
+
+    it('should return 400 without action text', async () => {
+      const response = await request(app)
+        .post('/api/incidents/1/action-items')
+        .send({ owner: 'DBA' });
+
+      expect(response.status).toBe(400);
+      expect(actionItemsService.createActionItem).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PATCH /api/incidents/:id/action-items/:itemId', () => {
+    it('should update the item', async () => {
+      actionItemsService.updateActionItem.mockResolvedValue({ id: 3, status: 'done' });
+
+      const response = await request(app)
+        .patch('/api/incidents/1/action-items/3')
+        .send({ status: 'done' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('done');
+      expect(actionItemsService.updateActionItem).toHaveBeenCalledWith('1', '3', { status: 'done' }, 'Jane');
+    });
+
+    it('should pass validation errors through the error handler', async () => {
+      const error = new Error('Invalid status. Must be one of: open, done');
+      error.statusCode = 400;
+      actionItemsService.updateActionItem.mockRejectedValue(error);
+
+      const response = await request(app)
+        .patch('/api/incidents/1/action-items/3')
+        .send({ status: 'skipped' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.message).toContain('Invalid status');
+    });
+  });
+
+  describe('DELETE /api/incidents/:id/action-items/:itemId', () => {
+    it('should delete the item', async () => {
+      actionItemsService.deleteActionItem.mockResolvedValue({ id: 3 });
+
+      const response = await request(app).delete('/api/incidents/1/action-items/3');
+
+      expect(response.status).toBe(200);
+      expect(actionItemsService.deleteActionItem).toHaveBeenCalledWith('1', '3', 'Jane');
+    });
+  });
+});
@@ -0,0 +1,264 @@
+/**
+ * Incidents Analysis Controller Unit Tests
+ * Tests HTTP handling for analysis re-runs, history and similar incidents
+ */
+
+const request = require('supertest');
+const express = require('express');
+const analysisRoutes = require('../../routes/incidents-analysis.routes');
+const analysisService = require('../../services/incidents-analysis.service');
+const incidentsService = require('../../services/incidents.service');
+const streamService = require('../../services/analysis-stream.service');
+const embeddingsService = require('../../services/embeddings.service');
+const feedbackService = require('../../services/analysis-feedback.service');
+const { errorHandler } = require('../../middlewares/errorHandler');
+
+jest.mock('../../services/incidents-analysis.service');
+jest.mock('../../services/incidents.service');
+jest.mock('../../services/embeddings.service');
+jest.mock('../../services/analysis-feedback.service');
+
+/**
+ * Collect a text/event-stream response body as a string
+ */
+function collectText(res, callback) {
+  let text = '';
+  res.on('data', (chunk) => { text += chunk; });
+  res.on('end', () => callback(null, text));
+}
+
+const app = express();
+app.use(express.json());
+// Stands in for the authenticate middleware
+app.use((req, res, next) => {
+  req.user = { id: 7, email: 'jane@example.com', name: 'Jane', role: 'incident_commander' };
+  next();
+});
+app.use('/api/incidents', analysisRoutes);
+app.use(errorHandler);
+
+describe('Incidents Analysis Controller', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('POST /api/incidents/:id/analysis', () => {
+    it('should queue a re-run and return 202', async () => {
+      analysisService.requestReanalysis.mockResolvedValue({ job: { id: 9 }, alreadyQueued: false });
+
+      const response = await request(app).post('/api/incidents/1/analysis');
+
+      expect(response.status).toBe(202);
+      expect(response.body.data.id).toBe(9);
+      expect(analysisService.requestReanalysis).toHaveBeenCalledWith('1', 'Jane');
+    });
+
+    it('should say when an analysis is already running', async () => {
+      analysisService.requestReanalysis.mockResolvedValue({ job: { id: 5 }, alreadyQueued: true });
+
+      const response = await request(app).post('/api/incidents/1/analysis');
+
+      expect(response.status).toBe(202);
+      expect(response.body.message).toContain('already in progress');
+    });
+
+    it('should return 404 for unknown incidents', async () => {
+      const error = new Error('Incident with ID 999 not found');
+      error.statusCode = 404;
+      analysisService.requestReanalysis.mockRejectedValue(error);
+
+      const response = await request(app).post('/api/incidents/999/analysis');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/incidents/:id/analysis/stream', () => {
+    it('should return 404 for unknown incidents', async () => {
+      incidentsService.getIncidentById.mockResolvedValue(null);
+
+      const response = await request(app).get('/api/incidents/999/analysis/stream');
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should send the final state immediately when no analysis is running', async () => {
+      incidentsService.getIncidentById.mockResolvedValue({ id: 1, analysis_status: 'done' });
+
+      const response = await request(app)
+        .get('/api/incidents/1/analysis/stream')
+        .buffer(true)
+        .parse(collectText);
+
+      expect(response.headers['content-type']).toContain('text/event-stream');
+      expect(response.body).toBe('event: done\ndata: {"incident":{"id":1,"analysis_status":"done"}}\n\n');
+    });
+
+    it('should relay partial sections until the analysis is done', async () => {
+      incidentsService.getIncidentById.mockResolvedValue({ id: 1, analysis_status: 'running' });
+      streamService.publish(1, 'partial', { summary: 'Gate' });
+
+      // then() sends the request now instead of on the first await
+      const pending = request(app)
+        .get('/api/incidents/1/analysis/stream')
+        .buffer(true)
+        .parse(collectText)
+        .then(response => response);
+
+      // Publish once the client has subscribed
+      await new Promise(resolve => setTimeout(resolve, 50));
+      streamService.publish(1, 'partial', { summary: 'Gateway timing out' });
+      streamService.publish(1, 'done', { incident: { id: 1, analysis_status: 'done' } });
+
+      const response = await pending;
+      const events = response.body.match(/^event: \w+/gm);
+
+      expect(events).toEqual(['event: status', 'event: partial', 'event: partial', 'event: done']);
+      expect(response.body).toContain('"summary":"Gateway timing out"');
+    });
+  });
+
+  describe('GET /api/incidents/:id/analyses', () => {
+    it('should list analysis versions', async () => {
+      analysisService.listAnalyses.mockResolvedValue([{ version: 2 }, { version: 1 }]);
+
+      const response = await request(app).get('/api/incidents/1/analyses');
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(2);
+    });
+  });
+
+  describe('GET /api/incidents/:id/analyses/diff', () => {
+    it('should diff two versions', async () => {
+      analysisService.diffAnalyses.mockResolvedValue({ from: 1, to: 2 });
+
+      const response = await request(app).get('/api/incidents/1/analyses/diff?from=1&to=2');
+
+      expect(response.status).toBe(200);
+      expect(analysisService.diffAnalyses).toHaveBeenCalledWith('1', 1, 2);
+    });
+
+    it('should return 400 for missing versions', async () => {
+      const response = await request(app).get('/api/incidents/1/analyses/diff?from=1');
+
+      expect(response.status).toBe(400);
+      expect(analysisService.diffAnalyses).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/incidents/:id/analyses/:version', () => {
+    it('should return a single version', async () => {
+      analysisService.getAnalysis.mockResolvedValue({ version: 1, summary: 'Test' });
+
+      const response = await request(app).get('/api/incidents/1/analyses/1');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.summary).toBe('Test');
+    });
+
+    it('should return 400 for invalid versions', async () => {
+      const response = await request(app).get('/api/incidents/1/analyses/abc');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/incidents/:id/analyses/:version/activate', () => {
+    it('should activate a version', async () => {
+      analysisService.activateAnalysis.mockResolvedValue({ id: 1, active_analysis_id: 3 });
+
+      const response = await request(app).post('/api/incidents/1/analyses/1/activate');
+
+      expect(response.status).toBe(200);
+      expect(analysisService.activateAnalysis).toHaveBeenCalledWith('1', 1, 'Jane');
+    });
+
+    it('should pass service errors to the error handler', async () => {
+      analysisService.activateAnalysis.mockRejectedValue(new Error('Database error'));
+
+      const response = await request(app).post('/api/incidents/1/analyses/1/activate');
+
+      expect(response.status).toBe(500);
+    });
+  });
+
+  describe('POST /api/incidents/:id/analysis/feedback', () => {
+    it('should store feedback on the active analysis', async () => {
+      feedbackService.submitFeedback.mockResolvedValue({ id: 1, rating: -1, flagged: true });
+
+      const response = await request(app)
+        .post('/api/incidents/1/analysis/feedback')
+        .send({ rating: 'down', correctRootCause: -1, comment: 'Wrong service' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.message).toContain('flagged for a re-run');
+      expect(feedbackService.submitFeedback).toHaveBeenCalledWith(
+        '1',
+        { rating: 'down', correctRootCause: -1, comment: 'Wrong service' },
+        'Jane'
+      );
+    });
+
+    it('should pass validation errors to the error handler', async () => {
+      feedbackService.submitFeedback.mockRejectedValue(
+        Object.assign(new Error('Rating must be "up" or "down"'), { statusCode: 400 })
+      );
+
+      const response = await request(app).post('/api/incidents/1/analysis/feedback').send({});
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/incidents/:id/analyses/:version/rating', () => {
+    it('should record the rating', async () => {
+      feedbackService.rateAnalysis.mockResolvedValue({ id: 1, rating: 1 });
+
+      const response = await request(app)
+        .post('/api/incidents/1/analyses/2/rating')
+        .send({ rating: 'up' });
+
+      expect(response.status).toBe(201);
+      expect(feedbackService.rateAnalysis).toHaveBeenCalledWith('1', 2, 'up', 'Jane');
+    });
+
+    it('should return 400 for an invalid version', async () => {
+      const response = await request(app)
+        .post('/api/incidents/1/analyses/abc/rating')
+        .send({ rating: 'up' });
+
+      expect(response.status).toBe(400);
+      expect(feedbackService.rateAnalysis).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/incidents/:id/similar', () => {
+    it('should return similar incidents for the incident', async () => {
+      const incident = { id: 1, title: 'Gateway timeout' };
+      incidentsService.getIncidentById.mockResolvedValue(incident);
+      embeddingsService.findSimilarIncidents.mockResolvedValue([{ id: 4, score: 0.9 }]);
+
+      const response = await request(app).get('/api/incidents/1/similar?limit=3');
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(1);
+      expect(embeddingsService.findSimilarIncidents).toHaveBeenCalledWith(incident, { limit: 3 });
+    });
+
+    it('should return 404 for unknown incidents', async () => {
+      incidentsService.getIncidentById.mockResolvedValue(null);
+
+      const response = await request(app).get('/api/incidents/999/similar');
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should reject an invalid limit', async () => {
+      const response = await request(app).get('/api/incidents/1/similar?limit=500');
+
+      expect(response.status).toBe(400);
+      expect(embeddingsService.findSimilarIncidents).not.toHaveBeenCalled();
+    });
+  });
+});
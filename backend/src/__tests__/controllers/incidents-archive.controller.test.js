@@ -0,0 +1,88 @@
+/**
+ * Incidents Archive Controller Unit Tests
+ * Tests HTTP handling for restoring and purging archived incidents
+ */
+
+const request = require('supertest');
+const express = require('express');
+const archiveRoutes = require('../../routes/incidents-archive.routes');
+const archiveService = require('../../services/incidents-archive.service');
+const { createHttpError } = require('../../utils/httpError');
+const { errorHandler } = require('../../middlewares/errorHandler');
+
+jest.mock('../../services/incidents-archive.service');
+
+const app = express();
+app.use(express.json());
+// Stands in for the authenticate middleware
+let role;
+app.use((req, res, next) => {
+  req.user = { id: 7, email: 'jane@example.com', name: 'Jane', role };
+  next();
+});
+app.use('/api/incidents', archiveRoutes);
+app.use(errorHandler);
+
+describe('Incidents Archive Controller', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    role = 'admin';
+  });
+
+  describe('POST /api/incidents/:id/restore', () => {
+    it('should restore the incident as the current user', async () => {
+      archiveService.restoreIncident.mockResolvedValue({ id: 1, title: 'DB down' });
+
+      const response = await request(app).post('/api/incidents/1/restore');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.title).toBe('DB down');
+      expect(archiveService.restoreIncident).toHaveBeenCalledWith('1', 'Jane');
+    });
+
+    it('should return 404 when the incident is not archived', async () => {
+      archiveService.restoreIncident.mockRejectedValue(createHttpError(404, 'Archived incident with ID 1 not found'));
+
+      const response = await request(app).post('/api/incidents/1/restore');
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should be forbidden for responders', async () => {
+      role = 'responder';
+
+      const response = await request(app).post('/api/incidents/1/restore');
+
+      expect(response.status).toBe(403);
+      expect(archiveService.restoreIncident).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/incidents/:id/purge', () => {
+    it('should purge the incident', async () => {
+      archiveService.purgeIncident.mockResolvedValue();
+
+      const response = await request(app).delete('/api/incidents/1/purge');
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Incident 1 permanently deleted');
+      expect(archiveService.purgeIncident).toHaveBeenCalledWith('1', 'Jane');
+    });
+
+    it('should return 409 during the retention period', async () => {
+      archiveService.purgeIncident.mockRejectedValue(createHttpError(409, 'Incident 1 can only be purged 30 days after it was archived'));
+
+      const response = await request(app).delete('/api/incidents/1/purge');
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should be forbidden for incident commanders', async () => {
+      role = 'incident_commander';
+
+      const response = await request(app).delete('/api/incidents/1/purge');
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
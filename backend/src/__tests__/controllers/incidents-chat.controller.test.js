@@ -0,0 +1,85 @@
+/**
+ * Incidents Chat Controller Unit Tests
+ * Tests HTTP handling for the per-incident AI chat
+ */
+
+const request = require('supertest');
+const express = require('express');
+const chatRoutes = require('../../routes/incidents-chat.routes');
+const chatService = require('../../services/incidents-chat.service');
+const { errorHandler } = require('../../middlewares/errorHandler');
+const { createHttpError } = require('../../utils/httpError');
+
+jest.mock('../../services/incidents-chat.service');
+
+const app = express();
+app.use(express.json());
+// Stands in for the authenticate middleware
+app.use((req, res, next) => {
+  req.user = { id: 7, email: 'jane@example.com', name: 'Jane', role: 'incident_commander' };
+  next();
+});
+app.use('/api/incidents', chatRoutes);
+app.use(errorHandler);
+
+describe('Incidents Chat Controller', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/incidents/:id/chat', () => {
+    it('should return the thread', async () => {
+      chatService.listMessages.mockResolvedValue([{ id: 1, role: 'user' }, { id: 2, role: 'assistant' }]);
+
+      const response = await request(app).get('/api/incidents/1/chat');
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(2);
+    });
+
+    it('should return 404 for a missing incident', async () => {
+      chatService.listMessages.mockRejectedValue(createHttpError(404, 'Incident with ID 9 not found'));
+
+      const response = await request(app).get('/api/incidents/9/chat');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/incidents/:id/chat', () => {
+    it('should return the question and the answer with 201', async () => {
+      chatService.sendMessage.mockResolvedValue({
+        userMessage: { id: 3, role: 'user' },
+        assistantMessage: { id: 4, role: 'assistant', content: 'Deploy 142' },
+      });
+
+      const response = await request(app)
+        .post('/api/incidents/1/chat')
+        .send({ message: '  Which deploy went out?  ' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.assistantMessage.content).toBe('Deploy 142');
+      expect(chatService.sendMessage).toHaveBeenCalledWith('1', 'Which deploy went out?', 'Jane');
+    });
+
+    it('should return 400 for an empty or oversized message', async () => {
+      const empty = await request(app).post('/api/incidents/1/chat').send({ message: '   ' });
+      const long = await request(app).post('/api/incidents/1/chat').send({ message: 'x'.repeat(4001) });
+
+      expect(empty.status).toBe(400);
+      expect(long.status).toBe(400);
+      expect(chatService.sendMessage).not.toHaveBeenCalled();
+    });
+
+    it('should pass through a spent budget as 503', async () => {
+      chatService.sendMessage.mockRejectedValue(
+        createHttpError(503, 'Monthly AI budget exceeded: $50.10 spent of $50.00')
+      );
+
+      const response = await request(app).post('/api/incidents/1/chat').send({ message: 'Why?' });
+
+      expect(response.status).toBe(503);
+      expect(response.body.error.message).toContain('budget');
+    });
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Incidents Customer Messages Controller Unit Tests
+ * Tests HTTP handling for customer messages in several languages
+ */
+
+const request = require('supertest');
+const express = require('express');
+const customerMessagesRoutes = require('../../routes/incidents-customer-messages.routes');
+const customerMessagesService = require('../../services/incidents-customer-messages.service');
+const { createHttpError } = require('../../utils/httpError');
+const { errorHandler } = require('../../middlewares/errorHandler');
+
+jest.mock('../../services/incidents-customer-messages.service');
+
+const app = express();
+app.use(express.json());
+// Stands in for the authenticate middleware
+app.use((req, res, next) => {
+  req.user = { id: 7, email: 'jane@example.com', name: 'Jane', role: 'viewer' };
+  next();
+});
+app.use('/api/incidents', customerMessagesRoutes);
+app.use(errorHandler);
+
+describe('Incidents Customer Messages Controller', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/incidents/:id/customer-message', () => {
+    it('should return the message in the requested language', async () => {
+      const message = { locale: 'de', message: 'Wir untersuchen das Problem.', available: ['en', 'de'] };
+      customerMessagesService.getCustomerMessage.mockResolvedValue(message);
+
+      const response = await request(app).get('/api/incidents/1/customer-message?lang=de');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual(message);
+      expect(customerMessagesService.getCustomerMessage).toHaveBeenCalledWith('1', 'de');
+    });
+
+    it('should default to English without lang', async () => {
+      customerMessagesService.getCustomerMessage.mockResolvedValue({ locale: 'en' });
+
+      await request(app).get('/api/incidents/1/customer-message');
+
+      expect(customerMessagesService.getCustomerMessage).toHaveBeenCalledWith('1', undefined);
+    });
+
+    it('should return 404 for a language without translation', async () => {
+      customerMessagesService.getCustomerMessage.mockRejectedValue(
+        createHttpError(404, 'Customer message is not available in "fr". Available: en, de')
+      );
+
+      const response = await request(app).get('/api/incidents/1/customer-message?lang=fr');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error.message).toContain('Available: en, de');
+    });
+  });
+});
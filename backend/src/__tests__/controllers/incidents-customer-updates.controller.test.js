@@ -0,0 +1,142 @@
+/**
+ * Incidents Customer Updates Controller Unit Tests
+ * Tests HTTP handling for the customer update workflow
+ */
+
+const request = require('supertest');
+const express = require('express');
+const customerUpdatesRoutes = require('../../routes/incidents-customer-updates.routes');
+const customerUpdatesService = require('../../services/incidents-customer-updates.service');
+const publicStatusService = require('../../services/public-status.service');
+const { createHttpError } = require('../../utils/httpError');
+const { errorHandler } = require('../../middlewares/errorHandler');
+
+jest.mock('../../services/incidents-customer-updates.service');
+jest.mock('../../services/public-status.service');
+
+const app = express();
+app.use(express.json());
+// Stands in for the authenticate middleware
+app.use((req, res, next) => {
+  req.user = { id: 7, email: 'jane@example.com', name: 'Jane', role: 'incident_commander' };
+  next();
+});
+app.use('/api/incidents', customerUpdatesRoutes);
+app.use(errorHandler);
+
+describe('Incidents Customer Updates Controller', () => {
+  const update = { id: 5, incident_id: 1, status: 'draft', message: 'We are investigating.' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/incidents/:id/customer-updates', () => {
+    it('should list updates with a status filter', async () => {
+      customerUpdatesService.listUpdates.mockResolvedValue([update]);
+
+      const response = await request(app).get('/api/incidents/1/customer-updates?status=published');
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(1);
+      expect(customerUpdatesService.listUpdates).toHaveBeenCalledWith('1', { status: 'published' });
+    });
+  });
+
+  describe('POST /api/incidents/:id/customer-updates', () => {
+    it('should create a draft', async () => {
+      customerUpdatesService.createDraft.mockResolvedValue(update);
+
+      const response = await request(app)
+        .post('/api/incidents/1/customer-updates')
+        .send({ message: 'We are investigating.' });
+
+      expect(response.status).toBe(201);
+      expect(customerUpdatesService.createDraft).toHaveBeenCalledWith('1', 'We are investigating.', 'Jane');
+    });
+
+    it('should require a message', async () => {
+      const response = await request(app).post('/api/incidents/1/customer-updates').send({});
+
+      expect(response.status).toBe(400);
+      expect(customerUpdatesService.createDraft).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/incidents/:id/customer-updates/draft', () => {
+    it('should say when the draft came from a template', async () => {
+      customerUpdatesService.draftNextUpdate.mockResolvedValue({ ...update, source: 'ai', provider: 'heuristic' });
+
+      const response = await request(app).post('/api/incidents/1/customer-updates/draft');
+
+      expect(response.status).toBe(201);
+      expect(response.body.message).toContain('AI unavailable');
+      expect(customerUpdatesService.draftNextUpdate).toHaveBeenCalledWith('1', 'Jane');
+    });
+  });
+
+  describe('PATCH /api/incidents/:id/customer-updates/:updateId', () => {
+    it('should save the edit', async () => {
+      customerUpdatesService.editUpdate.mockResolvedValue(update);
+
+      const response = await request(app)
+        .patch('/api/incidents/1/customer-updates/5')
+        .send({ message: 'Fixed wording' });
+
+      expect(response.status).toBe(200);
+      expect(customerUpdatesService.editUpdate).toHaveBeenCalledWith('1', '5', 'Fixed wording', 'Jane');
+    });
+  });
+
+  describe('POST /api/incidents/:id/customer-updates/:updateId/approve', () => {
+    it('should approve the draft', async () => {
+      customerUpdatesService.approveUpdate.mockResolvedValue({ ...update, status: 'approved' });
+
+      const response = await request(app).post('/api/incidents/1/customer-updates/5/approve');
+
+      expect(response.status).toBe(200);
+      expect(customerUpdatesService.approveUpdate).toHaveBeenCalledWith('1', '5', 'Jane');
+    });
+  });
+
+  describe('POST /api/incidents/:id/customer-updates/:updateId/publish', () => {
+    it('should return 409 for an unapproved draft', async () => {
+      customerUpdatesService.publishUpdate.mockRejectedValue(
+        createHttpError(409, 'Customer update must be approved before it is published')
+      );
+
+      const response = await request(app).post('/api/incidents/1/customer-updates/5/publish');
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.message).toBe('Customer update must be approved before it is published');
+    });
+  });
+
+  describe('DELETE /api/incidents/:id/customer-updates/:updateId', () => {
+    it('should discard the draft', async () => {
+      customerUpdatesService.discardUpdate.mockResolvedValue(update);
+
+      const response = await request(app).delete('/api/incidents/1/customer-updates/5');
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Customer update discarded');
+    });
+  });
+
+  describe('PUT /api/incidents/:id/public-info', () => {
+    it('should update the status page details', async () => {
+      publicStatusService.updatePublicInfo.mockResolvedValue({ publicTitle: 'Slow checkout', affectedComponents: ['Checkout'] });
+
+      const response = await request(app)
+        .put('/api/incidents/1/public-info')
+        .send({ publicTitle: 'Slow checkout', affectedComponents: ['Checkout'] });
+
+      expect(response.status).toBe(200);
+      expect(publicStatusService.updatePublicInfo).toHaveBeenCalledWith(
+        '1',
+        { publicTitle: 'Slow checkout', affectedComponents: ['Checkout'] },
+        'Jane'
+      );
+    });
+  });
+});
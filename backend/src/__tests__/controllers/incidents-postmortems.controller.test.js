@@ -0,0 +1,100 @@
+/**
+ * Incidents Postmortems Controller Unit Tests
+ * Tests HTTP handling for postmortem drafts, edits and export
+ */
+
+const request = require('supertest');
+const express = require('express');
+const postmortemsRoutes = require('../../routes/incidents-postmortems.routes');
+const postmortemsService = require('../../services/incidents-postmortems.service');
+const { errorHandler } = require('../../middlewares/errorHandler');
+const { createHttpError } = require('../../utils/httpError');
+
+jest.mock('../../services/incidents-postmortems.service');
+
+const app = express();
+app.use(express.json());
+// Stands in for the authenticate middleware
+app.use((req, res, next) => {
+  req.user = { id: 7, email: 'jane@example.com', name: 'Jane', role: 'incident_commander' };
+  next();
+});
+app.use('/api/incidents', postmortemsRoutes);
+app.use(errorHandler);
+
+describe('Incidents Postmortems Controller', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('POST /api/incidents/:id/postmortem', () => {
+    it('should draft a postmortem and return 201', async () => {
+      postmortemsService.draftPostmortem.mockResolvedValue({ id: 1, revision: 1, provider: 'openai' });
+
+      const response = await request(app).post('/api/incidents/1/postmortem');
+
+      expect(response.status).toBe(201);
+      expect(response.body.message).toBe('Postmortem drafted');
+      expect(postmortemsService.draftPostmortem).toHaveBeenCalledWith('1', 'Jane');
+    });
+
+    it('should return 409 for an incident that is not resolved', async () => {
+      postmortemsService.draftPostmortem.mockRejectedValue(createHttpError(409, 'Postmortems can only be drafted...'));
+
+      const response = await request(app).post('/api/incidents/1/postmortem');
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('PUT /api/incidents/:id/postmortem', () => {
+    it('should save an edit as a new revision', async () => {
+      postmortemsService.savePostmortem.mockResolvedValue({ id: 2, revision: 2 });
+
+      const response = await request(app)
+        .put('/api/incidents/1/postmortem')
+        .send({ content: '# Edited' });
+
+      expect(response.status).toBe(201);
+      expect(postmortemsService.savePostmortem).toHaveBeenCalledWith('1', '# Edited', 'Jane');
+    });
+
+    it('should return 400 without content', async () => {
+      const response = await request(app).put('/api/incidents/1/postmortem').send({});
+
+      expect(response.status).toBe(400);
+      expect(postmortemsService.savePostmortem).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/incidents/:id/postmortem/revisions', () => {
+    it('should list revisions', async () => {
+      postmortemsService.listRevisions.mockResolvedValue([{ revision: 2 }, { revision: 1 }]);
+
+      const response = await request(app).get('/api/incidents/1/postmortem/revisions');
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(2);
+    });
+
+    it('should return 400 for an invalid revision number', async () => {
+      const response = await request(app).get('/api/incidents/1/postmortem/revisions/abc');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/incidents/:id/postmortem/export', () => {
+    it('should download the Markdown document', async () => {
+      postmortemsService.getPostmortem.mockResolvedValue({ incident_id: 1, revision: 3, content: '# Postmortem\n' });
+
+      const response = await request(app).get('/api/incidents/1/postmortem/export');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/markdown');
+      expect(response.headers['content-disposition']).toContain('incident-1-postmortem-r3.md');
+      expect(response.text).toBe('# Postmortem\n');
+      expect(postmortemsService.getPostmortem).toHaveBeenCalledWith('1', undefined);
+    });
+  });
+});
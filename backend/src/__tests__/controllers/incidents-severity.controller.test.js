@@ -0,0 +1,74 @@
+/**
+ * Incidents Severity Controller Unit Tests
+ * Tests HTTP handling for accepting and dismissing severity suggestions
+ */
+
+const request = require('supertest');
+const express = require('express');
+const severityRoutes = require('../../routes/incidents-severity.routes');
+const severityService = require('../../services/incidents-severity.service');
+const { createHttpError } = require('../../utils/httpError');
+const { errorHandler } = require('../../middlewares/errorHandler');
+
+jest.mock('../../services/incidents-severity.service');
+
+const app = express();
+app.use(express.json());
+// Stands in for the authenticate middleware
+let role;
+app.use((req, res, next) => {
+  req.user = { id: 7, email: 'jane@example.com', name: 'Jane', role };
+  next();
+});
+app.use('/api/incidents', severityRoutes);
+app.use(errorHandler);
+
+describe('Incidents Severity Controller', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    role = 'incident_commander';
+  });
+
+  describe('POST /api/incidents/:id/severity-suggestion/accept', () => {
+    it('should raise the severity', async () => {
+      severityService.acceptSuggestion.mockResolvedValue({ id: 1, severity: 'critical' });
+
+      const response = await request(app).post('/api/incidents/1/severity-suggestion/accept');
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Severity raised to critical');
+      expect(severityService.acceptSuggestion).toHaveBeenCalledWith('1', 'Jane');
+    });
+
+    it('should return 409 without a pending suggestion', async () => {
+      severityService.acceptSuggestion.mockRejectedValue(
+        createHttpError(409, 'This incident has no pending severity suggestion')
+      );
+
+      const response = await request(app).post('/api/incidents/1/severity-suggestion/accept');
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should return 403 for responders', async () => {
+      role = 'responder';
+
+      const response = await request(app).post('/api/incidents/1/severity-suggestion/accept');
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.message).toBe('Your role (responder) does not allow severity:decide');
+      expect(severityService.acceptSuggestion).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/incidents/:id/severity-suggestion/dismiss', () => {
+    it('should dismiss the suggestion', async () => {
+      severityService.dismissSuggestion.mockResolvedValue({ id: 1, severity: 'high' });
+
+      const response = await request(app).post('/api/incidents/1/severity-suggestion/dismiss');
+
+      expect(response.status).toBe(200);
+      expect(severityService.dismissSuggestion).toHaveBeenCalledWith('1', 'Jane');
+    });
+  });
+});
@@ -7,23 +7,34 @@ const request = require('supertest');
 const express = require('express');
 const incidentsController = require('../../controllers/incidents.controller');
 const incidentsService = require('../../services/incidents.service');
+const editService = require('../../services/incidents-edit.service');
+const archiveService = require('../../services/incidents-archive.service');
 const { errorHandler } = require('../../middlewares/errorHandler');
 
 // Mock service
 jest.mock('../../services/incidents.service');
+jest.mock('../../services/incidents-edit.service');
+jest.mock('../../services/incidents-archive.service');
 
 // Setup Express app for testing
+let role = 'responder';
 const app = express();
 app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { id: 7, email: 'jane@example.com', name: 'Jane', role };
+  next();
+});
 app.post('/api/incidents', incidentsController.create);
 app.get('/api/incidents', incidentsController.getAll);
 app.get('/api/incidents/:id', incidentsController.getById);
+app.patch('/api/incidents/:id', incidentsController.update);
 app.delete('/api/incidents/:id', incidentsController.deleteIncident);
 app.use(errorHandler);
 
 describe('Incidents Controller', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    role = 'responder';
   });
 
   describe('POST /api/incidents', () => {
@@ -118,10 +129,20 @@ describe('Incidents Controller', () => {
 
       expect(incidentsService.getAllIncidents).toHaveBeenCalledWith({
         limit: 20,
-        offset: 10
+        offset: 10,
+        archived: false
       });
     });
 
+    it('should list archived incidents with ?archived=true', async () => {
+      incidentsService.getAllIncidents.mockResolvedValue([]);
+
+      await request(app)
+        .get('/api/incidents?archived=true');
+
+      expect(incidentsService.getAllIncidents).toHaveBeenCalledWith({ limit: 100, offset: 0, archived: true });
+    });
+
     it('should return empty array when no incidents', async () => {
       incidentsService.getAllIncidents.mockResolvedValue([]);
 
@@ -164,6 +185,41 @@ describe('Incidents Controller', () => {
       expect(response.body.data.title).toBe('Test Incident');
     });
 
+    it('should list the statuses the incident may move to next', async () => {
+      incidentsService.getIncidentById.mockResolvedValue({ id: 1, title: 'Test Incident', status: 'closed' });
+
+      const response = await request(app)
+        .get('/api/incidents/1');
+
+      expect(response.body.data.allowed_statuses).toEqual([{ status: 'reopened', requiredFields: ['reason'] }]);
+    });
+
+    it('should send the incident version as the ETag', async () => {
+      incidentsService.getIncidentById.mockResolvedValue({ id: 1, title: 'Test Incident', version: 3 });
+
+      const response = await request(app)
+        .get('/api/incidents/1');
+
+      expect(response.headers.etag).toBe('"v3"');
+      expect(response.headers['cache-control']).toBe('no-store');
+    });
+
+    it('should include the AI severity suggestion when it ranks higher', async () => {
+      incidentsService.getIncidentById.mockResolvedValue({
+        id: 1,
+        severity: 'high',
+        ai_suggested_severity: 'critical',
+        ai_metadata: { severityJustification: 'Checkout is down for everyone' },
+      });
+
+      const response = await request(app).get('/api/incidents/1');
+
+      expect(response.body.data.severity_suggestion).toEqual({
+        severity: 'critical',
+        justification: 'Checkout is down for everyone',
+      });
+    });
+
     it('should return 404 when incident not found', async () => {
       incidentsService.getIncidentById.mockResolvedValue(null);
 
@@ -189,21 +245,136 @@ describe('Incidents Controller', () => {
     });
   });
 
+  describe('PATCH /api/incidents/:id', () => {
+    it('should edit the incident and list the changed fields', async () => {
+      const changes = [{ field: 'title', old_value: 'DB timeout', new_value: 'DB timeout in eu-west-1' }];
+      editService.updateIncident.mockResolvedValue({
+        incident: { id: 1, title: 'DB timeout in eu-west-1', severity: 'high' },
+        changes,
+        analysis: null,
+      });
+
+      const response = await request(app)
+        .patch('/api/incidents/1')
+        .send({ title: 'DB timeout in eu-west-1' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.title).toBe('DB timeout in eu-west-1');
+      expect(response.body.changes).toEqual(changes);
+      expect(response.body.message).toBe('Updated title');
+      expect(editService.updateIncident).toHaveBeenCalledWith(
+        '1', { title: 'DB timeout in eu-west-1' }, 'Jane', { reanalyze: false, expectedVersions: null }
+      );
+    });
+
+    it('should pass reanalyze to the service and report the queued analysis', async () => {
+      editService.updateIncident.mockResolvedValue({
+        incident: { id: 1, description: 'New text', analysis_status: 'pending' },
+        changes: [{ field: 'description', old_value: 'Old text', new_value: 'New text' }],
+        analysis: { job: { id: 4 }, alreadyQueued: false },
+      });
+
+      const response = await request(app)
+        .patch('/api/incidents/1')
+        .send({ description: 'New text', reanalyze: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Updated description, AI analysis queued');
+      expect(editService.updateIncident).toHaveBeenCalledWith(
+        '1', { description: 'New text' }, 'Jane', { reanalyze: true, expectedVersions: null }
+      );
+    });
+
+    it('should pass If-Match to the service and return the new ETag', async () => {
+      editService.updateIncident.mockResolvedValue({
+        incident: { id: 1, title: 'Renamed', version: 4 },
+        changes: [{ field: 'title', old_value: 'DB timeout', new_value: 'Renamed' }],
+        analysis: null,
+      });
+
+      const response = await request(app)
+        .patch('/api/incidents/1')
+        .set('If-Match', '"v3"')
+        .send({ title: 'Renamed' });
+
+      expect(response.status).toBe(200);
+      expect(response.headers.etag).toBe('"v4"');
+      expect(editService.updateIncident).toHaveBeenCalledWith(
+        '1', { title: 'Renamed' }, 'Jane', { reanalyze: false, expectedVersions: [3] }
+      );
+    });
+
+    it('should return 412 when the incident changed since the If-Match version', async () => {
+      const error = new Error('Incident 1 was changed by someone else (now at version 5). Reload it and try again.');
+      error.statusCode = 412;
+      editService.updateIncident.mockRejectedValue(error);
+
+      const response = await request(app)
+        .patch('/api/incidents/1')
+        .set('If-Match', '"v3"')
+        .send({ title: 'Renamed' });
+
+      expect(response.status).toBe(412);
+    });
+
+    it('should return 400 with the invalid fields', async () => {
+      const error = new Error('Invalid incident fields: title must not be empty');
+      error.statusCode = 400;
+      error.fields = { title: 'must not be empty' };
+      editService.updateIncident.mockRejectedValue(error);
+
+      const response = await request(app)
+        .patch('/api/incidents/1')
+        .send({ title: '' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.fields).toEqual({ title: 'must not be empty' });
+    });
+
+    it('should return 403 when a responder changes the severity', async () => {
+      const response = await request(app)
+        .patch('/api/incidents/1')
+        .send({ title: 'Renamed', severity: 'low' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.message).toBe('Your role (responder) does not allow severity:decide');
+      expect(editService.updateIncident).not.toHaveBeenCalled();
+    });
+
+    it('should let incident commanders change the severity', async () => {
+      role = 'incident_commander';
+      editService.updateIncident.mockResolvedValue({
+        incident: { id: 1, severity: 'critical' },
+        changes: [{ field: 'severity', old_value: 'high', new_value: 'critical' }],
+        analysis: null,
+      });
+
+      const response = await request(app)
+        .patch('/api/incidents/1')
+        .send({ severity: 'critical' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Updated severity');
+    });
+  });
+
   describe('DELETE /api/incidents/:id', () => {
-    it('should delete incident and return 200', async () => {
-      incidentsService.deleteIncident.mockResolvedValue(true);
+    it('should archive the incident as the current user and return 200', async () => {
+      archiveService.archiveIncident.mockResolvedValue({ id: 1, deleted_at: '2024-05-01T10:00:00.000Z', deleted_by: 'Jane' });
 
       const response = await request(app)
         .delete('/api/incidents/1');
 
       expect(response.status).toBe(200);
-      expect(response.body.message).toContain('deleted successfully');
+      expect(response.body.message).toBe('Incident 1 archived');
+      expect(response.body.data.deleted_by).toBe('Jane');
+      expect(archiveService.archiveIncident).toHaveBeenCalledWith('1', 'Jane');
     });
 
     it('should return 404 when incident not found', async () => {
       const error = new Error('Incident not found');
       error.statusCode = 404;
-      incidentsService.deleteIncident.mockRejectedValue(error);
+      archiveService.archiveIncident.mockRejectedValue(error);
 
       const response = await request(app)
         .delete('/api/incidents/999');
@@ -212,7 +383,7 @@ describe('Incidents Controller', () => {
     });
 
     it('should return 500 for server errors', async () => {
-      incidentsService.deleteIncident.mockRejectedValue(
+      archiveService.archiveIncident.mockRejectedValue(
         new Error('Database error')
       );
 
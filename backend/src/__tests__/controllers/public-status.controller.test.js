@@ -0,0 +1,71 @@
+/**
+ * Public Status Controller Unit Tests
+ * Tests the unauthenticated status page routes and feeds
+ */
+
+const request = require('supertest');
+const express = require('express');
+const publicStatusRoutes = require('../../routes/public-status.routes');
+const publicStatusService = require('../../services/public-status.service');
+const { createHttpError } = require('../../utils/httpError');
+const { errorHandler } = require('../../middlewares/errorHandler');
+
+jest.mock('../../services/public-status.service');
+
+const app = express();
+app.use('/api/public', publicStatusRoutes);
+app.use(errorHandler);
+
+describe('Public Status Controller', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/public/status', () => {
+    it('should return the status with a short cache lifetime', async () => {
+      publicStatusService.getStatus.mockResolvedValue({ status: { indicator: 'none' } });
+
+      const response = await request(app).get('/api/public/status');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status.indicator).toBe('none');
+      expect(response.headers['cache-control']).toBe('public, max-age=30');
+    });
+  });
+
+  describe('GET /api/public/incidents/:id', () => {
+    it('should return 404 for incidents that are not public', async () => {
+      publicStatusService.getIncident.mockRejectedValue(createHttpError(404, 'Incident not found'));
+
+      const response = await request(app).get('/api/public/incidents/3');
+
+      expect(response.status).toBe(404);
+      expect(publicStatusService.getIncident).toHaveBeenCalledWith('3');
+    });
+  });
+
+  describe('feeds', () => {
+    beforeEach(() => {
+      publicStatusService.listFeedItems.mockResolvedValue([]);
+    });
+
+    it('should serve RSS', async () => {
+      publicStatusService.renderRss.mockReturnValue('<rss version="2.0"></rss>');
+
+      const response = await request(app).get('/api/public/feed.rss');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('application/rss+xml; charset=utf-8');
+      expect(response.text).toBe('<rss version="2.0"></rss>');
+    });
+
+    it('should serve Atom', async () => {
+      publicStatusService.renderAtom.mockReturnValue('<feed></feed>');
+
+      const response = await request(app).get('/api/public/feed.atom');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('application/atom+xml; charset=utf-8');
+    });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Users Controller Unit Tests
+ * Tests HTTP handling for listing, creating and updating users, and that only admins get in
+ */
+
+const request = require('supertest');
+const express = require('express');
+const usersRoutes = require('../../routes/users.routes');
+const usersService = require('../../services/users.service');
+const { createHttpError } = require('../../utils/httpError');
+const { errorHandler } = require('../../middlewares/errorHandler');
+
+jest.mock('../../services/users.service');
+
+const app = express();
+app.use(express.json());
+// Stands in for the authenticate middleware
+let role;
+app.use((req, res, next) => {
+  req.user = { id: 1, email: 'admin@example.com', name: 'Admin', role };
+  next();
+});
+app.use('/api/users', usersRoutes);
+app.use(errorHandler);
+
+describe('Users Controller', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    role = 'admin';
+  });
+
+  it('should list users', async () => {
+    usersService.listUsers.mockResolvedValue([{ id: 1, role: 'admin' }, { id: 2, role: 'viewer' }]);
+
+    const response = await request(app).get('/api/users');
+
+    expect(response.status).toBe(200);
+    expect(response.body.count).toBe(2);
+  });
+
+  it('should create a user with a role', async () => {
+    usersService.createUser.mockResolvedValue({ id: 2, email: 'sam@example.com', role: 'responder' });
+
+    const response = await request(app)
+      .post('/api/users')
+      .send({ email: 'sam@example.com', name: 'Sam', password: 'long enough password', role: 'responder' });
+
+    expect(response.status).toBe(201);
+    expect(usersService.createUser).toHaveBeenCalledWith({
+      email: 'sam@example.com', name: 'Sam', password: 'long enough password', role: 'responder',
+    });
+  });
+
+  it('should update a user on behalf of the caller', async () => {
+    usersService.updateUser.mockResolvedValue({ id: 2, role: 'incident_commander', is_active: true });
+
+    const response = await request(app).patch('/api/users/2').send({ role: 'incident_commander' });
+
+    expect(response.status).toBe(200);
+    expect(usersService.updateUser).toHaveBeenCalledWith('2', { role: 'incident_commander', isActive: undefined }, 1);
+  });
+
+  it('should pass service errors on', async () => {
+    usersService.updateUser.mockRejectedValue(createHttpError(400, 'You cannot remove your own admin access'));
+
+    const response = await request(app).patch('/api/users/1').send({ role: 'viewer' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.message).toBe('You cannot remove your own admin access');
+  });
+
+  it('should return 403 for everyone but admins', async () => {
+    role = 'incident_commander';
+
+    const list = await request(app).get('/api/users');
+    const update = await request(app).patch('/api/users/2').send({ role: 'admin' });
+
+    expect(list.status).toBe(403);
+    expect(update.status).toBe(403);
+    expect(update.body.error.message).toBe('Your role (incident_commander) does not allow users:manage');
+    expect(usersService.updateUser).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Mock OIDC Issuer
+ *
+ * A minimal OpenID Connect identity provider on a random local port, for
+ * tests of the single sign-on flow. It serves discovery, JWKS, an
+ * authorization endpoint that logs in whoever was set with signInAs() without
+ * asking, and a token endpoint that checks the client secret, redirect URI
+ * and PKCE verifier before returning an RS256-signed ID token.
+ *
+ * Usage:
+ *   const idp = await startMockOidcIssuer({ clientId, clientSecret, redirectUri });
+ *   idp.signInAs({ sub: 'u1', email: 'jane@example.com', groups: ['oncall'] });
+ *   ...
+ *   await idp.close();
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+
+function base64urlJson(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function createSigningKey(kid) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return { kid, privateKey, jwk: { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' } };
+}
+
+/**
+ * Start the issuer
+ *
+ * @param {Object} client - The registered client
+ * @param {string} client.clientId
+ * @param {string} client.clientSecret
+ * @param {string} client.redirectUri
+ * @returns {Promise<Object>} - { issuer, signInAs, tamper, rotateKeys, requests, close }
+ */
+async function startMockOidcIssuer({ clientId, clientSecret, redirectUri }) {
+  let issuer = null;
+  let signingKey = createSigningKey('key-1');
+  let user = { sub: 'user-1', email: 'jane@example.com', name: 'Jane' };
+  let tampering = {};
+  const codes = new Map();
+  const requests = [];
+
+  function signIdToken(claims) {
+    const key = tampering.signWith || signingKey;
+    const header = base64urlJson({ alg: 'RS256', typ: 'JWT', kid: key.kid });
+    const payload = base64urlJson(claims);
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), key.privateKey).toString('base64url');
+    return `${header}.${payload}.${signature}`;
+  }
+
+  function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  function handleAuthorize(url, res) {
+    const params = url.searchParams;
+
+    if (params.get('client_id') !== clientId || params.get('redirect_uri') !== redirectUri) {
+      return sendJson(res, 400, { error: 'invalid_request' });
+    }
+
+    const callback = new URL(redirectUri);
+    callback.searchParams.set('state', params.get('state'));
+
+    if (!user) {
+      callback.searchParams.set('error', 'access_denied');
+      callback.searchParams.set('error_description', 'User cancelled the login');
+    } else {
+      const code = crypto.randomBytes(16).toString('hex');
+      codes.set(code, {
+        nonce: params.get('nonce'),
+        challenge: params.get('code_challenge'),
+        redirectUri: params.get('redirect_uri'),
+        user,
+      });
+      callback.searchParams.set('code', code);
+    }
+
+    res.writeHead(302, { Location: callback.toString() });
+    return res.end();
+  }
+
+  function handleToken(req, body, res) {
+    const params = new URLSearchParams(body);
+    const [id, secret] = Buffer.from(String(req.headers.authorization || '').replace(/^Basic /, ''), 'base64')
+      .toString('utf8')
+      .split(':')
+      .map(decodeURIComponent);
+
+    if (id !== clientId || secret !== clientSecret) {
+      return sendJson(res, 401, { error: 'invalid_client' });
+    }
+
+    const grant = codes.get(params.get('code'));
+    codes.delete(params.get('code'));
+
+    const challenge = crypto.createHash('sha256').update(params.get('code_verifier') || '').digest('base64url');
+
+    if (!grant || params.get('grant_type') !== 'authorization_code'
+      || params.get('redirect_uri') !== grant.redirectUri || challenge !== grant.challenge) {
+      return sendJson(res, 400, { error: 'invalid_grant', error_description: 'Code, redirect URI or verifier mismatch' });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const claims = {
+      iss: issuer,
+      aud: clientId,
+      iat: now,
+      exp: now + 300,
+      nonce: grant.nonce,
+      ...grant.user,
+      ...tampering.claims,
+    };
+
+    return sendJson(res, 200, {
+      access_token: crypto.randomBytes(16).toString('hex'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: signIdToken(claims),
+    });
+  }
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, issuer);
+    let body = '';
+
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push(`${req.method} ${url.pathname}`);
+
+      if (url.pathname === '/.well-known/openid-configuration') {
+        return sendJson(res, 200, {
+          issuer,
+          authorization_endpoint: `${issuer}/authorize`,
+          token_endpoint: `${issuer}/token`,
+          jwks_uri: `${issuer}/jwks`,
+          end_session_endpoint: `${issuer}/logout`,
+          response_types_supported: ['code'],
+          subject_types_supported: ['public'],
+          id_token_signing_alg_values_supported: ['RS256'],
+          code_challenge_methods_supported: ['S256'],
+        });
+      }
+
+      if (url.pathname === '/jwks') {
+        return sendJson(res, 200, { keys: [signingKey.jwk] });
+      }
+
+      if (url.pathname === '/authorize') {
+        return handleAuthorize(url, res);
+      }
+
+      if (url.pathname === '/token' && req.method === 'POST') {
+        return handleToken(req, body, res);
+      }
+
+      return sendJson(res, 404, { error: 'not_found' });
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer,
+    requests,
+
+    // Who logs in at the next authorization request; null makes the user cancel
+    signInAs(claims) {
+      user = claims;
+    },
+
+    // Break the next ID tokens: { claims: { aud: 'other' } } or { signWith: 'unknown-key' }
+    tamper({ claims = {}, signWith } = {}) {
+      tampering = { claims, signWith: signWith ? createSigningKey(signWith) : null };
+    },
+
+    // Start signing with a new key, as IdPs do periodically
+    rotateKeys() {
+      signingKey = createSigningKey(`key-${Date.now()}`);
+    },
+
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+}
+
+module.exports = { startMockOidcIssuer };
@@ -0,0 +1,117 @@
+/**
+ * Authentication Middleware Unit Tests
+ */
+
+const { authenticate, requirePermission, getActor, readCookie } = require('../../middlewares/auth');
+const authService = require('../../services/auth.service');
+
+jest.mock('../../services/auth.service');
+
+describe('Authentication Middleware', () => {
+  const auth = {
+    user: { id: 1, email: 'jane@example.com', name: 'Jane' },
+    method: 'token',
+    credentialId: 9,
+  };
+
+  function buildRequest(headers = {}) {
+    return {
+      headers,
+      get: (name) => headers[name.toLowerCase()],
+    };
+  }
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('should authenticate a bearer token', async () => {
+    authService.resolveToken.mockResolvedValue(auth);
+    const req = buildRequest({ authorization: 'Bearer iat_abc' });
+    const next = jest.fn();
+
+    await authenticate(req, {}, next);
+
+    expect(authService.resolveToken).toHaveBeenCalledWith('iat_abc');
+    expect(req.user).toEqual(auth.user);
+    expect(req.auth).toEqual({ method: 'token', credentialId: 9 });
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('should fall back to the session cookie', async () => {
+    authService.resolveToken.mockResolvedValue({ ...auth, method: 'session' });
+    const req = buildRequest({ cookie: 'theme=dark; incident_session=abc%3D; other=1' });
+    const next = jest.fn();
+
+    await authenticate(req, {}, next);
+
+    expect(authService.resolveToken).toHaveBeenCalledWith('abc=');
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('should fail with 401 without a valid credential', async () => {
+    authService.resolveToken.mockResolvedValue(null);
+    const req = buildRequest();
+    const next = jest.fn();
+
+    await authenticate(req, {}, next);
+
+    expect(req.user).toBeUndefined();
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 401 }));
+  });
+
+  it('should pass lookup errors on', async () => {
+    authService.resolveToken.mockRejectedValue(new Error('db down'));
+    const next = jest.fn();
+
+    await authenticate(buildRequest({ authorization: 'Bearer iat_abc' }), {}, next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ message: 'db down' }));
+  });
+
+  describe('readCookie', () => {
+    it('should return null for missing or malformed cookies', () => {
+      expect(readCookie(buildRequest(), 'incident_session')).toBeNull();
+      expect(readCookie(buildRequest({ cookie: 'incident_session=%E0%A4%A' }), 'incident_session')).toBeNull();
+    });
+  });
+
+  describe('requirePermission', () => {
+    it('should pass when the role has the permission', () => {
+      const next = jest.fn();
+
+      requirePermission('incidents:delete')({ user: { ...auth.user, role: 'admin' } }, {}, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should fail with 403 when it does not', () => {
+      const next = jest.fn();
+
+      requirePermission('incidents:delete')({ user: { ...auth.user, role: 'responder' } }, {}, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({
+        statusCode: 403,
+        permission: 'incidents:delete',
+      }));
+    });
+
+    it('should fail with 401 without a user', () => {
+      const next = jest.fn();
+
+      requirePermission('incidents:read')({}, {}, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 401 }));
+    });
+  });
+
+  describe('getActor', () => {
+    it('should return the authenticated user\'s name', () => {
+      expect(getActor({ user: auth.user })).toBe('Jane');
+    });
+
+    it('should throw 401 without a user', () => {
+      expect(() => getActor({})).toThrow(expect.objectContaining({ statusCode: 401 }));
+    });
+  });
+});
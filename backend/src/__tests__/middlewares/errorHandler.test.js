@@ -113,4 +113,25 @@ describe('Error Handler Middleware', () => {
       })
     );
   });
+
+  it('should include per-field validation problems', () => {
+    const error = new Error('Invalid incident fields: title must not be empty');
+    error.statusCode = 400;
+    error.fields = { title: 'must not be empty' };
+
+    errorHandler(error, req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error.fields).toEqual({ title: 'must not be empty' });
+  });
+
+  it('should include the allowed statuses of a rejected status change', () => {
+    const error = new Error('Cannot change status from closed to investigating. Allowed next statuses: reopened');
+    error.statusCode = 409;
+    error.allowedStatuses = ['reopened'];
+
+    errorHandler(error, req, res, next);
+
+    expect(res.json.mock.calls[0][0].error).toMatchObject({ statusCode: 409, allowedStatuses: ['reopened'] });
+  });
 });
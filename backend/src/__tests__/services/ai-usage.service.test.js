@@ -0,0 +1,131 @@
+/**
+ * AI Usage Service Unit Tests
+ * Tests cost calculation, the usage ledger and the monthly budget
+ */
+
+const aiUsageService = require('../../services/ai-usage.service');
+const config = require('../../config/env');
+const db = require('../../db');
+
+jest.mock('../../db');
+
+describe('AI Usage Service', () => {
+  const originalBudget = config.aiUsage.monthlyBudgetUsd;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  afterEach(() => {
+    config.aiUsage.monthlyBudgetUsd = originalBudget;
+  });
+
+  describe('calculateCost', () => {
+    it('should price prompt and completion tokens separately', () => {
+      // gpt-4o-mini: $0.15 input / $0.60 output per 1M tokens
+      expect(aiUsageService.calculateCost('gpt-4o-mini', { promptTokens: 1000, completionTokens: 500 }))
+        .toBeCloseTo(0.00045, 6);
+    });
+
+    it('should price dated model snapshots by the longest matching name', () => {
+      // Not gpt-4o ($2.50 / $10.00), even though that is also a prefix
+      expect(aiUsageService.calculateCost('gpt-4o-mini-2024-07-18', { promptTokens: 1000, completionTokens: 500 }))
+        .toBeCloseTo(0.00045, 6);
+      expect(aiUsageService.calculateCost('gpt-4o-2024-08-06', { promptTokens: 1000, completionTokens: 0 }))
+        .toBeCloseTo(0.0025, 6);
+    });
+
+    it('should return null for models without a price', () => {
+      expect(aiUsageService.calculateCost('gpt-4omni', { promptTokens: 1000, completionTokens: 500 }))
+        .toBeNull();
+      expect(aiUsageService.calculateCost('llama3.1', { promptTokens: 1000, completionTokens: 500 }))
+        .toBeNull();
+    });
+  });
+
+  describe('recordUsage', () => {
+    const usage = { promptTokens: 1000, completionTokens: 500, totalTokens: 1500 };
+
+    it('should store the call with its cost', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      const cost = await aiUsageService.recordUsage({
+        incidentId: 4, severity: 'high', provider: 'openai', model: 'gpt-4o-mini', usage,
+      });
+
+      expect(cost).toBeCloseTo(0.00045, 6);
+      expect(db.query.mock.calls[0][0]).toContain('INSERT INTO ai_usage');
+      expect(db.query.mock.calls[0][1]).toEqual([4, 'analysis', 'high', 'openai', 'gpt-4o-mini', 1000, 500, 1500, cost]);
+    });
+
+    it('should not throw when the ledger insert fails', async () => {
+      db.query.mockRejectedValue(new Error('relation "ai_usage" does not exist'));
+
+      await expect(aiUsageService.recordUsage({ provider: 'openai', model: 'gpt-4o', usage }))
+        .resolves.toBeCloseTo(0.0075, 6);
+    });
+  });
+
+  describe('checkBudget', () => {
+    it('should skip the query when no budget is configured', async () => {
+      config.aiUsage.monthlyBudgetUsd = 0;
+
+      const budget = await aiUsageService.checkBudget();
+
+      expect(budget.exceeded).toBe(false);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should report when this month\'s spend reaches the budget', async () => {
+      config.aiUsage.monthlyBudgetUsd = 50;
+      db.query.mockResolvedValue({ rows: [{ spent: 50.25 }] });
+
+      const budget = await aiUsageService.checkBudget();
+
+      expect(budget).toEqual({
+        budgetUsd: 50,
+        spentUsd: 50.25,
+        exceeded: true,
+        reason: 'Monthly AI budget exceeded: $50.25 spent of $50.00',
+      });
+    });
+
+    it('should allow calls while under budget', async () => {
+      config.aiUsage.monthlyBudgetUsd = 50;
+      db.query.mockResolvedValue({ rows: [{ spent: 12 }] });
+
+      const budget = await aiUsageService.checkBudget();
+
+      expect(budget.exceeded).toBe(false);
+      expect(budget.reason).toBeNull();
+    });
+  });
+
+  describe('getUsageReport', () => {
+    it('should group usage by day, model and severity', async () => {
+      config.aiUsage.monthlyBudgetUsd = 0;
+      const totals = { calls: 3, total_tokens: 4500, cost_usd: 0.0012 };
+      db.query
+        .mockResolvedValueOnce({ rows: [totals] })
+        .mockResolvedValueOnce({ rows: [{ day: '2024-01-01', calls: 3 }] })
+        .mockResolvedValueOnce({ rows: [{ provider: 'openai', model: 'gpt-4o-mini', calls: 3 }] })
+        .mockResolvedValueOnce({ rows: [{ severity: 'high', calls: 3 }] });
+
+      const report = await aiUsageService.getUsageReport({ from: '2024-01-01', to: '2024-01-31' });
+
+      expect(report.totals).toEqual(totals);
+      expect(report.byDay).toHaveLength(1);
+      expect(report.byModel[0].model).toBe('gpt-4o-mini');
+      expect(report.bySeverity[0].severity).toBe('high');
+      expect(report.budget.exceeded).toBe(false);
+      expect(db.query.mock.calls[0][1]).toEqual(['2024-01-01', '2024-01-31']);
+    });
+
+    it('should propagate database errors', async () => {
+      db.query.mockRejectedValue(new Error('connection refused'));
+
+      await expect(aiUsageService.getUsageReport({ from: '2024-01-01', to: '2024-01-31' }))
+        .rejects.toThrow('connection refused');
+    });
+  });
+});
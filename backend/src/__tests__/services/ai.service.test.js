@@ -1,13 +1,16 @@
 /**
  * AI Service Unit Tests
- * Tests OpenAI integration and incident analysis generation
+ * Tests provider integration and incident analysis generation
  */
 
 const aiService = require('../../services/ai.service');
+const config = require('../../config/env');
+const db = require('../../db');
 const OpenAI = require('openai');
 
 // Mock OpenAI
 jest.mock('openai');
+jest.mock('../../db');
 
 describe('AI Service', () => {
   let mockOpenAI;
@@ -82,7 +85,24 @@ describe('AI Service', () => {
       expect(result.metadata.tokensUsed).toBeGreaterThanOrEqual(0);
     });
 
-    it('should format root causes with likelihood and components', async () => {
+    it('should normalize the suggested severity and ignore values off the scale', async () => {
+      const respond = (suggestedSeverity) => mockCreate.mockResolvedValueOnce({
+        choices: [{ message: { content: JSON.stringify({
+          summary: 'Test', rootCauses: ['Test cause'], customerMessage: 'Investigating', suggestedSeverity
+        }) } }],
+        usage: { total_tokens: 100 },
+        model: 'gpt-4o-mini'
+      });
+
+      respond('Critical');
+      expect((await aiService.generateIncidentAnalysis(mockIncidentData)).suggestedSeverity).toBe('critical');
+
+      respond('sev1');
+      expect((await aiService.generateIncidentAnalysis(mockIncidentData)).suggestedSeverity)
+        .toBe(mockIncidentData.severity);
+    });
+
+    it('should keep root causes structured with likelihood and components', async () => {
       const mockAIResponse = {
         summary: 'Test summary',
         rootCauses: [
@@ -108,11 +128,15 @@ describe('AI Service', () => {
 
       expect(result.rootCauses).toBeDefined();
       expect(Array.isArray(result.rootCauses)).toBe(true);
-      expect(result.rootCauses.length).toBeGreaterThan(0);
-      expect(result.rootCauses[0]).toContain('[');
+      expect(result.rootCauses[0]).toEqual({
+        cause: 'Database connection pool exhausted',
+        likelihood: 'high',
+        reasoning: 'Pool at max capacity',
+        components: ['PostgreSQL', 'API'],
+      });
     });
 
-    it('should format action items with priority and owner', async () => {
+    it('should keep action items structured with priority, owner and command', async () => {
       const mockAIResponse = {
         summary: 'Test summary',
         rootCauses: ['Test cause'],
@@ -138,9 +162,53 @@ describe('AI Service', () => {
 
       expect(result.actionItems).toBeDefined();
       expect(Array.isArray(result.actionItems)).toBe(true);
-      expect(result.actionItems.length).toBeGreaterThan(0);
-      expect(result.actionItems[0]).toContain('[');
-      expect(result.actionItems[0]).toContain('@');
+      expect(result.actionItems[0]).toEqual({
+        priority: 'immediate',
+        action: 'Restart service',
+        owner: 'SRE',
+        command: 'kubectl rollout restart deployment/api',
+      });
+    });
+
+    it('should drop entries that fail schema validation', async () => {
+      const mockAIResponse = {
+        summary: 'Test summary',
+        rootCauses: [{ cause: 'Real cause', likelihood: 'certain' }, { likelihood: 'high' }],
+        customerMessage: 'Test message',
+        actionItems: [{ action: 'Check logs', priority: 'urgent' }, { owner: 'SRE' }],
+      };
+
+      mockCreate.mockResolvedValue({
+        choices: [{ message: { content: JSON.stringify(mockAIResponse) } }],
+        usage: { total_tokens: 1000 },
+        model: 'gpt-4o-mini'
+      });
+
+      const result = await aiService.generateIncidentAnalysis(mockIncidentData);
+
+      expect(result.rootCauses).toEqual([
+        { cause: 'Real cause', likelihood: 'medium', reasoning: null, components: [] },
+      ]);
+      expect(result.actionItems).toEqual([
+        { priority: 'medium', action: 'Check logs', owner: null, command: null },
+      ]);
+    });
+
+    it('should fall back when no root cause passes schema validation', async () => {
+      mockCreate.mockResolvedValue({
+        choices: [{ message: { content: JSON.stringify({
+          summary: 'Test summary',
+          rootCauses: [{ likelihood: 'high' }],
+          customerMessage: 'Test message',
+        }) } }],
+        usage: { total_tokens: 1000 },
+        model: 'gpt-4o-mini'
+      });
+
+      const result = await aiService.generateIncidentAnalysis(mockIncidentData);
+
+      expect(result.metadata.fallbackMode).toBe(true);
+      expect(result.metadata.fallbackReason).toBe('AI response contained no valid root causes');
     });
 
     it('should return fallback response when OpenAI fails', async () => {
@@ -149,9 +217,207 @@ describe('AI Service', () => {
       const result = await aiService.generateIncidentAnalysis(mockIncidentData);
 
       expect(result.summary).toContain('AI analysis unavailable');
-      expect(result.rootCauses[0]).toContain('[HIGH]');
+      expect(result.rootCauses[0].likelihood).toBe('high');
       expect(result.actionItems.length).toBeGreaterThan(0);
       expect(result.metadata.fallbackMode).toBe(true);
+      expect(result.metadata.fallbackReason).toBe('OpenAI API unavailable');
+      expect(result.metadata.provider).toBe('heuristic');
+    });
+
+    it('should stream the completion and report partial sections', async () => {
+      const answer = JSON.stringify({
+        summary: 'Gateway timing out',
+        rootCauses: [{ cause: 'Slow upstream', likelihood: 'high' }],
+        customerMessage: 'We are investigating',
+        actionItems: [],
+      });
+      const chunks = [answer.slice(0, 20), answer.slice(20, 60), answer.slice(60)];
+
+      mockCreate.mockResolvedValue((async function* () {
+        for (const chunk of chunks) {
+          yield { model: 'gpt-4o-mini', choices: [{ delta: { content: chunk } }] };
+        }
+        yield { choices: [], usage: { prompt_tokens: 100, completion_tokens: 50, total_tokens: 150 } };
+      })());
+
+      const onPartial = jest.fn();
+      const result = await aiService.generateIncidentAnalysis(mockIncidentData, { onPartial });
+
+      expect(mockCreate.mock.calls[0][0].stream).toBe(true);
+      expect(onPartial).toHaveBeenCalledWith({ summary: 'Gateway ' });
+      expect(onPartial).toHaveBeenLastCalledWith(expect.objectContaining({
+        summary: 'Gateway timing out',
+        rootCauses: [{ cause: 'Slow upstream', likelihood: 'high', reasoning: null, components: [] }],
+      }));
+      expect(result.summary).toBe('Gateway timing out');
+      expect(result.metadata.tokensUsed).toBe(150);
+    });
+
+    it('should include follow-up comments in the prompt', async () => {
+      mockCreate.mockResolvedValue({
+        choices: [{ message: { content: JSON.stringify({
+          summary: 'Test summary',
+          rootCauses: ['Test cause'],
+          customerMessage: 'Test message',
+        }) } }],
+        usage: { total_tokens: 1000 },
+        model: 'gpt-4o-mini'
+      });
+
+      await aiService.generateIncidentAnalysis({
+        ...mockIncidentData,
+        comments: [{ author_name: 'Jane', comment_text: 'Pods OOMKilled at 14:02', created_at: '2024-01-01T14:05:00Z' }]
+      });
+
+      const userPrompt = mockCreate.mock.calls[0][0].messages[1].content;
+      expect(userPrompt).toContain('FOLLOW-UP NOTES & NEW LOGS');
+      expect(userPrompt).toContain('Jane: Pods OOMKilled at 14:02');
+    });
+
+    it('should include similar past incidents in the prompt and metadata', async () => {
+      mockCreate.mockResolvedValue({
+        choices: [{ message: { content: JSON.stringify({
+          summary: 'Test summary',
+          rootCauses: ['Test cause'],
+          customerMessage: 'Test message',
+        }) } }],
+        usage: { total_tokens: 1000 },
+        model: 'gpt-4o-mini'
+      });
+
+      const result = await aiService.generateIncidentAnalysis({
+        ...mockIncidentData,
+        similarIncidents: [{
+          id: 42,
+          title: 'Gateway 502s during deploy',
+          severity: 'high',
+          status: 'resolved',
+          summary: 'Upstream pods restarting',
+          score: 0.87,
+          resolution: { rootCause: 'Readiness probe too lax', completedActions: ['Tighten readiness probe'] },
+        }],
+      });
+
+      const userPrompt = mockCreate.mock.calls[0][0].messages[1].content;
+      expect(userPrompt).toContain('SIMILAR PAST INCIDENTS');
+      expect(userPrompt).toContain('Incident #42 [high, resolved] Gateway 502s during deploy');
+      expect(userPrompt).toContain('Resolved by: Tighten readiness probe');
+      expect(result.metadata.similarIncidents).toEqual([{ id: 42, title: 'Gateway 502s during deploy', score: 0.87 }]);
+    });
+
+    it('should redact secrets before prompting and record what was redacted', async () => {
+      mockCreate.mockResolvedValue({
+        choices: [{ message: { content: JSON.stringify({
+          summary: 'Test summary',
+          rootCauses: ['Test cause'],
+          customerMessage: 'Test message',
+        }) } }],
+        usage: { total_tokens: 1000 },
+        model: 'gpt-4o-mini'
+      });
+
+      const result = await aiService.generateIncidentAnalysis({
+        ...mockIncidentData,
+        description: 'Upstream postgres://app:hunter2@db:5432 refused ops@example.com',
+      });
+
+      const userPrompt = mockCreate.mock.calls[0][0].messages[1].content;
+      expect(userPrompt).not.toContain('hunter2');
+      expect(userPrompt).not.toContain('ops@example.com');
+      expect(userPrompt).toContain('[REDACTED:url_password]');
+      expect(result.metadata.redactions.categories).toEqual(['email', 'url_password']);
+    });
+
+    it('should throw instead of falling back when fallback is disabled', async () => {
+      mockCreate.mockRejectedValue(new Error('OpenAI API unavailable'));
+
+      await expect(aiService.generateIncidentAnalysis(mockIncidentData, { allowFallback: false }))
+        .rejects
+        .toThrow('OpenAI API unavailable');
+    });
+
+    it('should record the provider and model in metadata', async () => {
+      mockCreate.mockResolvedValue({
+        choices: [{ message: { content: JSON.stringify({
+          summary: 'Test summary',
+          rootCauses: ['Test cause'],
+          customerMessage: 'Test message',
+        }) } }],
+        usage: { prompt_tokens: 900, completion_tokens: 100, total_tokens: 1000 },
+        model: 'gpt-4o-mini'
+      });
+
+      const result = await aiService.generateIncidentAnalysis(mockIncidentData);
+
+      expect(result.metadata.provider).toBe('openai');
+      expect(result.metadata.model).toBe('gpt-4o-mini');
+      expect(result.metadata.tokensUsed).toBe(1000);
+      expect(result.metadata.fallbackMode).toBeUndefined();
+    });
+
+    it('should render the configured prompt template and record its version', async () => {
+      mockCreate.mockResolvedValue({
+        choices: [{ message: { content: JSON.stringify({
+          summary: 'Test summary',
+          rootCauses: ['Test cause'],
+          customerMessage: 'Test message',
+        }) } }],
+        usage: { prompt_tokens: 900, completion_tokens: 100, total_tokens: 1000 },
+        model: 'gpt-4o-mini'
+      });
+
+      const result = await aiService.generateIncidentAnalysis(mockIncidentData);
+
+      const [system, user] = mockCreate.mock.calls[0][0].messages;
+      expect(system.content).toContain('Senior Site Reliability Engineer');
+      expect(user.content).toContain('Title: API Gateway returning 502 errors');
+      expect(user.content).not.toContain('{{');
+      expect(result.metadata.promptVersion).toBe('incident-analysis/v2');
+      expect(result.metadata.promptAssignment).toBe('default');
+    });
+
+    it('should note the attempted prompt version when falling back', async () => {
+      mockCreate.mockRejectedValue(new Error('OpenAI API timeout'));
+
+      const result = await aiService.generateIncidentAnalysis(mockIncidentData);
+
+      expect(result.metadata.promptVersion).toBeNull();
+      expect(result.metadata.attemptedPromptVersion).toBe('incident-analysis/v2');
+    });
+
+    it('should record the tokens and cost of the call', async () => {
+      mockCreate.mockResolvedValue({
+        choices: [{ message: { content: JSON.stringify({
+          summary: 'Test summary',
+          rootCauses: ['Test cause'],
+          customerMessage: 'Test message',
+        }) } }],
+        usage: { prompt_tokens: 1000, completion_tokens: 500, total_tokens: 1500 },
+        model: 'gpt-4o-mini'
+      });
+
+      const result = await aiService.generateIncidentAnalysis(mockIncidentData, { incidentId: 9 });
+
+      const [query, values] = db.query.mock.calls.find(([text]) => text.includes('INSERT INTO ai_usage'));
+      expect(query).toContain('INSERT INTO ai_usage');
+      expect(values.slice(0, 5)).toEqual([9, 'analysis', 'high', 'openai', 'gpt-4o-mini']);
+      expect(result.metadata.costUsd).toBeCloseTo(0.00045, 6);
+    });
+
+    it('should use the fallback without calling the model once the monthly budget is spent', async () => {
+      const originalBudget = config.aiUsage.monthlyBudgetUsd;
+      config.aiUsage.monthlyBudgetUsd = 10;
+      db.query.mockResolvedValueOnce({ rows: [{ spent: 10.5 }] });
+
+      try {
+        const result = await aiService.generateIncidentAnalysis(mockIncidentData, { allowFallback: false });
+
+        expect(mockCreate).not.toHaveBeenCalled();
+        expect(result.metadata.fallbackMode).toBe(true);
+        expect(result.metadata.fallbackReason).toBe('Monthly AI budget exceeded: $10.50 spent of $10.00');
+      } finally {
+        config.aiUsage.monthlyBudgetUsd = originalBudget;
+      }
     });
 
     it('should handle malformed AI responses', async () => {
@@ -184,13 +450,13 @@ describe('AI Service', () => {
     });
   });
 
-  describe('testOpenAIConnection', () => {
+  describe('testProviderConnection', () => {
     it('should return true when connection succeeds', async () => {
       mockCreate.mockResolvedValue({
         choices: [{ message: { content: 'Test' } }]
       });
 
-      const result = await aiService.testOpenAIConnection();
+      const result = await aiService.testProviderConnection();
 
       expect(typeof result).toBe('boolean');
     });
@@ -198,7 +464,7 @@ describe('AI Service', () => {
     it('should return false when connection fails', async () => {
       mockCreate.mockRejectedValue(new Error('Connection failed'));
 
-      const result = await aiService.testOpenAIConnection();
+      const result = await aiService.testProviderConnection();
 
       expect(result).toBe(false);
     });
@@ -0,0 +1,218 @@
+/**
+ * Analysis Feedback Service Unit Tests
+ * Tests analysis feedback, re-run flags and the quality reports
+ */
+
+const feedbackService = require('../../services/analysis-feedback.service');
+const analysisService = require('../../services/incidents-analysis.service');
+const db = require('../../db');
+const { createHttpError } = require('../../utils/httpError');
+
+jest.mock('../../db');
+jest.mock('../../services/incidents-analysis.service');
+
+describe('Analysis Feedback Service', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  describe('rateAnalysis', () => {
+    it('should store the rating and log it with the prompt version', async () => {
+      analysisService.getAnalysis.mockResolvedValue({ id: 7, incident_id: 1, version: 2, prompt_version: 'incident-analysis/v3' });
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, analysis_id: 7, rating: -1 }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ up: 0, total: 1 }] });
+
+      const feedback = await feedbackService.rateAnalysis(1, 2, 'down', 'Jane');
+
+      expect(feedback.rating).toBe(-1);
+      expect(feedback.flagged).toBe(false);
+      expect(db.query.mock.calls[0][1]).toEqual([7, 1, -1, null, null, 'Jane']);
+      expect(db.query.mock.calls[1][1][1]).toBe('analysis_rated');
+      expect(JSON.parse(db.query.mock.calls[1][1][4]).promptVersion).toBe('incident-analysis/v3');
+    });
+
+    it('should replace the earlier rating of the same user instead of adding one', async () => {
+      analysisService.getAnalysis.mockResolvedValue({ id: 7, incident_id: 1, version: 2, prompt_version: 'incident-analysis/v3' });
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, analysis_id: 7, rating: 1, submitted_by: 'Jane' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ up: 1, total: 1 }] });
+
+      const feedback = await feedbackService.rateAnalysis(1, 2, 'up', 'Jane');
+
+      expect(feedback.id).toBe(1);
+      expect(db.query.mock.calls[0][0]).toContain('ON CONFLICT (analysis_id, submitted_by) DO UPDATE');
+      expect(db.query.mock.calls[0][0]).toContain('rating = EXCLUDED.rating');
+      expect(db.query.mock.calls[0][1]).toEqual([7, 1, 1, null, null, 'Jane']);
+    });
+
+    it('should reject anything but up or down', async () => {
+      await expect(feedbackService.rateAnalysis(1, 2, 'meh')).rejects.toMatchObject({ statusCode: 400 });
+      await expect(feedbackService.rateAnalysis(1, 2, 'constructor')).rejects.toMatchObject({ statusCode: 400 });
+      expect(analysisService.getAnalysis).not.toHaveBeenCalled();
+    });
+
+    it('should not store a rating when the incident is archived', async () => {
+      analysisService.getAnalysis.mockRejectedValue(createHttpError(404, 'Analysis version 2 not found for incident 1'));
+
+      await expect(feedbackService.rateAnalysis(1, 2, 'up', 'Jane')).rejects.toMatchObject({ statusCode: 404 });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('submitFeedback', () => {
+    const activeAnalysis = {
+      id: 9,
+      incident_id: 1,
+      version: 3,
+      root_causes: [{ cause: 'Pool exhausted' }, { cause: 'Bad deploy' }],
+      flagged_at: null,
+    };
+
+    it('should store which root cause was correct for the active analysis', async () => {
+      analysisService.getActiveAnalysis.mockResolvedValue(activeAnalysis);
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 2, rating: 1, correct_root_cause: 1 }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ up: 1, total: 1 }] });
+
+      await feedbackService.submitFeedback(1, { rating: 'up', correctRootCause: '1', comment: '  Spot on  ' }, 'Jane');
+
+      expect(analysisService.getActiveAnalysis).toHaveBeenCalledWith(1);
+      expect(db.query.mock.calls[0][1]).toEqual([9, 1, 1, 1, 'Spot on', 'Jane']);
+    });
+
+    it('should reject a root cause index the analysis does not have', async () => {
+      analysisService.getActiveAnalysis.mockResolvedValue(activeAnalysis);
+
+      await expect(feedbackService.submitFeedback(1, { rating: 'down', correctRootCause: 2 }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(feedbackService.submitFeedback(1, { rating: 'down', correctRootCause: 0.5 }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should flag the analysis once enough ratings are negative', async () => {
+      analysisService.getActiveAnalysis.mockResolvedValue(activeAnalysis);
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 3, rating: -1, correct_root_cause: -1 }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ up: 0, total: 2 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 9 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const feedback = await feedbackService.submitFeedback(1, { rating: 'down', correctRootCause: -1 }, 'Jane');
+
+      expect(feedback.flagged).toBe(true);
+      expect(db.query.mock.calls[3][0]).toContain('SET flagged_at = CURRENT_TIMESTAMP');
+      expect(db.query.mock.calls[3][1]).toEqual([9, '0 of 2 ratings positive']);
+      expect(db.query.mock.calls[4][1][1]).toBe('analysis_flagged');
+    });
+
+    it('should replace the earlier vote of the same user instead of adding one', async () => {
+      analysisService.getActiveAnalysis.mockResolvedValue(activeAnalysis);
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 2, rating: -1, submitted_by: 'Jane' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ up: 0, total: 1 }] });
+
+      const result = await feedbackService.submitFeedback(1, { rating: 'down' }, 'Jane');
+
+      expect(result.flagged).toBe(false);
+      expect(db.query.mock.calls[0][0]).toContain('ON CONFLICT (analysis_id, submitted_by) DO UPDATE');
+      expect(db.query.mock.calls[0][0]).toContain('SET rating = EXCLUDED.rating');
+      expect(db.query).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not flag an analysis most people liked', async () => {
+      analysisService.getActiveAnalysis.mockResolvedValue(activeAnalysis);
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 4, rating: -1 }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ up: 3, total: 4 }] });
+
+      const feedback = await feedbackService.submitFeedback(1, { rating: 'down' }, 'Jane');
+
+      expect(feedback.flagged).toBe(false);
+      expect(db.query).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not re-check an analysis that is already flagged', async () => {
+      analysisService.getActiveAnalysis.mockResolvedValue({ ...activeAnalysis, flagged_at: new Date() });
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 5, rating: -1 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await feedbackService.submitFeedback(1, { rating: 'down' }, 'Jane');
+
+      expect(db.query).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('getQualityReport', () => {
+    const row = (key, counts) => ({
+      key,
+      analyses: 0,
+      rated_analyses: 0,
+      thumbs_up: 0,
+      thumbs_down: 0,
+      root_cause_answers: 0,
+      root_cause_listed: 0,
+      root_cause_top: 0,
+      ...counts,
+    });
+
+    it('should break down accuracy and list flagged analyses', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [
+          row('gpt-4o-mini', { analyses: 8, rated_analyses: 4, thumbs_up: 3, thumbs_down: 1, root_cause_answers: 4, root_cause_listed: 3, root_cause_top: 2 }),
+          row('heuristic', { analyses: 2, rated_analyses: 2, thumbs_down: 2, root_cause_answers: 2 }),
+        ] })
+        .mockResolvedValueOnce({ rows: [row('high', { analyses: 10 })] })
+        .mockResolvedValueOnce({ rows: [row('none', { analyses: 2 }), row('incident-analysis/v2', { analyses: 8 })] })
+        .mockResolvedValueOnce({ rows: [{
+          incident_id: 4, title: 'DB down', severity: 'high', status: 'open', version: 2,
+          model: 'gpt-4o-mini', prompt_version: 'incident-analysis/v2',
+          flagged_at: '2024-05-02T10:00:00Z', flag_reason: '0 of 2 ratings positive', rerun_queued: false,
+        }] });
+
+      const report = await feedbackService.getQualityReport({ from: '2024-05-01', to: '2024-05-31' });
+
+      expect(db.query.mock.calls[0][0]).toContain("COALESCE(a.model, a.provider, 'unknown') AS key");
+      expect(db.query.mock.calls[1][0]).toContain('i.severity AS key');
+      expect(report.byModel[0].rootCause).toEqual({ answers: 4, correct: 3, correctFirst: 2, accuracy: 0.75, topAccuracy: 0.5 });
+      expect(report.overall.analyses).toBe(10);
+      expect(report.overall.ratings).toEqual({ up: 3, down: 3, total: 6, approvalRate: 0.5 });
+      expect(report.overall.rootCause.accuracy).toBe(0.5);
+      expect(report.bySeverity[0].ratings.approvalRate).toBeNull();
+      expect(report.byPromptVersion.map(version => version.key)).toEqual(['none', 'incident-analysis/v2']);
+      expect(report.flagged).toEqual([expect.objectContaining({ incidentId: 4, version: 2, rerunQueued: false })]);
+    });
+  });
+
+  describe('getPromptVersionReport', () => {
+    it('should compute the approval rate per version', async () => {
+      db.query.mockResolvedValue({ rows: [
+        { prompt_version: 'incident-analysis/v2', analyses: 10, fallbacks: 1, avg_tokens: 1800.4, cost_usd: 0.02, thumbs_up: 6, thumbs_down: 2 },
+        { prompt_version: 'incident-analysis/v3', analyses: 9, fallbacks: 0, avg_tokens: 1500, cost_usd: 0.015, thumbs_up: 0, thumbs_down: 0 },
+      ] });
+
+      const report = await feedbackService.getPromptVersionReport({ from: '2024-05-01', to: '2024-05-31' });
+
+      expect(db.query.mock.calls[0][1]).toEqual(['2024-05-01', '2024-05-31']);
+      expect(report.current.version).toBe('incident-analysis/v2');
+      expect(report.current.available).toContain('v2');
+      expect(report.versions[0]).toEqual({
+        promptVersion: 'incident-analysis/v2',
+        analyses: 10,
+        fallbacks: 1,
+        avgTokens: 1800,
+        costUsd: 0.02,
+        ratings: { up: 6, down: 2, total: 8, approvalRate: 0.75 },
+      });
+      expect(report.versions[1].ratings.approvalRate).toBeNull();
+    });
+  });
+});
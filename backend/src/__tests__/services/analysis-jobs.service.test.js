@@ -0,0 +1,156 @@
+/**
+ * Analysis Jobs Service Unit Tests
+ * Tests the Postgres-backed job queue
+ */
+
+const jobsService = require('../../services/analysis-jobs.service');
+const db = require('../../db');
+
+jest.mock('../../db');
+
+describe('Analysis Jobs Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('enqueueJob', () => {
+    it('should insert a queued job with the configured max attempts', async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 7, incident_id: 1, status: 'queued' }] });
+
+      const job = await jobsService.enqueueJob(1);
+
+      expect(job.id).toBe(7);
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO analysis_jobs'), [1, 3, 'initial', null]);
+    });
+
+    it('should record the trigger and requester for re-runs', async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 8 }] });
+
+      await jobsService.enqueueJob(1, { trigger: 'rerun', requestedBy: 'Jane' });
+
+      expect(db.query.mock.calls[0][1]).toEqual([1, 3, 'rerun', 'Jane']);
+    });
+
+    it('should return null when the incident already has a queued job', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await expect(jobsService.enqueueJob(1, { trigger: 'rerun', requestedBy: 'Jane' })).resolves.toBeNull();
+      expect(db.query.mock.calls[0][0]).toContain("ON CONFLICT (incident_id) WHERE status = 'queued' DO NOTHING");
+    });
+
+    it('should propagate database errors', async () => {
+      db.query.mockRejectedValue(new Error('Database error'));
+
+      await expect(jobsService.enqueueJob(1)).rejects.toThrow('Database error');
+    });
+  });
+
+  describe('claimNextJob', () => {
+    it('should claim with SKIP LOCKED and return the job', async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 7, attempts: 1 }] });
+
+      const job = await jobsService.claimNextJob();
+
+      expect(job).toEqual({ id: 7, attempts: 1 });
+      expect(db.query.mock.calls[0][0]).toContain('FOR UPDATE SKIP LOCKED');
+    });
+
+    it('should leave a job queued behind a running one for the same incident', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await jobsService.claimNextJob();
+
+      expect(db.query.mock.calls[0][0]).toContain("running.incident_id = analysis_jobs.incident_id AND running.status = 'running'");
+    });
+
+    it('should return null when the queue is empty', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await expect(jobsService.claimNextJob()).resolves.toBeNull();
+    });
+  });
+
+  describe('computeBackoffMs', () => {
+    it('should double the delay on each attempt', () => {
+      expect(jobsService.computeBackoffMs(1)).toBe(5000);
+      expect(jobsService.computeBackoffMs(2)).toBe(10000);
+      expect(jobsService.computeBackoffMs(3)).toBe(20000);
+    });
+
+    it('should cap the delay', () => {
+      expect(jobsService.computeBackoffMs(20)).toBe(300000);
+    });
+  });
+
+  describe('failJob', () => {
+    it('should requeue with backoff while attempts remain', async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 7 }] });
+
+      const willRetry = await jobsService.failJob(
+        { id: 7, incident_id: 1, attempts: 1, max_attempts: 3 },
+        new Error('rate limited')
+      );
+
+      expect(willRetry).toBe(true);
+      const [query, values] = db.query.mock.calls[0];
+      expect(query).toContain("status = 'queued'");
+      expect(values).toEqual([7, 'rate limited', '5000', 1]);
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should drop the retry when a newer job is already queued', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      const willRetry = await jobsService.failJob(
+        { id: 7, incident_id: 1, attempts: 1, max_attempts: 3 },
+        new Error('rate limited')
+      );
+
+      expect(willRetry).toBe(true);
+      expect(db.query.mock.calls[1][0]).toContain("status = 'failed'");
+      expect(db.query.mock.calls[1][1]).toEqual([7, 'rate limited (not retried: a newer job is queued)']);
+    });
+
+    it('should mark the job failed once attempts are exhausted', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      const willRetry = await jobsService.failJob(
+        { id: 7, incident_id: 1, attempts: 3, max_attempts: 3 },
+        new Error('rate limited')
+      );
+
+      expect(willRetry).toBe(false);
+      expect(db.query.mock.calls[0][0]).toContain("status = 'failed'");
+    });
+  });
+
+  describe('completeJob', () => {
+    it('should mark the job done', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await jobsService.completeJob(7);
+
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining("status = 'done'"), [7]);
+    });
+  });
+
+  describe('requeueStaleJobs', () => {
+    it('should return the number of requeued jobs', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 1 }, { id: 2 }] });
+
+      await expect(jobsService.requeueStaleJobs()).resolves.toBe(2);
+    });
+
+    it('should drop stale jobs that a newer queued job replaces before requeueing', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 3 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await expect(jobsService.requeueStaleJobs()).resolves.toBe(0);
+      expect(db.query.mock.calls[0][0]).toContain("SET status = 'failed'");
+      expect(db.query.mock.calls[1][0]).toContain("SET status = 'queued'");
+    });
+  });
+});
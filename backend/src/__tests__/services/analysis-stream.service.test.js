@@ -0,0 +1,37 @@
+/**
+ * Analysis Stream Service Unit Tests
+ * Tests the in-process event bus behind the SSE endpoint
+ */
+
+const streamService = require('../../services/analysis-stream.service');
+
+describe('Analysis Stream Service', () => {
+  it('should deliver events to subscribers of the same incident only', () => {
+    const listener = jest.fn();
+    const other = jest.fn();
+    const unsubscribe = streamService.subscribe('1', listener);
+    const unsubscribeOther = streamService.subscribe(2, other);
+
+    streamService.publish(1, 'status', { status: 'running' });
+
+    expect(listener).toHaveBeenCalledWith('status', { status: 'running' });
+    expect(other).not.toHaveBeenCalled();
+
+    unsubscribe();
+    unsubscribeOther();
+    streamService.publish(1, 'status', { status: 'pending' });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep the latest partial until the analysis finishes', () => {
+    streamService.publish(3, 'partial', { summary: 'Data' });
+    streamService.publish(3, 'partial', { summary: 'Database' });
+
+    expect(streamService.getLatestPartial('3')).toEqual({ summary: 'Database' });
+
+    streamService.publish(3, 'done', { incident: { id: 3 } });
+
+    expect(streamService.getLatestPartial(3)).toBeNull();
+  });
+});
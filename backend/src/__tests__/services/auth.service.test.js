@@ -0,0 +1,180 @@
+/**
+ * Auth Service Unit Tests
+ * Tests login, session and API token resolution, and API token management
+ */
+
+const authService = require('../../services/auth.service');
+const usersService = require('../../services/users.service');
+const config = require('../../config/env');
+const db = require('../../db');
+
+jest.mock('../../db');
+jest.mock('../../services/users.service');
+
+describe('Auth Service', () => {
+  const user = { id: 1, email: 'jane@example.com', name: 'Jane', is_active: true, password_hash: 'scrypt$...' };
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    db.query.mockResolvedValue({ rows: [], rowCount: 0 });
+  });
+
+  describe('login', () => {
+    it('should create a session and store only its hash', async () => {
+      usersService.findByEmailWithPassword.mockResolvedValue(user);
+      usersService.verifyPassword.mockResolvedValue(true);
+
+      const result = await authService.login('jane@example.com', 'secret password', {
+        userAgent: 'jest',
+        ip: '127.0.0.1',
+      });
+
+      expect(result.user).toEqual({ id: 1, email: 'jane@example.com', name: 'Jane' });
+      expect(result.token).toEqual(expect.any(String));
+      expect(result.expiresAt.getTime()).toBeGreaterThan(Date.now());
+
+      const [query, values] = db.query.mock.calls[0];
+      expect(query).toContain('INSERT INTO user_sessions');
+      expect(values).toEqual([1, authService.hashToken(result.token), 'jest', '127.0.0.1', result.expiresAt, 'password']);
+      expect(values).not.toContain(result.token);
+    });
+
+    it('should return 401 for a wrong password', async () => {
+      usersService.findByEmailWithPassword.mockResolvedValue(user);
+      usersService.verifyPassword.mockResolvedValue(false);
+
+      await expect(authService.login('jane@example.com', 'wrong')).rejects.toMatchObject({
+        statusCode: 401,
+        message: 'Invalid email or password',
+      });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should return the same 401 for an unknown email after checking a password anyway', async () => {
+      usersService.findByEmailWithPassword.mockResolvedValue(null);
+      usersService.hashPassword.mockResolvedValue('scrypt$dummy');
+      usersService.verifyPassword.mockResolvedValue(false);
+
+      await expect(authService.login('nobody@example.com', 'whatever')).rejects.toMatchObject({
+        statusCode: 401,
+        message: 'Invalid email or password',
+      });
+      expect(usersService.verifyPassword).toHaveBeenCalled();
+    });
+
+    it('should return 401 for a deactivated user', async () => {
+      usersService.findByEmailWithPassword.mockResolvedValue({ ...user, is_active: false });
+      usersService.verifyPassword.mockResolvedValue(true);
+
+      await expect(authService.login('jane@example.com', 'secret password')).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it('should return 403 when password login is turned off', async () => {
+      config.auth.passwordLogin = false;
+
+      try {
+        await expect(authService.login('jane@example.com', 'secret password')).rejects.toMatchObject({ statusCode: 403 });
+        expect(usersService.findByEmailWithPassword).not.toHaveBeenCalled();
+      } finally {
+        config.auth.passwordLogin = true;
+      }
+    });
+  });
+
+  describe('createSession', () => {
+    it('should record how the session was started', async () => {
+      const result = await authService.createSession(user, {}, 'oidc');
+
+      expect(result.user.id).toBe(1);
+      expect(db.query.mock.calls[0][1][5]).toBe('oidc');
+    });
+  });
+
+  describe('resolveToken', () => {
+    it('should resolve a session token and touch the session', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{ credential_id: 5, user_id: 1, email: 'jane@example.com', name: 'Jane' }],
+      });
+
+      const auth = await authService.resolveToken('session-token');
+
+      expect(auth).toEqual({
+        user: { id: 1, email: 'jane@example.com', name: 'Jane' },
+        method: 'session',
+        credentialId: 5,
+      });
+      expect(db.query.mock.calls[0][0]).toContain('FROM user_sessions');
+      expect(db.query.mock.calls[0][1]).toEqual([authService.hashToken('session-token')]);
+      expect(db.query.mock.calls[1][0]).toContain('UPDATE user_sessions SET last_used_at');
+    });
+
+    it('should look API tokens up in api_tokens, excluding revoked ones', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{ credential_id: 9, user_id: 1, email: 'jane@example.com', name: 'Jane' }],
+      });
+
+      const auth = await authService.resolveToken('iat_abc');
+
+      expect(auth.method).toBe('token');
+      expect(db.query.mock.calls[0][0]).toContain('FROM api_tokens');
+      expect(db.query.mock.calls[0][0]).toContain('revoked_at IS NULL');
+    });
+
+    it('should return null for missing or unknown tokens', async () => {
+      await expect(authService.resolveToken(null)).resolves.toBeNull();
+      await expect(authService.resolveToken('unknown')).resolves.toBeNull();
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('createApiToken', () => {
+    it('should return the secret once and store its hash and prefix', async () => {
+      db.query.mockImplementationOnce(async (query, values) => ({
+        rows: [{ id: 3, name: values[1], token_prefix: values[2], expires_at: values[4] }],
+      }));
+
+      const token = await authService.createApiToken(1, { name: ' CI pipeline ', expiresInDays: 30 });
+
+      expect(token.token).toMatch(/^iat_/);
+      expect(token.name).toBe('CI pipeline');
+      expect(token.token_prefix).toBe(token.token.slice(0, 8));
+      expect(token.expires_at).toBeInstanceOf(Date);
+      expect(db.query.mock.calls[0][1][3]).toBe(authService.hashToken(token.token));
+    });
+
+    it('should validate the name and expiry', async () => {
+      await expect(authService.createApiToken(1, { name: '' })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(authService.createApiToken(1, { name: 'CI', expiresInDays: 0 })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(authService.createApiToken(1, { name: 'CI', expiresInDays: '30' })).rejects.toMatchObject({ statusCode: 400 });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('revokeApiToken', () => {
+    it('should only revoke the caller\'s own tokens', async () => {
+      await expect(authService.revokeApiToken(1, '3')).rejects.toMatchObject({ statusCode: 404 });
+
+      const [query, values] = db.query.mock.calls[0];
+      expect(query).toContain('WHERE id = $1 AND user_id = $2');
+      expect(values).toEqual(['3', 1]);
+    });
+  });
+
+  describe('logout', () => {
+    it('should end the session and say how it was started', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ login_method: 'oidc' }] });
+
+      await expect(authService.logout(5)).resolves.toBe('oidc');
+      await expect(authService.logout(5)).resolves.toBeNull();
+    });
+  });
+
+  describe('logoutOtherSessions', () => {
+    it('should keep the current session', async () => {
+      db.query.mockResolvedValueOnce({ rows: [], rowCount: 2 });
+
+      await expect(authService.logoutOtherSessions(1, 5)).resolves.toBe(2);
+      expect(db.query.mock.calls[0][1]).toEqual([1, 5]);
+    });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Embeddings Service Unit Tests
+ * Tests incident embedding, storage and similar-incident ranking
+ */
+
+const embeddingsService = require('../../services/embeddings.service');
+const providers = require('../../services/providers');
+const aiUsageService = require('../../services/ai-usage.service');
+const db = require('../../db');
+
+jest.mock('../../db');
+jest.mock('../../services/ai-usage.service');
+
+describe('Embeddings Service', () => {
+  const incident = {
+    id: 1,
+    severity: 'high',
+    title: 'Checkout API timing out',
+    description: 'Pool exhausted for postgres://app:hunter2@db/prod',
+    ai_summary: 'Database pool exhausted',
+  };
+
+  let embed;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    embed = jest.fn().mockResolvedValue({
+      embeddings: [[1, 0, 0]],
+      usage: { promptTokens: 10, completionTokens: 0, totalTokens: 10 },
+      model: 'text-embedding-3-small',
+    });
+    jest.spyOn(providers, 'getProvider').mockReturnValue({ name: 'openai', embed });
+    aiUsageService.checkBudget.mockResolvedValue({ exceeded: false });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('cosineSimilarity', () => {
+    it('should score identical directions 1 and orthogonal ones 0', () => {
+      expect(embeddingsService.cosineSimilarity([1, 2], [2, 4])).toBeCloseTo(1, 6);
+      expect(embeddingsService.cosineSimilarity([1, 0], [0, 1])).toBe(0);
+      expect(embeddingsService.cosineSimilarity([1, 0], [1, 0, 0])).toBe(0);
+    });
+  });
+
+  describe('buildEmbeddingText', () => {
+    it('should combine title, description and summary with secrets redacted', () => {
+      const text = embeddingsService.buildEmbeddingText(incident);
+
+      expect(text).toContain('Checkout API timing out');
+      expect(text).toContain('Database pool exhausted');
+      expect(text).not.toContain('hunter2');
+    });
+  });
+
+  describe('embedIncident', () => {
+    it('should store the embedding and record its usage', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      const result = await embeddingsService.embedIncident(incident);
+
+      expect(result).toEqual({ embedding: [1, 0, 0], model: 'text-embedding-3-small' });
+      expect(db.query.mock.calls[0][0]).toContain('INSERT INTO incident_embeddings');
+      expect(db.query.mock.calls[0][1]).toEqual([1, [1, 0, 0], 'text-embedding-3-small']);
+      expect(aiUsageService.recordUsage).toHaveBeenCalledWith(
+        expect.objectContaining({ incidentId: 1, purpose: 'embedding', severity: 'high' })
+      );
+    });
+
+    it('should use the heuristic embedding when the provider fails', async () => {
+      embed.mockRejectedValue(new Error('Embeddings endpoint not found'));
+      db.query.mockResolvedValue({ rows: [] });
+
+      const result = await embeddingsService.embedIncident(incident);
+
+      expect(result.model).toBe('heuristic-hashed-bow-256');
+      expect(result.embedding).toHaveLength(256);
+    });
+
+    it('should not call the paid provider once the budget is spent', async () => {
+      aiUsageService.checkBudget.mockResolvedValue({ exceeded: true });
+      db.query.mockResolvedValue({ rows: [] });
+
+      const result = await embeddingsService.embedIncident(incident);
+
+      expect(embed).not.toHaveBeenCalled();
+      expect(result.model).toBe('heuristic-hashed-bow-256');
+    });
+  });
+
+  describe('findSimilarIncidents', () => {
+    it('should rank candidates by cosine similarity and attach their resolution', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ embedding: [1, 0, 0], model: 'text-embedding-3-small' }] })
+        .mockResolvedValueOnce({ rows: [
+          { incident_id: 2, embedding: [0.6, 0.8, 0] },
+          { incident_id: 3, embedding: [0, 0, 1] }, // Orthogonal: below minScore
+          { incident_id: 4, embedding: [0.9, 0.1, 0] },
+        ] })
+        .mockResolvedValueOnce({ rows: [
+          { id: 2, title: 'Pool exhausted', severity: 'high', status: 'resolved', ai_summary: 'Pool', ai_root_causes: [{ cause: 'Leak' }], completed_actions: ['Restart API'] },
+          { id: 4, title: 'DB slow', severity: 'medium', status: 'closed', ai_summary: null, ai_root_causes: [], completed_actions: [] },
+        ] });
+
+      const similar = await embeddingsService.findSimilarIncidents(incident, { limit: 5, minScore: 0.3 });
+
+      expect(similar.map(item => item.id)).toEqual([4, 2]);
+      expect(similar[0].score).toBeCloseTo(0.994, 3);
+      expect(similar[1].resolution).toEqual({ rootCause: 'Leak', completedActions: ['Restart API'] });
+      expect(db.query.mock.calls[1][1].slice(0, 2)).toEqual(['text-embedding-3-small', 1]);
+      expect(embed).not.toHaveBeenCalled();
+    });
+
+    it('should embed the incident first when it has no embedding', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] })   // No stored embedding
+        .mockResolvedValueOnce({ rows: [] })   // Insert
+        .mockResolvedValueOnce({ rows: [] });  // No candidates
+
+      const similar = await embeddingsService.findSimilarIncidents(incident);
+
+      expect(embed).toHaveBeenCalled();
+      expect(similar).toEqual([]);
+    });
+
+    it('should only compare resolved incidents opened before this one', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ embedding: [1, 0, 0], model: 'text-embedding-3-small' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await embeddingsService.findSimilarIncidents(incident);
+
+      const [query, values] = db.query.mock.calls[1];
+      expect(query).toContain('incidents.status = ANY($4::text[])');
+      expect(query).toContain('incidents.created_at < (SELECT created_at FROM incidents WHERE id = $2)');
+      expect(values[3]).toEqual(['resolved', 'postmortem_pending', 'closed']);
+    });
+  });
+
+  describe('findSimilarForPrompt', () => {
+    it('should return an empty list instead of failing the analysis', async () => {
+      db.query.mockRejectedValue(new Error('relation "incident_embeddings" does not exist'));
+
+      await expect(embeddingsService.findSimilarForPrompt(incident)).resolves.toEqual([]);
+    });
+  });
+
+  describe('refreshEmbedding', () => {
+    it('should swallow storage errors', async () => {
+      db.query.mockRejectedValue(new Error('Database down'));
+
+      await expect(embeddingsService.refreshEmbedding(incident)).resolves.toBeUndefined();
+    });
+  });
+});
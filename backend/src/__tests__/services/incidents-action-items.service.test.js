@@ -0,0 +1,219 @@
+/**
+ * Incidents Action Items Service Unit Tests
+ * Tests the remediation checklist and its activity log entries
+ */
+
+const actionItemsService = require('../../services/incidents-action-items.service');
+const db = require('../../db');
+
+jest.mock('../../db');
+
+const openItem = {
+  id: 3,
+  incident_id: 1,
+  action: 'Raise pool size',
+  priority: 'high',
+  command: null,
+  owner: null,
+  status: 'open',
+  due_date: null,
+};
+
+/**
+ * Activity types logged by the test, in order
+ */
+function loggedActivityTypes() {
+  return db.query.mock.calls
+    .filter(([query]) => query.includes('INSERT INTO incident_activity'))
+    .map(([, values]) => values[1]);
+}
+
+describe('Incidents Action Items Service', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  describe('listActionItems', () => {
+    it('should return items for the incident', async () => {
+      db.query.mockResolvedValue({ rows: [openItem] });
+
+      const items = await actionItemsService.listActionItems(1);
+
+      expect(items).toEqual([openItem]);
+      expect(db.query.mock.calls[0][1]).toEqual([1]);
+    });
+  });
+
+  describe('createActionItem', () => {
+    it('should insert a manual item and log activity', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+        .mockResolvedValueOnce({ rows: [{ ...openItem, id: 7, action: 'Rotate credentials' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const item = await actionItemsService.createActionItem(1, {
+        action: ' Rotate credentials ',
+        priority: 'HIGH',
+        owner: 'DBA',
+        dueDate: '2024-05-01',
+      }, 'Jane');
+
+      expect(item.id).toBe(7);
+      expect(db.query.mock.calls[1][1]).toEqual([1, 'Rotate credentials', 'high', 'DBA', null, '2024-05-01', 'Jane']);
+      expect(loggedActivityTypes()).toEqual(['action_item_added']);
+    });
+
+    it('should reject missing action text', async () => {
+      await expect(actionItemsService.createActionItem(1, { action: '  ' }))
+        .rejects
+        .toMatchObject({ statusCode: 400 });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid priorities and due dates', async () => {
+      await expect(actionItemsService.createActionItem(1, { action: 'x', priority: 'urgent' }))
+        .rejects
+        .toMatchObject({ statusCode: 400 });
+      await expect(actionItemsService.createActionItem(1, { action: 'x', dueDate: '05/01/2024' }))
+        .rejects
+        .toMatchObject({ statusCode: 400 });
+    });
+
+    it('should throw 404 when the incident does not exist', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(actionItemsService.createActionItem(999, { action: 'x' }))
+        .rejects
+        .toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('updateActionItem', () => {
+    it('should mark an item done, record who completed it and log activity', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [openItem] })
+        .mockResolvedValueOnce({ rows: [{ ...openItem, status: 'done', completed_by: 'Jane' }] })
+        .mockResolvedValue({ rows: [] });
+
+      const item = await actionItemsService.updateActionItem(1, 3, { status: 'done' }, 'Jane');
+
+      expect(item.status).toBe('done');
+
+      const [query, values] = db.query.mock.calls[1];
+      expect(query).toContain('completed_at = CURRENT_TIMESTAMP');
+      expect(query).toContain('completed_by = $4');
+      expect(values).toEqual([3, 1, 'done', 'Jane']);
+      expect(loggedActivityTypes()).toEqual(['action_item_completed']);
+    });
+
+    it('should log one activity entry per kind of change', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [openItem] })
+        .mockResolvedValueOnce({ rows: [{ ...openItem, owner: 'SRE', due_date: '2024-05-01', priority: 'immediate' }] })
+        .mockResolvedValue({ rows: [] });
+
+      await actionItemsService.updateActionItem(1, 3, {
+        owner: 'SRE',
+        dueDate: '2024-05-01',
+        priority: 'immediate',
+      }, 'Jane');
+
+      expect(loggedActivityTypes()).toEqual([
+        'action_item_assigned',
+        'action_item_due_date_changed',
+        'action_item_updated',
+      ]);
+    });
+
+    it('should clear completion details when reopening', async () => {
+      const doneItem = { ...openItem, status: 'done' };
+      db.query
+        .mockResolvedValueOnce({ rows: [doneItem] })
+        .mockResolvedValueOnce({ rows: [openItem] })
+        .mockResolvedValue({ rows: [] });
+
+      await actionItemsService.updateActionItem(1, 3, { status: 'open' }, 'Jane');
+
+      expect(db.query.mock.calls[1][0]).toContain('completed_at = NULL');
+      expect(loggedActivityTypes()).toEqual(['action_item_reopened']);
+    });
+
+    it('should reject empty updates and unknown statuses', async () => {
+      await expect(actionItemsService.updateActionItem(1, 3, {}))
+        .rejects
+        .toMatchObject({ statusCode: 400 });
+      await expect(actionItemsService.updateActionItem(1, 3, { status: 'skipped' }))
+        .rejects
+        .toMatchObject({ statusCode: 400 });
+    });
+
+    it('should throw 404 for items of another incident', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(actionItemsService.updateActionItem(2, 3, { status: 'done' }))
+        .rejects
+        .toMatchObject({ statusCode: 404 });
+    });
+
+    it('should throw 404 for items of an archived incident', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(actionItemsService.updateActionItem(1, 3, { status: 'done' }))
+        .rejects
+        .toMatchObject({ statusCode: 404 });
+      expect(db.query.mock.calls[0][0]).toContain('SELECT id FROM incidents WHERE deleted_at IS NULL');
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('deleteActionItem', () => {
+    it('should delete the item and log activity', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 3, action: 'Raise pool size' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const item = await actionItemsService.deleteActionItem(1, 3, 'Jane');
+
+      expect(item.id).toBe(3);
+      expect(loggedActivityTypes()).toEqual(['action_item_deleted']);
+    });
+
+    it('should throw 404 when the item does not exist', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(actionItemsService.deleteActionItem(1, 99))
+        .rejects
+        .toMatchObject({ statusCode: 404 });
+    });
+
+    it('should throw 404 and keep the item when the incident is archived', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(actionItemsService.deleteActionItem(1, 3, 'Jane'))
+        .rejects
+        .toMatchObject({ statusCode: 404 });
+      expect(db.query.mock.calls[0][0]).toContain('SELECT id FROM incidents WHERE deleted_at IS NULL');
+      expect(loggedActivityTypes()).toEqual([]);
+    });
+  });
+
+  describe('seedFromAnalysis', () => {
+    it('should insert AI items that are not tracked yet', async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 8 }] });
+      const actionItems = [{ priority: 'immediate', action: 'Restart pods', owner: 'SRE', command: null }];
+
+      const items = await actionItemsService.seedFromAnalysis(1, 14, actionItems);
+
+      expect(items).toEqual([{ id: 8 }]);
+
+      const [query, values] = db.query.mock.calls[0];
+      expect(query).toContain('NOT EXISTS');
+      expect(values).toEqual([1, 14, JSON.stringify(actionItems)]);
+    });
+
+    it('should skip the query when there are no items', async () => {
+      expect(await actionItemsService.seedFromAnalysis(1, 14, [])).toEqual([]);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+});
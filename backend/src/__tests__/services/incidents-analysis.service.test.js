@@ -0,0 +1,240 @@
+/**
+ * Incidents Analysis Service Unit Tests
+ * Tests versioned analysis history, re-runs and diffs
+ */
+
+const analysisService = require('../../services/incidents-analysis.service');
+const jobsService = require('../../services/analysis-jobs.service');
+const actionItemsService = require('../../services/incidents-action-items.service');
+const db = require('../../db');
+
+jest.mock('../../db');
+jest.mock('../../services/analysis-jobs.service');
+jest.mock('../../services/incidents-action-items.service');
+
+describe('Incidents Analysis Service', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  describe('recordAnalysis', () => {
+    const analysis = {
+      summary: 'Connection pool exhausted',
+      rootCauses: ['Pool too small'],
+      customerMessage: 'We are investigating',
+      actionItems: ['1. Raise pool size'],
+      suggestedSeverity: 'high',
+      metadata: {
+        provider: 'openai',
+        model: 'gpt-4o-mini',
+        promptVersion: 'incident-analysis/v1',
+        promptTokens: 900,
+        completionTokens: 300,
+        tokensUsed: 1200
+      }
+    };
+
+    it('should insert a new version, activate it and log activity', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, analysis_version: 2, analysis_status: 'done', active_analysis_id: 14 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const incident = await analysisService.recordAnalysis(1, analysis, { trigger: 'rerun', requestedBy: 'Jane' });
+
+      expect(incident.analysis_version).toBe(2);
+
+      const [query, values] = db.query.mock.calls[0];
+      expect(query).toContain('INSERT INTO incident_analyses');
+      expect(query).toContain('active_analysis_id = new_analysis.id');
+      expect(values).toEqual([
+        1, 'Connection pool exhausted', JSON.stringify(['Pool too small']), 'We are investigating',
+        JSON.stringify(['1. Raise pool size']), 'high', JSON.stringify(analysis.metadata),
+        'openai', 'gpt-4o-mini', 'incident-analysis/v1', 900, 300, 1200, 'rerun', 'Jane'
+      ]);
+
+      const [activityQuery, activityValues] = db.query.mock.calls[1];
+      expect(activityQuery).toContain('INSERT INTO incident_activity');
+      expect(activityValues[1]).toBe('analysis_completed');
+
+      expect(actionItemsService.seedFromAnalysis).toHaveBeenCalledWith(1, 14, analysis.actionItems);
+    });
+
+    it('should throw 404 when the incident does not exist', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(analysisService.recordAnalysis(999, analysis))
+        .rejects
+        .toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('requestReanalysis', () => {
+    it('should queue a rerun job and mark the incident pending', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] }) // incident exists
+        .mockResolvedValue({ rows: [] });
+      jobsService.enqueueJob.mockResolvedValue({ id: 9, status: 'queued' });
+
+      const result = await analysisService.requestReanalysis(1, 'Jane');
+
+      expect(result).toEqual({ job: { id: 9, status: 'queued' }, alreadyQueued: false });
+      expect(jobsService.enqueueJob).toHaveBeenCalledWith(1, { trigger: 'rerun', requestedBy: 'Jane' });
+      expect(db.query.mock.calls[1][0]).toContain("analysis_status = 'pending'");
+    });
+
+    it('should return the existing job when one is already queued', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 5, status: 'queued' }] });
+      jobsService.enqueueJob.mockResolvedValue(null); // The unique index kept a second job out
+
+      const result = await analysisService.requestReanalysis(1, 'Jane');
+
+      expect(result).toEqual({ job: { id: 5, status: 'queued' }, alreadyQueued: true });
+      expect(db.query.mock.calls[1][0]).toContain("status = 'queued'");
+      expect(db.query.mock.calls[1][0]).not.toContain('running');
+    });
+
+    it('should queue again when the queued job was claimed in between', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+        .mockResolvedValueOnce({ rows: [] })          // queued job already claimed
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+        .mockResolvedValue({ rows: [] });
+      jobsService.enqueueJob
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ id: 10, status: 'queued' });
+
+      const result = await analysisService.requestReanalysis(1, 'Jane');
+
+      expect(result).toEqual({ job: { id: 10, status: 'queued' }, alreadyQueued: false });
+      expect(jobsService.enqueueJob).toHaveBeenCalledTimes(2);
+    });
+
+    it('should throw 404 for unknown incidents', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(analysisService.requestReanalysis(999))
+        .rejects
+        .toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('listAnalyses', () => {
+    it('should return versions newest first', async () => {
+      db.query.mockResolvedValue({ rows: [{ version: 2, is_active: true }, { version: 1, is_active: false }] });
+
+      const result = await analysisService.listAnalyses(1);
+
+      expect(result).toHaveLength(2);
+      expect(db.query.mock.calls[0][0]).toContain('ORDER BY a.version DESC');
+    });
+  });
+
+  describe('getActiveAnalysis', () => {
+    it('should return the analysis the incident points at', async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 9, version: 3 }] });
+
+      const result = await analysisService.getActiveAnalysis(1);
+
+      expect(result.version).toBe(3);
+      expect(db.query.mock.calls[0][0]).toContain('a.id = i.active_analysis_id');
+    });
+
+    it('should return 404 before the first analysis', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await expect(analysisService.getActiveAnalysis(1)).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('should return 404 for an archived incident', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await expect(analysisService.getActiveAnalysis(1)).rejects.toMatchObject({ statusCode: 404 });
+      expect(db.query.mock.calls[0][0]).toContain('i.deleted_at IS NULL');
+    });
+  });
+
+  describe('getAnalysis', () => {
+    it('should return 404 for a version of an archived incident', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await expect(analysisService.getAnalysis(1, 2)).rejects.toMatchObject({ statusCode: 404 });
+      expect(db.query.mock.calls[0][0]).toContain('SELECT id FROM incidents WHERE deleted_at IS NULL');
+    });
+  });
+
+  describe('diffAnalysisVersions', () => {
+    it('should report changed fields and added/removed list items', () => {
+      const diff = analysisService.diffAnalysisVersions(
+        {
+          version: 1,
+          summary: 'Old summary',
+          customer_message: 'Same message',
+          suggested_severity: 'medium',
+          root_causes: ['Cause A', 'Cause B'],
+          action_items: ['Step 1']
+        },
+        {
+          version: 2,
+          summary: 'New summary',
+          customer_message: 'Same message',
+          suggested_severity: 'high',
+          root_causes: ['Cause B', 'Cause C'],
+          action_items: ['Step 1']
+        }
+      );
+
+      expect(diff.from).toBe(1);
+      expect(diff.to).toBe(2);
+      expect(diff.summary).toEqual({ changed: true, from: 'Old summary', to: 'New summary' });
+      expect(diff.customerMessage.changed).toBe(false);
+      expect(diff.suggestedSeverity.changed).toBe(true);
+      expect(diff.rootCauses).toEqual({ added: ['Cause C'], removed: ['Cause A'], unchanged: ['Cause B'] });
+      expect(diff.actionItems.added).toEqual([]);
+    });
+  });
+
+  describe('diffAnalyses', () => {
+    it('should throw 404 when a version is missing', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ version: 1 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await expect(analysisService.diffAnalyses(1, 1, 7))
+        .rejects
+        .toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('activateAnalysis', () => {
+    it('should copy the version onto the incident and log activity', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, active_analysis_id: 3 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const incident = await analysisService.activateAnalysis(1, 1, 'Jane');
+
+      expect(incident.active_analysis_id).toBe(3);
+      expect(db.query.mock.calls[1][1][1]).toBe('analysis_activated');
+    });
+
+    it('should throw 404 for unknown versions', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(analysisService.activateAnalysis(1, 42))
+        .rejects
+        .toMatchObject({ statusCode: 404 });
+    });
+
+    it('should throw 404 when the incident is archived', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(analysisService.activateAnalysis(1, 1, 'Jane'))
+        .rejects
+        .toMatchObject({ statusCode: 404 });
+      expect(db.query.mock.calls[0][0]).toContain('incidents.deleted_at IS NULL');
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Incidents Archive Service Unit Tests
+ * Tests archiving, restoring and purging incidents after the retention period
+ */
+
+const archiveService = require('../../services/incidents-archive.service');
+const incidentsService = require('../../services/incidents.service');
+const config = require('../../config/env');
+const db = require('../../db');
+
+jest.mock('../../db');
+jest.mock('../../services/incidents.service');
+
+describe('Incidents Archive Service', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  describe('archiveIncident', () => {
+    it('should mark the incident as deleted and log it', async () => {
+      const archived = { id: 1, deleted_at: '2024-05-01T10:00:00.000Z', deleted_by: 'Jane' };
+      db.query.mockResolvedValueOnce({ rows: [archived] }).mockResolvedValueOnce({ rows: [] });
+
+      const result = await archiveService.archiveIncident(1, 'Jane');
+
+      expect(result).toEqual(archived);
+      expect(db.query.mock.calls[0][0]).toContain('SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2');
+      expect(db.query.mock.calls[0][0]).not.toContain('DELETE');
+      expect(db.query.mock.calls[1][1]).toEqual([1, 'archived', 'Jane', 'Jane archived the incident', '{}']);
+    });
+
+    it('should return 404 when the incident does not exist or is already archived', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await expect(archiveService.archiveIncident(999, 'Jane')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('restoreIncident', () => {
+    it('should clear the deletion and return the incident', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 1 }] }).mockResolvedValueOnce({ rows: [] });
+      incidentsService.getIncidentById.mockResolvedValue({ id: 1, title: 'DB down' });
+
+      const incident = await archiveService.restoreIncident(1, 'Jane');
+
+      expect(incident.title).toBe('DB down');
+      expect(db.query.mock.calls[0][0]).toContain('SET deleted_at = NULL, deleted_by = NULL');
+      expect(db.query.mock.calls[1][1][1]).toBe('restored');
+    });
+
+    it('should return 404 when the incident is not archived', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await expect(archiveService.restoreIncident(1, 'Jane')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('purgeIncident', () => {
+    const originalArchive = config.incidentArchive;
+
+    afterEach(() => {
+      config.incidentArchive = originalArchive;
+    });
+
+    it('should delete incidents archived longer than the retention period', async () => {
+      config.incidentArchive = { retentionDays: 14 };
+      db.query.mockResolvedValue({ rows: [{ id: 1 }] });
+
+      await archiveService.purgeIncident(1, 'Jane');
+
+      expect(db.query).toHaveBeenCalledTimes(1);
+      expect(db.query.mock.calls[0][0]).toContain('DELETE FROM incidents');
+      expect(db.query.mock.calls[0][0]).toContain('deleted_at <= NOW() - make_interval(days => $2)');
+      expect(db.query.mock.calls[0][1]).toEqual([1, 14]);
+    });
+
+    it('should return 409 with the purge date during the retention period', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ purgeable_at: new Date('2024-05-31T10:00:00.000Z') }] });
+
+      await expect(archiveService.purgeIncident(1, 'Jane')).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Incident 1 can only be purged 30 days after it was archived (from 2024-05-31T10:00:00.000Z)',
+      });
+    });
+
+    it('should return 404 for incidents that are not archived', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await expect(archiveService.purgeIncident(1, 'Jane')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Incidents Chat Service Unit Tests
+ * Tests prompt grounding, metering and persistence of chat turns
+ */
+
+const chatService = require('../../services/incidents-chat.service');
+const incidentsService = require('../../services/incidents.service');
+const managementService = require('../../services/incidents-management.service');
+const aiUsageService = require('../../services/ai-usage.service');
+const providers = require('../../services/providers');
+const db = require('../../db');
+
+jest.mock('../../db');
+jest.mock('../../services/incidents.service');
+jest.mock('../../services/incidents-management.service');
+jest.mock('../../services/ai-usage.service');
+
+describe('Incidents Chat Service', () => {
+  const incident = {
+    id: 1,
+    title: 'Checkout API timing out',
+    severity: 'high',
+    status: 'investigating',
+    assigned_to: 'Jane',
+    description: 'Pool exhausted for postgres://app:hunter2@db/prod',
+    created_at: '2024-05-01T10:00:00.000Z',
+    ai_summary: 'Database pool exhausted',
+    ai_root_causes: [{ cause: 'Connection leak', likelihood: 'high' }],
+    ai_action_items: [{ action: 'Restart API pods', priority: 'immediate' }],
+  };
+
+  const usage = { promptTokens: 900, completionTokens: 60, totalTokens: 960 };
+  let complete;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    complete = jest.fn().mockResolvedValue({ content: 'Deploy 142 at 09:55.', usage, model: 'gpt-4o-mini' });
+    jest.spyOn(providers, 'getProvider').mockReturnValue({ name: 'openai', complete });
+
+    incidentsService.getIncidentById.mockResolvedValue(incident);
+    managementService.getComments.mockResolvedValue([
+      { author_name: 'Bob', comment_text: 'Deploy 142 went out at 09:55', created_at: '2024-05-01T10:05:00.000Z' },
+    ]);
+    managementService.getActivity.mockResolvedValue([
+      { description: 'Status changed to investigating', created_at: '2024-05-01T10:02:00.000Z' },
+      { description: 'Incident created', created_at: '2024-05-01T10:00:00.000Z' },
+    ]);
+    aiUsageService.checkBudget.mockResolvedValue({ exceeded: false });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('buildIncidentContext', () => {
+    it('should include the analysis, notes and activity in order', () => {
+      const context = chatService.buildIncidentContext(
+        incident,
+        [{ author_name: 'Bob', comment_text: 'Rolled back', created_at: '2024-05-01T10:05:00.000Z' }],
+        [
+          { description: 'Status changed', created_at: '2024-05-01T10:02:00.000Z' },
+          { description: 'Incident created', created_at: '2024-05-01T10:00:00.000Z' },
+        ]
+      );
+
+      expect(context).toContain('INCIDENT #1: Checkout API timing out');
+      expect(context).toContain('Root cause 1 (high likelihood): Connection leak');
+      expect(context).toContain('Action [immediate]: Restart API pods');
+      expect(context).toContain('Bob: Rolled back');
+      expect(context.indexOf('Incident created')).toBeLessThan(context.indexOf('Status changed'));
+    });
+  });
+
+  describe('listMessages', () => {
+    it('should return 404 for a missing incident', async () => {
+      incidentsService.getIncidentById.mockResolvedValue(null);
+
+      await expect(chatService.listMessages(9)).rejects.toMatchObject({ statusCode: 404 });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sendMessage', () => {
+    it('should ground the question in redacted context and history, then store both turns', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [
+          { role: 'assistant', content: 'The pool is exhausted.' },
+          { role: 'user', content: 'What is wrong?' },
+        ] })
+        .mockResolvedValueOnce({ rows: [{ id: 3, role: 'user' }, { id: 4, role: 'assistant' }] });
+
+      const result = await chatService.sendMessage(1, 'Which deploy preceded this?', 'Jane');
+
+      const { messages } = complete.mock.calls[0][0];
+      expect(messages[0].role).toBe('system');
+      expect(messages[0].content).toContain('Deploy 142 went out at 09:55');
+      expect(messages[0].content).not.toContain('hunter2');
+      expect(messages.slice(1).map(message => message.content)).toEqual([
+        'What is wrong?',
+        'The pool is exhausted.',
+        'Which deploy preceded this?',
+      ]);
+
+      expect(aiUsageService.recordUsage).toHaveBeenCalledWith(
+        expect.objectContaining({ incidentId: 1, purpose: 'chat', model: 'gpt-4o-mini', usage })
+      );
+      expect(db.query.mock.calls[1][1]).toEqual(
+        [1, 'Which deploy preceded this?', 'Jane', 'Deploy 142 at 09:55.', 'openai', 'gpt-4o-mini', 900, 60]
+      );
+      expect(result).toEqual({ userMessage: { id: 3, role: 'user' }, assistantMessage: { id: 4, role: 'assistant' } });
+    });
+
+    it('should refuse with 503 once the budget is spent', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+      aiUsageService.checkBudget.mockResolvedValue({ exceeded: true, reason: 'Monthly AI budget exceeded' });
+
+      await expect(chatService.sendMessage(1, 'Why?')).rejects.toMatchObject({ statusCode: 503 });
+      expect(complete).not.toHaveBeenCalled();
+    });
+
+    it('should return 502 and store nothing when the provider fails', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+      complete.mockRejectedValue(new Error('OpenAI API timeout'));
+
+      await expect(chatService.sendMessage(1, 'Why?')).rejects.toMatchObject({ statusCode: 502 });
+      expect(db.query).toHaveBeenCalledTimes(1); // History only
+    });
+
+    it('should not meter the heuristic provider', async () => {
+      jest.spyOn(providers, 'getProvider').mockReturnValue(providers.getFallbackProvider());
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 1 }, { id: 2 }] });
+
+      await chatService.sendMessage(1, 'Why?');
+
+      expect(aiUsageService.checkBudget).not.toHaveBeenCalled();
+      expect(aiUsageService.recordUsage).not.toHaveBeenCalled();
+    });
+  });
+});
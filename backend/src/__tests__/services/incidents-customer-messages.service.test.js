@@ -0,0 +1,157 @@
+/**
+ * Incidents Customer Messages Service Unit Tests
+ * Tests translating customer messages and reading them per language
+ */
+
+const customerMessagesService = require('../../services/incidents-customer-messages.service');
+const incidentsService = require('../../services/incidents.service');
+const aiUsageService = require('../../services/ai-usage.service');
+const providers = require('../../services/providers');
+const config = require('../../config/env');
+const db = require('../../db');
+
+jest.mock('../../db');
+jest.mock('../../services/incidents.service');
+jest.mock('../../services/ai-usage.service');
+
+describe('Incidents Customer Messages Service', () => {
+  const originalLocales = config.customerMessages.locales;
+
+  const incident = {
+    id: 1,
+    severity: 'high',
+    active_analysis_id: 12,
+    ai_customer_message: 'We are investigating slow checkouts. Contact ops@example.com for updates.',
+    updated_at: '2024-05-01T10:00:00.000Z',
+  };
+
+  const usage = { promptTokens: 200, completionTokens: 120, totalTokens: 320 };
+  let complete;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    config.customerMessages.locales = ['de', 'fr'];
+    complete = jest.fn().mockResolvedValue({
+      content: JSON.stringify({ de: 'Wir untersuchen langsame Bestellungen.', fr: ' Nous enquêtons. ' }),
+      usage,
+      model: 'gpt-4o-mini',
+    });
+    jest.spyOn(providers, 'getProvider').mockReturnValue({ name: 'openai', complete });
+    aiUsageService.checkBudget.mockResolvedValue({ exceeded: false });
+    db.query.mockResolvedValue({ rows: [] });
+  });
+
+  afterEach(() => {
+    config.customerMessages.locales = originalLocales;
+    jest.restoreAllMocks();
+  });
+
+  describe('translateCustomerMessage', () => {
+    it('should translate into every locale in one metered call and store each translation', async () => {
+      const stored = await customerMessagesService.translateCustomerMessage(incident);
+
+      expect(stored).toEqual(['de', 'fr']);
+
+      const { messages, json } = complete.mock.calls[0][0];
+      expect(json).toBe(true);
+      expect(messages[1].content).toContain('"de": German');
+      expect(messages[1].content).toContain('"fr": French');
+      expect(messages[1].content).not.toContain('ops@example.com');
+
+      expect(aiUsageService.recordUsage).toHaveBeenCalledWith(expect.objectContaining({
+        incidentId: 1,
+        purpose: 'translation',
+        provider: 'openai',
+      }));
+      expect(db.query).toHaveBeenCalledTimes(2);
+      expect(db.query.mock.calls[1][1]).toEqual([1, 12, 'fr', 'Nous enquêtons.', 'openai', 'gpt-4o-mini']);
+    });
+
+    it('should skip locales missing from the answer', async () => {
+      complete.mockResolvedValue({ content: JSON.stringify({ de: 'Hallo' }), usage, model: 'gpt-4o-mini' });
+
+      const stored = await customerMessagesService.translateCustomerMessage(incident);
+
+      expect(stored).toEqual(['de']);
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should do nothing without configured locales', async () => {
+      config.customerMessages.locales = [];
+
+      expect(await customerMessagesService.translateCustomerMessage(incident)).toEqual([]);
+      expect(complete).not.toHaveBeenCalled();
+    });
+
+    it('should do nothing with the heuristic provider', async () => {
+      providers.getProvider.mockReturnValue({ name: 'heuristic', complete });
+
+      expect(await customerMessagesService.translateCustomerMessage(incident)).toEqual([]);
+      expect(complete).not.toHaveBeenCalled();
+    });
+
+    it('should not call the model over budget', async () => {
+      aiUsageService.checkBudget.mockResolvedValue({ exceeded: true, reason: 'Monthly AI budget exceeded' });
+
+      expect(await customerMessagesService.translateCustomerMessage(incident)).toEqual([]);
+      expect(complete).not.toHaveBeenCalled();
+    });
+
+    it('should not throw when the model fails or answers invalid JSON', async () => {
+      complete.mockRejectedValueOnce(new Error('rate limited'));
+      expect(await customerMessagesService.translateCustomerMessage(incident)).toEqual([]);
+
+      complete.mockResolvedValueOnce({ content: 'Sure! Here you go', usage, model: 'gpt-4o-mini' });
+      expect(await customerMessagesService.translateCustomerMessage(incident)).toEqual([]);
+
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getCustomerMessage', () => {
+    beforeEach(() => {
+      incidentsService.getIncidentById.mockResolvedValue(incident);
+      db.query.mockResolvedValue({
+        rows: [{ locale: 'de', message: 'Wir untersuchen das Problem.', created_at: '2024-05-01T10:01:00.000Z' }],
+      });
+    });
+
+    it('should return the English message with the available languages', async () => {
+      const message = await customerMessagesService.getCustomerMessage(1);
+
+      expect(message).toEqual({
+        locale: 'en',
+        message: incident.ai_customer_message,
+        available: ['en', 'de'],
+        createdAt: incident.updated_at,
+      });
+      expect(db.query.mock.calls[0][1]).toEqual([12]);
+    });
+
+    it('should return a translation, ignoring case', async () => {
+      const message = await customerMessagesService.getCustomerMessage(1, 'DE');
+
+      expect(message.locale).toBe('de');
+      expect(message.message).toBe('Wir untersuchen das Problem.');
+    });
+
+    it('should return 404 for a language without translation', async () => {
+      await expect(customerMessagesService.getCustomerMessage(1, 'fr')).rejects.toMatchObject({
+        statusCode: 404,
+        message: 'Customer message is not available in "fr". Available: en, de',
+      });
+    });
+
+    it('should return 404 before the first analysis', async () => {
+      incidentsService.getIncidentById.mockResolvedValue({ ...incident, ai_customer_message: null });
+
+      await expect(customerMessagesService.getCustomerMessage(1)).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('should return 404 for a missing incident', async () => {
+      incidentsService.getIncidentById.mockResolvedValue(null);
+
+      await expect(customerMessagesService.getCustomerMessage(99)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
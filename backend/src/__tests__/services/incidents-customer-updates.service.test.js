@@ -0,0 +1,281 @@
+/**
+ * Incidents Customer Updates Service Unit Tests
+ * Tests the draft → approve → publish workflow and AI drafting
+ */
+
+const customerUpdatesService = require('../../services/incidents-customer-updates.service');
+const incidentsService = require('../../services/incidents.service');
+const managementService = require('../../services/incidents-management.service');
+const aiUsageService = require('../../services/ai-usage.service');
+const providers = require('../../services/providers');
+const db = require('../../db');
+
+jest.mock('../../db');
+jest.mock('../../services/incidents.service');
+jest.mock('../../services/incidents-management.service');
+jest.mock('../../services/ai-usage.service');
+
+describe('Incidents Customer Updates Service', () => {
+  const incident = {
+    id: 1,
+    title: 'Checkout API timing out',
+    severity: 'high',
+    status: 'investigating',
+    ai_summary: 'Database pool exhausted',
+  };
+
+  const draft = { id: 5, incident_id: 1, status: 'draft', message: 'We are investigating.' };
+  const usage = { promptTokens: 300, completionTokens: 50, totalTokens: 350 };
+  let complete;
+
+  // Rows of the activity INSERTs made through logActivity
+  const activityCalls = () => db.query.mock.calls.filter(([sql]) => sql.includes('incident_activity'));
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    complete = jest.fn().mockResolvedValue({
+      content: '  We have identified the cause and are rolling out a fix.  ',
+      usage,
+      model: 'gpt-4o-mini',
+    });
+    jest.spyOn(providers, 'getProvider').mockReturnValue({ name: 'openai', complete });
+    incidentsService.getIncidentById.mockResolvedValue(incident);
+    managementService.getComments.mockResolvedValue([]);
+    aiUsageService.checkBudget.mockResolvedValue({ exceeded: false });
+    db.query.mockResolvedValue({ rows: [] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('buildTemplateUpdate', () => {
+    it('should pick the template of the incident status', () => {
+      expect(customerUpdatesService.buildTemplateUpdate('resolved')).toMatch(/has been resolved/);
+      expect(customerUpdatesService.buildTemplateUpdate('unknown')).toBe(
+        customerUpdatesService.buildTemplateUpdate('investigating')
+      );
+    });
+  });
+
+  describe('buildDraftPrompt', () => {
+    it('should include published updates and redacted notes without authors', () => {
+      const prompt = customerUpdatesService.buildDraftPrompt({
+        incident,
+        published: [{ message: 'We are looking into it.', incident_status: 'open', published_at: '2024-05-01T10:05:00.000Z' }],
+        comments: [{ author_name: 'Bob', comment_text: 'Failover to db-2 at 10.0.0.12', created_at: '2024-05-01T10:10:00.000Z' }],
+      });
+
+      expect(prompt).toContain('Current status: investigating');
+      expect(prompt).toContain('(open) We are looking into it.');
+      expect(prompt).toContain('Failover to db-2');
+      expect(prompt).not.toContain('Bob');
+      expect(prompt).not.toContain('10.0.0.12');
+    });
+
+    it('should say when nothing was published yet', () => {
+      expect(customerUpdatesService.buildDraftPrompt({ incident })).toContain('this is the first one');
+    });
+  });
+
+  describe('listUpdates', () => {
+    it('should filter by status', async () => {
+      db.query.mockResolvedValue({ rows: [draft] });
+
+      const updates = await customerUpdatesService.listUpdates(1, { status: 'published' });
+
+      expect(updates).toEqual([draft]);
+      expect(db.query.mock.calls[0][0]).toContain('AND status = $2');
+      expect(db.query.mock.calls[0][1]).toEqual([1, 'published']);
+    });
+
+    it('should reject an unknown status', async () => {
+      await expect(customerUpdatesService.listUpdates(1, { status: 'sent' })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should return 404 for a missing incident', async () => {
+      incidentsService.getIncidentById.mockResolvedValue(null);
+
+      await expect(customerUpdatesService.listUpdates(99)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('createDraft', () => {
+    it('should store a manual draft and log it', async () => {
+      db.query.mockResolvedValueOnce({ rows: [draft] });
+
+      const update = await customerUpdatesService.createDraft(1, '  We are investigating.  ', 'Jane');
+
+      expect(update).toEqual(draft);
+      expect(db.query.mock.calls[0][1].slice(0, 3)).toEqual([1, 'We are investigating.', 'manual']);
+      expect(activityCalls()[0][1][1]).toBe('customer_update_drafted');
+    });
+
+    it('should reject an empty message', async () => {
+      await expect(customerUpdatesService.createDraft(1, '   ')).rejects.toMatchObject({ statusCode: 400 });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('draftNextUpdate', () => {
+    it('should draft from published updates and the latest notes, and meter the call', async () => {
+      db.query
+        .mockResolvedValueOnce({
+          rows: [
+            { message: 'Second', incident_status: 'investigating', published_at: '2024-05-01T11:00:00.000Z' },
+            { message: 'First', incident_status: 'open', published_at: '2024-05-01T10:00:00.000Z' },
+          ],
+        })
+        .mockResolvedValueOnce({ rows: [{ ...draft, source: 'ai', provider: 'openai' }] });
+
+      const update = await customerUpdatesService.draftNextUpdate(1, 'Jane');
+
+      expect(update.source).toBe('ai');
+
+      const prompt = complete.mock.calls[0][0].messages[1].content;
+      expect(prompt.indexOf('First')).toBeLessThan(prompt.indexOf('Second'));
+
+      expect(aiUsageService.recordUsage).toHaveBeenCalledWith(expect.objectContaining({ purpose: 'customer_update' }));
+      expect(db.query.mock.calls[1][1].slice(0, 5)).toEqual([
+        1, 'We have identified the cause and are rolling out a fix.', 'ai', 'openai', 'gpt-4o-mini',
+      ]);
+    });
+
+    it('should fall back to the status template when the model fails', async () => {
+      complete.mockRejectedValue(new Error('rate limited'));
+      db.query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [draft] });
+
+      await customerUpdatesService.draftNextUpdate(1);
+
+      const [, message, , provider, , metadata] = db.query.mock.calls[1][1];
+      expect(message).toBe(customerUpdatesService.buildTemplateUpdate('investigating'));
+      expect(provider).toBe('heuristic');
+      expect(JSON.parse(metadata)).toEqual({ fallbackMode: true, fallbackReason: 'rate limited' });
+    });
+
+    it('should not call the model over budget', async () => {
+      aiUsageService.checkBudget.mockResolvedValue({ exceeded: true, reason: 'Monthly AI budget exceeded' });
+      db.query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [draft] });
+
+      await customerUpdatesService.draftNextUpdate(1);
+
+      expect(complete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('editUpdate', () => {
+    it('should send an approved update back to draft', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ ...draft, status: 'approved' }] })
+        .mockResolvedValueOnce({ rows: [{ ...draft, message: 'New text' }] });
+
+      const update = await customerUpdatesService.editUpdate(1, 5, 'New text', 'Jane');
+
+      expect(update.message).toBe('New text');
+      expect(db.query.mock.calls[1][0]).toContain("status = 'draft', approved_by = NULL");
+      expect(JSON.parse(activityCalls()[0][1][4])).toEqual({ updateId: 5, approvalReset: true });
+    });
+
+    it('should not edit a published update', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...draft, status: 'published' }] });
+
+      await expect(customerUpdatesService.editUpdate(1, 5, 'New text')).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should return 404 for an update of another incident', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(customerUpdatesService.editUpdate(2, 5, 'New text')).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('should return 404 for an update of an archived incident', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(customerUpdatesService.editUpdate(1, 5, 'New text')).rejects.toMatchObject({ statusCode: 404 });
+      expect(db.query.mock.calls[0][0]).toContain('SELECT id FROM incidents WHERE deleted_at IS NULL');
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('approveUpdate', () => {
+    it('should record who approved the draft', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [draft] })
+        .mockResolvedValueOnce({ rows: [{ ...draft, status: 'approved', approved_by: 'Jane' }] });
+
+      const update = await customerUpdatesService.approveUpdate(1, 5, 'Jane');
+
+      expect(update.status).toBe('approved');
+      expect(db.query.mock.calls[1][1]).toEqual([5, 'draft', 'approved', 'Jane']);
+      expect(activityCalls()[0][1][1]).toBe('customer_update_approved');
+    });
+
+    it('should return 409 when the update is not a draft', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...draft, status: 'published' }] });
+
+      await expect(customerUpdatesService.approveUpdate(1, 5)).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Only drafts can be approved (this update is published)',
+      });
+    });
+
+    it('should return 409 when someone else changed it meanwhile', async () => {
+      db.query.mockResolvedValueOnce({ rows: [draft] }).mockResolvedValueOnce({ rows: [] });
+
+      await expect(customerUpdatesService.approveUpdate(1, 5)).rejects.toMatchObject({ statusCode: 409 });
+      expect(activityCalls()).toHaveLength(0);
+    });
+
+    it('should return 404 when the incident is archived', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(customerUpdatesService.approveUpdate(1, 5, 'Jane')).rejects.toMatchObject({ statusCode: 404 });
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('publishUpdate', () => {
+    it('should publish an approved update with the current incident status', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ ...draft, status: 'approved' }] })
+        .mockResolvedValueOnce({ rows: [{ ...draft, status: 'published', approved_by: 'Jane' }] });
+
+      const update = await customerUpdatesService.publishUpdate(1, 5, 'Bob');
+
+      expect(update.status).toBe('published');
+      expect(db.query.mock.calls[1][1]).toEqual([5, 'approved', 'published', 'Bob', 'investigating']);
+      expect(JSON.parse(activityCalls()[0][1][4])).toEqual({ updateId: 5, approvedBy: 'Jane' });
+    });
+
+    it('should require approval first', async () => {
+      db.query.mockResolvedValueOnce({ rows: [draft] });
+
+      await expect(customerUpdatesService.publishUpdate(1, 5)).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Customer update must be approved before it is published',
+      });
+    });
+  });
+
+  describe('discardUpdate', () => {
+    it('should delete an unpublished update', async () => {
+      db.query.mockResolvedValueOnce({ rows: [draft] }).mockResolvedValueOnce({ rows: [draft] });
+
+      expect(await customerUpdatesService.discardUpdate(1, 5, 'Jane')).toEqual(draft);
+      expect(activityCalls()[0][1][1]).toBe('customer_update_discarded');
+    });
+
+    it('should keep published updates', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...draft, status: 'published' }] }).mockResolvedValueOnce({ rows: [] });
+
+      await expect(customerUpdatesService.discardUpdate(1, 5)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should return 404 and keep the draft when the incident is archived', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(customerUpdatesService.discardUpdate(1, 5, 'Jane')).rejects.toMatchObject({ statusCode: 404 });
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * Incidents Edit Service Unit Tests
+ * Tests field validation, per-field activity entries and optional re-analysis
+ */
+
+const editService = require('../../services/incidents-edit.service');
+const analysisService = require('../../services/incidents-analysis.service');
+const config = require('../../config/env');
+const db = require('../../db');
+
+jest.mock('../../db');
+jest.mock('../../services/incidents-analysis.service');
+
+describe('Incidents Edit Service', () => {
+  const originalRedaction = config.redaction;
+  const previous = {
+    previous_title: 'DB timeout',
+    previous_description: 'Connection pool exhausted',
+    previous_severity: 'medium',
+  };
+
+  // The UPDATE ... RETURNING row: new values plus the ones they replaced
+  function mockUpdatedRow(values) {
+    db.query.mockResolvedValueOnce({
+      rows: [{
+        id: 1,
+        title: 'DB timeout',
+        description: 'Connection pool exhausted',
+        severity: 'medium',
+        status: 'open',
+        ...values,
+        ...previous,
+      }],
+    });
+  }
+
+  function loggedActivities() {
+    return db.query.mock.calls.slice(1).map(([, params]) => ({
+      type: params[1],
+      description: params[3],
+      metadata: JSON.parse(params[4]),
+    }));
+  }
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    db.query.mockResolvedValue({ rows: [] });
+  });
+
+  afterEach(() => {
+    config.redaction = originalRedaction;
+  });
+
+  describe('validateChanges', () => {
+    it('should trim text and normalize severity', () => {
+      expect(editService.validateChanges({ title: '  New title ', severity: 'HIGH' }))
+        .toEqual({ title: 'New title', severity: 'high' });
+    });
+
+    it('should report every invalid field at once', () => {
+      let error;
+      try {
+        editService.validateChanges({ title: '   ', severity: 'urgent', description: 42 });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.statusCode).toBe(400);
+      expect(error.fields).toEqual({
+        title: 'must not be empty',
+        severity: 'must be one of: low, medium, high, critical',
+        description: 'must not be empty',
+      });
+    });
+
+    it('should reject titles longer than the column allows', () => {
+      expect(() => editService.validateChanges({ title: 'x'.repeat(256) }))
+        .toThrow('Invalid incident fields: title must be at most 255 characters');
+    });
+
+    it('should point status and assignee changes to their own endpoints', () => {
+      expect(() => editService.validateChanges({ status: 'resolved' }))
+        .toThrow('status cannot be changed here; use PATCH /api/incidents/:id/status');
+      expect(() => editService.validateChanges({ ai_summary: 'x' }))
+        .toThrow('ai_summary is not an incident field');
+    });
+
+    it('should reject an empty edit', () => {
+      expect(() => editService.validateChanges({}))
+        .toThrow('Nothing to update: provide title, description, severity');
+    });
+
+    it('should redact secrets before storage when configured', () => {
+      config.redaction = { ...originalRedaction, enabled: true, storeRedacted: true };
+
+      const { description } = editService.validateChanges({ description: 'connect ECONNREFUSED postgres://app:hunter2@db:5432/prod' });
+
+      expect(description).not.toContain('hunter2');
+    });
+  });
+
+  describe('updateIncident', () => {
+    it('should update the incident and log one activity per changed field', async () => {
+      mockUpdatedRow({ title: 'DB timeout in eu-west-1', severity: 'high' });
+
+      const { incident, changes, analysis } = await editService.updateIncident(
+        1, { title: 'DB timeout in eu-west-1', severity: 'high' }, 'Jane'
+      );
+
+      expect(incident).toEqual(expect.objectContaining({ id: 1, title: 'DB timeout in eu-west-1', severity: 'high' }));
+      expect(incident).not.toHaveProperty('previous_title');
+      expect(changes).toEqual([
+        { field: 'title', old_value: 'DB timeout', new_value: 'DB timeout in eu-west-1' },
+        { field: 'severity', old_value: 'medium', new_value: 'high' },
+      ]);
+      expect(analysis).toBeNull();
+      expect(db.query.mock.calls[0][1]).toEqual([1, 'DB timeout in eu-west-1', null, 'high', null]);
+      expect(loggedActivities()).toEqual([
+        {
+          type: 'title_changed',
+          description: 'Jane renamed the incident from "DB timeout" to "DB timeout in eu-west-1"',
+          metadata: { field: 'title', old_value: 'DB timeout', new_value: 'DB timeout in eu-west-1' },
+        },
+        {
+          type: 'severity_changed',
+          description: 'Jane changed severity from medium to high',
+          metadata: { field: 'severity', old_value: 'medium', new_value: 'high' },
+        },
+      ]);
+    });
+
+    it('should not log fields that were sent with their current value', async () => {
+      mockUpdatedRow({});
+
+      const { changes } = await editService.updateIncident(1, { title: 'DB timeout', severity: 'medium' }, 'Jane');
+
+      expect(changes).toEqual([]);
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should queue a re-analysis when asked and the description changed', async () => {
+      mockUpdatedRow({ description: 'Pool exhausted after the 14:02 deploy' });
+      analysisService.requestReanalysis.mockResolvedValue({ job: { id: 4 }, alreadyQueued: false });
+
+      const { incident, analysis } = await editService.updateIncident(
+        1, { description: 'Pool exhausted after the 14:02 deploy' }, 'Jane', { reanalyze: true }
+      );
+
+      expect(analysisService.requestReanalysis).toHaveBeenCalledWith(1, 'Jane');
+      expect(analysis).toEqual({ job: { id: 4 }, alreadyQueued: false });
+      expect(incident.analysis_status).toBe('pending');
+      expect(loggedActivities()[0]).toEqual(expect.objectContaining({
+        type: 'description_changed',
+        description: 'Jane edited the description',
+      }));
+    });
+
+    it('should queue a new job behind one that is already running', async () => {
+      const { requestReanalysis } = jest.requireActual('../../services/incidents-analysis.service');
+      analysisService.requestReanalysis.mockImplementation(requestReanalysis);
+
+      mockUpdatedRow({ description: 'Pool exhausted after the 14:02 deploy' });
+      db.query
+        .mockResolvedValueOnce({ rows: [] })          // description_changed activity
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] }) // incident exists
+        // Job 3 is running; the unique index only covers queued jobs, so the insert succeeds
+        .mockResolvedValueOnce({ rows: [{ id: 4, incident_id: 1, status: 'queued' }] })
+        .mockResolvedValue({ rows: [] });
+
+      const { analysis } = await editService.updateIncident(
+        1, { description: 'Pool exhausted after the 14:02 deploy' }, 'Jane', { reanalyze: true }
+      );
+
+      expect(analysis).toEqual({ job: { id: 4, incident_id: 1, status: 'queued' }, alreadyQueued: false });
+      const [insert, values] = db.query.mock.calls[3];
+      expect(insert).toContain("ON CONFLICT (incident_id) WHERE status = 'queued' DO NOTHING");
+      expect(values).toEqual([1, 3, 'rerun', 'Jane']);
+    });
+
+    it('should not re-analyze when only the title changed or reanalyze is off', async () => {
+      mockUpdatedRow({ title: 'Renamed' });
+      await editService.updateIncident(1, { title: 'Renamed' }, 'Jane', { reanalyze: true });
+
+      mockUpdatedRow({ description: 'New text' });
+      await editService.updateIncident(1, { description: 'New text' }, 'Jane');
+
+      expect(analysisService.requestReanalysis).not.toHaveBeenCalled();
+    });
+
+    it('should only edit the versions given in If-Match', async () => {
+      mockUpdatedRow({ title: 'Renamed', version: 4 });
+
+      const { incident } = await editService.updateIncident(1, { title: 'Renamed' }, 'Jane', { expectedVersions: [3] });
+
+      expect(incident.version).toBe(4);
+      expect(db.query.mock.calls[0][0]).toContain('version = ANY($5::int[])');
+      expect(db.query.mock.calls[0][1][4]).toEqual([3]);
+    });
+
+    it('should return 412 when someone else changed the incident first', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ version: 5 }] });
+
+      await expect(editService.updateIncident(1, { title: 'Renamed' }, 'Jane', { expectedVersions: [3] }))
+        .rejects.toMatchObject({ statusCode: 412, currentVersion: 5 });
+      expect(db.query).toHaveBeenCalledTimes(2);
+    });
+
+    it('should return 404 when the incident does not exist', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(editService.updateIncident(999, { title: 'x' }, 'Jane'))
+        .rejects.toMatchObject({ statusCode: 404, message: 'Incident with ID 999 not found' });
+    });
+
+    it('should not touch the database when validation fails', async () => {
+      await expect(editService.updateIncident(1, { severity: 'urgent' }, 'Jane'))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+});
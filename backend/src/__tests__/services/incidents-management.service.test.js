@@ -0,0 +1,238 @@
+/**
+ * Incidents Management Service Unit Tests
+ * Tests the status workflow and assignments, including If-Match version checks
+ */
+
+const managementService = require('../../services/incidents-management.service');
+const config = require('../../config/env');
+const db = require('../../db');
+
+jest.mock('../../db');
+
+describe('Incidents Management Service', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  describe('updateStatus', () => {
+    const originalWorkflow = config.incidentStatus;
+
+    // The incident's current status and version, then the UPDATE ... RETURNING row
+    function mockIncident(status, version = 3) {
+      db.query.mockResolvedValueOnce({ rows: [{ status, version }] });
+    }
+
+    afterEach(() => {
+      config.incidentStatus = originalWorkflow;
+    });
+
+    it('should resolve with a resolution note and log it', async () => {
+      mockIncident('investigating');
+      db.query.mockResolvedValueOnce({ rows: [{ id: 1, status: 'resolved', version: 4 }] });
+
+      const incident = await managementService.updateStatus(1, 'resolved', 'Jane', {
+        resolutionNote: ' Rolled back the 14:02 deploy ',
+      });
+
+      expect(incident.status).toBe('resolved');
+      expect(db.query.mock.calls[1][0]).toContain(
+        'resolved_at = CURRENT_TIMESTAMP, postmortem_pending_at = NULL, closed_at = NULL, '
+          + 'resolution_note = COALESCE($5, resolution_note)'
+      );
+      expect(db.query.mock.calls[1][1]).toEqual(['resolved', 1, 'investigating', null, 'Rolled back the 14:02 deploy']);
+      expect(db.query.mock.calls[2][1]).toEqual([
+        1, 'status_changed', 'Jane', 'Jane changed the status from investigating to resolved',
+        JSON.stringify({ old_status: 'investigating', new_status: 'resolved' }),
+      ]);
+      expect(db.query.mock.calls[3][1]).toEqual([
+        1, 'resolution_note', 'Jane', 'Jane added a resolution note: Rolled back the 14:02 deploy',
+        JSON.stringify({ status: 'resolved' }),
+      ]);
+    });
+
+    it('should clear the resolution timestamps when reopening', async () => {
+      mockIncident('closed');
+      db.query.mockResolvedValueOnce({ rows: [{ id: 1, status: 'reopened', resolved_at: null, closed_at: null }] });
+
+      await managementService.updateStatus(1, 'reopened', 'Jane', { reason: 'Errors are back' });
+
+      expect(db.query.mock.calls[1][0]).toContain(
+        'resolved_at = NULL, postmortem_pending_at = NULL, closed_at = NULL, resolution_note = NULL'
+      );
+      expect(db.query.mock.calls[1][1]).toEqual(['reopened', 1, 'closed', null]);
+      expect(db.query.mock.calls[3][1][3]).toBe('Jane changed the status to reopened: Errors are back');
+    });
+
+    it('should record the first time a milestone was reached', async () => {
+      mockIncident('investigating');
+      db.query.mockResolvedValueOnce({ rows: [{ id: 1, status: 'identified' }] });
+
+      await managementService.updateStatus(1, 'identified', 'Jane');
+
+      expect(db.query.mock.calls[1][0]).toContain('identified_at = COALESCE(identified_at, CURRENT_TIMESTAMP)');
+      expect(db.query.mock.calls[1][0]).not.toContain('$5');
+    });
+
+    it('should keep the resolution when waiting for the postmortem', async () => {
+      mockIncident('resolved');
+      db.query.mockResolvedValueOnce({ rows: [{ id: 1, status: 'postmortem_pending' }] });
+
+      await managementService.updateStatus(1, 'postmortem_pending', 'Jane');
+
+      const query = db.query.mock.calls[1][0];
+      expect(query).toContain('resolved_at = COALESCE(resolved_at, CURRENT_TIMESTAMP)');
+      expect(query).toContain('postmortem_pending_at = CURRENT_TIMESTAMP');
+      expect(query).not.toContain('resolution_note');
+    });
+
+    it('should reject transitions the workflow does not allow with 409 and the allowed statuses', async () => {
+      mockIncident('closed');
+
+      await expect(managementService.updateStatus(1, 'investigating', 'Jane')).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Cannot change status from closed to investigating. Allowed next statuses: reopened',
+        allowedStatuses: ['reopened'],
+      });
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should require the fields the workflow asks for', async () => {
+      mockIncident('investigating');
+
+      await expect(managementService.updateStatus(1, 'resolved', 'Jane', { resolutionNote: '  ' })).rejects.toMatchObject({
+        statusCode: 400,
+        fields: { resolutionNote: 'is required when the status changes to resolved' },
+      });
+    });
+
+    it('should follow a configured workflow', async () => {
+      config.incidentStatus = { transitions: { open: ['closed'] }, requiredFields: {} };
+      mockIncident('open');
+      db.query.mockResolvedValueOnce({ rows: [{ id: 1, status: 'closed' }] });
+
+      await managementService.updateStatus(1, 'closed', 'Jane');
+
+      expect(db.query.mock.calls[1][0]).toContain('closed_at = CURRENT_TIMESTAMP');
+      expect(managementService.getAllowedTransitions('closed')).toEqual([]);
+    });
+
+    it('should check the transition again when the status changed in between', async () => {
+      mockIncident('open');
+      db.query.mockResolvedValueOnce({ rows: [] });
+      mockIncident('resolved', 4);
+
+      await expect(managementService.updateStatus(1, 'investigating', 'Jane')).rejects.toMatchObject({ statusCode: 409 });
+      expect(db.query).toHaveBeenCalledTimes(3);
+    });
+
+    it('should reject unknown statuses', async () => {
+      await expect(managementService.updateStatus(1, 'done', 'Jane')).rejects.toMatchObject({ statusCode: 400 });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should return 412 when the incident moved past the If-Match version', async () => {
+      mockIncident('open', 4);
+      db.query.mockResolvedValueOnce({ rows: [{ version: 4 }] });
+
+      await expect(managementService.updateStatus(1, 'investigating', 'Jane', { expectedVersions: [3] }))
+        .rejects.toMatchObject({ statusCode: 412, currentVersion: 4 });
+    });
+
+    it('should return 404 when the incident does not exist', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(managementService.updateStatus(999, 'investigating', 'Jane')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('getAllowedTransitions', () => {
+    it('should list the next statuses with their required fields', () => {
+      expect(managementService.getAllowedTransitions('resolved')).toEqual([
+        { status: 'postmortem_pending', requiredFields: [] },
+        { status: 'closed', requiredFields: [] },
+        { status: 'reopened', requiredFields: ['reason'] },
+      ]);
+    });
+  });
+
+  describe('addComment', () => {
+    it('should return 404 for incidents that are missing or archived', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await expect(managementService.addComment(1, 'Jane', 'Looking into it')).rejects.toMatchObject({ statusCode: 404 });
+      expect(db.query.mock.calls[0][0]).toContain('WHERE id = $1 AND deleted_at IS NULL');
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('searchIncidents', () => {
+    it('should leave out archived incidents unless asked for them', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await managementService.searchIncidents({ q: 'db' });
+      await managementService.searchIncidents({ q: 'db', archived: true });
+
+      expect(db.query.mock.calls[0][0]).toContain('WHERE deleted_at IS NULL AND (title ILIKE $1');
+      expect(db.query.mock.calls[1][0]).toContain('WHERE deleted_at IS NOT NULL AND (title ILIKE $1');
+    });
+  });
+
+  describe('getAnalytics', () => {
+    it('should list the time spent in each phase in workflow order', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ status: 'resolved', count: '2' }] })
+        .mockResolvedValueOnce({ rows: [{ severity: 'high', count: '2' }] })
+        .mockResolvedValueOnce({ rows: [{ total: '2', open_count: '0', resolved_count: '2', total_resolved: '2' }] })
+        .mockResolvedValueOnce({
+          rows: [
+            { status: 'monitoring', count: '1', avg_seconds: '1800', median_seconds: '1800', total_seconds: '1800' },
+            { status: 'open', count: '2', avg_seconds: '300', median_seconds: '300', total_seconds: '600' },
+          ],
+        });
+
+      const analytics = await managementService.getAnalytics();
+
+      expect(db.query.mock.calls[3][0]).toContain("a.metadata->>'old_status' AS status");
+      expect(analytics.byPhase.map(phase => phase.status)).toEqual(['open', 'monitoring']);
+    });
+  });
+
+  describe('assignIncident', () => {
+    it('should assign when the incident is still at the If-Match version', async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 1, assigned_to: 'Sam', version: 4, previous_assigned_to: null }] });
+
+      const incident = await managementService.assignIncident(1, 'Sam', 'Jane', { expectedVersions: [3] });
+
+      expect(incident).toEqual({ id: 1, assigned_to: 'Sam', version: 4 });
+      expect(db.query.mock.calls[0][1]).toEqual(['Sam', 1, [3]]);
+    });
+
+    it('should log who reassigned the incident', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, assigned_to: 'Sam', previous_assigned_to: 'Alex' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await managementService.assignIncident(1, 'Sam', 'Jane');
+
+      expect(db.query.mock.calls[1][1]).toEqual([
+        1, 'assigned', 'Jane', 'Jane reassigned the incident from Alex to Sam',
+        JSON.stringify({ old_assignee: 'Alex', new_assignee: 'Sam' }),
+      ]);
+    });
+
+    it('should not log an assignment that changed nothing', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 1, assigned_to: 'Sam', previous_assigned_to: 'Sam' }] });
+
+      await managementService.assignIncident(1, 'Sam', 'Jane');
+
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return 404 when the incident does not exist', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await expect(managementService.assignIncident(999, 'Sam', 'Jane'))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Incidents Postmortems Service Unit Tests
+ * Tests drafting, fallback, Markdown rendering and revisions
+ */
+
+const postmortemsService = require('../../services/incidents-postmortems.service');
+const incidentsService = require('../../services/incidents.service');
+const managementService = require('../../services/incidents-management.service');
+const actionItemsService = require('../../services/incidents-action-items.service');
+const aiUsageService = require('../../services/ai-usage.service');
+const providers = require('../../services/providers');
+const db = require('../../db');
+
+jest.mock('../../db');
+jest.mock('../../services/incidents.service');
+jest.mock('../../services/incidents-management.service');
+jest.mock('../../services/incidents-action-items.service');
+jest.mock('../../services/ai-usage.service');
+
+describe('Incidents Postmortems Service', () => {
+  const incident = {
+    id: 1,
+    title: 'Checkout API timing out',
+    severity: 'high',
+    status: 'resolved',
+    description: 'Pool exhausted for postgres://app:hunter2@db/prod',
+    created_at: '2024-05-01T10:00:00.000Z',
+    resolved_at: '2024-05-01T12:15:00.000Z',
+    ai_summary: 'Database pool exhausted',
+    ai_root_causes: [{ cause: 'Connection leak', likelihood: 'high', reasoning: 'Pool never drains' }],
+  };
+
+  const activity = [
+    { description: 'Status changed from investigating to resolved', created_at: '2024-05-01T12:15:00.000Z' },
+    { description: 'Status changed from open to investigating', created_at: '2024-05-01T10:05:00.000Z' },
+  ];
+
+  const usage = { promptTokens: 1500, completionTokens: 400, totalTokens: 1900 };
+  let complete;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    complete = jest.fn();
+    jest.spyOn(providers, 'getProvider').mockReturnValue({ name: 'openai', complete });
+
+    incidentsService.getIncidentById.mockResolvedValue(incident);
+    managementService.getComments.mockResolvedValue([]);
+    managementService.getActivity.mockResolvedValue(activity);
+    actionItemsService.listActionItems.mockResolvedValue([
+      { action: 'Restart API pods', owner: 'SRE', status: 'done' },
+    ]);
+    aiUsageService.checkBudget.mockResolvedValue({ exceeded: false });
+    aiUsageService.recordUsage.mockResolvedValue(0.0005);
+    db.query.mockImplementation(async (query, values) => ({
+      rows: [{ id: 10, revision: 1, content: values[1], sections: values[2], provider: values[4] }],
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('buildRecordedSections', () => {
+    it('should build the timeline and action items from the records', () => {
+      const sections = postmortemsService.buildRecordedSections({
+        incident,
+        activity,
+        actionItems: [{ action: 'Restart API pods', owner: 'SRE', status: 'done' }],
+      });
+
+      expect(sections.impact).toBe('high severity incident, open for 2h 15m.');
+      expect(sections.timeline.map(entry => entry.event)).toEqual([
+        'Incident reported: Checkout API timing out',
+        'Status changed from open to investigating',
+        'Status changed from investigating to resolved',
+      ]);
+      expect(sections.rootCause).toBe('Connection leak Pool never drains');
+      expect(sections.actionItems).toEqual([{ action: 'Restart API pods', owner: 'SRE', status: 'done' }]);
+    });
+  });
+
+  describe('normalizeSections', () => {
+    it('should drop invalid entries and fill empty sections from the records', () => {
+      const recorded = { summary: 'S', impact: 'I', timeline: [{ time: 't', event: 'e' }], rootCause: 'R', actionItems: [] };
+
+      const sections = postmortemsService.normalizeSections({
+        summary: '  Pool exhausted  ',
+        timeline: [{ time: '2024-05-01T10:00:00Z' }],
+        whatWentWell: ['Fast rollback', 42],
+        actionItems: [{ action: 'Add pool metrics', status: 'whenever' }],
+      }, recorded);
+
+      expect(sections.summary).toBe('Pool exhausted');
+      expect(sections.impact).toBe('I');
+      expect(sections.timeline).toEqual([{ time: 't', event: 'e' }]);
+      expect(sections.whatWentWell).toEqual(['Fast rollback']);
+      expect(sections.actionItems).toEqual([{ action: 'Add pool metrics', owner: null, status: 'open' }]);
+    });
+  });
+
+  describe('renderMarkdown', () => {
+    it('should render every section with checkboxes for action items', () => {
+      const markdown = postmortemsService.renderMarkdown(incident, {
+        summary: 'Pool exhausted',
+        impact: 'Checkout failed for 2 hours',
+        timeline: [{ time: '2024-05-01T10:00:00Z', event: 'Reported' }],
+        rootCause: 'Connection leak',
+        whatWentWell: [],
+        actionItems: [{ action: 'Restart API pods', owner: 'SRE', status: 'done' }],
+      });
+
+      expect(markdown).toContain('# Postmortem: Checkout API timing out');
+      expect(markdown).toContain('**Duration:** 2h 15m');
+      expect(markdown).toContain('- **2024-05-01T10:00:00Z** — Reported');
+      expect(markdown).toContain('_To be completed by the team._');
+      expect(markdown).toContain('- [x] Restart API pods (SRE)');
+    });
+  });
+
+  describe('draftPostmortem', () => {
+    it('should draft from redacted context, record usage and log activity', async () => {
+      complete.mockResolvedValue({
+        content: JSON.stringify({
+          summary: 'Checkout failed because the DB pool was exhausted.',
+          impact: 'Checkout unavailable for 2h 15m.',
+          timeline: [{ time: '2024-05-01T10:00:00Z', event: 'Alerts fired' }],
+          rootCause: 'A connection leak.',
+          whatWentWell: ['Quick detection'],
+          actionItems: [],
+        }),
+        usage,
+        model: 'gpt-4o-mini',
+      });
+
+      const revision = await postmortemsService.draftPostmortem(1, 'Jane');
+
+      const { messages, json } = complete.mock.calls[0][0];
+      expect(json).toBe(true);
+      expect(messages[1].content).toContain('Status changed from open to investigating');
+      expect(messages[1].content).not.toContain('hunter2');
+
+      expect(aiUsageService.recordUsage).toHaveBeenCalledWith(
+        expect.objectContaining({ incidentId: 1, purpose: 'postmortem' })
+      );
+      expect(revision.content).toContain('Quick detection');
+      // Empty action items are taken from the tracked checklist
+      expect(revision.content).toContain('- [x] Restart API pods (SRE)');
+
+      const activityCall = db.query.mock.calls.find(([query]) => query.includes('incident_activity'));
+      expect(activityCall[1].slice(0, 3)).toEqual([1, 'postmortem_drafted', 'Jane']);
+    });
+
+    it('should fall back to the recorded sections when the provider fails', async () => {
+      complete.mockRejectedValue(new Error('OpenAI API timeout'));
+
+      const revision = await postmortemsService.draftPostmortem(1);
+
+      expect(revision.provider).toBe('heuristic');
+      expect(revision.content).toContain('Database pool exhausted');
+    });
+
+    it('should not call the provider once the budget is spent', async () => {
+      aiUsageService.checkBudget.mockResolvedValue({ exceeded: true, reason: 'Monthly AI budget exceeded' });
+
+      await postmortemsService.draftPostmortem(1);
+
+      expect(complete).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 while the incident is still open', async () => {
+      incidentsService.getIncidentById.mockResolvedValue({ ...incident, status: 'investigating' });
+
+      await expect(postmortemsService.draftPostmortem(1)).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('savePostmortem', () => {
+    it('should store the edit as a new revision', async () => {
+      const revision = await postmortemsService.savePostmortem(1, '# Edited\n\n', 'Jane');
+
+      expect(revision.content).toBe('# Edited\n');
+      expect(db.query.mock.calls[0][1][3]).toBe('edit');
+    });
+
+    it('should reject empty content', async () => {
+      await expect(postmortemsService.savePostmortem(1, '  ')).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('getPostmortem', () => {
+    it('should return 404 when there is no postmortem yet', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await expect(postmortemsService.getPostmortem(1)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
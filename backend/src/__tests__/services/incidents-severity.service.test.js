@@ -0,0 +1,137 @@
+/**
+ * Incidents Severity Service Unit Tests
+ * Tests the severity policy and accepting / dismissing AI suggestions
+ */
+
+const severityService = require('../../services/incidents-severity.service');
+const incidentsService = require('../../services/incidents.service');
+const config = require('../../config/env');
+const db = require('../../db');
+
+jest.mock('../../db');
+jest.mock('../../services/incidents.service');
+
+describe('Incidents Severity Service', () => {
+  const originalPolicy = config.severityPolicy;
+  const incident = {
+    id: 1,
+    severity: 'high',
+    ai_suggested_severity: 'critical',
+    ai_metadata: { severityJustification: 'All checkouts failing' },
+  };
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  afterEach(() => {
+    config.severityPolicy = originalPolicy;
+  });
+
+  describe('reconcileSeverity', () => {
+    it('should do nothing when the policy is ignore', async () => {
+      config.severityPolicy = 'ignore';
+
+      const result = await severityService.reconcileSeverity(incident);
+
+      expect(result).toBe(incident);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should only log the suggestion when the policy is suggest', async () => {
+      config.severityPolicy = 'suggest';
+      db.query.mockResolvedValue({ rows: [] });
+
+      const result = await severityService.reconcileSeverity(incident);
+
+      expect(result.severity).toBe('high');
+      expect(db.query).toHaveBeenCalledTimes(1);
+      expect(db.query.mock.calls[0][1][1]).toBe('severity_suggested');
+      expect(db.query.mock.calls[0][1][3]).toBe('AI suggests raising severity from high to critical');
+    });
+
+    it('should raise the severity and log it when the policy is auto-escalate', async () => {
+      config.severityPolicy = 'auto-escalate';
+      db.query
+        .mockResolvedValueOnce({ rows: [{ ...incident, severity: 'critical' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const result = await severityService.reconcileSeverity({ ...incident, analysis_version: 3 });
+
+      expect(result.severity).toBe('critical');
+      expect(result.analysis_version).toBe(3);
+      expect(db.query.mock.calls[0][1]).toEqual([1, 'critical', 'high']);
+      expect(db.query.mock.calls[1][1].slice(1, 3)).toEqual(['severity_changed', 'AI']);
+    });
+
+    it('should never lower the severity', async () => {
+      config.severityPolicy = 'auto-escalate';
+
+      const result = await severityService.reconcileSeverity({ ...incident, ai_suggested_severity: 'low' });
+
+      expect(result.severity).toBe('high');
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getSeveritySuggestion', () => {
+    it('should only surface higher suggestions under the suggest policy', () => {
+      config.severityPolicy = 'suggest';
+      expect(severityService.getSeveritySuggestion(incident)).toEqual({
+        severity: 'critical',
+        justification: 'All checkouts failing',
+      });
+      expect(severityService.getSeveritySuggestion({ ...incident, ai_suggested_severity: null })).toBeNull();
+
+      config.severityPolicy = 'auto-escalate';
+      expect(severityService.getSeveritySuggestion(incident)).toBeNull();
+    });
+  });
+
+  describe('acceptSuggestion', () => {
+    it('should raise the severity on behalf of the user', async () => {
+      incidentsService.getIncidentById.mockResolvedValue(incident);
+      db.query
+        .mockResolvedValueOnce({ rows: [{ ...incident, severity: 'critical' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const result = await severityService.acceptSuggestion(1, 'Jane');
+
+      expect(result.severity).toBe('critical');
+      expect(db.query.mock.calls[1][1][2]).toBe('Jane');
+    });
+
+    it('should return 409 without a pending suggestion', async () => {
+      incidentsService.getIncidentById.mockResolvedValue({ ...incident, ai_suggested_severity: 'high' });
+
+      await expect(severityService.acceptSuggestion(1)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should return 409 when the severity changed meanwhile', async () => {
+      incidentsService.getIncidentById.mockResolvedValue(incident);
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(severityService.acceptSuggestion(1)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should return 404 for a missing incident', async () => {
+      incidentsService.getIncidentById.mockResolvedValue(null);
+
+      await expect(severityService.acceptSuggestion(999)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('dismissSuggestion', () => {
+    it('should clear the suggestion and log it', async () => {
+      incidentsService.getIncidentById.mockResolvedValue(incident);
+      db.query
+        .mockResolvedValueOnce({ rows: [{ ...incident, ai_suggested_severity: null }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const result = await severityService.dismissSuggestion(1, 'Jane');
+
+      expect(result.ai_suggested_severity).toBeNull();
+      expect(db.query.mock.calls[1][1][1]).toBe('severity_suggestion_dismissed');
+    });
+  });
+});
@@ -5,11 +5,9 @@
 
 const incidentsService = require('../../services/incidents.service');
 const db = require('../../db');
-const aiService = require('../../services/ai.service');
 
 // Mock dependencies
 jest.mock('../../db');
-jest.mock('../../services/ai.service');
 
 describe('Incidents Service', () => {
   beforeEach(() => {
@@ -23,34 +21,14 @@ describe('Incidents Service', () => {
       description: 'Connection pool exhausted. Error: timeout after 30s.'
     };
 
-    const mockAIAnalysis = {
-      summary: 'Database connection pool saturated',
-      rootCauses: ['Connection pool at max capacity'],
-      customerMessage: 'We are investigating database issues',
-      actionItems: ['1. [IMMEDIATE] Check connection pool'],
-      suggestedSeverity: 'high',
-      metadata: {
-        severityJustification: 'High user impact',
-        similarPatterns: [],
-        preventiveMeasures: [],
-        analysisTimestamp: new Date().toISOString(),
-        tokensUsed: 1500
-      }
-    };
-
-    it('should create incident with AI analysis successfully', async () => {
-      aiService.generateIncidentAnalysis.mockResolvedValue(mockAIAnalysis);
-      
+    it('should create incident and queue analysis without waiting for AI', async () => {
       db.query.mockResolvedValue({
         rows: [{
           id: 1,
           ...validIncidentData,
-          ai_summary: mockAIAnalysis.summary,
-          ai_root_causes: mockAIAnalysis.rootCauses,
-          ai_customer_message: mockAIAnalysis.customerMessage,
-          ai_action_items: mockAIAnalysis.actionItems,
-          ai_metadata: mockAIAnalysis.metadata,
+          ai_summary: null,
           status: 'open',
+          analysis_status: 'pending',
           created_at: new Date(),
           updated_at: new Date()
         }]
@@ -60,8 +38,12 @@ describe('Incidents Service', () => {
 
       expect(result).toHaveProperty('id');
       expect(result.title).toBe(validIncidentData.title);
-      expect(aiService.generateIncidentAnalysis).toHaveBeenCalledWith(validIncidentData);
+      expect(result.analysis_status).toBe('pending');
       expect(db.query).toHaveBeenCalledTimes(1);
+
+      const [query, values] = db.query.mock.calls[0];
+      expect(query).toContain('INSERT INTO analysis_jobs');
+      expect(values).toEqual(['Database connection timeout', 'high', validIncidentData.description, 3]);
     });
 
     it('should throw error when title is missing', async () => {
@@ -101,10 +83,9 @@ describe('Incidents Service', () => {
     });
 
     it('should accept valid severity values', async () => {
-      const severities = ['low', 'medium', 'high'];
+      const severities = ['low', 'medium', 'high', 'critical'];
       
       for (const severity of severities) {
-        aiService.generateIncidentAnalysis.mockResolvedValue(mockAIAnalysis);
         db.query.mockResolvedValue({
           rows: [{ id: 1, ...validIncidentData, severity, status: 'open' }]
         });
@@ -116,18 +97,7 @@ describe('Incidents Service', () => {
       }
     });
 
-    it('should handle AI service failure gracefully', async () => {
-      aiService.generateIncidentAnalysis.mockRejectedValue(
-        new Error('OpenAI API unavailable')
-      );
-
-      await expect(incidentsService.createIncident(validIncidentData))
-        .rejects
-        .toThrow();
-    });
-
     it('should handle database insertion failure', async () => {
-      aiService.generateIncidentAnalysis.mockResolvedValue(mockAIAnalysis);
       db.query.mockRejectedValue(new Error('Database connection failed'));
 
       await expect(incidentsService.createIncident(validIncidentData))
@@ -136,6 +106,16 @@ describe('Incidents Service', () => {
     });
   });
 
+  describe('setAnalysisStatus', () => {
+    it('should update the analysis status', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await incidentsService.setAnalysisStatus(1, 'running');
+
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('analysis_status'), ['running', 1]);
+    });
+  });
+
   describe('getAllIncidents', () => {
     it('should return all incidents with default pagination', async () => {
       const mockIncidents = [
@@ -165,6 +145,25 @@ describe('Incidents Service', () => {
       );
     });
 
+    it('should leave out archived incidents', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await incidentsService.getAllIncidents();
+
+      expect(db.query.mock.calls[0][0]).toContain('WHERE deleted_at IS NULL');
+    });
+
+    it('should only list archived incidents with when they can be purged', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await incidentsService.getAllIncidents({ archived: true });
+
+      const [query, values] = db.query.mock.calls[0];
+      expect(query).toContain('WHERE deleted_at IS NOT NULL');
+      expect(query).toContain('deleted_at + make_interval(days => $3) AS purgeable_at');
+      expect(values).toEqual([100, 0, 30]);
+    });
+
     it('should handle database errors', async () => {
       db.query.mockRejectedValue(new Error('Database error'));
 
@@ -241,33 +240,21 @@ describe('Incidents Service', () => {
     });
   });
 
-  describe('deleteIncident', () => {
-    it('should delete incident successfully', async () => {
-      db.query.mockResolvedValue({ rows: [{ id: 1 }] });
+  describe('getUpdateConflictError', () => {
+    it('should report 412 with the current version when the incident exists', async () => {
+      db.query.mockResolvedValue({ rows: [{ version: 4 }] });
 
-      const result = await incidentsService.deleteIncident(1);
+      const error = await incidentsService.getUpdateConflictError(1);
 
-      expect(result).toBe(true);
-      expect(db.query).toHaveBeenCalledWith(
-        expect.stringContaining('DELETE FROM incidents'),
-        [1]
-      );
+      expect(error).toMatchObject({ statusCode: 412, currentVersion: 4 });
     });
 
-    it('should throw error when incident not found', async () => {
+    it('should report 404 when the incident does not exist', async () => {
       db.query.mockResolvedValue({ rows: [] });
 
-      await expect(incidentsService.deleteIncident(999))
-        .rejects
-        .toThrow('Incident with ID 999 not found');
-    });
+      const error = await incidentsService.getUpdateConflictError(999);
 
-    it('should handle database errors', async () => {
-      db.query.mockRejectedValue(new Error('Database error'));
-
-      await expect(incidentsService.deleteIncident(1))
-        .rejects
-        .toThrow('Database error');
+      expect(error).toMatchObject({ statusCode: 404, message: 'Incident with ID 999 not found' });
     });
   });
 });
@@ -0,0 +1,253 @@
+/**
+ * OIDC Service Unit Tests
+ * Runs the authorization code flow against a local mock OIDC issuer
+ */
+
+const oidcService = require('../../services/oidc.service');
+const authService = require('../../services/auth.service');
+const usersService = require('../../services/users.service');
+const config = require('../../config/env');
+const { startMockOidcIssuer } = require('../helpers/mockOidcIssuer');
+
+jest.mock('../../services/auth.service');
+jest.mock('../../services/users.service');
+
+const CLIENT = {
+  clientId: 'incident-assistant',
+  clientSecret: 'client secret',
+  redirectUri: 'http://localhost:3001/api/auth/oidc/callback',
+};
+
+describe('OIDC Service', () => {
+  const originalOidc = config.auth.oidc;
+  let idp;
+
+  /**
+   * Start a login and follow the browser to the IdP and back
+   * Returns the callback query and the pending login value
+   */
+  async function loginAtIdp(returnTo) {
+    const { url, pendingLogin } = await oidcService.startLogin(returnTo);
+    const response = await fetch(url, { redirect: 'manual' });
+    const callback = new URL(response.headers.get('location'));
+
+    return {
+      query: {
+        code: callback.searchParams.get('code'),
+        state: callback.searchParams.get('state'),
+        error: callback.searchParams.get('error'),
+        errorDescription: callback.searchParams.get('error_description'),
+      },
+      pendingLogin,
+    };
+  }
+
+  beforeAll(async () => {
+    idp = await startMockOidcIssuer(CLIENT);
+  });
+
+  afterAll(async () => {
+    await idp.close();
+  });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    config.auth.oidc = {
+      ...originalOidc,
+      ...CLIENT,
+      issuer: idp.issuer,
+      appUrl: 'http://localhost:5173',
+      roleMapping: { 'sre-leads': 'incident_commander', oncall: 'responder' },
+      defaultRole: 'viewer',
+    };
+    idp.signInAs({ sub: 'user-1', email: 'jane@example.com', name: 'Jane', groups: ['oncall'] });
+    idp.tamper();
+    usersService.findOrCreateOidcUser.mockImplementation(async ({ email, role }) => ({ id: 3, email, role, is_active: true }));
+    authService.createSession.mockImplementation(async (user) => ({ user, token: 'session-token', expiresAt: new Date() }));
+  });
+
+  afterEach(() => {
+    config.auth.oidc = originalOidc;
+  });
+
+  describe('startLogin', () => {
+    it('should send the browser to the IdP with state, nonce and a PKCE challenge', async () => {
+      const { url } = await oidcService.startLogin('/incidents/5');
+      const params = new URL(url).searchParams;
+
+      expect(url.startsWith(`${idp.issuer}/authorize?`)).toBe(true);
+      expect(params.get('client_id')).toBe('incident-assistant');
+      expect(params.get('redirect_uri')).toBe(CLIENT.redirectUri);
+      expect(params.get('scope')).toBe('openid email profile');
+      expect(params.get('state')).toEqual(expect.any(String));
+      expect(params.get('nonce')).toEqual(expect.any(String));
+      expect(params.get('code_challenge_method')).toBe('S256');
+    });
+
+    it('should return 404 when single sign-on is not configured', async () => {
+      config.auth.oidc = { ...config.auth.oidc, issuer: null };
+
+      await expect(oidcService.startLogin('/')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('completeLogin', () => {
+    it('should verify the ID token and start a session for the mapped role', async () => {
+      const { query, pendingLogin } = await loginAtIdp('/incidents/5');
+
+      const result = await oidcService.completeLogin(query, pendingLogin, { ip: '127.0.0.1' });
+
+      expect(result.returnTo).toBe('/incidents/5');
+      expect(result.token).toBe('session-token');
+      expect(usersService.findOrCreateOidcUser).toHaveBeenCalledWith({
+        issuer: idp.issuer,
+        subject: 'user-1',
+        email: 'jane@example.com',
+        emailVerified: false,
+        name: 'Jane',
+        role: 'responder',
+        syncRole: true,
+      });
+      expect(authService.createSession).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 3 }), { ip: '127.0.0.1' }, 'oidc'
+      );
+    });
+
+    it('should not redirect outside the app after login', async () => {
+      const { query, pendingLogin } = await loginAtIdp('//evil.example.com');
+
+      const result = await oidcService.completeLogin(query, pendingLogin);
+
+      expect(result.returnTo).toBe('/');
+    });
+
+    it('should keep roles managed in the app without a role mapping', async () => {
+      config.auth.oidc.roleMapping = {};
+      const { query, pendingLogin } = await loginAtIdp();
+
+      await oidcService.completeLogin(query, pendingLogin);
+
+      expect(usersService.findOrCreateOidcUser).toHaveBeenCalledWith(
+        expect.objectContaining({ role: 'viewer', syncRole: false })
+      );
+    });
+
+    it('should reject a callback whose state does not match', async () => {
+      const { query } = await loginAtIdp();
+      const { pendingLogin: otherLogin } = await oidcService.startLogin('/');
+
+      await expect(oidcService.completeLogin(query, otherLogin)).rejects.toMatchObject({ statusCode: 400 });
+      await expect(oidcService.completeLogin(query, undefined)).rejects.toMatchObject({ statusCode: 400 });
+      expect(authService.createSession).not.toHaveBeenCalled();
+    });
+
+    it('should not accept the same code twice', async () => {
+      const { query, pendingLogin } = await loginAtIdp();
+      await oidcService.completeLogin(query, pendingLogin);
+
+      await expect(oidcService.completeLogin(query, pendingLogin)).rejects.toMatchObject({
+        statusCode: 502,
+        message: 'Identity provider request failed: Code, redirect URI or verifier mismatch',
+      });
+    });
+
+    it('should report a login the user cancelled at the IdP', async () => {
+      idp.signInAs(null);
+      const { query, pendingLogin } = await loginAtIdp();
+
+      await expect(oidcService.completeLogin(query, pendingLogin)).rejects.toMatchObject({
+        statusCode: 401,
+        message: 'The identity provider did not log you in: User cancelled the login',
+      });
+    });
+
+    it.each([
+      ['another audience', { claims: { aud: 'someone-else' } }, 'Invalid ID token: issued for another client'],
+      ['an expired token', { claims: { exp: Math.floor(Date.now() / 1000) - 3600 } }, 'Invalid ID token: expired'],
+      ['another issuer', { claims: { iss: 'https://evil.example.com' } }, 'Invalid ID token: issued by https://evil.example.com'],
+      ['a replayed nonce', { claims: { nonce: 'old-nonce' } }, 'Invalid ID token: nonce mismatch'],
+      ['a key the IdP never published', { signWith: 'forged-key' }, 'Invalid ID token: signed with an unknown key'],
+    ])('should reject an ID token with %s', async (_, tampering, message) => {
+      idp.tamper(tampering);
+      const { query, pendingLogin } = await loginAtIdp();
+
+      await expect(oidcService.completeLogin(query, pendingLogin)).rejects.toMatchObject({ statusCode: 401, message });
+      expect(authService.createSession).not.toHaveBeenCalled();
+    });
+
+    it('should fetch the keys again after the IdP rotates them', async () => {
+      const first = await loginAtIdp();
+      await oidcService.completeLogin(first.query, first.pendingLogin);
+
+      idp.rotateKeys();
+      const second = await loginAtIdp();
+
+      await expect(oidcService.completeLogin(second.query, second.pendingLogin)).resolves.toMatchObject({ token: 'session-token' });
+    });
+
+    it('should refuse users without an email and deactivated users', async () => {
+      idp.signInAs({ sub: 'user-2', name: 'No Email' });
+      const noEmail = await loginAtIdp();
+      await expect(oidcService.completeLogin(noEmail.query, noEmail.pendingLogin)).rejects.toMatchObject({ statusCode: 401 });
+
+      idp.signInAs({ sub: 'user-1', email: 'jane@example.com' });
+      usersService.findOrCreateOidcUser.mockResolvedValue({ id: 3, is_active: false });
+      const deactivated = await loginAtIdp();
+      await expect(oidcService.completeLogin(deactivated.query, deactivated.pendingLogin))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should only allow linking by email when the IdP says it is verified', async () => {
+      idp.signInAs({ sub: 'user-1', email: 'jane@example.com', email_verified: true });
+      const verified = await loginAtIdp();
+      await oidcService.completeLogin(verified.query, verified.pendingLogin);
+
+      idp.signInAs({ sub: 'user-1', email: 'jane@example.com' });
+      const missingClaim = await loginAtIdp();
+      await oidcService.completeLogin(missingClaim.query, missingClaim.pendingLogin);
+
+      expect(usersService.findOrCreateOidcUser.mock.calls.map(([identity]) => identity.emailVerified)).toEqual([true, false]);
+
+      idp.signInAs({ sub: 'user-1', email: 'jane@example.com', email_verified: false });
+      const unverified = await loginAtIdp();
+      await expect(oidcService.completeLogin(unverified.query, unverified.pendingLogin))
+        .rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it('should fail with 502 when the IdP is unreachable', async () => {
+      config.auth.oidc.issuer = 'http://127.0.0.1:1';
+
+      await expect(oidcService.startLogin('/')).rejects.toMatchObject({ statusCode: 502 });
+    });
+  });
+
+  describe('roleForGroups', () => {
+    it('should pick the highest mapped role and fall back to the default', () => {
+      expect(oidcService.roleForGroups(['oncall', 'sre-leads', 'unmapped'])).toBe('incident_commander');
+      expect(oidcService.roleForGroups('oncall')).toBe('responder');
+      expect(oidcService.roleForGroups(['unmapped'])).toBe('viewer');
+      expect(oidcService.roleForGroups(undefined)).toBe('viewer');
+    });
+  });
+
+  describe('getLoginOptions / getLogoutUrl', () => {
+    it('should describe the login methods', () => {
+      expect(oidcService.getLoginOptions()).toEqual({ passwordLogin: true, oidc: { name: 'SSO' } });
+    });
+
+    it('should log out at the IdP and come back to the login page', async () => {
+      const url = new URL(await oidcService.getLogoutUrl());
+
+      expect(url.pathname).toBe('/logout');
+      expect(url.searchParams.get('client_id')).toBe('incident-assistant');
+      expect(url.searchParams.get('post_logout_redirect_uri')).toBe('http://localhost:5173/login');
+    });
+
+    it('should skip the IdP logout when single sign-on is off', async () => {
+      config.auth.oidc = { ...config.auth.oidc, issuer: null };
+
+      await expect(oidcService.getLogoutUrl()).resolves.toBeNull();
+      expect(oidcService.getLoginOptions().oidc).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Prompt Templates Service Unit Tests
+ * Tests loading, rendering and A/B selection of versioned prompt templates
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../config/env');
+const promptTemplates = require('../../services/prompt-templates.service');
+
+describe('Prompt Templates Service', () => {
+  const originalPrompts = { ...config.prompts };
+  let dir;
+
+  /**
+   * Write a template version into the temporary templates directory
+   */
+  function writeTemplate(version, user, system = 'You are an SRE.') {
+    fs.writeFileSync(path.join(dir, 'incident-analysis', `${version}.system.txt`), `${system}\n`);
+    fs.writeFileSync(path.join(dir, 'incident-analysis', `${version}.user.txt`), `${user}\n`);
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+    fs.mkdirSync(path.join(dir, 'incident-analysis'));
+    config.prompts = { ...originalPrompts, dir };
+  });
+
+  afterEach(() => {
+    config.prompts = { ...originalPrompts };
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('bundled templates', () => {
+    it('should only use declared variables', () => {
+      config.prompts.dir = originalPrompts.dir;
+
+      const template = promptTemplates.getTemplate('incident-analysis', 'v2');
+
+      expect(template.id).toBe('incident-analysis/v2');
+      expect(template.user).toContain('{{description}}');
+    });
+  });
+
+  describe('getTemplate / renderTemplate', () => {
+    it('should fill variables in a single pass', () => {
+      writeTemplate('v1', 'Title: {{title}}\n{{ description }}');
+      const template = promptTemplates.getTemplate('incident-analysis', 'v1');
+
+      const { systemPrompt, userPrompt } = promptTemplates.renderTemplate(template, {
+        title: 'Gateway 502s',
+        description: 'Log line mentions {{title}}',
+      });
+
+      expect(systemPrompt).toBe('You are an SRE.');
+      expect(userPrompt).toBe('Title: Gateway 502s\nLog line mentions {{title}}');
+    });
+
+    it('should reject undeclared variables', () => {
+      writeTemplate('v1', 'Customer: {{customerName}}');
+
+      expect(() => promptTemplates.getTemplate('incident-analysis', 'v1'))
+        .toThrow('uses unknown variable {{customerName}}');
+    });
+
+    it('should return 404 for a missing version', () => {
+      expect(() => promptTemplates.getTemplate('incident-analysis', 'v7')).toThrow(
+        expect.objectContaining({ statusCode: 404 })
+      );
+    });
+
+    it('should pick up edits to a template file', () => {
+      writeTemplate('v1', 'First {{title}}');
+      expect(promptTemplates.getTemplate('incident-analysis', 'v1').user).toBe('First {{title}}');
+
+      const file = path.join(dir, 'incident-analysis', 'v1.user.txt');
+      fs.writeFileSync(file, 'Second {{title}}\n');
+      const later = new Date(Date.now() + 5000);
+      fs.utimesSync(file, later, later);
+
+      expect(promptTemplates.getTemplate('incident-analysis', 'v1').user).toBe('Second {{title}}');
+    });
+  });
+
+  describe('listVersions', () => {
+    it('should list versions in numeric order', () => {
+      writeTemplate('v10', 'x');
+      writeTemplate('v2', 'x');
+
+      expect(promptTemplates.listVersions('incident-analysis')).toEqual(['v2', 'v10']);
+      expect(promptTemplates.listVersions('missing')).toEqual([]);
+    });
+  });
+
+  describe('selectAnalysisTemplate', () => {
+    beforeEach(() => {
+      writeTemplate('v2', 'Old {{title}}');
+      writeTemplate('v3', 'New {{title}}');
+    });
+
+    it('should use the configured version without a split', () => {
+      config.prompts.analysisVersion = 'v3';
+      config.prompts.analysisSplit = {};
+
+      const template = promptTemplates.selectAnalysisTemplate(1);
+
+      expect(template.id).toBe('incident-analysis/v3');
+      expect(template.assignment).toBe('default');
+    });
+
+    it('should split incidents between versions and keep each incident on one side', () => {
+      config.prompts.analysisSplit = { v2: 50, v3: 50 };
+
+      const versions = Array.from({ length: 200 }, (_, id) => promptTemplates.selectAnalysisTemplate(id).version);
+      const v3Share = versions.filter(version => version === 'v3').length / versions.length;
+
+      expect(v3Share).toBeGreaterThan(0.35);
+      expect(v3Share).toBeLessThan(0.65);
+      expect(promptTemplates.selectAnalysisTemplate(42).version).toBe(versions[42]);
+      expect(promptTemplates.selectAnalysisTemplate(42).assignment).toBe('split');
+    });
+  });
+
+  describe('pickFromSplit', () => {
+    it('should never pick a version with no weight share', () => {
+      expect(promptTemplates.pickFromSplit({ v2: 100 }, 'any')).toBe('v2');
+    });
+  });
+});
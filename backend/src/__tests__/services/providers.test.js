@@ -0,0 +1,118 @@
+/**
+ * AI Provider Unit Tests
+ * Tests provider registry and the rule-based heuristic provider
+ */
+
+const providers = require('../../services/providers');
+const { buildAnalysis, embedText } = require('../../services/providers/heuristic.provider');
+const { cosineSimilarity } = require('../../services/embeddings.service');
+const OpenAI = require('openai');
+
+jest.mock('openai');
+
+describe('AI Providers', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getProvider', () => {
+    it('should create the configured provider by name', () => {
+      expect(providers.getProvider('openai').name).toBe('openai');
+      expect(providers.getProvider('local').name).toBe('local');
+      expect(providers.getProvider('heuristic').name).toBe('heuristic');
+    });
+
+    it('should point the local provider at the configured base URL', () => {
+      providers.getProvider('local');
+
+      expect(OpenAI).toHaveBeenCalledWith(expect.objectContaining({
+        baseURL: 'http://localhost:11434/v1',
+      }));
+    });
+
+    it('should throw for unknown providers', () => {
+      expect(() => providers.getProvider('nope')).toThrow('Unknown AI provider');
+    });
+
+    it('should use the heuristic provider as fallback', () => {
+      expect(providers.getFallbackProvider().name).toBe('heuristic');
+    });
+  });
+
+  describe('heuristic provider', () => {
+    const incident = {
+      title: 'Checkout API timing out',
+      severity: 'high',
+      description: 'PostgreSQL connection pool exhausted, requests fail with ETIMEDOUT after 30s',
+    };
+
+    it('should match known failure signatures', () => {
+      const analysis = buildAnalysis(incident);
+
+      expect(analysis.summary).toContain('database');
+      expect(analysis.summary).toContain('timeout');
+      expect(analysis.rootCauses[0].likelihood).toBe('high');
+      expect(analysis.rootCauses[1].likelihood).toBe('medium');
+      expect(analysis.actionItems.length).toBeGreaterThan(0);
+      expect(analysis.actionItems.length).toBeLessThanOrEqual(7);
+    });
+
+    it('should be deterministic', () => {
+      expect(buildAnalysis(incident)).toEqual(buildAnalysis(incident));
+    });
+
+    it('should fall back to generic triage when nothing matches', () => {
+      const analysis = buildAnalysis({ title: 'Weird', severity: 'low', description: 'Something odd happened' });
+
+      expect(analysis.summary).toContain('manual triage required');
+      expect(analysis.rootCauses).toHaveLength(2);
+      expect(analysis.suggestedSeverity).toBe('low');
+    });
+
+    it('should suggest critical severity for widespread impact', () => {
+      const analysis = buildAnalysis({ ...incident, description: 'Complete outage, all users affected' });
+
+      expect(analysis.suggestedSeverity).toBe('critical');
+    });
+
+    it('should return zero token usage', async () => {
+      const provider = providers.getProvider('heuristic');
+      const result = await provider.analyzeIncident({ incident });
+
+      expect(result.model).toBe('heuristic-rules');
+      expect(result.usage.totalTokens).toBe(0);
+      await expect(provider.testConnection()).resolves.toBe(true);
+    });
+
+    it('should embed text as a normalized hashed bag of words', async () => {
+      const pool = embedText('PostgreSQL connection pool exhausted on checkout-api');
+      const samePool = embedText('checkout-api: connection pool exhausted (PostgreSQL)');
+      const dns = embedText('DNS resolution failing for internal service names');
+
+      expect(pool).toHaveLength(256);
+      expect(Math.sqrt(pool.reduce((sum, value) => sum + value * value, 0))).toBeCloseTo(1, 6);
+      expect(cosineSimilarity(pool, samePool)).toBeCloseTo(1, 6);
+      expect(cosineSimilarity(pool, dns)).toBeLessThan(0.3);
+
+      const result = await providers.getProvider('heuristic').embed(['a text']);
+      expect(result.model).toBe('heuristic-hashed-bow-256');
+    });
+  });
+
+  describe('chat completion provider', () => {
+    it('should embed texts with the embedding model in input order', async () => {
+      const create = jest.fn().mockResolvedValue({
+        data: [{ index: 1, embedding: [0, 1] }, { index: 0, embedding: [1, 0] }],
+        usage: { prompt_tokens: 12, total_tokens: 12 },
+        model: 'text-embedding-3-small',
+      });
+      OpenAI.mockImplementation(() => ({ embeddings: { create } }));
+
+      const result = await providers.getProvider('openai').embed(['first', 'second']);
+
+      expect(create).toHaveBeenCalledWith({ model: 'text-embedding-3-small', input: ['first', 'second'] });
+      expect(result.embeddings).toEqual([[1, 0], [0, 1]]);
+      expect(result.usage).toEqual({ promptTokens: 12, completionTokens: 0, totalTokens: 12 });
+    });
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * Public Status Service Unit Tests
+ * Tests what the public status page and feeds expose, and setting public incident details
+ */
+
+const publicStatusService = require('../../services/public-status.service');
+const incidentsService = require('../../services/incidents.service');
+const config = require('../../config/env');
+const db = require('../../db');
+
+jest.mock('../../db');
+jest.mock('../../services/incidents.service');
+
+describe('Public Status Service', () => {
+  const originalStatusPage = { ...config.statusPage };
+
+  // Includes internal fields the service must never pass on
+  const incidentRow = {
+    id: 1,
+    public_title: null,
+    affected_components: ['Checkout'],
+    status: 'investigating',
+    severity: 'high',
+    created_at: '2024-05-01T10:00:00.000Z',
+    resolved_at: null,
+    closed_at: null,
+    title: 'db-prod-3 OOM killed',
+    description: 'Postgres on db-prod-3 was OOM killed',
+    ai_root_causes: [{ cause: 'Memory leak' }],
+  };
+
+  const updateRow = {
+    id: 7,
+    incident_id: 1,
+    message: 'Checkout is slow for some customers. We are investigating.',
+    incident_status: 'open',
+    published_at: '2024-05-01T10:10:00.000Z',
+    published_by: 'Jane',
+    approved_by: 'Bob',
+  };
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    Object.assign(config.statusPage, {
+      title: 'Acme Status',
+      url: 'https://status.acme.test',
+      components: ['API', 'Checkout'],
+      resolvedDays: 7,
+    });
+    db.query.mockResolvedValue({ rows: [] });
+  });
+
+  afterEach(() => {
+    Object.assign(config.statusPage, originalStatusPage);
+  });
+
+  describe('toPublicIncident', () => {
+    it('should only expose whitelisted fields', () => {
+      const incident = publicStatusService.toPublicIncident(incidentRow, [updateRow]);
+
+      expect(incident).toEqual({
+        id: 1,
+        title: 'Service disruption affecting Checkout',
+        status: 'investigating',
+        impact: 'major',
+        components: ['Checkout'],
+        startedAt: '2024-05-01T10:00:00.000Z',
+        resolvedAt: null,
+        updatedAt: '2024-05-01T10:10:00.000Z',
+        updates: [{
+          id: 7,
+          status: 'investigating',
+          message: updateRow.message,
+          publishedAt: '2024-05-01T10:10:00.000Z',
+        }],
+      });
+      expect(JSON.stringify(incident)).not.toMatch(/db-prod-3|Memory leak|Jane|Bob/);
+    });
+
+    it('should use the public title and report closed incidents as resolved', () => {
+      const incident = publicStatusService.toPublicIncident({
+        ...incidentRow,
+        public_title: 'Slow checkout',
+        status: 'closed',
+        closed_at: '2024-05-01T12:00:00.000Z',
+      });
+
+      expect(incident.title).toBe('Slow checkout');
+      expect(incident.status).toBe('resolved');
+      expect(incident.resolvedAt).toBe('2024-05-01T12:00:00.000Z');
+    });
+
+    it('should show identified and monitoring and keep internal statuses private', () => {
+      const statusOf = status => publicStatusService.toPublicIncident({ ...incidentRow, status }).status;
+
+      expect(statusOf('acknowledged')).toBe('investigating');
+      expect(statusOf('identified')).toBe('identified');
+      expect(statusOf('monitoring')).toBe('monitoring');
+      expect(statusOf('postmortem_pending')).toBe('resolved');
+    });
+  });
+
+  describe('getStatus', () => {
+    it('should derive component and overall status from active incidents', async () => {
+      db.query
+        .mockResolvedValueOnce({
+          rows: [
+            incidentRow,
+            { ...incidentRow, id: 2, severity: 'critical', status: 'resolved', resolved_at: '2024-05-01T09:00:00.000Z', affected_components: ['API'] },
+          ],
+        })
+        .mockResolvedValueOnce({ rows: [updateRow, { ...updateRow, id: 8, incident_id: 2 }] });
+
+      const status = await publicStatusService.getStatus();
+
+      expect(db.query.mock.calls[0][1]).toEqual([7]);
+      expect(status.title).toBe('Acme Status');
+      expect(status.status).toEqual({ indicator: 'major', description: 'Partial System Outage' });
+      expect(status.components).toEqual([
+        { name: 'API', status: 'operational' },
+        { name: 'Checkout', status: 'partial_outage' },
+      ]);
+      expect(status.activeIncidents.map(incident => incident.id)).toEqual([1]);
+      expect(status.resolvedIncidents.map(incident => incident.id)).toEqual([2]);
+    });
+
+    it('should report all systems operational without incidents', async () => {
+      const status = await publicStatusService.getStatus();
+
+      expect(status.status.description).toBe('All Systems Operational');
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getIncident', () => {
+    it('should return a public incident', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [incidentRow] })
+        .mockResolvedValueOnce({ rows: [updateRow] });
+
+      const incident = await publicStatusService.getIncident('1');
+
+      expect(incident.updates).toHaveLength(1);
+      expect(incident).not.toHaveProperty('description');
+    });
+
+    it('should hide incidents without published updates', async () => {
+      db.query.mockResolvedValueOnce({ rows: [incidentRow] }).mockResolvedValueOnce({ rows: [] });
+
+      await expect(publicStatusService.getIncident(1)).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('should return 404 for invalid IDs without querying', async () => {
+      await expect(publicStatusService.getIncident('abc')).rejects.toMatchObject({ statusCode: 404 });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('feeds', () => {
+    const item = {
+      id: 7,
+      incidentId: 1,
+      title: 'Checkout <slow> & failing',
+      status: 'investigating',
+      message: 'We are "looking" into it.',
+      publishedAt: '2024-05-01T10:10:00.000Z',
+      url: 'https://status.acme.test/incidents/1',
+    };
+
+    it('should build feed items with links to the status page', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...updateRow, public_title: null, affected_components: [] }] });
+
+      const [feedItem] = await publicStatusService.listFeedItems();
+
+      expect(feedItem).toEqual(expect.objectContaining({
+        incidentId: 1,
+        title: 'Service disruption',
+        url: 'https://status.acme.test/incidents/1',
+      }));
+      expect(feedItem).not.toHaveProperty('published_by');
+    });
+
+    it('should render escaped RSS', () => {
+      const xml = publicStatusService.renderRss([item]);
+
+      expect(xml).toContain('<title>Investigating: Checkout &lt;slow&gt; &amp; failing</title>');
+      expect(xml).toContain('<guid isPermaLink="false">incident-update-7</guid>');
+      expect(xml).toContain('<pubDate>Wed, 01 May 2024 10:10:00 GMT</pubDate>');
+      expect(xml).toContain('We are &quot;looking&quot; into it.');
+    });
+
+    it('should render Atom', () => {
+      const xml = publicStatusService.renderAtom([item]);
+
+      expect(xml).toContain('<feed xmlns="http://www.w3.org/2005/Atom">');
+      expect(xml).toContain('<id>https://status.acme.test/incidents/1#update-7</id>');
+      expect(xml).toContain('<updated>2024-05-01T10:10:00.000Z</updated>');
+    });
+  });
+
+  describe('updatePublicInfo', () => {
+    beforeEach(() => {
+      incidentsService.getIncidentById.mockResolvedValue({ id: 1, public_title: 'Old title', affected_components: ['API'] });
+    });
+
+    it('should store the title and de-duplicated components', async () => {
+      const info = await publicStatusService.updatePublicInfo(1, {
+        publicTitle: ' Slow checkout ',
+        affectedComponents: ['Checkout', 'Checkout '],
+      }, 'Jane');
+
+      expect(info).toEqual({ publicTitle: 'Slow checkout', affectedComponents: ['Checkout'] });
+      expect(db.query.mock.calls[0][1]).toEqual(['Slow checkout', ['Checkout'], 1]);
+      expect(db.query.mock.calls[1][1][1]).toBe('public_info_updated');
+    });
+
+    it('should keep fields that are not given and clear an empty title', async () => {
+      const info = await publicStatusService.updatePublicInfo(1, { publicTitle: '' });
+
+      expect(info).toEqual({ publicTitle: null, affectedComponents: ['API'] });
+    });
+
+    it('should reject unknown components', async () => {
+      await expect(publicStatusService.updatePublicInfo(1, { affectedComponents: ['Billing'] }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Unknown components: Billing. Must be among: API, Checkout' });
+    });
+
+    it('should accept any component when none are configured', async () => {
+      config.statusPage.components = [];
+
+      const info = await publicStatusService.updatePublicInfo(1, { affectedComponents: ['Billing'] });
+
+      expect(info.affectedComponents).toEqual(['Billing']);
+    });
+
+    it('should return 404 for a missing incident', async () => {
+      incidentsService.getIncidentById.mockResolvedValue(null);
+
+      await expect(publicStatusService.updatePublicInfo(99, {})).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
@@ -0,0 +1,276 @@
+/**
+ * Users Service Unit Tests
+ * Tests password hashing, account creation, password changes and the bootstrap account
+ */
+
+const usersService = require('../../services/users.service');
+const config = require('../../config/env');
+const db = require('../../db');
+
+jest.mock('../../db');
+
+describe('Users Service', () => {
+  const originalBootstrap = config.auth.bootstrap;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  afterEach(() => {
+    config.auth.bootstrap = originalBootstrap;
+  });
+
+  describe('hashPassword / verifyPassword', () => {
+    it('should verify the password it hashed and nothing else', async () => {
+      const hash = await usersService.hashPassword('correct horse battery');
+
+      expect(hash).toMatch(/^scrypt\$16384\$8\$1\$/);
+      expect(hash).not.toContain('correct horse battery');
+      await expect(usersService.verifyPassword('correct horse battery', hash)).resolves.toBe(true);
+      await expect(usersService.verifyPassword('wrong horse battery', hash)).resolves.toBe(false);
+    });
+
+    it('should salt every hash', async () => {
+      const first = await usersService.hashPassword('same password');
+      const second = await usersService.hashPassword('same password');
+
+      expect(first).not.toBe(second);
+    });
+
+    it('should reject malformed hashes', async () => {
+      await expect(usersService.verifyPassword('anything', null)).resolves.toBe(false);
+      await expect(usersService.verifyPassword('anything', 'md5$abc')).resolves.toBe(false);
+      await expect(usersService.verifyPassword('anything', 'scrypt$0$8$1$c2FsdA==$aGFzaA==')).resolves.toBe(false);
+    });
+  });
+
+  describe('createUser', () => {
+    it('should store a hashed password and return the user without it', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, email: 'jane@example.com', name: 'Jane' }] });
+
+      const user = await usersService.createUser({
+        email: ' jane@example.com ',
+        name: 'Jane',
+        password: 'long enough password',
+      });
+
+      expect(user).toEqual({ id: 1, email: 'jane@example.com', name: 'Jane' });
+      const [query, values] = db.query.mock.calls[1];
+      expect(query).toContain('INSERT INTO users');
+      expect(query).not.toMatch(/RETURNING[^;]*password_hash/);
+      expect(values[0]).toBe('jane@example.com');
+      expect(values[2]).toMatch(/^scrypt\$/);
+    });
+
+    it('should validate email, name and password', async () => {
+      await expect(usersService.createUser({ email: 'nope', name: 'Jane', password: 'long enough password' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(usersService.createUser({ email: 'jane@example.com', name: ' ', password: 'long enough password' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(usersService.createUser({ email: 'jane@example.com', name: 'Jane', password: 'short' }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Password must be at least 10 characters' });
+
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should default to the viewer role and reject unknown roles', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, role: 'viewer' }] });
+
+      await usersService.createUser({ email: 'jane@example.com', name: 'Jane', password: 'long enough password' });
+
+      expect(db.query.mock.calls[1][1][3]).toBe('viewer');
+      await expect(usersService.createUser({
+        email: 'jane@example.com', name: 'Jane', password: 'long enough password', role: 'owner',
+      })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should return 409 for an email that is taken', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 1 }] });
+
+      await expect(usersService.createUser({ email: 'JANE@example.com', name: 'Jane', password: 'long enough password' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('updateUser', () => {
+    it('should change the role', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 2, role: 'incident_commander', is_active: true }] });
+
+      const user = await usersService.updateUser('2', { role: 'incident_commander' }, 1);
+
+      expect(user.role).toBe('incident_commander');
+      expect(db.query.mock.calls[0][1]).toEqual(['2', 'incident_commander', null]);
+    });
+
+    it('should not let admins demote or deactivate themselves', async () => {
+      await expect(usersService.updateUser(1, { role: 'viewer' }, 1)).rejects.toMatchObject({ statusCode: 400 });
+      await expect(usersService.updateUser('1', { isActive: false }, 1)).rejects.toMatchObject({ statusCode: 400 });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should validate the fields and return 404 for unknown users', async () => {
+      await expect(usersService.updateUser(2, {}, 1)).rejects.toMatchObject({ statusCode: 400 });
+      await expect(usersService.updateUser(2, { role: 'owner' }, 1)).rejects.toMatchObject({ statusCode: 400 });
+      await expect(usersService.updateUser(2, { isActive: 'no' }, 1)).rejects.toMatchObject({ statusCode: 400 });
+
+      db.query.mockResolvedValueOnce({ rows: [] });
+      await expect(usersService.updateUser(99, { isActive: false }, 1)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('findOrCreateOidcUser', () => {
+    const identity = {
+      issuer: 'https://idp.example.com',
+      subject: 'abc-123',
+      email: 'jane@example.com',
+      name: 'Jane',
+      role: 'responder',
+    };
+
+    it('should create an account without a password on the first login', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 3, email: 'jane@example.com', role: 'responder' }] });
+
+      const user = await usersService.findOrCreateOidcUser(identity);
+
+      expect(user.id).toBe(3);
+      const [query, values] = db.query.mock.calls[2];
+      expect(query).toContain('INSERT INTO users');
+      expect(query).toContain('NULL');
+      expect(values).toEqual(['jane@example.com', 'Jane', 'responder', 'https://idp.example.com', 'abc-123']);
+    });
+
+    it('should link a local account with the same email and keep its role', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, role: 'admin', oidc_subject: null }] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, role: 'admin' }] });
+
+      const user = await usersService.findOrCreateOidcUser({ ...identity, emailVerified: true });
+
+      expect(user.role).toBe('admin');
+      expect(db.query.mock.calls[2][1]).toEqual([1, 'Jane', 'https://idp.example.com', 'abc-123', null]);
+    });
+
+    it('should sync the role of a known account when asked to', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, role: 'admin', is_active: true, oidc_subject: 'abc-123' }] })
+        .mockResolvedValueOnce({ rows: [{ count: 1 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, role: 'responder' }] });
+
+      await usersService.findOrCreateOidcUser({ ...identity, syncRole: true });
+
+      expect(db.query).toHaveBeenCalledTimes(3);
+      expect(db.query.mock.calls[1][1]).toEqual([1]);
+      expect(db.query.mock.calls[2][1][4]).toBe('responder');
+    });
+
+    it('should not sync away the admin role of the last admin', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, role: 'admin', is_active: true, oidc_subject: 'abc-123' }] })
+        .mockResolvedValueOnce({ rows: [{ count: 0 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, role: 'admin' }] });
+
+      const user = await usersService.findOrCreateOidcUser({ ...identity, syncRole: true });
+
+      expect(user.role).toBe('admin');
+      expect(db.query.mock.calls[1][0]).toContain("role = 'admin' AND is_active");
+      expect(db.query.mock.calls[2][1]).toEqual([1, 'Jane', 'https://idp.example.com', 'abc-123', null]);
+    });
+
+    it('should sync the role of other accounts without counting admins', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 4, role: 'viewer', is_active: true, oidc_subject: 'abc-123' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 4, role: 'responder' }] });
+
+      await usersService.findOrCreateOidcUser({ ...identity, syncRole: true });
+
+      expect(db.query).toHaveBeenCalledTimes(2);
+      expect(db.query.mock.calls[1][1][4]).toBe('responder');
+    });
+
+    it('should return 409 when the email belongs to another SSO account', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, oidc_subject: 'someone-else' }] });
+
+      await expect(usersService.findOrCreateOidcUser(identity)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should not link a local account when the email is not verified', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, role: 'admin', oidc_subject: null }] });
+
+      await expect(usersService.findOrCreateOidcUser(identity)).rejects.toMatchObject({ statusCode: 409 });
+      expect(db.query).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('changePassword', () => {
+    it('should return 400 for accounts without a password', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ password_hash: null }] });
+
+      await expect(usersService.changePassword(1, 'anything', 'new password 456'))
+        .rejects.toMatchObject({ statusCode: 400, message: 'This account signs in with single sign-on and has no password' });
+    });
+
+    it('should replace the hash when the current password matches', async () => {
+      const currentHash = await usersService.hashPassword('old password 123');
+      db.query
+        .mockResolvedValueOnce({ rows: [{ password_hash: currentHash }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await usersService.changePassword(1, 'old password 123', 'new password 456');
+
+      const [query, values] = db.query.mock.calls[1];
+      expect(query).toContain('UPDATE users SET password_hash');
+      await expect(usersService.verifyPassword('new password 456', values[0])).resolves.toBe(true);
+    });
+
+    it('should return 400 when the current password is wrong', async () => {
+      const currentHash = await usersService.hashPassword('old password 123');
+      db.query.mockResolvedValueOnce({ rows: [{ password_hash: currentHash }] });
+
+      await expect(usersService.changePassword(1, 'guess', 'new password 456'))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Current password is incorrect' });
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('ensureBootstrapUser', () => {
+    it('should do nothing without bootstrap credentials', async () => {
+      config.auth.bootstrap = { email: '', name: 'Admin', password: '' };
+
+      await expect(usersService.ensureBootstrapUser()).resolves.toBeNull();
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should do nothing once users exist', async () => {
+      config.auth.bootstrap = { email: 'admin@example.com', name: 'Admin', password: 'bootstrap password' };
+      db.query.mockResolvedValueOnce({ rows: [{ count: 2 }] });
+
+      await expect(usersService.ensureBootstrapUser()).resolves.toBeNull();
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should create the first user', async () => {
+      config.auth.bootstrap = { email: 'admin@example.com', name: 'Admin', password: 'bootstrap password' };
+      db.query
+        .mockResolvedValueOnce({ rows: [{ count: 0 }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, email: 'admin@example.com', name: 'Admin' }] });
+
+      const user = await usersService.ensureBootstrapUser();
+
+      expect(user.email).toBe('admin@example.com');
+      expect(db.query.mock.calls[2][1][3]).toBe('admin');
+    });
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Analysis Schema Unit Tests
+ * Tests validation of structured root causes and action items
+ */
+
+const { validateRootCauses, validateActionItems } = require('../../utils/analysisSchema');
+
+describe('Analysis Schema', () => {
+  describe('validateRootCauses', () => {
+    it('should normalize likelihood casing and trim component names', () => {
+      const { items, rejected } = validateRootCauses([
+        { cause: ' Pool exhausted ', likelihood: 'HIGH', reasoning: 'Max connections', components: [' db ', '', 42] },
+      ]);
+
+      expect(rejected).toBe(0);
+      expect(items).toEqual([
+        { cause: 'Pool exhausted', likelihood: 'high', reasoning: 'Max connections', components: ['db'] },
+      ]);
+    });
+
+    it('should reject entries without a cause', () => {
+      const { items, rejected } = validateRootCauses([{ cause: '' }, null, { cause: 'Valid' }]);
+
+      expect(items).toHaveLength(1);
+      expect(rejected).toBe(2);
+    });
+
+    it('should parse legacy formatted strings', () => {
+      const { items } = validateRootCauses([
+        '[HIGH] Database connection pool exhausted (Components: PostgreSQL, API)\nReasoning: Pool at max capacity',
+        'Plain legacy cause',
+      ]);
+
+      expect(items).toEqual([
+        {
+          cause: 'Database connection pool exhausted',
+          likelihood: 'high',
+          reasoning: 'Pool at max capacity',
+          components: ['PostgreSQL', 'API'],
+        },
+        { cause: 'Plain legacy cause', likelihood: 'medium', reasoning: null, components: [] },
+      ]);
+    });
+
+    it('should wrap a single value in a list', () => {
+      expect(validateRootCauses('Only cause').items).toHaveLength(1);
+    });
+  });
+
+  describe('validateActionItems', () => {
+    it('should default unknown priorities and missing fields', () => {
+      const { items } = validateActionItems([{ action: 'Check logs', priority: 'urgent', owner: '  ' }]);
+
+      expect(items).toEqual([
+        { priority: 'medium', action: 'Check logs', owner: null, command: null },
+      ]);
+    });
+
+    it('should parse legacy formatted strings', () => {
+      const { items } = validateActionItems([
+        '1. [IMMEDIATE] @SRE Restart service\n   Command: kubectl rollout restart deployment/api',
+        '2. Review dashboards',
+      ]);
+
+      expect(items).toEqual([
+        { priority: 'immediate', action: 'Restart service', owner: 'SRE', command: 'kubectl rollout restart deployment/api' },
+        { priority: 'medium', action: 'Review dashboards', owner: null, command: null },
+      ]);
+    });
+
+    it('should return an empty list for non-array input', () => {
+      expect(validateActionItems(undefined)).toEqual({ items: [], rejected: 0 });
+    });
+  });
+});
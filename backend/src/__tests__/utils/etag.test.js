@@ -0,0 +1,35 @@
+/**
+ * Incident ETags Unit Tests
+ * Tests formatting ETags and reading If-Match
+ */
+
+const { formatIncidentEtag, parseIfMatch, createVersionConflictError } = require('../../utils/etag');
+
+describe('Incident ETags', () => {
+  it('should use the incident version as the ETag', () => {
+    expect(formatIncidentEtag({ id: 5, version: 3 })).toBe('"v3"');
+  });
+
+  it('should accept any version without If-Match or with *', () => {
+    expect(parseIfMatch(undefined)).toBeNull();
+    expect(parseIfMatch(' * ')).toBeNull();
+  });
+
+  it('should read one or more ETags from If-Match', () => {
+    expect(parseIfMatch('"v3"')).toEqual([3]);
+    expect(parseIfMatch('"v3", "v4"')).toEqual([3, 4]);
+  });
+
+  it('should reject values that are not incident ETags', () => {
+    expect(() => parseIfMatch('v3')).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => parseIfMatch('W/"v3"')).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  it('should describe a lost update with the current version', () => {
+    const error = createVersionConflictError(5, 4);
+
+    expect(error.statusCode).toBe(412);
+    expect(error.currentVersion).toBe(4);
+    expect(error.message).toBe('Incident 5 was changed by someone else (now at version 4). Reload it and try again.');
+  });
+});
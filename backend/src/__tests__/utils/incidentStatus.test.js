@@ -0,0 +1,41 @@
+/**
+ * Incident Status Workflow Unit Tests
+ * Tests validating workflows from the environment
+ */
+
+const {
+  STATUSES,
+  MILESTONE_COLUMNS,
+  DEFAULT_TRANSITIONS,
+  DEFAULT_REQUIRED_FIELDS,
+  validateWorkflow,
+} = require('../../utils/incidentStatus');
+
+describe('Incident Status Workflow', () => {
+  it('should accept the built-in workflow', () => {
+    expect(validateWorkflow(DEFAULT_TRANSITIONS, DEFAULT_REQUIRED_FIELDS)).toEqual([]);
+  });
+
+  it('should give every status a way forward and only record milestones of known statuses', () => {
+    STATUSES.forEach(status => expect(DEFAULT_TRANSITIONS[status]).not.toHaveLength(0));
+    Object.keys(MILESTONE_COLUMNS).forEach(status => expect(STATUSES).toContain(status));
+  });
+
+  it('should report unknown statuses and fields', () => {
+    const errors = validateWorkflow(
+      { open: ['done'], paused: ['open'], investigating: 'resolved' },
+      { resolved: ['rootCause'] }
+    );
+
+    expect(errors).toEqual([
+      'INCIDENT_STATUS_TRANSITIONS.open has an unknown status: done',
+      'INCIDENT_STATUS_TRANSITIONS has an unknown status: paused',
+      'INCIDENT_STATUS_TRANSITIONS.investigating must be a list of statuses',
+      'INCIDENT_STATUS_REQUIRED_FIELDS.resolved has an unknown field rootCause (use resolutionNote, reason)',
+    ]);
+  });
+
+  it('should report settings that are not JSON objects', () => {
+    expect(validateWorkflow(null, null)).toHaveLength(2);
+  });
+});
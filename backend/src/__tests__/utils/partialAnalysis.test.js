@@ -0,0 +1,52 @@
+/**
+ * Partial Analysis Parser Unit Tests
+ * Tests extraction of sections from a truncated analysis answer
+ */
+
+const { extractPartialAnalysis } = require('../../utils/partialAnalysis');
+
+describe('Partial Analysis Parser', () => {
+  it('should return nothing before any section has started', () => {
+    expect(extractPartialAnalysis('{"summ')).toEqual({});
+  });
+
+  it('should return an unterminated summary', () => {
+    expect(extractPartialAnalysis('{"summary": "Database pool exha')).toEqual({
+      summary: 'Database pool exha',
+    });
+  });
+
+  it('should decode escapes and drop a half-received escape sequence', () => {
+    expect(extractPartialAnalysis('{"summary": "Line \\"one\\"\\nLine two\\').summary)
+      .toBe('Line "one"\nLine two');
+    expect(extractPartialAnalysis('{"summary": "Caf\\u00').summary).toBe('Caf');
+  });
+
+  it('should only return complete root cause objects', () => {
+    const text = '{"summary": "Done", "rootCauses": ['
+      + '{"cause": "Pool {exhausted}", "likelihood": "high", "components": ["db"]},'
+      + '{"cause": "Slow que';
+
+    expect(extractPartialAnalysis(text)).toEqual({
+      summary: 'Done',
+      rootCauses: [
+        { cause: 'Pool {exhausted}', likelihood: 'high', reasoning: null, components: ['db'] },
+      ],
+    });
+  });
+
+  it('should extract every section from a complete answer', () => {
+    const text = JSON.stringify({
+      summary: 'Gateway timing out',
+      rootCauses: [{ cause: 'Slow upstream' }],
+      customerMessage: 'We are investigating',
+      actionItems: [{ action: 'Check upstream latency', priority: 'immediate' }],
+    });
+
+    const partial = extractPartialAnalysis(text);
+
+    expect(partial.customerMessage).toBe('We are investigating');
+    expect(partial.rootCauses).toHaveLength(1);
+    expect(partial.actionItems[0].action).toBe('Check upstream latency');
+  });
+});
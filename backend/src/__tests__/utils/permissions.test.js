@@ -0,0 +1,42 @@
+/**
+ * Roles and Permissions Unit Tests
+ */
+
+const { ROLES, PERMISSIONS, hasPermission, permissionsFor } = require('../../utils/permissions');
+
+describe('Permissions', () => {
+  it('should only grant permissions to known roles', () => {
+    Object.values(PERMISSIONS).forEach(roles => {
+      roles.forEach(role => expect(ROLES).toContain(role));
+    });
+  });
+
+  it('should let every role read', () => {
+    ROLES.forEach(role => expect(hasPermission(role, 'incidents:read')).toBe(true));
+  });
+
+  it('should only let admins delete incidents and manage users', () => {
+    expect(hasPermission('admin', 'incidents:delete')).toBe(true);
+    expect(hasPermission('incident_commander', 'incidents:delete')).toBe(false);
+    expect(hasPermission('admin', 'incidents:purge')).toBe(true);
+    expect(hasPermission('incident_commander', 'incidents:purge')).toBe(false);
+    expect(hasPermission('incident_commander', 'users:manage')).toBe(false);
+  });
+
+  it('should let responders change status but not publish customer updates', () => {
+    expect(hasPermission('viewer', 'incidents:update')).toBe(false);
+    expect(hasPermission('responder', 'incidents:update')).toBe(true);
+    expect(hasPermission('responder', 'customer_updates:publish')).toBe(false);
+    expect(hasPermission('incident_commander', 'customer_updates:publish')).toBe(true);
+  });
+
+  it('should deny unknown roles and permissions', () => {
+    expect(hasPermission(undefined, 'incidents:read')).toBe(false);
+    expect(hasPermission('admin', 'incidents:launch')).toBe(false);
+  });
+
+  it('should list the permissions of a role', () => {
+    expect(permissionsFor('viewer')).toEqual(['incidents:read', 'analytics:read']);
+    expect(permissionsFor('admin')).toEqual(Object.keys(PERMISSIONS));
+  });
+});
@@ -0,0 +1,25 @@
+/**
+ * Severity Levels Unit Tests
+ * Tests normalizing and comparing severities
+ */
+
+const { normalizeSeverity, isMoreSevere } = require('../../utils/severity');
+
+describe('Severity Levels', () => {
+  it('should normalize known severities and reject others', () => {
+    expect(normalizeSeverity(' Critical ')).toBe('critical');
+    expect(normalizeSeverity('sev1')).toBeNull();
+    expect(normalizeSeverity(undefined)).toBeNull();
+  });
+
+  it('should rank critical above high and high above low', () => {
+    expect(isMoreSevere('critical', 'high')).toBe(true);
+    expect(isMoreSevere('high', 'low')).toBe(true);
+    expect(isMoreSevere('medium', 'medium')).toBe(false);
+    expect(isMoreSevere('low', 'critical')).toBe(false);
+  });
+
+  it('should never rank an unknown value above a real severity', () => {
+    expect(isMoreSevere('sev1', 'low')).toBe(false);
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Analysis Worker Unit Tests
+ * Tests job processing, retries and fallback behaviour
+ */
+
+const worker = require('../../workers/analysis.worker');
+const jobsService = require('../../services/analysis-jobs.service');
+const incidentsService = require('../../services/incidents.service');
+const managementService = require('../../services/incidents-management.service');
+const analysisService = require('../../services/incidents-analysis.service');
+const aiService = require('../../services/ai.service');
+const streamService = require('../../services/analysis-stream.service');
+const embeddingsService = require('../../services/embeddings.service');
+const customerMessagesService = require('../../services/incidents-customer-messages.service');
+
+jest.mock('../../services/analysis-jobs.service');
+jest.mock('../../services/analysis-stream.service');
+jest.mock('../../services/incidents.service');
+jest.mock('../../services/incidents-management.service');
+jest.mock('../../services/incidents-analysis.service');
+jest.mock('../../services/ai.service');
+jest.mock('../../services/embeddings.service');
+jest.mock('../../services/incidents-customer-messages.service');
+
+describe('Analysis Worker', () => {
+  const incident = {
+    id: 1,
+    title: 'API Gateway timeout',
+    severity: 'high',
+    description: 'Upstream timeout after 30s'
+  };
+
+  const analysis = {
+    summary: 'Gateway timing out',
+    rootCauses: ['Slow upstream'],
+    customerMessage: 'We are investigating',
+    actionItems: [],
+    metadata: {}
+  };
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    incidentsService.getIncidentById.mockResolvedValue(incident);
+    managementService.getComments.mockResolvedValue([]);
+    embeddingsService.findSimilarForPrompt.mockResolvedValue([]);
+  });
+
+  describe('processJob', () => {
+    it('should analyze the incident and complete the job', async () => {
+      aiService.generateIncidentAnalysis.mockResolvedValue(analysis);
+
+      await worker.processJob({ id: 7, incident_id: 1, attempts: 1, max_attempts: 3, trigger: 'initial', requested_by: null });
+
+      expect(incidentsService.setAnalysisStatus).toHaveBeenCalledWith(1, 'running');
+      expect(aiService.generateIncidentAnalysis).toHaveBeenCalledWith(
+        { title: incident.title, severity: 'high', description: incident.description, comments: [], similarIncidents: [] },
+        expect.objectContaining({ allowFallback: false })
+      );
+      expect(analysisService.recordAnalysis).toHaveBeenCalledWith(1, analysis, { trigger: 'initial', requestedBy: null });
+      expect(jobsService.completeJob).toHaveBeenCalledWith(7);
+    });
+
+    it('should give similar past incidents to the model and re-embed the analyzed incident', async () => {
+      const similar = [{ id: 4, title: 'Gateway 504s', score: 0.82 }];
+      const updated = { id: 1, ai_summary: 'Gateway timing out' };
+      embeddingsService.findSimilarForPrompt.mockResolvedValue(similar);
+      aiService.generateIncidentAnalysis.mockResolvedValue(analysis);
+      analysisService.recordAnalysis.mockResolvedValue(updated);
+
+      await worker.processJob({ id: 7, incident_id: 1, attempts: 1, max_attempts: 3, trigger: 'initial', requested_by: null });
+
+      expect(embeddingsService.findSimilarForPrompt).toHaveBeenCalledWith(incident);
+      expect(aiService.generateIncidentAnalysis).toHaveBeenCalledWith(
+        expect.objectContaining({ similarIncidents: similar }),
+        expect.any(Object)
+      );
+      expect(embeddingsService.refreshEmbedding).toHaveBeenCalledWith(updated);
+    });
+
+    it('should translate the customer message of the new analysis', async () => {
+      const updated = { id: 1, active_analysis_id: 12, ai_customer_message: 'We are investigating' };
+      aiService.generateIncidentAnalysis.mockResolvedValue(analysis);
+      analysisService.recordAnalysis.mockResolvedValue(updated);
+
+      await worker.processJob({ id: 7, incident_id: 1, attempts: 1, max_attempts: 3, trigger: 'initial', requested_by: null });
+
+      expect(customerMessagesService.translateCustomerMessage).toHaveBeenCalledWith(updated);
+    });
+
+    it('should keep a completed analysis when translation fails', async () => {
+      const updated = { id: 1, analysis_status: 'done' };
+      aiService.generateIncidentAnalysis.mockResolvedValue(analysis);
+      analysisService.recordAnalysis.mockResolvedValue(updated);
+      customerMessagesService.translateCustomerMessage.mockRejectedValue(new Error('Translation provider down'));
+
+      await worker.processJob({ id: 7, incident_id: 1, attempts: 1, max_attempts: 3 });
+
+      expect(jobsService.completeJob).toHaveBeenCalledWith(7);
+      expect(jobsService.failJob).not.toHaveBeenCalled();
+      expect(incidentsService.setAnalysisStatus).not.toHaveBeenCalledWith(1, 'pending');
+      expect(incidentsService.setAnalysisStatus).not.toHaveBeenCalledWith(1, 'failed');
+      expect(streamService.publish).toHaveBeenLastCalledWith(1, 'done', { incident: updated });
+      expect(embeddingsService.refreshEmbedding).toHaveBeenCalledWith(updated);
+    });
+
+    it('should not fail the job when re-embedding fails', async () => {
+      aiService.generateIncidentAnalysis.mockResolvedValue(analysis);
+      embeddingsService.refreshEmbedding.mockRejectedValue(new Error('Embedding provider down'));
+
+      await expect(worker.processJob({ id: 7, incident_id: 1, attempts: 1, max_attempts: 3 })).resolves.toBeUndefined();
+
+      expect(jobsService.failJob).not.toHaveBeenCalled();
+    });
+
+    it('should publish partial sections and the final incident to stream subscribers', async () => {
+      const updated = { id: 1, analysis_status: 'done' };
+      analysisService.recordAnalysis.mockResolvedValue(updated);
+      aiService.generateIncidentAnalysis.mockImplementation(async (data, options) => {
+        options.onPartial({ summary: 'Gateway timing' });
+        return analysis;
+      });
+
+      await worker.processJob({ id: 7, incident_id: 1, attempts: 1, max_attempts: 3 });
+
+      expect(streamService.publish.mock.calls).toEqual([
+        [1, 'status', { status: 'running' }],
+        [1, 'partial', { summary: 'Gateway timing' }],
+        [1, 'done', { incident: updated }],
+      ]);
+    });
+
+    it('should include comments when re-running an analysis', async () => {
+      const comments = [{ author_name: 'Jane', comment_text: 'New logs: OOMKilled', created_at: new Date() }];
+      managementService.getComments.mockResolvedValue(comments);
+      aiService.generateIncidentAnalysis.mockResolvedValue(analysis);
+
+      await worker.processJob({ id: 8, incident_id: 1, attempts: 1, max_attempts: 3, trigger: 'rerun', requested_by: 'Jane' });
+
+      expect(aiService.generateIncidentAnalysis.mock.calls[0][0].comments).toBe(comments);
+      expect(analysisService.recordAnalysis).toHaveBeenCalledWith(1, analysis, { trigger: 'rerun', requestedBy: 'Jane' });
+    });
+
+    it('should allow the heuristic fallback on the last attempt', async () => {
+      aiService.generateIncidentAnalysis.mockResolvedValue(analysis);
+
+      await worker.processJob({ id: 7, incident_id: 1, attempts: 3, max_attempts: 3 });
+
+      expect(aiService.generateIncidentAnalysis).toHaveBeenCalledWith(
+        expect.any(Object),
+        expect.objectContaining({ allowFallback: true })
+      );
+    });
+
+    it('should requeue and reset status to pending when retrying', async () => {
+      const error = new Error('Provider unavailable');
+      aiService.generateIncidentAnalysis.mockRejectedValue(error);
+      jobsService.failJob.mockResolvedValue(true);
+
+      const job = { id: 7, incident_id: 1, attempts: 1, max_attempts: 3 };
+      await worker.processJob(job);
+
+      expect(jobsService.failJob).toHaveBeenCalledWith(job, error);
+      expect(incidentsService.setAnalysisStatus).toHaveBeenLastCalledWith(1, 'pending');
+      expect(streamService.publish).toHaveBeenLastCalledWith(1, 'status', { status: 'pending' });
+      expect(jobsService.completeJob).not.toHaveBeenCalled();
+    });
+
+    it('should mark analysis failed when retries are exhausted', async () => {
+      analysisService.recordAnalysis.mockRejectedValue(new Error('Database error'));
+      aiService.generateIncidentAnalysis.mockResolvedValue(analysis);
+      jobsService.failJob.mockResolvedValue(false);
+
+      await worker.processJob({ id: 7, incident_id: 1, attempts: 3, max_attempts: 3 });
+
+      expect(incidentsService.setAnalysisStatus).toHaveBeenLastCalledWith(1, 'failed');
+      expect(streamService.publish).toHaveBeenLastCalledWith(1, 'failed', { error: 'Database error' });
+    });
+
+    it('should complete jobs for deleted incidents without analyzing', async () => {
+      incidentsService.getIncidentById.mockResolvedValue(null);
+
+      await worker.processJob({ id: 7, incident_id: 1, attempts: 1, max_attempts: 3 });
+
+      expect(aiService.generateIncidentAnalysis).not.toHaveBeenCalled();
+      expect(jobsService.completeJob).toHaveBeenCalledWith(7);
+    });
+  });
+
+  describe('processNextJob', () => {
+    it('should return false when the queue is empty', async () => {
+      jobsService.claimNextJob.mockResolvedValue(null);
+
+      await expect(worker.processNextJob()).resolves.toBe(false);
+    });
+
+    it('should process a claimed job', async () => {
+      jobsService.claimNextJob.mockResolvedValue({ id: 7, incident_id: 1, attempts: 1, max_attempts: 3 });
+      aiService.generateIncidentAnalysis.mockResolvedValue(analysis);
+
+      await expect(worker.processNextJob()).resolves.toBe(true);
+      expect(jobsService.completeJob).toHaveBeenCalledWith(7);
+    });
+  });
+});
@@ -12,8 +12,82 @@
 // Load environment variables from .env file
 // This only works if you install the 'dotenv' package
 // Run: npm install dotenv
+const fs = require('fs');
 const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '../../.env') });
+const { ROLES } = require('../utils/permissions');
+const { DEFAULT_TRANSITIONS, DEFAULT_REQUIRED_FIELDS, validateWorkflow } = require('../utils/incidentStatus');
+
+/**
+ * Parse a JSON array from an environment variable
+ * Returns null for invalid JSON so validateConfig can report it
+ */
+function parseJsonArray(value) {
+  if (!value) return [];
+
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse a JSON object from an environment variable
+ * Returns null for invalid JSON so validateConfig can report it
+ */
+function parseJsonObject(value) {
+  if (!value) return {};
+
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse a comma-separated list from an environment variable
+ */
+function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Parse weights like "v2:50,v3:50" from an environment variable
+ * Returns null for malformed input so validateConfig can report it
+ */
+function parseWeights(value) {
+  const weights = {};
+
+  for (const entry of (value || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    const [key, weight] = entry.split(':').map(part => part.trim());
+    const number = Number(weight);
+
+    if (!key || !(number > 0)) return null;
+    weights[key] = number;
+  }
+
+  return weights;
+}
+
+// USD per 1M tokens
+const DEFAULT_AI_PRICING = {
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+  'gpt-4.1': { input: 2.00, output: 8.00 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 },
+};
+
+// e.g. AI_PRICING={"llama3.1": {"input": 0, "output": 0}}
+const aiPricingOverrides = parseJsonObject(process.env.AI_PRICING);
 
 const config = {
   // Server configuration
@@ -40,6 +114,164 @@ const config = {
     model: process.env.OPENAI_MODEL || 'gpt-4o-mini', // Cheaper, faster model for this use case
     maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS || '500', 10),
     temperature: parseFloat(process.env.OPENAI_TEMPERATURE || '0.7'), // 0-1, higher = more creative
+    embeddingModel: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small', // Similar-incident search
+  },
+
+  // AI provider selection
+  // 'openai'    - hosted OpenAI API (requires OPENAI_API_KEY)
+  // 'local'     - any OpenAI-compatible endpoint (Ollama, vLLM, LM Studio...)
+  // 'heuristic' - deterministic rule-based analysis, no network access needed
+  // Defaults to 'openai' when an API key is present, otherwise 'heuristic'
+  ai: {
+    provider: (process.env.AI_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'heuristic')).toLowerCase(),
+    // Stream completions so partial analysis reaches /analysis/stream subscribers as it is generated
+    streaming: process.env.AI_STREAMING !== 'false',
+  },
+
+  // OpenAI-compatible local model endpoint (used when AI_PROVIDER=local)
+  localModel: {
+    baseUrl: process.env.LOCAL_AI_BASE_URL || 'http://localhost:11434/v1', // Ollama's default
+    model: process.env.LOCAL_AI_MODEL || 'llama3.1',
+    apiKey: process.env.LOCAL_AI_API_KEY || 'not-needed', // Most local servers ignore it
+    embeddingModel: process.env.LOCAL_AI_EMBEDDING_MODEL || 'nomic-embed-text',
+  },
+
+  // Similar-incident retrieval (see services/embeddings.service.js)
+  // Each incident is embedded after analysis; the closest past incidents are
+  // returned by GET /api/incidents/:id/similar and added to the analysis prompt
+  similarIncidents: {
+    enabled: process.env.SIMILAR_INCIDENTS_ENABLED !== 'false',
+    limit: parseInt(process.env.SIMILAR_INCIDENTS_LIMIT || '5', 10),
+    promptLimit: parseInt(process.env.SIMILAR_INCIDENTS_PROMPT_LIMIT || '3', 10), // How many go into the prompt
+    minScore: parseFloat(process.env.SIMILAR_INCIDENTS_MIN_SCORE || '0.3'), // Cosine similarity, 0-1
+    maxCandidates: parseInt(process.env.SIMILAR_INCIDENTS_MAX_CANDIDATES || '5000', 10), // Most recent incidents scanned
+  },
+
+  // Token cost accounting (see services/ai-usage.service.js)
+  aiUsage: {
+    // USD per 1M tokens; AI_PRICING entries override or extend these defaults
+    // Models without a price (e.g. local ones) are recorded with tokens only
+    pricing: { ...DEFAULT_AI_PRICING, ...aiPricingOverrides },
+    // Once this month's spend reaches the budget, analysis uses the heuristic provider
+    // 0 = no budget
+    monthlyBudgetUsd: parseFloat(process.env.AI_MONTHLY_BUDGET_USD || '0'),
+  },
+
+  // Prompt templates (see services/prompt-templates.service.js)
+  // Files are re-read when they change, so prompts can be tuned without a deploy
+  prompts: {
+    dir: process.env.PROMPT_TEMPLATES_DIR || path.join(__dirname, '../prompts'),
+    analysisVersion: process.env.ANALYSIS_PROMPT_VERSION || 'v2',
+    // A/B test: split analyses between versions by weight, e.g. "v2:50,v3:50"
+    // Empty = every analysis uses analysisVersion
+    analysisSplit: parseWeights(process.env.ANALYSIS_PROMPT_SPLIT),
+  },
+
+  // What to do when the AI suggests a higher severity than reported
+  // (see services/incidents-severity.service.js): ignore | suggest | auto-escalate
+  severityPolicy: process.env.SEVERITY_POLICY || 'suggest',
+
+  // Incident status workflow (see utils/incidentStatus.js and services/incidents-management.service.js)
+  // Empty = the built-in workflow
+  incidentStatus: {
+    // Status → statuses it may move to, e.g. {"open": ["investigating", "resolved"], ...}
+    transitions: process.env.INCIDENT_STATUS_TRANSITIONS
+      ? parseJsonObject(process.env.INCIDENT_STATUS_TRANSITIONS)
+      : DEFAULT_TRANSITIONS,
+    // Status → fields required when moving to it, e.g. {"resolved": ["resolutionNote"]}
+    requiredFields: process.env.INCIDENT_STATUS_REQUIRED_FIELDS
+      ? parseJsonObject(process.env.INCIDENT_STATUS_REQUIRED_FIELDS)
+      : DEFAULT_REQUIRED_FIELDS,
+  },
+
+  // Archived (soft-deleted) incidents (see services/incidents-archive.service.js)
+  // They keep their comments and activity log until an admin purges them, which is
+  // only allowed once they have been archived for retentionDays
+  incidentArchive: {
+    retentionDays: parseInt(process.env.INCIDENT_ARCHIVE_RETENTION_DAYS || '30', 10),
+  },
+
+  // Translations of the AI customer message (see services/incidents-customer-messages.service.js)
+  // The analysis writes it in English; each locale listed here gets a translation
+  customerMessages: {
+    locales: parseList(process.env.CUSTOMER_MESSAGE_LOCALES).filter(locale => locale !== 'en'), // e.g. "de,fr,pt-br"
+  },
+
+  // Public status page (see services/public-status.service.js)
+  // Only incidents with a published customer update appear on it
+  statusPage: {
+    title: process.env.STATUS_PAGE_TITLE || 'System Status',
+    url: (process.env.STATUS_PAGE_URL || 'http://localhost:5173/status').replace(/\/+$/, ''), // Links in the feeds
+    // Component names are shown as written, e.g. "API,Dashboard,Checkout"
+    components: (process.env.STATUS_PAGE_COMPONENTS || '').split(',').map(name => name.trim()).filter(Boolean),
+    resolvedDays: parseInt(process.env.STATUS_PAGE_RESOLVED_DAYS || '7', 10),
+  },
+
+  // User feedback on AI analyses (see services/analysis-feedback.service.js)
+  // The active analysis of an incident is flagged for a re-run once it has at
+  // least flagMinRatings ratings (one per user) and no more than flagMaxApproval of them are thumbs up
+  analysisFeedback: {
+    flagMinRatings: parseInt(process.env.ANALYSIS_FLAG_MIN_RATINGS || '2', 10),
+    flagMaxApproval: parseFloat(process.env.ANALYSIS_FLAG_MAX_APPROVAL || '0.34'), // 0-1
+  },
+
+  // Redaction of secrets and PII before incident text is sent to a model
+  // Built-in detectors: jwt, bearer_token, aws_access_key, aws_secret_key,
+  // url_password, email, ipv4, ipv6
+  redaction: {
+    enabled: process.env.REDACTION_ENABLED !== 'false',
+    // Extra rules as JSON: [{ "name": "customer_id", "pattern": "CUST-\\d+", "flags": "i" }]
+    rules: parseJsonArray(process.env.REDACTION_RULES),
+    disabledDetectors: parseList(process.env.REDACTION_DISABLED_DETECTORS), // e.g. "ipv4,ipv6"
+    // Also redact titles, descriptions and comments before they are saved
+    storeRedacted: process.env.REDACTION_STORE_REDACTED === 'true',
+  },
+
+  // Background AI analysis worker
+  // Incidents are saved first and analyzed asynchronously from the analysis_jobs table
+  analysisWorker: {
+    enabled: process.env.ANALYSIS_WORKER_ENABLED !== 'false', // Disable on API-only replicas
+    pollIntervalMs: parseInt(process.env.ANALYSIS_WORKER_POLL_MS || '2000', 10),
+    maxAttempts: parseInt(process.env.ANALYSIS_MAX_ATTEMPTS || '3', 10),
+    backoffBaseMs: parseInt(process.env.ANALYSIS_BACKOFF_BASE_MS || '5000', 10), // Doubles on every retry
+    backoffMaxMs: parseInt(process.env.ANALYSIS_BACKOFF_MAX_MS || '300000', 10),
+    staleAfterMs: parseInt(process.env.ANALYSIS_STALE_AFTER_MS || '600000', 10), // Requeue jobs from crashed workers
+  },
+
+  // Authentication (see services/auth.service.js and middlewares/auth.js)
+  auth: {
+    sessionTtlHours: Number(process.env.AUTH_SESSION_TTL_HOURS || '12'),
+    cookieName: 'incident_session',
+    cookieSecure: process.env.AUTH_COOKIE_SECURE
+      ? process.env.AUTH_COOKIE_SECURE === 'true'
+      : process.env.NODE_ENV === 'production',
+    cookieSameSite: (process.env.AUTH_COOKIE_SAMESITE || 'lax').toLowerCase(),
+    // First account, created at startup while the users table is empty
+    bootstrap: {
+      email: process.env.AUTH_BOOTSTRAP_EMAIL || null,
+      name: process.env.AUTH_BOOTSTRAP_NAME || 'Administrator',
+      password: process.env.AUTH_BOOTSTRAP_PASSWORD || null,
+    },
+    // Set to false once everyone signs in with OIDC, so no passwords are accepted
+    passwordLogin: process.env.AUTH_PASSWORD_LOGIN !== 'false',
+    // OpenID Connect single sign-on (see services/oidc.service.js); off without an issuer
+    oidc: {
+      issuer: (process.env.OIDC_ISSUER || '').replace(/\/+$/, '') || null,
+      clientId: process.env.OIDC_CLIENT_ID || null,
+      clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+      // Must be registered with the IdP; points at GET /api/auth/oidc/callback of this API
+      redirectUri: process.env.OIDC_REDIRECT_URI || 'http://localhost:3001/api/auth/oidc/callback',
+      // Where the browser goes after logging in or out (the frontend)
+      appUrl: (process.env.OIDC_APP_URL || process.env.CORS_ORIGIN || 'http://localhost:5173').replace(/\/+$/, ''),
+      scopes: process.env.OIDC_SCOPES || 'openid email profile',
+      providerName: process.env.OIDC_PROVIDER_NAME || 'SSO', // Label of the login button
+      groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+      // IdP group → app role as JSON, e.g. {"sre-leads": "incident_commander", "oncall": "responder"}
+      // When set, the role is synced from the groups on every login (highest role wins)
+      roleMapping: parseJsonObject(process.env.OIDC_ROLE_MAPPING),
+      // Role of users in none of the mapped groups
+      defaultRole: process.env.OIDC_DEFAULT_ROLE || 'viewer',
+    },
   },
 
   // CORS configuration (which frontends can access this API)
@@ -52,8 +284,112 @@ const config = {
 function validateConfig() {
   const errors = [];
 
-  if (!config.openai.apiKey) {
-    errors.push('OPENAI_API_KEY is required but not set');
+  const validProviders = ['openai', 'local', 'heuristic'];
+  if (!validProviders.includes(config.ai.provider)) {
+    errors.push(`AI_PROVIDER must be one of: ${validProviders.join(', ')}`);
+  }
+
+  if (config.ai.provider === 'openai' && !config.openai.apiKey) {
+    errors.push('OPENAI_API_KEY is required when AI_PROVIDER=openai');
+  }
+
+  if (aiPricingOverrides === null) {
+    errors.push('AI_PRICING must be a JSON object like {"model": {"input": 0.15, "output": 0.6}}');
+  }
+
+  if (Number.isNaN(config.aiUsage.monthlyBudgetUsd) || config.aiUsage.monthlyBudgetUsd < 0) {
+    errors.push('AI_MONTHLY_BUDGET_USD must be a positive number (or 0 for no budget)');
+  }
+
+  if (config.prompts.analysisSplit === null) {
+    errors.push('ANALYSIS_PROMPT_SPLIT must look like "v2:50,v3:50" with positive weights');
+  }
+
+  const analysisVersions = [config.prompts.analysisVersion, ...Object.keys(config.prompts.analysisSplit || {})];
+  analysisVersions
+    .filter(version => !fs.existsSync(path.join(config.prompts.dir, 'incident-analysis', `${version}.user.txt`)))
+    .forEach(version => errors.push(`Prompt template incident-analysis/${version} not found in ${config.prompts.dir}`));
+
+  const validSeverityPolicies = ['ignore', 'suggest', 'auto-escalate'];
+  if (!validSeverityPolicies.includes(config.severityPolicy)) {
+    errors.push(`SEVERITY_POLICY must be one of: ${validSeverityPolicies.join(', ')}`);
+  }
+
+  errors.push(...validateWorkflow(config.incidentStatus.transitions, config.incidentStatus.requiredFields));
+
+  config.customerMessages.locales
+    .filter(locale => !/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/.test(locale))
+    .forEach(locale => errors.push(`CUSTOMER_MESSAGE_LOCALES has an invalid locale: ${locale}`));
+
+  if (!(config.auth.sessionTtlHours > 0)) {
+    errors.push('AUTH_SESSION_TTL_HOURS must be a positive number');
+  }
+
+  const validSameSite = ['lax', 'strict', 'none'];
+  if (!validSameSite.includes(config.auth.cookieSameSite)) {
+    errors.push(`AUTH_COOKIE_SAMESITE must be one of: ${validSameSite.join(', ')}`);
+  }
+
+  if (config.auth.cookieSameSite === 'none' && !config.auth.cookieSecure) {
+    errors.push('AUTH_COOKIE_SAMESITE=none requires AUTH_COOKIE_SECURE=true');
+  }
+
+  if (!config.auth.bootstrap.email !== !config.auth.bootstrap.password) {
+    errors.push('AUTH_BOOTSTRAP_EMAIL and AUTH_BOOTSTRAP_PASSWORD must be set together');
+  }
+
+  const { oidc } = config.auth;
+  if (oidc.issuer && (!oidc.clientId || !oidc.clientSecret)) {
+    errors.push('OIDC_CLIENT_ID and OIDC_CLIENT_SECRET are required when OIDC_ISSUER is set');
+  }
+
+  if (!config.auth.passwordLogin && !oidc.issuer) {
+    errors.push('AUTH_PASSWORD_LOGIN=false requires OIDC_ISSUER, or nobody could log in');
+  }
+
+  if (!ROLES.includes(oidc.defaultRole)) {
+    errors.push(`OIDC_DEFAULT_ROLE must be one of: ${ROLES.join(', ')}`);
+  }
+
+  if (oidc.roleMapping === null) {
+    errors.push('OIDC_ROLE_MAPPING must be a JSON object like {"oncall": "responder"}');
+  } else {
+    Object.entries(oidc.roleMapping)
+      .filter(([, role]) => !ROLES.includes(role))
+      .forEach(([group, role]) => errors.push(`OIDC_ROLE_MAPPING maps ${group} to unknown role ${role}`));
+  }
+
+  if (!(config.incidentArchive.retentionDays >= 0)) {
+    errors.push('INCIDENT_ARCHIVE_RETENTION_DAYS must be 0 or a positive integer');
+  }
+
+  if (!(config.statusPage.resolvedDays >= 0)) {
+    errors.push('STATUS_PAGE_RESOLVED_DAYS must be 0 or a positive integer');
+  }
+
+  if (!(config.analysisFeedback.flagMinRatings >= 1)) {
+    errors.push('ANALYSIS_FLAG_MIN_RATINGS must be a positive integer');
+  }
+
+  const { flagMaxApproval } = config.analysisFeedback;
+  if (Number.isNaN(flagMaxApproval) || flagMaxApproval < 0 || flagMaxApproval > 1) {
+    errors.push('ANALYSIS_FLAG_MAX_APPROVAL must be between 0 and 1');
+  }
+
+  if (config.redaction.rules === null) {
+    errors.push('REDACTION_RULES must be a JSON array of { name, pattern, flags }');
+  } else {
+    config.redaction.rules.forEach((rule, index) => {
+      if (!rule || !rule.name || !rule.pattern) {
+        errors.push(`REDACTION_RULES[${index}] needs a name and a pattern`);
+        return;
+      }
+      try {
+        new RegExp(rule.pattern, rule.flags);
+      } catch (error) {
+        errors.push(`REDACTION_RULES[${index}] (${rule.name}) has an invalid pattern: ${error.message}`);
+      }
+    });
   }
 
   if (!config.database.password) {
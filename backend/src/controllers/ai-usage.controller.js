@@ -0,0 +1,48 @@
+/**
+ * AI Usage Controller
+ *
+ * Purpose: HTTP handler for AI token usage and cost reporting
+ * Used by: index.js (GET /api/analytics/ai-usage)
+ */
+
+const aiUsageService = require('../services/ai-usage.service');
+const logger = require('../config/logger');
+const { parseDateRange } = require('../utils/dateRange');
+
+// Range reported when no dates are given
+const DEFAULT_RANGE_DAYS = 30;
+
+/**
+ * Get token usage and cost by day, model and severity
+ * Route: GET /api/analytics/ai-usage?from=2024-01-01&to=2024-01-31
+ * Both dates are optional (default: the last 30 days) and inclusive
+ */
+async function getUsageReport(req, res, next) {
+  try {
+    logger.info('GET /api/analytics/ai-usage', req.query);
+
+    const range = parseDateRange(req.query, DEFAULT_RANGE_DAYS);
+
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error,
+      });
+    }
+
+    const report = await aiUsageService.getUsageReport(range);
+
+    res.status(200).json({
+      success: true,
+      data: report,
+    });
+
+  } catch (error) {
+    logger.error('Error fetching AI usage report', { error: error.message });
+    next(error);
+  }
+}
+
+module.exports = {
+  getUsageReport,
+};
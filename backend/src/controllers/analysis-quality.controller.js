@@ -0,0 +1,80 @@
+/**
+ * Analysis Quality Controller
+ *
+ * Purpose: HTTP handlers for reports on how well AI analyses are rated
+ * Used by: index.js (GET /api/analytics/prompt-versions, GET /api/analytics/ai-quality)
+ */
+
+const feedbackService = require('../services/analysis-feedback.service');
+const logger = require('../config/logger');
+const { parseDateRange } = require('../utils/dateRange');
+
+// Range reported when no dates are given
+const DEFAULT_RANGE_DAYS = 30;
+
+/**
+ * Compare prompt template versions: volume, fallbacks, tokens, cost and ratings
+ * Route: GET /api/analytics/prompt-versions?from=2024-01-01&to=2024-01-31
+ * Both dates are optional (default: the last 30 days) and inclusive
+ */
+async function getPromptVersionReport(req, res, next) {
+  try {
+    logger.info('GET /api/analytics/prompt-versions', req.query);
+
+    const range = parseDateRange(req.query, DEFAULT_RANGE_DAYS);
+
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error,
+      });
+    }
+
+    const report = await feedbackService.getPromptVersionReport(range);
+
+    res.status(200).json({
+      success: true,
+      data: report,
+    });
+
+  } catch (error) {
+    logger.error('Error fetching prompt version report', { error: error.message });
+    next(error);
+  }
+}
+
+/**
+ * Accuracy of AI analyses by model, severity and prompt version, plus analyses flagged for a re-run
+ * Route: GET /api/analytics/ai-quality?from=2024-01-01&to=2024-01-31
+ * Both dates are optional (default: the last 30 days) and inclusive
+ */
+async function getQualityReport(req, res, next) {
+  try {
+    logger.info('GET /api/analytics/ai-quality', req.query);
+
+    const range = parseDateRange(req.query, DEFAULT_RANGE_DAYS);
+
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error,
+      });
+    }
+
+    const report = await feedbackService.getQualityReport(range);
+
+    res.status(200).json({
+      success: true,
+      data: report,
+    });
+
+  } catch (error) {
+    logger.error('Error fetching AI quality report', { error: error.message });
+    next(error);
+  }
+}
+
+module.exports = {
+  getPromptVersionReport,
+  getQualityReport,
+};
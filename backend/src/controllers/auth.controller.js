@@ -0,0 +1,278 @@
+/**
+ * Auth Controller
+ *
+ * Purpose: HTTP handlers for logging in (password or single sign-on) and out,
+ *          the current user's password and their personal API tokens
+ * Used by: auth.routes.js
+ *
+ * Login sets the session token in an httpOnly cookie, so page scripts never
+ * see it; API tokens are returned once in the create response and must be
+ * stored by the caller. The single sign-on handlers are browser navigations
+ * and answer with redirects to the IdP or back to the frontend.
+ */
+
+const authService = require('../services/auth.service');
+const usersService = require('../services/users.service');
+const oidcService = require('../services/oidc.service');
+const config = require('../config/env');
+const logger = require('../config/logger');
+const { permissionsFor } = require('../utils/permissions');
+const { readCookie } = require('../middlewares/auth');
+
+// Holds the state, nonce and PKCE verifier while the browser is at the IdP
+const OIDC_COOKIE = 'incident_oidc';
+
+/**
+ * Options for the session cookie
+ */
+function cookieOptions() {
+  return {
+    httpOnly: true,
+    secure: config.auth.cookieSecure,
+    sameSite: config.auth.cookieSameSite,
+    path: '/',
+  };
+}
+
+/**
+ * Options for the single sign-on cookie; lax, as it has to come back with
+ * the IdP's cross-site redirect
+ */
+function oidcCookieOptions() {
+  return {
+    httpOnly: true,
+    secure: config.auth.cookieSecure,
+    sameSite: 'lax',
+    path: '/api/auth/oidc',
+  };
+}
+
+/**
+ * Send the browser back to the frontend's login page with an error
+ */
+function redirectToLoginError(res, error) {
+  // Messages of HTTP errors are meant for users; anything else could leak internals
+  const message = error.statusCode ? error.message : 'Single sign-on failed';
+  res.redirect(302, `${config.auth.oidc.appUrl}/login?error=${encodeURIComponent(message)}`);
+}
+
+/**
+ * Login methods offered by the login page
+ * Route: GET /api/auth/options
+ */
+async function getLoginOptions(req, res) {
+  res.status(200).json({
+    success: true,
+    data: oidcService.getLoginOptions(),
+  });
+}
+
+/**
+ * Log in with email and password
+ * Route: POST /api/auth/login
+ */
+async function login(req, res, next) {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email and password are required',
+      });
+    }
+
+    const { user, token, expiresAt } = await authService.login(email, password, {
+      userAgent: req.get('user-agent'),
+      ip: req.ip,
+    });
+
+    res.cookie(config.auth.cookieName, token, { ...cookieOptions(), expires: expiresAt });
+
+    res.status(200).json({
+      success: true,
+      data: { user, expiresAt },
+      message: 'Logged in',
+    });
+
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Start single sign-on: remember the pending login and redirect to the IdP
+ * Route: GET /api/auth/oidc/login
+ */
+async function startOidcLogin(req, res) {
+  try {
+    const { url, pendingLogin } = await oidcService.startLogin(req.query.returnTo);
+
+    res.cookie(OIDC_COOKIE, pendingLogin, { ...oidcCookieOptions(), maxAge: oidcService.LOGIN_TIMEOUT_MS });
+    res.redirect(302, url);
+
+  } catch (error) {
+    logger.error('Error starting single sign-on', { error: error.message });
+    redirectToLoginError(res, error);
+  }
+}
+
+/**
+ * Finish single sign-on: start a session and go back to the frontend
+ * Route: GET /api/auth/oidc/callback
+ */
+async function completeOidcLogin(req, res) {
+  res.clearCookie(OIDC_COOKIE, oidcCookieOptions());
+
+  try {
+    const { code, state, error, error_description: errorDescription } = req.query;
+
+    const { token, expiresAt, returnTo } = await oidcService.completeLogin(
+      { code, state, error, errorDescription },
+      readCookie(req, OIDC_COOKIE),
+      { userAgent: req.get('user-agent'), ip: req.ip }
+    );
+
+    res.cookie(config.auth.cookieName, token, { ...cookieOptions(), expires: expiresAt });
+    res.redirect(302, `${config.auth.oidc.appUrl}${returnTo}`);
+
+  } catch (error) {
+    logger.warn('Single sign-on failed', { error: error.message });
+    redirectToLoginError(res, error);
+  }
+}
+
+/**
+ * Log out: end the current session and clear the cookie
+ * Sessions started by single sign-on also get the IdP's logout URL, which
+ * the frontend visits to end the IdP session too.
+ * Route: POST /api/auth/logout
+ */
+async function logout(req, res, next) {
+  try {
+    const loginMethod = req.auth.method === 'session'
+      ? await authService.logout(req.auth.credentialId)
+      : null;
+
+    const logoutUrl = loginMethod === 'oidc' ? await oidcService.getLogoutUrl() : null;
+
+    res.clearCookie(config.auth.cookieName, cookieOptions());
+
+    res.status(200).json({
+      success: true,
+      data: { logoutUrl },
+      message: 'Logged out',
+    });
+
+  } catch (error) {
+    logger.error('Error logging out', { error: error.message });
+    next(error);
+  }
+}
+
+/**
+ * The authenticated user, with the permissions of their role
+ * Route: GET /api/auth/me
+ */
+async function getCurrentUser(req, res) {
+  res.status(200).json({
+    success: true,
+    data: { ...req.user, authMethod: req.auth.method, permissions: permissionsFor(req.user.role) },
+  });
+}
+
+/**
+ * Change the current user's password and end their other sessions
+ * Route: PUT /api/auth/password
+ */
+async function changePassword(req, res, next) {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    await usersService.changePassword(req.user.id, currentPassword, newPassword);
+
+    const keepSessionId = req.auth.method === 'session' ? req.auth.credentialId : null;
+    await authService.logoutOtherSessions(req.user.id, keepSessionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed; other sessions were logged out',
+    });
+
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * The current user's API tokens
+ * Route: GET /api/auth/tokens
+ */
+async function listApiTokens(req, res, next) {
+  try {
+    const tokens = await authService.listApiTokens(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: tokens,
+      count: tokens.length,
+    });
+
+  } catch (error) {
+    logger.error('Error listing API tokens', { error: error.message });
+    next(error);
+  }
+}
+
+/**
+ * Create an API token for the current user
+ * Route: POST /api/auth/tokens
+ */
+async function createApiToken(req, res, next) {
+  try {
+    const { name, expiresInDays } = req.body;
+
+    const token = await authService.createApiToken(req.user.id, { name, expiresInDays });
+
+    res.status(201).json({
+      success: true,
+      data: token,
+      message: 'API token created; copy it now, it is not shown again',
+    });
+
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Revoke one of the current user's API tokens
+ * Route: DELETE /api/auth/tokens/:tokenId
+ */
+async function revokeApiToken(req, res, next) {
+  try {
+    const token = await authService.revokeApiToken(req.user.id, req.params.tokenId);
+
+    res.status(200).json({
+      success: true,
+      data: token,
+      message: 'API token revoked',
+    });
+
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getLoginOptions,
+  login,
+  startOidcLogin,
+  completeOidcLogin,
+  logout,
+  getCurrentUser,
+  changePassword,
+  listApiTokens,
+  createApiToken,
+  revokeApiToken,
+};
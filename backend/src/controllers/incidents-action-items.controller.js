@@ -0,0 +1,127 @@
+/**
+ * Incidents Action Items Controller
+ *
+ * Purpose: HTTP handlers for the per-incident remediation checklist
+ * Used by: incidents-action-items.routes.js
+ */
+
+const actionItemsService = require('../services/incidents-action-items.service');
+const logger = require('../config/logger');
+const { getActor } = require('../middlewares/auth');
+
+/**
+ * List action items
+ * Route: GET /api/incidents/:id/action-items
+ */
+async function listActionItems(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    logger.info(`GET /api/incidents/${id}/action-items`);
+
+    const items = await actionItemsService.listActionItems(id);
+
+    res.status(200).json({
+      success: true,
+      data: items,
+      count: items.length,
+    });
+
+  } catch (error) {
+    logger.error('Error fetching action items', { error: error.message });
+    next(error);
+  }
+}
+
+/**
+ * Add a manual action item
+ * Route: POST /api/incidents/:id/action-items
+ * Body: { action, priority, owner, command, dueDate }
+ */
+async function createActionItem(req, res, next) {
+  try {
+    const { id } = req.params;
+    const fields = req.body || {};
+    const actorName = getActor(req);
+
+    if (!fields.action) {
+      return res.status(400).json({
+        success: false,
+        message: 'Action text is required',
+      });
+    }
+
+    logger.info(`POST /api/incidents/${id}/action-items`, { actorName });
+
+    const item = await actionItemsService.createActionItem(id, fields, actorName);
+
+    res.status(201).json({
+      success: true,
+      data: item,
+      message: 'Action item added',
+    });
+
+  } catch (error) {
+    logger.error('Error adding action item', { error: error.message });
+    next(error);
+  }
+}
+
+/**
+ * Update an action item (assign owner, mark done, set due date, edit text)
+ * Route: PATCH /api/incidents/:id/action-items/:itemId
+ * Body: { status, owner, dueDate, action, priority, command }
+ */
+async function updateActionItem(req, res, next) {
+  try {
+    const { id, itemId } = req.params;
+    const fields = req.body || {};
+    const actorName = getActor(req);
+
+    logger.info(`PATCH /api/incidents/${id}/action-items/${itemId}`, { actorName });
+
+    const item = await actionItemsService.updateActionItem(id, itemId, fields, actorName);
+
+    res.status(200).json({
+      success: true,
+      data: item,
+      message: 'Action item updated',
+    });
+
+  } catch (error) {
+    logger.error('Error updating action item', { error: error.message });
+    next(error);
+  }
+}
+
+/**
+ * Delete an action item
+ * Route: DELETE /api/incidents/:id/action-items/:itemId
+ */
+async function deleteActionItem(req, res, next) {
+  try {
+    const { id, itemId } = req.params;
+    const actorName = getActor(req);
+
+    logger.info(`DELETE /api/incidents/${id}/action-items/${itemId}`, { actorName });
+
+    const item = await actionItemsService.deleteActionItem(id, itemId, actorName);
+
+    res.status(200).json({
+      success: true,
+      data: item,
+      message: 'Action item deleted',
+    });
+
+  } catch (error) {
+    logger.error('Error deleting action item', { error: error.message });
+    next(error);
+  }
+}
+
+module.exports = {
+  listActionItems,
+  createActionItem,
+  updateActionItem,
+  deleteActionItem,
+};
@@ -0,0 +1,397 @@
+/**
+ * Incidents Analysis Controller
+ *
+ * Purpose: HTTP handlers for re-running, browsing and rating AI analysis
+ *          versions, and for similar past incidents
+ * Used by: incidents-analysis.routes.js
+ */
+
+const analysisService = require('../services/incidents-analysis.service');
+const incidentsService = require('../services/incidents.service');
+const streamService = require('../services/analysis-stream.service');
+const embeddingsService = require('../services/embeddings.service');
+const feedbackService = require('../services/analysis-feedback.service');
+const logger = require('../config/logger');
+const { getActor } = require('../middlewares/auth');
+
+const IN_PROGRESS_STATUSES = ['pending', 'running'];
+
+// How often an open stream re-checks the database. Catches analyses finished
+// by a worker in another process and keeps proxies from closing idle streams.
+const STREAM_CHECK_INTERVAL_MS = 5000;
+
+// Upper bound for GET /:id/similar?limit=
+const MAX_SIMILAR_LIMIT = 20;
+
+/**
+ * Parse a positive integer (version number, limit) from a request value
+ * Returns null when the value is missing or not a positive integer
+ */
+function parsePositiveInt(value) {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+/**
+ * Queue a new AI analysis including the latest comments
+ * Route: POST /api/incidents/:id/analysis
+ * Response: 202 Accepted with the queued job
+ */
+async function requestReanalysis(req, res, next) {
+  try {
+    const { id } = req.params;
+    const actorName = getActor(req);
+
+    logger.info(`POST /api/incidents/${id}/analysis`, { actorName });
+
+    const { job, alreadyQueued } = await analysisService.requestReanalysis(id, actorName);
+
+    res.status(202).json({
+      success: true,
+      data: job,
+      message: alreadyQueued
+        ? 'An analysis is already in progress for this incident'
+        : 'AI analysis queued',
+    });
+
+  } catch (error) {
+    logger.error('Error requesting re-analysis', { error: error.message });
+    next(error);
+  }
+}
+
+/**
+ * Stream analysis progress as Server-Sent Events
+ * Route: GET /api/incidents/:id/analysis/stream
+ *
+ * Events: 'status', 'partial', 'done', 'failed' (see analysis-stream.service.js)
+ * The stream closes after 'done' or 'failed'. If no analysis is in progress the
+ * final state is sent immediately.
+ */
+async function streamAnalysis(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    logger.info(`GET /api/incidents/${id}/analysis/stream`);
+
+    const incident = await incidentsService.getIncidentById(id);
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: `Incident with ID ${id} not found`,
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // Stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    let unsubscribe = () => {};
+    let checkTimer = null;
+
+    const finish = (event, data) => {
+      send(event, data);
+      unsubscribe();
+      clearInterval(checkTimer);
+      res.end();
+    };
+
+    const finishFromIncident = (current) => {
+      if (current.analysis_status === 'failed') {
+        finish('failed', { error: 'AI analysis failed' });
+      } else {
+        finish('done', { incident: current });
+      }
+    };
+
+    if (!IN_PROGRESS_STATUSES.includes(incident.analysis_status)) {
+      return finishFromIncident(incident);
+    }
+
+    unsubscribe = streamService.subscribe(id, (event, data) => {
+      if (event === 'done' || event === 'failed') {
+        finish(event, data);
+      } else {
+        send(event, data);
+      }
+    });
+
+    send('status', { status: incident.analysis_status });
+
+    const partial = streamService.getLatestPartial(id);
+    if (partial) {
+      send('partial', partial);
+    }
+
+    checkTimer = setInterval(async () => {
+      try {
+        const current = await incidentsService.getIncidentById(id);
+
+        if (!current || !IN_PROGRESS_STATUSES.includes(current.analysis_status)) {
+          return current ? finishFromIncident(current) : finish('failed', { error: 'Incident was deleted' });
+        }
+
+        res.write(': keep-alive\n\n');
+      } catch (error) {
+        logger.error('Error checking analysis stream status', { error: error.message });
+      }
+    }, STREAM_CHECK_INTERVAL_MS);
+
+    // Client went away
+    res.on('close', () => {
+      unsubscribe();
+      clearInterval(checkTimer);
+    });
+
+  } catch (error) {
+    logger.error('Error streaming analysis', { error: error.message });
+    next(error);
+  }
+}
+
+/**
+ * List all analysis versions
+ * Route: GET /api/incidents/:id/analyses
+ */
+async function listAnalyses(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    logger.info(`GET /api/incidents/${id}/analyses`);
+
+    const analyses = await analysisService.listAnalyses(id);
+
+    res.status(200).json({
+      success: true,
+      data: analyses,
+      count: analyses.length,
+    });
+
+  } catch (error) {
+    logger.error('Error fetching analysis history', { error: error.message });
+    next(error);
+  }
+}
+
+/**
+ * Diff two analysis versions
+ * Route: GET /api/incidents/:id/analyses/diff?from=1&to=2
+ */
+async function diffAnalyses(req, res, next) {
+  try {
+    const { id } = req.params;
+    const from = parsePositiveInt(req.query.from);
+    const to = parsePositiveInt(req.query.to);
+
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Query parameters "from" and "to" must be analysis version numbers',
+      });
+    }
+
+    logger.info(`GET /api/incidents/${id}/analyses/diff`, { from, to });
+
+    const diff = await analysisService.diffAnalyses(id, from, to);
+
+    res.status(200).json({
+      success: true,
+      data: diff,
+    });
+
+  } catch (error) {
+    logger.error('Error diffing analysis versions', { error: error.message });
+    next(error);
+  }
+}
+
+/**
+ * Get a single analysis version
+ * Route: GET /api/incidents/:id/analyses/:version
+ */
+async function getAnalysis(req, res, next) {
+  try {
+    const { id } = req.params;
+    const version = parsePositiveInt(req.params.version);
+
+    if (!version) {
+      return res.status(400).json({
+        success: false,
+        message: 'Version must be a positive integer',
+      });
+    }
+
+    logger.info(`GET /api/incidents/${id}/analyses/${version}`);
+
+    const analysis = await analysisService.getAnalysis(id, version);
+
+    res.status(200).json({
+      success: true,
+      data: analysis,
+    });
+
+  } catch (error) {
+    logger.error('Error fetching analysis version', { error: error.message });
+    next(error);
+  }
+}
+
+/**
+ * Make a version the active analysis shown on the incident
+ * Route: POST /api/incidents/:id/analyses/:version/activate
+ */
+async function activateAnalysis(req, res, next) {
+  try {
+    const { id } = req.params;
+    const version = parsePositiveInt(req.params.version);
+    const actorName = getActor(req);
+
+    if (!version) {
+      return res.status(400).json({
+        success: false,
+        message: 'Version must be a positive integer',
+      });
+    }
+
+    logger.info(`POST /api/incidents/${id}/analyses/${version}/activate`, { actorName });
+
+    const incident = await analysisService.activateAnalysis(id, version, actorName);
+
+    res.status(200).json({
+      success: true,
+      data: incident,
+      message: `Analysis version ${version} is now active`,
+    });
+
+  } catch (error) {
+    logger.error('Error activating analysis version', { error: error.message });
+    next(error);
+  }
+}
+
+/**
+ * Rate an analysis version thumbs up or down
+ * Route: POST /api/incidents/:id/analyses/:version/rating
+ * Body: { rating: 'up' | 'down' }
+ */
+async function rateAnalysis(req, res, next) {
+  try {
+    const { id } = req.params;
+    const version = parsePositiveInt(req.params.version);
+    const { rating } = req.body || {};
+    const actorName = getActor(req);
+
+    if (!version) {
+      return res.status(400).json({
+        success: false,
+        message: 'Version must be a positive integer',
+      });
+    }
+
+    logger.info(`POST /api/incidents/${id}/analyses/${version}/rating`, { rating, actorName });
+
+    const feedback = await feedbackService.rateAnalysis(id, version, rating, actorName);
+
+    res.status(201).json({
+      success: true,
+      data: feedback,
+      message: 'Thanks for the feedback',
+    });
+
+  } catch (error) {
+    logger.error('Error rating analysis', { error: error.message });
+    next(error);
+  }
+}
+
+/**
+ * Give feedback on the active analysis
+ * Route: POST /api/incidents/:id/analysis/feedback
+ * Body: { rating: 'up' | 'down', correctRootCause: 0, comment: '...' }
+ * correctRootCause is optional: index of the right root cause, -1 for none of them
+ */
+async function submitFeedback(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { rating, correctRootCause, comment } = req.body || {};
+    const actorName = getActor(req);
+
+    logger.info(`POST /api/incidents/${id}/analysis/feedback`, { rating, correctRootCause, actorName });
+
+    const feedback = await feedbackService.submitFeedback(id, { rating, correctRootCause, comment }, actorName);
+
+    res.status(201).json({
+      success: true,
+      data: feedback,
+      message: feedback.flagged
+        ? 'Thanks for the feedback. This analysis is now flagged for a re-run'
+        : 'Thanks for the feedback',
+    });
+
+  } catch (error) {
+    logger.error('Error submitting analysis feedback', { error: error.message });
+    next(error);
+  }
+}
+
+/**
+ * Find past incidents similar to this one
+ * Route: GET /api/incidents/:id/similar?limit=5
+ */
+async function getSimilarIncidents(req, res, next) {
+  try {
+    const { id } = req.params;
+    const limit = req.query.limit === undefined ? undefined : parsePositiveInt(req.query.limit);
+
+    logger.info(`GET /api/incidents/${id}/similar`, { limit });
+
+    if (limit === null || limit > MAX_SIMILAR_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        message: `Limit must be an integer between 1 and ${MAX_SIMILAR_LIMIT}`,
+      });
+    }
+
+    const incident = await incidentsService.getIncidentById(id);
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: `Incident with ID ${id} not found`,
+      });
+    }
+
+    const similar = await embeddingsService.findSimilarIncidents(incident, { limit });
+
+    res.status(200).json({
+      success: true,
+      data: similar,
+      count: similar.length,
+    });
+
+  } catch (error) {
+    logger.error('Error finding similar incidents', { error: error.message });
+    next(error);
+  }
+}
+
+module.exports = {
+  requestReanalysis,
+  streamAnalysis,
+  listAnalyses,
+  diffAnalyses,
+  getAnalysis,
+  activateAnalysis,
+  rateAnalysis,
+  submitFeedback,
+  getSimilarIncidents,
+};
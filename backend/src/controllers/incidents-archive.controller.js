@@ -0,0 +1,66 @@
+/**
+ * Incidents Archive Controller
+ *
+ * Purpose: HTTP handlers for restoring and purging archived incidents
+ * Used by: incidents-archive.routes.js
+ *
+ * Archiving itself is DELETE /api/incidents/:id (incidents.controller.js).
+ */
+
+const archiveService = require('../services/incidents-archive.service');
+const logger = require('../config/logger');
+const { getActor } = require('../middlewares/auth');
+
+/**
+ * Restore an archived incident
+ * Route: POST /api/incidents/:id/restore
+ */
+async function restore(req, res, next) {
+  try {
+    const { id } = req.params;
+    const actorName = getActor(req);
+
+    logger.info(`POST /api/incidents/${id}/restore`, { actorName });
+
+    const incident = await archiveService.restoreIncident(id, actorName);
+
+    res.status(200).json({
+      success: true,
+      data: incident,
+      message: `Incident ${id} restored`,
+    });
+
+  } catch (error) {
+    logger.error('Error restoring incident', { error: error.message });
+    next(error);
+  }
+}
+
+/**
+ * Permanently delete an archived incident
+ * Route: DELETE /api/incidents/:id/purge
+ */
+async function purge(req, res, next) {
+  try {
+    const { id } = req.params;
+    const actorName = getActor(req);
+
+    logger.info(`DELETE /api/incidents/${id}/purge`, { actorName });
+
+    await archiveService.purgeIncident(id, actorName);
+
+    res.status(200).json({
+      success: true,
+      message: `Incident ${id} permanently deleted`,
+    });
+
+  } catch (error) {
+    logger.error('Error purging incident', { error: error.message });
+    next(error);
+  }
+}
+
+module.exports = {
+  restore,
+  purge,
+};
@@ -0,0 +1,83 @@
+/**
+ * Incidents Chat Controller
+ *
+ * Purpose: HTTP handlers for the per-incident AI chat
+ * Used by: incidents-chat.routes.js
+ */
+
+const chatService = require('../services/incidents-chat.service');
+const logger = require('../config/logger');
+const { getActor } = require('../middlewares/auth');
+
+// Keeps a single question from crowding the incident context out of the prompt
+const MAX_MESSAGE_LENGTH = 4000;
+
+/**
+ * Get the chat thread
+ * Route: GET /api/incidents/:id/chat
+ */
+async function listMessages(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    logger.info(`GET /api/incidents/${id}/chat`);
+
+    const messages = await chatService.listMessages(id);
+
+    res.status(200).json({
+      success: true,
+      data: messages,
+      count: messages.length,
+    });
+
+  } catch (error) {
+    logger.error('Error fetching incident chat', { error: error.message });
+    next(error);
+  }
+}
+
+/**
+ * Ask a question about the incident
+ * Route: POST /api/incidents/:id/chat
+ * Body: { message: 'Which deploy went out before the errors started?' }
+ * Response: 201 with { userMessage, assistantMessage }
+ */
+async function sendMessage(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { message } = req.body || {};
+    const authorName = getActor(req);
+
+    if (typeof message !== 'string' || !message.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message is required',
+      });
+    }
+
+    if (message.length > MAX_MESSAGE_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Message must be at most ${MAX_MESSAGE_LENGTH} characters`,
+      });
+    }
+
+    logger.info(`POST /api/incidents/${id}/chat`, { authorName });
+
+    const exchange = await chatService.sendMessage(id, message.trim(), authorName);
+
+    res.status(201).json({
+      success: true,
+      data: exchange,
+    });
+
+  } catch (error) {
+    logger.error('Error answering incident chat', { error: error.message });
+    next(error);
+  }
+}
+
+module.exports = {
+  listMessages,
+  sendMessage,
+};
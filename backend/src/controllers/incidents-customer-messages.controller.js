@@ -0,0 +1,38 @@
+/**
+ * Incidents Customer Messages Controller
+ *
+ * Purpose: HTTP handlers for the customer status message in each language
+ * Used by: incidents-customer-messages.routes.js
+ */
+
+const customerMessagesService = require('../services/incidents-customer-messages.service');
+const logger = require('../config/logger');
+
+/**
+ * Get the customer message in one language
+ * Route: GET /api/incidents/:id/customer-message?lang=de
+ * lang is optional (default: en); the response lists every available language
+ */
+async function getCustomerMessage(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { lang } = req.query;
+
+    logger.info(`GET /api/incidents/${id}/customer-message`, { lang });
+
+    const message = await customerMessagesService.getCustomerMessage(id, lang || undefined);
+
+    res.status(200).json({
+      success: true,
+      data: message,
+    });
+
+  } catch (error) {
+    logger.error('Error fetching customer message', { error: error.message });
+    next(error);
+  }
+}
+
+module.exports = {
+  getCustomerMessage,
+};
@@ -0,0 +1,244 @@
+/**
+ * Incidents Customer Updates Controller
+ *
+ * Purpose: HTTP handlers for drafting, approving and publishing customer updates
+ * Used by: incidents-customer-updates.routes.js
+ */
+
+const customerUpdatesService = require('../services/incidents-customer-updates.service');
+const publicStatusService = require('../services/public-status.service');
+const logger = require('../config/logger');
+const { getActor } = require('../middlewares/auth');
+
+/**
+ * List customer updates (published first, then drafts)
+ * Route: GET /api/incidents/:id/customer-updates?status=published
+ */
+async function listUpdates(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { status } = req.query;
+
+    logger.info(`GET /api/incidents/${id}/customer-updates`, { status });
+
+    const updates = await customerUpdatesService.listUpdates(id, { status });
+
+    res.status(200).json({
+      success: true,
+      data: updates,
+      count: updates.length,
+    });
+
+  } catch (error) {
+    logger.error('Error fetching customer updates', { error: error.message });
+    next(error);
+  }
+}
+
+/**
+ * Write a draft by hand
+ * Route: POST /api/incidents/:id/customer-updates
+ * Body: { message: 'We are investigating...' }
+ */
+async function createDraft(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { message } = req.body || {};
+    const actorName = getActor(req);
+
+    if (typeof message !== 'string' || !message.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Customer update message is required',
+      });
+    }
+
+    logger.info(`POST /api/incidents/${id}/customer-updates`, { actorName });
+
+    const update = await customerUpdatesService.createDraft(id, message, actorName);
+
+    res.status(201).json({
+      success: true,
+      data: update,
+      message: 'Customer update drafted',
+    });
+
+  } catch (error) {
+    logger.error('Error creating customer update', { error: error.message });
+    next(error);
+  }
+}
+
+/**
+ * Let the AI draft the next update
+ * Route: POST /api/incidents/:id/customer-updates/draft
+ */
+async function draftNextUpdate(req, res, next) {
+  try {
+    const { id } = req.params;
+    const actorName = getActor(req);
+
+    logger.info(`POST /api/incidents/${id}/customer-updates/draft`, { actorName });
+
+    const update = await customerUpdatesService.draftNextUpdate(id, actorName);
+
+    res.status(201).json({
+      success: true,
+      data: update,
+      message: update.provider === 'heuristic'
+        ? 'Customer update drafted from a status template (AI unavailable)'
+        : 'Customer update drafted',
+    });
+
+  } catch (error) {
+    logger.error('Error drafting customer update', { error: error.message });
+    next(error);
+  }
+}
+
+/**
+ * Edit an unpublished update
+ * Route: PATCH /api/incidents/:id/customer-updates/:updateId
+ * Body: { message: 'We have identified...' }
+ */
+async function editUpdate(req, res, next) {
+  try {
+    const { id, updateId } = req.params;
+    const { message } = req.body || {};
+    const actorName = getActor(req);
+
+    if (typeof message !== 'string' || !message.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Customer update message is required',
+      });
+    }
+
+    logger.info(`PATCH /api/incidents/${id}/customer-updates/${updateId}`, { actorName });
+
+    const update = await customerUpdatesService.editUpdate(id, updateId, message, actorName);
+
+    res.status(200).json({
+      success: true,
+      data: update,
+      message: 'Customer update saved',
+    });
+
+  } catch (error) {
+    logger.error('Error editing customer update', { error: error.message });
+    next(error);
+  }
+}
+
+/**
+ * Approve a draft
+ * Route: POST /api/incidents/:id/customer-updates/:updateId/approve
+ */
+async function approveUpdate(req, res, next) {
+  try {
+    const { id, updateId } = req.params;
+    const actorName = getActor(req);
+
+    logger.info(`POST /api/incidents/${id}/customer-updates/${updateId}/approve`, { actorName });
+
+    const update = await customerUpdatesService.approveUpdate(id, updateId, actorName);
+
+    res.status(200).json({
+      success: true,
+      data: update,
+      message: 'Customer update approved',
+    });
+
+  } catch (error) {
+    logger.error('Error approving customer update', { error: error.message });
+    next(error);
+  }
+}
+
+/**
+ * Publish an approved update
+ * Route: POST /api/incidents/:id/customer-updates/:updateId/publish
+ */
+async function publishUpdate(req, res, next) {
+  try {
+    const { id, updateId } = req.params;
+    const actorName = getActor(req);
+
+    logger.info(`POST /api/incidents/${id}/customer-updates/${updateId}/publish`, { actorName });
+
+    const update = await customerUpdatesService.publishUpdate(id, updateId, actorName);
+
+    res.status(200).json({
+      success: true,
+      data: update,
+      message: 'Customer update published',
+    });
+
+  } catch (error) {
+    logger.error('Error publishing customer update', { error: error.message });
+    next(error);
+  }
+}
+
+/**
+ * Discard an unpublished update
+ * Route: DELETE /api/incidents/:id/customer-updates/:updateId
+ */
+async function discardUpdate(req, res, next) {
+  try {
+    const { id, updateId } = req.params;
+    const actorName = getActor(req);
+
+    logger.info(`DELETE /api/incidents/${id}/customer-updates/${updateId}`, { actorName });
+
+    const update = await customerUpdatesService.discardUpdate(id, updateId, actorName);
+
+    res.status(200).json({
+      success: true,
+      data: update,
+      message: 'Customer update discarded',
+    });
+
+  } catch (error) {
+    logger.error('Error discarding customer update', { error: error.message });
+    next(error);
+  }
+}
+
+/**
+ * Set how the incident appears on the public status page
+ * Route: PUT /api/incidents/:id/public-info
+ * Body: { publicTitle: 'Checkout delays', affectedComponents: ['Checkout'] }
+ */
+async function updatePublicInfo(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { publicTitle, affectedComponents } = req.body || {};
+    const actorName = getActor(req);
+
+    logger.info(`PUT /api/incidents/${id}/public-info`, { actorName });
+
+    const info = await publicStatusService.updatePublicInfo(id, { publicTitle, affectedComponents }, actorName);
+
+    res.status(200).json({
+      success: true,
+      data: info,
+      message: 'Status page details updated',
+    });
+
+  } catch (error) {
+    logger.error('Error updating public incident info', { error: error.message });
+    next(error);
+  }
+}
+
+module.exports = {
+  listUpdates,
+  createDraft,
+  draftNextUpdate,
+  editUpdate,
+  approveUpdate,
+  publishUpdate,
+  discardUpdate,
+  updatePublicInfo,
+};
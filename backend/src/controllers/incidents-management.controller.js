@@ -9,16 +9,23 @@
 
 const managementService = require('../services/incidents-management.service');
 const logger = require('../config/logger');
+const { getActor } = require('../middlewares/auth');
+const { parseIfMatch, setIncidentEtag } = require('../utils/etag');
 
 /**
  * Update incident status
  * Route: PATCH /api/incidents/:id/status
- * Body: { status: 'investigating', actorName: 'John Doe' }
+ * Body: { status: 'resolved', resolutionNote: 'Rolled back the deploy', reason: '...' }
+ *   (resolutionNote / reason as the workflow requires, see INCIDENT_STATUS_REQUIRED_FIELDS)
+ * Headers: If-Match: "v3" (optional) - 412 if someone changed the incident since
+ * Response: 200 with the incident and its next allowed_statuses,
+ *   409 with error.allowedStatuses if the workflow does not allow the change
  */
 async function updateStatus(req, res, next) {
   try {
     const { id } = req.params;
-    const { status, actorName } = req.body;
+    const { status, resolutionNote, reason } = req.body;
+    const actorName = getActor(req);
 
     if (!status) {
       return res.status(400).json({
@@ -27,13 +34,21 @@ async function updateStatus(req, res, next) {
       });
     }
 
-    logger.info(`PATCH /api/incidents/${id}/status`, { status, actorName });
+    const expectedVersions = parseIfMatch(req.get('If-Match'));
 
-    const incident = await managementService.updateStatus(id, status, actorName);
+    logger.info(`PATCH /api/incidents/${id}/status`, { status, actorName, expectedVersions });
+
+    const incident = await managementService.updateStatus(id, status, actorName, {
+      expectedVersions,
+      resolutionNote,
+      reason,
+    });
+
+    setIncidentEtag(res, incident);
 
     res.status(200).json({
       success: true,
-      data: incident,
+      data: { ...incident, allowed_statuses: managementService.getAllowedTransitions(incident.status) },
       message: `Status updated to ${status}`,
     });
 
@@ -46,16 +61,22 @@ async function updateStatus(req, res, next) {
 /**
  * Assign incident to team member
  * Route: PATCH /api/incidents/:id/assign
- * Body: { assignedTo: 'Jane Smith', actorName: 'John Doe' }
+ * Body: { assignedTo: 'Jane Smith' }
+ * Headers: If-Match: "v3" (optional) - 412 if someone changed the incident since
  */
 async function assignIncident(req, res, next) {
   try {
     const { id } = req.params;
-    const { assignedTo, actorName } = req.body;
+    const { assignedTo } = req.body;
+    const actorName = getActor(req);
+
+    const expectedVersions = parseIfMatch(req.get('If-Match'));
+
+    logger.info(`PATCH /api/incidents/${id}/assign`, { assignedTo, actorName, expectedVersions });
 
-    logger.info(`PATCH /api/incidents/${id}/assign`, { assignedTo, actorName });
+    const incident = await managementService.assignIncident(id, assignedTo, actorName, { expectedVersions });
 
-    const incident = await managementService.assignIncident(id, assignedTo, actorName);
+    setIncidentEtag(res, incident);
 
     res.status(200).json({
       success: true,
@@ -72,17 +93,18 @@ async function assignIncident(req, res, next) {
 /**
  * Add comment to incident
  * Route: POST /api/incidents/:id/comments
- * Body: { authorName: 'John Doe', commentText: 'Investigating...' }
+ * Body: { commentText: 'Investigating...' }
  */
 async function addComment(req, res, next) {
   try {
     const { id } = req.params;
-    const { authorName, commentText } = req.body;
+    const { commentText } = req.body;
+    const authorName = getActor(req);
 
-    if (!authorName || !commentText) {
+    if (!commentText) {
       return res.status(400).json({
         success: false,
-        message: 'Author name and comment text are required',
+        message: 'Comment text is required',
       });
     }
 
@@ -153,6 +175,7 @@ async function getActivity(req, res, next) {
 /**
  * Search incidents
  * Route: GET /api/incidents/search?q=database&status=open&severity=high
+ * Archived incidents are only searched with ?archived=true
  */
 async function searchIncidents(req, res, next) {
   try {
@@ -161,6 +184,7 @@ async function searchIncidents(req, res, next) {
       status: req.query.status,
       severity: req.query.severity,
       assignedTo: req.query.assignedTo,
+      archived: req.query.archived === 'true',
     };
 
     logger.info('GET /api/incidents/search', { filters });
@@ -0,0 +1,200 @@
+/**
+ * Incidents Postmortems Controller
+ *
+ * Purpose: HTTP handlers for drafting, editing and exporting postmortems
+ * Used by: incidents-postmortems.routes.js
+ */
+
+const postmortemsService = require('../services/incidents-postmortems.service');
+const logger = require('../config/logger');
+const { getActor } = require('../middlewares/auth');
+
+/**
+ * Parse a positive integer revision number
+ * Returns null when the value is not a positive integer
+ */
+function parseRevision(value) {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+/**
+ * Draft a postmortem with the AI
+ * Route: POST /api/incidents/:id/postmortem
+ * Response: 201 with the new revision
+ */
+async function draftPostmortem(req, res, next) {
+  try {
+    const { id } = req.params;
+    const actorName = getActor(req);
+
+    logger.info(`POST /api/incidents/${id}/postmortem`, { actorName });
+
+    const revision = await postmortemsService.draftPostmortem(id, actorName);
+
+    res.status(201).json({
+      success: true,
+      data: revision,
+      message: revision.provider === 'heuristic'
+        ? 'Postmortem drafted from the incident records (AI unavailable)'
+        : 'Postmortem drafted',
+    });
+
+  } catch (error) {
+    logger.error('Error drafting postmortem', { error: error.message });
+    next(error);
+  }
+}
+
+/**
+ * Save an edited postmortem as a new revision
+ * Route: PUT /api/incidents/:id/postmortem
+ * Body: { content: '# Postmortem: ...' }
+ */
+async function savePostmortem(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { content } = req.body || {};
+    const actorName = getActor(req);
+
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Postmortem content is required',
+      });
+    }
+
+    logger.info(`PUT /api/incidents/${id}/postmortem`, { actorName });
+
+    const revision = await postmortemsService.savePostmortem(id, content, actorName);
+
+    res.status(201).json({
+      success: true,
+      data: revision,
+      message: `Postmortem revision ${revision.revision} saved`,
+    });
+
+  } catch (error) {
+    logger.error('Error saving postmortem', { error: error.message });
+    next(error);
+  }
+}
+
+/**
+ * Get the current postmortem revision
+ * Route: GET /api/incidents/:id/postmortem
+ */
+async function getPostmortem(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    logger.info(`GET /api/incidents/${id}/postmortem`);
+
+    const revision = await postmortemsService.getPostmortem(id);
+
+    res.status(200).json({
+      success: true,
+      data: revision,
+    });
+
+  } catch (error) {
+    logger.error('Error fetching postmortem', { error: error.message });
+    next(error);
+  }
+}
+
+/**
+ * List postmortem revisions
+ * Route: GET /api/incidents/:id/postmortem/revisions
+ */
+async function listRevisions(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    logger.info(`GET /api/incidents/${id}/postmortem/revisions`);
+
+    const revisions = await postmortemsService.listRevisions(id);
+
+    res.status(200).json({
+      success: true,
+      data: revisions,
+      count: revisions.length,
+    });
+
+  } catch (error) {
+    logger.error('Error fetching postmortem revisions', { error: error.message });
+    next(error);
+  }
+}
+
+/**
+ * Get a single postmortem revision
+ * Route: GET /api/incidents/:id/postmortem/revisions/:revision
+ */
+async function getRevision(req, res, next) {
+  try {
+    const { id } = req.params;
+    const revision = parseRevision(req.params.revision);
+
+    if (!revision) {
+      return res.status(400).json({
+        success: false,
+        message: 'Revision must be a positive integer',
+      });
+    }
+
+    logger.info(`GET /api/incidents/${id}/postmortem/revisions/${revision}`);
+
+    const postmortem = await postmortemsService.getPostmortem(id, revision);
+
+    res.status(200).json({
+      success: true,
+      data: postmortem,
+    });
+
+  } catch (error) {
+    logger.error('Error fetching postmortem revision', { error: error.message });
+    next(error);
+  }
+}
+
+/**
+ * Download a postmortem as a Markdown file
+ * Route: GET /api/incidents/:id/postmortem/export?revision=2
+ */
+async function exportMarkdown(req, res, next) {
+  try {
+    const { id } = req.params;
+    const revision = req.query.revision === undefined ? undefined : parseRevision(req.query.revision);
+
+    if (revision === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Revision must be a positive integer',
+      });
+    }
+
+    logger.info(`GET /api/incidents/${id}/postmortem/export`, { revision });
+
+    const postmortem = await postmortemsService.getPostmortem(id, revision);
+
+    res
+      .status(200)
+      .type('text/markdown; charset=utf-8')
+      .attachment(`incident-${postmortem.incident_id}-postmortem-r${postmortem.revision}.md`)
+      .send(postmortem.content);
+
+  } catch (error) {
+    logger.error('Error exporting postmortem', { error: error.message });
+    next(error);
+  }
+}
+
+module.exports = {
+  draftPostmortem,
+  savePostmortem,
+  getPostmortem,
+  listRevisions,
+  getRevision,
+  exportMarkdown,
+};
@@ -0,0 +1,65 @@
+/**
+ * Incidents Severity Controller
+ *
+ * Purpose: HTTP handlers for acting on the AI's severity suggestion
+ * Used by: incidents-severity.routes.js
+ */
+
+const severityService = require('../services/incidents-severity.service');
+const logger = require('../config/logger');
+const { getActor } = require('../middlewares/auth');
+
+/**
+ * Raise the severity to the suggested one
+ * Route: POST /api/incidents/:id/severity-suggestion/accept
+ */
+async function acceptSuggestion(req, res, next) {
+  try {
+    const { id } = req.params;
+    const actorName = getActor(req);
+
+    logger.info(`POST /api/incidents/${id}/severity-suggestion/accept`, { actorName });
+
+    const incident = await severityService.acceptSuggestion(id, actorName);
+
+    res.status(200).json({
+      success: true,
+      data: incident,
+      message: `Severity raised to ${incident.severity}`,
+    });
+
+  } catch (error) {
+    logger.error('Error accepting severity suggestion', { error: error.message });
+    next(error);
+  }
+}
+
+/**
+ * Keep the reported severity
+ * Route: POST /api/incidents/:id/severity-suggestion/dismiss
+ */
+async function dismissSuggestion(req, res, next) {
+  try {
+    const { id } = req.params;
+    const actorName = getActor(req);
+
+    logger.info(`POST /api/incidents/${id}/severity-suggestion/dismiss`, { actorName });
+
+    const incident = await severityService.dismissSuggestion(id, actorName);
+
+    res.status(200).json({
+      success: true,
+      data: incident,
+      message: 'Severity suggestion dismissed',
+    });
+
+  } catch (error) {
+    logger.error('Error dismissing severity suggestion', { error: error.message });
+    next(error);
+  }
+}
+
+module.exports = {
+  acceptSuggestion,
+  dismissSuggestion,
+};
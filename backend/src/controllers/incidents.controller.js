@@ -15,13 +15,35 @@
  */
 
 const incidentsService = require('../services/incidents.service');
+const severityService = require('../services/incidents-severity.service');
+const editService = require('../services/incidents-edit.service');
+const managementService = require('../services/incidents-management.service');
+const archiveService = require('../services/incidents-archive.service');
+const { getActor } = require('../middlewares/auth');
+const { parseIfMatch, setIncidentEtag } = require('../utils/etag');
+const { SEVERITIES } = require('../utils/severity');
+const { hasPermission } = require('../utils/permissions');
+const { createHttpError } = require('../utils/httpError');
 const logger = require('../config/logger');
 
+/**
+ * The incident as the detail page shows it
+ * - severity_suggestion: set when the AI suggests a higher severity (SEVERITY_POLICY=suggest)
+ * - allowed_statuses: the statuses it may move to next ({ status, requiredFields })
+ */
+function withDetails(incident) {
+  return {
+    ...incident,
+    severity_suggestion: severityService.getSeveritySuggestion(incident),
+    allowed_statuses: managementService.getAllowedTransitions(incident.status),
+  };
+}
+
 /**
  * Create a new incident
  * Route: POST /api/incidents
  * Body: { title, severity, description }
- * Response: 201 Created with incident object
+ * Response: 201 Created with incident object (analysis_status: 'pending')
  *
  * Example request body:
  * {
@@ -41,7 +63,7 @@ async function create(req, res, next) {
     });
 
     // Call service layer to create incident
-    // This will validate, call AI, save to DB
+    // This will validate, save to DB and queue the AI analysis
     const incident = await incidentsService.createIncident({
       title,
       severity,
@@ -52,7 +74,7 @@ async function create(req, res, next) {
     res.status(201).json({
       success: true,
       data: incident,
-      message: 'Incident created successfully',
+      message: 'Incident created successfully, AI analysis queued',
     });
 
   } catch (error) {
@@ -68,7 +90,7 @@ async function create(req, res, next) {
 /**
  * Get all incidents
  * Route: GET /api/incidents
- * Query params: ?limit=20&offset=0 (optional, for pagination)
+ * Query params: ?limit=20&offset=0 (optional, for pagination), ?archived=true (only archived incidents)
  * Response: 200 OK with array of incidents
  *
  * Example: GET /api/incidents?limit=10&offset=0
@@ -78,13 +100,15 @@ async function getAll(req, res, next) {
     // Extract query parameters for pagination
     const limit = parseInt(req.query.limit) || 100;
     const offset = parseInt(req.query.offset) || 0;
+    const archived = req.query.archived === 'true';
 
     logger.info('GET /api/incidents - Fetching all incidents', {
       limit,
       offset,
+      archived,
     });
 
-    const incidents = await incidentsService.getAllIncidents({ limit, offset });
+    const incidents = await incidentsService.getAllIncidents({ limit, offset, archived });
 
     // Send success response
     res.status(200).json({
@@ -109,7 +133,8 @@ async function getAll(req, res, next) {
  * Get a single incident by ID
  * Route: GET /api/incidents/:id
  * URL param: id (incident ID)
- * Response: 200 OK with incident object, or 404 Not Found
+ * Response: 200 OK with incident object and its ETag (the version, e.g. "v3"),
+ * or 404 Not Found
  *
  * Example: GET /api/incidents/5
  */
@@ -130,9 +155,11 @@ async function getById(req, res, next) {
     }
 
     // Send success response
+    // The ETag goes into If-Match on updates, so nobody overwrites changes they have not seen
+    setIncidentEtag(res, incident);
     res.status(200).json({
       success: true,
-      data: incident,
+      data: withDetails(incident),
     });
 
   } catch (error) {
@@ -147,7 +174,7 @@ async function getById(req, res, next) {
 /**
  * Get incidents by severity
  * Route: GET /api/incidents/severity/:severity
- * URL param: severity ('low', 'medium', or 'high')
+ * URL param: severity ('low', 'medium', 'high', or 'critical')
  * Response: 200 OK with array of incidents
  *
  * Example: GET /api/incidents/severity/high
@@ -157,11 +184,10 @@ async function getBySeverity(req, res, next) {
     const { severity } = req.params;
 
     // Validate severity parameter
-    const validSeverities = ['low', 'medium', 'high'];
-    if (!validSeverities.includes(severity.toLowerCase())) {
+    if (!SEVERITIES.includes(severity.toLowerCase())) {
       return res.status(400).json({
         success: false,
-        message: `Invalid severity. Must be one of: ${validSeverities.join(', ')}`,
+        message: `Invalid severity. Must be one of: ${SEVERITIES.join(', ')}`,
       });
     }
 
@@ -185,24 +211,85 @@ async function getBySeverity(req, res, next) {
 }
 
 /**
- * Delete an incident
+ * Edit an incident's title, description and/or severity
+ * Route: PATCH /api/incidents/:id
+ * URL param: id (incident ID)
+ * Body: any of { title, description, severity }, plus optional reanalyze (boolean)
+ * Headers: If-Match: "v3" (optional) - only edit if nobody changed the incident since
+ * Response: 200 OK with the updated incident and the list of changed fields,
+ *   400 with error.fields for invalid fields, 404 if not found,
+ *   412 if the incident changed since the If-Match version
+ *
+ * Example: PATCH /api/incidents/5
+ * { "description": "Pool exhausted after the 14:02 deploy", "reanalyze": true }
+ */
+async function update(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { reanalyze, ...fields } = req.body || {};
+    const actorName = getActor(req);
+    const expectedVersions = parseIfMatch(req.get('If-Match'));
+
+    // Severity is decided by incident commanders, like accepting an AI severity suggestion
+    if (fields.severity !== undefined && !hasPermission(req.user.role, 'severity:decide')) {
+      throw createHttpError(403, `Your role (${req.user.role}) does not allow severity:decide`, {
+        permission: 'severity:decide',
+      });
+    }
+
+    logger.info('PATCH /api/incidents/:id - Editing incident', { id, fields: Object.keys(fields), actorName });
+
+    const { incident, changes, analysis } = await editService.updateIncident(id, fields, actorName, {
+      reanalyze: reanalyze === true,
+      expectedVersions,
+    });
+
+    let message = changes.length > 0
+      ? `Updated ${changes.map(change => change.field).join(', ')}`
+      : 'No changes';
+
+    if (analysis) {
+      message += analysis.alreadyQueued ? ', AI analysis already queued' : ', AI analysis queued';
+    }
+
+    setIncidentEtag(res, incident);
+    res.status(200).json({
+      success: true,
+      data: withDetails(incident),
+      changes,
+      message,
+    });
+
+  } catch (error) {
+    logger.error('Error in update incidents controller', {
+      error: error.message,
+      id: req.params.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Delete (archive) an incident
  * Route: DELETE /api/incidents/:id
  * URL param: id (incident ID)
- * Response: 200 OK on success, 404 if not found
+ * Response: 200 OK with { id, deleted_at, deleted_by }, 404 if not found or already archived
  *
  * Example: DELETE /api/incidents/5
  */
 async function deleteIncident(req, res, next) {
   try {
     const { id } = req.params;
+    const actorName = getActor(req);
 
-    logger.info('DELETE /api/incidents/:id', { id });
+    logger.info('DELETE /api/incidents/:id', { id, actorName });
 
-    await incidentsService.deleteIncident(id);
+    const archived = await archiveService.archiveIncident(id, actorName);
 
     res.status(200).json({
       success: true,
-      message: `Incident ${id} deleted successfully`,
+      data: archived,
+      message: `Incident ${id} archived`,
     });
 
   } catch (error) {
@@ -220,5 +307,6 @@ module.exports = {
   getAll,
   getById,
   getBySeverity,
+  update,
   deleteIncident,
 };
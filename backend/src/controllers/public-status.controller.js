@@ -0,0 +1,98 @@
+/**
+ * Public Status Controller
+ *
+ * Purpose: HTTP handlers for the unauthenticated status page API and feeds
+ * Used by: public-status.routes.js
+ *
+ * Responses may be cached briefly by browsers and proxies; the status page
+ * polls, so a short max-age keeps load low without hiding updates for long.
+ */
+
+const publicStatusService = require('../services/public-status.service');
+const logger = require('../config/logger');
+
+const CACHE_CONTROL = 'public, max-age=30';
+
+/**
+ * Overall status, components and incidents
+ * Route: GET /api/public/status
+ */
+async function getStatus(req, res, next) {
+  try {
+    const status = await publicStatusService.getStatus();
+
+    res.set('Cache-Control', CACHE_CONTROL).status(200).json({
+      success: true,
+      data: status,
+    });
+
+  } catch (error) {
+    logger.error('Error building public status', { error: error.message });
+    next(error);
+  }
+}
+
+/**
+ * One public incident with its published updates
+ * Route: GET /api/public/incidents/:id
+ */
+async function getIncident(req, res, next) {
+  try {
+    const incident = await publicStatusService.getIncident(req.params.id);
+
+    res.set('Cache-Control', CACHE_CONTROL).status(200).json({
+      success: true,
+      data: incident,
+    });
+
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Published updates as RSS 2.0
+ * Route: GET /api/public/feed.rss
+ */
+async function getRssFeed(req, res, next) {
+  try {
+    const items = await publicStatusService.listFeedItems();
+
+    res
+      .set('Cache-Control', CACHE_CONTROL)
+      .type('application/rss+xml; charset=utf-8')
+      .status(200)
+      .send(publicStatusService.renderRss(items));
+
+  } catch (error) {
+    logger.error('Error building RSS feed', { error: error.message });
+    next(error);
+  }
+}
+
+/**
+ * Published updates as Atom
+ * Route: GET /api/public/feed.atom
+ */
+async function getAtomFeed(req, res, next) {
+  try {
+    const items = await publicStatusService.listFeedItems();
+
+    res
+      .set('Cache-Control', CACHE_CONTROL)
+      .type('application/atom+xml; charset=utf-8')
+      .status(200)
+      .send(publicStatusService.renderAtom(items));
+
+  } catch (error) {
+    logger.error('Error building Atom feed', { error: error.message });
+    next(error);
+  }
+}
+
+module.exports = {
+  getStatus,
+  getIncident,
+  getRssFeed,
+  getAtomFeed,
+};
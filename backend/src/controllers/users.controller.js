@@ -0,0 +1,78 @@
+/**
+ * Users Controller
+ *
+ * Purpose: HTTP handlers for listing, creating and updating user accounts
+ * Used by: users.routes.js
+ */
+
+const usersService = require('../services/users.service');
+const logger = require('../config/logger');
+
+/**
+ * List users
+ * Route: GET /api/users
+ */
+async function listUsers(req, res, next) {
+  try {
+    const users = await usersService.listUsers();
+
+    res.status(200).json({
+      success: true,
+      data: users,
+      count: users.length,
+    });
+
+  } catch (error) {
+    logger.error('Error listing users', { error: error.message });
+    next(error);
+  }
+}
+
+/**
+ * Create a user
+ * Route: POST /api/users
+ */
+async function createUser(req, res, next) {
+  try {
+    const { email, name, password, role } = req.body;
+
+    const user = await usersService.createUser({ email, name, password, role });
+
+    res.status(201).json({
+      success: true,
+      data: user,
+      message: 'User created',
+    });
+
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Change a user's role or active flag
+ * Route: PATCH /api/users/:id
+ */
+async function updateUser(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { role, isActive } = req.body;
+
+    const user = await usersService.updateUser(id, { role, isActive }, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: user,
+      message: 'User updated',
+    });
+
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listUsers,
+  createUser,
+  updateUser,
+};
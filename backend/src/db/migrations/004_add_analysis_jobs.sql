@@ -0,0 +1,41 @@
+-- Migration 004: Asynchronous AI Analysis Jobs
+-- Description: Incidents are saved immediately and analyzed in the background by a worker
+--              that polls the analysis_jobs table, with retries and exponential backoff
+
+-- 1. Track analysis progress on each incident
+ALTER TABLE incidents
+ADD COLUMN IF NOT EXISTS analysis_status VARCHAR(20) DEFAULT 'pending'
+  CHECK (analysis_status IN ('pending', 'running', 'done', 'failed'));
+
+-- Existing incidents were analyzed synchronously when they were created
+UPDATE incidents SET analysis_status = 'done' WHERE analysis_status = 'pending';
+
+-- 2. Create the job queue table
+CREATE TABLE IF NOT EXISTS analysis_jobs (
+  id SERIAL PRIMARY KEY,
+  incident_id INTEGER NOT NULL REFERENCES incidents(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'running', 'done', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3,
+  run_after TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP, -- Next time the job may be picked up
+  locked_at TIMESTAMP WITH TIME ZONE,                          -- When a worker claimed the job
+  last_error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- 3. Indexes: workers look for queued jobs that are due
+CREATE INDEX IF NOT EXISTS idx_analysis_jobs_due ON analysis_jobs(run_after) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_analysis_jobs_incident_id ON analysis_jobs(incident_id);
+CREATE INDEX IF NOT EXISTS idx_incidents_analysis_status ON incidents(analysis_status);
+
+-- 4. Keep updated_at current (reuses the function from migration 001)
+CREATE TRIGGER update_analysis_jobs_updated_at
+  BEFORE UPDATE ON analysis_jobs
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE analysis_jobs IS 'Queue of pending AI analysis work, processed by the backend analysis worker';
+COMMENT ON COLUMN incidents.analysis_status IS 'AI analysis progress: pending, running, done, or failed';
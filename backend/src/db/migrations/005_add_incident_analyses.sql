@@ -0,0 +1,72 @@
+-- Migration 005: Versioned AI Analysis History
+-- Description: Every AI analysis run is stored as a numbered version so analyses can be
+--              re-run after new logs arrive, compared, and rolled back
+
+-- 1. Create the analysis history table
+CREATE TABLE IF NOT EXISTS incident_analyses (
+  id SERIAL PRIMARY KEY,
+  incident_id INTEGER NOT NULL REFERENCES incidents(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,                 -- 1, 2, 3... per incident
+
+  -- Analysis content (same shape as the ai_* columns on incidents)
+  summary TEXT,
+  root_causes JSONB DEFAULT '[]'::jsonb,
+  customer_message TEXT,
+  action_items JSONB DEFAULT '[]'::jsonb,
+  suggested_severity VARCHAR(20),
+  metadata JSONB DEFAULT '{}'::jsonb,
+
+  -- How the analysis was produced
+  provider VARCHAR(50),
+  model VARCHAR(100),
+  prompt_version VARCHAR(100),
+  prompt_tokens INTEGER DEFAULT 0,
+  completion_tokens INTEGER DEFAULT 0,
+  total_tokens INTEGER DEFAULT 0,
+  trigger VARCHAR(20) NOT NULL DEFAULT 'initial' CHECK (trigger IN ('initial', 'rerun')),
+  requested_by VARCHAR(255),
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+  UNIQUE (incident_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_incident_analyses_incident_id ON incident_analyses(incident_id);
+
+-- 2. Point each incident at the analysis currently shown in the ai_* columns
+ALTER TABLE incidents
+ADD COLUMN IF NOT EXISTS active_analysis_id INTEGER REFERENCES incident_analyses(id) ON DELETE SET NULL;
+
+-- 3. Remember why a job was queued and who asked for it
+ALTER TABLE analysis_jobs
+ADD COLUMN IF NOT EXISTS trigger VARCHAR(20) NOT NULL DEFAULT 'initial' CHECK (trigger IN ('initial', 'rerun')),
+ADD COLUMN IF NOT EXISTS requested_by VARCHAR(255);
+
+-- 4. Backfill version 1 from incidents that were already analyzed
+INSERT INTO incident_analyses (
+  incident_id, version, summary, root_causes, customer_message, action_items,
+  metadata, provider, model, total_tokens, trigger, created_at
+)
+SELECT
+  id, 1, ai_summary, ai_root_causes, ai_customer_message, ai_action_items,
+  ai_metadata,
+  CASE WHEN (ai_metadata->>'fallbackMode')::boolean THEN 'heuristic' ELSE 'openai' END,
+  ai_metadata->>'model',
+  COALESCE((ai_metadata->>'tokensUsed')::integer, 0),
+  'initial',
+  created_at
+FROM incidents
+WHERE ai_summary IS NOT NULL
+  AND NOT EXISTS (
+    SELECT 1 FROM incident_analyses WHERE incident_analyses.incident_id = incidents.id
+  );
+
+UPDATE incidents
+SET active_analysis_id = incident_analyses.id
+FROM incident_analyses
+WHERE incident_analyses.incident_id = incidents.id
+  AND incident_analyses.version = 1
+  AND incidents.active_analysis_id IS NULL;
+
+COMMENT ON TABLE incident_analyses IS 'History of every AI analysis run per incident';
+COMMENT ON COLUMN incidents.active_analysis_id IS 'Analysis version currently copied into the ai_* columns';
@@ -0,0 +1,99 @@
+-- Migration 006: Structured Root Causes and Action Items
+-- Description: Root causes and action items used to be flattened into display strings
+--              like "[HIGH] Cause (Components: db)\nReasoning: ..." and
+--              "1. [IMMEDIATE] @SRE Action\n   Command: ...". They are now stored as
+--              objects (see src/utils/analysisSchema.js). This converts existing rows.
+
+-- 1. Helpers that parse one legacy string into the structured shape
+CREATE OR REPLACE FUNCTION legacy_root_cause_to_jsonb(value TEXT)
+RETURNS JSONB AS $$
+DECLARE
+  likelihood TEXT := lower(substring(value FROM '^\s*\[(\w+)\]'));
+  components TEXT := substring(value FROM '\(Components: ([^)]*)\)');
+  reasoning TEXT := substring(value FROM '\nReasoning: (.*)$');
+  cause TEXT := value;
+BEGIN
+  cause := regexp_replace(cause, '\nReasoning: .*$', '');
+  cause := regexp_replace(cause, '\s*\(Components: [^)]*\)\s*$', '');
+  cause := regexp_replace(cause, '^\s*\[\w+\]\s*', '');
+
+  RETURN jsonb_build_object(
+    'cause', btrim(cause),
+    'likelihood', CASE WHEN likelihood IN ('high', 'medium', 'low') THEN likelihood ELSE 'medium' END,
+    'reasoning', NULLIF(btrim(reasoning), ''),
+    'components', COALESCE(
+      (SELECT jsonb_agg(btrim(component))
+       FROM unnest(string_to_array(components, ',')) AS component
+       WHERE btrim(component) <> ''),
+      '[]'::jsonb
+    )
+  );
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION legacy_action_item_to_jsonb(value TEXT)
+RETURNS JSONB AS $$
+DECLARE
+  command TEXT := substring(value FROM '\n\s*Command: (.*)$');
+  action TEXT := regexp_replace(value, '\n\s*Command: .*$', '');
+  priority TEXT;
+  owner TEXT;
+BEGIN
+  action := regexp_replace(action, '^\s*\d+\.\s*', '');
+  priority := lower(substring(action FROM '^\[(\w+)\]'));
+  action := regexp_replace(action, '^\[\w+\]\s*', '');
+  owner := substring(action FROM '^@(\S+)');
+  action := regexp_replace(action, '^@\S+\s*', '');
+
+  RETURN jsonb_build_object(
+    'priority', CASE WHEN priority IN ('immediate', 'high', 'medium', 'low') THEN priority ELSE 'medium' END,
+    'action', btrim(action),
+    'owner', owner,
+    'command', NULLIF(btrim(command), '')
+  );
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- 2. Convert every string element of a JSONB array, keeping order and existing objects
+CREATE OR REPLACE FUNCTION legacy_analysis_list_to_jsonb(list JSONB, kind TEXT)
+RETURNS JSONB AS $$
+  SELECT COALESCE(jsonb_agg(
+    CASE
+      WHEN jsonb_typeof(element) <> 'string' THEN element
+      WHEN kind = 'root_cause' THEN legacy_root_cause_to_jsonb(element #>> '{}')
+      ELSE legacy_action_item_to_jsonb(element #>> '{}')
+    END
+    ORDER BY idx
+  ), '[]'::jsonb)
+  FROM jsonb_array_elements(list) WITH ORDINALITY AS items(element, idx);
+$$ LANGUAGE sql IMMUTABLE;
+
+-- 3. Convert the active analysis on incidents
+UPDATE incidents
+SET ai_root_causes = legacy_analysis_list_to_jsonb(ai_root_causes, 'root_cause')
+WHERE jsonb_typeof(ai_root_causes) = 'array'
+  AND jsonb_path_exists(ai_root_causes, '$[*] ? (@.type() == "string")');
+
+UPDATE incidents
+SET ai_action_items = legacy_analysis_list_to_jsonb(ai_action_items, 'action_item')
+WHERE jsonb_typeof(ai_action_items) = 'array'
+  AND jsonb_path_exists(ai_action_items, '$[*] ? (@.type() == "string")');
+
+-- 4. Convert the analysis history
+UPDATE incident_analyses
+SET root_causes = legacy_analysis_list_to_jsonb(root_causes, 'root_cause')
+WHERE jsonb_typeof(root_causes) = 'array'
+  AND jsonb_path_exists(root_causes, '$[*] ? (@.type() == "string")');
+
+UPDATE incident_analyses
+SET action_items = legacy_analysis_list_to_jsonb(action_items, 'action_item')
+WHERE jsonb_typeof(action_items) = 'array'
+  AND jsonb_path_exists(action_items, '$[*] ? (@.type() == "string")');
+
+-- 5. The helpers are only needed for this one-off conversion
+DROP FUNCTION legacy_analysis_list_to_jsonb(JSONB, TEXT);
+DROP FUNCTION legacy_action_item_to_jsonb(TEXT);
+DROP FUNCTION legacy_root_cause_to_jsonb(TEXT);
+
+COMMENT ON COLUMN incidents.ai_root_causes IS 'Array of { cause, likelihood, reasoning, components }';
+COMMENT ON COLUMN incidents.ai_action_items IS 'Array of { priority, action, owner, command }';
@@ -0,0 +1,61 @@
+-- Migration 007: Trackable Action Items
+-- Description: AI action items become a checklist that responders can assign, date and
+--              tick off. Items are seeded from each analysis; manual items can be added.
+
+-- 1. Create the action items table
+CREATE TABLE IF NOT EXISTS incident_action_items (
+  id SERIAL PRIMARY KEY,
+  incident_id INTEGER NOT NULL REFERENCES incidents(id) ON DELETE CASCADE,
+
+  -- Where the item came from
+  source VARCHAR(20) NOT NULL DEFAULT 'manual' CHECK (source IN ('ai', 'manual')),
+  analysis_id INTEGER REFERENCES incident_analyses(id) ON DELETE SET NULL,
+
+  -- What to do (same fields as the AI action item schema)
+  action TEXT NOT NULL,
+  priority VARCHAR(20) NOT NULL DEFAULT 'medium' CHECK (priority IN ('immediate', 'high', 'medium', 'low')),
+  command TEXT,
+
+  -- Tracking
+  owner VARCHAR(255),
+  status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'done')),
+  due_date DATE,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  completed_by VARCHAR(255),
+  created_by VARCHAR(255),
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_incident_action_items_incident_id ON incident_action_items(incident_id);
+CREATE INDEX IF NOT EXISTS idx_incident_action_items_status ON incident_action_items(status);
+
+-- 2. Keep updated_at current
+CREATE TRIGGER update_incident_action_items_updated_at
+  BEFORE UPDATE ON incident_action_items
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- 3. Seed items from the active analysis of existing incidents
+INSERT INTO incident_action_items (incident_id, source, analysis_id, action, priority, command, owner, created_by)
+SELECT
+  incidents.id,
+  'ai',
+  incidents.active_analysis_id,
+  item->>'action',
+  COALESCE(item->>'priority', 'medium'),
+  item->>'command',
+  item->>'owner',
+  'AI'
+FROM incidents
+CROSS JOIN LATERAL jsonb_array_elements(incidents.ai_action_items) WITH ORDINALITY AS items(item, idx)
+WHERE jsonb_typeof(incidents.ai_action_items) = 'array'
+  AND jsonb_typeof(item) = 'object'
+  AND COALESCE(item->>'action', '') <> ''
+  AND NOT EXISTS (
+    SELECT 1 FROM incident_action_items WHERE incident_action_items.incident_id = incidents.id
+  )
+ORDER BY incidents.id, idx;
+
+COMMENT ON TABLE incident_action_items IS 'Remediation checklist per incident, seeded from AI analyses';
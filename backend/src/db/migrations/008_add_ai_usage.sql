@@ -0,0 +1,45 @@
+-- Migration 008: AI Token Usage and Cost Accounting
+-- Description: One row per model call with its token counts and cost, so spend can be
+--              reported by day, model and severity and capped by a monthly budget
+
+-- 1. Create the usage ledger
+CREATE TABLE IF NOT EXISTS ai_usage (
+  id SERIAL PRIMARY KEY,
+  -- Kept when the incident is deleted: the money was still spent
+  incident_id INTEGER REFERENCES incidents(id) ON DELETE SET NULL,
+  purpose VARCHAR(50) NOT NULL DEFAULT 'analysis', -- What the call was for
+  severity VARCHAR(20),                            -- Incident severity at the time of the call
+
+  provider VARCHAR(50) NOT NULL,
+  model VARCHAR(100),
+  prompt_tokens INTEGER NOT NULL DEFAULT 0,
+  completion_tokens INTEGER NOT NULL DEFAULT 0,
+  total_tokens INTEGER NOT NULL DEFAULT 0,
+  cost_usd NUMERIC(12, 6),                         -- NULL = no price known for the model
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Reports and the budget check filter by date range
+CREATE INDEX IF NOT EXISTS idx_ai_usage_created_at ON ai_usage(created_at);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_incident_id ON ai_usage(incident_id);
+
+-- 2. Backfill token counts from the analysis history
+-- Costs are left NULL: the prices in effect at the time are unknown
+INSERT INTO ai_usage (incident_id, purpose, severity, provider, model,
+                      prompt_tokens, completion_tokens, total_tokens, created_at)
+SELECT
+  incident_analyses.incident_id,
+  'analysis',
+  incidents.severity,
+  incident_analyses.provider,
+  incident_analyses.model,
+  incident_analyses.prompt_tokens,
+  incident_analyses.completion_tokens,
+  incident_analyses.total_tokens,
+  incident_analyses.created_at
+FROM incident_analyses
+JOIN incidents ON incidents.id = incident_analyses.incident_id
+WHERE incident_analyses.total_tokens > 0;
+
+COMMENT ON TABLE ai_usage IS 'Token usage and cost of every AI provider call';
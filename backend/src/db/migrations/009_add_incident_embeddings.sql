@@ -0,0 +1,22 @@
+-- Migration 009: Incident Embeddings for Similar-Incident Retrieval
+-- Description: Each incident gets an embedding of its title, description and AI summary.
+--              Similarity is computed in the API process (cosine over a float array), so
+--              no extension is needed; embeddings are only compared within one model.
+--
+-- The vectors live in a 1:1 table rather than on incidents itself so the many
+-- `RETURNING *` / `SELECT *` queries on incidents never ship a thousand floats
+-- to the client. With pgvector available, `embedding` can become vector(n) with
+-- an hnsw index without touching the incidents table.
+
+-- 1. Create the embeddings table
+CREATE TABLE IF NOT EXISTS incident_embeddings (
+  incident_id INTEGER PRIMARY KEY REFERENCES incidents(id) ON DELETE CASCADE,
+  embedding DOUBLE PRECISION[] NOT NULL,
+  model VARCHAR(100) NOT NULL,  -- Vectors from different models are not comparable
+  embedded_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 2. Candidates are looked up per model
+CREATE INDEX IF NOT EXISTS idx_incident_embeddings_model ON incident_embeddings(model);
+
+COMMENT ON TABLE incident_embeddings IS 'Embedding of each incident''s title + description + AI summary (see embeddings.service.js)';
@@ -0,0 +1,26 @@
+-- Migration 010: Incident Chat
+-- Description: A follow-up conversation with the AI per incident. Each turn is answered
+--              with the incident, its comments, activity log and current analysis as context.
+
+-- 1. Create the chat messages table
+CREATE TABLE IF NOT EXISTS incident_chat_messages (
+  id SERIAL PRIMARY KEY,
+  incident_id INTEGER NOT NULL REFERENCES incidents(id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('user', 'assistant')),
+  content TEXT NOT NULL,
+  author_name VARCHAR(255),        -- Who asked (user messages)
+
+  -- How the answer was produced (assistant messages)
+  provider VARCHAR(50),
+  model VARCHAR(100),
+  prompt_tokens INTEGER DEFAULT 0,
+  completion_tokens INTEGER DEFAULT 0,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 2. Threads are always read per incident in order
+CREATE INDEX IF NOT EXISTS idx_incident_chat_messages_incident_id
+  ON incident_chat_messages(incident_id, created_at);
+
+COMMENT ON TABLE incident_chat_messages IS 'Follow-up questions about an incident and the AI answers';
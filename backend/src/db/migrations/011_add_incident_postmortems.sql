@@ -0,0 +1,32 @@
+-- Migration 011: Incident Postmortems
+-- Description: Blameless postmortem documents per incident. The AI drafts one from the incident
+--              history; every draft or edit is stored as a new numbered revision.
+
+-- 1. Create the postmortem revisions table
+CREATE TABLE IF NOT EXISTS incident_postmortem_revisions (
+  id SERIAL PRIMARY KEY,
+  incident_id INTEGER NOT NULL REFERENCES incidents(id) ON DELETE CASCADE,
+  revision INTEGER NOT NULL,                -- 1, 2, 3... per incident; the highest is current
+
+  content TEXT NOT NULL,                    -- The document as Markdown
+  sections JSONB,                           -- Structured sections of an AI draft (NULL for edits)
+  source VARCHAR(20) NOT NULL CHECK (source IN ('draft', 'edit')),
+
+  -- How a draft was produced
+  provider VARCHAR(50),
+  model VARCHAR(100),
+  prompt_tokens INTEGER DEFAULT 0,
+  completion_tokens INTEGER DEFAULT 0,
+  metadata JSONB DEFAULT '{}'::jsonb,
+
+  created_by VARCHAR(255),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+  UNIQUE (incident_id, revision)
+);
+
+CREATE INDEX IF NOT EXISTS idx_incident_postmortem_revisions_incident_id
+  ON incident_postmortem_revisions(incident_id);
+
+COMMENT ON TABLE incident_postmortem_revisions IS 'Every AI draft and manual edit of an incident postmortem';
+COMMENT ON COLUMN incident_postmortem_revisions.sections IS 'summary, impact, timeline, rootCause, whatWentWell, actionItems as drafted';
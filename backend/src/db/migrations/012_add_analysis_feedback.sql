@@ -0,0 +1,20 @@
+-- Migration 012: Analysis Feedback
+-- Description: Thumbs up/down ratings of AI analysis versions, so prompt template
+--              versions (incident_analyses.prompt_version) can be compared
+
+-- 1. Create the feedback table
+CREATE TABLE IF NOT EXISTS analysis_feedback (
+  id SERIAL PRIMARY KEY,
+  analysis_id INTEGER NOT NULL REFERENCES incident_analyses(id) ON DELETE CASCADE,
+  incident_id INTEGER NOT NULL REFERENCES incidents(id) ON DELETE CASCADE,
+  rating SMALLINT NOT NULL CHECK (rating IN (-1, 1)), -- 1 = thumbs up, -1 = thumbs down
+  submitted_by VARCHAR(255),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_analysis_feedback_analysis_id ON analysis_feedback(analysis_id);
+
+-- 2. Reports group analyses by prompt version
+CREATE INDEX IF NOT EXISTS idx_incident_analyses_prompt_version ON incident_analyses(prompt_version);
+
+COMMENT ON TABLE analysis_feedback IS 'User ratings of AI analysis versions';
@@ -0,0 +1,22 @@
+-- Migration 013: Analysis Feedback Details
+-- Description: Lets feedback say which AI root cause was correct, and flags
+--              poorly rated analyses for a re-run
+
+-- 1. Which root cause was correct
+-- Index into incident_analyses.root_causes (0 = the first, most likely one);
+-- -1 = none of them, NULL = not answered
+ALTER TABLE analysis_feedback
+ADD COLUMN IF NOT EXISTS correct_root_cause SMALLINT CHECK (correct_root_cause >= -1),
+ADD COLUMN IF NOT EXISTS comment TEXT;
+
+-- 2. Low-rated analyses waiting for a re-run
+ALTER TABLE incident_analyses
+ADD COLUMN IF NOT EXISTS flagged_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS flag_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_incident_analyses_flagged_at
+ON incident_analyses(flagged_at)
+WHERE flagged_at IS NOT NULL;
+
+COMMENT ON COLUMN analysis_feedback.correct_root_cause IS 'Index of the correct AI root cause; -1 = none, NULL = not answered';
+COMMENT ON COLUMN incident_analyses.flagged_at IS 'When user ratings flagged this analysis for a re-run';
@@ -0,0 +1,23 @@
+-- Migration 014: Critical Severity
+-- Description: Adds 'critical' above 'high', and keeps the AI's suggested severity
+--              on the incident so it can be reconciled with the reported one
+
+-- 1. Allow 'critical'
+-- The original CHECK from migration 001 is unnamed; Postgres names it incidents_severity_check
+ALTER TABLE incidents DROP CONSTRAINT IF EXISTS incidents_severity_check;
+ALTER TABLE incidents
+ADD CONSTRAINT incidents_severity_check CHECK (severity IN ('low', 'medium', 'high', 'critical'));
+
+-- 2. Severity suggested by the active analysis
+-- Copied from incident_analyses.suggested_severity like the other ai_* columns;
+-- cleared when someone dismisses the suggestion
+ALTER TABLE incidents
+ADD COLUMN IF NOT EXISTS ai_suggested_severity VARCHAR(20);
+
+UPDATE incidents
+SET ai_suggested_severity = a.suggested_severity
+FROM incident_analyses a
+WHERE a.id = incidents.active_analysis_id
+  AND incidents.ai_suggested_severity IS NULL;
+
+COMMENT ON COLUMN incidents.ai_suggested_severity IS 'Severity suggested by the active AI analysis; NULL once dismissed';
@@ -0,0 +1,27 @@
+-- Migration 015: Customer Message Translations
+-- Description: The AI customer message (incidents.ai_customer_message, English) translated
+--              into the locales in CUSTOMER_MESSAGE_LOCALES, stored per analysis version
+
+-- 1. Create the translations table
+CREATE TABLE IF NOT EXISTS incident_customer_messages (
+  id SERIAL PRIMARY KEY,
+  incident_id INTEGER NOT NULL REFERENCES incidents(id) ON DELETE CASCADE,
+  analysis_id INTEGER NOT NULL REFERENCES incident_analyses(id) ON DELETE CASCADE,
+  locale VARCHAR(20) NOT NULL,     -- Lowercase BCP 47 tag, e.g. 'de', 'pt-br'
+  message TEXT NOT NULL,
+
+  -- How the translation was produced
+  provider VARCHAR(50),
+  model VARCHAR(100),
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+  -- One translation per locale of each analysis version; re-translating replaces it
+  UNIQUE (analysis_id, locale)
+);
+
+-- 2. Messages are read for the incident's active analysis
+CREATE INDEX IF NOT EXISTS idx_incident_customer_messages_incident_id
+  ON incident_customer_messages(incident_id);
+
+COMMENT ON TABLE incident_customer_messages IS 'Translations of the AI customer message per analysis version and locale';
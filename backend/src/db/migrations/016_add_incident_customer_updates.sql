@@ -0,0 +1,40 @@
+-- Migration 016: Customer Update Drafts
+-- Description: Reviewed updates to customers. Each update is drafted (by hand or by the AI),
+--              approved, then published; published updates are the record of what customers were told.
+
+-- 1. Create the customer updates table
+CREATE TABLE IF NOT EXISTS incident_customer_updates (
+  id SERIAL PRIMARY KEY,
+  incident_id INTEGER NOT NULL REFERENCES incidents(id) ON DELETE CASCADE,
+
+  message TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'draft'
+    CHECK (status IN ('draft', 'approved', 'published')),
+  source VARCHAR(20) NOT NULL CHECK (source IN ('manual', 'ai')),
+
+  -- How an AI draft was produced
+  provider VARCHAR(50),
+  model VARCHAR(100),
+  metadata JSONB DEFAULT '{}'::jsonb,
+
+  -- Review trail
+  created_by VARCHAR(255),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_by VARCHAR(255),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  approved_by VARCHAR(255),
+  approved_at TIMESTAMP WITH TIME ZONE,
+  published_by VARCHAR(255),
+  published_at TIMESTAMP WITH TIME ZONE,
+
+  -- Incident status at the time of publishing, e.g. 'investigating'
+  incident_status VARCHAR(50)
+);
+
+-- 2. Updates are listed per incident, published ones newest first
+CREATE INDEX IF NOT EXISTS idx_incident_customer_updates_incident_id
+  ON incident_customer_updates(incident_id, published_at DESC);
+
+COMMENT ON TABLE incident_customer_updates IS 'Customer-facing incident updates with their draft, approval and publish history';
+COMMENT ON COLUMN incident_customer_updates.status IS 'draft → approved → published; published updates are immutable';
+COMMENT ON COLUMN incident_customer_updates.incident_status IS 'Incident status when the update was published';
@@ -0,0 +1,16 @@
+-- Migration 017: Public Status Page
+-- Description: What the public status page shows about an incident besides its published
+--              customer updates. The internal title and description are never shown there.
+
+-- 1. Public title and affected components
+ALTER TABLE incidents
+  ADD COLUMN IF NOT EXISTS public_title VARCHAR(255),
+  ADD COLUMN IF NOT EXISTS affected_components TEXT[] NOT NULL DEFAULT '{}';
+
+-- 2. The status page lists incidents with published updates
+CREATE INDEX IF NOT EXISTS idx_incident_customer_updates_published
+  ON incident_customer_updates(published_at DESC)
+  WHERE status = 'published';
+
+COMMENT ON COLUMN incidents.public_title IS 'Title on the public status page; a generic title is shown when NULL';
+COMMENT ON COLUMN incidents.affected_components IS 'Status page components affected, e.g. {API,Checkout}';
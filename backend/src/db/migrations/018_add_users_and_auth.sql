@@ -0,0 +1,50 @@
+-- Migration 018: Users and Authentication
+-- Description: Local user accounts with scrypt password hashes, login sessions (cookie) and
+--              personal API tokens (Bearer) for automation. Only hashes of tokens are stored.
+
+-- 1. Users
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  email VARCHAR(255) NOT NULL,
+  name VARCHAR(255) NOT NULL,               -- Shown as the actor in activity logs
+  password_hash TEXT NOT NULL,              -- scrypt$<N>$<r>$<p>$<salt>$<hash>, base64 parts
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  last_login_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Emails are matched case-insensitively
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email ON users(LOWER(email));
+
+-- 2. Login sessions
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash CHAR(64) NOT NULL UNIQUE,      -- SHA-256 of the session token, hex
+  user_agent TEXT,
+  ip_address VARCHAR(64),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
+
+-- 3. Personal API tokens
+CREATE TABLE IF NOT EXISTS api_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,               -- e.g. 'CI pipeline'
+  token_prefix VARCHAR(16) NOT NULL,        -- First characters, to recognise a token in lists
+  token_hash CHAR(64) NOT NULL UNIQUE,      -- SHA-256 of the token, hex
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE,      -- NULL = does not expire
+  revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens(user_id);
+
+COMMENT ON TABLE users IS 'Local accounts; the name is recorded as the actor of changes';
+COMMENT ON TABLE user_sessions IS 'Browser login sessions, identified by a cookie';
+COMMENT ON TABLE api_tokens IS 'Personal API tokens sent as "Authorization: Bearer <token>"';
@@ -0,0 +1,15 @@
+-- Migration 019: User Roles
+-- Description: Role-based access control. What each role may do is defined in
+--              backend/src/utils/permissions.js; the database only stores the role.
+
+-- 1. Role per user; new accounts are read-only until an admin promotes them
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS role VARCHAR(30) NOT NULL DEFAULT 'viewer'
+    CHECK (role IN ('viewer', 'responder', 'incident_commander', 'admin'));
+
+-- 2. Accounts created before roles existed: the first one (the bootstrap account)
+--    becomes admin so someone can assign roles; the others keep working as responders
+UPDATE users SET role = 'responder' WHERE role = 'viewer';
+UPDATE users SET role = 'admin' WHERE id = (SELECT MIN(id) FROM users);
+
+COMMENT ON COLUMN users.role IS 'viewer, responder, incident_commander or admin';
@@ -0,0 +1,23 @@
+-- Migration 020: OpenID Connect Login
+-- Description: Users who sign in through the identity provider have no local password and are
+--              linked to their IdP account by issuer and subject (the stable user ID in ID tokens).
+
+-- 1. SSO accounts have no password
+ALTER TABLE users ALTER COLUMN password_hash DROP NOT NULL;
+
+-- 2. Link to the identity provider account
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS oidc_issuer TEXT,
+  ADD COLUMN IF NOT EXISTS oidc_subject VARCHAR(255);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_oidc_identity
+  ON users(oidc_issuer, oidc_subject)
+  WHERE oidc_subject IS NOT NULL;
+
+-- 3. How a session was started, so logout can also end the IdP session
+ALTER TABLE user_sessions
+  ADD COLUMN IF NOT EXISTS login_method VARCHAR(16) NOT NULL DEFAULT 'password'
+    CHECK (login_method IN ('password', 'oidc'));
+
+COMMENT ON COLUMN users.oidc_subject IS 'sub claim of the ID token; NULL for local accounts';
+COMMENT ON COLUMN user_sessions.login_method IS 'password or oidc';
@@ -0,0 +1,32 @@
+-- Migration 021: Incident Versions
+-- Description: Optimistic concurrency for incident updates. Every change to a field
+--              people edit bumps incidents.version; the API sends it as the ETag and
+--              rejects updates whose If-Match names an older version (412).
+
+-- 1. Version number, starting at 1 for new and existing incidents
+ALTER TABLE incidents
+  ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+-- 2. Bump it when an edited field changes. AI analysis results and other
+--    background writes leave it alone, so they never cause a conflict.
+CREATE OR REPLACE FUNCTION bump_incident_version()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF OLD.title IS DISTINCT FROM NEW.title
+    OR OLD.description IS DISTINCT FROM NEW.description
+    OR OLD.severity IS DISTINCT FROM NEW.severity
+    OR OLD.status IS DISTINCT FROM NEW.status
+    OR OLD.assigned_to IS DISTINCT FROM NEW.assigned_to THEN
+    NEW.version = OLD.version + 1;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER bump_incidents_version
+  BEFORE UPDATE ON incidents
+  FOR EACH ROW
+  EXECUTE FUNCTION bump_incident_version();
+
+COMMENT ON COLUMN incidents.version IS 'Bumped on every change to title, description, severity, status or assignee; sent as the ETag';
@@ -0,0 +1,22 @@
+-- Migration 022: Status Workflow
+-- Description: Adds the 'reopened' status and a resolution note. Which status may
+--              follow which is enforced by the API (utils/incidentStatus.js), not here.
+
+-- 1. Allow 'reopened'
+-- The original CHECK from migration 002 is unnamed; Postgres names it incidents_status_check
+ALTER TABLE incidents DROP CONSTRAINT IF EXISTS incidents_status_check;
+ALTER TABLE incidents
+ADD CONSTRAINT incidents_status_check CHECK (status IN ('open', 'investigating', 'resolved', 'closed', 'reopened'));
+
+-- 2. How the incident was resolved; required when resolving (INCIDENT_STATUS_REQUIRED_FIELDS)
+ALTER TABLE incidents
+ADD COLUMN IF NOT EXISTS resolution_note TEXT;
+
+-- 3. Incidents reopened before this migration kept their old timestamps; the API now
+--    clears resolved_at and closed_at whenever an incident leaves resolved/closed
+UPDATE incidents
+SET resolved_at = NULL, closed_at = NULL
+WHERE status IN ('open', 'investigating')
+  AND (resolved_at IS NOT NULL OR closed_at IS NOT NULL);
+
+COMMENT ON COLUMN incidents.resolution_note IS 'How the incident was resolved; cleared when it is reopened';
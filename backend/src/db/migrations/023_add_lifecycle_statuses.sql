@@ -0,0 +1,30 @@
+-- Migration 023: Extended Lifecycle Statuses
+-- Description: Adds the acknowledged, identified, monitoring and postmortem_pending
+--              statuses and a timestamp for each milestone. Time spent in each phase
+--              is computed from the status_changed activity (see getAnalytics).
+
+-- 1. Allow the new statuses
+ALTER TABLE incidents DROP CONSTRAINT IF EXISTS incidents_status_check;
+ALTER TABLE incidents
+ADD CONSTRAINT incidents_status_check CHECK (status IN (
+  'open', 'acknowledged', 'investigating', 'identified', 'monitoring',
+  'resolved', 'postmortem_pending', 'closed', 'reopened'
+));
+
+-- 2. When the incident first reached each milestone
+--    (resolved_at and closed_at already exist, see migration 002)
+ALTER TABLE incidents
+ADD COLUMN IF NOT EXISTS acknowledged_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS identified_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS monitoring_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS postmortem_pending_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN incidents.acknowledged_at IS 'When the incident was first acknowledged';
+COMMENT ON COLUMN incidents.identified_at IS 'When the cause was first identified';
+COMMENT ON COLUMN incidents.monitoring_at IS 'When a fix was first being monitored';
+COMMENT ON COLUMN incidents.postmortem_pending_at IS 'When the resolved incident started waiting for its postmortem; cleared when it is reopened';
+
+-- 3. Time in phase reads the status changes of each incident in order
+CREATE INDEX IF NOT EXISTS idx_incident_activity_status_changes
+ON incident_activity(incident_id, created_at)
+WHERE activity_type = 'status_changed';
@@ -0,0 +1,17 @@
+-- Migration 024: Soft Delete
+-- Description: Deleting an incident now archives it instead of removing the row, so its
+--              comments and activity log (which ON DELETE CASCADE would wipe) are kept.
+--              Archived incidents are hidden from lists, search, analytics and the status
+--              page, can be restored, and are only purged after INCIDENT_ARCHIVE_RETENTION_DAYS.
+
+ALTER TABLE incidents
+ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS deleted_by VARCHAR(255);
+
+-- Almost every query filters on deleted_at IS NULL; the archive lists the rest
+CREATE INDEX IF NOT EXISTS idx_incidents_deleted_at
+ON incidents(deleted_at)
+WHERE deleted_at IS NOT NULL;
+
+COMMENT ON COLUMN incidents.deleted_at IS 'When the incident was archived; NULL for active incidents';
+COMMENT ON COLUMN incidents.deleted_by IS 'Who archived the incident';
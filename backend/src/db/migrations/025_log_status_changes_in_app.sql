@@ -0,0 +1,10 @@
+-- Migration 025: Log Status and Assignment Changes With Their Actor
+-- Description: The track_incident_changes trigger (migration 002) logged status_changed
+--              and assigned activity without an actor_name, since the database does not
+--              know who made the change. incidents-management.service.js now logs both
+--              itself with the actor, in the same { old_status, new_status } and
+--              { old_assignee, new_assignee } metadata, so the trigger is dropped to
+--              avoid logging every change twice.
+
+DROP TRIGGER IF EXISTS track_incident_changes ON incidents;
+DROP FUNCTION IF EXISTS log_incident_status_change();
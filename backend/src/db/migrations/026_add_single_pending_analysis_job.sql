@@ -0,0 +1,32 @@
+-- Migration 026: One Queued Analysis Job per Incident
+-- Description: requestReanalysis checked for a pending job and then inserted a new one, so
+--              two concurrent re-run requests could both queue a job. A partial unique index
+--              makes the check part of the insert (ON CONFLICT DO NOTHING in
+--              analysis-jobs.service.js enqueueJob).
+--              Only queued jobs count: a running job has already read the incident, so a
+--              re-run requested after new comments or an edited description waits behind it.
+
+-- 1. Keep the oldest queued job per incident so the index can be built; the others
+--    were duplicates of it
+UPDATE analysis_jobs
+SET status = 'failed',
+    locked_at = NULL,
+    last_error = 'Duplicate of another queued analysis job',
+    completed_at = CURRENT_TIMESTAMP
+WHERE id IN (
+  SELECT id
+  FROM (
+    SELECT id, ROW_NUMBER() OVER (
+      PARTITION BY incident_id
+      ORDER BY created_at, id
+    ) AS position
+    FROM analysis_jobs
+    WHERE status = 'queued'
+  ) pending
+  WHERE position > 1
+);
+
+-- 2. At most one queued job per incident (plus the one that may be running)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_analysis_jobs_one_queued
+ON analysis_jobs(incident_id)
+WHERE status = 'queued';
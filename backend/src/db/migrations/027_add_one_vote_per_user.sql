@@ -0,0 +1,28 @@
+-- Migration 027: One Analysis Vote per User
+-- Description: analysis_feedback kept every click, so one user rating an analysis twice
+--              could flag it for a re-run on their own and skewed the quality and prompt
+--              version reports. Each user now has one vote per analysis version; a later
+--              vote replaces the earlier one (ON CONFLICT DO UPDATE in
+--              analysis-feedback.service.js).
+
+-- 1. Keep each user's latest vote per analysis so the constraint can be added
+DELETE FROM analysis_feedback
+WHERE id IN (
+  SELECT id
+  FROM (
+    SELECT id, ROW_NUMBER() OVER (
+      PARTITION BY analysis_id, submitted_by
+      ORDER BY created_at DESC, id DESC
+    ) AS position
+    FROM analysis_feedback
+    WHERE submitted_by IS NOT NULL
+  ) votes
+  WHERE position > 1
+);
+
+-- 2. One vote per user and analysis version
+ALTER TABLE analysis_feedback
+DROP CONSTRAINT IF EXISTS analysis_feedback_one_vote_per_user;
+
+ALTER TABLE analysis_feedback
+ADD CONSTRAINT analysis_feedback_one_vote_per_user UNIQUE (analysis_id, submitted_by);
@@ -6,11 +6,12 @@
  * This file orchestrates everything:
  * 1. Loads configuration
  * 2. Creates Express app
- * 3. Sets up middleware (CORS, JSON parsing, logging)
+ * 3. Sets up middleware (CORS, JSON parsing, logging, authentication)
  * 4. Connects routes
  * 5. Sets up error handling
  * 6. Connects to database
  * 7. Starts the HTTP server
+ * 8. Starts the background AI analysis worker
  *
  * Flow when server starts:
  * - Load config � Test DB connection � Start Express � Listen on port
@@ -25,9 +26,25 @@ const config = require('./config/env');
 const logger = require('./config/logger');
 const db = require('./db');
 const { errorHandler, notFoundHandler} = require('./middlewares/errorHandler');
+const { authenticate, requirePermission } = require('./middlewares/auth');
+const authRoutes = require('./routes/auth.routes');
+const usersRoutes = require('./routes/users.routes');
 const incidentsRoutes = require('./routes/incidents.routes');
 const managementRoutes = require('./routes/incidents-management.routes');
+const analysisRoutes = require('./routes/incidents-analysis.routes');
+const actionItemsRoutes = require('./routes/incidents-action-items.routes');
+const chatRoutes = require('./routes/incidents-chat.routes');
+const postmortemsRoutes = require('./routes/incidents-postmortems.routes');
+const severityRoutes = require('./routes/incidents-severity.routes');
+const customerMessagesRoutes = require('./routes/incidents-customer-messages.routes');
+const customerUpdatesRoutes = require('./routes/incidents-customer-updates.routes');
+const archiveRoutes = require('./routes/incidents-archive.routes');
+const publicStatusRoutes = require('./routes/public-status.routes');
 const managementController = require('./controllers/incidents-management.controller');
+const aiUsageController = require('./controllers/ai-usage.controller');
+const analysisQualityController = require('./controllers/analysis-quality.controller');
+const usersService = require('./services/users.service');
+const analysisWorker = require('./workers/analysis.worker');
 
 // Create Express application
 const app = express();
@@ -39,9 +56,13 @@ const app = express();
 
 // 1. CORS - Allow frontend to make requests to this API
 // This is critical for local development where frontend and backend run on different ports
-app.use(cors({
-  origin: config.cors.origin, // e.g., http://localhost:5173 (Vite dev server)
-  credentials: true,
+// The public status API (/api/public) can be read from any site, without credentials
+app.use(cors((req, callback) => {
+  const isPublic = req.path === '/api/public' || req.path.startsWith('/api/public/');
+
+  callback(null, isPublic
+    ? { origin: '*', credentials: false }
+    : { origin: config.cors.origin, credentials: true, exposedHeaders: ['ETag'] }); // e.g., http://localhost:5173 (Vite dev server)
 }));
 
 // 2. JSON Body Parser - Parse incoming JSON request bodies
@@ -80,12 +101,30 @@ app.get('/api', (req, res) => {
     message: 'AI Incident & Status Assistant API',
     version: '1.1.0',
     endpoints: {
+      auth: '/api/auth',
       incidents: '/api/incidents',
+      users: '/api/users',
+      publicStatus: '/api/public/status',
       health: '/health',
     },
   });
 });
 
+// Mount login and account routes (the login endpoints are public)
+app.use('/api/auth', authRoutes);
+
+// Mount the public status page API and feeds (read-only, no authentication)
+// It lives under /api so the ingress and dev proxies send it to the backend
+app.use('/api/public', publicStatusRoutes);
+
+// Every other /api route needs a session cookie or API token, and each route
+// checks the user's role with requirePermission (see utils/permissions.js)
+// /health and /api/public stay open
+app.use('/api', authenticate);
+
+// Mount user account routes
+app.use('/api/users', usersRoutes);
+
 // Mount incidents routes at /api/incidents
 // All routes defined in incidentsRoutes will be prefixed with /api/incidents
 app.use('/api/incidents', incidentsRoutes);
@@ -93,11 +132,38 @@ app.use('/api/incidents', incidentsRoutes);
 // Mount management routes (these also use /api/incidents prefix for updates)
 app.use('/api/incidents', managementRoutes);
 
+// Mount AI analysis history routes (re-run, list, diff, activate)
+app.use('/api/incidents', analysisRoutes);
+
+// Mount action item checklist routes
+app.use('/api/incidents', actionItemsRoutes);
+
+// Mount per-incident AI chat routes
+app.use('/api/incidents', chatRoutes);
+
+// Mount postmortem draft, revision and export routes
+app.use('/api/incidents', postmortemsRoutes);
+
+// Mount AI severity suggestion routes
+app.use('/api/incidents', severityRoutes);
+
+// Mount customer status message routes
+app.use('/api/incidents', customerMessagesRoutes);
+
+// Mount customer update (draft → approve → publish) routes
+app.use('/api/incidents', customerUpdatesRoutes);
+
+// Mount archived incident (restore, purge) routes
+app.use('/api/incidents', archiveRoutes);
+
 // Search endpoint
-app.get('/api/incidents/search', managementController.searchIncidents);
+app.get('/api/incidents/search', requirePermission('incidents:read'), managementController.searchIncidents);
 
 // Analytics endpoints
-app.get('/api/analytics/overview', managementController.getAnalytics);
+app.get('/api/analytics/overview', requirePermission('analytics:read'), managementController.getAnalytics);
+app.get('/api/analytics/ai-usage', requirePermission('analytics:read'), aiUsageController.getUsageReport);
+app.get('/api/analytics/prompt-versions', requirePermission('analytics:read'), analysisQualityController.getPromptVersionReport);
+app.get('/api/analytics/ai-quality', requirePermission('analytics:read'), analysisQualityController.getQualityReport);
 
 /**
  * ERROR HANDLING
@@ -122,6 +188,9 @@ async function startServer() {
     logger.info('Testing database connection...');
     await db.testConnection();
 
+    // Create the first account on a fresh installation (AUTH_BOOTSTRAP_*)
+    await usersService.ensureBootstrapUser();
+
     // Start HTTP server
     const PORT = config.port;
     app.listen(PORT, () => {
@@ -133,6 +202,11 @@ async function startServer() {
       });
     });
 
+    // Start processing queued AI analysis jobs
+    if (config.analysisWorker.enabled) {
+      analysisWorker.start();
+    }
+
   } catch (error) {
     logger.error('L Failed to start server', {
       error: error.message,
@@ -148,12 +222,14 @@ async function startServer() {
  */
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM signal received: closing HTTP server');
+  analysisWorker.stop();
   await db.closePool();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   logger.info('SIGINT signal received: closing HTTP server');
+  analysisWorker.stop();
   await db.closePool();
   process.exit(0);
 });
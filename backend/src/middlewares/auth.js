@@ -0,0 +1,137 @@
+/**
+ * Authentication Middleware
+ *
+ * Purpose: Identifies the user behind every /api request and checks their role
+ * Used by: index.js (in front of all /api routes except the login endpoints),
+ *          auth.routes.js, all other /api route files (requirePermission),
+ *          controllers (getActor)
+ *
+ * How it works:
+ * 1. Reads the credential from "Authorization: Bearer <token>" (API tokens,
+ *    scripts) or from the session cookie (the web app, including EventSource
+ *    streams and download links, which cannot set headers)
+ * 2. Resolves it to a user with auth.service
+ * 3. Sets req.user ({ id, email, name, role }) and req.auth ({ method, credentialId })
+ *    or fails with 401
+ * 4. requirePermission() on each route then fails with 403 unless the user's
+ *    role has the permission (see utils/permissions.js)
+ *
+ * Controllers record req.user.name as the actor of every change, so the
+ * actor can no longer be chosen by the request body.
+ */
+
+const config = require('../config/env');
+const authService = require('../services/auth.service');
+const { createHttpError } = require('../utils/httpError');
+const { hasPermission } = require('../utils/permissions');
+
+/**
+ * Read one cookie from the Cookie header
+ *
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null}
+ */
+function readCookie(req, name) {
+  const header = req.headers.cookie;
+
+  if (!header) {
+    return null;
+  }
+
+  for (const part of header.split(';')) {
+    const separator = part.indexOf('=');
+
+    if (separator !== -1 && part.slice(0, separator).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(separator + 1).trim());
+      } catch {
+        return null;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * The credential sent with a request, bearer token first
+ *
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function getRequestToken(req) {
+  const authorization = req.get('authorization') || '';
+  const match = authorization.match(/^Bearer\s+(\S+)$/i);
+
+  if (match) {
+    return match[1];
+  }
+
+  return readCookie(req, config.auth.cookieName);
+}
+
+/**
+ * Require an authenticated user
+ */
+async function authenticate(req, res, next) {
+  try {
+    const auth = await authService.resolveToken(getRequestToken(req));
+
+    if (!auth) {
+      return next(createHttpError(401, 'Authentication required'));
+    }
+
+    req.user = auth.user;
+    req.auth = { method: auth.method, credentialId: auth.credentialId };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Require a permission (after authenticate)
+ *
+ * @param {string} permission - e.g. 'incidents:delete'
+ * @returns {Function} - Express middleware
+ *
+ * Example usage:
+ *   router.delete('/:id', requirePermission('incidents:delete'), incidentsController.deleteIncident);
+ */
+function requirePermission(permission) {
+  return function checkPermission(req, res, next) {
+    if (!req.user) {
+      return next(createHttpError(401, 'Authentication required'));
+    }
+
+    if (!hasPermission(req.user.role, permission)) {
+      return next(createHttpError(403, `Your role (${req.user.role}) does not allow ${permission}`, { permission }));
+    }
+
+    next();
+  };
+}
+
+/**
+ * Name of the authenticated user, recorded as the actor of a change
+ *
+ * @param {Object} req - Express request (after authenticate)
+ * @returns {string}
+ */
+function getActor(req) {
+  if (!req.user) {
+    throw createHttpError(401, 'Authentication required');
+  }
+
+  return req.user.name;
+}
+
+module.exports = {
+  readCookie,
+  getRequestToken,
+  authenticate,
+  requirePermission,
+  getActor,
+};
@@ -16,6 +16,8 @@
 const logger = require('../config/logger');
 const config = require('../config/env');
 
+const CLIENT_ERROR_DETAILS = ['fields', 'allowedStatuses', 'currentVersion'];
+
 /**
  * Global error handler
  * MUST have 4 parameters (err, req, res, next) for Express to recognize it as error middleware
@@ -48,6 +50,13 @@ function errorHandler(err, req, res, next) {
     },
   };
 
+  // Details clients can act on, set by services with createHttpError:
+  // fields (per-field validation problems), allowedStatuses (409 on a status change),
+  // currentVersion (412 when the incident changed since the If-Match version)
+  CLIENT_ERROR_DETAILS
+    .filter(detail => err[detail] !== undefined)
+    .forEach(detail => { errorResponse.error[detail] = err[detail]; });
+
   // Include stack trace only in development for debugging
   if (config.nodeEnv === 'development') {
     errorResponse.error.stack = err.stack;
@@ -0,0 +1,82 @@
+/**
+ * Auth Routes
+ *
+ * Purpose: API routes for logging in and the current user's account
+ * Used by: index.js
+ *
+ * - GET    /api/auth/options          → login methods offered (public)
+ * - POST   /api/auth/login            → log in (public), sets the session cookie
+ * - GET    /api/auth/oidc/login       → start single sign-on (public), redirects to the IdP
+ * - GET    /api/auth/oidc/callback    → finish single sign-on (public), sets the session cookie
+ * - POST   /api/auth/logout           → end the current session (and say where to end the SSO session)
+ * - GET    /api/auth/me               → the authenticated user
+ * - PUT    /api/auth/password         → change password
+ * - GET    /api/auth/tokens           → list personal API tokens
+ * - POST   /api/auth/tokens           → create a personal API token
+ * - DELETE /api/auth/tokens/:tokenId  → revoke a personal API token
+ */
+
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/auth.controller');
+const { authenticate } = require('../middlewares/auth');
+
+/**
+ * GET /api/auth/options
+ */
+router.get('/options', authController.getLoginOptions);
+
+/**
+ * POST /api/auth/login
+ * Body: { email: 'jane@example.com', password: '...' }
+ */
+router.post('/login', authController.login);
+
+/**
+ * GET /api/auth/oidc/login?returnTo=/incidents/5
+ * Browser navigation, not fetch: answers with a redirect
+ */
+router.get('/oidc/login', authController.startOidcLogin);
+
+/**
+ * GET /api/auth/oidc/callback?code=...&state=...
+ * The IdP's redirect back (OIDC_REDIRECT_URI)
+ */
+router.get('/oidc/callback', authController.completeOidcLogin);
+
+// Everything below needs a session or API token
+router.use(authenticate);
+
+/**
+ * POST /api/auth/logout
+ */
+router.post('/logout', authController.logout);
+
+/**
+ * GET /api/auth/me
+ */
+router.get('/me', authController.getCurrentUser);
+
+/**
+ * PUT /api/auth/password
+ * Body: { currentPassword: '...', newPassword: '...' }
+ */
+router.put('/password', authController.changePassword);
+
+/**
+ * GET /api/auth/tokens
+ */
+router.get('/tokens', authController.listApiTokens);
+
+/**
+ * POST /api/auth/tokens
+ * Body: { name: 'CI pipeline', expiresInDays: 90 } (expiresInDays optional)
+ */
+router.post('/tokens', authController.createApiToken);
+
+/**
+ * DELETE /api/auth/tokens/:tokenId
+ */
+router.delete('/tokens/:tokenId', authController.revokeApiToken);
+
+module.exports = router;
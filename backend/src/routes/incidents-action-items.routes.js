@@ -0,0 +1,46 @@
+/**
+ * Incidents Action Items Routes
+ *
+ * Purpose: API routes for the remediation checklist of an incident
+ * Used by: index.js
+ *
+ * - GET    /api/incidents/:id/action-items           → list items
+ * - POST   /api/incidents/:id/action-items           → add a manual item
+ * - PATCH  /api/incidents/:id/action-items/:itemId   → assign, complete, set due date, edit
+ * - DELETE /api/incidents/:id/action-items/:itemId   → remove an item
+ */
+
+const express = require('express');
+const router = express.Router();
+const actionItemsController = require('../controllers/incidents-action-items.controller');
+const { requirePermission } = require('../middlewares/auth');
+
+/**
+ * GET /api/incidents/:id/action-items
+ * List action items (open first, then by priority)
+ */
+router.get('/:id/action-items', requirePermission('incidents:read'), actionItemsController.listActionItems);
+
+/**
+ * POST /api/incidents/:id/action-items
+ * Add a manual action item
+ *
+ * Body: { action: 'Rotate DB credentials', priority: 'high', owner: 'DBA', dueDate: '2024-05-01' }
+ */
+router.post('/:id/action-items', requirePermission('action_items:write'), actionItemsController.createActionItem);
+
+/**
+ * PATCH /api/incidents/:id/action-items/:itemId
+ * Update any of: status ('open' | 'done'), owner, dueDate, action, priority, command
+ *
+ * Body: { status: 'done' }
+ */
+router.patch('/:id/action-items/:itemId', requirePermission('action_items:write'), actionItemsController.updateActionItem);
+
+/**
+ * DELETE /api/incidents/:id/action-items/:itemId
+ * Remove an action item
+ */
+router.delete('/:id/action-items/:itemId', requirePermission('action_items:write'), actionItemsController.deleteActionItem);
+
+module.exports = router;
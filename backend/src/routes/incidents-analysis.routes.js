@@ -0,0 +1,88 @@
+/**
+ * Incidents Analysis Routes
+ *
+ * Purpose: API routes for re-running AI analysis and browsing its version history
+ * Used by: index.js
+ *
+ * - POST /api/incidents/:id/analysis                     → queue a new analysis
+ * - GET  /api/incidents/:id/analysis/stream              → live progress (SSE)
+ * - POST /api/incidents/:id/analysis/feedback            → feedback on the active analysis
+ * - GET  /api/incidents/:id/analyses                     → list versions
+ * - GET  /api/incidents/:id/analyses/diff?from=1&to=2    → compare two versions
+ * - GET  /api/incidents/:id/analyses/:version            → single version
+ * - POST /api/incidents/:id/analyses/:version/activate   → make a version active
+ * - POST /api/incidents/:id/analyses/:version/rating     → rate a version thumbs up/down
+ * - GET  /api/incidents/:id/similar?limit=5              → similar past incidents
+ */
+
+const express = require('express');
+const router = express.Router();
+const analysisController = require('../controllers/incidents-analysis.controller');
+const { requirePermission } = require('../middlewares/auth');
+
+/**
+ * POST /api/incidents/:id/analysis
+ * Re-run the AI analysis using the current description plus all comments
+ * Response: 202 Accepted with the queued job
+ */
+router.post('/:id/analysis', requirePermission('analysis:run'), analysisController.requestReanalysis);
+
+/**
+ * GET /api/incidents/:id/analysis/stream
+ * Server-Sent Events with the analysis as it is generated
+ *
+ * Events: status, partial ({ summary, rootCauses, ... }), done ({ incident }), failed
+ */
+router.get('/:id/analysis/stream', requirePermission('incidents:read'), analysisController.streamAnalysis);
+
+/**
+ * POST /api/incidents/:id/analysis/feedback
+ * Rate the active analysis and say which root cause was correct
+ * Low-rated analyses get flagged for a re-run (see analysis-feedback.service.js)
+ *
+ * Body: { rating: 'up' | 'down', correctRootCause: 0 (or -1 for none), comment: '...' }
+ */
+router.post('/:id/analysis/feedback', requirePermission('analysis:feedback'), analysisController.submitFeedback);
+
+/**
+ * GET /api/incidents/:id/analyses
+ * List every analysis version (newest first), flagging the active one
+ */
+router.get('/:id/analyses', requirePermission('incidents:read'), analysisController.listAnalyses);
+
+/**
+ * GET /api/incidents/:id/analyses/diff?from=1&to=2
+ * Compare two versions field by field
+ *
+ * IMPORTANT: This route MUST come BEFORE /:id/analyses/:version
+ */
+router.get('/:id/analyses/diff', requirePermission('incidents:read'), analysisController.diffAnalyses);
+
+/**
+ * GET /api/incidents/:id/analyses/:version
+ * Get the full content of one analysis version
+ */
+router.get('/:id/analyses/:version', requirePermission('incidents:read'), analysisController.getAnalysis);
+
+/**
+ * POST /api/incidents/:id/analyses/:version/activate
+ * Copy a version back onto the incident and make it the active analysis
+ */
+router.post('/:id/analyses/:version/activate', requirePermission('analysis:run'), analysisController.activateAnalysis);
+
+/**
+ * POST /api/incidents/:id/analyses/:version/rating
+ * Rate an analysis version; ratings are compared per prompt template version
+ * A user rating the same version again replaces their earlier rating
+ *
+ * Body: { rating: 'up' | 'down' }
+ */
+router.post('/:id/analyses/:version/rating', requirePermission('analysis:feedback'), analysisController.rateAnalysis);
+
+/**
+ * GET /api/incidents/:id/similar?limit=5
+ * Resolved incidents opened before this one, closest to it by embedding, with how they were resolved
+ */
+router.get('/:id/similar', requirePermission('incidents:read'), analysisController.getSimilarIncidents);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+/**
+ * Incidents Archive Routes
+ *
+ * Purpose: API routes for archived (soft-deleted) incidents
+ * Used by: index.js
+ *
+ * - POST   /api/incidents/:id/restore → bring an archived incident back
+ * - DELETE /api/incidents/:id/purge   → permanently delete it (admins, after the retention period)
+ *
+ * Archive with DELETE /api/incidents/:id; list with GET /api/incidents?archived=true.
+ */
+
+const express = require('express');
+const router = express.Router();
+const archiveController = require('../controllers/incidents-archive.controller');
+const { requirePermission } = require('../middlewares/auth');
+
+/**
+ * POST /api/incidents/:id/restore
+ * Restore an archived incident; logged in the activity feed
+ * Response: 200 OK with the incident, 404 if there is no archived incident with this ID
+ */
+router.post('/:id/restore', requirePermission('incidents:delete'), archiveController.restore);
+
+/**
+ * DELETE /api/incidents/:id/purge
+ * Permanently delete an archived incident with its comments and activity log
+ * Errors: 404 if there is no archived incident with this ID,
+ *         409 if it was archived less than INCIDENT_ARCHIVE_RETENTION_DAYS ago
+ */
+router.delete('/:id/purge', requirePermission('incidents:purge'), archiveController.purge);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+/**
+ * Incidents Chat Routes
+ *
+ * Purpose: API routes for follow-up questions to the AI about an incident
+ * Used by: index.js
+ *
+ * - GET  /api/incidents/:id/chat → the chat thread, oldest first
+ * - POST /api/incidents/:id/chat → ask a question, returns the question and the answer
+ */
+
+const express = require('express');
+const router = express.Router();
+const chatController = require('../controllers/incidents-chat.controller');
+const { requirePermission } = require('../middlewares/auth');
+
+/**
+ * GET /api/incidents/:id/chat
+ * Get the chat thread of an incident
+ */
+router.get('/:id/chat', requirePermission('incidents:read'), chatController.listMessages);
+
+/**
+ * POST /api/incidents/:id/chat
+ * Ask a question; answered with the incident, comments, activity and analysis as context
+ *
+ * Body: { message: 'Which deploy went out before the errors started?' }
+ * Errors: 503 when the monthly AI budget is spent, 502 when the provider fails
+ */
+router.post('/:id/chat', requirePermission('analysis:run'), chatController.sendMessage);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+/**
+ * Incidents Customer Messages Routes
+ *
+ * Purpose: API routes for customer-facing status messages
+ * Used by: index.js
+ *
+ * - GET /api/incidents/:id/customer-message?lang=de → the AI customer message in one language
+ */
+
+const express = require('express');
+const router = express.Router();
+const customerMessagesController = require('../controllers/incidents-customer-messages.controller');
+const { requirePermission } = require('../middlewares/auth');
+
+/**
+ * GET /api/incidents/:id/customer-message?lang=de
+ * The customer message of the active analysis in one language
+ *
+ * Query: lang (optional, default 'en'); translations exist for CUSTOMER_MESSAGE_LOCALES
+ * Response: { locale, message, available: ['en', 'de', ...], createdAt }
+ * Errors: 404 when the incident has no message yet or not in that language
+ */
+router.get('/:id/customer-message', requirePermission('incidents:read'), customerMessagesController.getCustomerMessage);
+
+module.exports = router;
@@ -0,0 +1,79 @@
+/**
+ * Incidents Customer Updates Routes
+ *
+ * Purpose: API routes for reviewed customer updates (draft → approve → publish)
+ * Used by: index.js
+ *
+ * - GET    /api/incidents/:id/customer-updates                     → list updates
+ * - POST   /api/incidents/:id/customer-updates                     → write a draft
+ * - POST   /api/incidents/:id/customer-updates/draft               → AI-draft the next update
+ * - PATCH  /api/incidents/:id/customer-updates/:updateId           → edit a draft
+ * - POST   /api/incidents/:id/customer-updates/:updateId/approve   → approve a draft
+ * - POST   /api/incidents/:id/customer-updates/:updateId/publish   → publish an approved update
+ * - DELETE /api/incidents/:id/customer-updates/:updateId           → discard a draft
+ * - PUT    /api/incidents/:id/public-info                          → status page title and components
+ */
+
+const express = require('express');
+const router = express.Router();
+const customerUpdatesController = require('../controllers/incidents-customer-updates.controller');
+const { requirePermission } = require('../middlewares/auth');
+
+/**
+ * GET /api/incidents/:id/customer-updates?status=published
+ * Published updates (newest first), then drafts
+ *
+ * Query: status (optional) - 'draft', 'approved' or 'published'
+ */
+router.get('/:id/customer-updates', requirePermission('incidents:read'), customerUpdatesController.listUpdates);
+
+/**
+ * POST /api/incidents/:id/customer-updates
+ * Write a draft by hand
+ *
+ * Body: { message: 'We are investigating...' }
+ */
+router.post('/:id/customer-updates', requirePermission('customer_updates:draft'), customerUpdatesController.createDraft);
+
+/**
+ * POST /api/incidents/:id/customer-updates/draft
+ * Draft the next update from the incident status, the published updates and the latest notes
+ */
+router.post('/:id/customer-updates/draft', requirePermission('customer_updates:draft'), customerUpdatesController.draftNextUpdate);
+
+/**
+ * PATCH /api/incidents/:id/customer-updates/:updateId
+ * Edit a draft; an approved update goes back to draft (409 once published)
+ *
+ * Body: { message: 'We have identified...' }
+ */
+router.patch('/:id/customer-updates/:updateId', requirePermission('customer_updates:draft'), customerUpdatesController.editUpdate);
+
+/**
+ * POST /api/incidents/:id/customer-updates/:updateId/approve
+ * Approve a draft (409 unless it is a draft)
+ */
+router.post('/:id/customer-updates/:updateId/approve', requirePermission('customer_updates:publish'), customerUpdatesController.approveUpdate);
+
+/**
+ * POST /api/incidents/:id/customer-updates/:updateId/publish
+ * Publish an approved update (409 unless it is approved)
+ */
+router.post('/:id/customer-updates/:updateId/publish', requirePermission('customer_updates:publish'), customerUpdatesController.publishUpdate);
+
+/**
+ * DELETE /api/incidents/:id/customer-updates/:updateId
+ * Discard an unpublished update (409 once published)
+ */
+router.delete('/:id/customer-updates/:updateId', requirePermission('customer_updates:draft'), customerUpdatesController.discardUpdate);
+
+/**
+ * PUT /api/incidents/:id/public-info
+ * Public title and affected components shown on the status page (/api/public)
+ *
+ * Body: { publicTitle: 'Checkout delays', affectedComponents: ['Checkout'] }
+ * Both fields are optional; an empty publicTitle falls back to a generic title
+ */
+router.put('/:id/public-info', requirePermission('customer_updates:publish'), customerUpdatesController.updatePublicInfo);
+
+module.exports = router;
@@ -10,41 +10,46 @@
 const express = require('express');
 const router = express.Router();
 const managementController = require('../controllers/incidents-management.controller');
+const { requirePermission } = require('../middlewares/auth');
 
 /**
  * PATCH /api/incidents/:id/status
- * Update incident status
+ * Update incident status along the configured workflow (INCIDENT_STATUS_TRANSITIONS)
  *
- * Body: { status: 'investigating', actorName: 'John Doe' }
+ * Body: { status: 'resolved', resolutionNote: 'Rolled back the deploy' }
+ * Some statuses require a resolutionNote or reason (INCIDENT_STATUS_REQUIRED_FIELDS; 400 if missing)
+ * 409 with error.allowedStatuses when the incident may not move to the status
+ * Optional If-Match: the ETag from GET /api/incidents/:id; 412 if the incident changed since
  */
-router.patch('/:id/status', managementController.updateStatus);
+router.patch('/:id/status', requirePermission('incidents:update'), managementController.updateStatus);
 
 /**
  * PATCH /api/incidents/:id/assign
  * Assign incident to team member
  *
- * Body: { assignedTo: 'Jane Smith', actorName: 'John Doe' }
+ * Body: { assignedTo: 'Jane Smith' }
+ * Optional If-Match: the ETag from GET /api/incidents/:id; 412 if the incident changed since
  */
-router.patch('/:id/assign', managementController.assignIncident);
+router.patch('/:id/assign', requirePermission('incidents:update'), managementController.assignIncident);
 
 /**
  * POST /api/incidents/:id/comments
  * Add comment to incident
  *
- * Body: { authorName: 'John Doe', commentText: 'Working on this...' }
+ * Body: { commentText: 'Working on this...' }
  */
-router.post('/:id/comments', managementController.addComment);
+router.post('/:id/comments', requirePermission('incidents:comment'), managementController.addComment);
 
 /**
  * GET /api/incidents/:id/comments
  * Get all comments for an incident
  */
-router.get('/:id/comments', managementController.getComments);
+router.get('/:id/comments', requirePermission('incidents:read'), managementController.getComments);
 
 /**
  * GET /api/incidents/:id/activity
  * Get activity log for an incident
  */
-router.get('/:id/activity', managementController.getActivity);
+router.get('/:id/activity', requirePermission('incidents:read'), managementController.getActivity);
 
 module.exports = router;
@@ -0,0 +1,59 @@
+/**
+ * Incidents Postmortems Routes
+ *
+ * Purpose: API routes for blameless postmortem documents
+ * Used by: index.js
+ *
+ * - POST /api/incidents/:id/postmortem                      → AI-draft a new revision
+ * - GET  /api/incidents/:id/postmortem                      → current revision
+ * - PUT  /api/incidents/:id/postmortem                      → save an edit as a new revision
+ * - GET  /api/incidents/:id/postmortem/revisions            → list revisions
+ * - GET  /api/incidents/:id/postmortem/revisions/:revision  → one revision
+ * - GET  /api/incidents/:id/postmortem/export               → download as Markdown
+ */
+
+const express = require('express');
+const router = express.Router();
+const postmortemsController = require('../controllers/incidents-postmortems.controller');
+const { requirePermission } = require('../middlewares/auth');
+
+/**
+ * POST /api/incidents/:id/postmortem
+ * Draft a postmortem from the description, analysis, comments and activity timeline
+ * Only for resolved or closed incidents (409 otherwise)
+ */
+router.post('/:id/postmortem', requirePermission('postmortems:write'), postmortemsController.draftPostmortem);
+
+/**
+ * GET /api/incidents/:id/postmortem
+ * Get the current (latest) revision
+ */
+router.get('/:id/postmortem', requirePermission('incidents:read'), postmortemsController.getPostmortem);
+
+/**
+ * PUT /api/incidents/:id/postmortem
+ * Save the edited Markdown document as a new revision
+ *
+ * Body: { content: '# Postmortem: ...' }
+ */
+router.put('/:id/postmortem', requirePermission('postmortems:write'), postmortemsController.savePostmortem);
+
+/**
+ * GET /api/incidents/:id/postmortem/revisions
+ * List revisions, newest first
+ */
+router.get('/:id/postmortem/revisions', requirePermission('incidents:read'), postmortemsController.listRevisions);
+
+/**
+ * GET /api/incidents/:id/postmortem/revisions/:revision
+ * Get a single revision
+ */
+router.get('/:id/postmortem/revisions/:revision', requirePermission('incidents:read'), postmortemsController.getRevision);
+
+/**
+ * GET /api/incidents/:id/postmortem/export?revision=2
+ * Download the current (or given) revision as a .md file
+ */
+router.get('/:id/postmortem/export', requirePermission('incidents:read'), postmortemsController.exportMarkdown);
+
+module.exports = router;
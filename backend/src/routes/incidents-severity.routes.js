@@ -0,0 +1,32 @@
+/**
+ * Incidents Severity Routes
+ *
+ * Purpose: API routes for the AI's severity suggestion (SEVERITY_POLICY=suggest)
+ * Used by: index.js
+ *
+ * - POST /api/incidents/:id/severity-suggestion/accept  → raise to the suggested severity
+ * - POST /api/incidents/:id/severity-suggestion/dismiss → keep the reported severity
+ *
+ * The pending suggestion itself comes with GET /api/incidents/:id as severity_suggestion.
+ */
+
+const express = require('express');
+const router = express.Router();
+const severityController = require('../controllers/incidents-severity.controller');
+const { requirePermission } = require('../middlewares/auth');
+
+/**
+ * POST /api/incidents/:id/severity-suggestion/accept
+ * Raise the severity to the one the AI suggested; logged in the activity feed
+ * Errors: 409 when there is no pending suggestion
+ */
+router.post('/:id/severity-suggestion/accept', requirePermission('severity:decide'), severityController.acceptSuggestion);
+
+/**
+ * POST /api/incidents/:id/severity-suggestion/dismiss
+ * Keep the reported severity; the next analysis may suggest again
+ * Errors: 409 when there is no pending suggestion
+ */
+router.post('/:id/severity-suggestion/dismiss', requirePermission('severity:decide'), severityController.dismissSuggestion);
+
+module.exports = router;
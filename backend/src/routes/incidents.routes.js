@@ -6,9 +6,11 @@
  *
  * This file maps HTTP methods + URLs to controller functions:
  * - POST   /api/incidents              → create new incident
- * - GET    /api/incidents              → get all incidents
+ * - GET    /api/incidents              → get all incidents (or the archived ones)
  * - GET    /api/incidents/:id          → get specific incident
  * - GET    /api/incidents/severity/:severity → get incidents by severity
+ * - PATCH  /api/incidents/:id          → edit title, description or severity
+ * - DELETE /api/incidents/:id          → archive an incident (see incidents-archive.routes.js)
  *
  * The router is like a "mini-app" that handles all /api/incidents/* routes
  */
@@ -16,10 +18,11 @@
 const express = require('express');
 const router = express.Router();
 const incidentsController = require('../controllers/incidents.controller');
+const { requirePermission } = require('../middlewares/auth');
 
 /**
  * POST /api/incidents
- * Create a new incident with AI analysis
+ * Create a new incident and queue it for AI analysis
  *
  * Request body example:
  * {
@@ -28,9 +31,11 @@ const incidentsController = require('../controllers/incidents.controller');
  *   "description": "Nginx logs show: upstream prematurely closed connection..."
  * }
  *
- * Response: 201 Created with full incident object including AI fields
+ * Response: 201 Created with the incident object
+ * The AI fields are filled in by the analysis worker; poll GET /api/incidents/:id
+ * until analysis_status is 'done' (or 'failed')
  */
-router.post('/', incidentsController.create);
+router.post('/', requirePermission('incidents:create'), incidentsController.create);
 
 /**
  * GET /api/incidents
@@ -39,19 +44,21 @@ router.post('/', incidentsController.create);
  * Query parameters:
  * - limit: number of incidents to return (default: 100)
  * - offset: number of incidents to skip (default: 0)
+ * - archived: "true" to list only archived incidents, most recently archived first,
+ *   with deleted_at, deleted_by and purgeable_at; they are left out otherwise
  *
  * Example: GET /api/incidents?limit=20&offset=0
  *
  * Response: 200 OK with array of incidents
  */
-router.get('/', incidentsController.getAll);
+router.get('/', requirePermission('incidents:read'), incidentsController.getAll);
 
 /**
  * GET /api/incidents/severity/:severity
  * Get incidents filtered by severity level
  *
  * URL parameter:
- * - severity: 'low', 'medium', or 'high'
+ * - severity: 'low', 'medium', 'high', or 'critical'
  *
  * Example: GET /api/incidents/severity/high
  *
@@ -60,7 +67,7 @@ router.get('/', incidentsController.getAll);
  *
  * Response: 200 OK with array of matching incidents
  */
-router.get('/severity/:severity', incidentsController.getBySeverity);
+router.get('/severity/:severity', requirePermission('incidents:read'), incidentsController.getBySeverity);
 
 /**
  * GET /api/incidents/:id
@@ -72,21 +79,49 @@ router.get('/severity/:severity', incidentsController.getBySeverity);
  * Example: GET /api/incidents/42
  *
  * Response: 200 OK with incident object, or 404 Not Found
+ * allowed_statuses lists the statuses the incident may move to next
+ * The ETag header carries the incident's version ("v3"); send it back as
+ * If-Match when updating the incident
  */
-router.get('/:id', incidentsController.getById);
+router.get('/:id', requirePermission('incidents:read'), incidentsController.getById);
+
+/**
+ * PATCH /api/incidents/:id
+ * Edit an incident's title, description and/or severity
+ *
+ * Request body example:
+ * {
+ *   "title": "API Gateway returning 502 errors for EU customers",
+ *   "description": "Only eu-west-1 is affected...",
+ *   "reanalyze": true
+ * }
+ *
+ * Each changed field is logged to the activity timeline with its old and new value.
+ * reanalyze: true queues a new AI analysis if the description changed.
+ * Changing severity also needs severity:decide (incident commanders); others get 403.
+ * Status and assignee have their own endpoints (PATCH /:id/status, PATCH /:id/assign).
+ *
+ * Send the ETag from GET /api/incidents/:id as If-Match to only apply the edit
+ * if nobody changed the incident since; a stale version gets 412 Precondition Failed.
+ *
+ * Response: 200 OK with { data: incident, changes: [{ field, old_value, new_value }] },
+ * 400 with error.fields for invalid fields, 403 for a severity change without severity:decide, 404 if not found
+ */
+router.patch('/:id', requirePermission('incidents:update'), incidentsController.update);
 
 /**
  * DELETE /api/incidents/:id
- * Delete an incident by ID
+ * Archive an incident (soft delete)
  *
  * URL parameter:
  * - id: incident ID (number)
  *
  * Example: DELETE /api/incidents/42
  *
- * Response: 200 OK on success, 404 if not found
- * Note: This will cascade delete all related comments and activity
+ * Response: 200 OK with { id, deleted_at, deleted_by }, 404 if not found
+ * The incident disappears from lists and search but keeps its comments and
+ * activity log; it can be restored or, after the retention period, purged
  */
-router.delete('/:id', incidentsController.deleteIncident);
+router.delete('/:id', requirePermission('incidents:delete'), incidentsController.deleteIncident);
 
 module.exports = router;
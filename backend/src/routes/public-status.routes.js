@@ -0,0 +1,47 @@
+/**
+ * Public Status Routes
+ *
+ * Purpose: Read-only, unauthenticated API for the public status page
+ * Used by: index.js (mounted at /api/public)
+ *
+ * - GET /api/public/status          → overall status, components, active and recently resolved incidents
+ * - GET /api/public/incidents/:id   → one incident with its published updates
+ * - GET /api/public/feed.rss        → published updates as RSS 2.0
+ * - GET /api/public/feed.atom       → published updates as Atom
+ *
+ * Only incidents with a published customer update are visible, and only
+ * through the whitelisted fields of services/public-status.service.js.
+ */
+
+const express = require('express');
+const router = express.Router();
+const publicStatusController = require('../controllers/public-status.controller');
+
+/**
+ * GET /api/public/status
+ * Response: { title, status: { indicator, description }, components: [{ name, status }],
+ *             activeIncidents, resolvedIncidents, generatedAt }
+ */
+router.get('/status', publicStatusController.getStatus);
+
+/**
+ * GET /api/public/incidents/:id
+ * Response: { id, title, status, impact, components, startedAt, resolvedAt, updatedAt,
+ *             updates: [{ id, status, message, publishedAt }] }
+ * Errors: 404 when the incident does not exist or has no published update
+ */
+router.get('/incidents/:id', publicStatusController.getIncident);
+
+/**
+ * GET /api/public/feed.rss
+ * The latest published updates across all incidents
+ */
+router.get('/feed.rss', publicStatusController.getRssFeed);
+
+/**
+ * GET /api/public/feed.atom
+ * Same items as the RSS feed
+ */
+router.get('/feed.atom', publicStatusController.getAtomFeed);
+
+module.exports = router;
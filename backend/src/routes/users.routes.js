@@ -0,0 +1,37 @@
+/**
+ * Users Routes
+ *
+ * Purpose: API routes for user accounts
+ * Used by: index.js (behind the authenticate middleware)
+ *
+ * - GET   /api/users      → list users
+ * - POST  /api/users      → create a user
+ * - PATCH /api/users/:id  → change role, deactivate or reactivate
+ *
+ * All of them are admin-only (users:manage)
+ */
+
+const express = require('express');
+const router = express.Router();
+const usersController = require('../controllers/users.controller');
+const { requirePermission } = require('../middlewares/auth');
+
+/**
+ * GET /api/users
+ */
+router.get('/', requirePermission('users:manage'), usersController.listUsers);
+
+/**
+ * POST /api/users
+ * Body: { email: 'jane@example.com', name: 'Jane Doe', password: 'at least 10 characters', role: 'responder' }
+ * role is optional and defaults to 'viewer'
+ */
+router.post('/', requirePermission('users:manage'), usersController.createUser);
+
+/**
+ * PATCH /api/users/:id
+ * Body: { role: 'incident_commander', isActive: true } (either field optional)
+ */
+router.patch('/:id', requirePermission('users:manage'), usersController.updateUser);
+
+module.exports = router;
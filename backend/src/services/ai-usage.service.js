@@ -0,0 +1,216 @@
+/**
+ * AI Usage Service - Token and Cost Accounting
+ *
+ * Purpose: Records the tokens and cost of every AI provider call, reports
+ *          spend, and enforces the monthly budget
+ * Used by: ai.service.js (record + budget check) and
+ *          ai-usage.controller.js (GET /api/analytics/ai-usage)
+ *
+ * Costs come from config.aiUsage.pricing (USD per 1M tokens) and are stored
+ * with each call, so later price changes do not rewrite past spend.
+ */
+
+const db = require('../db');
+const config = require('../config/env');
+const logger = require('../config/logger');
+
+/**
+ * Price of a model, in USD per 1M tokens
+ * Providers report dated snapshots (e.g. gpt-4o-mini-2024-07-18), so a model
+ * without its own entry uses the longest priced name it starts with
+ *
+ * @param {string} model - Model name reported by the provider
+ * @returns {Object|null} - { input, output }, or null when the model has no price
+ */
+function findPrice(model) {
+  const { pricing } = config.aiUsage;
+
+  if (!model) {
+    return null;
+  }
+
+  if (pricing[model]) {
+    return pricing[model];
+  }
+
+  const prefix = Object.keys(pricing)
+    .filter(name => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? pricing[prefix] : null;
+}
+
+/**
+ * Price a call from its token counts
+ *
+ * @param {string} model - Model name reported by the provider
+ * @param {Object} usage - { promptTokens, completionTokens }
+ * @returns {number|null} - Cost in USD, or null when the model has no price
+ *
+ * Example:
+ *   calculateCost('gpt-4o-mini', { promptTokens: 1000000, completionTokens: 0 }) // => 0.15
+ *   calculateCost('gpt-4o-mini-2024-07-18', { promptTokens: 1000000, completionTokens: 0 }) // => 0.15
+ */
+function calculateCost(model, usage) {
+  const price = findPrice(model);
+
+  if (!price) {
+    return null;
+  }
+
+  const cost = (usage.promptTokens * (price.input || 0)
+    + usage.completionTokens * (price.output || 0)) / 1000000;
+
+  return Math.round(cost * 1000000) / 1000000; // Matches NUMERIC(12, 6)
+}
+
+/**
+ * Record one provider call
+ * Failures are logged rather than thrown: losing a ledger row must not lose the analysis
+ *
+ * @param {Object} entry
+ * @param {number} [entry.incidentId] - Incident the call was for
+ * @param {string} [entry.purpose='analysis'] - What the call was for
+ * @param {string} [entry.severity] - Incident severity at the time of the call
+ * @param {string} entry.provider - Provider name
+ * @param {string} entry.model - Model name
+ * @param {Object} entry.usage - { promptTokens, completionTokens, totalTokens }
+ * @returns {Promise<number|null>} - Cost of the call in USD
+ */
+async function recordUsage({ incidentId = null, purpose = 'analysis', severity = null, provider, model, usage }) {
+  const cost = calculateCost(model, usage);
+
+  try {
+    await db.query(
+      `INSERT INTO ai_usage (incident_id, purpose, severity, provider, model,
+                             prompt_tokens, completion_tokens, total_tokens, cost_usd)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [
+        incidentId,
+        purpose,
+        severity,
+        provider,
+        model,
+        usage.promptTokens,
+        usage.completionTokens,
+        usage.totalTokens,
+        cost,
+      ]
+    );
+  } catch (error) {
+    logger.warn('Failed to record AI usage', { error: error.message, incidentId, model });
+  }
+
+  return cost;
+}
+
+/**
+ * Spend since the start of the current calendar month
+ *
+ * @returns {Promise<number>} - USD
+ */
+async function getMonthToDateSpend() {
+  const result = await db.query(`
+    SELECT COALESCE(SUM(cost_usd), 0)::float AS spent
+    FROM ai_usage
+    WHERE created_at >= date_trunc('month', CURRENT_TIMESTAMP)
+  `);
+
+  return result.rows[0].spent;
+}
+
+/**
+ * Check this month's spend against AI_MONTHLY_BUDGET_USD
+ *
+ * @returns {Promise<Object>} - { budgetUsd, spentUsd, exceeded, reason }
+ *   budgetUsd and spentUsd are null when no budget is configured
+ */
+async function checkBudget() {
+  const budgetUsd = config.aiUsage.monthlyBudgetUsd;
+
+  if (!budgetUsd) {
+    return { budgetUsd: null, spentUsd: null, exceeded: false, reason: null };
+  }
+
+  const spentUsd = await getMonthToDateSpend();
+  const exceeded = spentUsd >= budgetUsd;
+
+  return {
+    budgetUsd,
+    spentUsd,
+    exceeded,
+    reason: exceeded
+      ? `Monthly AI budget exceeded: $${spentUsd.toFixed(2)} spent of $${budgetUsd.toFixed(2)}`
+      : null,
+  };
+}
+
+/**
+ * Usage report for a date range
+ *
+ * @param {Object} range
+ * @param {string} range.from - First day, YYYY-MM-DD
+ * @param {string} range.to - Last day (inclusive), YYYY-MM-DD
+ * @returns {Promise<Object>} - { from, to, totals, byDay, byModel, bySeverity, budget }
+ *
+ * Each group row has: calls, prompt_tokens, completion_tokens, total_tokens, cost_usd
+ */
+async function getUsageReport({ from, to }) {
+  logger.info('Fetching AI usage report', { from, to });
+
+  const totalsColumns = `
+    COUNT(*)::int AS calls,
+    COALESCE(SUM(prompt_tokens), 0)::int AS prompt_tokens,
+    COALESCE(SUM(completion_tokens), 0)::int AS completion_tokens,
+    COALESCE(SUM(total_tokens), 0)::int AS total_tokens,
+    COALESCE(SUM(cost_usd), 0)::float AS cost_usd
+  `;
+  const rangeFilter = 'WHERE created_at >= $1::date AND created_at < $2::date + 1';
+  const values = [from, to];
+
+  try {
+    const [totalsResult, dayResult, modelResult, severityResult, budget] = await Promise.all([
+      db.query(`SELECT ${totalsColumns} FROM ai_usage ${rangeFilter}`, values),
+      db.query(`
+        SELECT to_char(date_trunc('day', created_at), 'YYYY-MM-DD') AS day, ${totalsColumns}
+        FROM ai_usage ${rangeFilter}
+        GROUP BY 1
+        ORDER BY 1
+      `, values),
+      db.query(`
+        SELECT provider, model, ${totalsColumns}
+        FROM ai_usage ${rangeFilter}
+        GROUP BY provider, model
+        ORDER BY cost_usd DESC, total_tokens DESC
+      `, values),
+      db.query(`
+        SELECT COALESCE(severity, 'unknown') AS severity, ${totalsColumns}
+        FROM ai_usage ${rangeFilter}
+        GROUP BY 1
+        ORDER BY cost_usd DESC
+      `, values),
+      checkBudget(),
+    ]);
+
+    return {
+      from,
+      to,
+      totals: totalsResult.rows[0],
+      byDay: dayResult.rows,
+      byModel: modelResult.rows,
+      bySeverity: severityResult.rows,
+      budget,
+    };
+
+  } catch (error) {
+    logger.error('Failed to fetch AI usage report', { error: error.message });
+    throw error;
+  }
+}
+
+module.exports = {
+  calculateCost,
+  recordUsage,
+  checkBudget,
+  getUsageReport,
+};
@@ -1,286 +1,353 @@
 /**
- * AI Service - OpenAI Integration
+ * AI Service - Incident Analysis
  *
- * Purpose: Handles all interactions with OpenAI API
- * Used by: incidents.service.js when creating new incidents
+ * Purpose: Produces AI analysis for incidents through a pluggable provider
+ * Used by: workers/analysis.worker.js for queued analysis jobs
  *
  * Flow:
- * 1. Receives incident data (title, severity, description)
- * 2. Constructs a prompt asking OpenAI to generate:
+ * 1. Receives incident data (title, severity, description) and masks secrets
+ *    and PII in it (services/redaction.service.js)
+ * 2. Renders a versioned prompt template (services/prompt-templates.service.js,
+ *    A/B split when configured) asking the model to generate:
  *    - A concise summary
  *    - 2-3 root cause suggestions
  *    - A customer-friendly status message
- * 3. Calls OpenAI API with structured output format (JSON)
- * 4. Parses and returns the AI-generated analysis
+ * 3. Sends it to the configured provider (openai, local, heuristic),
+ *    optionally streaming partial sections back through onPartial
+ * 4. Falls back to the heuristic provider if that fails, or straight away
+ *    once the monthly AI budget is spent (services/ai-usage.service.js)
+ * 5. Validates root causes and action items against the analysis schema
+ *    (utils/analysisSchema.js) and returns them as structured objects
  */
 
-const OpenAI = require('openai');
 const config = require('../config/env');
 const logger = require('../config/logger');
+const providers = require('./providers');
+const redactionService = require('./redaction.service');
+const aiUsageService = require('./ai-usage.service');
+const promptTemplates = require('./prompt-templates.service');
+const { validateRootCauses, validateActionItems } = require('../utils/analysisSchema');
+const { extractPartialAnalysis } = require('../utils/partialAnalysis');
+const { normalizeSeverity } = require('../utils/severity');
 
-// Initialize OpenAI client with API key from environment
-const openai = new OpenAI({
-  apiKey: config.openai.apiKey,
-});
+/**
+ * Render follow-up comments as a chronological log for the prompt
+ *
+ * @param {Array} comments - Rows from incident_comments
+ * @returns {string} - Prompt section, or an empty string when there are none
+ */
+function formatCommentsForPrompt(comments = []) {
+  if (comments.length === 0) {
+    return '';
+  }
+
+  const lines = comments.map(comment => {
+    const timestamp = comment.created_at ? new Date(comment.created_at).toISOString() : 'unknown time';
+    return `[${timestamp}] ${comment.author_name}: ${comment.comment_text}`;
+  });
+
+  return `\nFOLLOW-UP NOTES & NEW LOGS (oldest first):\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Render similar past incidents as prompt context
+ *
+ * @param {Array} similarIncidents - Results of embeddings.service findSimilarIncidents
+ * @returns {string} - Prompt section, or an empty string when there are none
+ */
+function formatSimilarIncidentsForPrompt(similarIncidents = []) {
+  if (similarIncidents.length === 0) {
+    return '';
+  }
+
+  const entries = similarIncidents.map(similar => {
+    const lines = [`- Incident #${similar.id} [${similar.severity}, ${similar.status}] ${similar.title}`];
+
+    if (similar.summary) lines.push(`  Summary: ${similar.summary}`);
+    if (similar.resolution.rootCause) lines.push(`  Root cause: ${similar.resolution.rootCause}`);
+    if (similar.resolution.completedActions.length > 0) {
+      lines.push(`  Resolved by: ${similar.resolution.completedActions.join('; ')}`);
+    }
+
+    return lines.join('\n');
+  });
+
+  return `\nSIMILAR PAST INCIDENTS FROM OUR HISTORY (most similar first):\n${entries.join('\n')}\n`;
+}
+
+/**
+ * Build the system and user prompts for an incident from a prompt template
+ *
+ * @param {Object} template - From promptTemplates.selectAnalysisTemplate
+ * @param {Object} incidentData - { title, severity, description, comments, similarIncidents }
+ * @returns {{ systemPrompt: string, userPrompt: string }}
+ */
+function buildAnalysisPrompts(template, incidentData) {
+  const { title, severity, description, comments, similarIncidents } = incidentData;
+
+  return promptTemplates.renderTemplate(template, {
+    title,
+    severity,
+    description,
+    comments: formatCommentsForPrompt(comments),
+    similarIncidents: formatSimilarIncidentsForPrompt(similarIncidents),
+  });
+}
+
+/**
+ * Convert a raw provider analysis into the format our database expects
+ *
+ * @param {Object} analysis - Raw analysis returned by a provider
+ * @param {Object} context - { severity, usage, costUsd, provider, model, redactions, similarIncidents,
+ *                             template }
+ * @returns {Object} - Normalized analysis
+ */
+function formatAnalysis(analysis, context) {
+  const {
+    severity, usage, costUsd = null, provider, model, redactions, similarIncidents = [], template = null,
+  } = context;
+
+  // Keep root causes and action items structured; drop entries that fail the schema
+  const rootCauses = validateRootCauses(analysis.rootCauses);
+  const actionItems = validateActionItems(analysis.actionItems);
+
+  if (rootCauses.rejected > 0 || actionItems.rejected > 0) {
+    logger.warn('Dropped analysis entries that failed schema validation', {
+      provider,
+      rootCauses: rootCauses.rejected,
+      actionItems: actionItems.rejected,
+    });
+  }
+
+  // Build comprehensive metadata
+  const metadata = {
+    severityJustification: analysis.severityJustification || 'Based on incident description',
+    similarPatterns: analysis.similarPatterns || [],
+    preventiveMeasures: analysis.preventiveMeasures || [],
+    analysisTimestamp: new Date().toISOString(),
+    tokensUsed: usage.totalTokens,
+    promptTokens: usage.promptTokens,
+    completionTokens: usage.completionTokens,
+    costUsd,
+    provider,
+    model,
+    // Template that produced the prompt, and whether an A/B split chose it
+    promptVersion: template ? template.id : null,
+    promptAssignment: template ? template.assignment : null,
+    redactions: redactions || { categories: [], counts: {} },
+    // Past incidents given to the model as context
+    similarIncidents: similarIncidents.map(({ id, title, score }) => ({ id, title, score })),
+  };
+
+  return {
+    summary: analysis.summary,
+    rootCauses: rootCauses.items,
+    customerMessage: analysis.customerMessage,
+    actionItems: actionItems.items,
+    // Models sometimes answer 'High' or 'sev1'; anything off the scale keeps the reported severity
+    suggestedSeverity: normalizeSeverity(analysis.suggestedSeverity) || severity,
+    metadata: metadata, // Additional context for advanced features
+  };
+}
+
+/**
+ * Run the rule-based fallback provider
+ * Used when the configured provider errors out or returns an unusable answer
+ *
+ * @param {Object} incidentData - { title, severity, description }, already redacted
+ * @param {string} reason - Why the fallback was needed
+ * @param {Object} [redactions] - What was redacted from incidentData
+ * @param {Object} [template] - Prompt template of the failed attempt, if any
+ * @returns {Promise<Object>} - Normalized analysis flagged with fallbackMode
+ */
+async function runFallbackAnalysis(incidentData, reason, redactions, template = null) {
+  const fallback = providers.getFallbackProvider();
+  const { analysis, usage, model } = await fallback.analyzeIncident({ incident: incidentData });
+
+  const result = formatAnalysis(analysis, {
+    severity: incidentData.severity,
+    usage,
+    provider: fallback.name,
+    model,
+    redactions,
+    similarIncidents: incidentData.similarIncidents,
+  });
+
+  return {
+    ...result,
+    summary: `${result.summary} (AI analysis unavailable)`,
+    metadata: {
+      ...result.metadata,
+      fallbackMode: true,
+      fallbackReason: reason,
+      // Counts against the template in the per-version comparison
+      attemptedPromptVersion: template ? template.id : null,
+    },
+  };
+}
+
+/**
+ * Turn raw streamed text into partial analysis callbacks
+ * Only calls onPartial when the parsed sections actually changed, so a
+ * subscriber is not flooded with one event per token of a JSON key
+ *
+ * @param {Function} onPartial - Receives { summary, rootCauses, customerMessage, actionItems }
+ * @returns {Function} - onText callback for provider.analyzeIncident
+ */
+function createPartialEmitter(onPartial) {
+  let last = '';
+
+  return (text) => {
+    const partial = extractPartialAnalysis(text);
+    const serialized = JSON.stringify(partial);
+
+    if (serialized !== last) {
+      last = serialized;
+      onPartial(partial);
+    }
+  };
+}
 
 /**
  * Generates AI analysis for an incident
  *
  * @param {Object} incidentData - The incident information
  * @param {string} incidentData.title - Incident title
- * @param {string} incidentData.severity - Severity level (low/medium/high)
+ * @param {string} incidentData.severity - Severity level (low/medium/high/critical)
  * @param {string} incidentData.description - Full incident description with error logs
+ * @param {Array} [incidentData.comments] - Follow-up comments to include (re-analysis)
+ * @param {Array} [incidentData.similarIncidents] - Similar past incidents to give as context
+ * @param {Object} [options]
+ * @param {boolean} [options.allowFallback=true] - Use the heuristic provider on failure;
+ *   when false the error is thrown so the caller can retry later
+ * @param {Function} [options.onPartial] - Stream the completion and call this with the
+ *   sections parsed so far ({ summary, rootCauses, ... }) whenever they change
+ * @param {number} [options.incidentId] - Attributes the call's tokens and cost in ai_usage
  * @returns {Promise<Object>} - AI analysis with summary, rootCauses, customerMessage
  *
  * Example return value:
  * {
  *   summary: "Database connection pool exhausted due to memory leak",
- *   rootCauses: ["Connection pool not releasing connections", "Memory leak in query handler"],
- *   customerMessage: "We're experiencing temporary database issues. Our team is investigating."
+ *   rootCauses: [{ cause: "Connection pool not releasing connections", likelihood: "high",
+ *                  reasoning: "...", components: ["database"] }],
+ *   customerMessage: "We're experiencing temporary database issues. Our team is investigating.",
+ *   actionItems: [{ priority: "immediate", action: "Restart the API pods", owner: "SRE",
+ *                   command: "kubectl rollout restart deployment/api" }]
  * }
  */
-async function generateIncidentAnalysis(incidentData) {
-  const { title, severity, description } = incidentData;
+async function generateIncidentAnalysis(incidentData, options = {}) {
+  const { allowFallback = true, onPartial, incidentId = null } = options;
 
-  logger.info('Requesting AI analysis from OpenAI', {
-    title,
-    severity,
-    model: config.openai.model,
-  });
+  // Nothing below this line sees the raw text - prompts, provider calls and
+  // the fallback all work on the redacted copy
+  const { incident, redactions } = redactionService.redactIncident(incidentData);
+  const { title, severity } = incident;
 
+  let provider;
+  let template = null;
   try {
-    // Construct an advanced prompt with detailed context and expert-level analysis
-    const systemPrompt = `You are a Senior Site Reliability Engineer (SRE) and DevOps expert with 15+ years of experience in:
-- Distributed systems architecture
-- Cloud infrastructure (AWS, Azure, GCP)
-- Kubernetes and container orchestration
-- Database performance tuning
-- Network troubleshooting
-- Application performance monitoring
-- Incident response and post-mortem analysis
-
-Your analysis should demonstrate deep technical expertise while being clear and actionable.`;
-
-    const userPrompt = `Analyze this production incident with expert-level precision:
-
-INCIDENT DETAILS:
-Title: ${title}
-Declared Severity: ${severity}
-Full Description & Error Logs:
-${description}
-
-REQUIRED ANALYSIS:
-
-1. TECHNICAL SUMMARY (2-3 sentences)
-   - Identify the core technical issue
-   - Explain the immediate impact on system functionality
-   - Use precise technical terminology
-
-2. ROOT CAUSE ANALYSIS (3-5 detailed causes, ranked by likelihood)
-   - For each cause, explain WHY it could happen
-   - Include specific system components or services involved
-   - Reference error patterns, codes, or stack traces from the description
-   - Distinguish between symptoms and actual root causes
-
-3. CUSTOMER STATUS MESSAGE (professional, empathetic, clear)
-   - Acknowledge the issue without technical jargon
-   - Provide realistic expectations
-   - Show we're actively working on it
-   - Avoid phrases like "we apologize for the inconvenience"
-
-4. ACTIONABLE RESOLUTION STEPS (5-7 technical steps)
-   - Prioritize immediate mitigation over long-term fixes
-   - Include specific commands, API calls, or procedures
-   - Mention which team or role should handle each step
-   - Include verification steps to confirm resolution
-   - Consider rollback or failover options
-
-5. SEVERITY ASSESSMENT (low, medium, high, critical)
-   - Evaluate actual severity based on:
-     * User impact scope (% affected)
-     * Business criticality
-     * Data integrity risk
-     * System availability
-   - May differ from declared severity
-
-6. SIMILAR INCIDENT PATTERNS (1-2 related scenarios)
-   - Reference common DevOps issues this resembles
-   - Mention if this could indicate a larger systemic issue
-
-7. PREVENTIVE MEASURES (2-3 recommendations)
-   - Suggest monitoring, alerting, or architectural improvements
-   - Recommend testing or validation procedures
-
-RESPONSE FORMAT (JSON):
-{
-  "summary": "Technical summary here",
-  "rootCauses": [
-    {
-      "cause": "Primary root cause description",
-      "likelihood": "high|medium|low",
-      "reasoning": "Why this is likely based on evidence",
-      "components": ["service-name", "database", "network"]
-    }
-  ],
-  "customerMessage": "Customer-facing message",
-  "actionItems": [
-    {
-      "priority": "immediate|high|medium",
-      "action": "Specific step to take",
-      "owner": "SRE|DevOps|Engineering|DBA",
-      "command": "Optional: specific command or procedure"
-    }
-  ],
-  "suggestedSeverity": "critical|high|medium|low",
-  "severityJustification": "Why this severity level",
-  "similarPatterns": ["Pattern 1", "Pattern 2"],
-  "preventiveMeasures": ["Measure 1", "Measure 2", "Measure 3"]
-}
+    provider = providers.getProvider();
 
-ANALYSIS GUIDELINES:
-- Parse error codes, timestamps, and stack traces carefully
-- Look for patterns: timeouts, resource exhaustion, cascading failures
-- Consider both infrastructure and application layers
-- Think about recent changes: deployments, config updates, traffic spikes
-- Be specific about monitoring metrics to check (CPU, memory, disk I/O, network)`;
-
-    // Call OpenAI API with enhanced parameters for better reasoning
-    const response = await openai.chat.completions.create({
-      model: config.openai.model,
-      messages: [
-        {
-          role: 'system',
-          content: systemPrompt,
-        },
-        {
-          role: 'user',
-          content: userPrompt,
-        },
-      ],
-      temperature: 0.3, // Lower temperature for more focused, deterministic analysis
-      max_tokens: 2500, // Increased for detailed analysis
-      response_format: { type: 'json_object' }, // Ensures response is valid JSON
-      presence_penalty: 0.1, // Encourage diverse vocabulary
-      frequency_penalty: 0.1, // Reduce repetition
+    logger.info('Requesting AI analysis', {
+      title,
+      severity,
+      provider: provider.name,
+      model: provider.model,
     });
 
-    // Extract and parse the AI's response
-    const aiContent = response.choices[0].message.content;
-    const analysis = JSON.parse(aiContent);
+    // The heuristic provider is free, so only model-backed providers are metered
+    const metered = provider.name !== 'heuristic';
 
-    logger.success('AI analysis generated successfully', {
-      tokensUsed: response.usage.total_tokens,
-      model: response.model,
-      summary: analysis.summary.substring(0, 50) + '...',
-      rootCausesCount: analysis.rootCauses?.length || 0,
+    if (metered) {
+      const budget = await aiUsageService.checkBudget();
+
+      if (budget.exceeded) {
+        logger.warn('Monthly AI budget exceeded, using heuristic fallback analysis', {
+          spentUsd: budget.spentUsd,
+          budgetUsd: budget.budgetUsd,
+        });
+        return runFallbackAnalysis(incident, budget.reason, redactions);
+      }
+    }
+
+    // The heuristic provider works from the incident itself and needs no prompt
+    if (metered) {
+      template = promptTemplates.selectAnalysisTemplate(incidentId);
+    }
+
+    const { systemPrompt, userPrompt } = template ? buildAnalysisPrompts(template, incident) : {};
+    const { analysis, usage, model } = await provider.analyzeIncident({
+      incident,
+      systemPrompt,
+      userPrompt,
+      onText: onPartial ? createPartialEmitter(onPartial) : undefined,
     });
 
+    // Record the spend before validating: a rejected answer was still paid for
+    const costUsd = metered
+      ? await aiUsageService.recordUsage({ incidentId, severity, provider: provider.name, model, usage })
+      : null;
+
     // Validate required fields
     if (!analysis.summary || !analysis.rootCauses || !analysis.customerMessage) {
       throw new Error('AI response missing required fields');
     }
 
-    // Transform the enhanced analysis into the format our database expects
-    // Convert detailed root causes to formatted strings
-    const formattedRootCauses = Array.isArray(analysis.rootCauses)
-      ? analysis.rootCauses.map(rc => {
-          if (typeof rc === 'object' && rc.cause) {
-            // Enhanced format with likelihood and reasoning
-            const likelihood = rc.likelihood ? `[${rc.likelihood.toUpperCase()}]` : '';
-            const components = rc.components && rc.components.length > 0 
-              ? ` (Components: ${rc.components.join(', ')})` 
-              : '';
-            return `${likelihood} ${rc.cause}${components}\nReasoning: ${rc.reasoning || 'Analysis based on error patterns'}`;
-          }
-          return rc; // Fallback to simple string format
-        })
-      : [analysis.rootCauses];
-
-    // Format action items with priority and ownership
-    const formattedActionItems = Array.isArray(analysis.actionItems)
-      ? analysis.actionItems.map((item, index) => {
-          if (typeof item === 'object' && item.action) {
-            const priority = item.priority ? `[${item.priority.toUpperCase()}]` : '[MEDIUM]';
-            const owner = item.owner ? ` @${item.owner}` : '';
-            const command = item.command ? `\n   Command: ${item.command}` : '';
-            return `${index + 1}. ${priority}${owner} ${item.action}${command}`;
-          }
-          return typeof item === 'string' ? `${index + 1}. ${item}` : item;
-        })
-      : analysis.actionItems || [];
-
-    // Build comprehensive metadata
-    const metadata = {
-      severityJustification: analysis.severityJustification || 'Based on incident description',
-      similarPatterns: analysis.similarPatterns || [],
-      preventiveMeasures: analysis.preventiveMeasures || [],
-      analysisTimestamp: new Date().toISOString(),
-      tokensUsed: response.usage.total_tokens,
-    };
-
-    return {
-      summary: analysis.summary,
-      rootCauses: formattedRootCauses,
-      customerMessage: analysis.customerMessage,
-      actionItems: formattedActionItems,
-      suggestedSeverity: analysis.suggestedSeverity || severity,
-      metadata: metadata, // Additional context for advanced features
-    };
+    const result = formatAnalysis(analysis, {
+      severity,
+      usage,
+      costUsd,
+      provider: provider.name,
+      model,
+      redactions,
+      similarIncidents: incident.similarIncidents,
+      template,
+    });
+
+    if (result.rootCauses.length === 0) {
+      throw new Error('AI response contained no valid root causes');
+    }
+
+    logger.success('AI analysis generated successfully', {
+      provider: provider.name,
+      promptVersion: template?.id,
+      tokensUsed: usage.totalTokens,
+      costUsd,
+      model,
+      summary: analysis.summary.substring(0, 50) + '...',
+      rootCausesCount: result.rootCauses.length,
+    });
+
+    return result;
 
   } catch (error) {
     logger.error('Failed to generate AI analysis', {
       error: error.message,
+      provider: provider?.name || config.ai.provider,
       incidentTitle: title,
     });
 
-    // If OpenAI fails, return fallback responses so the app doesn't crash
+    if (!allowFallback) {
+      throw error;
+    }
+
+    // If the provider fails, use the rule-based provider so the app doesn't crash
     // This ensures incidents can still be created even if AI is down
-    logger.warn('Using fallback AI responses due to error');
-
-    return {
-      summary: `${severity.toUpperCase()} severity incident: ${title} (AI analysis unavailable)`,
-      rootCauses: [
-        '[HIGH] AI analysis service temporarily unavailable - manual review required',
-        '[MEDIUM] Check system logs and monitoring dashboards for immediate patterns',
-        '[MEDIUM] Review recent changes (deployments, configs, infrastructure) from the last 24 hours',
-      ],
-      customerMessage: 'We are currently investigating an issue affecting our services. Our engineering team has been notified and is actively working on a resolution. We will provide updates as more information becomes available.',
-      actionItems: [
-        '1. [IMMEDIATE] @SRE Review error logs, metrics, and traces in monitoring system',
-        '2. [IMMEDIATE] @SRE Check system resources: CPU, memory, disk I/O, network connectivity',
-        '3. [HIGH] @DevOps Verify recent deployments and consider rollback if applicable',
-        '4. [HIGH] @Engineering Review application logs for exceptions and error patterns',
-        '5. [MEDIUM] @Engineering Check database performance and connection pools',
-        '6. [MEDIUM] @SRE Verify external dependencies and third-party service status',
-      ],
-      suggestedSeverity: severity,
-      metadata: {
-        severityJustification: 'Using declared severity - AI analysis unavailable',
-        similarPatterns: [],
-        preventiveMeasures: ['Implement AI service redundancy', 'Set up fallback analysis pipeline'],
-        analysisTimestamp: new Date().toISOString(),
-        tokensUsed: 0,
-        fallbackMode: true,
-      },
-    };
+    logger.warn('Using heuristic fallback analysis due to error');
+
+    return runFallbackAnalysis(incident, error.message, redactions, template);
   }
 }
 
 /**
- * Test the OpenAI connection
+ * Test the configured provider's connection
  * Useful for health checks and startup validation
  */
-async function testOpenAIConnection() {
+async function testProviderConnection() {
   try {
-    const response = await openai.chat.completions.create({
-      model: config.openai.model,
-      messages: [{ role: 'user', content: 'Test' }],
-      max_tokens: 10,
-    });
-    logger.success('OpenAI API connection successful');
-    return true;
+    return await providers.getProvider().testConnection();
   } catch (error) {
-    logger.error('OpenAI API connection failed', {
+    logger.error('AI provider connection failed', {
       error: error.message,
     });
     return false;
@@ -289,5 +356,5 @@ async function testOpenAIConnection() {
 
 module.exports = {
   generateIncidentAnalysis,
-  testOpenAIConnection,
+  testProviderConnection,
 };
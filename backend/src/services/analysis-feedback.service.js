@@ -0,0 +1,441 @@
+/**
+ * Analysis Feedback Service
+ *
+ * Purpose: User feedback on AI analyses, quality reports and re-run flags
+ * Used by: incidents-analysis.controller.js (rating an analysis) and
+ *          analysis-quality.controller.js (GET /api/analytics/prompt-versions
+ *          and GET /api/analytics/ai-quality)
+ *
+ * Feedback is a thumbs up/down, optionally with which of the AI root causes
+ * was correct and a comment. It is stored per analysis version, so reports
+ * can compare models, severities and prompt template versions
+ * (incident_analyses.prompt_version, see prompt-templates.service.js).
+ * Each user has one vote per analysis version: rating it again replaces
+ * their earlier feedback, so nobody can flag an analysis or tip a report alone.
+ *
+ * Once an analysis collects enough ratings and too few of them are positive
+ * (config.analysisFeedback), it is flagged; the AI-quality report lists
+ * flagged analyses that are still active so they can be re-run.
+ */
+
+const db = require('../db');
+const config = require('../config/env');
+const logger = require('../config/logger');
+const analysisService = require('./incidents-analysis.service');
+const promptTemplates = require('./prompt-templates.service');
+const { logActivity } = require('./incidents-activity.service');
+const { redactForStorage } = require('./redaction.service');
+const { createHttpError } = require('../utils/httpError');
+
+// Accepted spellings of a rating
+const RATINGS = new Map([['up', 1], ['down', -1], ['1', 1], ['-1', -1]]);
+
+const MAX_COMMENT_LENGTH = 2000;
+
+// How the AI-quality report breaks down feedback
+const QUALITY_DIMENSIONS = {
+  model: "COALESCE(a.model, a.provider, 'unknown')",
+  severity: 'i.severity',
+  promptVersion: "COALESCE(a.prompt_version, 'none')",
+};
+
+// Flagged analyses listed in the AI-quality report
+const FLAGGED_LIMIT = 50;
+
+/**
+ * part / total rounded to 3 decimals; null when there is nothing to divide
+ */
+function ratio(part, total) {
+  return total > 0 ? Math.round((part / total) * 1000) / 1000 : null;
+}
+
+/**
+ * Turn a rating into 1 / -1
+ *
+ * @param {string|number} rating - 'up' / 'down' (or 1 / -1)
+ * @returns {number}
+ */
+function parseRating(rating) {
+  const value = RATINGS.get(String(rating).toLowerCase());
+
+  if (!value) {
+    throw createHttpError(400, 'Rating must be "up" or "down"');
+  }
+
+  return value;
+}
+
+/**
+ * Validate the "which root cause was correct" answer
+ *
+ * @param {*} value - Index into the analysis root causes, -1 for none, or null/undefined
+ * @param {Object} analysis - Analysis row (root_causes)
+ * @returns {number|null}
+ */
+function parseCorrectRootCause(value, analysis) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const index = Number(value);
+  const count = (analysis.root_causes || []).length;
+
+  if (!Number.isInteger(index) || index < -1 || index >= count) {
+    throw createHttpError(
+      400,
+      `correctRootCause must be -1 (none of them) or a root cause index from 0 to ${count - 1}`
+    );
+  }
+
+  return index;
+}
+
+/**
+ * Flag an analysis for a re-run when its ratings fall below the threshold
+ * An analysis is flagged once; a re-run replaces it as the active analysis
+ *
+ * @param {Object} analysis - Analysis row
+ * @returns {Promise<boolean>} - Whether it was flagged just now
+ */
+async function flagIfLowRated(analysis) {
+  if (analysis.flagged_at) {
+    return false;
+  }
+
+  const { flagMinRatings, flagMaxApproval } = config.analysisFeedback;
+
+  const counts = await db.query(
+    `SELECT
+       COUNT(*) FILTER (WHERE rating = 1)::int AS up,
+       COUNT(*)::int AS total
+     FROM analysis_feedback
+     WHERE analysis_id = $1`,
+    [analysis.id]
+  );
+
+  const { up, total } = counts.rows[0];
+  const approvalRate = ratio(up, total);
+
+  if (total < flagMinRatings || approvalRate > flagMaxApproval) {
+    return false;
+  }
+
+  const reason = `${up} of ${total} ratings positive`;
+
+  const result = await db.query(
+    `UPDATE incident_analyses
+     SET flagged_at = CURRENT_TIMESTAMP, flag_reason = $2
+     WHERE id = $1 AND flagged_at IS NULL
+     RETURNING id`,
+    [analysis.id, reason]
+  );
+
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  await logActivity(
+    analysis.incident_id,
+    'analysis_flagged',
+    'System',
+    `AI analysis version ${analysis.version} flagged for a re-run (${reason})`,
+    { version: analysis.version, up, total }
+  );
+
+  logger.warn('Analysis flagged for re-run', { incidentId: analysis.incident_id, version: analysis.version, reason });
+
+  return true;
+}
+
+/**
+ * Store feedback on an analysis and re-check its flag
+ * Replaces the earlier feedback of the same user on this analysis
+ *
+ * @param {Object} analysis - Analysis row being rated
+ * @param {number} value - 1 or -1, see parseRating
+ * @param {Object} feedback - { correctRootCause, comment }
+ * @param {string} actorName - Who gave the feedback
+ * @returns {Promise<Object>} - Stored feedback row, with flagged: true when this feedback flagged the analysis
+ */
+async function recordFeedback(analysis, value, feedback, actorName) {
+  const correctRootCause = parseCorrectRootCause(feedback.correctRootCause, analysis);
+  const comment = typeof feedback.comment === 'string' && feedback.comment.trim() ? feedback.comment.trim() : null;
+
+  if (comment && comment.length > MAX_COMMENT_LENGTH) {
+    throw createHttpError(400, `Comment must be ${MAX_COMMENT_LENGTH} characters or less`);
+  }
+
+  const result = await db.query(
+    `INSERT INTO analysis_feedback (analysis_id, incident_id, rating, correct_root_cause, comment, submitted_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (analysis_id, submitted_by) DO UPDATE
+     SET rating = EXCLUDED.rating,
+         correct_root_cause = EXCLUDED.correct_root_cause,
+         comment = EXCLUDED.comment,
+         created_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [analysis.id, analysis.incident_id, value, correctRootCause, comment && redactForStorage(comment), actorName]
+  );
+
+  await logActivity(
+    analysis.incident_id,
+    'analysis_rated',
+    actorName,
+    `${actorName} rated AI analysis version ${analysis.version} ${value > 0 ? '👍' : '👎'}`,
+    { version: analysis.version, rating: value, correctRootCause, promptVersion: analysis.prompt_version }
+  );
+
+  logger.info('Analysis rated', { incidentId: analysis.incident_id, version: analysis.version, rating: value });
+
+  const flagged = await flagIfLowRated(analysis);
+
+  return { ...result.rows[0], flagged };
+}
+
+/**
+ * Rate an analysis version
+ * Rating the same version again replaces the earlier rating of that user, so
+ * the prompt version comparison counts one vote per user
+ *
+ * @param {number} incidentId - Incident ID
+ * @param {number} version - Analysis version
+ * @param {string|number} rating - 'up' / 'down' (or 1 / -1)
+ * @param {string} [actorName='Anonymous'] - Who rated it
+ * @returns {Promise<Object>} - Stored (or replaced) feedback row
+ */
+async function rateAnalysis(incidentId, version, rating, actorName = 'Anonymous') {
+  const value = parseRating(rating);
+  const analysis = await analysisService.getAnalysis(incidentId, version);
+
+  return recordFeedback(analysis, value, {}, actorName);
+}
+
+/**
+ * Give feedback on the active analysis of an incident
+ *
+ * @param {number} incidentId - Incident ID
+ * @param {Object} feedback
+ * @param {string|number} feedback.rating - 'up' / 'down' (or 1 / -1)
+ * @param {number} [feedback.correctRootCause] - Index of the correct root cause, -1 for none of them
+ * @param {string} [feedback.comment] - Free text
+ * @param {string} [actorName='Anonymous'] - Who gave the feedback
+ * @returns {Promise<Object>} - Stored feedback row
+ */
+async function submitFeedback(incidentId, feedback, actorName = 'Anonymous') {
+  const value = parseRating(feedback.rating);
+  const analysis = await analysisService.getActiveAnalysis(incidentId);
+
+  return recordFeedback(analysis, value, feedback, actorName);
+}
+
+/**
+ * Compare prompt template versions over a date range
+ * Fallback analyses count against the template whose attempt failed
+ *
+ * @param {Object} range - { from, to } as YYYY-MM-DD, inclusive
+ * @returns {Promise<Object>} - { from, to, current: { version, split, available }, versions: [...] }
+ */
+async function getPromptVersionReport({ from, to }) {
+  logger.info('Fetching prompt version report', { from, to });
+
+  const query = `
+    SELECT
+      COALESCE(a.prompt_version, a.metadata->>'attemptedPromptVersion') AS prompt_version,
+      COUNT(*)::int AS analyses,
+      COUNT(*) FILTER (WHERE (a.metadata->>'fallbackMode')::boolean)::int AS fallbacks,
+      COALESCE(AVG(a.total_tokens) FILTER (WHERE a.prompt_version IS NOT NULL), 0)::float AS avg_tokens,
+      COALESCE(SUM((a.metadata->>'costUsd')::numeric), 0)::float AS cost_usd,
+      COALESCE(SUM(ratings.up), 0)::int AS thumbs_up,
+      COALESCE(SUM(ratings.down), 0)::int AS thumbs_down
+    FROM incident_analyses a
+    LEFT JOIN (
+      SELECT
+        analysis_id,
+        COUNT(*) FILTER (WHERE rating = 1) AS up,
+        COUNT(*) FILTER (WHERE rating = -1) AS down
+      FROM analysis_feedback
+      GROUP BY analysis_id
+    ) ratings ON ratings.analysis_id = a.id
+    WHERE a.created_at >= $1::date AND a.created_at < $2::date + 1
+      AND COALESCE(a.prompt_version, a.metadata->>'attemptedPromptVersion') IS NOT NULL
+    GROUP BY 1
+    ORDER BY 1
+  `;
+
+  const result = await db.query(query, [from, to]);
+
+  const versions = result.rows.map(row => {
+    const rated = row.thumbs_up + row.thumbs_down;
+
+    return {
+      promptVersion: row.prompt_version,
+      analyses: row.analyses,
+      fallbacks: row.fallbacks,
+      avgTokens: Math.round(row.avg_tokens),
+      costUsd: row.cost_usd,
+      ratings: {
+        up: row.thumbs_up,
+        down: row.thumbs_down,
+        total: rated,
+        // Share of thumbs up; null until someone rated this version
+        approvalRate: ratio(row.thumbs_up, rated),
+      },
+    };
+  });
+
+  return {
+    from,
+    to,
+    current: {
+      version: `incident-analysis/${config.prompts.analysisVersion}`,
+      split: config.prompts.analysisSplit || {},
+      available: promptTemplates.listVersions('incident-analysis'),
+    },
+    versions,
+  };
+}
+
+/**
+ * Feedback totals of one group in the AI-quality report
+ */
+function toQualityRow(row) {
+  const rated = row.thumbs_up + row.thumbs_down;
+
+  return {
+    analyses: row.analyses,
+    ratedAnalyses: row.rated_analyses,
+    ratings: {
+      up: row.thumbs_up,
+      down: row.thumbs_down,
+      total: rated,
+      approvalRate: ratio(row.thumbs_up, rated),
+    },
+    rootCause: {
+      answers: row.root_cause_answers,
+      correct: row.root_cause_listed,
+      correctFirst: row.root_cause_top,
+      // Share of answers where one of the AI root causes was right...
+      accuracy: ratio(row.root_cause_listed, row.root_cause_answers),
+      // ...and where it was the first (most likely) one
+      topAccuracy: ratio(row.root_cause_top, row.root_cause_answers),
+    },
+  };
+}
+
+/**
+ * Feedback on analyses created in a date range, grouped by one dimension
+ */
+async function getQualityBreakdown(dimension, from, to) {
+  const query = `
+    SELECT
+      ${QUALITY_DIMENSIONS[dimension]} AS key,
+      COUNT(DISTINCT a.id)::int AS analyses,
+      COUNT(DISTINCT f.analysis_id)::int AS rated_analyses,
+      COUNT(f.id) FILTER (WHERE f.rating = 1)::int AS thumbs_up,
+      COUNT(f.id) FILTER (WHERE f.rating = -1)::int AS thumbs_down,
+      COUNT(f.id) FILTER (WHERE f.correct_root_cause IS NOT NULL)::int AS root_cause_answers,
+      COUNT(f.id) FILTER (WHERE f.correct_root_cause >= 0)::int AS root_cause_listed,
+      COUNT(f.id) FILTER (WHERE f.correct_root_cause = 0)::int AS root_cause_top
+    FROM incident_analyses a
+    JOIN incidents i ON i.id = a.incident_id
+    LEFT JOIN analysis_feedback f ON f.analysis_id = a.id
+    WHERE a.created_at >= $1::date AND a.created_at < $2::date + 1
+    GROUP BY 1
+    ORDER BY 1
+  `;
+
+  const result = await db.query(query, [from, to]);
+
+  return result.rows.map(row => ({ key: row.key, ...toQualityRow(row) }));
+}
+
+/**
+ * Active analyses flagged for a re-run, newest flag first
+ */
+async function getFlaggedAnalyses() {
+  const query = `
+    SELECT
+      a.incident_id,
+      i.title,
+      i.severity,
+      i.status,
+      a.version,
+      a.model,
+      a.prompt_version,
+      a.flagged_at,
+      a.flag_reason,
+      EXISTS (
+        SELECT 1 FROM analysis_jobs j
+        WHERE j.incident_id = i.id AND j.status IN ('queued', 'running')
+      ) AS rerun_queued
+    FROM incident_analyses a
+    JOIN incidents i ON i.active_analysis_id = a.id
+    WHERE a.flagged_at IS NOT NULL
+      AND i.deleted_at IS NULL
+    ORDER BY a.flagged_at DESC
+    LIMIT $1
+  `;
+
+  const result = await db.query(query, [FLAGGED_LIMIT]);
+
+  return result.rows.map(row => ({
+    incidentId: row.incident_id,
+    title: row.title,
+    severity: row.severity,
+    status: row.status,
+    version: row.version,
+    model: row.model,
+    promptVersion: row.prompt_version,
+    flaggedAt: row.flagged_at,
+    reason: row.flag_reason,
+    rerunQueued: row.rerun_queued,
+  }));
+}
+
+/**
+ * How accurate AI analyses were according to user feedback
+ *
+ * @param {Object} range - { from, to } as YYYY-MM-DD, inclusive (analysis creation date)
+ * @returns {Promise<Object>} - { from, to, overall, byModel, bySeverity, byPromptVersion, flagged }
+ */
+async function getQualityReport({ from, to }) {
+  logger.info('Fetching AI quality report', { from, to });
+
+  const [byModel, bySeverity, byPromptVersion, flagged] = await Promise.all([
+    getQualityBreakdown('model', from, to),
+    getQualityBreakdown('severity', from, to),
+    getQualityBreakdown('promptVersion', from, to),
+    getFlaggedAnalyses(),
+  ]);
+
+  // Every analysis has exactly one model, so the model rows add up to the total
+  const totals = byModel.reduce((sum, row) => ({
+    analyses: sum.analyses + row.analyses,
+    rated_analyses: sum.rated_analyses + row.ratedAnalyses,
+    thumbs_up: sum.thumbs_up + row.ratings.up,
+    thumbs_down: sum.thumbs_down + row.ratings.down,
+    root_cause_answers: sum.root_cause_answers + row.rootCause.answers,
+    root_cause_listed: sum.root_cause_listed + row.rootCause.correct,
+    root_cause_top: sum.root_cause_top + row.rootCause.correctFirst,
+  }), {
+    analyses: 0, rated_analyses: 0, thumbs_up: 0, thumbs_down: 0,
+    root_cause_answers: 0, root_cause_listed: 0, root_cause_top: 0,
+  });
+
+  return {
+    from,
+    to,
+    overall: toQualityRow(totals),
+    byModel,
+    bySeverity,
+    byPromptVersion,
+    flagged,
+  };
+}
+
+module.exports = {
+  rateAnalysis,
+  submitFeedback,
+  getPromptVersionReport,
+  getQualityReport,
+};
@@ -0,0 +1,260 @@
+/**
+ * Analysis Jobs Service - Postgres-backed Job Queue
+ *
+ * Purpose: Queues AI analysis work so incident creation never waits on the model
+ * Used by: incidents-analysis.service.js (enqueue re-runs) and workers/analysis.worker.js
+ *          (claim/complete/fail). Initial jobs are inserted by incidents.service.js together
+ *          with the incident itself.
+ *
+ * Job lifecycle:
+ *   queued → running → done
+ *             ↓
+ *          queued again (after exponential backoff) → ... → failed (max attempts reached)
+ *
+ * Jobs are claimed with SELECT ... FOR UPDATE SKIP LOCKED, so several backend
+ * replicas can run workers against the same table without double-processing.
+ * A unique index (migration 026) allows only one queued job per incident, so
+ * concurrent re-run requests cannot queue the same analysis twice. A running
+ * job does not count: it has already read the incident, so a re-run can wait
+ * behind it.
+ */
+
+const db = require('../db');
+const config = require('../config/env');
+const logger = require('../config/logger');
+
+/**
+ * Queue an analysis job for an incident
+ *
+ * @param {number} incidentId - Incident ID
+ * @param {Object} [options]
+ * @param {string} [options.trigger='initial'] - 'initial' or 'rerun'
+ * @param {string} [options.requestedBy] - Who asked for the analysis
+ * @returns {Promise<Object|null>} - Created job, or null if the incident already has
+ *   a queued job
+ */
+async function enqueueJob(incidentId, options = {}) {
+  const { trigger = 'initial', requestedBy = null } = options;
+
+  logger.info('Queueing analysis job', { incidentId, trigger });
+
+  try {
+    const query = `
+      INSERT INTO analysis_jobs (incident_id, max_attempts, trigger, requested_by)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (incident_id) WHERE status = 'queued' DO NOTHING
+      RETURNING *
+    `;
+
+    const result = await db.query(query, [
+      incidentId,
+      config.analysisWorker.maxAttempts,
+      trigger,
+      requestedBy,
+    ]);
+
+    return result.rows[0] || null;
+
+  } catch (error) {
+    logger.error('Failed to queue analysis job', {
+      error: error.message,
+      incidentId,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Claim the next due job
+ * Marks it as running and increments its attempt counter atomically
+ * A job queued behind a running one for the same incident waits until that one is over
+ *
+ * @returns {Promise<Object|null>} - Claimed job, or null if the queue is empty
+ */
+async function claimNextJob() {
+  const query = `
+    UPDATE analysis_jobs
+    SET status = 'running',
+        attempts = attempts + 1,
+        locked_at = CURRENT_TIMESTAMP
+    WHERE id = (
+      SELECT id
+      FROM analysis_jobs
+      WHERE status = 'queued' AND run_after <= CURRENT_TIMESTAMP
+        AND NOT EXISTS (
+          SELECT 1 FROM analysis_jobs running
+          WHERE running.incident_id = analysis_jobs.incident_id AND running.status = 'running'
+        )
+      ORDER BY run_after ASC
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `;
+
+  const result = await db.query(query);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Mark a job as successfully completed
+ *
+ * @param {number} jobId - Job ID
+ */
+async function completeJob(jobId) {
+  const query = `
+    UPDATE analysis_jobs
+    SET status = 'done',
+        locked_at = NULL,
+        last_error = NULL,
+        completed_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `;
+
+  await db.query(query, [jobId]);
+}
+
+/**
+ * Delay before the next attempt: base * 2^(attempts - 1), capped
+ *
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Delay in milliseconds
+ */
+function computeBackoffMs(attempts) {
+  const { backoffBaseMs, backoffMaxMs } = config.analysisWorker;
+  return Math.min(backoffBaseMs * 2 ** Math.max(attempts - 1, 0), backoffMaxMs);
+}
+
+/**
+ * Mark a job as failed for good
+ *
+ * @param {number} jobId - Job ID
+ * @param {string} message - Stored as last_error
+ */
+async function markJobFailed(jobId, message) {
+  const query = `
+    UPDATE analysis_jobs
+    SET status = 'failed',
+        locked_at = NULL,
+        last_error = $2,
+        completed_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `;
+
+  await db.query(query, [jobId, message]);
+}
+
+/**
+ * Record a failed attempt
+ * Re-queues the job with backoff, or marks it failed once attempts are exhausted.
+ * If a newer job was queued for the incident meanwhile, that one replaces the retry.
+ *
+ * @param {Object} job - The job that failed (as returned by claimNextJob)
+ * @param {Error} error - What went wrong
+ * @returns {Promise<boolean>} - True if the incident will be analyzed again
+ *   (by this job or by the newer one)
+ */
+async function failJob(job, error) {
+  const willRetry = job.attempts < job.max_attempts;
+
+  if (willRetry) {
+    const delayMs = computeBackoffMs(job.attempts);
+
+    logger.warn('Analysis job failed, retrying', {
+      jobId: job.id,
+      incidentId: job.incident_id,
+      attempts: job.attempts,
+      retryInMs: delayMs,
+      error: error.message,
+    });
+
+    // Only one job per incident may be queued (see migration 026)
+    const query = `
+      UPDATE analysis_jobs
+      SET status = 'queued',
+          locked_at = NULL,
+          last_error = $2,
+          run_after = CURRENT_TIMESTAMP + ($3 || ' milliseconds')::interval
+      WHERE id = $1
+        AND NOT EXISTS (
+          SELECT 1 FROM analysis_jobs queued
+          WHERE queued.incident_id = $4 AND queued.status = 'queued'
+        )
+      RETURNING id
+    `;
+
+    const result = await db.query(query, [job.id, error.message, String(delayMs), job.incident_id]);
+
+    if (result.rows.length === 0) {
+      await markJobFailed(job.id, `${error.message} (not retried: a newer job is queued)`);
+    }
+  } else {
+    logger.error('Analysis job failed permanently', {
+      jobId: job.id,
+      incidentId: job.incident_id,
+      attempts: job.attempts,
+      error: error.message,
+    });
+
+    await markJobFailed(job.id, error.message);
+  }
+
+  return willRetry;
+}
+
+/**
+ * Put jobs abandoned by a crashed worker back in the queue
+ * Those with a newer job queued for the same incident are dropped instead
+ *
+ * @returns {Promise<number>} - Number of jobs requeued
+ */
+async function requeueStaleJobs() {
+  const staleAfterMs = String(config.analysisWorker.staleAfterMs);
+
+  const superseded = await db.query(
+    `UPDATE analysis_jobs
+     SET status = 'failed',
+         locked_at = NULL,
+         last_error = 'Abandoned by a worker; a newer job is queued',
+         completed_at = CURRENT_TIMESTAMP
+     WHERE status = 'running'
+       AND locked_at < CURRENT_TIMESTAMP - ($1 || ' milliseconds')::interval
+       AND EXISTS (
+         SELECT 1 FROM analysis_jobs queued
+         WHERE queued.incident_id = analysis_jobs.incident_id AND queued.status = 'queued'
+       )
+     RETURNING id`,
+    [staleAfterMs]
+  );
+
+  if (superseded.rows.length > 0) {
+    logger.warn('Dropped stale analysis jobs with a newer job queued', { count: superseded.rows.length });
+  }
+
+  const query = `
+    UPDATE analysis_jobs
+    SET status = 'queued',
+        locked_at = NULL
+    WHERE status = 'running'
+      AND locked_at < CURRENT_TIMESTAMP - ($1 || ' milliseconds')::interval
+    RETURNING id
+  `;
+
+  const result = await db.query(query, [staleAfterMs]);
+
+  if (result.rows.length > 0) {
+    logger.warn('Requeued stale analysis jobs', { count: result.rows.length });
+  }
+
+  return result.rows.length;
+}
+
+module.exports = {
+  enqueueJob,
+  claimNextJob,
+  completeJob,
+  failJob,
+  requeueStaleJobs,
+  computeBackoffMs,
+};
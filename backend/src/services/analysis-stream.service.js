@@ -0,0 +1,77 @@
+/**
+ * Analysis Stream Service - In-Process Event Bus
+ *
+ * Purpose: Relays analysis progress from the worker to SSE subscribers
+ * Used by: workers/analysis.worker.js (publish) and
+ *          incidents-analysis.controller.js (GET /:id/analysis/stream)
+ *
+ * Events per incident:
+ * - 'status'  { status }       analysis_status changed ('running', 'pending' on retry)
+ * - 'partial' { summary, ... } sections parsed from the streamed answer so far
+ * - 'done'    { incident }     analysis recorded; the stream can close
+ * - 'failed'  { error }        retries exhausted
+ *
+ * The latest partial is kept so clients that connect mid-analysis start from
+ * the current state instead of an empty page.
+ *
+ * NOTE: Events only reach subscribers in the same process as the worker. When
+ * the worker runs on separate replicas (ANALYSIS_WORKER_ENABLED=false on the
+ * API), the stream endpoint still sends 'done' once it sees the finished
+ * analysis in the database, just without the partial sections.
+ */
+
+const { EventEmitter } = require('events');
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open SSE connection
+
+const latestPartials = new Map();
+
+/**
+ * Publish an analysis event for an incident
+ *
+ * @param {number|string} incidentId - Incident ID
+ * @param {string} event - 'status', 'partial', 'done' or 'failed'
+ * @param {Object} data - Event payload
+ */
+function publish(incidentId, event, data) {
+  const key = String(incidentId);
+
+  if (event === 'partial') {
+    latestPartials.set(key, data);
+  } else if (event === 'done' || event === 'failed') {
+    latestPartials.delete(key);
+  }
+
+  emitter.emit(key, event, data);
+}
+
+/**
+ * Listen for analysis events of one incident
+ *
+ * @param {number|string} incidentId - Incident ID
+ * @param {Function} listener - (event, data) => void
+ * @returns {Function} - Call to unsubscribe
+ */
+function subscribe(incidentId, listener) {
+  const key = String(incidentId);
+  emitter.on(key, listener);
+
+  return () => emitter.off(key, listener);
+}
+
+/**
+ * Latest partial analysis for an incident still being analyzed
+ *
+ * @param {number|string} incidentId - Incident ID
+ * @returns {Object|null}
+ */
+function getLatestPartial(incidentId) {
+  return latestPartials.get(String(incidentId)) || null;
+}
+
+module.exports = {
+  publish,
+  subscribe,
+  getLatestPartial,
+};
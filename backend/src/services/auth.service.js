@@ -0,0 +1,278 @@
+/**
+ * Auth Service
+ *
+ * Purpose: Login sessions and personal API tokens
+ * Used by: middlewares/auth.js (resolving credentials) and auth.controller.js
+ *
+ * Two kinds of credentials identify a user:
+ * - Session tokens, created by logging in with email and password (or by
+ *   single sign-on, see oidc.service.js) and sent by browsers in an httpOnly
+ *   cookie; they expire after AUTH_SESSION_TTL_HOURS
+ * - Personal API tokens ("iat_..."), created by a logged-in user for
+ *   automation and sent as "Authorization: Bearer <token>"; they last until
+ *   revoked or until their optional expiry
+ *
+ * Both are random secrets that are shown once; only their SHA-256 hashes are
+ * stored, so a database leak does not reveal usable credentials.
+ */
+
+const crypto = require('crypto');
+const db = require('../db');
+const config = require('../config/env');
+const logger = require('../config/logger');
+const usersService = require('./users.service');
+const { createHttpError } = require('../utils/httpError');
+
+// Marks personal API tokens, so they are recognisable in logs and secret scanners
+const API_TOKEN_PREFIX = 'iat_';
+
+const TOKEN_BYTES = 32;
+
+// Characters of an API token kept in clear text to tell tokens apart in lists
+const VISIBLE_PREFIX_LENGTH = 8;
+
+const MAX_TOKEN_NAME_LENGTH = 100;
+
+// Verified against when the email is unknown, so both cases take as long
+let dummyPasswordHash = null;
+
+/**
+ * SHA-256 of a token, hex
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * A new random token
+ */
+function generateToken(prefix = '') {
+  return prefix + crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+}
+
+/**
+ * The fields of a user that are attached to requests
+ */
+function toAuthUser(row) {
+  return { id: row.user_id ?? row.id, email: row.email, name: row.name, role: row.role };
+}
+
+/**
+ * Start a login session for a user whose identity has been checked
+ *
+ * @param {Object} user - User row
+ * @param {Object} [client] - { userAgent, ip } stored with the session
+ * @param {string} [loginMethod='password'] - 'password' or 'oidc'
+ * @returns {Promise<{ user: Object, token: string, expiresAt: Date }>}
+ */
+async function createSession(user, client = {}, loginMethod = 'password') {
+  const token = generateToken();
+  const expiresAt = new Date(Date.now() + config.auth.sessionTtlHours * 60 * 60 * 1000);
+
+  await db.query(
+    `INSERT INTO user_sessions (user_id, token_hash, user_agent, ip_address, expires_at, login_method)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [user.id, hashToken(token), client.userAgent || null, client.ip || null, expiresAt, loginMethod]
+  );
+
+  await db.query('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
+
+  // Housekeeping: expired sessions are never used again
+  await db.query('DELETE FROM user_sessions WHERE expires_at < NOW()');
+
+  logger.info('User logged in', { userId: user.id, loginMethod });
+
+  return { user: toAuthUser(user), token, expiresAt };
+}
+
+/**
+ * Log in with email and password
+ *
+ * @param {string} email - Email, case-insensitive
+ * @param {string} password - Password
+ * @param {Object} [client] - { userAgent, ip } stored with the session
+ * @returns {Promise<{ user: Object, token: string, expiresAt: Date }>}
+ * @throws {Error} - 403 when AUTH_PASSWORD_LOGIN=false
+ */
+async function login(email, password, client = {}) {
+  if (!config.auth.passwordLogin) {
+    throw createHttpError(403, 'Password login is turned off; use single sign-on');
+  }
+
+  const user = await usersService.findByEmailWithPassword(email);
+
+  if (!user) {
+    dummyPasswordHash = dummyPasswordHash || await usersService.hashPassword(generateToken());
+    await usersService.verifyPassword(String(password || ''), dummyPasswordHash);
+  }
+
+  const valid = user && user.is_active && await usersService.verifyPassword(String(password || ''), user.password_hash);
+
+  if (!valid) {
+    logger.warn('Failed login', { email });
+    throw createHttpError(401, 'Invalid email or password');
+  }
+
+  return createSession(user, client);
+}
+
+/**
+ * End a login session
+ *
+ * @param {number} sessionId - Session ID (req.auth.credentialId)
+ * @returns {Promise<string|null>} - How the session was started ('password' or 'oidc'),
+ *   null when it had already ended
+ */
+async function logout(sessionId) {
+  const result = await db.query('DELETE FROM user_sessions WHERE id = $1 RETURNING login_method', [sessionId]);
+  return result.rows[0]?.login_method || null;
+}
+
+/**
+ * End every other session of a user, e.g. after a password change
+ *
+ * @param {number} userId - User ID
+ * @param {number|null} keepSessionId - Session to keep (the current one)
+ * @returns {Promise<number>} - Sessions ended
+ */
+async function logoutOtherSessions(userId, keepSessionId = null) {
+  const result = await db.query(
+    'DELETE FROM user_sessions WHERE user_id = $1 AND id IS DISTINCT FROM $2',
+    [userId, keepSessionId]
+  );
+
+  return result.rowCount;
+}
+
+/**
+ * Find the user behind a session or API token
+ *
+ * @param {string} token - Session token or API token
+ * @returns {Promise<{ user: Object, method: 'session'|'token', credentialId: number }|null>}
+ *   null when the token is unknown, expired, revoked or its user is deactivated
+ */
+async function resolveToken(token) {
+  if (!token) {
+    return null;
+  }
+
+  const isApiToken = token.startsWith(API_TOKEN_PREFIX);
+  const table = isApiToken ? 'api_tokens' : 'user_sessions';
+  const validity = isApiToken
+    ? 'c.revoked_at IS NULL AND (c.expires_at IS NULL OR c.expires_at > NOW())'
+    : 'c.expires_at > NOW()';
+
+  const result = await db.query(
+    `SELECT c.id AS credential_id, u.id AS user_id, u.email, u.name, u.role
+     FROM ${table} c
+     JOIN users u ON u.id = c.user_id
+     WHERE c.token_hash = $1 AND u.is_active AND ${validity}`,
+    [hashToken(token)]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const row = result.rows[0];
+
+  await db.query(`UPDATE ${table} SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1`, [row.credential_id]);
+
+  return {
+    user: toAuthUser(row),
+    method: isApiToken ? 'token' : 'session',
+    credentialId: row.credential_id,
+  };
+}
+
+/**
+ * Create a personal API token
+ *
+ * @param {number} userId - Owner
+ * @param {Object} fields
+ * @param {string} fields.name - What the token is for, e.g. 'CI pipeline'
+ * @param {number} [fields.expiresInDays] - Omit for a token that does not expire
+ * @returns {Promise<Object>} - Token row plus token: the secret, only returned here
+ */
+async function createApiToken(userId, { name, expiresInDays } = {}) {
+  const tokenName = typeof name === 'string' ? name.trim() : '';
+
+  if (!tokenName || tokenName.length > MAX_TOKEN_NAME_LENGTH) {
+    throw createHttpError(400, `Token name is required (at most ${MAX_TOKEN_NAME_LENGTH} characters)`);
+  }
+
+  if (expiresInDays !== undefined && expiresInDays !== null
+    && !(Number.isInteger(expiresInDays) && expiresInDays > 0)) {
+    throw createHttpError(400, 'expiresInDays must be a positive integer');
+  }
+
+  const token = generateToken(API_TOKEN_PREFIX);
+  const expiresAt = expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null;
+
+  const result = await db.query(
+    `INSERT INTO api_tokens (user_id, name, token_prefix, token_hash, expires_at)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id, name, token_prefix, created_at, last_used_at, expires_at, revoked_at`,
+    [userId, tokenName, token.slice(0, VISIBLE_PREFIX_LENGTH), hashToken(token), expiresAt]
+  );
+
+  logger.info('API token created', { userId, tokenId: result.rows[0].id });
+
+  return { ...result.rows[0], token };
+}
+
+/**
+ * List a user's API tokens (without secrets), newest first
+ *
+ * @param {number} userId - Owner
+ * @returns {Promise<Array>}
+ */
+async function listApiTokens(userId) {
+  const result = await db.query(
+    `SELECT id, name, token_prefix, created_at, last_used_at, expires_at, revoked_at
+     FROM api_tokens
+     WHERE user_id = $1
+     ORDER BY created_at DESC, id DESC`,
+    [userId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Revoke one of a user's API tokens
+ *
+ * @param {number} userId - Owner
+ * @param {number} tokenId - Token ID
+ * @returns {Promise<Object>} - The revoked token
+ */
+async function revokeApiToken(userId, tokenId) {
+  const result = await db.query(
+    `UPDATE api_tokens
+     SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+     WHERE id = $1 AND user_id = $2
+     RETURNING id, name, token_prefix, created_at, last_used_at, expires_at, revoked_at`,
+    [tokenId, userId]
+  );
+
+  if (result.rows.length === 0) {
+    throw createHttpError(404, `API token ${tokenId} not found`);
+  }
+
+  logger.info('API token revoked', { userId, tokenId });
+
+  return result.rows[0];
+}
+
+module.exports = {
+  API_TOKEN_PREFIX,
+  hashToken,
+  createSession,
+  login,
+  logout,
+  logoutOtherSessions,
+  resolveToken,
+  createApiToken,
+  listApiTokens,
+  revokeApiToken,
+};
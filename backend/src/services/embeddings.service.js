@@ -0,0 +1,267 @@
+/**
+ * Embeddings Service - Similar-Incident Retrieval
+ *
+ * Purpose: Embeds incidents and finds the most similar past incidents
+ * Used by: workers/analysis.worker.js (prompt context + embedding refresh) and
+ *          incidents-analysis.controller.js (GET /api/incidents/:id/similar)
+ *
+ * Flow:
+ * 1. The text of an incident (title + description + AI summary) is redacted
+ *    and embedded by the configured provider (heuristic: hashed bag of words)
+ * 2. The vector is stored in incident_embeddings together with the model name
+ * 3. Similar incidents are found by cosine similarity, computed here over the
+ *    most recent incidents embedded with the same model. Only incidents that
+ *    were opened before this one and are resolved count: their resolution is
+ *    what makes them useful context
+ *
+ * Vectors from different models live in different spaces, so switching
+ * AI_PROVIDER only compares incidents embedded after the switch.
+ */
+
+const db = require('../db');
+const config = require('../config/env');
+const logger = require('../config/logger');
+const providers = require('./providers');
+const aiUsageService = require('./ai-usage.service');
+const { redactForPrompt } = require('./redaction.service');
+const { RESOLVED_STATUSES } = require('../utils/incidentStatus');
+
+// Keeps the input well inside every embedding model's context window
+const MAX_EMBEDDING_TEXT_LENGTH = 8000;
+
+/**
+ * Text that represents an incident for similarity search
+ *
+ * @param {Object} incident - Row with title, description and ai_summary
+ * @returns {string}
+ */
+function buildEmbeddingText(incident) {
+  const text = [incident.title, incident.description, incident.ai_summary]
+    .filter(Boolean)
+    .join('\n\n')
+    .slice(0, MAX_EMBEDDING_TEXT_LENGTH);
+
+  return redactForPrompt(text);
+}
+
+/**
+ * Cosine similarity of two vectors
+ *
+ * @returns {number} - -1 to 1; 0 when either vector is empty or zero
+ */
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) {
+    return 0;
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA > 0 && normB > 0 ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+/**
+ * Embed one text with the configured provider
+ * Uses the heuristic provider when the configured one fails or the monthly budget is spent
+ *
+ * @param {string} text - Text to embed
+ * @param {Object} incident - { id, severity } for usage accounting
+ * @returns {Promise<{ embedding: Array<number>, model: string }>}
+ */
+async function embedText(text, incident) {
+  const provider = providers.getProvider();
+
+  if (provider.name !== 'heuristic') {
+    try {
+      const budget = await aiUsageService.checkBudget();
+
+      if (!budget.exceeded) {
+        const { embeddings, usage, model } = await provider.embed([text]);
+
+        await aiUsageService.recordUsage({
+          incidentId: incident.id,
+          purpose: 'embedding',
+          severity: incident.severity,
+          provider: provider.name,
+          model,
+          usage,
+        });
+
+        return { embedding: embeddings[0], model };
+      }
+
+      logger.warn('Monthly AI budget exceeded, using heuristic embedding', { incidentId: incident.id });
+
+    } catch (error) {
+      logger.warn('Embedding failed, using heuristic embedding', {
+        error: error.message,
+        provider: provider.name,
+        incidentId: incident.id,
+      });
+    }
+  }
+
+  const { embeddings, model } = await providers.getFallbackProvider().embed([text]);
+  return { embedding: embeddings[0], model };
+}
+
+/**
+ * Compute and store the embedding of an incident
+ *
+ * @param {Object} incident - Row with id, severity, title, description, ai_summary
+ * @returns {Promise<{ embedding: Array<number>, model: string }>}
+ */
+async function embedIncident(incident) {
+  const result = await embedText(buildEmbeddingText(incident), incident);
+
+  await db.query(
+    `INSERT INTO incident_embeddings (incident_id, embedding, model, embedded_at)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+     ON CONFLICT (incident_id)
+     DO UPDATE SET embedding = EXCLUDED.embedding, model = EXCLUDED.model, embedded_at = EXCLUDED.embedded_at`,
+    [incident.id, result.embedding, result.model]
+  );
+
+  logger.debug('Incident embedded', { incidentId: incident.id, model: result.model });
+
+  return result;
+}
+
+/**
+ * Find the resolved incidents, opened before a given one, that are most similar to it
+ * Embeds the incident first if it has no stored embedding yet
+ *
+ * @param {Object} incident - Row with id, severity, title, description, ai_summary
+ * @param {Object} [options]
+ * @param {number} [options.limit=config.similarIncidents.limit] - Maximum results
+ * @param {number} [options.minScore=config.similarIncidents.minScore] - Minimum cosine similarity
+ * @returns {Promise<Array>} - Most similar first:
+ *   [{ id, title, severity, status, summary, createdAt, resolvedAt, score,
+ *      resolution: { rootCause, completedActions } }]
+ */
+async function findSimilarIncidents(incident, options = {}) {
+  const {
+    limit = config.similarIncidents.limit,
+    minScore = config.similarIncidents.minScore,
+  } = options;
+
+  const stored = await db.query(
+    'SELECT embedding, model FROM incident_embeddings WHERE incident_id = $1',
+    [incident.id]
+  );
+  const { embedding, model } = stored.rows[0] || await embedIncident(incident);
+
+  // Scoring happens here rather than in SQL, so only the newest candidates are scanned
+  const candidates = await db.query(
+    `SELECT e.incident_id, e.embedding
+     FROM incident_embeddings e
+     JOIN incidents ON incidents.id = e.incident_id
+     WHERE e.model = $1 AND e.incident_id <> $2
+       AND incidents.deleted_at IS NULL
+       AND incidents.status = ANY($4::text[])
+       AND incidents.created_at < (SELECT created_at FROM incidents WHERE id = $2)
+     ORDER BY incidents.created_at DESC
+     LIMIT $3`,
+    [model, incident.id, config.similarIncidents.maxCandidates, RESOLVED_STATUSES]
+  );
+
+  const matches = candidates.rows
+    .map(row => ({ id: row.incident_id, score: cosineSimilarity(embedding, row.embedding) }))
+    .filter(match => match.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+  if (matches.length === 0) {
+    return [];
+  }
+
+  const details = await db.query(
+    `SELECT
+       id, title, severity, status, ai_summary, ai_root_causes, created_at, resolved_at,
+       ARRAY(
+         SELECT action FROM incident_action_items items
+         WHERE items.incident_id = incidents.id AND items.status = 'done'
+         ORDER BY items.completed_at
+       ) AS completed_actions
+     FROM incidents
+     WHERE id = ANY($1::int[])`,
+    [matches.map(match => match.id)]
+  );
+
+  const detailsById = new Map(details.rows.map(row => [row.id, row]));
+
+  return matches
+    .filter(match => detailsById.has(match.id))
+    .map(match => {
+      const row = detailsById.get(match.id);
+
+      return {
+        id: row.id,
+        title: row.title,
+        severity: row.severity,
+        status: row.status,
+        summary: row.ai_summary,
+        createdAt: row.created_at,
+        resolvedAt: row.resolved_at,
+        score: Math.round(match.score * 1000) / 1000,
+        resolution: {
+          rootCause: row.ai_root_causes?.[0]?.cause || null,
+          completedActions: row.completed_actions || [],
+        },
+      };
+    });
+}
+
+/**
+ * Similar incidents to add to an analysis prompt
+ * Never throws: a failed lookup just means an analysis without history context
+ *
+ * @param {Object} incident - Row with id, severity, title, description, ai_summary
+ * @returns {Promise<Array>} - Up to config.similarIncidents.promptLimit results
+ */
+async function findSimilarForPrompt(incident) {
+  if (!config.similarIncidents.enabled) {
+    return [];
+  }
+
+  try {
+    return await findSimilarIncidents(incident, { limit: config.similarIncidents.promptLimit });
+  } catch (error) {
+    logger.warn('Similar incident lookup failed', { error: error.message, incidentId: incident.id });
+    return [];
+  }
+}
+
+/**
+ * Re-embed an incident after its analysis changed
+ * Never throws, for the same reason as findSimilarForPrompt
+ *
+ * @param {Object} incident - Row with id, severity, title, description, ai_summary
+ */
+async function refreshEmbedding(incident) {
+  if (!config.similarIncidents.enabled) {
+    return;
+  }
+
+  try {
+    await embedIncident(incident);
+  } catch (error) {
+    logger.warn('Failed to store incident embedding', { error: error.message, incidentId: incident.id });
+  }
+}
+
+module.exports = {
+  buildEmbeddingText,
+  cosineSimilarity,
+  embedIncident,
+  findSimilarIncidents,
+  findSimilarForPrompt,
+  refreshEmbedding,
+};
@@ -0,0 +1,405 @@
+/**
+ * Incidents Action Items Service
+ *
+ * Purpose: Remediation checklist per incident - owners, due dates and completion
+ * Used by: incidents-action-items.controller.js (CRUD) and
+ *          incidents-analysis.service.js (seeding items from each analysis)
+ *
+ * AI action items are copied into incident_action_items when an analysis is
+ * recorded. A re-run only adds items whose text is not tracked yet, so
+ * progress on existing items is never lost. Every change is written to the
+ * incident activity log.
+ */
+
+const db = require('../db');
+const logger = require('../config/logger');
+const { logActivity } = require('./incidents-activity.service');
+const { PRIORITIES } = require('../utils/analysisSchema');
+const { createHttpError } = require('../utils/httpError');
+
+const STATUSES = ['open', 'done'];
+
+// due_date is returned as text so it round-trips without timezone shifts
+const ITEM_COLUMNS = `
+  id, incident_id, source, analysis_id, action, priority, command, owner, status,
+  to_char(due_date, 'YYYY-MM-DD') AS due_date, completed_at, completed_by,
+  created_by, created_at, updated_at
+`;
+
+/**
+ * Normalize an optional text field: blank strings become null
+ */
+function optionalText(value) {
+  if (value === undefined) return undefined;
+  if (value === null) return null;
+  const text = String(value).trim();
+  return text || null;
+}
+
+/**
+ * Validate fields shared by create and update
+ * Only fields present in the input are returned
+ *
+ * @param {Object} input - { action, priority, owner, command, status, dueDate }
+ * @returns {Object} - Column values keyed by column name
+ */
+function validateFields(input) {
+  const fields = {};
+
+  if (input.action !== undefined) {
+    if (typeof input.action !== 'string' || !input.action.trim()) {
+      throw createHttpError(400, 'Action text cannot be empty');
+    }
+    fields.action = input.action.trim();
+  }
+
+  if (input.priority !== undefined) {
+    const priority = String(input.priority).toLowerCase();
+    if (!PRIORITIES.includes(priority)) {
+      throw createHttpError(400, `Invalid priority. Must be one of: ${PRIORITIES.join(', ')}`);
+    }
+    fields.priority = priority;
+  }
+
+  if (input.status !== undefined) {
+    const status = String(input.status).toLowerCase();
+    if (!STATUSES.includes(status)) {
+      throw createHttpError(400, `Invalid status. Must be one of: ${STATUSES.join(', ')}`);
+    }
+    fields.status = status;
+  }
+
+  if (input.dueDate !== undefined) {
+    const dueDate = optionalText(input.dueDate);
+    if (dueDate && (!/^\d{4}-\d{2}-\d{2}$/.test(dueDate) || isNaN(Date.parse(dueDate)))) {
+      throw createHttpError(400, 'Due date must be a valid date in YYYY-MM-DD format');
+    }
+    fields.due_date = dueDate;
+  }
+
+  const owner = optionalText(input.owner);
+  if (owner !== undefined) fields.owner = owner;
+
+  const command = optionalText(input.command);
+  if (command !== undefined) fields.command = command;
+
+  return fields;
+}
+
+/**
+ * Get all action items for an incident
+ * Open items first, then by priority and creation order
+ *
+ * @param {number} incidentId - Incident ID
+ * @returns {Promise<Array>} - Action items
+ */
+async function listActionItems(incidentId) {
+  logger.info('Fetching action items', { incidentId });
+
+  try {
+    const query = `
+      SELECT ${ITEM_COLUMNS}
+      FROM incident_action_items
+      WHERE incident_id = $1
+      ORDER BY
+        status = 'done',
+        CASE priority WHEN 'immediate' THEN 1 WHEN 'high' THEN 2 WHEN 'medium' THEN 3 ELSE 4 END,
+        id
+    `;
+
+    const result = await db.query(query, [incidentId]);
+
+    return result.rows;
+
+  } catch (error) {
+    logger.error('Failed to fetch action items', {
+      error: error.message,
+      incidentId,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Add a manual action item
+ *
+ * @param {number} incidentId - Incident ID
+ * @param {Object} input - { action, priority, owner, command, dueDate }
+ * @param {string} [actorName='System'] - Who added the item
+ * @returns {Promise<Object>} - Created action item
+ */
+async function createActionItem(incidentId, input, actorName = 'System') {
+  logger.info('Adding action item', { incidentId, actorName });
+
+  const fields = validateFields(input);
+
+  if (!fields.action) {
+    throw createHttpError(400, 'Action text is required');
+  }
+
+  try {
+    const incident = await db.query('SELECT id FROM incidents WHERE id = $1 AND deleted_at IS NULL', [incidentId]);
+
+    if (incident.rows.length === 0) {
+      throw createHttpError(404, `Incident with ID ${incidentId} not found`);
+    }
+
+    const query = `
+      INSERT INTO incident_action_items (incident_id, source, action, priority, owner, command, due_date, created_by)
+      VALUES ($1, 'manual', $2, $3, $4, $5, $6, $7)
+      RETURNING ${ITEM_COLUMNS}
+    `;
+
+    const result = await db.query(query, [
+      incidentId,
+      fields.action,
+      fields.priority || 'medium',
+      fields.owner || null,
+      fields.command || null,
+      fields.due_date || null,
+      actorName,
+    ]);
+
+    const item = result.rows[0];
+
+    await logActivity(
+      incidentId,
+      'action_item_added',
+      actorName,
+      `${actorName} added action item: ${item.action}`,
+      { actionItemId: item.id }
+    );
+
+    logger.success('Action item added', { incidentId, actionItemId: item.id });
+
+    return item;
+
+  } catch (error) {
+    logger.error('Failed to add action item', {
+      error: error.message,
+      incidentId,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Describe each change for the activity log
+ *
+ * @returns {Array<{ type: string, description: string, metadata: Object }>}
+ */
+function describeChanges(before, after, actorName) {
+  const entries = [];
+  const label = after.action;
+
+  if (before.status !== after.status) {
+    entries.push(after.status === 'done'
+      ? { type: 'action_item_completed', description: `${actorName} completed action item: ${label}` }
+      : { type: 'action_item_reopened', description: `${actorName} reopened action item: ${label}` });
+  }
+
+  if (before.owner !== after.owner) {
+    entries.push({
+      type: 'action_item_assigned',
+      description: after.owner
+        ? `Action item assigned to ${after.owner}: ${label}`
+        : `Action item unassigned: ${label}`,
+      metadata: { oldOwner: before.owner, newOwner: after.owner },
+    });
+  }
+
+  if (before.due_date !== after.due_date) {
+    entries.push({
+      type: 'action_item_due_date_changed',
+      description: after.due_date
+        ? `Action item due ${after.due_date}: ${label}`
+        : `Due date cleared for action item: ${label}`,
+      metadata: { oldDueDate: before.due_date, newDueDate: after.due_date },
+    });
+  }
+
+  const edited = ['action', 'priority', 'command'].filter(field => before[field] !== after[field]);
+  if (edited.length > 0) {
+    entries.push({
+      type: 'action_item_updated',
+      description: `${actorName} updated action item: ${label}`,
+      metadata: { fields: edited },
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Update an action item (owner, status, due date, text, priority, command)
+ *
+ * @param {number} incidentId - Incident ID
+ * @param {number} itemId - Action item ID
+ * @param {Object} input - Fields to change: { action, priority, owner, command, status, dueDate }
+ * @param {string} [actorName='System'] - Who made the change
+ * @returns {Promise<Object>} - Updated action item
+ */
+async function updateActionItem(incidentId, itemId, input, actorName = 'System') {
+  logger.info('Updating action item', { incidentId, itemId, actorName });
+
+  const fields = validateFields(input);
+  const columns = Object.keys(fields);
+
+  if (columns.length === 0) {
+    throw createHttpError(400, 'No action item fields to update');
+  }
+
+  try {
+    const existing = await db.query(
+      `SELECT ${ITEM_COLUMNS}
+       FROM incident_action_items
+       WHERE id = $1
+         AND incident_id = $2
+         AND incident_id IN (SELECT id FROM incidents WHERE deleted_at IS NULL)`,
+      [itemId, incidentId]
+    );
+
+    if (existing.rows.length === 0) {
+      throw createHttpError(404, `Action item ${itemId} not found for incident ${incidentId}`);
+    }
+
+    const before = existing.rows[0];
+    const assignments = columns.map((column, index) => `${column} = $${index + 3}`);
+
+    // Record who finished the item and when; clear it again on reopen
+    if (fields.status && fields.status !== before.status) {
+      if (fields.status === 'done') {
+        assignments.push('completed_at = CURRENT_TIMESTAMP', `completed_by = $${columns.length + 3}`);
+      } else {
+        assignments.push('completed_at = NULL', 'completed_by = NULL');
+      }
+    }
+
+    const values = [itemId, incidentId, ...columns.map(column => fields[column])];
+    if (fields.status === 'done' && before.status !== 'done') {
+      values.push(actorName);
+    }
+
+    const query = `
+      UPDATE incident_action_items
+      SET ${assignments.join(', ')}
+      WHERE id = $1 AND incident_id = $2
+      RETURNING ${ITEM_COLUMNS}
+    `;
+
+    const result = await db.query(query, values);
+    const item = result.rows[0];
+
+    for (const entry of describeChanges(before, item, actorName)) {
+      await logActivity(incidentId, entry.type, actorName, entry.description, {
+        actionItemId: item.id,
+        ...entry.metadata,
+      });
+    }
+
+    logger.success('Action item updated', { incidentId, actionItemId: item.id, fields: columns });
+
+    return item;
+
+  } catch (error) {
+    logger.error('Failed to update action item', {
+      error: error.message,
+      incidentId,
+      itemId,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Delete an action item
+ *
+ * @param {number} incidentId - Incident ID
+ * @param {number} itemId - Action item ID
+ * @param {string} [actorName='System'] - Who removed the item
+ * @returns {Promise<Object>} - Deleted action item
+ */
+async function deleteActionItem(incidentId, itemId, actorName = 'System') {
+  logger.info('Deleting action item', { incidentId, itemId, actorName });
+
+  try {
+    const query = `
+      DELETE FROM incident_action_items
+      WHERE id = $1
+        AND incident_id = $2
+        AND incident_id IN (SELECT id FROM incidents WHERE deleted_at IS NULL)
+      RETURNING id, action
+    `;
+
+    const result = await db.query(query, [itemId, incidentId]);
+
+    if (result.rows.length === 0) {
+      throw createHttpError(404, `Action item ${itemId} not found for incident ${incidentId}`);
+    }
+
+    const item = result.rows[0];
+
+    await logActivity(
+      incidentId,
+      'action_item_deleted',
+      actorName,
+      `${actorName} removed action item: ${item.action}`,
+      { actionItemId: item.id }
+    );
+
+    logger.success('Action item deleted', { incidentId, actionItemId: item.id });
+
+    return item;
+
+  } catch (error) {
+    logger.error('Failed to delete action item', {
+      error: error.message,
+      incidentId,
+      itemId,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Copy AI action items from an analysis into the checklist
+ * Items whose text is already tracked for the incident are skipped
+ *
+ * @param {number} incidentId - Incident ID
+ * @param {number} analysisId - incident_analyses.id the items came from
+ * @param {Array<Object>} actionItems - Structured AI action items
+ * @returns {Promise<Array>} - Newly created action items
+ */
+async function seedFromAnalysis(incidentId, analysisId, actionItems = []) {
+  if (actionItems.length === 0) {
+    return [];
+  }
+
+  const query = `
+    INSERT INTO incident_action_items (incident_id, source, analysis_id, action, priority, command, owner, created_by)
+    SELECT $1, 'ai', $2, item.action, item.priority, item.command, item.owner, 'AI'
+    FROM jsonb_to_recordset($3::jsonb)
+      AS item(action TEXT, priority VARCHAR, command TEXT, owner VARCHAR)
+    WHERE NOT EXISTS (
+      SELECT 1 FROM incident_action_items existing
+      WHERE existing.incident_id = $1
+        AND lower(existing.action) = lower(item.action)
+    )
+    RETURNING ${ITEM_COLUMNS}
+  `;
+
+  const result = await db.query(query, [incidentId, analysisId, JSON.stringify(actionItems)]);
+
+  logger.debug(`Seeded ${result.rows.length} action items`, { incidentId, analysisId });
+
+  return result.rows;
+}
+
+module.exports = {
+  STATUSES,
+  listActionItems,
+  createActionItem,
+  updateActionItem,
+  deleteActionItem,
+  seedFromAnalysis,
+};
@@ -0,0 +1,35 @@
+/**
+ * Incidents Activity Service
+ *
+ * Purpose: Writes entries to the incident activity log
+ * Used by: incidents-analysis.service.js, incidents-action-items.service.js,
+ *          incidents-archive.service.js and other incident services
+ *
+ * Every activity is logged explicitly through here, with the name of whoever
+ * made the change. (Status and assignment changes used to be logged by a
+ * database trigger without an actor; migration 025 removed it.)
+ */
+
+const db = require('../db');
+
+/**
+ * Log an entry in the incident activity table
+ *
+ * @param {number} incidentId - Incident ID
+ * @param {string} activityType - e.g. 'analysis_requested', 'action_item_completed'
+ * @param {string} actorName - Who made the change
+ * @param {string} description - Human-readable summary shown in the timeline
+ * @param {Object} [metadata] - Structured details stored as JSONB
+ */
+async function logActivity(incidentId, activityType, actorName, description, metadata = {}) {
+  const query = `
+    INSERT INTO incident_activity (incident_id, activity_type, actor_name, description, metadata)
+    VALUES ($1, $2, $3, $4, $5)
+  `;
+
+  await db.query(query, [incidentId, activityType, actorName, description, JSON.stringify(metadata)]);
+}
+
+module.exports = {
+  logActivity,
+};
@@ -0,0 +1,411 @@
+/**
+ * Incidents Analysis Service
+ *
+ * Purpose: Versioned history of AI analyses per incident
+ * Used by: workers/analysis.worker.js (recording results) and
+ *          incidents-analysis.controller.js (re-run, history, diff, activate)
+ *
+ * Every analysis run is stored in incident_analyses with an increasing
+ * version number. The incident row keeps a copy of the active version in its
+ * ai_* columns (so list/detail queries stay simple) and points at it through
+ * active_analysis_id. Action items from each version are also copied into
+ * the incident's checklist (incidents-action-items.service.js), and the
+ * suggested severity is reconciled with the reported one
+ * (incidents-severity.service.js).
+ */
+
+const db = require('../db');
+const logger = require('../config/logger');
+const jobsService = require('./analysis-jobs.service');
+const actionItemsService = require('./incidents-action-items.service');
+const severityService = require('./incidents-severity.service');
+const { logActivity } = require('./incidents-activity.service');
+const { createHttpError } = require('../utils/httpError');
+
+/**
+ * Store a new analysis version and make it the active one
+ *
+ * @param {number} incidentId - Incident ID
+ * @param {Object} analysis - Result of aiService.generateIncidentAnalysis
+ * @param {Object} [options]
+ * @param {string} [options.trigger='initial'] - 'initial' or 'rerun'
+ * @param {string} [options.requestedBy] - Who asked for the run
+ * @returns {Promise<Object>} - Updated incident, with analysis_version
+ */
+async function recordAnalysis(incidentId, analysis, options = {}) {
+  const { trigger = 'initial', requestedBy = null } = options;
+  const metadata = analysis.metadata || {};
+
+  logger.info('Recording analysis version', { incidentId, trigger });
+
+  try {
+    // Insert the version and copy it onto the incident in one statement
+    const query = `
+      WITH next_version AS (
+        SELECT COALESCE(MAX(version), 0) + 1 AS version
+        FROM incident_analyses
+        WHERE incident_id = $1
+      ),
+      new_analysis AS (
+        INSERT INTO incident_analyses (
+          incident_id, version, summary, root_causes, customer_message, action_items,
+          suggested_severity, metadata, provider, model, prompt_version,
+          prompt_tokens, completion_tokens, total_tokens, trigger, requested_by
+        )
+        SELECT $1, version, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15
+        FROM next_version
+        RETURNING *
+      )
+      UPDATE incidents
+      SET ai_summary = new_analysis.summary,
+          ai_root_causes = new_analysis.root_causes,
+          ai_customer_message = new_analysis.customer_message,
+          ai_action_items = new_analysis.action_items,
+          ai_metadata = new_analysis.metadata,
+          ai_suggested_severity = new_analysis.suggested_severity,
+          active_analysis_id = new_analysis.id,
+          analysis_status = 'done'
+      FROM new_analysis
+      WHERE incidents.id = new_analysis.incident_id
+      RETURNING incidents.*, new_analysis.version AS analysis_version
+    `;
+
+    const values = [
+      incidentId,
+      analysis.summary,
+      JSON.stringify(analysis.rootCauses || []),
+      analysis.customerMessage,
+      JSON.stringify(analysis.actionItems || []),
+      analysis.suggestedSeverity || null,
+      JSON.stringify(metadata),
+      metadata.provider || null,
+      metadata.model || null,
+      metadata.promptVersion || null,
+      metadata.promptTokens || 0,
+      metadata.completionTokens || 0,
+      metadata.tokensUsed || 0,
+      trigger,
+      requestedBy,
+    ];
+
+    const result = await db.query(query, values);
+
+    if (result.rows.length === 0) {
+      throw createHttpError(404, `Incident with ID ${incidentId} not found`);
+    }
+
+    const incident = result.rows[0];
+
+    await logActivity(
+      incidentId,
+      'analysis_completed',
+      requestedBy,
+      `AI analysis version ${incident.analysis_version} completed`,
+      { version: incident.analysis_version, trigger, provider: metadata.provider || null }
+    );
+
+    // New AI suggestions join the checklist without touching tracked items
+    await actionItemsService.seedFromAnalysis(incidentId, incident.active_analysis_id, analysis.actionItems);
+
+    // Escalate or suggest a higher severity, depending on SEVERITY_POLICY
+    const reconciled = await severityService.reconcileSeverity(incident);
+
+    logger.success('Analysis version recorded', { incidentId, version: incident.analysis_version });
+
+    return reconciled;
+
+  } catch (error) {
+    logger.error('Failed to record analysis', {
+      error: error.message,
+      incidentId,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Queue a fresh analysis that includes the incident's comments
+ * If a job is already queued, that job is returned instead; the insert itself
+ * checks for it, so concurrent requests queue a single job. A running job does
+ * not count, since it read the incident before the latest comments or edits:
+ * the new job waits behind it
+ *
+ * @param {number} incidentId - Incident ID
+ * @param {string} [actorName='System'] - Who requested the re-run
+ * @returns {Promise<{ job: Object, alreadyQueued: boolean }>}
+ */
+async function requestReanalysis(incidentId, actorName = 'System') {
+  logger.info('Re-analysis requested', { incidentId, actorName });
+
+  try {
+    const incidentResult = await db.query('SELECT id FROM incidents WHERE id = $1 AND deleted_at IS NULL', [incidentId]);
+
+    if (incidentResult.rows.length === 0) {
+      throw createHttpError(404, `Incident with ID ${incidentId} not found`);
+    }
+
+    const job = await jobsService.enqueueJob(incidentId, { trigger: 'rerun', requestedBy: actorName });
+
+    if (!job) {
+      const pendingQuery = `
+        SELECT *
+        FROM analysis_jobs
+        WHERE incident_id = $1 AND status = 'queued'
+      `;
+
+      const pendingResult = await db.query(pendingQuery, [incidentId]);
+
+      if (pendingResult.rows.length === 0) {
+        // The queued job was claimed in between: queue a new one
+        return requestReanalysis(incidentId, actorName);
+      }
+
+      return { job: pendingResult.rows[0], alreadyQueued: true };
+    }
+
+    await db.query(`UPDATE incidents SET analysis_status = 'pending' WHERE id = $1`, [incidentId]);
+
+    await logActivity(
+      incidentId,
+      'analysis_requested',
+      actorName,
+      `${actorName} requested a new AI analysis`,
+      { jobId: job.id }
+    );
+
+    return { job, alreadyQueued: false };
+
+  } catch (error) {
+    logger.error('Failed to request re-analysis', {
+      error: error.message,
+      incidentId,
+    });
+    throw error;
+  }
+}
+
+/**
+ * List all analysis versions for an incident (newest first)
+ *
+ * @param {number} incidentId - Incident ID
+ * @returns {Promise<Array>} - Analysis versions with is_active flag and rating counts
+ */
+async function listAnalyses(incidentId) {
+  logger.info('Fetching analysis history', { incidentId });
+
+  try {
+    const query = `
+      SELECT
+        a.id,
+        a.version,
+        a.summary,
+        a.suggested_severity,
+        a.provider,
+        a.model,
+        a.prompt_version,
+        a.prompt_tokens,
+        a.completion_tokens,
+        a.total_tokens,
+        a.trigger,
+        a.requested_by,
+        a.created_at,
+        a.flagged_at,
+        (a.id = i.active_analysis_id) AS is_active,
+        (SELECT COUNT(*)::int FROM analysis_feedback f WHERE f.analysis_id = a.id AND f.rating = 1) AS thumbs_up,
+        (SELECT COUNT(*)::int FROM analysis_feedback f WHERE f.analysis_id = a.id AND f.rating = -1) AS thumbs_down
+      FROM incident_analyses a
+      JOIN incidents i ON i.id = a.incident_id
+      WHERE a.incident_id = $1
+      ORDER BY a.version DESC
+    `;
+
+    const result = await db.query(query, [incidentId]);
+
+    return result.rows;
+
+  } catch (error) {
+    logger.error('Failed to fetch analysis history', {
+      error: error.message,
+      incidentId,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Get a single analysis version
+ * Analyses of archived incidents are not found, so they can't be rated
+ *
+ * @param {number} incidentId - Incident ID
+ * @param {number} version - Version number
+ * @returns {Promise<Object>} - Full analysis row
+ */
+async function getAnalysis(incidentId, version) {
+  const query = `
+    SELECT *
+    FROM incident_analyses
+    WHERE incident_id = $1 AND version = $2
+      AND incident_id IN (SELECT id FROM incidents WHERE deleted_at IS NULL)
+  `;
+
+  const result = await db.query(query, [incidentId, version]);
+
+  if (result.rows.length === 0) {
+    throw createHttpError(404, `Analysis version ${version} not found for incident ${incidentId}`);
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Get the active analysis of an incident
+ *
+ * @param {number} incidentId - Incident ID
+ * @returns {Promise<Object>} - Full analysis row
+ */
+async function getActiveAnalysis(incidentId) {
+  const query = `
+    SELECT a.*
+    FROM incidents i
+    JOIN incident_analyses a ON a.id = i.active_analysis_id
+    WHERE i.id = $1
+      AND i.deleted_at IS NULL
+  `;
+
+  const result = await db.query(query, [incidentId]);
+
+  if (result.rows.length === 0) {
+    throw createHttpError(404, `Incident ${incidentId} has no AI analysis yet`);
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Compare two lists, treating items as equal when their JSON matches
+ */
+function diffLists(fromList = [], toList = []) {
+  const fromKeys = fromList.map(item => JSON.stringify(item));
+  const toKeys = toList.map(item => JSON.stringify(item));
+
+  return {
+    added: toList.filter((item, index) => !fromKeys.includes(toKeys[index])),
+    removed: fromList.filter((item, index) => !toKeys.includes(fromKeys[index])),
+    unchanged: toList.filter((item, index) => fromKeys.includes(toKeys[index])),
+  };
+}
+
+/**
+ * Compare a single field between two versions
+ */
+function diffField(fromValue, toValue) {
+  return {
+    changed: fromValue !== toValue,
+    from: fromValue,
+    to: toValue,
+  };
+}
+
+/**
+ * Build a field-by-field diff of two analysis rows
+ *
+ * @param {Object} from - Older analysis row
+ * @param {Object} to - Newer analysis row
+ * @returns {Object} - Diff description
+ */
+function diffAnalysisVersions(from, to) {
+  return {
+    from: from.version,
+    to: to.version,
+    summary: diffField(from.summary, to.summary),
+    customerMessage: diffField(from.customer_message, to.customer_message),
+    suggestedSeverity: diffField(from.suggested_severity, to.suggested_severity),
+    rootCauses: diffLists(from.root_causes, to.root_causes),
+    actionItems: diffLists(from.action_items, to.action_items),
+  };
+}
+
+/**
+ * Diff two versions of an incident's analysis
+ *
+ * @param {number} incidentId - Incident ID
+ * @param {number} fromVersion - Base version
+ * @param {number} toVersion - Version to compare against the base
+ * @returns {Promise<Object>} - Diff description
+ */
+async function diffAnalyses(incidentId, fromVersion, toVersion) {
+  logger.info('Diffing analysis versions', { incidentId, fromVersion, toVersion });
+
+  const [from, to] = await Promise.all([
+    getAnalysis(incidentId, fromVersion),
+    getAnalysis(incidentId, toVersion),
+  ]);
+
+  return diffAnalysisVersions(from, to);
+}
+
+/**
+ * Make an older (or newer) version the active analysis
+ *
+ * @param {number} incidentId - Incident ID
+ * @param {number} version - Version to activate
+ * @param {string} [actorName='System'] - Who made the change
+ * @returns {Promise<Object>} - Updated incident
+ */
+async function activateAnalysis(incidentId, version, actorName = 'System') {
+  logger.info('Activating analysis version', { incidentId, version, actorName });
+
+  try {
+    const query = `
+      UPDATE incidents
+      SET ai_summary = a.summary,
+          ai_root_causes = a.root_causes,
+          ai_customer_message = a.customer_message,
+          ai_action_items = a.action_items,
+          ai_metadata = a.metadata,
+          ai_suggested_severity = a.suggested_severity,
+          active_analysis_id = a.id
+      FROM incident_analyses a
+      WHERE a.incident_id = $1
+        AND a.version = $2
+        AND incidents.id = a.incident_id
+        AND incidents.deleted_at IS NULL
+      RETURNING incidents.*
+    `;
+
+    const result = await db.query(query, [incidentId, version]);
+
+    if (result.rows.length === 0) {
+      throw createHttpError(404, `Analysis version ${version} not found for incident ${incidentId}`);
+    }
+
+    await logActivity(
+      incidentId,
+      'analysis_activated',
+      actorName,
+      `${actorName} switched the active AI analysis to version ${version}`,
+      { version }
+    );
+
+    return result.rows[0];
+
+  } catch (error) {
+    logger.error('Failed to activate analysis version', {
+      error: error.message,
+      incidentId,
+      version,
+    });
+    throw error;
+  }
+}
+
+module.exports = {
+  recordAnalysis,
+  requestReanalysis,
+  listAnalyses,
+  getAnalysis,
+  getActiveAnalysis,
+  diffAnalyses,
+  diffAnalysisVersions,
+  activateAnalysis,
+};
@@ -0,0 +1,138 @@
+/**
+ * Incidents Archive Service
+ *
+ * Purpose: Archives (soft-deletes), restores and purges incidents
+ * Used by: incidents.controller.js (DELETE /api/incidents/:id),
+ *          incidents-archive.controller.js (restore and purge)
+ *
+ * Deleting an incident only sets deleted_at and deleted_by: its comments and
+ * activity log are kept, and it can be restored. Archived incidents are left
+ * out of lists, search, analytics, similar incidents and the status page, and
+ * can't be changed: GET /api/incidents/:id and every update return 404.
+ *
+ * Purging removes the row for good, and with it everything that cascades from
+ * it (comments, activity, analyses...). It is only allowed once the incident
+ * has been archived for config.incidentArchive.retentionDays.
+ */
+
+const db = require('../db');
+const config = require('../config/env');
+const logger = require('../config/logger');
+const incidentsService = require('./incidents.service');
+const { logActivity } = require('./incidents-activity.service');
+const { createHttpError } = require('../utils/httpError');
+
+/**
+ * Archive an incident
+ *
+ * @param {number} id - Incident ID
+ * @param {string} actorName - Who archived it
+ * @returns {Promise<Object>} - { id, deleted_at, deleted_by }
+ * @throws {Error} - 404 if not found or already archived
+ */
+async function archiveIncident(id, actorName) {
+  logger.info('Archiving incident', { id, actorName });
+
+  const result = await db.query(
+    `UPDATE incidents
+     SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2
+     WHERE id = $1
+       AND deleted_at IS NULL
+     RETURNING id, deleted_at, deleted_by`,
+    [id, actorName]
+  );
+
+  if (result.rows.length === 0) {
+    throw createHttpError(404, `Incident with ID ${id} not found`);
+  }
+
+  await logActivity(id, 'archived', actorName, `${actorName} archived the incident`);
+
+  logger.success('Incident archived', { id, actorName });
+
+  return result.rows[0];
+}
+
+/**
+ * Bring an archived incident back
+ *
+ * @param {number} id - Incident ID
+ * @param {string} actorName - Who restored it
+ * @returns {Promise<Object>} - The restored incident
+ * @throws {Error} - 404 if there is no archived incident with this ID
+ */
+async function restoreIncident(id, actorName) {
+  logger.info('Restoring incident', { id, actorName });
+
+  const result = await db.query(
+    `UPDATE incidents
+     SET deleted_at = NULL, deleted_by = NULL
+     WHERE id = $1
+       AND deleted_at IS NOT NULL
+     RETURNING id`,
+    [id]
+  );
+
+  if (result.rows.length === 0) {
+    throw createHttpError(404, `Archived incident with ID ${id} not found`);
+  }
+
+  await logActivity(id, 'restored', actorName, `${actorName} restored the incident from the archive`);
+
+  logger.success('Incident restored', { id, actorName });
+
+  return incidentsService.getIncidentById(id);
+}
+
+/**
+ * Permanently delete an archived incident, with its comments and activity log
+ *
+ * @param {number} id - Incident ID
+ * @param {string} actorName - Who purged it (only recorded in the application log,
+ *   since the activity log goes with the incident)
+ * @returns {Promise<void>}
+ * @throws {Error} - 404 if there is no archived incident with this ID,
+ *   409 if it was archived less than retentionDays ago
+ */
+async function purgeIncident(id, actorName) {
+  const { retentionDays } = config.incidentArchive;
+
+  logger.info('Purging incident', { id, actorName, retentionDays });
+
+  const result = await db.query(
+    `DELETE FROM incidents
+     WHERE id = $1
+       AND deleted_at IS NOT NULL
+       AND deleted_at <= NOW() - make_interval(days => $2)
+     RETURNING id`,
+    [id, retentionDays]
+  );
+
+  if (result.rows.length === 0) {
+    const archived = await db.query(
+      `SELECT deleted_at + make_interval(days => $2) AS purgeable_at
+       FROM incidents
+       WHERE id = $1
+         AND deleted_at IS NOT NULL`,
+      [id, retentionDays]
+    );
+
+    if (archived.rows.length === 0) {
+      throw createHttpError(404, `Archived incident with ID ${id} not found`);
+    }
+
+    const purgeableAt = new Date(archived.rows[0].purgeable_at).toISOString();
+    throw createHttpError(
+      409,
+      `Incident ${id} can only be purged ${retentionDays} days after it was archived (from ${purgeableAt})`
+    );
+  }
+
+  logger.warn('Incident purged', { id, actorName });
+}
+
+module.exports = {
+  archiveIncident,
+  restoreIncident,
+  purgeIncident,
+};
@@ -0,0 +1,224 @@
+/**
+ * Incidents Chat Service
+ *
+ * Purpose: Follow-up questions to the AI about a single incident
+ * Used by: incidents-chat.controller.js
+ *
+ * Every turn is answered with fresh context: the incident, its current
+ * analysis, the follow-up notes and the activity log are rendered into the
+ * system prompt, followed by the recent chat history and the new question.
+ * Everything sent to the model is redacted (services/redaction.service.js).
+ *
+ * A question and its answer are stored together once the model replies, so a
+ * failed call leaves no unanswered question in the thread.
+ */
+
+const db = require('../db');
+const logger = require('../config/logger');
+const providers = require('./providers');
+const aiUsageService = require('./ai-usage.service');
+const incidentsService = require('./incidents.service');
+const managementService = require('./incidents-management.service');
+const { redactForPrompt, redactForStorage } = require('./redaction.service');
+const { createHttpError } = require('../utils/httpError');
+
+// Earlier turns sent back to the model with each question
+const CHAT_HISTORY_LIMIT = 20;
+
+// Newest activity entries included as context
+const ACTIVITY_CONTEXT_LIMIT = 30;
+
+const MAX_ANSWER_TOKENS = 800;
+
+const SYSTEM_INSTRUCTIONS = `You are an incident response assistant helping an engineer during one specific incident.
+Answer using the incident context below. When the context does not contain the answer, say so
+instead of guessing. Keep answers short and practical; use Markdown lists and code blocks for
+commands. Do not invent log lines, metrics or timestamps.`;
+
+/**
+ * Render the incident, its analysis, notes and activity as prompt context
+ *
+ * @param {Object} incident - Incident row
+ * @param {Array} comments - Rows from incident_comments, oldest first
+ * @param {Array} activity - Rows from incident_activity, newest first
+ * @returns {string}
+ */
+function buildIncidentContext(incident, comments = [], activity = []) {
+  const sections = [
+    `INCIDENT #${incident.id}: ${incident.title}`,
+    `Severity: ${incident.severity} | Status: ${incident.status} | Assigned to: ${incident.assigned_to || 'nobody'}`,
+    `Reported: ${new Date(incident.created_at).toISOString()}`,
+    `\nDESCRIPTION:\n${incident.description}`,
+  ];
+
+  if (incident.ai_summary) {
+    const analysis = [`\nCURRENT AI ANALYSIS:\nSummary: ${incident.ai_summary}`];
+
+    (incident.ai_root_causes || []).forEach((cause, index) => {
+      analysis.push(`Root cause ${index + 1} (${cause.likelihood} likelihood): ${cause.cause}`);
+    });
+
+    (incident.ai_action_items || []).forEach(item => {
+      analysis.push(`Action [${item.priority}]: ${item.action}`);
+    });
+
+    sections.push(analysis.join('\n'));
+  }
+
+  if (comments.length > 0) {
+    const lines = comments.map(comment =>
+      `[${new Date(comment.created_at).toISOString()}] ${comment.author_name}: ${comment.comment_text}`
+    );
+    sections.push(`\nFOLLOW-UP NOTES (oldest first):\n${lines.join('\n')}`);
+  }
+
+  if (activity.length > 0) {
+    const lines = activity
+      .slice(0, ACTIVITY_CONTEXT_LIMIT)
+      .reverse()
+      .map(entry => `[${new Date(entry.created_at).toISOString()}] ${entry.description}`);
+    sections.push(`\nACTIVITY LOG (oldest first):\n${lines.join('\n')}`);
+  }
+
+  return sections.join('\n');
+}
+
+/**
+ * Load an incident or fail with 404
+ */
+async function requireIncident(incidentId) {
+  const incident = await incidentsService.getIncidentById(incidentId);
+
+  if (!incident) {
+    throw createHttpError(404, `Incident with ID ${incidentId} not found`);
+  }
+
+  return incident;
+}
+
+/**
+ * Get the chat thread of an incident
+ *
+ * @param {number} incidentId - Incident ID
+ * @returns {Promise<Array>} - Messages, oldest first
+ */
+async function listMessages(incidentId) {
+  logger.info('Fetching incident chat', { incidentId });
+
+  await requireIncident(incidentId);
+
+  const result = await db.query(
+    `SELECT * FROM incident_chat_messages
+     WHERE incident_id = $1
+     ORDER BY created_at, id`,
+    [incidentId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Ask the AI a question about an incident
+ *
+ * @param {number} incidentId - Incident ID
+ * @param {string} question - The question
+ * @param {string} [authorName='Anonymous'] - Who asked
+ * @returns {Promise<{ userMessage: Object, assistantMessage: Object }>}
+ */
+async function sendMessage(incidentId, question, authorName = 'Anonymous') {
+  logger.info('Incident chat question', { incidentId, authorName });
+
+  const incident = await requireIncident(incidentId);
+
+  const [comments, activity, history] = await Promise.all([
+    managementService.getComments(incidentId),
+    managementService.getActivity(incidentId),
+    db.query(
+      `SELECT role, content FROM incident_chat_messages
+       WHERE incident_id = $1
+       ORDER BY created_at DESC, id DESC
+       LIMIT $2`,
+      [incidentId, CHAT_HISTORY_LIMIT]
+    ),
+  ]);
+
+  const messages = [
+    {
+      role: 'system',
+      content: `${SYSTEM_INSTRUCTIONS}\n\n${redactForPrompt(buildIncidentContext(incident, comments, activity))}`,
+    },
+    ...history.rows.reverse().map(message => ({ role: message.role, content: redactForPrompt(message.content) })),
+    { role: 'user', content: redactForPrompt(question) },
+  ];
+
+  const provider = providers.getProvider();
+
+  // Same rule as analysis: only model-backed providers are metered
+  const metered = provider.name !== 'heuristic';
+
+  if (metered) {
+    const budget = await aiUsageService.checkBudget();
+
+    if (budget.exceeded) {
+      throw createHttpError(503, budget.reason);
+    }
+  }
+
+  let answer;
+  try {
+    answer = await provider.complete({ messages, maxTokens: MAX_ANSWER_TOKENS, temperature: 0.3 });
+  } catch (error) {
+    logger.error('Incident chat provider call failed', {
+      error: error.message,
+      provider: provider.name,
+      incidentId,
+    });
+    throw createHttpError(502, `AI assistant is unavailable: ${error.message}`);
+  }
+
+  if (metered) {
+    await aiUsageService.recordUsage({
+      incidentId: incident.id,
+      purpose: 'chat',
+      severity: incident.severity,
+      provider: provider.name,
+      model: answer.model,
+      usage: answer.usage,
+    });
+  }
+
+  const result = await db.query(
+    `INSERT INTO incident_chat_messages
+       (incident_id, role, content, author_name, provider, model, prompt_tokens, completion_tokens)
+     VALUES
+       ($1, 'user', $2, $3, NULL, NULL, 0, 0),
+       ($1, 'assistant', $4, NULL, $5, $6, $7, $8)
+     RETURNING *`,
+    [
+      incidentId,
+      redactForStorage(question),
+      authorName,
+      answer.content,
+      provider.name,
+      answer.model,
+      answer.usage.promptTokens,
+      answer.usage.completionTokens,
+    ]
+  );
+
+  const [userMessage, assistantMessage] = result.rows;
+
+  logger.success('Incident chat answered', {
+    incidentId,
+    provider: provider.name,
+    tokensUsed: answer.usage.totalTokens,
+  });
+
+  return { userMessage, assistantMessage };
+}
+
+module.exports = {
+  buildIncidentContext,
+  listMessages,
+  sendMessage,
+};
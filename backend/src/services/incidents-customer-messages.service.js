@@ -0,0 +1,190 @@
+/**
+ * Incidents Customer Messages Service
+ *
+ * Purpose: Customer status messages in several languages
+ * Used by: workers/analysis.worker.js (translating after each analysis) and
+ *          incidents-customer-messages.controller.js (GET /api/incidents/:id/customer-message)
+ *
+ * The analysis writes the customer message in English (incidents.ai_customer_message).
+ * Right after an analysis is recorded, the message is translated into every
+ * locale in CUSTOMER_MESSAGE_LOCALES with one model call and stored per analysis
+ * version in incident_customer_messages, so switching the active version also
+ * switches the translations.
+ *
+ * Translation is best effort: without a language model, over budget, or when
+ * the call fails, only English is available.
+ */
+
+const db = require('../db');
+const config = require('../config/env');
+const logger = require('../config/logger');
+const providers = require('./providers');
+const aiUsageService = require('./ai-usage.service');
+const incidentsService = require('./incidents.service');
+const { redactForPrompt } = require('./redaction.service');
+const { createHttpError } = require('../utils/httpError');
+
+// Locale of incidents.ai_customer_message
+const BASE_LOCALE = 'en';
+
+const MAX_TRANSLATION_TOKENS = 1500;
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+/**
+ * Prompt asking for every translation in one JSON object
+ *
+ * @param {string} message - English customer message
+ * @param {Array<string>} locales - Target locales
+ * @returns {Array<Object>} - Chat messages
+ */
+function buildTranslationMessages(message, locales) {
+  const targets = locales.map(locale => `- "${locale}": ${languageNames.of(locale)}`).join('\n');
+
+  return [
+    {
+      role: 'system',
+      content: 'You translate customer-facing incident status updates. Keep the tone calm and '
+        + 'professional, keep product names and times unchanged, and do not add information.',
+    },
+    {
+      role: 'user',
+      content: `Translate this status update into each language below.\n\n${targets}\n\n`
+        + `Respond with a JSON object mapping each locale code to its translation.\n\n`
+        + `STATUS UPDATE:\n${redactForPrompt(message)}`,
+    },
+  ];
+}
+
+/**
+ * Translate the active customer message of an incident into the configured locales
+ * Never throws: a failed translation just leaves English as the only language
+ *
+ * @param {Object} incident - Row with id, severity, active_analysis_id and ai_customer_message
+ * @returns {Promise<Array<string>>} - Locales stored
+ */
+async function translateCustomerMessage(incident) {
+  const { locales } = config.customerMessages;
+
+  if (locales.length === 0 || !incident.ai_customer_message || !incident.active_analysis_id) {
+    return [];
+  }
+
+  const provider = providers.getProvider();
+
+  if (provider.name === 'heuristic') {
+    logger.debug('No language model configured, customer message stays English only', { incidentId: incident.id });
+    return [];
+  }
+
+  try {
+    const budget = await aiUsageService.checkBudget();
+
+    if (budget.exceeded) {
+      logger.warn('Monthly AI budget exceeded, skipping customer message translation', { incidentId: incident.id });
+      return [];
+    }
+
+    const { content, usage, model } = await provider.complete({
+      messages: buildTranslationMessages(incident.ai_customer_message, locales),
+      maxTokens: MAX_TRANSLATION_TOKENS,
+      temperature: 0.2,
+      json: true,
+    });
+
+    await aiUsageService.recordUsage({
+      incidentId: incident.id,
+      purpose: 'translation',
+      severity: incident.severity,
+      provider: provider.name,
+      model,
+      usage,
+    });
+
+    const translations = JSON.parse(content);
+    const stored = [];
+
+    for (const locale of locales) {
+      const message = translations[locale];
+
+      if (typeof message !== 'string' || !message.trim()) {
+        logger.warn('Translation missing from model answer', { incidentId: incident.id, locale });
+        continue;
+      }
+
+      await db.query(
+        `INSERT INTO incident_customer_messages (incident_id, analysis_id, locale, message, provider, model)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (analysis_id, locale)
+         DO UPDATE SET message = EXCLUDED.message, provider = EXCLUDED.provider,
+                       model = EXCLUDED.model, created_at = CURRENT_TIMESTAMP`,
+        [incident.id, incident.active_analysis_id, locale, message.trim(), provider.name, model]
+      );
+      stored.push(locale);
+    }
+
+    logger.info('Customer message translated', { incidentId: incident.id, locales: stored });
+
+    return stored;
+
+  } catch (error) {
+    logger.warn('Customer message translation failed', {
+      error: error.message,
+      provider: provider.name,
+      incidentId: incident.id,
+    });
+    return [];
+  }
+}
+
+/**
+ * Get the customer message of an incident in one language
+ *
+ * @param {number} incidentId - Incident ID
+ * @param {string} [lang='en'] - Locale, case-insensitive
+ * @returns {Promise<Object>} - { locale, message, available: ['en', 'de', ...], createdAt }
+ */
+async function getCustomerMessage(incidentId, lang = BASE_LOCALE) {
+  const locale = String(lang).trim().toLowerCase();
+
+  const incident = await incidentsService.getIncidentById(incidentId);
+
+  if (!incident) {
+    throw createHttpError(404, `Incident with ID ${incidentId} not found`);
+  }
+
+  if (!incident.ai_customer_message) {
+    throw createHttpError(404, `Incident ${incidentId} has no customer message yet`);
+  }
+
+  const result = await db.query(
+    `SELECT locale, message, created_at
+     FROM incident_customer_messages
+     WHERE analysis_id = $1
+     ORDER BY locale`,
+    [incident.active_analysis_id]
+  );
+
+  const available = [BASE_LOCALE, ...result.rows.map(row => row.locale)];
+
+  if (locale === BASE_LOCALE) {
+    return { locale, message: incident.ai_customer_message, available, createdAt: incident.updated_at };
+  }
+
+  const translation = result.rows.find(row => row.locale === locale);
+
+  if (!translation) {
+    throw createHttpError(
+      404,
+      `Customer message is not available in "${locale}". Available: ${available.join(', ')}`
+    );
+  }
+
+  return { locale, message: translation.message, available, createdAt: translation.created_at };
+}
+
+module.exports = {
+  BASE_LOCALE,
+  translateCustomerMessage,
+  getCustomerMessage,
+};
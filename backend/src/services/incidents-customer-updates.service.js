@@ -0,0 +1,547 @@
+/**
+ * Incidents Customer Updates Service
+ *
+ * Purpose: Reviewed customer-facing updates: draft → approve → publish
+ * Used by: incidents-customer-updates.controller.js
+ *
+ * Flow:
+ * 1. A responder writes a draft, or asks the AI to draft the next update from
+ *    the incident status, the updates published so far and the latest notes
+ * 2. Drafts can be edited until they are published; editing an approved
+ *    draft sends it back for approval
+ * 3. An approved draft is published; published updates are never changed
+ *    again and form the history of what customers were told
+ *
+ * Every step is recorded with its actor and timestamp, both on the update and
+ * in the incident activity log. AI drafting falls back to a template for the
+ * incident status when no model is configured, the budget is spent, or the call fails.
+ */
+
+const db = require('../db');
+const logger = require('../config/logger');
+const providers = require('./providers');
+const aiUsageService = require('./ai-usage.service');
+const incidentsService = require('./incidents.service');
+const managementService = require('./incidents-management.service');
+const { logActivity } = require('./incidents-activity.service');
+const { redactForPrompt } = require('./redaction.service');
+const { createHttpError } = require('../utils/httpError');
+
+const UPDATE_STATUSES = ['draft', 'approved', 'published'];
+
+// Published updates and notes included when drafting the next update
+const PUBLISHED_CONTEXT_LIMIT = 5;
+const COMMENT_CONTEXT_LIMIT = 10;
+
+const MAX_DRAFT_TOKENS = 400;
+
+const SYSTEM_PROMPT = `You write status updates that an incident response team sends to its customers.
+Write the next update for the incident below in 2-4 plain sentences: what customers experience,
+what is being done, and when the next update will follow (or that the issue is resolved).
+Build on the updates already published without repeating them. Internal notes are for context
+only: never mention people, internal systems, hostnames or error details. Do not speculate about
+causes that are not confirmed and do not promise times. Respond with the update text only.`;
+
+// Used when no model is available, by incident status
+const STATUS_TEMPLATES = {
+  open: 'We are aware of an issue affecting some of our services and are looking into it. '
+    + 'We will share another update soon.',
+  acknowledged: 'We are aware of an issue affecting some of our services and our team is looking into it. '
+    + 'We will share another update soon.',
+  investigating: 'We are continuing to investigate this issue and are working to restore normal service. '
+    + 'We will share another update as soon as we know more.',
+  identified: 'We have identified the cause of this issue and are working on a fix. '
+    + 'We will share another update as soon as it is in place.',
+  monitoring: 'A fix has been put in place and we are monitoring the results. '
+    + 'We will share another update once we have confirmed the issue is resolved.',
+  resolved: 'This issue has been resolved and services are operating normally. '
+    + 'Thank you for your patience, and we apologize for the disruption.',
+  postmortem_pending: 'This issue has been resolved and services are operating normally. '
+    + 'Thank you for your patience, and we apologize for the disruption.',
+  closed: 'This issue has been resolved and services are operating normally. '
+    + 'Thank you for your patience, and we apologize for the disruption.',
+  reopened: 'The issue we reported as resolved has come back, and we are investigating again. '
+    + 'We will share another update as soon as we know more.',
+};
+
+/**
+ * Template update for an incident status
+ *
+ * @param {string} status - Incident status
+ * @returns {string}
+ */
+function buildTemplateUpdate(status) {
+  return STATUS_TEMPLATES[status] || STATUS_TEMPLATES.investigating;
+}
+
+/**
+ * Render the incident, published updates and recent notes as the user prompt
+ *
+ * @param {Object} context - { incident, published (oldest first), comments (oldest first) }
+ * @returns {string}
+ */
+function buildDraftPrompt({ incident, published = [], comments = [] }) {
+  const sections = [
+    `INCIDENT: ${incident.title}`,
+    `Severity: ${incident.severity} | Current status: ${incident.status}`,
+  ];
+
+  if (incident.ai_summary) {
+    sections.push(`\nINTERNAL SUMMARY:\n${incident.ai_summary}`);
+  }
+
+  if (published.length > 0) {
+    const lines = published.map(update =>
+      `[${new Date(update.published_at).toISOString()}] (${update.incident_status}) ${update.message}`
+    );
+    sections.push(`\nUPDATES ALREADY PUBLISHED (oldest first):\n${lines.join('\n')}`);
+  } else {
+    sections.push('\nNo update has been published yet; this is the first one.');
+  }
+
+  if (comments.length > 0) {
+    const lines = comments.map(comment =>
+      `[${new Date(comment.created_at).toISOString()}] ${comment.comment_text}`
+    );
+    sections.push(`\nLATEST INTERNAL NOTES (oldest first):\n${lines.join('\n')}`);
+  }
+
+  return redactForPrompt(sections.join('\n'));
+}
+
+/**
+ * Ask the configured provider for the next update
+ * Falls back to the status template, like analysis falls back to heuristics
+ *
+ * @returns {Promise<{ message, provider, model, metadata }>}
+ */
+async function draftMessage(context) {
+  const { incident } = context;
+  const provider = providers.getProvider();
+
+  const fallback = (reason) => ({
+    message: buildTemplateUpdate(incident.status),
+    provider: 'heuristic',
+    model: null,
+    metadata: { fallbackMode: true, fallbackReason: reason },
+  });
+
+  if (provider.name === 'heuristic') {
+    return fallback('No language model is configured');
+  }
+
+  const budget = await aiUsageService.checkBudget();
+
+  if (budget.exceeded) {
+    logger.warn('Monthly AI budget exceeded, drafting customer update from template', { incidentId: incident.id });
+    return fallback(budget.reason);
+  }
+
+  try {
+    const { content, usage, model } = await provider.complete({
+      messages: [
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user', content: buildDraftPrompt(context) },
+      ],
+      maxTokens: MAX_DRAFT_TOKENS,
+      temperature: 0.3,
+    });
+
+    const costUsd = await aiUsageService.recordUsage({
+      incidentId: incident.id,
+      purpose: 'customer_update',
+      severity: incident.severity,
+      provider: provider.name,
+      model,
+      usage,
+    });
+
+    if (!content || !content.trim()) {
+      return fallback('AI response was empty');
+    }
+
+    return {
+      message: content.trim(),
+      provider: provider.name,
+      model,
+      metadata: { fallbackMode: false, costUsd },
+    };
+
+  } catch (error) {
+    logger.error('Failed to draft customer update, using template', {
+      error: error.message,
+      provider: provider.name,
+      incidentId: incident.id,
+    });
+    return fallback(error.message);
+  }
+}
+
+/**
+ * Load an incident or fail with 404
+ */
+async function requireIncident(incidentId) {
+  const incident = await incidentsService.getIncidentById(incidentId);
+
+  if (!incident) {
+    throw createHttpError(404, `Incident with ID ${incidentId} not found`);
+  }
+
+  return incident;
+}
+
+/**
+ * Load an update of an incident or fail with 404
+ * Updates of archived incidents are treated as missing, so they can't be changed
+ */
+async function requireUpdate(incidentId, updateId) {
+  const result = await db.query(
+    `SELECT *
+     FROM incident_customer_updates
+     WHERE id = $1
+       AND incident_id = $2
+       AND incident_id IN (SELECT id FROM incidents WHERE deleted_at IS NULL)`,
+    [updateId, incidentId]
+  );
+
+  if (result.rows.length === 0) {
+    throw createHttpError(404, `Customer update ${updateId} not found for incident ${incidentId}`);
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Check that a message is usable
+ */
+function assertMessage(message) {
+  if (typeof message !== 'string' || !message.trim()) {
+    throw createHttpError(400, 'Customer update message cannot be empty');
+  }
+}
+
+/**
+ * Store a new draft
+ */
+async function insertDraft(incidentId, fields) {
+  const result = await db.query(
+    `INSERT INTO incident_customer_updates
+       (incident_id, message, status, source, provider, model, metadata, created_by, updated_by)
+     VALUES ($1, $2, 'draft', $3, $4, $5, $6, $7, $7)
+     RETURNING *`,
+    [
+      incidentId,
+      fields.message,
+      fields.source,
+      fields.provider || null,
+      fields.model || null,
+      JSON.stringify(fields.metadata || {}),
+      fields.createdBy,
+    ]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * List the updates of an incident
+ * Published updates first (newest first), then drafts (newest first)
+ *
+ * @param {number} incidentId - Incident ID
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - 'draft', 'approved' or 'published'
+ * @returns {Promise<Array>}
+ */
+async function listUpdates(incidentId, { status } = {}) {
+  if (status && !UPDATE_STATUSES.includes(status)) {
+    throw createHttpError(400, `Invalid status. Must be one of: ${UPDATE_STATUSES.join(', ')}`);
+  }
+
+  await requireIncident(incidentId);
+
+  const values = [incidentId];
+  let filter = '';
+
+  if (status) {
+    values.push(status);
+    filter = 'AND status = $2';
+  }
+
+  const result = await db.query(
+    `SELECT * FROM incident_customer_updates
+     WHERE incident_id = $1 ${filter}
+     ORDER BY published_at DESC NULLS LAST, created_at DESC, id DESC`,
+    values
+  );
+
+  return result.rows;
+}
+
+/**
+ * Write a draft by hand
+ *
+ * @param {number} incidentId - Incident ID
+ * @param {string} message - Update text
+ * @param {string} [actorName='System'] - Who wrote it
+ * @returns {Promise<Object>} - The new draft
+ */
+async function createDraft(incidentId, message, actorName = 'System') {
+  logger.info('Creating customer update draft', { incidentId, actorName });
+
+  assertMessage(message);
+  await requireIncident(incidentId);
+
+  const update = await insertDraft(incidentId, {
+    message: message.trim(),
+    source: 'manual',
+    createdBy: actorName,
+  });
+
+  await logActivity(
+    incidentId,
+    'customer_update_drafted',
+    actorName,
+    `${actorName} drafted a customer update`,
+    { updateId: update.id, source: 'manual' }
+  );
+
+  return update;
+}
+
+/**
+ * Let the AI draft the next update from the incident status, published updates and latest notes
+ *
+ * @param {number} incidentId - Incident ID
+ * @param {string} [actorName='System'] - Who asked for the draft
+ * @returns {Promise<Object>} - The new draft
+ */
+async function draftNextUpdate(incidentId, actorName = 'System') {
+  logger.info('Drafting next customer update', { incidentId, actorName });
+
+  const incident = await requireIncident(incidentId);
+
+  const [publishedResult, comments] = await Promise.all([
+    db.query(
+      `SELECT message, incident_status, published_at
+       FROM incident_customer_updates
+       WHERE incident_id = $1 AND status = 'published'
+       ORDER BY published_at DESC
+       LIMIT $2`,
+      [incidentId, PUBLISHED_CONTEXT_LIMIT]
+    ),
+    managementService.getComments(incidentId),
+  ]);
+
+  const draft = await draftMessage({
+    incident,
+    published: publishedResult.rows.reverse(),
+    comments: comments.slice(-COMMENT_CONTEXT_LIMIT),
+  });
+
+  const update = await insertDraft(incidentId, {
+    message: draft.message,
+    source: 'ai',
+    provider: draft.provider,
+    model: draft.model,
+    metadata: draft.metadata,
+    createdBy: actorName,
+  });
+
+  await logActivity(
+    incidentId,
+    'customer_update_drafted',
+    actorName,
+    `${actorName} had the AI draft a customer update`,
+    { updateId: update.id, source: 'ai', provider: draft.provider }
+  );
+
+  logger.success('Customer update drafted', { incidentId, updateId: update.id, provider: draft.provider });
+
+  return update;
+}
+
+/**
+ * Edit an unpublished update
+ * An approved update goes back to draft and needs approval again
+ *
+ * @param {number} incidentId - Incident ID
+ * @param {number} updateId - Update ID
+ * @param {string} message - New text
+ * @param {string} [actorName='System'] - Who edited it
+ * @returns {Promise<Object>} - The edited update
+ */
+async function editUpdate(incidentId, updateId, message, actorName = 'System') {
+  logger.info('Editing customer update', { incidentId, updateId, actorName });
+
+  assertMessage(message);
+  const update = await requireUpdate(incidentId, updateId);
+
+  if (update.status === 'published') {
+    throw createHttpError(409, 'Published customer updates cannot be edited');
+  }
+
+  const result = await db.query(
+    `UPDATE incident_customer_updates
+     SET message = $1, status = 'draft', approved_by = NULL, approved_at = NULL,
+         updated_by = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $3 AND status <> 'published'
+     RETURNING *`,
+    [message.trim(), actorName, updateId]
+  );
+
+  if (result.rows.length === 0) {
+    throw createHttpError(409, 'Published customer updates cannot be edited');
+  }
+
+  await logActivity(
+    incidentId,
+    'customer_update_edited',
+    actorName,
+    `${actorName} edited a customer update draft`,
+    { updateId: update.id, approvalReset: update.status === 'approved' }
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Move an update from one status to the next
+ * The status check is part of the UPDATE, so concurrent approvals or publishes cannot both succeed
+ * setClause numbers its parameters from $4 ($1-$3 are the ID and both statuses)
+ */
+async function transition(incidentId, updateId, { from, to, conflictMessage, setClause, values }) {
+  const update = await requireUpdate(incidentId, updateId);
+
+  if (update.status !== from) {
+    throw createHttpError(409, conflictMessage(update.status));
+  }
+
+  const result = await db.query(
+    `UPDATE incident_customer_updates
+     SET status = $3, ${setClause}
+     WHERE id = $1 AND status = $2
+     RETURNING *`,
+    [updateId, from, to, ...values]
+  );
+
+  if (result.rows.length === 0) {
+    throw createHttpError(409, 'Customer update was changed by someone else, reload and try again');
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Approve a draft for publishing
+ *
+ * @param {number} incidentId - Incident ID
+ * @param {number} updateId - Update ID
+ * @param {string} [actorName='System'] - Who approved it
+ * @returns {Promise<Object>} - The approved update
+ */
+async function approveUpdate(incidentId, updateId, actorName = 'System') {
+  logger.info('Approving customer update', { incidentId, updateId, actorName });
+
+  const update = await transition(incidentId, updateId, {
+    from: 'draft',
+    to: 'approved',
+    conflictMessage: status => `Only drafts can be approved (this update is ${status})`,
+    setClause: 'approved_by = $4, approved_at = CURRENT_TIMESTAMP',
+    values: [actorName],
+  });
+
+  await logActivity(
+    incidentId,
+    'customer_update_approved',
+    actorName,
+    `${actorName} approved a customer update`,
+    { updateId: update.id }
+  );
+
+  return update;
+}
+
+/**
+ * Publish an approved update
+ * Records the incident status at that moment with the update
+ *
+ * @param {number} incidentId - Incident ID
+ * @param {number} updateId - Update ID
+ * @param {string} [actorName='System'] - Who published it
+ * @returns {Promise<Object>} - The published update
+ */
+async function publishUpdate(incidentId, updateId, actorName = 'System') {
+  logger.info('Publishing customer update', { incidentId, updateId, actorName });
+
+  const incident = await requireIncident(incidentId);
+
+  const update = await transition(incidentId, updateId, {
+    from: 'approved',
+    to: 'published',
+    conflictMessage: status => (status === 'draft'
+      ? 'Customer update must be approved before it is published'
+      : 'Customer update is already published'),
+    setClause: 'published_by = $4, published_at = CURRENT_TIMESTAMP, incident_status = $5',
+    values: [actorName, incident.status],
+  });
+
+  await logActivity(
+    incidentId,
+    'customer_update_published',
+    actorName,
+    `${actorName} published a customer update`,
+    { updateId: update.id, approvedBy: update.approved_by }
+  );
+
+  logger.success('Customer update published', { incidentId, updateId: update.id });
+
+  return update;
+}
+
+/**
+ * Discard an unpublished update
+ *
+ * @param {number} incidentId - Incident ID
+ * @param {number} updateId - Update ID
+ * @param {string} [actorName='System'] - Who discarded it
+ * @returns {Promise<Object>} - The discarded update
+ */
+async function discardUpdate(incidentId, updateId, actorName = 'System') {
+  logger.info('Discarding customer update', { incidentId, updateId, actorName });
+
+  await requireUpdate(incidentId, updateId);
+
+  const result = await db.query(
+    `DELETE FROM incident_customer_updates
+     WHERE id = $1 AND status <> 'published'
+     RETURNING *`,
+    [updateId]
+  );
+
+  if (result.rows.length === 0) {
+    throw createHttpError(409, 'Published customer updates cannot be discarded');
+  }
+
+  await logActivity(
+    incidentId,
+    'customer_update_discarded',
+    actorName,
+    `${actorName} discarded a customer update draft`,
+    { updateId: result.rows[0].id }
+  );
+
+  return result.rows[0];
+}
+
+module.exports = {
+  UPDATE_STATUSES,
+  buildTemplateUpdate,
+  buildDraftPrompt,
+  listUpdates,
+  createDraft,
+  draftNextUpdate,
+  editUpdate,
+  approveUpdate,
+  publishUpdate,
+  discardUpdate,
+};
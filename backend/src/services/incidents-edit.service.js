@@ -0,0 +1,192 @@
+/**
+ * Incidents Edit Service
+ *
+ * Purpose: Corrects an incident's title, description and severity after it was created
+ * Used by: incidents.controller.js (PATCH /api/incidents/:id)
+ *
+ * Every changed field gets its own activity entry with the old and new value
+ * in the metadata ({ field, old_value, new_value }). A changed description
+ * can queue a new AI analysis, since the current one was based on the old text.
+ *
+ * With expectedVersions (from If-Match) the edit is only applied if nobody
+ * changed the incident in the meantime; otherwise it fails with 412.
+ *
+ * Status and assignee have their own endpoints (and are logged by a database
+ * trigger), so they are rejected here.
+ */
+
+const db = require('../db');
+const logger = require('../config/logger');
+const analysisService = require('./incidents-analysis.service');
+const incidentsService = require('./incidents.service');
+const { logActivity } = require('./incidents-activity.service');
+const { redactForStorage } = require('./redaction.service');
+const { SEVERITIES } = require('../utils/severity');
+const { createHttpError } = require('../utils/httpError');
+
+// Same limit as the incidents.title column
+const MAX_TITLE_LENGTH = 255;
+
+const EDITABLE_FIELDS = ['title', 'description', 'severity'];
+
+// Fields that look editable but have their own endpoint
+const DEDICATED_ENDPOINTS = {
+  status: 'PATCH /api/incidents/:id/status',
+  assignedTo: 'PATCH /api/incidents/:id/assign',
+  publicTitle: 'PUT /api/incidents/:id/public-info',
+  affectedComponents: 'PUT /api/incidents/:id/public-info',
+};
+
+/**
+ * Check and normalize the requested changes
+ *
+ * @param {Object} fields - Request body without options
+ * @returns {Object} - { title?, description?, severity? }, trimmed and redacted
+ * @throws {Error} - 400 with error.fields ({ field: problem }) for every invalid field
+ */
+function validateChanges(fields) {
+  const problems = {};
+  const changes = {};
+
+  for (const [field, value] of Object.entries(fields || {})) {
+    if (DEDICATED_ENDPOINTS[field]) {
+      problems[field] = `cannot be changed here; use ${DEDICATED_ENDPOINTS[field]}`;
+    } else if (!EDITABLE_FIELDS.includes(field)) {
+      problems[field] = 'is not an incident field';
+    } else if (field === 'severity') {
+      const severity = typeof value === 'string' ? value.trim().toLowerCase() : '';
+
+      if (SEVERITIES.includes(severity)) {
+        changes.severity = severity;
+      } else {
+        problems.severity = `must be one of: ${SEVERITIES.join(', ')}`;
+      }
+    } else {
+      const text = typeof value === 'string' ? value.trim() : '';
+
+      if (!text) {
+        problems[field] = 'must not be empty';
+      } else if (field === 'title' && text.length > MAX_TITLE_LENGTH) {
+        problems.title = `must be at most ${MAX_TITLE_LENGTH} characters`;
+      } else {
+        // With REDACTION_STORE_REDACTED=true secrets never reach the database, as on create
+        changes[field] = redactForStorage(text);
+      }
+    }
+  }
+
+  if (Object.keys(problems).length > 0) {
+    const summary = Object.entries(problems).map(([field, problem]) => `${field} ${problem}`).join('; ');
+    throw createHttpError(400, `Invalid incident fields: ${summary}`, { fields: problems });
+  }
+
+  if (Object.keys(changes).length === 0) {
+    throw createHttpError(400, `Nothing to update: provide ${EDITABLE_FIELDS.join(', ')}`);
+  }
+
+  return changes;
+}
+
+/**
+ * Timeline text for one changed field
+ */
+function describeChange(actorName, { field, old_value: oldValue, new_value: newValue }) {
+  if (field === 'title') {
+    return `${actorName} renamed the incident from "${oldValue}" to "${newValue}"`;
+  }
+
+  if (field === 'severity') {
+    return `${actorName} changed severity from ${oldValue} to ${newValue}`;
+  }
+
+  return `${actorName} edited the description`;
+}
+
+/**
+ * Edit an incident
+ *
+ * @param {number} id - Incident ID
+ * @param {Object} fields - Any of { title, description, severity }
+ * @param {string} actorName - Who made the change
+ * @param {Object} [options]
+ * @param {boolean} [options.reanalyze=false] - Queue a new AI analysis if the description changed
+ * @param {number[]|null} [options.expectedVersions=null] - Only edit if the incident is at one of these versions
+ * @returns {Promise<{ incident: Object, changes: Array, analysis: Object|null }>}
+ *   changes: [{ field, old_value, new_value }] for the fields that actually changed;
+ *   analysis: result of requestReanalysis, or null when none was queued
+ * @throws {Error} - 400 for invalid fields, 404 when the incident does not exist,
+ *   412 when it is no longer at an expected version
+ */
+async function updateIncident(id, fields, actorName, { reanalyze = false, expectedVersions = null } = {}) {
+  const requested = validateChanges(fields);
+
+  logger.info('Editing incident', { id, fields: Object.keys(requested), actorName });
+
+  // Read the old values and write the new ones in one statement, so the
+  // logged old values are the ones that were actually replaced
+  const query = `
+    WITH previous AS (
+      SELECT id, title, description, severity
+      FROM incidents
+      WHERE id = $1
+        AND deleted_at IS NULL
+        AND ($5::int[] IS NULL OR version = ANY($5::int[]))
+      FOR UPDATE
+    )
+    UPDATE incidents i
+    SET title = COALESCE($2, i.title),
+        description = COALESCE($3, i.description),
+        severity = COALESCE($4, i.severity)
+    FROM previous
+    WHERE i.id = previous.id
+    RETURNING i.*,
+      previous.title AS previous_title,
+      previous.description AS previous_description,
+      previous.severity AS previous_severity
+  `;
+
+  const result = await db.query(query, [
+    id,
+    requested.title ?? null,
+    requested.description ?? null,
+    requested.severity ?? null,
+    expectedVersions,
+  ]);
+
+  if (result.rows.length === 0) {
+    throw await incidentsService.getUpdateConflictError(id);
+  }
+
+  const { previous_title, previous_description, previous_severity, ...incident } = result.rows[0];
+  const previous = { title: previous_title, description: previous_description, severity: previous_severity };
+
+  const changes = Object.keys(requested)
+    .filter(field => previous[field] !== incident[field])
+    .map(field => ({ field, old_value: previous[field], new_value: incident[field] }));
+
+  for (const change of changes) {
+    await logActivity(incident.id, `${change.field}_changed`, actorName, describeChange(actorName, change), change);
+  }
+
+  const descriptionChanged = changes.some(change => change.field === 'description');
+  const analysis = reanalyze && descriptionChanged
+    ? await analysisService.requestReanalysis(incident.id, actorName)
+    : null;
+
+  logger.success('Incident edited', {
+    id: incident.id,
+    changed: changes.map(change => change.field),
+    reanalysisQueued: Boolean(analysis),
+  });
+
+  return {
+    incident: analysis ? { ...incident, analysis_status: 'pending' } : incident,
+    changes,
+    analysis,
+  };
+}
+
+module.exports = {
+  validateChanges,
+  updateIncident,
+};
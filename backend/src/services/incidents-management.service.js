@@ -8,50 +8,179 @@
  */
 
 const db = require('../db');
+const config = require('../config/env');
 const logger = require('../config/logger');
+const incidentsService = require('./incidents.service');
+const { logActivity } = require('./incidents-activity.service');
+const { redactForStorage } = require('./redaction.service');
+const { STATUSES, RESOLVED_STATUSES, MILESTONE_COLUMNS } = require('../utils/incidentStatus');
+const { createHttpError } = require('../utils/httpError');
+
+/**
+ * Statuses an incident may move to next, with the fields each one requires
+ * The workflow comes from config.incidentStatus (INCIDENT_STATUS_* settings)
+ *
+ * @param {string} status - Current status
+ * @returns {Array<{ status: string, requiredFields: string[] }>}
+ */
+function getAllowedTransitions(status) {
+  const { transitions, requiredFields } = config.incidentStatus;
+
+  return (transitions[status] || []).map(next => ({
+    status: next,
+    requiredFields: requiredFields[next] || [],
+  }));
+}
+
+/**
+ * SET clauses for the milestone timestamps and resolution note of a status change
+ *
+ * acknowledged_at, identified_at and monitoring_at keep the first time the
+ * incident reached them. resolved_at, postmortem_pending_at, closed_at and the
+ * resolution note only describe an incident that is over, so they are cleared
+ * whenever it moves back to any other status, e.g. when it is reopened.
+ *
+ * @param {string} status - New status
+ * @param {string|null} noteParam - Placeholder of the resolution note, e.g. '$5'
+ * @returns {string}
+ */
+function buildMilestoneUpdates(status, noteParam) {
+  if (!RESOLVED_STATUSES.includes(status)) {
+    const updates = ['resolved_at = NULL', 'postmortem_pending_at = NULL', 'closed_at = NULL', 'resolution_note = NULL'];
+    const column = MILESTONE_COLUMNS[status];
+    if (column) {
+      updates.push(`${column} = COALESCE(${column}, CURRENT_TIMESTAMP)`);
+    }
+    return updates.join(', ');
+  }
+
+  const updates = status === 'resolved'
+    ? ['resolved_at = CURRENT_TIMESTAMP', 'postmortem_pending_at = NULL']
+    : ['resolved_at = COALESCE(resolved_at, CURRENT_TIMESTAMP)'];
+
+  if (status === 'postmortem_pending') {
+    updates.push('postmortem_pending_at = CURRENT_TIMESTAMP');
+  }
+  updates.push(status === 'closed' ? 'closed_at = CURRENT_TIMESTAMP' : 'closed_at = NULL');
+
+  if (noteParam) {
+    updates.push(`resolution_note = COALESCE(${noteParam}, resolution_note)`);
+  }
+  return updates.join(', ');
+}
 
 /**
  * Update incident status
- * Automatically logs the status change in activity table
+ * Only moves along the configured workflow, and logs the change to the activity
+ * table as status_changed with { old_status, new_status }
+ *
+ * Each milestone status records when it was reached (see buildMilestoneUpdates).
  *
  * @param {number} id - Incident ID
- * @param {string} newStatus - New status: 'open', 'investigating', 'resolved', 'closed'
+ * @param {string} newStatus - One of STATUSES in utils/incidentStatus.js
  * @param {string} actorName - Name of person making the change (optional)
+ * @param {Object} [options]
+ * @param {number[]|null} [options.expectedVersions=null] - Only update if the incident is at one
+ *   of these versions (If-Match); otherwise fails with 412
+ * @param {string} [options.resolutionNote] - How the incident was resolved (stored on the incident)
+ * @param {string} [options.reason] - Why the status changed (recorded in the activity log)
  * @returns {Promise<Object>} - Updated incident
+ * @throws {Error} - 400 for an unknown status or missing required fields, 404 if not found,
+ *   409 with allowedStatuses when the workflow does not allow the change, 412 on a version conflict
  */
-async function updateStatus(id, newStatus, actorName = 'System') {
-  logger.info('Updating incident status', { id, newStatus, actorName });
-
-  // Validate status
-  const validStatuses = ['open', 'investigating', 'resolved', 'closed'];
-  if (!validStatuses.includes(newStatus.toLowerCase())) {
-    throw new Error(`Invalid status. Must be one of: ${validStatuses.join(', ')}`);
+async function updateStatus(id, newStatus, actorName = 'System', options = {}) {
+  const { expectedVersions = null } = options;
+  const status = String(newStatus).toLowerCase();
+  const notes = {
+    resolutionNote: options.resolutionNote?.trim() || null,
+    reason: options.reason?.trim() || null,
+  };
+
+  logger.info('Updating incident status', { id, status, actorName });
+
+  if (!STATUSES.includes(status)) {
+    throw createHttpError(400, `Invalid status. Must be one of: ${STATUSES.join(', ')}`);
   }
 
   try {
-    // Build update query based on status
-    let additionalUpdates = '';
-    if (newStatus === 'resolved') {
-      additionalUpdates = ', resolved_at = CURRENT_TIMESTAMP';
-    } else if (newStatus === 'closed') {
-      additionalUpdates = ', closed_at = CURRENT_TIMESTAMP';
+    const current = await db.query('SELECT status, version FROM incidents WHERE id = $1 AND deleted_at IS NULL', [id]);
+
+    if (current.rows.length === 0) {
+      throw createHttpError(404, `Incident with ID ${id} not found`);
+    }
+
+    const { status: currentStatus, version } = current.rows[0];
+
+    if (expectedVersions && !expectedVersions.includes(version)) {
+      throw await incidentsService.getUpdateConflictError(id);
+    }
+
+    const allowed = getAllowedTransitions(currentStatus);
+    const transition = allowed.find(next => next.status === status);
+
+    if (!transition) {
+      const allowedStatuses = allowed.map(next => next.status);
+      throw createHttpError(
+        409,
+        `Cannot change status from ${currentStatus} to ${status}. `
+          + `Allowed next statuses: ${allowedStatuses.join(', ') || 'none'}`,
+        { allowedStatuses }
+      );
+    }
+
+    const missing = transition.requiredFields.filter(field => !notes[field]);
+
+    if (missing.length > 0) {
+      throw createHttpError(
+        400,
+        `Changing the status to ${status} requires: ${missing.join(', ')}`,
+        { fields: Object.fromEntries(missing.map(field => [field, `is required when the status changes to ${status}`])) }
+      );
     }
 
+    const values = [status, id, currentStatus, expectedVersions];
+
+    // The resolution note is only kept while the incident is over
+    const storesNote = RESOLVED_STATUSES.includes(status) && notes.resolutionNote;
+    if (storesNote) {
+      values.push(redactForStorage(notes.resolutionNote));
+    }
+
+    // status = $3 makes sure the transition checked above is the one applied
     const query = `
       UPDATE incidents
-      SET status = $1 ${additionalUpdates}
+      SET status = $1, ${buildMilestoneUpdates(status, storesNote ? '$5' : null)}
       WHERE id = $2
+        AND status = $3
+        AND ($4::int[] IS NULL OR version = ANY($4::int[]))
       RETURNING *
     `;
 
-    const result = await db.query(query, [newStatus.toLowerCase(), id]);
+    const result = await db.query(query, values);
 
     if (result.rows.length === 0) {
-      throw new Error(`Incident with ID ${id} not found`);
+      // Someone changed the status in between: check the transition again against the new one
+      return updateStatus(id, newStatus, actorName, options);
+    }
+
+    // The time-in-phase analytics are computed from these entries
+    await logActivity(id, 'status_changed', actorName,
+      `${actorName} changed the status from ${currentStatus} to ${status}`,
+      { old_status: currentStatus, new_status: status });
+
+    if (notes.resolutionNote) {
+      await logActivity(id, 'resolution_note', actorName,
+        `${actorName} added a resolution note: ${redactForStorage(notes.resolutionNote)}`,
+        { status });
+    }
+
+    if (notes.reason) {
+      await logActivity(id, 'status_reason', actorName,
+        `${actorName} changed the status to ${status}: ${redactForStorage(notes.reason)}`,
+        { old_status: currentStatus, new_status: status });
     }
 
-    // The trigger will automatically log this to incident_activity table
-    logger.success('Incident status updated', { id, newStatus });
+    logger.success('Incident status updated', { id, from: currentStatus, to: status });
 
     return result.rows[0];
 
@@ -71,29 +200,59 @@ async function updateStatus(id, newStatus, actorName = 'System') {
  * @param {number} id - Incident ID
  * @param {string} assigneeName - Name of person to assign to
  * @param {string} actorName - Name of person making the assignment
+ * @param {Object} [options]
+ * @param {number[]|null} [options.expectedVersions=null] - Only assign if the incident is at one
+ *   of these versions (If-Match); otherwise fails with 412
  * @returns {Promise<Object>} - Updated incident
  */
-async function assignIncident(id, assigneeName, actorName = 'System') {
+async function assignIncident(id, assigneeName, actorName = 'System', { expectedVersions = null } = {}) {
   logger.info('Assigning incident', { id, assigneeName, actorName });
 
   try {
+    // Read the old assignee and write the new one in one statement, so the
+    // logged old assignee is the one that was actually replaced
     const query = `
-      UPDATE incidents
+      WITH previous AS (
+        SELECT id, assigned_to
+        FROM incidents
+        WHERE id = $2
+          AND deleted_at IS NULL
+          AND ($3::int[] IS NULL OR version = ANY($3::int[]))
+        FOR UPDATE
+      )
+      UPDATE incidents i
       SET assigned_to = $1
-      WHERE id = $2
-      RETURNING *
+      FROM previous
+      WHERE i.id = previous.id
+      RETURNING i.*, previous.assigned_to AS previous_assigned_to
     `;
 
-    const result = await db.query(query, [assigneeName, id]);
+    const result = await db.query(query, [assigneeName, id, expectedVersions]);
 
     if (result.rows.length === 0) {
-      throw new Error(`Incident with ID ${id} not found`);
+      throw await incidentsService.getUpdateConflictError(id);
+    }
+
+    const { previous_assigned_to: oldAssignee, ...incident } = result.rows[0];
+    const newAssignee = incident.assigned_to;
+
+    if (oldAssignee !== newAssignee) {
+      let description = `${actorName} reassigned the incident from ${oldAssignee} to ${newAssignee}`;
+      if (!newAssignee) {
+        description = `${actorName} unassigned the incident`;
+      } else if (!oldAssignee) {
+        description = `${actorName} assigned the incident to ${newAssignee}`;
+      }
+
+      await logActivity(id, 'assigned', actorName, description, {
+        old_assignee: oldAssignee,
+        new_assignee: newAssignee,
+      });
     }
 
-    // Trigger will automatically log the assignment
     logger.success('Incident assigned', { id, assigneeName });
 
-    return result.rows[0];
+    return incident;
 
   } catch (error) {
     logger.error('Failed to assign incident', {
@@ -121,18 +280,25 @@ async function addComment(incidentId, authorName, commentText) {
   }
 
   try {
+    // Archived incidents can't be commented on
     const commentQuery = `
       INSERT INTO incident_comments (incident_id, author_name, comment_text)
-      VALUES ($1, $2, $3)
+      SELECT id, $2, $3
+      FROM incidents
+      WHERE id = $1 AND deleted_at IS NULL
       RETURNING *
     `;
 
     const commentResult = await db.query(commentQuery, [
       incidentId,
       authorName,
-      commentText.trim(),
+      redactForStorage(commentText.trim()),
     ]);
 
+    if (commentResult.rows.length === 0) {
+      throw createHttpError(404, `Incident with ID ${incidentId} not found`);
+    }
+
     // Also log this as an activity
     const activityQuery = `
       INSERT INTO incident_activity (incident_id, activity_type, actor_name, description)
@@ -231,13 +397,14 @@ async function getActivity(incidentId) {
  * @param {string} filters.status - Filter by status
  * @param {string} filters.severity - Filter by severity
  * @param {string} filters.assignedTo - Filter by assignee
+ * @param {boolean} filters.archived - Search archived incidents instead of active ones
  * @returns {Promise<Array>} - Filtered incidents
  */
 async function searchIncidents(filters = {}) {
   logger.info('Searching incidents', { filters });
 
   try {
-    const conditions = [];
+    const conditions = [filters.archived ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL'];
     const values = [];
     let paramCount = 0;
 
@@ -269,10 +436,6 @@ async function searchIncidents(filters = {}) {
       values.push(filters.assignedTo);
     }
 
-    const whereClause = conditions.length > 0
-      ? `WHERE ${conditions.join(' AND ')}`
-      : '';
-
     const query = `
       SELECT
         id,
@@ -284,7 +447,7 @@ async function searchIncidents(filters = {}) {
         created_at,
         updated_at
       FROM incidents
-      ${whereClause}
+      WHERE ${conditions.join(' AND ')}
       ORDER BY created_at DESC
       LIMIT 100
     `;
@@ -306,6 +469,12 @@ async function searchIncidents(filters = {}) {
 
 /**
  * Get analytics overview
+ * Archived incidents are not counted
+ *
+ * byPhase is the time incidents spent in each status, from the status_changed
+ * activity: a phase starts with the previous status change (or the creation of
+ * the incident) and ends with the next one. Phases still in progress are not
+ * counted.
  *
  * @returns {Promise<Object>} - Analytics data
  */
@@ -317,6 +486,7 @@ async function getAnalytics() {
     const statusQuery = `
       SELECT status, COUNT(*) as count
       FROM incidents
+      WHERE deleted_at IS NULL
       GROUP BY status
     `;
 
@@ -324,6 +494,7 @@ async function getAnalytics() {
     const severityQuery = `
       SELECT severity, COUNT(*) as count
       FROM incidents
+      WHERE deleted_at IS NULL
       GROUP BY severity
     `;
 
@@ -335,17 +506,49 @@ async function getAnalytics() {
         COUNT(CASE WHEN status = 'resolved' THEN 1 END) as resolved_count,
         COUNT(CASE WHEN resolved_at IS NOT NULL THEN 1 END) as total_resolved
       FROM incidents
+      WHERE deleted_at IS NULL
     `;
 
-    const [statusResult, severityResult, totalResult] = await Promise.all([
+    // Time spent in each status, in seconds
+    const phaseQuery = `
+      WITH phases AS (
+        SELECT
+          a.metadata->>'old_status' AS status,
+          EXTRACT(EPOCH FROM a.created_at - COALESCE(
+            LAG(a.created_at) OVER (PARTITION BY a.incident_id ORDER BY a.created_at, a.id),
+            i.created_at
+          )) AS seconds
+        FROM incident_activity a
+        JOIN incidents i ON i.id = a.incident_id
+        WHERE a.activity_type = 'status_changed'
+          AND i.deleted_at IS NULL
+      )
+      SELECT
+        status,
+        COUNT(*) as count,
+        ROUND(AVG(seconds)) as avg_seconds,
+        ROUND(PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY seconds)::numeric) as median_seconds,
+        ROUND(SUM(seconds)) as total_seconds
+      FROM phases
+      GROUP BY status
+    `;
+
+    const [statusResult, severityResult, totalResult, phaseResult] = await Promise.all([
       db.query(statusQuery),
       db.query(severityQuery),
       db.query(totalQuery),
+      db.query(phaseQuery),
     ]);
 
+    // In workflow order rather than alphabetically
+    const byPhase = phaseResult.rows
+      .slice()
+      .sort((a, b) => STATUSES.indexOf(a.status) - STATUSES.indexOf(b.status));
+
     const analytics = {
       byStatus: statusResult.rows,
       bySeverity: severityResult.rows,
+      byPhase,
       totals: totalResult.rows[0],
       timestamp: new Date().toISOString(),
     };
@@ -361,6 +564,7 @@ async function getAnalytics() {
 }
 
 module.exports = {
+  getAllowedTransitions,
   updateStatus,
   assignIncident,
   addComment,
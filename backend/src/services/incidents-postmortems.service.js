@@ -0,0 +1,499 @@
+/**
+ * Incidents Postmortems Service
+ *
+ * Purpose: AI-drafted, editable postmortem documents with revisions
+ * Used by: incidents-postmortems.controller.js
+ *
+ * Flow:
+ * 1. Once an incident is resolved or closed, the description, current AI
+ *    analysis, comments, activity timeline and tracked action items are
+ *    redacted and sent to the model, which returns the sections of a
+ *    blameless postmortem as JSON
+ * 2. The sections are validated, gaps are filled from the incident's own
+ *    records (timeline, action items) and rendered to Markdown
+ * 3. Each draft and each manual edit is stored as a new revision in
+ *    incident_postmortem_revisions; the highest revision is the current one
+ *
+ * Like analysis, drafting falls back to a draft built only from the incident
+ * records when the provider fails, the budget is spent, or no model is configured.
+ */
+
+const db = require('../db');
+const logger = require('../config/logger');
+const providers = require('./providers');
+const aiUsageService = require('./ai-usage.service');
+const incidentsService = require('./incidents.service');
+const managementService = require('./incidents-management.service');
+const actionItemsService = require('./incidents-action-items.service');
+const { logActivity } = require('./incidents-activity.service');
+const { redactForPrompt } = require('./redaction.service');
+const { validateObject } = require('../utils/analysisSchema');
+const { createHttpError } = require('../utils/httpError');
+const { RESOLVED_STATUSES } = require('../utils/incidentStatus');
+
+// Postmortems are written once the incident is over
+const POSTMORTEM_STATUSES = RESOLVED_STATUSES;
+
+const MAX_DRAFT_TOKENS = 2000;
+
+const TIMELINE_ENTRY_SCHEMA = {
+  time: { type: 'string', required: true },
+  event: { type: 'string', required: true },
+};
+
+const POSTMORTEM_ACTION_SCHEMA = {
+  action: { type: 'string', required: true },
+  owner: { type: 'string', default: null },
+  status: { type: 'string', enum: ['open', 'done'], default: 'open' },
+};
+
+// Columns for revision lists (without the document itself)
+const REVISION_SUMMARY_COLUMNS = 'id, incident_id, revision, source, provider, model, created_by, created_at';
+
+const SYSTEM_PROMPT = `You are an experienced SRE writing a blameless postmortem.
+Describe what happened to systems and processes, never who was at fault; refer to people by role.
+Base every statement on the incident record you are given and do not invent facts, numbers or times.
+Respond with a JSON object with exactly these fields:
+{
+  "summary": "2-4 sentences: what happened and how it was resolved",
+  "impact": "Who and what was affected, for how long, and how badly",
+  "timeline": [{ "time": "ISO 8601 timestamp from the record", "event": "What happened" }],
+  "rootCause": "The underlying cause and the conditions that allowed it",
+  "whatWentWell": ["Things that helped detection, response or recovery"],
+  "actionItems": [{ "action": "Follow-up to prevent recurrence", "owner": "Team or role, or null", "status": "open or done" }]
+}`;
+
+/**
+ * Human-readable duration between two timestamps, e.g. "2h 15m"
+ */
+function formatDuration(from, to) {
+  const minutes = Math.max(0, Math.round((new Date(to) - new Date(from)) / 60000));
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const parts = [];
+
+  if (days) parts.push(`${days}d`);
+  if (hours) parts.push(`${hours}h`);
+  parts.push(`${minutes % 60}m`);
+
+  return parts.join(' ');
+}
+
+/**
+ * Timeline built from the incident records, oldest first
+ *
+ * @param {Object} incident - Incident row
+ * @param {Array} activity - Rows from incident_activity, newest first
+ * @returns {Array<{ time: string, event: string }>}
+ */
+function buildRecordedTimeline(incident, activity = []) {
+  return [
+    { time: new Date(incident.created_at).toISOString(), event: `Incident reported: ${incident.title}` },
+    ...[...activity].reverse().map(entry => ({
+      time: new Date(entry.created_at).toISOString(),
+      event: entry.description,
+    })),
+  ];
+}
+
+/**
+ * Postmortem sections built only from the incident records
+ * Used when no model is available; also fills sections a model left empty
+ *
+ * @param {Object} context - { incident, activity, actionItems }
+ * @returns {Object} - Postmortem sections
+ */
+function buildRecordedSections({ incident, activity = [], actionItems = [] }) {
+  const topCause = incident.ai_root_causes?.[0];
+  const endedAt = incident.resolved_at || new Date();
+
+  return {
+    summary: incident.ai_summary || incident.title,
+    impact: `${incident.severity} severity incident, open for ${formatDuration(incident.created_at, endedAt)}.`,
+    timeline: buildRecordedTimeline(incident, activity),
+    rootCause: topCause
+      ? [topCause.cause, topCause.reasoning].filter(Boolean).join(' ')
+      : 'Not yet determined.',
+    whatWentWell: [],
+    actionItems: actionItems.map(item => ({
+      action: item.action,
+      owner: item.owner || null,
+      status: item.status,
+    })),
+  };
+}
+
+/**
+ * Validate the sections returned by a model
+ * Empty or invalid sections are taken from the recorded sections
+ *
+ * @param {Object} raw - Parsed model output
+ * @param {Object} recorded - Result of buildRecordedSections
+ * @returns {Object} - Postmortem sections
+ */
+function normalizeSections(raw, recorded) {
+  const text = value => (typeof value === 'string' && value.trim() ? value.trim() : null);
+  const list = (value, schema) => (Array.isArray(value) ? value : [])
+    .map(item => validateObject(schema, item))
+    .filter(Boolean);
+
+  const timeline = list(raw.timeline, TIMELINE_ENTRY_SCHEMA);
+  const actionItems = list(raw.actionItems, POSTMORTEM_ACTION_SCHEMA);
+
+  return {
+    summary: text(raw.summary) || recorded.summary,
+    impact: text(raw.impact) || recorded.impact,
+    timeline: timeline.length > 0 ? timeline : recorded.timeline,
+    rootCause: text(raw.rootCause) || recorded.rootCause,
+    whatWentWell: Array.isArray(raw.whatWentWell)
+      ? raw.whatWentWell.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim())
+      : [],
+    actionItems: actionItems.length > 0 ? actionItems : recorded.actionItems,
+  };
+}
+
+/**
+ * Render postmortem sections as a Markdown document
+ *
+ * @param {Object} incident - Incident row
+ * @param {Object} sections - Postmortem sections
+ * @returns {string}
+ */
+function renderMarkdown(incident, sections) {
+  const lines = [
+    `# Postmortem: ${incident.title}`,
+    '',
+    `**Incident:** #${incident.id} · **Severity:** ${incident.severity} · **Status:** ${incident.status}`,
+    `**Reported:** ${new Date(incident.created_at).toISOString()}` +
+      (incident.resolved_at
+        ? ` · **Resolved:** ${new Date(incident.resolved_at).toISOString()}` +
+          ` · **Duration:** ${formatDuration(incident.created_at, incident.resolved_at)}`
+        : ''),
+    '',
+    '## Summary',
+    '',
+    sections.summary,
+    '',
+    '## Impact',
+    '',
+    sections.impact,
+    '',
+    '## Timeline',
+    '',
+    ...sections.timeline.map(entry => `- **${entry.time}** — ${entry.event}`),
+    '',
+    '## Root Cause',
+    '',
+    sections.rootCause,
+    '',
+    '## What Went Well',
+    '',
+    ...(sections.whatWentWell.length > 0
+      ? sections.whatWentWell.map(item => `- ${item}`)
+      : ['_To be completed by the team._']),
+    '',
+    '## Action Items',
+    '',
+    ...(sections.actionItems.length > 0
+      ? sections.actionItems.map(item =>
+          `- [${item.status === 'done' ? 'x' : ' '}] ${item.action}${item.owner ? ` (${item.owner})` : ''}`
+        )
+      : ['_None recorded._']),
+    '',
+  ];
+
+  return lines.join('\n');
+}
+
+/**
+ * Render the incident record as the user prompt
+ */
+function buildDraftPrompt({ incident, comments, activity, actionItems }) {
+  const sections = [
+    `INCIDENT #${incident.id}: ${incident.title}`,
+    `Severity: ${incident.severity} | Status: ${incident.status}`,
+    `Reported: ${new Date(incident.created_at).toISOString()}` +
+      (incident.resolved_at ? ` | Resolved: ${new Date(incident.resolved_at).toISOString()}` : ''),
+    `\nDESCRIPTION:\n${incident.description}`,
+  ];
+
+  if (incident.ai_summary) {
+    const causes = (incident.ai_root_causes || [])
+      .map(cause => `- (${cause.likelihood}) ${cause.cause}${cause.reasoning ? ` — ${cause.reasoning}` : ''}`);
+    sections.push(`\nAI ANALYSIS:\nSummary: ${incident.ai_summary}\nRoot causes:\n${causes.join('\n')}`);
+  }
+
+  if (comments.length > 0) {
+    const lines = comments.map(comment =>
+      `[${new Date(comment.created_at).toISOString()}] ${comment.author_name}: ${comment.comment_text}`
+    );
+    sections.push(`\nFOLLOW-UP NOTES (oldest first):\n${lines.join('\n')}`);
+  }
+
+  const timeline = buildRecordedTimeline(incident, activity).map(entry => `[${entry.time}] ${entry.event}`);
+  sections.push(`\nACTIVITY TIMELINE (oldest first):\n${timeline.join('\n')}`);
+
+  if (actionItems.length > 0) {
+    const lines = actionItems.map(item => `- [${item.status}] ${item.action}${item.owner ? ` (owner: ${item.owner})` : ''}`);
+    sections.push(`\nTRACKED ACTION ITEMS:\n${lines.join('\n')}`);
+  }
+
+  return redactForPrompt(sections.join('\n'));
+}
+
+/**
+ * Ask the configured provider for postmortem sections
+ * Falls back to the recorded sections, like analysis falls back to heuristics
+ *
+ * @returns {Promise<{ sections, provider, model, usage, metadata }>}
+ */
+async function draftSections(context) {
+  const recorded = buildRecordedSections(context);
+  const { incident } = context;
+  const provider = providers.getProvider();
+
+  const fallback = (reason) => ({
+    sections: recorded,
+    provider: 'heuristic',
+    model: null,
+    usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 },
+    metadata: { fallbackMode: true, fallbackReason: reason },
+  });
+
+  if (provider.name === 'heuristic') {
+    return fallback('No language model is configured');
+  }
+
+  const budget = await aiUsageService.checkBudget();
+
+  if (budget.exceeded) {
+    logger.warn('Monthly AI budget exceeded, drafting postmortem from records only', { incidentId: incident.id });
+    return fallback(budget.reason);
+  }
+
+  try {
+    const { content, usage, model } = await provider.complete({
+      messages: [
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user', content: buildDraftPrompt(context) },
+      ],
+      maxTokens: MAX_DRAFT_TOKENS,
+      temperature: 0.3,
+      json: true,
+    });
+
+    const costUsd = await aiUsageService.recordUsage({
+      incidentId: incident.id,
+      purpose: 'postmortem',
+      severity: incident.severity,
+      provider: provider.name,
+      model,
+      usage,
+    });
+
+    return {
+      sections: normalizeSections(JSON.parse(content), recorded),
+      provider: provider.name,
+      model,
+      usage,
+      metadata: { fallbackMode: false, costUsd },
+    };
+
+  } catch (error) {
+    logger.error('Failed to draft postmortem, using records only', {
+      error: error.message,
+      provider: provider.name,
+      incidentId: incident.id,
+    });
+    return fallback(error.message);
+  }
+}
+
+/**
+ * Load an incident or fail with 404
+ */
+async function requireIncident(incidentId) {
+  const incident = await incidentsService.getIncidentById(incidentId);
+
+  if (!incident) {
+    throw createHttpError(404, `Incident with ID ${incidentId} not found`);
+  }
+
+  return incident;
+}
+
+/**
+ * Store a new revision
+ */
+async function insertRevision(incidentId, fields) {
+  const query = `
+    INSERT INTO incident_postmortem_revisions (
+      incident_id, revision, content, sections, source, provider, model,
+      prompt_tokens, completion_tokens, metadata, created_by
+    )
+    SELECT $1, COALESCE(MAX(revision), 0) + 1, $2, $3, $4, $5, $6, $7, $8, $9, $10
+    FROM incident_postmortem_revisions
+    WHERE incident_id = $1
+    RETURNING *
+  `;
+
+  const result = await db.query(query, [
+    incidentId,
+    fields.content,
+    fields.sections ? JSON.stringify(fields.sections) : null,
+    fields.source,
+    fields.provider || null,
+    fields.model || null,
+    fields.usage?.promptTokens || 0,
+    fields.usage?.completionTokens || 0,
+    JSON.stringify(fields.metadata || {}),
+    fields.createdBy,
+  ]);
+
+  return result.rows[0];
+}
+
+/**
+ * Draft a postmortem with the AI and store it as a new revision
+ *
+ * @param {number} incidentId - Incident ID
+ * @param {string} [actorName='System'] - Who asked for the draft
+ * @returns {Promise<Object>} - The new revision
+ */
+async function draftPostmortem(incidentId, actorName = 'System') {
+  logger.info('Drafting postmortem', { incidentId, actorName });
+
+  const incident = await requireIncident(incidentId);
+
+  if (!POSTMORTEM_STATUSES.includes(incident.status)) {
+    throw createHttpError(
+      409,
+      `Postmortems can only be drafted for ${POSTMORTEM_STATUSES.join(', ')} incidents (this one is ${incident.status})`
+    );
+  }
+
+  const [comments, activity, actionItems] = await Promise.all([
+    managementService.getComments(incidentId),
+    managementService.getActivity(incidentId),
+    actionItemsService.listActionItems(incidentId),
+  ]);
+
+  const draft = await draftSections({ incident, comments, activity, actionItems });
+
+  const revision = await insertRevision(incidentId, {
+    content: renderMarkdown(incident, draft.sections),
+    sections: draft.sections,
+    source: 'draft',
+    provider: draft.provider,
+    model: draft.model,
+    usage: draft.usage,
+    metadata: draft.metadata,
+    createdBy: actorName,
+  });
+
+  await logActivity(
+    incidentId,
+    'postmortem_drafted',
+    actorName,
+    `Postmortem revision ${revision.revision} drafted`,
+    { revision: revision.revision, provider: draft.provider }
+  );
+
+  logger.success('Postmortem drafted', { incidentId, revision: revision.revision, provider: draft.provider });
+
+  return revision;
+}
+
+/**
+ * Save an edited postmortem as a new revision
+ *
+ * @param {number} incidentId - Incident ID
+ * @param {string} content - The full document as Markdown
+ * @param {string} [actorName='System'] - Who edited it
+ * @returns {Promise<Object>} - The new revision
+ */
+async function savePostmortem(incidentId, content, actorName = 'System') {
+  logger.info('Saving postmortem edit', { incidentId, actorName });
+
+  if (typeof content !== 'string' || !content.trim()) {
+    throw createHttpError(400, 'Postmortem content cannot be empty');
+  }
+
+  await requireIncident(incidentId);
+
+  const revision = await insertRevision(incidentId, {
+    content: content.trim() + '\n',
+    source: 'edit',
+    createdBy: actorName,
+  });
+
+  await logActivity(
+    incidentId,
+    'postmortem_edited',
+    actorName,
+    `${actorName} saved postmortem revision ${revision.revision}`,
+    { revision: revision.revision }
+  );
+
+  return revision;
+}
+
+/**
+ * Get the current revision, or a specific one
+ *
+ * @param {number} incidentId - Incident ID
+ * @param {number} [revision] - Revision number; the latest when omitted
+ * @returns {Promise<Object>}
+ */
+async function getPostmortem(incidentId, revision) {
+  await requireIncident(incidentId);
+
+  const result = revision
+    ? await db.query(
+        'SELECT * FROM incident_postmortem_revisions WHERE incident_id = $1 AND revision = $2',
+        [incidentId, revision]
+      )
+    : await db.query(
+        'SELECT * FROM incident_postmortem_revisions WHERE incident_id = $1 ORDER BY revision DESC LIMIT 1',
+        [incidentId]
+      );
+
+  if (result.rows.length === 0) {
+    throw createHttpError(404, revision
+      ? `Postmortem revision ${revision} not found for incident ${incidentId}`
+      : `Incident ${incidentId} has no postmortem yet`);
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * List the revisions of a postmortem (newest first, without content)
+ *
+ * @param {number} incidentId - Incident ID
+ * @returns {Promise<Array>}
+ */
+async function listRevisions(incidentId) {
+  await requireIncident(incidentId);
+
+  const result = await db.query(
+    `SELECT ${REVISION_SUMMARY_COLUMNS}
+     FROM incident_postmortem_revisions
+     WHERE incident_id = $1
+     ORDER BY revision DESC`,
+    [incidentId]
+  );
+
+  return result.rows;
+}
+
+module.exports = {
+  POSTMORTEM_STATUSES,
+  buildRecordedSections,
+  normalizeSections,
+  renderMarkdown,
+  draftPostmortem,
+  savePostmortem,
+  getPostmortem,
+  listRevisions,
+};
@@ -0,0 +1,206 @@
+/**
+ * Incidents Severity Service
+ *
+ * Purpose: Reconciles the reported severity of an incident with the severity
+ *          suggested by its AI analysis
+ * Used by: incidents-analysis.service.js (after every recorded analysis) and
+ *          incidents-severity.controller.js (accepting / dismissing a suggestion)
+ *
+ * The active analysis' suggestion is kept in incidents.ai_suggested_severity.
+ * What happens when it ranks above the reported severity depends on
+ * SEVERITY_POLICY (config.severityPolicy):
+ *
+ * - ignore:        nothing
+ * - suggest:       the incident carries a pending suggestion, shown as a banner
+ *                  that can be accepted or dismissed
+ * - auto-escalate: the severity is raised right away and the change is logged
+ *
+ * Suggestions to lower the severity are never applied automatically.
+ */
+
+const db = require('../db');
+const config = require('../config/env');
+const logger = require('../config/logger');
+const incidentsService = require('./incidents.service');
+const { logActivity } = require('./incidents-activity.service');
+const { isMoreSevere } = require('../utils/severity');
+const { createHttpError } = require('../utils/httpError');
+
+// Actor recorded for changes made on the AI's behalf
+const AI_ACTOR = 'AI';
+
+/**
+ * Whether the AI suggests raising the incident's severity
+ *
+ * @param {Object} incident - Row with severity and ai_suggested_severity
+ * @returns {boolean}
+ */
+function hasEscalation(incident) {
+  return Boolean(incident.ai_suggested_severity) && isMoreSevere(incident.ai_suggested_severity, incident.severity);
+}
+
+/**
+ * The suggestion to show with an incident, if any
+ * Only the 'suggest' policy shows suggestions; 'auto-escalate' has already applied them
+ *
+ * @param {Object} incident - Row with severity, ai_suggested_severity and ai_metadata
+ * @returns {{ severity: string, justification: string|null }|null}
+ */
+function getSeveritySuggestion(incident) {
+  if (config.severityPolicy !== 'suggest' || !hasEscalation(incident)) {
+    return null;
+  }
+
+  return {
+    severity: incident.ai_suggested_severity,
+    justification: incident.ai_metadata?.severityJustification || null,
+  };
+}
+
+/**
+ * Raise an incident's severity and log who did it
+ * Only applies while the severity is still the one the change was based on
+ *
+ * @returns {Promise<Object|null>} - Updated incident, or null if it changed meanwhile
+ */
+async function raiseSeverity(incident, actorName, description, metadata) {
+  const result = await db.query(
+    `UPDATE incidents
+     SET severity = $2
+     WHERE id = $1 AND severity = $3
+     RETURNING *`,
+    [incident.id, incident.ai_suggested_severity, incident.severity]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  await logActivity(incident.id, 'severity_changed', actorName, description, {
+    from: incident.severity,
+    to: incident.ai_suggested_severity,
+    ...metadata,
+  });
+
+  return result.rows[0];
+}
+
+/**
+ * Apply the severity policy after a new analysis was recorded
+ *
+ * @param {Object} incident - Updated incident row (with ai_suggested_severity)
+ * @returns {Promise<Object>} - The incident, escalated when the policy says so
+ */
+async function reconcileSeverity(incident) {
+  if (config.severityPolicy === 'ignore' || !hasEscalation(incident)) {
+    return incident;
+  }
+
+  const { severity: from, ai_suggested_severity: to } = incident;
+
+  if (config.severityPolicy === 'suggest') {
+    await logActivity(
+      incident.id,
+      'severity_suggested',
+      AI_ACTOR,
+      `AI suggests raising severity from ${from} to ${to}`,
+      { from, to }
+    );
+    return incident;
+  }
+
+  const escalated = await raiseSeverity(
+    incident,
+    AI_ACTOR,
+    `Severity automatically raised from ${from} to ${to} based on the AI analysis`,
+    { policy: 'auto-escalate', justification: incident.ai_metadata?.severityJustification || null }
+  );
+
+  if (!escalated) {
+    return incident;
+  }
+
+  logger.warn('Incident severity escalated by AI analysis', { id: incident.id, from, to });
+
+  return { ...incident, ...escalated };
+}
+
+/**
+ * Load an incident with a pending escalation, or fail
+ */
+async function requireSuggestion(incidentId) {
+  const incident = await incidentsService.getIncidentById(incidentId);
+
+  if (!incident) {
+    throw createHttpError(404, `Incident with ID ${incidentId} not found`);
+  }
+
+  if (!hasEscalation(incident)) {
+    throw createHttpError(409, 'This incident has no pending severity suggestion');
+  }
+
+  return incident;
+}
+
+/**
+ * Raise the severity to the AI's suggestion
+ *
+ * @param {number} incidentId - Incident ID
+ * @param {string} [actorName='Anonymous'] - Who accepted it
+ * @returns {Promise<Object>} - Updated incident
+ */
+async function acceptSuggestion(incidentId, actorName = 'Anonymous') {
+  const incident = await requireSuggestion(incidentId);
+  const { severity: from, ai_suggested_severity: to } = incident;
+
+  const updated = await raiseSeverity(
+    incident,
+    actorName,
+    `${actorName} raised severity from ${from} to ${to} as suggested by the AI`,
+    { policy: 'suggest' }
+  );
+
+  if (!updated) {
+    throw createHttpError(409, 'The severity changed meanwhile; reload the incident');
+  }
+
+  logger.info('Severity suggestion accepted', { id: incidentId, from, to, actorName });
+
+  return updated;
+}
+
+/**
+ * Dismiss the AI's severity suggestion until the next analysis
+ *
+ * @param {number} incidentId - Incident ID
+ * @param {string} [actorName='Anonymous'] - Who dismissed it
+ * @returns {Promise<Object>} - Updated incident
+ */
+async function dismissSuggestion(incidentId, actorName = 'Anonymous') {
+  const incident = await requireSuggestion(incidentId);
+
+  const result = await db.query(
+    `UPDATE incidents
+     SET ai_suggested_severity = NULL
+     WHERE id = $1
+     RETURNING *`,
+    [incidentId]
+  );
+
+  await logActivity(
+    incident.id,
+    'severity_suggestion_dismissed',
+    actorName,
+    `${actorName} kept severity ${incident.severity} instead of the suggested ${incident.ai_suggested_severity}`,
+    { severity: incident.severity, suggested: incident.ai_suggested_severity }
+  );
+
+  return result.rows[0];
+}
+
+module.exports = {
+  getSeveritySuggestion,
+  reconcileSeverity,
+  acceptSuggestion,
+  dismissSuggestion,
+};
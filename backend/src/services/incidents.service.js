@@ -10,29 +10,33 @@
  *
  * Flow for creating an incident:
  * 1. Validate input data
- * 2. Call AI service to generate analysis
- * 3. Save incident + AI analysis to database
- * 4. Return complete incident object
+ * 2. Save incident (analysis_status = 'pending') and queue an analysis job
+ * 3. Return the incident immediately
+ * 4. The analysis worker fills in the AI fields later (see workers/analysis.worker.js
+ *    and incidents-analysis.service.js)
  */
 
 const db = require('../db');
-const aiService = require('./ai.service');
+const config = require('../config/env');
 const logger = require('../config/logger');
+const { redactForStorage } = require('./redaction.service');
+const { SEVERITIES } = require('../utils/severity');
+const { createHttpError } = require('../utils/httpError');
+const { createVersionConflictError } = require('../utils/etag');
 
 /**
- * Create a new incident with AI analysis
+ * Create a new incident and queue it for AI analysis
  *
  * @param {Object} incidentData - Incident details from user
  * @param {string} incidentData.title - Incident title
- * @param {string} incidentData.severity - Severity: 'low', 'medium', or 'high'
+ * @param {string} incidentData.severity - Severity: 'low', 'medium', 'high', or 'critical'
  * @param {string} incidentData.description - Full description with error logs
- * @returns {Promise<Object>} - Complete incident object with AI fields
+ * @returns {Promise<Object>} - Created incident (AI fields are filled in later)
  *
  * This is the main function that:
  * 1. Validates the input
- * 2. Calls OpenAI to generate analysis
- * 3. Saves everything to the database
- * 4. Returns the created incident
+ * 2. Saves the incident and its analysis job in a single statement
+ * 3. Returns the created incident without waiting for the AI
  */
 async function createIncident(incidentData) {
   const { title, severity, description } = incidentData;
@@ -43,64 +47,47 @@ async function createIncident(incidentData) {
   }
 
   // Validate severity value
-  const validSeverities = ['low', 'medium', 'high'];
-  if (!validSeverities.includes(severity.toLowerCase())) {
-    throw new Error(`Invalid severity. Must be one of: ${validSeverities.join(', ')}`);
+  if (!SEVERITIES.includes(severity.toLowerCase())) {
+    throw new Error(`Invalid severity. Must be one of: ${SEVERITIES.join(', ')}`);
   }
 
   logger.info('Creating new incident', { title, severity });
 
   try {
-    // Step 1: Generate AI analysis
-    // This calls OpenAI and gets back summary, root causes, and customer message
-    const aiAnalysis = await aiService.generateIncidentAnalysis({
-      title,
-      severity,
-      description,
-    });
-
-    logger.debug('AI analysis received', {
-      summary: aiAnalysis.summary,
-      rootCausesCount: aiAnalysis.rootCauses.length,
-    });
-
-    // Step 2: Save to database with enhanced AI metadata
+    // Insert the incident and its analysis job atomically, so an incident
+    // can never be left 'pending' without a job to process it
     // We use parameterized query ($1, $2, etc.) to prevent SQL injection
     const query = `
-      INSERT INTO incidents (
-        title,
-        severity,
-        description,
-        ai_summary,
-        ai_root_causes,
-        ai_customer_message,
-        ai_action_items,
-        ai_metadata,
-        status
+      WITH new_incident AS (
+        INSERT INTO incidents (
+          title,
+          severity,
+          description,
+          status,
+          analysis_status
+        )
+        VALUES ($1, $2, $3, 'open', 'pending')
+        RETURNING *
+      ),
+      new_job AS (
+        INSERT INTO analysis_jobs (incident_id, max_attempts)
+        SELECT id, $4 FROM new_incident
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-      RETURNING *
+      SELECT * FROM new_incident
     `;
 
+    // With REDACTION_STORE_REDACTED=true secrets never reach the database either
     const values = [
-      title,
+      redactForStorage(title),
       severity.toLowerCase(),
-      description,
-      aiAnalysis.summary,
-      JSON.stringify(aiAnalysis.rootCauses), // Convert array to JSON for JSONB column
-      aiAnalysis.customerMessage,
-      JSON.stringify(aiAnalysis.actionItems || []),
-      JSON.stringify(aiAnalysis.metadata || {}), // Store enhanced metadata
-      'open', // Initial status
+      redactForStorage(description),
+      config.analysisWorker.maxAttempts,
     ];
 
     const result = await db.query(query, values);
     const incident = result.rows[0];
 
-    // PostgreSQL JSONB column already returns the data as an object/array
-    // No need to parse it - it's already in the correct format
-
-    logger.success('Incident created successfully', {
+    logger.success('Incident created, analysis queued', {
       id: incident.id,
       title: incident.title,
     });
@@ -116,12 +103,31 @@ async function createIncident(incidentData) {
   }
 }
 
+/**
+ * Update the analysis progress of an incident
+ *
+ * @param {number} id - Incident ID
+ * @param {string} analysisStatus - 'pending', 'running', 'done', or 'failed'
+ */
+async function setAnalysisStatus(id, analysisStatus) {
+  const query = `
+    UPDATE incidents
+    SET analysis_status = $1
+    WHERE id = $2
+  `;
+
+  await db.query(query, [analysisStatus, id]);
+}
+
 /**
  * Get all incidents, sorted by most recent first
+ * Archived incidents are left out unless options.archived is set
  *
  * @param {Object} options - Query options
  * @param {number} options.limit - Maximum number of incidents to return (default: 100)
  * @param {number} options.offset - Number of incidents to skip for pagination (default: 0)
+ * @param {boolean} options.archived - Only list archived incidents, most recently archived
+ *   first, with deleted_at, deleted_by and purgeable_at (default: false)
  * @returns {Promise<Array>} - Array of incident objects
  *
  * Example usage:
@@ -130,8 +136,9 @@ async function createIncident(incidentData) {
 async function getAllIncidents(options = {}) {
   const limit = options.limit || 100;
   const offset = options.offset || 0;
+  const archived = Boolean(options.archived);
 
-  logger.info('Fetching all incidents', { limit, offset });
+  logger.info('Fetching all incidents', { limit, offset, archived });
 
   try {
     const query = `
@@ -142,6 +149,8 @@ async function getAllIncidents(options = {}) {
         status,
         assigned_to,
         description,
+        analysis_status,
+        active_analysis_id,
         ai_summary,
         ai_root_causes,
         ai_customer_message,
@@ -150,13 +159,20 @@ async function getAllIncidents(options = {}) {
         created_at,
         updated_at,
         resolved_at,
-        closed_at
+        closed_at${archived ? `,
+        deleted_at,
+        deleted_by,
+        deleted_at + make_interval(days => $3) AS purgeable_at` : ''}
       FROM incidents
-      ORDER BY created_at DESC
+      WHERE ${archived ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL'}
+      ORDER BY ${archived ? 'deleted_at' : 'created_at'} DESC
       LIMIT $1 OFFSET $2
     `;
 
-    const result = await db.query(query, [limit, offset]);
+    const values = archived
+      ? [limit, offset, config.incidentArchive.retentionDays]
+      : [limit, offset];
+    const result = await db.query(query, values);
 
     // Parse JSONB fields for each incident
     const incidents = result.rows.map(incident => ({
@@ -178,7 +194,7 @@ async function getAllIncidents(options = {}) {
  * Get a single incident by ID
  *
  * @param {number} id - Incident ID
- * @returns {Promise<Object|null>} - Incident object or null if not found
+ * @returns {Promise<Object|null>} - Incident object or null if not found or archived
  *
  * Example usage:
  *   const incident = await getIncidentById(5);
@@ -198,17 +214,24 @@ async function getIncidentById(id) {
         status,
         assigned_to,
         description,
+        analysis_status,
+        active_analysis_id,
         ai_summary,
         ai_root_causes,
         ai_customer_message,
         ai_action_items,
         ai_metadata,
+        ai_suggested_severity,
+        public_title,
+        affected_components,
+        version,
         created_at,
         updated_at,
         resolved_at,
         closed_at
       FROM incidents
       WHERE id = $1
+        AND deleted_at IS NULL
     `;
 
     const result = await db.query(query, [id]);
@@ -237,7 +260,7 @@ async function getIncidentById(id) {
  * Get incidents by severity
  * Useful for filtering high-priority incidents
  *
- * @param {string} severity - Severity level: 'low', 'medium', or 'high'
+ * @param {string} severity - Severity level: 'low', 'medium', 'high', or 'critical'
  * @returns {Promise<Array>} - Array of incidents matching severity
  */
 async function getIncidentsBySeverity(severity) {
@@ -257,6 +280,7 @@ async function getIncidentsBySeverity(severity) {
         updated_at
       FROM incidents
       WHERE severity = $1
+        AND deleted_at IS NULL
       ORDER BY created_at DESC
     `;
 
@@ -281,46 +305,26 @@ async function getIncidentsBySeverity(severity) {
 }
 
 /**
- * Delete an incident by ID
- * This will cascade delete all related comments and activity (due to ON DELETE CASCADE)
+ * Explain why an update limited to certain versions (If-Match) changed no row
  *
  * @param {number} id - Incident ID
- * @returns {Promise<boolean>} - True if deleted successfully
+ * @returns {Promise<Error>} - 404 if the incident does not exist or is archived, otherwise 412
+ *   with its current version
  */
-async function deleteIncident(id) {
-  logger.info('Deleting incident', { id });
-
-  try {
-    const query = `
-      DELETE FROM incidents
-      WHERE id = $1
-      RETURNING id
-    `;
-
-    const result = await db.query(query, [id]);
+async function getUpdateConflictError(id) {
+  const result = await db.query('SELECT version FROM incidents WHERE id = $1 AND deleted_at IS NULL', [id]);
 
-    if (result.rows.length === 0) {
-      throw new Error(`Incident with ID ${id} not found`);
-    }
-
-    logger.success('Incident deleted successfully', { id });
-
-    return true;
-
-  } catch (error) {
-    logger.error('Failed to delete incident', {
-      error: error.message,
-      id,
-    });
-    throw error;
-  }
+  return result.rows.length === 0
+    ? createHttpError(404, `Incident with ID ${id} not found`)
+    : createVersionConflictError(id, result.rows[0].version);
 }
 
 // Export all service functions
 module.exports = {
   createIncident,
+  setAnalysisStatus,
   getAllIncidents,
   getIncidentById,
   getIncidentsBySeverity,
-  deleteIncident,
+  getUpdateConflictError,
 };
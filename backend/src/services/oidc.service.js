@@ -0,0 +1,450 @@
+/**
+ * OIDC Service
+ *
+ * Purpose: Single sign-on with an OpenID Connect identity provider (IdP)
+ * Used by: auth.controller.js (the /api/auth/oidc/* redirects, login options and logout)
+ *
+ * Authorization code flow with PKCE:
+ * 1. startLogin() builds the IdP's authorization URL with a random state,
+ *    nonce and PKCE verifier; they travel as an opaque value the controller
+ *    keeps in a short-lived httpOnly cookie until the browser comes back
+ * 2. The IdP redirects to OIDC_REDIRECT_URI with a code; completeLogin()
+ *    checks the state, exchanges the code for tokens and verifies the ID
+ *    token: signature against the IdP's published keys, issuer, audience,
+ *    expiry and nonce
+ * 3. The account is found or created from the claims, its role taken from
+ *    the IdP groups (OIDC_ROLE_MAPPING), and a normal login session started,
+ *    so the rest of the app does not care how the user logged in
+ *
+ * The discovery document and signing keys are fetched with Node's fetch and
+ * cached; keys are fetched again when a token names one we have not seen
+ * (the IdP rotated its keys).
+ */
+
+const crypto = require('crypto');
+const config = require('../config/env');
+const logger = require('../config/logger');
+const authService = require('./auth.service');
+const usersService = require('./users.service');
+const { ROLES } = require('../utils/permissions');
+const { createHttpError } = require('../utils/httpError');
+
+// How long the discovery document and keys are reused
+const METADATA_TTL_MS = 60 * 60 * 1000;
+
+// How long the user may spend at the IdP before the login has to start over
+const LOGIN_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Tolerated clock difference with the IdP when checking token times
+const CLOCK_SKEW_SECONDS = 60;
+
+const HTTP_TIMEOUT_MS = 10000;
+
+// ID token signature algorithms we accept, as arguments for crypto.verify
+// (never 'none' or HMAC, whose key would be the client secret)
+const SIGNATURE_ALGORITHMS = {
+  RS256: { hash: 'sha256', kty: 'RSA' },
+  RS384: { hash: 'sha384', kty: 'RSA' },
+  RS512: { hash: 'sha512', kty: 'RSA' },
+  PS256: {
+    hash: 'sha256',
+    kty: 'RSA',
+    padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+    saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST,
+  },
+  ES256: { hash: 'sha256', kty: 'EC', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', kty: 'EC', dsaEncoding: 'ieee-p1363' },
+};
+
+// { issuer, fetchedAt, discovery, keys } of the configured IdP
+let metadataCache = null;
+
+/**
+ * Whether single sign-on is configured
+ */
+function isEnabled() {
+  return Boolean(config.auth.oidc.issuer);
+}
+
+function randomValue() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Compare two strings without leaking where they differ
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Only paths inside the app, so the login cannot be used to redirect elsewhere
+ */
+function safeReturnTo(returnTo) {
+  return typeof returnTo === 'string' && /^\/(?![/\\])/.test(returnTo) ? returnTo : '/';
+}
+
+/**
+ * Call the IdP and parse its JSON answer
+ * @throws {Error} - 502 when the IdP is unreachable or answers with an error
+ */
+async function fetchJson(url, options = {}) {
+  let response;
+
+  try {
+    response = await fetch(url, {
+      ...options,
+      headers: { Accept: 'application/json', ...options.headers },
+      signal: AbortSignal.timeout(HTTP_TIMEOUT_MS),
+    });
+  } catch (error) {
+    throw createHttpError(502, `Identity provider unreachable: ${error.message}`);
+  }
+
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok || !body) {
+    const detail = body?.error_description || body?.error || `HTTP ${response.status}`;
+    throw createHttpError(502, `Identity provider request failed: ${detail}`);
+  }
+
+  return body;
+}
+
+/**
+ * The IdP's discovery document and signing keys, cached for METADATA_TTL_MS
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.refreshKeys=false] - Fetch the keys again (after a rotation)
+ */
+async function getMetadata({ refreshKeys = false } = {}) {
+  const { issuer } = config.auth.oidc;
+  const fresh = metadataCache?.issuer === issuer && Date.now() - metadataCache.fetchedAt < METADATA_TTL_MS;
+
+  if (!fresh) {
+    const discovery = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+
+    if (String(discovery.issuer || '').replace(/\/+$/, '') !== issuer) {
+      throw createHttpError(502, `Identity provider reports issuer ${discovery.issuer}, expected ${issuer}`);
+    }
+
+    metadataCache = { issuer, fetchedAt: Date.now(), discovery, keys: null };
+  }
+
+  if (!metadataCache.keys || refreshKeys) {
+    const jwks = await fetchJson(metadataCache.discovery.jwks_uri);
+    metadataCache.keys = Array.isArray(jwks.keys) ? jwks.keys : [];
+  }
+
+  return metadataCache;
+}
+
+/**
+ * The published key that signed a token, if any
+ */
+function findSigningKey(keys, header, algorithm) {
+  return keys.find(key => key.kty === algorithm.kty
+    && (!key.use || key.use === 'sig')
+    && (!header.kid || key.kid === header.kid)) || null;
+}
+
+function invalidToken(reason) {
+  return createHttpError(401, `Invalid ID token: ${reason}`);
+}
+
+/**
+ * Check an ID token's signature and claims
+ *
+ * @param {string} idToken - JWT from the token endpoint
+ * @param {string} nonce - The nonce sent with the authorization request
+ * @returns {Promise<Object>} - The token's claims
+ * @throws {Error} - 401 when anything does not check out
+ */
+async function verifyIdToken(idToken, nonce) {
+  const parts = String(idToken || '').split('.');
+  let header;
+  let claims;
+
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch {
+    throw invalidToken('not a JWT');
+  }
+
+  if (parts.length !== 3 || !claims || typeof claims !== 'object') {
+    throw invalidToken('not a JWT');
+  }
+
+  const algorithm = SIGNATURE_ALGORITHMS[header.alg];
+
+  if (!algorithm) {
+    throw invalidToken(`unsupported algorithm ${header.alg}`);
+  }
+
+  let metadata = await getMetadata();
+  let jwk = findSigningKey(metadata.keys, header, algorithm);
+
+  if (!jwk) {
+    metadata = await getMetadata({ refreshKeys: true });
+    jwk = findSigningKey(metadata.keys, header, algorithm);
+  }
+
+  if (!jwk) {
+    throw invalidToken('signed with an unknown key');
+  }
+
+  let signatureValid;
+
+  try {
+    const { hash, padding, saltLength, dsaEncoding } = algorithm;
+    signatureValid = crypto.verify(
+      hash,
+      Buffer.from(`${parts[0]}.${parts[1]}`),
+      { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }), padding, saltLength, dsaEncoding },
+      Buffer.from(parts[2], 'base64url')
+    );
+  } catch (error) {
+    logger.warn('Could not check ID token signature', { kid: jwk.kid, error: error.message });
+    signatureValid = false;
+  }
+
+  if (!signatureValid) {
+    throw invalidToken('bad signature');
+  }
+
+  const { clientId } = config.auth.oidc;
+  const audiences = [].concat(claims.aud);
+  const now = Date.now() / 1000;
+
+  if (claims.iss !== metadata.discovery.issuer) {
+    throw invalidToken(`issued by ${claims.iss}`);
+  }
+
+  if (!audiences.includes(clientId) || (audiences.length > 1 && claims.azp && claims.azp !== clientId)) {
+    throw invalidToken('issued for another client');
+  }
+
+  if (!(claims.exp > now - CLOCK_SKEW_SECONDS) || (claims.iat && claims.iat > now + CLOCK_SKEW_SECONDS)) {
+    throw invalidToken('expired');
+  }
+
+  if (!claims.nonce || !safeEqual(claims.nonce, nonce)) {
+    throw invalidToken('nonce mismatch');
+  }
+
+  if (!claims.sub) {
+    throw invalidToken('no subject');
+  }
+
+  return claims;
+}
+
+/**
+ * The app role for a user's IdP groups: the highest mapped role, or
+ * OIDC_DEFAULT_ROLE when none of the groups is mapped
+ *
+ * @param {Array<string>|string} groups - Groups claim
+ * @returns {string}
+ */
+function roleForGroups(groups) {
+  const { roleMapping, defaultRole } = config.auth.oidc;
+  const mapped = [].concat(groups || [])
+    .map(group => roleMapping[group])
+    .filter(role => ROLES.includes(role));
+
+  if (mapped.length === 0) {
+    return defaultRole;
+  }
+
+  return mapped.reduce((best, role) => (ROLES.indexOf(role) > ROLES.indexOf(best) ? role : best));
+}
+
+/**
+ * What the login page offers
+ *
+ * @returns {{ passwordLogin: boolean, oidc: { name: string }|null }}
+ */
+function getLoginOptions() {
+  return {
+    passwordLogin: config.auth.passwordLogin,
+    oidc: isEnabled() ? { name: config.auth.oidc.providerName } : null,
+  };
+}
+
+/**
+ * Start a login at the IdP
+ *
+ * @param {string} [returnTo='/'] - App path to show after logging in
+ * @returns {Promise<{ url: string, pendingLogin: string }>} - Where to send the
+ *   browser, and the value to hand back to completeLogin (keep it in a cookie)
+ * @throws {Error} - 404 when single sign-on is not configured
+ */
+async function startLogin(returnTo) {
+  if (!isEnabled()) {
+    throw createHttpError(404, 'Single sign-on is not configured');
+  }
+
+  const { clientId, redirectUri, scopes } = config.auth.oidc;
+  const { discovery } = await getMetadata();
+  const pending = {
+    state: randomValue(),
+    nonce: randomValue(),
+    codeVerifier: randomValue(),
+    returnTo: safeReturnTo(returnTo),
+    expiresAt: Date.now() + LOGIN_TIMEOUT_MS,
+  };
+
+  const url = new URL(discovery.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', clientId);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('scope', scopes);
+  url.searchParams.set('state', pending.state);
+  url.searchParams.set('nonce', pending.nonce);
+  url.searchParams.set('code_challenge', crypto.createHash('sha256').update(pending.codeVerifier).digest('base64url'));
+  url.searchParams.set('code_challenge_method', 'S256');
+
+  return {
+    url: url.toString(),
+    pendingLogin: Buffer.from(JSON.stringify(pending)).toString('base64url'),
+  };
+}
+
+/**
+ * Finish a login when the IdP redirects back
+ *
+ * @param {Object} callback - Query of the redirect
+ * @param {string} [callback.code] - Authorization code
+ * @param {string} [callback.state] - Must match the pending login
+ * @param {string} [callback.error] - Set by the IdP when the user was not logged in
+ * @param {string} [callback.errorDescription] - Its explanation
+ * @param {string} pendingLogin - Value from startLogin
+ * @param {Object} [client] - { userAgent, ip } stored with the session
+ * @returns {Promise<{ user: Object, token: string, expiresAt: Date, returnTo: string }>}
+ * @throws {Error} - 400 for a stale or forged callback, 401 when the IdP refused
+ *   or the ID token is invalid, 403 for deactivated accounts, 502 when the IdP fails
+ */
+async function completeLogin({ code, state, error, errorDescription }, pendingLogin, client = {}) {
+  if (!isEnabled()) {
+    throw createHttpError(404, 'Single sign-on is not configured');
+  }
+
+  let pending = null;
+
+  try {
+    pending = JSON.parse(Buffer.from(String(pendingLogin || ''), 'base64url').toString('utf8'));
+  } catch {
+    // Treated like a missing login below
+  }
+
+  if (!pending?.state || !(pending.expiresAt > Date.now())) {
+    throw createHttpError(400, 'The login took too long or was started in another browser; please try again');
+  }
+
+  if (!state || !safeEqual(state, pending.state)) {
+    throw createHttpError(400, 'Login state mismatch; please try again');
+  }
+
+  if (error) {
+    throw createHttpError(401, `The identity provider did not log you in: ${errorDescription || error}`);
+  }
+
+  if (!code) {
+    throw createHttpError(400, 'The identity provider sent no authorization code');
+  }
+
+  const { issuer, clientId, clientSecret, redirectUri, groupsClaim, roleMapping } = config.auth.oidc;
+  const { discovery } = await getMetadata();
+
+  // client_secret_basic: both parts are form-encoded before base64
+  const basicAuth = Buffer.from(`${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`).toString('base64');
+  const tokens = await fetchJson(discovery.token_endpoint, {
+    method: 'POST',
+    headers: {
+      Authorization: `Basic ${basicAuth}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: pending.codeVerifier,
+    }).toString(),
+  });
+
+  if (!tokens.id_token) {
+    throw createHttpError(502, 'The identity provider returned no ID token; is the openid scope configured?');
+  }
+
+  const claims = await verifyIdToken(tokens.id_token, pending.nonce);
+
+  if (!claims.email) {
+    throw createHttpError(401, 'The identity provider did not share an email address; add the email scope');
+  }
+
+  if (claims.email_verified === false) {
+    throw createHttpError(401, `The email address ${claims.email} is not verified at the identity provider`);
+  }
+
+  const user = await usersService.findOrCreateOidcUser({
+    issuer,
+    subject: String(claims.sub),
+    email: claims.email,
+    emailVerified: claims.email_verified === true,
+    name: String(claims.name || claims.preferred_username || claims.email).slice(0, 255),
+    role: roleForGroups(claims[groupsClaim]),
+    syncRole: Object.keys(roleMapping).length > 0,
+  });
+
+  if (!user.is_active) {
+    logger.warn('Deactivated user tried single sign-on', { userId: user.id });
+    throw createHttpError(403, 'Your account has been deactivated');
+  }
+
+  const session = await authService.createSession(user, client, 'oidc');
+
+  return { ...session, returnTo: pending.returnTo };
+}
+
+/**
+ * Where to send the browser to also log out at the IdP
+ *
+ * @returns {Promise<string|null>} - null when the IdP has no end_session_endpoint
+ *   (or is unreachable; the local session is gone either way)
+ */
+async function getLogoutUrl() {
+  if (!isEnabled()) {
+    return null;
+  }
+
+  try {
+    const { discovery } = await getMetadata();
+
+    if (!discovery.end_session_endpoint) {
+      return null;
+    }
+
+    const url = new URL(discovery.end_session_endpoint);
+    url.searchParams.set('client_id', config.auth.oidc.clientId);
+    url.searchParams.set('post_logout_redirect_uri', `${config.auth.oidc.appUrl}/login`);
+
+    return url.toString();
+  } catch (error) {
+    logger.warn('Could not build the identity provider logout URL', { error: error.message });
+    return null;
+  }
+}
+
+module.exports = {
+  LOGIN_TIMEOUT_MS,
+  isEnabled,
+  roleForGroups,
+  getLoginOptions,
+  startLogin,
+  completeLogin,
+  verifyIdToken,
+  getLogoutUrl,
+};
@@ -0,0 +1,178 @@
+/**
+ * Prompt Templates Service
+ *
+ * Purpose: Versioned, file-backed prompt templates with variables and A/B splits
+ * Used by: ai.service.js (incident analysis prompts)
+ *
+ * Templates live in PROMPT_TEMPLATES_DIR (default: src/prompts):
+ *
+ *   incident-analysis/v2.system.txt   → system prompt of version v2
+ *   incident-analysis/v2.user.txt     → user prompt of version v2
+ *
+ * Variables are written as {{name}} and must be declared in TEMPLATE_VARIABLES.
+ * Files are re-read when their modification time changes, so a prompt can be
+ * tuned (or a new version added) on a running server without a deploy.
+ *
+ * Each analysis records the template id (e.g. 'incident-analysis/v2') as
+ * ai_metadata.promptVersion and incident_analyses.prompt_version; ratings are
+ * then compared per version (analysis-feedback.service.js getPromptVersionReport).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/env');
+const { createHttpError } = require('../utils/httpError');
+
+// Variables each template may use
+const TEMPLATE_VARIABLES = {
+  'incident-analysis': ['title', 'severity', 'description', 'comments', 'similarIncidents'],
+};
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// path → { mtimeMs, text }
+const fileCache = new Map();
+
+/**
+ * Read a template file, reusing the cached text until the file changes
+ */
+function readTemplateFile(filePath) {
+  const { mtimeMs } = fs.statSync(filePath);
+  const cached = fileCache.get(filePath);
+
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.text;
+  }
+
+  // Editors usually add a final newline; it is not part of the prompt
+  const text = fs.readFileSync(filePath, 'utf8').replace(/\r?\n$/, '');
+  fileCache.set(filePath, { mtimeMs, text });
+  return text;
+}
+
+/**
+ * Check that a template only uses declared variables
+ */
+function assertKnownVariables(name, version, text) {
+  const allowed = TEMPLATE_VARIABLES[name] || [];
+
+  for (const [, variable] of text.matchAll(VARIABLE_PATTERN)) {
+    if (!allowed.includes(variable)) {
+      throw new Error(`Prompt template ${name}/${version} uses unknown variable {{${variable}}}`);
+    }
+  }
+}
+
+/**
+ * List the versions available for a template
+ *
+ * @param {string} name - Template name, e.g. 'incident-analysis'
+ * @returns {Array<string>} - e.g. ['v1', 'v2'], sorted
+ */
+function listVersions(name) {
+  const dir = path.join(config.prompts.dir, name);
+
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.user.txt'))
+    .map(file => file.slice(0, -'.user.txt'.length))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+/**
+ * Load one template version
+ *
+ * @param {string} name - Template name, e.g. 'incident-analysis'
+ * @param {string} version - e.g. 'v2'
+ * @returns {{ id: string, name: string, version: string, system: string, user: string }}
+ */
+function getTemplate(name, version) {
+  const base = path.join(config.prompts.dir, name, version);
+
+  if (!fs.existsSync(`${base}.user.txt`)) {
+    throw createHttpError(404, `Prompt template ${name}/${version} not found`);
+  }
+
+  // The system prompt is optional
+  const system = fs.existsSync(`${base}.system.txt`) ? readTemplateFile(`${base}.system.txt`) : '';
+  const user = readTemplateFile(`${base}.user.txt`);
+
+  assertKnownVariables(name, version, system);
+  assertKnownVariables(name, version, user);
+
+  return { id: `${name}/${version}`, name, version, system, user };
+}
+
+/**
+ * Fill in a template's variables
+ * Values are inserted in a single pass, so "{{...}}" inside incident text is left alone
+ *
+ * @param {Object} template - Result of getTemplate
+ * @param {Object} variables - Values by variable name; missing ones render as ''
+ * @returns {{ systemPrompt: string, userPrompt: string }}
+ */
+function renderTemplate(template, variables) {
+  const fill = text => text.replace(VARIABLE_PATTERN, (match, name) => String(variables[name] ?? ''));
+
+  return {
+    systemPrompt: fill(template.system),
+    userPrompt: fill(template.user),
+  };
+}
+
+/**
+ * Pick a version from weighted split, e.g. { v2: 50, v3: 50 }
+ * With a key the choice is stable, so re-analyses of an incident use the same version
+ *
+ * @param {Object} split - Weights by version
+ * @param {string|number} [key] - Stable assignment key (incident ID)
+ * @returns {string} - Version
+ */
+function pickFromSplit(split, key) {
+  const entries = Object.entries(split);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+
+  const fraction = key === undefined || key === null
+    ? Math.random()
+    : crypto.createHash('sha256').update(String(key)).digest().readUInt32BE(0) / 0x100000000;
+
+  let point = fraction * total;
+  for (const [version, weight] of entries) {
+    if (point < weight) return version;
+    point -= weight;
+  }
+
+  return entries[entries.length - 1][0];
+}
+
+/**
+ * Choose the incident analysis template for a run
+ * Uses ANALYSIS_PROMPT_SPLIT when set, otherwise ANALYSIS_PROMPT_VERSION
+ *
+ * @param {number} [incidentId] - Keeps an incident on one side of the split
+ * @returns {Object} - Template, plus assignment: 'split' or 'default'
+ */
+function selectAnalysisTemplate(incidentId) {
+  const { analysisVersion, analysisSplit } = config.prompts;
+  const split = analysisSplit && Object.keys(analysisSplit).length > 0;
+
+  const version = split ? pickFromSplit(analysisSplit, incidentId) : analysisVersion;
+
+  return {
+    ...getTemplate('incident-analysis', version),
+    assignment: split ? 'split' : 'default',
+  };
+}
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  listVersions,
+  getTemplate,
+  renderTemplate,
+  pickFromSplit,
+  selectAnalysisTemplate,
+};
@@ -0,0 +1,199 @@
+/**
+ * Chat Completion Provider
+ *
+ * Purpose: Shared implementation for any backend that speaks the OpenAI
+ *          chat completions API (OpenAI itself, Ollama, vLLM, LM Studio...)
+ * Used by: openai.provider.js and local.provider.js
+ *
+ * Every provider exposes the same shape:
+ * - name:            provider identifier ('openai', 'local', 'heuristic')
+ * - model:           model name reported in analysis metadata
+ * - analyzeIncident: returns { analysis, usage, model } for an incident prompt;
+ *                    pass onText to receive the raw answer as it streams in
+ * - complete:        generic chat completion, returns { content, usage, model }
+ * - embed:           embeds a list of texts, returns { embeddings, usage, model }
+ * - testConnection:  resolves to true/false
+ */
+
+const OpenAI = require('openai');
+const logger = require('../../config/logger');
+
+/**
+ * Normalize the usage block returned by the API
+ * Local servers sometimes omit it entirely
+ */
+function normalizeUsage(usage) {
+  return {
+    promptTokens: usage?.prompt_tokens || 0,
+    completionTokens: usage?.completion_tokens || 0,
+    totalTokens: usage?.total_tokens || 0,
+  };
+}
+
+/**
+ * Create a provider backed by an OpenAI-compatible API
+ *
+ * @param {Object} options
+ * @param {string} options.name - Provider name
+ * @param {string} options.model - Model to request
+ * @param {string} [options.embeddingModel] - Model used by embed()
+ * @param {string} options.apiKey - API key sent to the endpoint
+ * @param {string} [options.baseUrl] - Override for self-hosted endpoints
+ * @param {boolean} [options.supportsJsonMode=true] - Whether response_format is supported
+ * @returns {Object} - Provider object
+ */
+function createChatCompletionProvider(options) {
+  const { name, model, embeddingModel, apiKey, baseUrl, supportsJsonMode = true } = options;
+
+  const client = new OpenAI({
+    apiKey,
+    ...(baseUrl ? { baseURL: baseUrl } : {}),
+  });
+
+  /**
+   * Generic chat completion
+   *
+   * @param {Object} params
+   * @param {Array} params.messages - Chat messages ({ role, content })
+   * @param {number} [params.maxTokens=1000] - Completion token limit
+   * @param {number} [params.temperature=0.3] - Sampling temperature
+   * @param {boolean} [params.json=false] - Ask for a JSON object response
+   */
+  async function complete({ messages, maxTokens = 1000, temperature = 0.3, json = false }) {
+    const response = await client.chat.completions.create({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      ...(json && supportsJsonMode ? { response_format: { type: 'json_object' } } : {}),
+      presence_penalty: 0.1, // Encourage diverse vocabulary
+      frequency_penalty: 0.1, // Reduce repetition
+    });
+
+    return {
+      content: response.choices[0].message.content,
+      usage: normalizeUsage(response.usage),
+      model: response.model || model,
+    };
+  }
+
+  /**
+   * Streaming chat completion
+   * Calls onText with the accumulated content after every chunk
+   *
+   * @param {Object} params - Same as complete(), plus:
+   * @param {Function} params.onText - (contentSoFar) => void
+   */
+  async function streamComplete({ messages, maxTokens = 1000, temperature = 0.3, json = false, onText }) {
+    const stream = await client.chat.completions.create({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      ...(json && supportsJsonMode ? { response_format: { type: 'json_object' } } : {}),
+      presence_penalty: 0.1,
+      frequency_penalty: 0.1,
+      stream: true,
+      stream_options: { include_usage: true }, // Usage arrives in the final chunk
+    });
+
+    let content = '';
+    let usage = null;
+    let responseModel = model;
+
+    for await (const chunk of stream) {
+      if (chunk.model) responseModel = chunk.model;
+      if (chunk.usage) usage = chunk.usage;
+
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onText(content);
+      }
+    }
+
+    return {
+      content,
+      usage: normalizeUsage(usage),
+      model: responseModel,
+    };
+  }
+
+  /**
+   * Run the incident analysis prompt and parse the JSON answer
+   * Streams the completion when onText is given
+   */
+  async function analyzeIncident({ systemPrompt, userPrompt, onText }) {
+    const params = {
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt },
+      ],
+      temperature: 0.3, // Lower temperature for more focused, deterministic analysis
+      maxTokens: 2500, // Room for a detailed analysis
+      json: true,
+    };
+
+    const result = onText
+      ? await streamComplete({ ...params, onText })
+      : await complete(params);
+
+    return {
+      analysis: JSON.parse(result.content),
+      usage: result.usage,
+      model: result.model,
+    };
+  }
+
+  /**
+   * Embed texts for similarity search
+   *
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Object>} - { embeddings: number[][], usage, model }
+   */
+  async function embed(texts) {
+    const response = await client.embeddings.create({
+      model: embeddingModel,
+      input: texts,
+    });
+
+    return {
+      // The API may return items out of order; index says which input each belongs to
+      embeddings: [...response.data]
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding),
+      usage: normalizeUsage(response.usage),
+      model: response.model || embeddingModel,
+    };
+  }
+
+  async function testConnection() {
+    try {
+      await client.chat.completions.create({
+        model,
+        messages: [{ role: 'user', content: 'Test' }],
+        max_tokens: 10,
+      });
+      logger.success(`AI provider '${name}' connection successful`);
+      return true;
+    } catch (error) {
+      logger.error(`AI provider '${name}' connection failed`, {
+        error: error.message,
+      });
+      return false;
+    }
+  }
+
+  return {
+    name,
+    model,
+    complete,
+    analyzeIncident,
+    embed,
+    testConnection,
+  };
+}
+
+module.exports = {
+  createChatCompletionProvider,
+};
@@ -0,0 +1,348 @@
+/**
+ * Heuristic Provider
+ *
+ * Purpose: Deterministic, rule-based incident analysis that needs no model at all
+ * Selected with: AI_PROVIDER=heuristic (default when no OPENAI_API_KEY is set)
+ * Also used by: ai.service.js as the fallback when the configured provider fails
+ *
+ * How it works:
+ * 1. Matches the title, description and follow-up comments against a list of
+ *    known failure signatures (timeouts, connection pools, OOM kills, disk
+ *    pressure, TLS, DNS...)
+ * 2. Every matching rule contributes a root cause, action items, a similar
+ *    pattern and a preventive measure
+ * 3. Generic triage steps are always appended so the output is never empty
+ *
+ * Embeddings are hashed bags of words (see embedText): enough to find past
+ * incidents that share error messages and component names, without a model.
+ *
+ * The same input always produces the same output, which makes this provider
+ * safe to use in CI and air-gapped clusters.
+ */
+
+/**
+ * Known failure signatures, checked in order
+ * The first matching rule becomes the highest-likelihood root cause
+ */
+const RULES = [
+  {
+    id: 'database',
+    pattern: /\b(postgres|mysql|database|db|connection pool|deadlock|too many connections|sql)\b/i,
+    rootCause: {
+      cause: 'Database saturation or connection pool exhaustion',
+      reasoning: 'Description references database errors or connection handling',
+      components: ['database', 'connection-pool'],
+    },
+    actionItems: [
+      { priority: 'immediate', action: 'Check active connections and long-running queries', owner: 'DBA', command: 'SELECT pid, state, query_start, query FROM pg_stat_activity ORDER BY query_start;' },
+      { priority: 'high', action: 'Verify application connection pool limits against database max_connections', owner: 'Engineering' },
+    ],
+    similarPattern: 'Connection pool exhaustion under load',
+    preventiveMeasure: 'Alert on connection pool utilisation above 80%',
+  },
+  {
+    id: 'timeout',
+    pattern: /\b(timeout|timed out|etimedout|504|deadline exceeded|latency)\b/i,
+    rootCause: {
+      cause: 'Upstream dependency responding slowly or timing out',
+      reasoning: 'Timeouts or gateway errors indicate a slow or unavailable upstream',
+      components: ['upstream-service', 'network'],
+    },
+    actionItems: [
+      { priority: 'immediate', action: 'Identify the slow upstream from gateway and tracing latency breakdowns', owner: 'SRE' },
+      { priority: 'high', action: 'Consider enabling circuit breaking or shedding load to the affected dependency', owner: 'SRE' },
+    ],
+    similarPattern: 'Cascading failure from a slow dependency',
+    preventiveMeasure: 'Add circuit breakers and per-dependency timeout budgets',
+  },
+  {
+    id: 'bad-gateway',
+    pattern: /\b(502|503|bad gateway|service unavailable|upstream|econnrefused|connection refused)\b/i,
+    rootCause: {
+      cause: 'Backend instances unavailable or failing health checks',
+      reasoning: 'Gateway or connection refused errors point at missing healthy backends',
+      components: ['load-balancer', 'backend-pods'],
+    },
+    actionItems: [
+      { priority: 'immediate', action: 'Check pod readiness and recent restarts for the backend', owner: 'SRE', command: 'kubectl get pods -o wide && kubectl get events --sort-by=.lastTimestamp' },
+    ],
+    similarPattern: 'Failed rollout leaving no ready endpoints',
+    preventiveMeasure: 'Gate rollouts on readiness and error-rate analysis',
+  },
+  {
+    id: 'memory',
+    pattern: /\b(oom|out of memory|oomkilled|heap|memory leak|memory)\b/i,
+    rootCause: {
+      cause: 'Memory exhaustion causing process restarts',
+      reasoning: 'Description mentions memory pressure or OOM kills',
+      components: ['application-runtime', 'container-limits'],
+    },
+    actionItems: [
+      { priority: 'immediate', action: 'Check container restarts and OOMKilled reasons', owner: 'SRE', command: 'kubectl describe pod <pod-name> | grep -A5 "Last State"' },
+      { priority: 'high', action: 'Capture a heap profile from an affected instance', owner: 'Engineering' },
+    ],
+    similarPattern: 'Gradual memory leak after a deployment',
+    preventiveMeasure: 'Alert on memory growth trends, not just absolute limits',
+  },
+  {
+    id: 'cpu',
+    pattern: /\b(cpu|throttl\w*|high load|load average)\b/i,
+    rootCause: {
+      cause: 'CPU saturation or throttling',
+      reasoning: 'Description references CPU load or throttling',
+      components: ['compute', 'container-limits'],
+    },
+    actionItems: [
+      { priority: 'high', action: 'Review CPU usage and throttling metrics for the affected workloads', owner: 'SRE' },
+    ],
+    similarPattern: 'Traffic spike exceeding provisioned capacity',
+    preventiveMeasure: 'Configure autoscaling on CPU and request rate',
+  },
+  {
+    id: 'disk',
+    pattern: /\b(disk|no space left|enospc|volume|inode|i\/o)\b/i,
+    rootCause: {
+      cause: 'Disk space or I/O exhaustion',
+      reasoning: 'Description references disk, volume or I/O errors',
+      components: ['storage', 'persistent-volume'],
+    },
+    actionItems: [
+      { priority: 'immediate', action: 'Check free space and inode usage on affected nodes and volumes', owner: 'SRE', command: 'df -h && df -i' },
+    ],
+    similarPattern: 'Unrotated logs filling a volume',
+    preventiveMeasure: 'Alert on disk usage above 80% and enforce log rotation',
+  },
+  {
+    id: 'tls',
+    pattern: /\b(certificate|cert|tls|ssl|x509|handshake)\b/i,
+    rootCause: {
+      cause: 'TLS certificate expiry or misconfiguration',
+      reasoning: 'Description mentions certificates or TLS handshake failures',
+      components: ['ingress', 'certificates'],
+    },
+    actionItems: [
+      { priority: 'immediate', action: 'Check certificate validity dates on the affected endpoint', owner: 'DevOps', command: 'echo | openssl s_client -connect <host>:443 2>/dev/null | openssl x509 -noout -dates' },
+    ],
+    similarPattern: 'Expired certificate after failed automatic renewal',
+    preventiveMeasure: 'Monitor certificate expiry at least 14 days ahead',
+  },
+  {
+    id: 'dns',
+    pattern: /\b(dns|nxdomain|name resolution|resolve|coredns)\b/i,
+    rootCause: {
+      cause: 'DNS resolution failures',
+      reasoning: 'Description mentions DNS or name resolution errors',
+      components: ['dns', 'network'],
+    },
+    actionItems: [
+      { priority: 'immediate', action: 'Verify DNS resolution from inside the cluster', owner: 'SRE', command: 'kubectl run -it --rm dnscheck --image=busybox --restart=Never -- nslookup <service>' },
+    ],
+    similarPattern: 'CoreDNS overload during scale-out',
+    preventiveMeasure: 'Add synthetic DNS probes for critical service names',
+  },
+  {
+    id: 'auth',
+    pattern: /\b(401|403|unauthori[sz]ed|forbidden|token expired|permission denied)\b/i,
+    rootCause: {
+      cause: 'Expired or rotated credentials',
+      reasoning: 'Authentication or authorization errors appear in the description',
+      components: ['auth', 'secrets'],
+    },
+    actionItems: [
+      { priority: 'high', action: 'Check recent secret rotations and credential expiry dates', owner: 'DevOps' },
+    ],
+    similarPattern: 'Credential rotation not propagated to all consumers',
+    preventiveMeasure: 'Track credential expiry and automate rotation rollout',
+  },
+  {
+    id: 'deployment',
+    pattern: /\b(deploy\w*|rollout|release|config change|migration)\b/i,
+    rootCause: {
+      cause: 'Regression introduced by a recent change',
+      reasoning: 'Description references a deployment, release or configuration change',
+      components: ['ci-cd', 'application'],
+    },
+    actionItems: [
+      { priority: 'high', action: 'Compare the incident start time with recent deployments and roll back if they correlate', owner: 'DevOps', command: 'kubectl rollout history deployment/<name>' },
+    ],
+    similarPattern: 'Bad deployment without automated rollback',
+    preventiveMeasure: 'Use canary or blue-green releases with automated analysis',
+  },
+];
+
+// Always appended so every analysis has actionable triage steps
+const GENERIC_ACTION_ITEMS = [
+  { priority: 'immediate', action: 'Review error logs, metrics, and traces in monitoring system', owner: 'SRE' },
+  { priority: 'high', action: 'Verify recent deployments and consider rollback if applicable', owner: 'DevOps' },
+  { priority: 'medium', action: 'Verify external dependencies and third-party service status', owner: 'SRE' },
+];
+
+const GENERIC_ROOT_CAUSES = [
+  {
+    cause: 'Check system logs and monitoring dashboards for immediate patterns',
+    likelihood: 'medium',
+    reasoning: 'No known failure signature matched the description',
+    components: [],
+  },
+  {
+    cause: 'Review recent changes (deployments, configs, infrastructure) from the last 24 hours',
+    likelihood: 'medium',
+    reasoning: 'Most incidents correlate with a recent change',
+    components: [],
+  },
+];
+
+// Phrases that suggest the declared severity understates the impact
+const CRITICAL_SIGNALS = /\b(all users|100%|complete outage|full outage|data loss|data corruption|down for everyone)\b/i;
+
+const LIKELIHOODS = ['high', 'medium', 'low'];
+
+/**
+ * Find all rules matching the incident text
+ */
+function matchRules(text) {
+  return RULES.filter(rule => rule.pattern.test(text));
+}
+
+/**
+ * Build the analysis object in the same shape the LLM providers return
+ *
+ * @param {Object} incident - { title, severity, description, comments }
+ * @returns {Object} - Raw analysis (summary, rootCauses, actionItems, ...)
+ */
+function buildAnalysis(incident) {
+  const { title, severity, description, comments = [] } = incident;
+  const text = [title, description, ...comments.map(comment => comment.comment_text)].join('\n');
+  const matches = matchRules(text);
+
+  const rootCauses = matches.length > 0
+    ? matches.slice(0, 5).map((rule, index) => ({
+        ...rule.rootCause,
+        likelihood: LIKELIHOODS[Math.min(index, LIKELIHOODS.length - 1)],
+      }))
+    : GENERIC_ROOT_CAUSES;
+
+  const actionItems = [
+    ...matches.flatMap(rule => rule.actionItems),
+    ...GENERIC_ACTION_ITEMS,
+  ].slice(0, 7);
+
+  const suggestedSeverity = CRITICAL_SIGNALS.test(text) ? 'critical' : severity;
+
+  const signatures = matches.map(rule => rule.id);
+  const summary = signatures.length > 0
+    ? `${severity.toUpperCase()} severity incident: ${title}. Matched failure signatures: ${signatures.join(', ')}.`
+    : `${severity.toUpperCase()} severity incident: ${title}. No known failure signature matched; manual triage required.`;
+
+  return {
+    summary,
+    rootCauses,
+    customerMessage: 'We are currently investigating an issue affecting our services. Our engineering team has been notified and is actively working on a resolution. We will provide updates as more information becomes available.',
+    actionItems,
+    suggestedSeverity,
+    severityJustification: suggestedSeverity === severity
+      ? 'Using declared severity - rule-based analysis'
+      : 'Description indicates widespread impact - rule-based analysis',
+    similarPatterns: matches.map(rule => rule.similarPattern),
+    preventiveMeasures: matches.length > 0
+      ? matches.map(rule => rule.preventiveMeasure).slice(0, 3)
+      : ['Implement AI service redundancy', 'Set up fallback analysis pipeline'],
+  };
+}
+
+// Dimensions of the hashed bag-of-words embedding
+const EMBEDDING_DIMENSIONS = 256;
+const EMBEDDING_MODEL = `heuristic-hashed-bow-${EMBEDDING_DIMENSIONS}`;
+
+// Words too common in incident reports to say anything about similarity
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'that', 'this', 'are', 'was', 'were', 'has', 'have',
+  'been', 'not', 'but', 'all', 'our', 'after', 'when', 'into', 'error', 'errors', 'incident',
+  'issue', 'severity', 'high', 'medium', 'low', 'redacted',
+]);
+
+/**
+ * FNV-1a hash of a token, used to pick its embedding dimension
+ */
+function hashToken(token) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < token.length; i++) {
+    hash ^= token.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Embed text as an L2-normalized hashed bag of words
+ * Term counts are log-scaled so a repeated log line does not dominate
+ *
+ * @param {string} text - Text to embed
+ * @returns {Array<number>} - EMBEDDING_DIMENSIONS floats
+ */
+function embedText(text) {
+  const counts = new Map();
+
+  for (const token of (text || '').toLowerCase().match(/[a-z0-9][a-z0-9_.-]*[a-z0-9]/g) || []) {
+    if (token.length < 3 || STOP_WORDS.has(token) || /^\d+$/.test(token)) continue;
+    const dimension = hashToken(token) % EMBEDDING_DIMENSIONS;
+    counts.set(dimension, (counts.get(dimension) || 0) + 1);
+  }
+
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+  for (const [dimension, count] of counts) {
+    vector[dimension] = 1 + Math.log(count);
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+function createHeuristicProvider() {
+  const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+
+  async function analyzeIncident({ incident }) {
+    return {
+      analysis: buildAnalysis(incident),
+      usage,
+      model: 'heuristic-rules',
+    };
+  }
+
+  // There is no language model behind this provider, so free-form
+  // completions get an explicit, deterministic answer instead of a guess
+  async function complete() {
+    return {
+      content: 'No language model is configured (AI_PROVIDER=heuristic). Free-form answers are unavailable; see the rule-based analysis on the incident instead.',
+      usage,
+      model: 'heuristic-rules',
+    };
+  }
+
+  async function embed(texts) {
+    return {
+      embeddings: texts.map(embedText),
+      usage,
+      model: EMBEDDING_MODEL,
+    };
+  }
+
+  async function testConnection() {
+    return true;
+  }
+
+  return {
+    name: 'heuristic',
+    model: 'heuristic-rules',
+    complete,
+    analyzeIncident,
+    embed,
+    testConnection,
+  };
+}
+
+module.exports = {
+  createHeuristicProvider,
+  buildAnalysis,
+  embedText,
+};
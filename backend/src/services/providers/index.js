@@ -0,0 +1,52 @@
+/**
+ * AI Provider Registry
+ *
+ * Purpose: Resolves the configured AI backend by name
+ * Used by: ai.service.js
+ *
+ * Adding a provider:
+ * 1. Create <name>.provider.js exporting a factory that returns
+ *    { name, model, analyzeIncident, complete, embed, testConnection }
+ * 2. Register the factory in PROVIDER_FACTORIES below
+ * 3. Add the name to the AI_PROVIDER validation in config/env.js
+ */
+
+const config = require('../../config/env');
+const { createOpenAIProvider } = require('./openai.provider');
+const { createLocalProvider } = require('./local.provider');
+const { createHeuristicProvider } = require('./heuristic.provider');
+
+const PROVIDER_FACTORIES = {
+  openai: createOpenAIProvider,
+  local: createLocalProvider,
+  heuristic: createHeuristicProvider,
+};
+
+/**
+ * Create a provider instance
+ *
+ * @param {string} [name=config.ai.provider] - Provider name
+ * @returns {Object} - Provider object
+ */
+function getProvider(name = config.ai.provider) {
+  const factory = PROVIDER_FACTORIES[name];
+
+  if (!factory) {
+    throw new Error(`Unknown AI provider: ${name}. Must be one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+  }
+
+  return factory();
+}
+
+/**
+ * The provider used whenever the configured one fails
+ */
+function getFallbackProvider() {
+  return createHeuristicProvider();
+}
+
+module.exports = {
+  getProvider,
+  getFallbackProvider,
+  PROVIDER_NAMES: Object.keys(PROVIDER_FACTORIES),
+};
@@ -0,0 +1,27 @@
+/**
+ * Local Model Provider
+ *
+ * Purpose: Self-hosted, OpenAI-compatible model server for air-gapped clusters
+ * Selected with: AI_PROVIDER=local
+ *
+ * Works with anything exposing /v1/chat/completions, e.g.:
+ * - Ollama:  LOCAL_AI_BASE_URL=http://ollama:11434/v1
+ * - vLLM:    LOCAL_AI_BASE_URL=http://vllm:8000/v1
+ */
+
+const config = require('../../config/env');
+const { createChatCompletionProvider } = require('./chat-completion.provider');
+
+function createLocalProvider() {
+  return createChatCompletionProvider({
+    name: 'local',
+    model: config.localModel.model,
+    embeddingModel: config.localModel.embeddingModel,
+    apiKey: config.localModel.apiKey,
+    baseUrl: config.localModel.baseUrl,
+  });
+}
+
+module.exports = {
+  createLocalProvider,
+};
@@ -0,0 +1,22 @@
+/**
+ * OpenAI Provider
+ *
+ * Purpose: Hosted OpenAI API backend
+ * Selected with: AI_PROVIDER=openai (default when OPENAI_API_KEY is set)
+ */
+
+const config = require('../../config/env');
+const { createChatCompletionProvider } = require('./chat-completion.provider');
+
+function createOpenAIProvider() {
+  return createChatCompletionProvider({
+    name: 'openai',
+    model: config.openai.model,
+    embeddingModel: config.openai.embeddingModel,
+    apiKey: config.openai.apiKey,
+  });
+}
+
+module.exports = {
+  createOpenAIProvider,
+};
@@ -0,0 +1,427 @@
+/**
+ * Public Status Service
+ *
+ * Purpose: Data for the public status page and its RSS/Atom feeds
+ * Used by: public-status.controller.js (unauthenticated /public routes) and
+ *          incidents-customer-updates.controller.js (PUT /api/incidents/:id/public-info)
+ *
+ * An incident appears on the status page once it has a published customer
+ * update (see incidents-customer-updates.service.js), and stays there until
+ * STATUS_PAGE_RESOLVED_DAYS after it was resolved or until it is archived.
+ *
+ * Everything returned from here is built field by field from a whitelist:
+ * the public title (or a generic one), affected components, status, impact,
+ * timestamps and published update texts. Internal fields such as the title,
+ * description, AI analysis, assignee or who approved an update never leave
+ * this service.
+ */
+
+const db = require('../db');
+const config = require('../config/env');
+const logger = require('../config/logger');
+const incidentsService = require('./incidents.service');
+const { logActivity } = require('./incidents-activity.service');
+const { createHttpError } = require('../utils/httpError');
+
+// Incident status → status shown to the public
+const PUBLIC_STATUSES = {
+  open: 'investigating',
+  acknowledged: 'investigating',
+  investigating: 'investigating',
+  identified: 'identified',
+  monitoring: 'monitoring',
+  resolved: 'resolved',
+  postmortem_pending: 'resolved',
+  closed: 'resolved',
+  reopened: 'investigating',
+};
+
+// Severity → impact shown to the public, and what it means for affected components
+const IMPACTS = {
+  low: 'minor',
+  medium: 'minor',
+  high: 'major',
+  critical: 'critical',
+};
+
+const COMPONENT_STATUSES = {
+  minor: 'degraded_performance',
+  major: 'partial_outage',
+  critical: 'major_outage',
+};
+
+const IMPACT_ORDER = ['none', 'minor', 'major', 'critical'];
+
+const OVERALL_DESCRIPTIONS = {
+  none: 'All Systems Operational',
+  minor: 'Minor Service Disruption',
+  major: 'Partial System Outage',
+  critical: 'Major System Outage',
+};
+
+const MAX_PUBLIC_TITLE_LENGTH = 255;
+
+// Published updates in the feeds
+const FEED_LIMIT = 50;
+
+const PUBLIC_INCIDENT_COLUMNS = 'i.id, i.public_title, i.affected_components, i.status, i.severity, i.created_at, i.resolved_at, i.closed_at';
+
+/**
+ * Title shown when no public title was set
+ *
+ * @param {Array<string>} components - Affected components
+ * @returns {string}
+ */
+function defaultTitle(components = []) {
+  return components.length > 0
+    ? `Service disruption affecting ${components.join(', ')}`
+    : 'Service disruption';
+}
+
+/**
+ * Public view of a published update
+ */
+function toPublicUpdate(update) {
+  return {
+    id: update.id,
+    status: PUBLIC_STATUSES[update.incident_status] || 'investigating',
+    message: update.message,
+    publishedAt: update.published_at,
+  };
+}
+
+/**
+ * Public view of an incident
+ *
+ * @param {Object} incident - Row with the PUBLIC_INCIDENT_COLUMNS
+ * @param {Array} updates - Its published updates, newest first
+ * @returns {Object}
+ */
+function toPublicIncident(incident, updates = []) {
+  const components = incident.affected_components || [];
+  const status = PUBLIC_STATUSES[incident.status] || 'investigating';
+
+  return {
+    id: incident.id,
+    title: incident.public_title || defaultTitle(components),
+    status,
+    impact: IMPACTS[incident.severity] || 'minor',
+    components,
+    startedAt: incident.created_at,
+    resolvedAt: status === 'resolved' ? incident.resolved_at || incident.closed_at : null,
+    updatedAt: updates[0]?.published_at || null,
+    updates: updates.map(toPublicUpdate),
+  };
+}
+
+/**
+ * Published updates of some incidents, grouped by incident ID (newest first)
+ */
+async function getPublishedUpdates(incidentIds) {
+  const byIncident = new Map(incidentIds.map(id => [id, []]));
+
+  if (incidentIds.length === 0) {
+    return byIncident;
+  }
+
+  const result = await db.query(
+    `SELECT id, incident_id, message, incident_status, published_at
+     FROM incident_customer_updates
+     WHERE incident_id = ANY($1::int[]) AND status = 'published'
+     ORDER BY published_at DESC, id DESC`,
+    [incidentIds]
+  );
+
+  result.rows.forEach(update => byIncident.get(update.incident_id)?.push(update));
+
+  return byIncident;
+}
+
+/**
+ * Status of each component, worst active incident first
+ * Configured components are always listed; others appear while affected
+ *
+ * @param {Array} activeIncidents - Public incidents that are not resolved
+ * @returns {Array<{ name: string, status: string }>}
+ */
+function buildComponentStatuses(activeIncidents) {
+  const worstImpact = new Map(config.statusPage.components.map(name => [name, 'none']));
+
+  activeIncidents.forEach(incident => {
+    incident.components.forEach(name => {
+      const current = worstImpact.get(name) || 'none';
+      if (IMPACT_ORDER.indexOf(incident.impact) > IMPACT_ORDER.indexOf(current)) {
+        worstImpact.set(name, incident.impact);
+      }
+    });
+  });
+
+  return [...worstImpact].map(([name, impact]) => ({
+    name,
+    status: COMPONENT_STATUSES[impact] || 'operational',
+  }));
+}
+
+/**
+ * Everything the status page shows
+ *
+ * @returns {Promise<Object>} - { title, status: { indicator, description }, components,
+ *                                activeIncidents, resolvedIncidents, generatedAt }
+ */
+async function getStatus() {
+  const result = await db.query(
+    `SELECT ${PUBLIC_INCIDENT_COLUMNS}
+     FROM incidents i
+     WHERE i.deleted_at IS NULL
+     AND EXISTS (
+       SELECT 1 FROM incident_customer_updates u
+       WHERE u.incident_id = i.id AND u.status = 'published'
+     )
+     AND (
+       i.status NOT IN ('resolved', 'postmortem_pending', 'closed')
+       OR COALESCE(i.resolved_at, i.closed_at) >= NOW() - make_interval(days => $1)
+     )
+     ORDER BY i.created_at DESC`,
+    [config.statusPage.resolvedDays]
+  );
+
+  const updates = await getPublishedUpdates(result.rows.map(row => row.id));
+  const incidents = result.rows.map(row => toPublicIncident(row, updates.get(row.id)));
+
+  const activeIncidents = incidents.filter(incident => incident.status !== 'resolved');
+  const indicator = activeIncidents.reduce(
+    (worst, incident) => (IMPACT_ORDER.indexOf(incident.impact) > IMPACT_ORDER.indexOf(worst) ? incident.impact : worst),
+    'none'
+  );
+
+  return {
+    title: config.statusPage.title,
+    status: { indicator, description: OVERALL_DESCRIPTIONS[indicator] },
+    components: buildComponentStatuses(activeIncidents),
+    activeIncidents,
+    resolvedIncidents: incidents.filter(incident => incident.status === 'resolved'),
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * One incident as shown on the status page
+ * Incidents without a published update are not public and return 404
+ *
+ * @param {number|string} incidentId - Incident ID
+ * @returns {Promise<Object>}
+ */
+async function getIncident(incidentId) {
+  const id = Number(incidentId);
+  const notFound = () => createHttpError(404, 'Incident not found');
+
+  if (!Number.isInteger(id) || id <= 0) {
+    throw notFound();
+  }
+
+  const result = await db.query(
+    `SELECT ${PUBLIC_INCIDENT_COLUMNS} FROM incidents i WHERE i.id = $1 AND i.deleted_at IS NULL`,
+    [id]
+  );
+
+  if (result.rows.length === 0) {
+    throw notFound();
+  }
+
+  const updates = (await getPublishedUpdates([id])).get(id);
+
+  if (updates.length === 0) {
+    throw notFound();
+  }
+
+  return toPublicIncident(result.rows[0], updates);
+}
+
+/**
+ * Latest published updates across all incidents, for the feeds
+ *
+ * @returns {Promise<Array>} - [{ id, incidentId, title, status, message, publishedAt, url }], newest first
+ */
+async function listFeedItems() {
+  const result = await db.query(
+    `SELECT u.id, u.message, u.incident_status, u.published_at,
+            i.id AS incident_id, i.public_title, i.affected_components
+     FROM incident_customer_updates u
+     JOIN incidents i ON i.id = u.incident_id
+     WHERE u.status = 'published'
+       AND i.deleted_at IS NULL
+     ORDER BY u.published_at DESC, u.id DESC
+     LIMIT $1`,
+    [FEED_LIMIT]
+  );
+
+  return result.rows.map(row => ({
+    ...toPublicUpdate(row),
+    incidentId: row.incident_id,
+    title: row.public_title || defaultTitle(row.affected_components || []),
+    url: `${config.statusPage.url}/incidents/${row.incident_id}`,
+  }));
+}
+
+/**
+ * Escape text for XML content and attributes
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Capitalized public status for feed titles, e.g. "Investigating"
+ */
+function statusLabel(status) {
+  return status.charAt(0).toUpperCase() + status.slice(1);
+}
+
+/**
+ * Render feed items as RSS 2.0
+ *
+ * @param {Array} items - Result of listFeedItems
+ * @returns {string} - XML document
+ */
+function renderRss(items) {
+  const { title, url } = config.statusPage;
+
+  const entries = items.map(item => [
+    '    <item>',
+    `      <title>${escapeXml(`${statusLabel(item.status)}: ${item.title}`)}</title>`,
+    `      <link>${escapeXml(item.url)}</link>`,
+    `      <guid isPermaLink="false">incident-update-${item.id}</guid>`,
+    `      <pubDate>${new Date(item.publishedAt).toUTCString()}</pubDate>`,
+    `      <description>${escapeXml(item.message)}</description>`,
+    '    </item>',
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0">',
+    '  <channel>',
+    `    <title>${escapeXml(title)}</title>`,
+    `    <link>${escapeXml(url)}</link>`,
+    `    <description>${escapeXml(`Incident updates from ${title}`)}</description>`,
+    ...(items.length > 0 ? [`    <lastBuildDate>${new Date(items[0].publishedAt).toUTCString()}</lastBuildDate>`] : []),
+    ...entries,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Render feed items as Atom
+ *
+ * @param {Array} items - Result of listFeedItems
+ * @returns {string} - XML document
+ */
+function renderAtom(items) {
+  const { title, url } = config.statusPage;
+  const updated = items.length > 0 ? new Date(items[0].publishedAt) : new Date();
+
+  const entries = items.map(item => [
+    '  <entry>',
+    `    <id>${escapeXml(`${url}/incidents/${item.incidentId}#update-${item.id}`)}</id>`,
+    `    <title>${escapeXml(`${statusLabel(item.status)}: ${item.title}`)}</title>`,
+    `    <link href="${escapeXml(item.url)}"/>`,
+    `    <updated>${new Date(item.publishedAt).toISOString()}</updated>`,
+    `    <content type="text">${escapeXml(item.message)}</content>`,
+    '  </entry>',
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(url)}</id>`,
+    `  <title>${escapeXml(title)}</title>`,
+    `  <link href="${escapeXml(url)}"/>`,
+    `  <updated>${updated.toISOString()}</updated>`,
+    `  <author><name>${escapeXml(title)}</name></author>`,
+    ...entries,
+    '</feed>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Set the public title and affected components of an incident
+ *
+ * @param {number} incidentId - Incident ID
+ * @param {Object} fields
+ * @param {string|null} [fields.publicTitle] - null or '' clears it
+ * @param {Array<string>} [fields.affectedComponents] - Must be configured components when
+ *                                                      STATUS_PAGE_COMPONENTS is set
+ * @param {string} [actorName='System'] - Who changed it
+ * @returns {Promise<Object>} - { publicTitle, affectedComponents }
+ */
+async function updatePublicInfo(incidentId, { publicTitle, affectedComponents } = {}, actorName = 'System') {
+  logger.info('Updating public incident info', { incidentId, actorName });
+
+  if (publicTitle !== undefined && publicTitle !== null && typeof publicTitle !== 'string') {
+    throw createHttpError(400, 'publicTitle must be a string');
+  }
+
+  if (publicTitle && publicTitle.trim().length > MAX_PUBLIC_TITLE_LENGTH) {
+    throw createHttpError(400, `publicTitle must be at most ${MAX_PUBLIC_TITLE_LENGTH} characters`);
+  }
+
+  if (affectedComponents !== undefined) {
+    if (!Array.isArray(affectedComponents) || affectedComponents.some(name => typeof name !== 'string' || !name.trim())) {
+      throw createHttpError(400, 'affectedComponents must be an array of component names');
+    }
+
+    const known = config.statusPage.components;
+    const unknown = affectedComponents.filter(name => known.length > 0 && !known.includes(name.trim()));
+
+    if (unknown.length > 0) {
+      throw createHttpError(400, `Unknown components: ${unknown.join(', ')}. Must be among: ${known.join(', ')}`);
+    }
+  }
+
+  const incident = await incidentsService.getIncidentById(incidentId);
+
+  if (!incident) {
+    throw createHttpError(404, `Incident with ID ${incidentId} not found`);
+  }
+
+  const title = publicTitle === undefined ? incident.public_title : (publicTitle || '').trim() || null;
+  const components = affectedComponents === undefined
+    ? incident.affected_components || []
+    : [...new Set(affectedComponents.map(name => name.trim()))];
+
+  await db.query(
+    `UPDATE incidents
+     SET public_title = $1, affected_components = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $3`,
+    [title, components, incidentId]
+  );
+
+  await logActivity(
+    incidentId,
+    'public_info_updated',
+    actorName,
+    `${actorName} updated the status page title and components`,
+    { publicTitle: title, affectedComponents: components }
+  );
+
+  return { publicTitle: title, affectedComponents: components };
+}
+
+module.exports = {
+  PUBLIC_STATUSES,
+  defaultTitle,
+  toPublicIncident,
+  getStatus,
+  getIncident,
+  listFeedItems,
+  renderRss,
+  renderAtom,
+  updatePublicInfo,
+};
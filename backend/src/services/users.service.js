@@ -0,0 +1,399 @@
+/**
+ * Users Service
+ *
+ * Purpose: User accounts and password hashing
+ * Used by: auth.service.js (login), oidc.service.js (single sign-on accounts),
+ *          users.controller.js, index.js (bootstrap account)
+ *
+ * Passwords are hashed with scrypt from Node's crypto module and a random
+ * salt per user. The cost parameters are stored with each hash, so they can
+ * be raised later without invalidating existing passwords. Accounts that
+ * sign in through the identity provider have no password at all.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const db = require('../db');
+const config = require('../config/env');
+const logger = require('../config/logger');
+const { createHttpError } = require('../utils/httpError');
+const { ROLES } = require('../utils/permissions');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters for new hashes (N = CPU/memory cost)
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SALT_BYTES = 16;
+const KEY_BYTES = 64;
+
+const MIN_PASSWORD_LENGTH = 10;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+// Never includes password_hash
+const USER_COLUMNS = 'id, email, name, role, is_active, created_at, last_login_at';
+
+/**
+ * Hash a password for storage
+ *
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} - 'scrypt$N$r$p$salt$hash'
+ */
+async function hashPassword(password) {
+  const { N, r, p } = SCRYPT_PARAMS;
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await scrypt(password, salt, KEY_BYTES, { N, r, p });
+
+  return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against a stored hash
+ *
+ * @param {string} password - Plain-text password
+ * @param {string} stored - Result of hashPassword
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored || '').split('$');
+
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'base64');
+
+  try {
+    const key = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+      N: Number(N),
+      r: Number(r),
+      p: Number(p),
+    });
+
+    return crypto.timingSafeEqual(key, expected);
+  } catch (error) {
+    // Corrupt cost parameters in the stored hash
+    logger.error('Failed to verify password hash', { error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Check that a password is long enough
+ */
+function assertPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw createHttpError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+/**
+ * Check that a role exists
+ */
+function assertRole(role) {
+  if (!ROLES.includes(role)) {
+    throw createHttpError(400, `Role must be one of: ${ROLES.join(', ')}`);
+  }
+}
+
+/**
+ * Whether a change takes admin access away (a demotion or a deactivation)
+ */
+function removesAdminAccess({ role, isActive }) {
+  return (Boolean(role) && role !== 'admin') || isActive === false;
+}
+
+/**
+ * Count the active admins other than the given user
+ *
+ * @param {number} userId - User to leave out
+ * @returns {Promise<number>}
+ */
+async function countOtherActiveAdmins(userId) {
+  const result = await db.query(
+    `SELECT COUNT(*)::int AS count FROM users WHERE role = 'admin' AND is_active AND id <> $1`,
+    [userId]
+  );
+
+  return result.rows[0].count;
+}
+
+/**
+ * Find a user by email, including the password hash (for login)
+ *
+ * @param {string} email - Email, case-insensitive
+ * @returns {Promise<Object|null>}
+ */
+async function findByEmailWithPassword(email) {
+  const result = await db.query(
+    `SELECT ${USER_COLUMNS}, password_hash FROM users WHERE LOWER(email) = LOWER($1)`,
+    [String(email || '').trim()]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Get a user by ID
+ *
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>}
+ */
+async function getUserById(userId) {
+  const result = await db.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [userId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * List all users, by name
+ *
+ * @returns {Promise<Array>}
+ */
+async function listUsers() {
+  const result = await db.query(`SELECT ${USER_COLUMNS} FROM users ORDER BY LOWER(name), id`);
+  return result.rows;
+}
+
+/**
+ * Create a user
+ *
+ * @param {Object} fields
+ * @param {string} fields.email - Login email (unique, case-insensitive)
+ * @param {string} fields.name - Display name, recorded as the actor of changes
+ * @param {string} fields.password - At least MIN_PASSWORD_LENGTH characters
+ * @param {string} [fields.role='viewer'] - One of ROLES (utils/permissions.js)
+ * @returns {Promise<Object>} - The user, without password hash
+ */
+async function createUser({ email, name, password, role = 'viewer' } = {}) {
+  const normalizedEmail = typeof email === 'string' ? email.trim() : '';
+  const normalizedName = typeof name === 'string' ? name.trim() : '';
+
+  if (!EMAIL_PATTERN.test(normalizedEmail)) {
+    throw createHttpError(400, 'A valid email is required');
+  }
+
+  if (!normalizedName) {
+    throw createHttpError(400, 'Name is required');
+  }
+
+  assertPassword(password);
+  assertRole(role);
+
+  if (await findByEmailWithPassword(normalizedEmail)) {
+    throw createHttpError(409, `A user with email ${normalizedEmail} already exists`);
+  }
+
+  const result = await db.query(
+    `INSERT INTO users (email, name, password_hash, role)
+     VALUES ($1, $2, $3, $4)
+     RETURNING ${USER_COLUMNS}`,
+    [normalizedEmail, normalizedName, await hashPassword(password), role]
+  );
+
+  logger.success('User created', { userId: result.rows[0].id, email: normalizedEmail, role });
+
+  return result.rows[0];
+}
+
+/**
+ * Change a user's role or deactivate/reactivate them
+ * Admins cannot demote or deactivate themselves, so there is always an admin left.
+ *
+ * @param {number} userId - User to change
+ * @param {Object} fields
+ * @param {string} [fields.role] - New role
+ * @param {boolean} [fields.isActive] - false to block logins and revoke access
+ * @param {number} actingUserId - The admin making the change
+ * @returns {Promise<Object>} - The updated user
+ */
+async function updateUser(userId, { role, isActive } = {}, actingUserId) {
+  if (role === undefined && isActive === undefined) {
+    throw createHttpError(400, 'Nothing to update: provide role and/or isActive');
+  }
+
+  if (role !== undefined) {
+    assertRole(role);
+  }
+
+  if (isActive !== undefined && typeof isActive !== 'boolean') {
+    throw createHttpError(400, 'isActive must be true or false');
+  }
+
+  if (Number(userId) === Number(actingUserId) && removesAdminAccess({ role, isActive })) {
+    throw createHttpError(400, 'You cannot remove your own admin access');
+  }
+
+  const result = await db.query(
+    `UPDATE users
+     SET role = COALESCE($2, role), is_active = COALESCE($3, is_active)
+     WHERE id = $1
+     RETURNING ${USER_COLUMNS}`,
+    [userId, role ?? null, isActive ?? null]
+  );
+
+  if (result.rows.length === 0) {
+    throw createHttpError(404, `User ${userId} not found`);
+  }
+
+  logger.info('User updated', { userId, role, isActive, actingUserId });
+
+  return result.rows[0];
+}
+
+/**
+ * Find or create the account of a user who signed in through the identity provider
+ *
+ * Accounts are matched by issuer and subject. The first SSO login of an
+ * existing local account with the same email links the two, so people keep
+ * their history and role, but only when the identity provider says the email
+ * is verified: otherwise anyone who can set that address at the provider
+ * could take over the account.
+ *
+ * @param {Object} identity
+ * @param {string} identity.issuer - OIDC issuer
+ * @param {string} identity.subject - sub claim
+ * @param {string} identity.email - email claim
+ * @param {boolean} [identity.emailVerified=false] - email_verified claim was true
+ * @param {string} identity.name - Display name
+ * @param {string} identity.role - Role for new accounts (and for all when syncRole is set)
+ * @param {boolean} [identity.syncRole=false] - Overwrite the role of existing accounts,
+ *   except that the last active admin keeps the admin role
+ * @returns {Promise<Object>} - The user (check is_active before starting a session)
+ * @throws {Error} - 409 when the email belongs to another SSO account, or to a
+ *   local account and the email is not verified
+ */
+async function findOrCreateOidcUser({ issuer, subject, email, name, role, emailVerified = false, syncRole = false }) {
+  assertRole(role);
+
+  let result = await db.query(
+    `SELECT ${USER_COLUMNS}, oidc_subject FROM users WHERE oidc_issuer = $1 AND oidc_subject = $2`,
+    [issuer, subject]
+  );
+
+  if (result.rows.length === 0) {
+    result = await db.query(
+      `SELECT ${USER_COLUMNS}, oidc_subject FROM users WHERE LOWER(email) = LOWER($1)`,
+      [email]
+    );
+
+    if (result.rows[0]?.oidc_subject) {
+      throw createHttpError(409, `${email} is already linked to another single sign-on account`);
+    }
+
+    if (result.rows.length > 0 && !emailVerified) {
+      throw createHttpError(
+        409,
+        `An account for ${email} already exists; it can only be linked once the identity provider verifies the email address`
+      );
+    }
+  }
+
+  if (result.rows.length === 0) {
+    const created = await db.query(
+      `INSERT INTO users (email, name, password_hash, role, oidc_issuer, oidc_subject)
+       VALUES ($1, $2, NULL, $3, $4, $5)
+       RETURNING ${USER_COLUMNS}`,
+      [email, name, role, issuer, subject]
+    );
+
+    logger.success('User created from single sign-on', { userId: created.rows[0].id, email, role });
+
+    return created.rows[0];
+  }
+
+  const existing = result.rows[0];
+  let syncedRole = syncRole ? role : null;
+
+  // Like updateUser, never take admin access from the last admin: an identity
+  // provider group change would otherwise lock everyone out of user management
+  if (syncedRole && existing.role === 'admin' && existing.is_active && removesAdminAccess({ role: syncedRole })
+    && await countOtherActiveAdmins(existing.id) === 0) {
+    logger.warn('Kept the admin role of the last admin despite the single sign-on role mapping', {
+      userId: existing.id,
+      mappedRole: syncedRole,
+    });
+    syncedRole = null;
+  }
+
+  const updated = await db.query(
+    `UPDATE users
+     SET name = $2, oidc_issuer = $3, oidc_subject = $4, role = COALESCE($5, role)
+     WHERE id = $1
+     RETURNING ${USER_COLUMNS}`,
+    [existing.id, name, issuer, subject, syncedRole]
+  );
+
+  if (!existing.oidc_subject) {
+    logger.info('Linked user to single sign-on account', { userId: existing.id });
+  }
+
+  return updated.rows[0];
+}
+
+/**
+ * Change a user's password after checking the current one
+ *
+ * @param {number} userId - User ID
+ * @param {string} currentPassword - Current password
+ * @param {string} newPassword - New password
+ */
+async function changePassword(userId, currentPassword, newPassword) {
+  assertPassword(newPassword);
+
+  const result = await db.query('SELECT password_hash FROM users WHERE id = $1', [userId]);
+
+  if (result.rows.length === 0) {
+    throw createHttpError(404, 'User not found');
+  }
+
+  if (!result.rows[0].password_hash) {
+    throw createHttpError(400, 'This account signs in with single sign-on and has no password');
+  }
+
+  if (!(await verifyPassword(String(currentPassword || ''), result.rows[0].password_hash))) {
+    throw createHttpError(400, 'Current password is incorrect');
+  }
+
+  await db.query('UPDATE users SET password_hash = $1 WHERE id = $2', [await hashPassword(newPassword), userId]);
+
+  logger.info('Password changed', { userId });
+}
+
+/**
+ * Create the AUTH_BOOTSTRAP_* account while no users exist
+ * Lets a fresh installation log in for the first time
+ *
+ * @returns {Promise<Object|null>} - The created user, or null when nothing was done
+ */
+async function ensureBootstrapUser() {
+  const { email, name, password } = config.auth.bootstrap;
+
+  if (!email || !password) {
+    return null;
+  }
+
+  const count = await db.query('SELECT COUNT(*)::int AS count FROM users');
+
+  if (count.rows[0].count > 0) {
+    return null;
+  }
+
+  const user = await createUser({ email, name, password, role: 'admin' });
+  logger.warn('Created the bootstrap user; remove AUTH_BOOTSTRAP_PASSWORD from the environment', { email });
+
+  return user;
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  findByEmailWithPassword,
+  getUserById,
+  listUsers,
+  createUser,
+  updateUser,
+  findOrCreateOidcUser,
+  changePassword,
+  ensureBootstrapUser,
+};
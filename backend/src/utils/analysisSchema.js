@@ -0,0 +1,165 @@
+/**
+ * Analysis Schema
+ *
+ * Purpose: Shape of the structured root causes and action items stored in
+ *          ai_root_causes / ai_action_items (and incident_analyses)
+ * Used by: ai.service.js to validate provider output before it is saved, and
+ *          incidents-postmortems.service.js (validateObject) for drafted postmortem sections
+ *
+ * Root cause:  { cause, likelihood, reasoning, components }
+ * Action item: { priority, action, owner, command }
+ *
+ * Entries that are missing their required text are dropped; optional fields
+ * that are missing or invalid fall back to their defaults. Legacy strings
+ * (produced before analyses were stored as objects) are parsed back into the
+ * structured shape so old and new rows render the same way.
+ */
+
+const LIKELIHOODS = ['high', 'medium', 'low'];
+const PRIORITIES = ['immediate', 'high', 'medium', 'low'];
+
+/**
+ * Field definitions
+ * - type:     'string' or 'string[]'
+ * - required: entry is rejected when the field is empty
+ * - enum:     allowed values (compared case-insensitively)
+ * - default:  used when an optional field is missing or invalid
+ */
+const ROOT_CAUSE_SCHEMA = {
+  cause: { type: 'string', required: true },
+  likelihood: { type: 'string', enum: LIKELIHOODS, default: 'medium' },
+  reasoning: { type: 'string', default: null },
+  components: { type: 'string[]', default: [] },
+};
+
+const ACTION_ITEM_SCHEMA = {
+  priority: { type: 'string', enum: PRIORITIES, default: 'medium' },
+  action: { type: 'string', required: true },
+  owner: { type: 'string', default: null },
+  command: { type: 'string', default: null },
+};
+
+/**
+ * Validate a single field value against its definition
+ *
+ * @returns {*} - Cleaned value, or undefined when the value is invalid
+ */
+function validateField(definition, value) {
+  if (definition.type === 'string[]') {
+    if (!Array.isArray(value)) return undefined;
+    return value
+      .filter(item => typeof item === 'string' && item.trim())
+      .map(item => item.trim());
+  }
+
+  if (typeof value !== 'string' || !value.trim()) return undefined;
+
+  const text = value.trim();
+
+  if (definition.enum) {
+    const normalized = text.toLowerCase();
+    return definition.enum.includes(normalized) ? normalized : undefined;
+  }
+
+  return text;
+}
+
+/**
+ * Validate an object against a schema
+ *
+ * @param {Object} schema - ROOT_CAUSE_SCHEMA or ACTION_ITEM_SCHEMA
+ * @param {Object} value - Raw object from a provider
+ * @returns {Object|null} - Cleaned object, or null if a required field is missing
+ */
+function validateObject(schema, value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return null;
+  }
+
+  const result = {};
+
+  for (const [field, definition] of Object.entries(schema)) {
+    const cleaned = validateField(definition, value[field]);
+
+    if (cleaned === undefined) {
+      if (definition.required) return null;
+      result[field] = Array.isArray(definition.default) ? [] : definition.default;
+    } else {
+      result[field] = cleaned;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parse a legacy root cause string
+ * Format: "[HIGH] Cause text (Components: db, api)\nReasoning: why"
+ */
+function parseLegacyRootCause(text) {
+  const match = text.trim().match(/^(?:\[(\w+)\]\s*)?([\s\S]*?)(?:\s*\(Components: ([^)]*)\))?(?:\nReasoning: ([\s\S]*))?$/);
+
+  return {
+    cause: match[2],
+    likelihood: match[1],
+    reasoning: match[4],
+    components: match[3] ? match[3].split(',') : [],
+  };
+}
+
+/**
+ * Parse a legacy action item string
+ * Format: "1. [HIGH] @SRE Action text\n   Command: some command"
+ */
+function parseLegacyActionItem(text) {
+  const match = text.trim().match(/^(?:\d+\.\s*)?(?:\[(\w+)\]\s*)?(?:@(\S+)\s+)?([\s\S]*?)(?:\n\s*Command: ([\s\S]*))?$/);
+
+  return {
+    priority: match[1],
+    owner: match[2],
+    action: match[3],
+    command: match[4],
+  };
+}
+
+/**
+ * Validate a list of root causes
+ *
+ * @param {Array|string} rootCauses - Raw provider output (objects or legacy strings)
+ * @returns {{ items: Array<Object>, rejected: number }}
+ */
+function validateRootCauses(rootCauses) {
+  const list = Array.isArray(rootCauses) ? rootCauses : [rootCauses];
+  const items = list
+    .map(item => (typeof item === 'string' ? parseLegacyRootCause(item) : item))
+    .map(item => validateObject(ROOT_CAUSE_SCHEMA, item))
+    .filter(Boolean);
+
+  return { items, rejected: list.length - items.length };
+}
+
+/**
+ * Validate a list of action items
+ *
+ * @param {Array} actionItems - Raw provider output (objects or legacy strings)
+ * @returns {{ items: Array<Object>, rejected: number }}
+ */
+function validateActionItems(actionItems) {
+  const list = Array.isArray(actionItems) ? actionItems : [];
+  const items = list
+    .map(item => (typeof item === 'string' ? parseLegacyActionItem(item) : item))
+    .map(item => validateObject(ACTION_ITEM_SCHEMA, item))
+    .filter(Boolean);
+
+  return { items, rejected: list.length - items.length };
+}
+
+module.exports = {
+  LIKELIHOODS,
+  PRIORITIES,
+  ROOT_CAUSE_SCHEMA,
+  ACTION_ITEM_SCHEMA,
+  validateObject,
+  validateRootCauses,
+  validateActionItems,
+};
@@ -0,0 +1,58 @@
+/**
+ * Date Range Helper
+ *
+ * Purpose: Parses the ?from=YYYY-MM-DD&to=YYYY-MM-DD range of report endpoints
+ * Used by: ai-usage.controller.js, analysis-quality.controller.js
+ */
+
+/**
+ * Parse a YYYY-MM-DD date from a query value
+ * Returns null when the value is not a real calendar date
+ */
+function parseDay(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) {
+    return null;
+  }
+
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value) ? value : null;
+}
+
+/**
+ * Format a Date as YYYY-MM-DD (UTC)
+ */
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Resolve an inclusive report range from query parameters
+ * Both dates are optional; the default is the last `defaultDays` days
+ *
+ * @param {Object} query - req.query with optional from / to
+ * @param {number} defaultDays - Range length when "from" is missing
+ * @returns {{ from: string, to: string }|{ error: string }}
+ */
+function parseDateRange(query, defaultDays) {
+  const today = new Date();
+  const defaultFrom = new Date(today.getTime() - (defaultDays - 1) * 24 * 60 * 60 * 1000);
+
+  const to = query.to ? parseDay(query.to) : formatDay(today);
+  const from = query.from ? parseDay(query.from) : formatDay(defaultFrom);
+
+  if (!from || !to) {
+    return { error: 'Query parameters "from" and "to" must be dates in YYYY-MM-DD format' };
+  }
+
+  if (from > to) {
+    return { error: '"from" must not be after "to"' };
+  }
+
+  return { from, to };
+}
+
+module.exports = {
+  parseDay,
+  formatDay,
+  parseDateRange,
+};
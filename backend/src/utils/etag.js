@@ -0,0 +1,86 @@
+/**
+ * Incident ETags
+ *
+ * Purpose: Optimistic concurrency for incident updates. An incident's ETag is
+ *          its version ("v3"); updates sent with If-Match are only applied if
+ *          the incident is still at that version.
+ * Used by: incidents.controller.js / incidents-management.controller.js (headers),
+ *          incidents-edit.service.js / incidents-management.service.js (412 errors)
+ *
+ * Without an If-Match header (or with "If-Match: *") updates are applied as
+ * before, so existing scripts keep working.
+ */
+
+const { createHttpError } = require('./httpError');
+
+const ETAG_PATTERN = /^"v(\d+)"$/;
+
+/**
+ * @param {Object} incident - Incident with a version
+ * @returns {string} - e.g. "v3" (with the quotes, as HTTP requires)
+ */
+function formatIncidentEtag(incident) {
+  return `"v${incident.version}"`;
+}
+
+/**
+ * Send the incident's ETag with the response
+ *
+ * The version only tracks the edited fields, not AI analysis results, so the
+ * response must not be cached and revalidated with If-None-Match (Express
+ * would answer 304 while the analysis has changed).
+ *
+ * @param {Object} res - Express response
+ * @param {Object} incident - Incident with a version
+ */
+function setIncidentEtag(res, incident) {
+  if (incident?.version != null) {
+    res.set('ETag', formatIncidentEtag(incident));
+    res.set('Cache-Control', 'no-store');
+  }
+}
+
+/**
+ * Read the versions an update may be applied to from If-Match
+ *
+ * @param {string} [header] - The If-Match request header
+ * @returns {number[]|null} - Accepted versions, or null to accept any version
+ * @throws {Error} - 400 when the header is not a list of incident ETags
+ */
+function parseIfMatch(header) {
+  if (header === undefined || header.trim() === '*') {
+    return null;
+  }
+
+  return header.split(',').map((value) => {
+    const match = ETAG_PATTERN.exec(value.trim());
+
+    if (!match) {
+      throw createHttpError(400, `Invalid If-Match header: expected an ETag like "v3" from GET /api/incidents/:id`);
+    }
+
+    return Number(match[1]);
+  });
+}
+
+/**
+ * The error for an update that lost the race
+ *
+ * @param {number} id - Incident ID
+ * @param {number} currentVersion - The incident's version now
+ * @returns {Error} - 412 with currentVersion
+ */
+function createVersionConflictError(id, currentVersion) {
+  return createHttpError(
+    412,
+    `Incident ${id} was changed by someone else (now at version ${currentVersion}). Reload it and try again.`,
+    { currentVersion }
+  );
+}
+
+module.exports = {
+  formatIncidentEtag,
+  setIncidentEtag,
+  parseIfMatch,
+  createVersionConflictError,
+};
@@ -0,0 +1,26 @@
+/**
+ * HTTP Error Helper
+ *
+ * Purpose: Creates Error objects carrying an HTTP status code
+ * Used by: Services that need errorHandler.js to respond with something other than 500
+ *
+ * Example usage:
+ *   throw createHttpError(404, `Incident with ID ${id} not found`);
+ */
+
+/**
+ * @param {number} statusCode - HTTP status code (e.g. 400, 404, 409)
+ * @param {string} message - Error message sent to the client
+ * @param {Object} [details] - Extra fields copied onto the error
+ * @returns {Error}
+ */
+function createHttpError(statusCode, message, details = {}) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  Object.assign(error, details);
+  return error;
+}
+
+module.exports = {
+  createHttpError,
+};
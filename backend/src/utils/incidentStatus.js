@@ -0,0 +1,119 @@
+/**
+ * Incident Status Workflow
+ *
+ * Purpose: The incident statuses and which status may follow which
+ * Used by: config/env.js (defaults and validation of INCIDENT_STATUS_* settings),
+ *          incidents-management.service.js (enforcing transitions, milestone timestamps),
+ *          incidents-postmortems.service.js (which incidents are over)
+ *
+ * The workflow is a graph: each status lists the statuses it may move to.
+ * A status can also require fields when moving to it, e.g. a resolution note
+ * when resolving. Both can be overridden in the environment.
+ */
+
+const STATUSES = [
+  'open',
+  'acknowledged',
+  'investigating',
+  'identified',
+  'monitoring',
+  'resolved',
+  'postmortem_pending',
+  'closed',
+  'reopened',
+];
+
+// Statuses of an incident that is over; its resolution timestamps and note are
+// cleared whenever it moves back to any other status
+const RESOLVED_STATUSES = ['resolved', 'postmortem_pending', 'closed'];
+
+// Status → column recording when the incident reached it
+const MILESTONE_COLUMNS = {
+  acknowledged: 'acknowledged_at',
+  identified: 'identified_at',
+  monitoring: 'monitoring_at',
+  resolved: 'resolved_at',
+  postmortem_pending: 'postmortem_pending_at',
+  closed: 'closed_at',
+};
+
+// Fields a transition can require:
+// - resolutionNote: how the incident was resolved (stored on the incident)
+// - reason:         why the status changed (recorded in the activity log)
+const TRANSITION_FIELDS = ['resolutionNote', 'reason'];
+
+const DEFAULT_TRANSITIONS = {
+  open: ['acknowledged', 'investigating', 'resolved'],
+  acknowledged: ['investigating', 'identified', 'resolved'],
+  investigating: ['identified', 'monitoring', 'resolved'],
+  identified: ['monitoring', 'resolved'],
+  monitoring: ['resolved', 'investigating'],
+  resolved: ['postmortem_pending', 'closed', 'reopened'],
+  postmortem_pending: ['closed', 'reopened'],
+  closed: ['reopened'],
+  reopened: ['investigating', 'identified', 'monitoring', 'resolved'],
+};
+
+const DEFAULT_REQUIRED_FIELDS = {
+  resolved: ['resolutionNote'],
+  reopened: ['reason'],
+};
+
+/**
+ * Check a workflow from the environment
+ *
+ * @param {Object|null} transitions - { status: [next statuses] }, null if not valid JSON
+ * @param {Object|null} requiredFields - { status: [fields] }, null if not valid JSON
+ * @returns {string[]} - Problems, empty when the workflow is valid
+ */
+function validateWorkflow(transitions, requiredFields) {
+  const errors = [];
+
+  if (transitions === null) {
+    errors.push('INCIDENT_STATUS_TRANSITIONS must be a JSON object like {"open": ["investigating", "resolved"]}');
+  } else {
+    Object.entries(transitions).forEach(([from, next]) => {
+      if (!STATUSES.includes(from)) {
+        errors.push(`INCIDENT_STATUS_TRANSITIONS has an unknown status: ${from}`);
+      }
+      if (!Array.isArray(next)) {
+        errors.push(`INCIDENT_STATUS_TRANSITIONS.${from} must be a list of statuses`);
+        return;
+      }
+      next
+        .filter(status => !STATUSES.includes(status))
+        .forEach(status => errors.push(`INCIDENT_STATUS_TRANSITIONS.${from} has an unknown status: ${status}`));
+    });
+  }
+
+  if (requiredFields === null) {
+    errors.push('INCIDENT_STATUS_REQUIRED_FIELDS must be a JSON object like {"resolved": ["resolutionNote"]}');
+  } else {
+    Object.entries(requiredFields).forEach(([status, fields]) => {
+      if (!STATUSES.includes(status)) {
+        errors.push(`INCIDENT_STATUS_REQUIRED_FIELDS has an unknown status: ${status}`);
+      }
+      if (!Array.isArray(fields)) {
+        errors.push(`INCIDENT_STATUS_REQUIRED_FIELDS.${status} must be a list of fields`);
+        return;
+      }
+      fields
+        .filter(field => !TRANSITION_FIELDS.includes(field))
+        .forEach(field => errors.push(
+          `INCIDENT_STATUS_REQUIRED_FIELDS.${status} has an unknown field ${field} (use ${TRANSITION_FIELDS.join(', ')})`
+        ));
+    });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  STATUSES,
+  RESOLVED_STATUSES,
+  MILESTONE_COLUMNS,
+  TRANSITION_FIELDS,
+  DEFAULT_TRANSITIONS,
+  DEFAULT_REQUIRED_FIELDS,
+  validateWorkflow,
+};
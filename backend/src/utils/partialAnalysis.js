@@ -0,0 +1,130 @@
+/**
+ * Partial Analysis Parser
+ *
+ * Purpose: Pulls displayable sections out of an analysis JSON answer that is
+ *          still being streamed, e.g. '{"summary": "Database pool exha'
+ * Used by: ai.service.js when streaming analysis to SSE subscribers
+ *
+ * JSON.parse cannot read a truncated document, so each section is located by
+ * its key instead:
+ * - String fields (summary, customerMessage) are returned even while the
+ *   closing quote has not arrived yet
+ * - Array fields (rootCauses, actionItems) return only the objects that are
+ *   already complete
+ */
+
+const { validateRootCauses, validateActionItems } = require('./analysisSchema');
+
+/**
+ * Decode a JSON string body that may be cut off mid-escape
+ *
+ * @param {string} body - Characters between the opening quote and the end (or closing quote)
+ * @returns {string}
+ */
+function decodeJsonString(body) {
+  // Drop an escape sequence that has not fully arrived (e.g. '\' or '\u00')
+  const safeBody = body.replace(/\\(u[0-9a-fA-F]{0,3})?$/, '');
+
+  try {
+    return JSON.parse(`"${safeBody}"`);
+  } catch {
+    return safeBody;
+  }
+}
+
+/**
+ * Extract a (possibly unterminated) string value for a key
+ *
+ * @returns {{ value: string, complete: boolean }|null}
+ */
+function extractString(text, key) {
+  const match = new RegExp(`"${key}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)(")?`).exec(text);
+
+  if (!match) return null;
+
+  return {
+    value: decodeJsonString(match[1]),
+    complete: Boolean(match[2]),
+  };
+}
+
+/**
+ * Extract the complete objects of an array value for a key
+ * Scans character by character so braces inside strings are ignored
+ *
+ * @returns {Array<Object>|null} - Parsed objects, or null if the key has not appeared
+ */
+function extractObjects(text, key) {
+  const match = new RegExp(`"${key}"\\s*:\\s*\\[`).exec(text);
+
+  if (!match) return null;
+
+  const objects = [];
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = match.index + match[0].length; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      if (depth === 0) start = i;
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) {
+        try {
+          objects.push(JSON.parse(text.slice(start, i + 1)));
+        } catch {
+          // Malformed object - skip it; the final parse will report real problems
+        }
+      }
+    } else if (char === ']' && depth === 0) {
+      break; // End of the array
+    }
+  }
+
+  return objects;
+}
+
+/**
+ * Extract every section that can already be shown
+ *
+ * @param {string} text - Raw answer streamed so far
+ * @returns {Object} - Any of { summary, customerMessage, rootCauses, actionItems }
+ *
+ * Example:
+ *   extractPartialAnalysis('{"summary": "Pool exhausted", "rootCauses": [{"cause": "Le')
+ *   // => { summary: 'Pool exhausted', rootCauses: [] }
+ */
+function extractPartialAnalysis(text) {
+  const partial = {};
+
+  const summary = extractString(text, 'summary');
+  if (summary) partial.summary = summary.value;
+
+  const customerMessage = extractString(text, 'customerMessage');
+  if (customerMessage) partial.customerMessage = customerMessage.value;
+
+  const rootCauses = extractObjects(text, 'rootCauses');
+  if (rootCauses) partial.rootCauses = validateRootCauses(rootCauses).items;
+
+  const actionItems = extractObjects(text, 'actionItems');
+  if (actionItems) partial.actionItems = validateActionItems(actionItems).items;
+
+  return partial;
+}
+
+module.exports = {
+  extractPartialAnalysis,
+};
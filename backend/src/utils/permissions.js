@@ -0,0 +1,68 @@
+/**
+ * Roles and Permissions
+ *
+ * Purpose: The user roles and which of them may perform each operation
+ * Used by: middlewares/auth.js (requirePermission on every /api route),
+ *          users.service.js (validating roles), auth.controller.js (GET /api/auth/me
+ *          lists the caller's permissions so the frontend can hide actions)
+ *
+ * Roles, least to most privileged:
+ * - viewer:             reads incidents, analyses and reports
+ * - responder:          works incidents: creates them, changes status, comments,
+ *                       runs analyses, manages action items, drafts updates and postmortems
+ * - incident_commander: also decides severity and approves/publishes customer updates
+ * - admin:              also archives, restores and purges incidents and manages users
+ */
+
+const ROLES = ['viewer', 'responder', 'incident_commander', 'admin'];
+
+const RESPONDERS = ['responder', 'incident_commander', 'admin'];
+const COMMANDERS = ['incident_commander', 'admin'];
+const ADMINS = ['admin'];
+
+// Permission → roles that have it
+const PERMISSIONS = {
+  'incidents:read': ROLES,
+  'incidents:create': RESPONDERS,
+  'incidents:update': RESPONDERS, // status, assignment
+  'incidents:comment': RESPONDERS,
+  'incidents:delete': ADMINS, // archive and restore
+  'incidents:purge': ADMINS, // permanently delete after the retention period
+  'analysis:run': RESPONDERS, // re-run, activate a version, ask the chat
+  'analysis:feedback': RESPONDERS,
+  'action_items:write': RESPONDERS,
+  'severity:decide': COMMANDERS,
+  'postmortems:write': RESPONDERS,
+  'customer_updates:draft': RESPONDERS,
+  'customer_updates:publish': COMMANDERS, // approve, publish, status page details
+  'analytics:read': ROLES,
+  'users:manage': ADMINS,
+};
+
+/**
+ * Whether a role has a permission
+ *
+ * @param {string} role - e.g. 'responder'
+ * @param {string} permission - e.g. 'incidents:delete'
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+  return (PERMISSIONS[permission] || []).includes(role);
+}
+
+/**
+ * All permissions of a role
+ *
+ * @param {string} role - e.g. 'viewer'
+ * @returns {string[]}
+ */
+function permissionsFor(role) {
+  return Object.keys(PERMISSIONS).filter(permission => hasPermission(role, permission));
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  hasPermission,
+  permissionsFor,
+};
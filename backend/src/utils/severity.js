@@ -0,0 +1,39 @@
+/**
+ * Severity Levels
+ *
+ * Purpose: The incident severity scale and how its levels compare
+ * Used by: incidents.service.js / incidents.controller.js (validation),
+ *          ai.service.js (normalizing the suggested severity) and
+ *          incidents-severity.service.js (reconciling it with the incident)
+ */
+
+// Lowest first
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * Normalize a severity value
+ *
+ * @param {*} value - e.g. 'High'
+ * @returns {string|null} - Lowercase severity, or null when it is not on the scale
+ */
+function normalizeSeverity(value) {
+  const severity = typeof value === 'string' ? value.trim().toLowerCase() : null;
+  return SEVERITIES.includes(severity) ? severity : null;
+}
+
+/**
+ * Whether severity a ranks above severity b
+ *
+ * @param {string} a - Severity
+ * @param {string} b - Severity
+ * @returns {boolean}
+ */
+function isMoreSevere(a, b) {
+  return SEVERITIES.indexOf(normalizeSeverity(a)) > SEVERITIES.indexOf(normalizeSeverity(b));
+}
+
+module.exports = {
+  SEVERITIES,
+  normalizeSeverity,
+  isMoreSevere,
+};
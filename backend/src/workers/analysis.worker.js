@@ -0,0 +1,211 @@
+/**
+ * Analysis Worker
+ *
+ * Purpose: Background loop that turns queued analysis jobs into AI analysis
+ * Used by: index.js (started after the database connection is verified)
+ *
+ * Flow for each job:
+ * 1. Claim the next due job from analysis_jobs
+ * 2. Mark the incident's analysis_status as 'running'
+ * 3. Call the AI provider with the description plus any comments and the most
+ *    similar past incidents (no fallback until the last attempt, so transient
+ *    provider errors are retried with backoff instead of masked)
+ * 4. Store the result as a new analysis version and make it active
+ *    (analysis_status = 'done') and complete the job
+ * 5. On error: re-queue with backoff, or mark the incident 'failed'
+ * 6. Translate the customer message into the configured locales, tell SSE
+ *    clients and re-embed the incident with its new summary. These run after
+ *    the job is completed and only log failures, so they never fail or retry
+ *    a finished analysis
+ *
+ * Progress is published to analysis-stream.service.js so SSE clients see the
+ * summary and root causes while the model is still writing them.
+ *
+ * The loop processes jobs back to back while the queue has work and sleeps
+ * for pollIntervalMs when it is empty.
+ */
+
+const config = require('../config/env');
+const logger = require('../config/logger');
+const jobsService = require('../services/analysis-jobs.service');
+const incidentsService = require('../services/incidents.service');
+const managementService = require('../services/incidents-management.service');
+const analysisService = require('../services/incidents-analysis.service');
+const streamService = require('../services/analysis-stream.service');
+const embeddingsService = require('../services/embeddings.service');
+const customerMessagesService = require('../services/incidents-customer-messages.service');
+const aiService = require('../services/ai.service');
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one follow-up step of a finished analysis, logging instead of throwing
+ *
+ * @param {string} step - What the step does, for the log
+ * @param {Object} job - The completed job
+ * @param {Function} fn - The step
+ */
+async function bestEffort(step, job, fn) {
+  try {
+    await fn();
+  } catch (error) {
+    logger.warn(`Analysis job completed, but could not ${step}`, {
+      jobId: job.id,
+      incidentId: job.incident_id,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Run the analysis for a single claimed job
+ *
+ * @param {Object} job - Job row returned by claimNextJob
+ */
+async function processJob(job) {
+  const incidentId = job.incident_id;
+  let updated;
+
+  try {
+    const incident = await incidentsService.getIncidentById(incidentId);
+
+    if (!incident) {
+      // Incident was deleted while the job was queued - nothing to do
+      await jobsService.completeJob(job.id);
+      return;
+    }
+
+    await incidentsService.setAnalysisStatus(incidentId, 'running');
+    streamService.publish(incidentId, 'status', { status: 'running' });
+
+    // Comments carry the logs and findings added since the incident was opened
+    const comments = await managementService.getComments(incidentId);
+
+    // How similar incidents were resolved is better context than generic patterns
+    const similarIncidents = await embeddingsService.findSimilarForPrompt(incident);
+
+    // Only fall back to the heuristic provider once retries are exhausted
+    const isLastAttempt = job.attempts >= job.max_attempts;
+
+    const analysis = await aiService.generateIncidentAnalysis({
+      title: incident.title,
+      severity: incident.severity,
+      description: incident.description,
+      comments,
+      similarIncidents,
+    }, {
+      allowFallback: isLastAttempt,
+      incidentId,
+      onPartial: config.ai.streaming
+        ? (partial) => streamService.publish(incidentId, 'partial', partial)
+        : undefined,
+    });
+
+    updated = await analysisService.recordAnalysis(incidentId, analysis, {
+      trigger: job.trigger,
+      requestedBy: job.requested_by,
+    });
+    await jobsService.completeJob(job.id);
+
+  } catch (error) {
+    const willRetry = await jobsService.failJob(job, error);
+    await incidentsService.setAnalysisStatus(incidentId, willRetry ? 'pending' : 'failed');
+
+    if (willRetry) {
+      streamService.publish(incidentId, 'status', { status: 'pending' });
+    } else {
+      streamService.publish(incidentId, 'failed', { error: error.message });
+    }
+    return;
+  }
+
+  // English stays available if translation fails
+  await bestEffort('translate the customer message', job,
+    () => customerMessagesService.translateCustomerMessage(updated));
+
+  await bestEffort('notify stream subscribers', job,
+    () => streamService.publish(incidentId, 'done', { incident: updated }));
+
+  await bestEffort('refresh the incident embedding', job,
+    () => embeddingsService.refreshEmbedding(updated));
+
+  logger.success('Analysis job completed', { jobId: job.id, incidentId });
+}
+
+/**
+ * Claim and process the next due job
+ *
+ * @returns {Promise<boolean>} - True if a job was processed
+ */
+async function processNextJob() {
+  const job = await jobsService.claimNextJob();
+
+  if (!job) {
+    return false;
+  }
+
+  await processJob(job);
+  return true;
+}
+
+/**
+ * One iteration of the worker loop
+ * Drains the queue, then schedules the next poll
+ */
+async function tick() {
+  try {
+    while (running && await processNextJob()) {
+      // Keep going while there is work
+    }
+  } catch (error) {
+    logger.error('Analysis worker iteration failed', { error: error.message });
+  }
+
+  if (running) {
+    timer = setTimeout(tick, config.analysisWorker.pollIntervalMs);
+  }
+}
+
+/**
+ * Start the worker loop
+ */
+async function start() {
+  if (running) return;
+
+  running = true;
+  logger.info('Starting analysis worker', {
+    pollIntervalMs: config.analysisWorker.pollIntervalMs,
+    maxAttempts: config.analysisWorker.maxAttempts,
+  });
+
+  try {
+    await jobsService.requeueStaleJobs();
+  } catch (error) {
+    logger.error('Failed to requeue stale analysis jobs', { error: error.message });
+  }
+
+  tick();
+}
+
+/**
+ * Stop the worker loop
+ * A job already in progress finishes; no new jobs are claimed
+ */
+function stop() {
+  running = false;
+
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  logger.info('Analysis worker stopped');
+}
+
+module.exports = {
+  start,
+  stop,
+  processJob,
+  processNextJob,
+};
@@ -1,46 +1,131 @@
-import { BrowserRouter, Routes, Route, Link } from 'react-router-dom';
+import { useState, useEffect } from 'react';
+import { BrowserRouter, Routes, Route, Link, Outlet, Navigate, useNavigate, useLocation } from 'react-router-dom';
 import IncidentsListPage from './pages/IncidentsListPage';
 import IncidentDetailPage from './pages/IncidentDetailPage';
 import NewIncidentPage from './pages/NewIncidentPage';
 import AnalyticsDashboard from './pages/AnalyticsDashboard';
+import PublicStatusPage from './pages/PublicStatusPage';
+import PublicIncidentPage from './pages/PublicIncidentPage';
+import LoginPage from './pages/LoginPage';
+import AccountPage from './pages/AccountPage';
+import UsersPage from './pages/UsersPage';
+import ArchivedIncidentsPage from './pages/ArchivedIncidentsPage';
+import { getCurrentUser, logout, hasPermission } from './services/authApi';
+import { UNAUTHORIZED_EVENT } from './services/apiClient';
 import './App.css';
 
 function App() {
   return (
     <BrowserRouter>
-      <div className="app">
-        <header className="app-header">
-          <div className="header-content">
-            <h1 className="app-title">AI Incident Assistant</h1>
-            <p className="app-subtitle">DevOps Incident Management with AI-Powered Analysis | v5.5</p>
-          </div>
-          <nav className="app-nav">
-            <Link to="/" className="nav-link">Incidents</Link>
-            <Link to="/analytics" className="nav-link">Analytics</Link>
-            <Link to="/incidents/new" className="nav-link nav-link-primary">+ New Incident</Link>
-          </nav>
-        </header>
-
-        <main className="app-main">
-          <Routes>
-            <Route path="/" element={<IncidentsListPage />} />
-            <Route path="/analytics" element={<AnalyticsDashboard />} />
-            <Route path="/incidents/new" element={<NewIncidentPage />} />
-            <Route path="/incidents/:id" element={<IncidentDetailPage />} />
-            <Route path="*" element={<NotFound />} />
-          </Routes>
-        </main>
-
-        <footer className="app-footer">
-          <p>
-            Powered by OpenAI | Built with React, Express & PostgreSQL
-          </p>
-        </footer>
-      </div>
+      <Routes>
+        {/* Public status page: no internal header, navigation or footer */}
+        <Route path="/status" element={<PublicStatusPage />} />
+        <Route path="/status/incidents/:id" element={<PublicIncidentPage />} />
+        <Route path="/login" element={<LoginPage />} />
+
+        <Route element={<InternalLayout />}>
+          <Route path="/" element={<IncidentsListPage />} />
+          <Route path="/analytics" element={<AnalyticsDashboard />} />
+          <Route path="/incidents/new" element={<NewIncidentPage />} />
+          <Route path="/incidents/:id" element={<IncidentDetailPage />} />
+          <Route path="/account" element={<AccountPage />} />
+          <Route path="/users" element={<UsersPage />} />
+          <Route path="/archive" element={<ArchivedIncidentsPage />} />
+          <Route path="*" element={<NotFound />} />
+        </Route>
+      </Routes>
     </BrowserRouter>
   );
 }
 
+/**
+ * Header, navigation and footer around the internal pages
+ * Requires a logged-in user: sends everyone else to /login, also when the
+ * session expires while the app is open. Pages get the user via useOutletContext().
+ * Logging out of a single sign-on session also logs out at the identity provider.
+ */
+function InternalLayout() {
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  // undefined while checking, null when not logged in
+  const [user, setUser] = useState(undefined);
+
+  useEffect(() => {
+    getCurrentUser()
+      .then(setUser)
+      .catch(() => setUser(null));
+  }, []);
+
+  useEffect(() => {
+    const handleUnauthorized = () => setUser(null);
+    window.addEventListener(UNAUTHORIZED_EVENT, handleUnauthorized);
+    return () => window.removeEventListener(UNAUTHORIZED_EVENT, handleUnauthorized);
+  }, []);
+
+  const handleLogout = async () => {
+    let logoutUrl = null;
+
+    try {
+      logoutUrl = await logout();
+    } finally {
+      if (logoutUrl) {
+        // Single sign-on: also end the identity provider's session, which sends the browser back to /login
+        window.location.assign(logoutUrl);
+      } else {
+        navigate('/login', { replace: true });
+      }
+    }
+  };
+
+  if (user === undefined) {
+    return <div className="app-loading">Loading...</div>;
+  }
+
+  if (user === null) {
+    return <Navigate to="/login" replace state={{ from: location.pathname + location.search }} />;
+  }
+
+  return (
+    <div className="app">
+      <header className="app-header">
+        <div className="header-content">
+          <h1 className="app-title">AI Incident Assistant</h1>
+          <p className="app-subtitle">DevOps Incident Management with AI-Powered Analysis | v5.5</p>
+        </div>
+        <nav className="app-nav">
+          <Link to="/" className="nav-link">Incidents</Link>
+          <Link to="/analytics" className="nav-link">Analytics</Link>
+          <Link to="/status" className="nav-link">Status Page</Link>
+          {hasPermission(user, 'incidents:delete') && (
+            <Link to="/archive" className="nav-link">Archived</Link>
+          )}
+          {hasPermission(user, 'users:manage') && (
+            <Link to="/users" className="nav-link">Users</Link>
+          )}
+          {hasPermission(user, 'incidents:create') && (
+            <Link to="/incidents/new" className="nav-link nav-link-primary">+ New Incident</Link>
+          )}
+          <Link to="/account" className="nav-link nav-user" title={user.email}>{user.name}</Link>
+          <button type="button" className="nav-link nav-logout" onClick={handleLogout}>
+            Log out
+          </button>
+        </nav>
+      </header>
+
+      <main className="app-main">
+        <Outlet context={{ user }} />
+      </main>
+
+      <footer className="app-footer">
+        <p>
+          Powered by OpenAI | Built with React, Express & PostgreSQL
+        </p>
+      </footer>
+    </div>
+  );
+}
+
 function NotFound() {
   return (
     <div className="not-found">
@@ -0,0 +1,212 @@
+/**
+ * Action Item Checklist
+ *
+ * Purpose: Tracks remediation steps for an incident - tick items off, assign
+ *          owners, set due dates and add manual items
+ * Used by: IncidentDetailPage
+ *
+ * Props:
+ * - incidentId:       incident ID
+ * - activeAnalysisId: incident.active_analysis_id (a new analysis may seed new items)
+ * - canEdit:          whether the user may change items (read-only list otherwise)
+ */
+
+import { useState, useEffect } from 'react';
+import {
+  getActionItems,
+  createActionItem,
+  updateActionItem,
+  deleteActionItem,
+} from '../services/incidentsApi';
+import { CopyCommand } from './AnalysisItems';
+import './ActionItemChecklist.css';
+
+const PRIORITIES = ['immediate', 'high', 'medium', 'low'];
+
+const EMPTY_ITEM = { action: '', priority: 'medium', owner: '', dueDate: '' };
+
+function ActionItemChecklist({ incidentId, activeAnalysisId, canEdit }) {
+  const [items, setItems] = useState([]);
+  const [newItem, setNewItem] = useState(EMPTY_ITEM);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    async function loadItems() {
+      try {
+        setError(null);
+        const data = await getActionItems(incidentId);
+        setItems(data);
+      } catch (err) {
+        console.error('Failed to load action items:', err);
+        setError(err.message || 'Failed to load action items');
+      }
+    }
+
+    loadItems();
+  }, [incidentId, activeAnalysisId]);
+
+  const doneCount = items.filter((item) => item.status === 'done').length;
+  const today = new Date().toISOString().slice(0, 10);
+
+  /**
+   * Save a change to one item and replace it in the list
+   */
+  const handleUpdate = async (item, changes) => {
+    try {
+      setError(null);
+      const updated = await updateActionItem(incidentId, item.id, changes);
+      setItems((current) => current.map((existing) => (existing.id === updated.id ? updated : existing)));
+    } catch (err) {
+      console.error('Failed to update action item:', err);
+      setError(err.message || 'Failed to update action item');
+    }
+  };
+
+  /**
+   * Save the owner when the input loses focus, if it changed
+   */
+  const handleOwnerBlur = (item, value) => {
+    if ((item.owner || '') !== value.trim()) {
+      handleUpdate(item, { owner: value });
+    }
+  };
+
+  const handleDelete = async (item) => {
+    if (!window.confirm(`Remove action item "${item.action}"?`)) return;
+
+    try {
+      setError(null);
+      await deleteActionItem(incidentId, item.id);
+      setItems((current) => current.filter((existing) => existing.id !== item.id));
+    } catch (err) {
+      console.error('Failed to delete action item:', err);
+      setError(err.message || 'Failed to delete action item');
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newItem.action.trim()) return;
+
+    try {
+      setSaving(true);
+      setError(null);
+      const created = await createActionItem(incidentId, newItem);
+      setItems((current) => [...current, created]);
+      setNewItem(EMPTY_ITEM);
+    } catch (err) {
+      console.error('Failed to add action item:', err);
+      setError(err.message || 'Failed to add action item');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <section className="detail-section">
+      <div className="section-header">
+        <h2>🔧 Action Items & Resolution Steps</h2>
+        {items.length > 0 && (
+          <span className="checklist-progress">{doneCount} / {items.length} done</span>
+        )}
+      </div>
+
+      {error && <p className="checklist-error">{error}</p>}
+
+      {items.length === 0 ? (
+        <em>No action items yet</em>
+      ) : (
+        <ul className="checklist">
+          {items.map((item) => {
+            const overdue = item.status === 'open' && item.due_date && item.due_date < today;
+
+            return (
+              <li key={item.id} className={`checklist-item ${item.status === 'done' ? 'checklist-item-done' : ''}`}>
+                <input
+                  type="checkbox"
+                  checked={item.status === 'done'}
+                  disabled={!canEdit}
+                  onChange={() => handleUpdate(item, { status: item.status === 'done' ? 'open' : 'done' })}
+                  aria-label={`Mark "${item.action}" as ${item.status === 'done' ? 'open' : 'done'}`}
+                />
+                <div className="checklist-body">
+                  <div className="action-item-header">
+                    <span className={`priority-badge priority-${item.priority}`}>{item.priority}</span>
+                    {item.source === 'ai' && <span className="checklist-source">AI</span>}
+                    <span className="checklist-action">{item.action}</span>
+                  </div>
+                  {item.command && <CopyCommand command={item.command} />}
+                  <div className="checklist-fields">
+                    <label>
+                      Owner
+                      <input
+                        type="text"
+                        defaultValue={item.owner || ''}
+                        placeholder="Unassigned"
+                        disabled={!canEdit}
+                        onBlur={(e) => handleOwnerBlur(item, e.target.value)}
+                      />
+                    </label>
+                    <label className={overdue ? 'checklist-overdue' : ''}>
+                      Due
+                      <input
+                        type="date"
+                        value={item.due_date || ''}
+                        disabled={!canEdit}
+                        onChange={(e) => handleUpdate(item, { dueDate: e.target.value || null })}
+                      />
+                    </label>
+                    {item.status === 'done' && item.completed_by && (
+                      <span className="checklist-completed">✓ Done by {item.completed_by}</span>
+                    )}
+                  </div>
+                </div>
+                {canEdit && (
+                  <button onClick={() => handleDelete(item)} className="btn btn-small" title="Remove item">
+                    ✕
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {canEdit && (
+        <form className="checklist-add" onSubmit={handleAdd}>
+          <input
+            type="text"
+            value={newItem.action}
+            onChange={(e) => setNewItem({ ...newItem, action: e.target.value })}
+            placeholder="Add an action item..."
+          />
+          <select
+            value={newItem.priority}
+            onChange={(e) => setNewItem({ ...newItem, priority: e.target.value })}
+          >
+            {PRIORITIES.map((priority) => (
+              <option key={priority} value={priority}>{priority}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={newItem.owner}
+            onChange={(e) => setNewItem({ ...newItem, owner: e.target.value })}
+            placeholder="Owner"
+          />
+          <input
+            type="date"
+            value={newItem.dueDate}
+            onChange={(e) => setNewItem({ ...newItem, dueDate: e.target.value })}
+          />
+          <button type="submit" className="btn btn-small" disabled={saving || !newItem.action.trim()}>
+            {saving ? 'Adding...' : 'Add'}
+          </button>
+        </form>
+      )}
+    </section>
+  );
+}
+
+export default ActionItemChecklist;
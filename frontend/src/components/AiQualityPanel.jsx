@@ -0,0 +1,178 @@
+/**
+ * AI Quality Panel
+ *
+ * Purpose: Shows how accurate AI analyses were according to user feedback,
+ *          by model, severity and prompt version, and lists analyses flagged
+ *          for a re-run because of low ratings
+ * Used by: AnalyticsDashboard
+ *
+ * Props:
+ * - refreshKey: any value; the report reloads whenever it changes
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { getAiQuality } from '../services/analyticsApi';
+import { requestReanalysis } from '../services/incidentsApi';
+import './AiUsagePanel.css';
+
+const RANGE_OPTIONS = [7, 30, 90];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const BREAKDOWNS = [
+  { field: 'byModel', label: 'Model' },
+  { field: 'bySeverity', label: 'Severity' },
+  { field: 'byPromptVersion', label: 'Prompt version' },
+];
+
+/**
+ * Format a 0-1 share as a percentage, or a dash when there is no data
+ */
+function formatShare(value) {
+  return value === null ? '—' : `${Math.round(value * 100)}%`;
+}
+
+function AiQualityPanel({ refreshKey }) {
+  const [days, setDays] = useState(30);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+  const [rerunning, setRerunning] = useState(null); // Incident ID being re-queued
+
+  const loadReport = useCallback(async () => {
+    const now = Date.now();
+    const to = new Date(now).toISOString().slice(0, 10);
+    const from = new Date(now - (days - 1) * DAY_MS).toISOString().slice(0, 10);
+
+    try {
+      setError(null);
+      setReport(await getAiQuality({ from, to }));
+    } catch (err) {
+      console.error('Failed to load AI quality:', err);
+      setError(err.message || 'Failed to load AI quality');
+    }
+  }, [days]);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport, refreshKey]);
+
+  const handleRerun = async (incidentId) => {
+    try {
+      setRerunning(incidentId);
+      await requestReanalysis(incidentId);
+      await loadReport();
+    } catch (err) {
+      console.error('Failed to request re-analysis:', err);
+      setError(err.message || 'Failed to request re-analysis');
+    } finally {
+      setRerunning(null);
+    }
+  };
+
+  const header = (
+    <div className="ai-usage-header">
+      <h2 className="chart-title">AI Quality</h2>
+      <select value={days} onChange={(e) => setDays(Number(e.target.value))}>
+        {RANGE_OPTIONS.map(option => (
+          <option key={option} value={option}>Last {option} days</option>
+        ))}
+      </select>
+    </div>
+  );
+
+  if (error || !report) {
+    return (
+      <div className="chart-card ai-usage-panel">
+        {header}
+        <p className="ai-usage-empty">{error || 'Loading AI quality...'}</p>
+      </div>
+    );
+  }
+
+  const { overall } = report;
+
+  return (
+    <div className="chart-card ai-usage-panel">
+      {header}
+
+      <div className="ai-usage-totals">
+        <div>
+          <span className="ai-usage-label">Rated analyses</span>
+          <span className="ai-usage-value">{overall.ratedAnalyses} / {overall.analyses}</span>
+        </div>
+        <div>
+          <span className="ai-usage-label">Helpful</span>
+          <span className="ai-usage-value">{formatShare(overall.ratings.approvalRate)}</span>
+        </div>
+        <div>
+          <span className="ai-usage-label">Root cause listed</span>
+          <span className="ai-usage-value">{formatShare(overall.rootCause.accuracy)}</span>
+        </div>
+        <div>
+          <span className="ai-usage-label">Top root cause right</span>
+          <span className="ai-usage-value">{formatShare(overall.rootCause.topAccuracy)}</span>
+        </div>
+      </div>
+
+      {overall.ratings.total === 0 ? (
+        <p className="ai-usage-empty">No feedback on AI analyses in this period.</p>
+      ) : (
+        <div className="ai-usage-tables">
+          {BREAKDOWNS.map(({ field, label }) => (
+            <table key={field} className="ai-usage-table">
+              <thead>
+                <tr><th>{label}</th><th>Rated</th><th>Helpful</th><th>Root cause</th></tr>
+              </thead>
+              <tbody>
+                {report[field].map(row => (
+                  <tr key={row.key}>
+                    <td className={field === 'bySeverity' ? 'ai-usage-severity' : undefined}>{row.key}</td>
+                    <td>{row.ratedAnalyses} / {row.analyses}</td>
+                    <td>{formatShare(row.ratings.approvalRate)}</td>
+                    <td>{formatShare(row.rootCause.accuracy)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ))}
+        </div>
+      )}
+
+      <p className="ai-usage-subtitle ai-quality-flagged-title">Flagged for re-run</p>
+      {report.flagged.length === 0 ? (
+        <p className="ai-usage-empty">No active analyses with low ratings.</p>
+      ) : (
+        <table className="ai-usage-table">
+          <thead>
+            <tr><th>Incident</th><th>Version</th><th>Model</th><th>Why</th><th></th></tr>
+          </thead>
+          <tbody>
+            {report.flagged.map(item => (
+              <tr key={item.incidentId}>
+                <td><Link to={`/incidents/${item.incidentId}`}>#{item.incidentId} {item.title}</Link></td>
+                <td>v{item.version}</td>
+                <td>{item.model || '—'}</td>
+                <td>{item.reason}</td>
+                <td>
+                  {item.rerunQueued ? (
+                    <em>Re-run queued</em>
+                  ) : (
+                    <button
+                      className="btn btn-small"
+                      onClick={() => handleRerun(item.incidentId)}
+                      disabled={rerunning !== null}
+                    >
+                      {rerunning === item.incidentId ? 'Queuing...' : 'Re-run'}
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default AiQualityPanel;
@@ -0,0 +1,162 @@
+/**
+ * AI Usage Panel
+ *
+ * Purpose: Shows AI token usage and cost by day, model and severity, and how
+ *          much of the monthly budget has been spent
+ * Used by: AnalyticsDashboard
+ *
+ * Props:
+ * - refreshKey: any value; the report reloads whenever it changes
+ */
+
+import { useState, useEffect } from 'react';
+import { getAiUsage } from '../services/analyticsApi';
+import './AiUsagePanel.css';
+
+const RANGE_OPTIONS = [7, 30, 90];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Format a USD amount; small amounts keep enough decimals to stay visible
+ */
+function formatCost(value) {
+  const amount = Number(value) || 0;
+  return `$${amount.toFixed(amount > 0 && amount < 1 ? 4 : 2)}`;
+}
+
+function AiUsagePanel({ refreshKey }) {
+  const [days, setDays] = useState(30);
+  const [usage, setUsage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    async function loadUsage() {
+      const now = Date.now();
+      const to = new Date(now).toISOString().slice(0, 10);
+      const from = new Date(now - (days - 1) * DAY_MS).toISOString().slice(0, 10);
+
+      try {
+        setError(null);
+        setUsage(await getAiUsage({ from, to }));
+      } catch (err) {
+        console.error('Failed to load AI usage:', err);
+        setError(err.message || 'Failed to load AI usage');
+      }
+    }
+
+    loadUsage();
+  }, [days, refreshKey]);
+
+  const header = (
+    <div className="ai-usage-header">
+      <h2 className="chart-title">AI Usage &amp; Cost</h2>
+      <select value={days} onChange={(e) => setDays(Number(e.target.value))}>
+        {RANGE_OPTIONS.map(option => (
+          <option key={option} value={option}>Last {option} days</option>
+        ))}
+      </select>
+    </div>
+  );
+
+  if (error || !usage) {
+    return (
+      <div className="chart-card ai-usage-panel">
+        {header}
+        <p className="ai-usage-empty">{error || 'Loading AI usage...'}</p>
+      </div>
+    );
+  }
+
+  const { totals, byDay, byModel, bySeverity, budget } = usage;
+  const maxDailyCost = Math.max(...byDay.map(day => day.cost_usd), 0);
+  const budgetPercent = budget.budgetUsd
+    ? Math.min(100, (budget.spentUsd / budget.budgetUsd) * 100)
+    : 0;
+
+  return (
+    <div className="chart-card ai-usage-panel">
+      {header}
+
+      <div className="ai-usage-totals">
+        <div>
+          <span className="ai-usage-label">Calls</span>
+          <span className="ai-usage-value">{totals.calls.toLocaleString()}</span>
+        </div>
+        <div>
+          <span className="ai-usage-label">Tokens</span>
+          <span className="ai-usage-value">{totals.total_tokens.toLocaleString()}</span>
+        </div>
+        <div>
+          <span className="ai-usage-label">Cost</span>
+          <span className="ai-usage-value">{formatCost(totals.cost_usd)}</span>
+        </div>
+      </div>
+
+      {budget.budgetUsd && (
+        <div className={`ai-usage-budget ${budget.exceeded ? 'ai-usage-budget-exceeded' : ''}`}>
+          <div className="ai-usage-budget-text">
+            This month: {formatCost(budget.spentUsd)} of {formatCost(budget.budgetUsd)} budget
+            {budget.exceeded && ' — analysis is using the fallback provider'}
+          </div>
+          <div className="ai-usage-budget-track">
+            <div className="ai-usage-budget-fill" style={{ width: `${budgetPercent}%` }} />
+          </div>
+        </div>
+      )}
+
+      {byDay.length === 0 ? (
+        <p className="ai-usage-empty">No AI calls in this period.</p>
+      ) : (
+        <>
+          <h3 className="ai-usage-subtitle">Cost per day</h3>
+          <div className="ai-usage-daily">
+            {byDay.map(day => (
+              <div
+                key={day.day}
+                className="ai-usage-daily-bar"
+                style={{ height: `${maxDailyCost > 0 ? Math.max(2, day.cost_usd / maxDailyCost * 100) : 2}%` }}
+                title={`${day.day}: ${formatCost(day.cost_usd)} · ${day.total_tokens.toLocaleString()} tokens · ${day.calls} calls`}
+              />
+            ))}
+          </div>
+
+          <div className="ai-usage-tables">
+            <table className="ai-usage-table">
+              <thead>
+                <tr><th>Model</th><th>Calls</th><th>Tokens</th><th>Cost</th></tr>
+              </thead>
+              <tbody>
+                {byModel.map(row => (
+                  <tr key={`${row.provider}/${row.model}`}>
+                    <td>{row.model || row.provider}</td>
+                    <td>{row.calls}</td>
+                    <td>{row.total_tokens.toLocaleString()}</td>
+                    <td>{formatCost(row.cost_usd)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <table className="ai-usage-table">
+              <thead>
+                <tr><th>Severity</th><th>Calls</th><th>Tokens</th><th>Cost</th></tr>
+              </thead>
+              <tbody>
+                {bySeverity.map(row => (
+                  <tr key={row.severity}>
+                    <td className="ai-usage-severity">{row.severity}</td>
+                    <td>{row.calls}</td>
+                    <td>{row.total_tokens.toLocaleString()}</td>
+                    <td>{formatCost(row.cost_usd)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default AiUsagePanel;
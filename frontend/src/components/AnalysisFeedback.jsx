@@ -0,0 +1,115 @@
+/**
+ * Analysis Feedback Form
+ *
+ * Purpose: Lets responders rate the active AI analysis and say which root
+ *          cause was correct; poorly rated analyses get flagged for a re-run
+ * Used by: IncidentDetailPage
+ *
+ * Props:
+ * - incidentId: incident ID
+ * - rootCauses: incident.ai_root_causes (the options for "which one was correct")
+ * - onSubmitted: called after feedback is stored (e.g. to refresh the history)
+ *
+ * Render with key={incident.active_analysis_id} so the form resets for a new analysis.
+ */
+
+import { useState } from 'react';
+import { submitAnalysisFeedback } from '../services/incidentsApi';
+import './AnalysisFeedback.css';
+
+function AnalysisFeedback({ incidentId, rootCauses = [], onSubmitted }) {
+  const [rating, setRating] = useState(null);
+  const [correctRootCause, setCorrectRootCause] = useState('');
+  const [comment, setComment] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!rating) return;
+
+    try {
+      setSubmitting(true);
+      setError(null);
+      const feedback = await submitAnalysisFeedback(incidentId, {
+        rating,
+        correctRootCause: correctRootCause === '' ? null : Number(correctRootCause),
+        comment,
+      });
+      setResult(feedback);
+      onSubmitted?.();
+    } catch (err) {
+      console.error('Failed to submit analysis feedback:', err);
+      setError(err.message || 'Failed to submit feedback');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (result) {
+    return (
+      <div className="analysis-feedback analysis-feedback-done">
+        Thanks for the feedback!
+        {result.flagged && ' Ratings for this analysis are low, so it is now flagged for a re-run.'}
+      </div>
+    );
+  }
+
+  return (
+    <form className="analysis-feedback" onSubmit={handleSubmit}>
+      <div className="analysis-feedback-row">
+        <span className="analysis-feedback-question">Was this analysis helpful?</span>
+        <button
+          type="button"
+          className={`btn btn-small ${rating === 'up' ? 'analysis-feedback-selected' : ''}`}
+          onClick={() => setRating('up')}
+          aria-pressed={rating === 'up'}
+        >
+          👍 Yes
+        </button>
+        <button
+          type="button"
+          className={`btn btn-small ${rating === 'down' ? 'analysis-feedback-selected' : ''}`}
+          onClick={() => setRating('down')}
+          aria-pressed={rating === 'down'}
+        >
+          👎 No
+        </button>
+      </div>
+
+      {rating && (
+        <>
+          {rootCauses.length > 0 && (
+            <label className="analysis-feedback-row">
+              <span className="analysis-feedback-question">Which root cause was correct?</span>
+              <select value={correctRootCause} onChange={(e) => setCorrectRootCause(e.target.value)}>
+                <option value="">Not sure yet</option>
+                {rootCauses.map((cause, index) => (
+                  <option key={index} value={index}>#{index + 1}: {cause.cause}</option>
+                ))}
+                <option value="-1">None of them</option>
+              </select>
+            </label>
+          )}
+
+          <textarea
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder="What was right or wrong? (optional)"
+            rows={2}
+            maxLength={2000}
+          />
+
+          <button type="submit" className="btn btn-small" disabled={submitting}>
+            {submitting ? 'Sending...' : 'Send feedback'}
+          </button>
+        </>
+      )}
+
+      {error && <p className="analysis-feedback-error">{error}</p>}
+    </form>
+  );
+}
+
+export default AnalysisFeedback;
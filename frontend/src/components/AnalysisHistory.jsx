@@ -0,0 +1,256 @@
+/**
+ * Analysis History Panel
+ *
+ * Purpose: Lists every AI analysis version of an incident and lets users
+ *          re-run the analysis, compare versions, switch the active one and
+ *          rate versions (ratings are compared per prompt template version)
+ * Used by: IncidentDetailPage
+ *
+ * Props:
+ * - incidentId:         incident ID
+ * - activeAnalysisId:   incident.active_analysis_id (reloads history when it changes)
+ * - analysisInProgress: true while a job is queued/running (disables re-run)
+ * - onChange:           called after a re-run is queued or a version is activated
+ * - refreshKey:         any value; the history also reloads whenever it changes
+ * - canRun:             whether the user may re-run and activate versions (analysis:run)
+ * - canRate:            whether the user may rate versions (analysis:feedback)
+ *                       (e.g. after feedback was given from outside this panel)
+ */
+
+import { useState, useEffect } from 'react';
+import {
+  getAnalyses,
+  getAnalysisDiff,
+  requestReanalysis,
+  activateAnalysis,
+  rateAnalysis,
+} from '../services/incidentsApi';
+import './AnalysisHistory.css';
+
+function AnalysisHistory({
+  incidentId, activeAnalysisId, analysisInProgress, onChange, refreshKey, canRun, canRate,
+}) {
+  const [analyses, setAnalyses] = useState([]);
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  // Reload the history whenever a new version becomes active
+  useEffect(() => {
+    async function loadAnalyses() {
+      try {
+        setError(null);
+        const data = await getAnalyses(incidentId);
+        setAnalyses(data);
+      } catch (err) {
+        console.error('Failed to load analysis history:', err);
+        setError(err.message || 'Failed to load analysis history');
+      }
+    }
+
+    loadAnalyses();
+  }, [incidentId, activeAnalysisId, refreshKey]);
+
+  const activeVersion = analyses.find((analysis) => analysis.is_active)?.version;
+
+  /**
+   * Queue a new analysis run
+   */
+  const handleRerun = async () => {
+    try {
+      setBusy(true);
+      await requestReanalysis(incidentId);
+      onChange();
+    } catch (err) {
+      console.error('Failed to request re-analysis:', err);
+      setError(err.message || 'Failed to request re-analysis');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Show what changed between a version and the active one
+   */
+  const handleCompare = async (version) => {
+    try {
+      setError(null);
+      const data = await getAnalysisDiff(incidentId, version, activeVersion);
+      setDiff(data);
+    } catch (err) {
+      console.error('Failed to compare analyses:', err);
+      setError(err.message || 'Failed to compare analyses');
+    }
+  };
+
+  /**
+   * Make a version the active analysis
+   */
+  const handleActivate = async (version) => {
+    try {
+      setBusy(true);
+      setDiff(null);
+      await activateAnalysis(incidentId, version);
+      onChange();
+    } catch (err) {
+      console.error('Failed to activate analysis:', err);
+      setError(err.message || 'Failed to activate analysis');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Rate a version and update its counts in place
+   */
+  const handleRate = async (version, rating) => {
+    try {
+      setError(null);
+      await rateAnalysis(incidentId, version, rating);
+      const field = rating === 'up' ? 'thumbs_up' : 'thumbs_down';
+      setAnalyses((current) => current.map((analysis) => (
+        analysis.version === version ? { ...analysis, [field]: analysis[field] + 1 } : analysis
+      )));
+    } catch (err) {
+      console.error('Failed to rate analysis:', err);
+      setError(err.message || 'Failed to rate analysis');
+    }
+  };
+
+  /**
+   * Render a root cause or action item as one line of text
+   */
+  const renderItem = (item) => {
+    if (typeof item === 'string') return item;
+    if (item.cause) return `[${item.likelihood}] ${item.cause}`;
+    return `[${item.priority}] ${item.action}${item.owner ? ` @${item.owner}` : ''}`;
+  };
+
+  return (
+    <section className="detail-section analysis-history">
+      <div className="section-header">
+        <h2>🕘 Analysis History</h2>
+        {canRun && (
+          <button
+            onClick={handleRerun}
+            className="btn btn-small"
+            disabled={busy || analysisInProgress}
+          >
+            {analysisInProgress ? 'Analysis running...' : 'Re-run Analysis'}
+          </button>
+        )}
+      </div>
+
+      {error && <p className="analysis-history-error">{error}</p>}
+
+      {analyses.length === 0 ? (
+        <em>No analysis versions yet</em>
+      ) : (
+        <ul className="analysis-version-list">
+          {analyses.map((analysis) => (
+            <li
+              key={analysis.id}
+              className={`analysis-version ${analysis.is_active ? 'analysis-version-active' : ''}`}
+            >
+              <div className="analysis-version-info">
+                <strong>v{analysis.version}</strong>
+                {analysis.is_active && <span className="analysis-version-badge">active</span>}
+                {analysis.flagged_at && (
+                  <span className="analysis-version-badge analysis-version-flagged" title="Low user ratings">
+                    re-run suggested
+                  </span>
+                )}
+                <span className="analysis-version-meta">
+                  {analysis.provider || 'unknown'}{analysis.model ? ` / ${analysis.model}` : ''}
+                  {analysis.prompt_version ? ` · prompt ${analysis.prompt_version}` : ''}
+                  {' · '}{(analysis.total_tokens || 0).toLocaleString()} tokens
+                  {' · '}{analysis.trigger}
+                  {analysis.requested_by ? ` by ${analysis.requested_by}` : ''}
+                  {' · '}{new Date(analysis.created_at).toLocaleString()}
+                </span>
+              </div>
+              <div className="analysis-version-actions">
+                <button
+                  onClick={() => handleRate(analysis.version, 'up')}
+                  className="btn btn-small"
+                  title="This analysis was helpful"
+                  disabled={!canRate}
+                >
+                  👍 {analysis.thumbs_up}
+                </button>
+                <button
+                  onClick={() => handleRate(analysis.version, 'down')}
+                  className="btn btn-small"
+                  title="This analysis was not helpful"
+                  disabled={!canRate}
+                >
+                  👎 {analysis.thumbs_down}
+                </button>
+                {!analysis.is_active && activeVersion && (
+                  <>
+                    <button onClick={() => handleCompare(analysis.version)} className="btn btn-small">
+                      Compare with active
+                    </button>
+                    {canRun && (
+                      <button onClick={() => handleActivate(analysis.version)} className="btn btn-small" disabled={busy}>
+                        Make active
+                      </button>
+                    )}
+                  </>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {diff && (
+        <div className="analysis-diff">
+          <div className="section-header">
+            <h3>Changes from v{diff.from} to v{diff.to}</h3>
+            <button onClick={() => setDiff(null)} className="btn btn-small">Close</button>
+          </div>
+
+          {diff.summary.changed && (
+            <div className="analysis-diff-field">
+              <span className="metadata-label">Summary</span>
+              <p className="diff-removed">{diff.summary.from}</p>
+              <p className="diff-added">{diff.summary.to}</p>
+            </div>
+          )}
+
+          {diff.suggestedSeverity.changed && (
+            <div className="analysis-diff-field">
+              <span className="metadata-label">Suggested severity</span>
+              <p>{diff.suggestedSeverity.from || 'none'} → {diff.suggestedSeverity.to || 'none'}</p>
+            </div>
+          )}
+
+          {['rootCauses', 'actionItems'].map((field) => (
+            (diff[field].added.length > 0 || diff[field].removed.length > 0) && (
+              <div key={field} className="analysis-diff-field">
+                <span className="metadata-label">{field === 'rootCauses' ? 'Root causes' : 'Action items'}</span>
+                {diff[field].removed.map((item, index) => (
+                  <p key={`removed-${index}`} className="diff-removed">{renderItem(item)}</p>
+                ))}
+                {diff[field].added.map((item, index) => (
+                  <p key={`added-${index}`} className="diff-added">{renderItem(item)}</p>
+                ))}
+              </div>
+            )
+          ))}
+
+          {diff.customerMessage.changed && (
+            <div className="analysis-diff-field">
+              <span className="metadata-label">Customer message</span>
+              <p className="diff-removed">{diff.customerMessage.from}</p>
+              <p className="diff-added">{diff.customerMessage.to}</p>
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default AnalysisHistory;
@@ -0,0 +1,70 @@
+/**
+ * Structured Analysis Items
+ *
+ * Purpose: Renders AI root causes ({ cause, likelihood, reasoning, components })
+ *          as fields, plus the copyable command block shared with action items
+ * Used by: IncidentDetailPage, ActionItemChecklist
+ *
+ * Plain strings (analyses stored before migration 006) are still shown as text.
+ */
+
+import { useState } from 'react';
+import './AnalysisItems.css';
+
+/**
+ * Copy a shell command to the clipboard with short "copied" feedback
+ */
+export function CopyCommand({ command }) {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(command);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy:', err);
+      alert('Failed to copy to clipboard');
+    }
+  };
+
+  return (
+    <div className="command-block">
+      <code>{command}</code>
+      <button onClick={handleCopy} className="btn btn-small">
+        {copied ? '✓ Copied!' : 'Copy'}
+      </button>
+    </div>
+  );
+}
+
+export function RootCauseList({ rootCauses }) {
+  return (
+    <ul className="root-causes-list">
+      {rootCauses.map((rootCause, index) => (
+        typeof rootCause === 'string' ? (
+          <li key={index}>{rootCause}</li>
+        ) : (
+          <li key={index} className="root-cause">
+            <div className="root-cause-header">
+              <span className={`likelihood-badge likelihood-${rootCause.likelihood}`}>
+                {rootCause.likelihood} likelihood
+              </span>
+              <strong>{rootCause.cause}</strong>
+            </div>
+            {rootCause.reasoning && (
+              <p className="root-cause-reasoning">{rootCause.reasoning}</p>
+            )}
+            {rootCause.components?.length > 0 && (
+              <div className="component-chips">
+                {rootCause.components.map((component) => (
+                  <span key={component} className="component-chip">{component}</span>
+                ))}
+              </div>
+            )}
+          </li>
+        )
+      ))}
+    </ul>
+  );
+}
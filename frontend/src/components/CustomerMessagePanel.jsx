@@ -0,0 +1,133 @@
+/**
+ * Customer Message Panel
+ *
+ * Purpose: The customer-friendly status message, with a language switcher and copy button
+ * Used by: IncidentDetailPage
+ *
+ * Props:
+ * - incidentId:       incident ID
+ * - activeAnalysisId: incident.active_analysis_id (translations belong to an analysis
+ *                     version, so the language list reloads when it changes)
+ * - message:          incident.ai_customer_message (English, shown while loading)
+ *
+ * The language list comes from GET /api/incidents/:id/customer-message; other
+ * languages are only offered when CUSTOMER_MESSAGE_LOCALES is configured.
+ */
+
+import { useState, useEffect } from 'react';
+import { getCustomerMessage } from '../services/incidentsApi';
+import './CustomerMessagePanel.css';
+
+const BASE_LOCALE = 'en';
+
+const languageNames = new Intl.DisplayNames([navigator.language || 'en'], { type: 'language' });
+
+function CustomerMessagePanel({ incidentId, activeAnalysisId, message }) {
+  const [available, setAvailable] = useState([BASE_LOCALE]);
+  const [locale, setLocale] = useState(BASE_LOCALE);
+  const [translation, setTranslation] = useState(null);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false); // For "copied!" feedback
+
+  // New analysis → back to English and reload the available languages
+  useEffect(() => {
+    setLocale(BASE_LOCALE);
+    setTranslation(null);
+    setAvailable([BASE_LOCALE]);
+
+    if (!activeAnalysisId) return;
+
+    async function loadLanguages() {
+      try {
+        const result = await getCustomerMessage(incidentId, BASE_LOCALE);
+        setAvailable(result.available);
+      } catch (err) {
+        console.error('Failed to load customer message languages:', err);
+      }
+    }
+
+    loadLanguages();
+  }, [incidentId, activeAnalysisId]);
+
+  const handleLocaleChange = async (event) => {
+    const nextLocale = event.target.value;
+    setLocale(nextLocale);
+    setError(null);
+
+    if (nextLocale === BASE_LOCALE) {
+      setTranslation(null);
+      return;
+    }
+
+    try {
+      const result = await getCustomerMessage(incidentId, nextLocale);
+      setTranslation(result.message);
+    } catch (err) {
+      console.error('Failed to load translated customer message:', err);
+      setTranslation(null);
+      setError(err.message || 'Failed to load translation');
+    }
+  };
+
+  const shownMessage = locale === BASE_LOCALE ? message : translation;
+
+  /**
+   * Copy the message in the selected language to the clipboard
+   */
+  const copyMessage = async () => {
+    if (!shownMessage) return;
+
+    try {
+      await navigator.clipboard.writeText(shownMessage);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000); // Reset after 2 seconds
+    } catch (err) {
+      console.error('Failed to copy:', err);
+      alert('Failed to copy to clipboard');
+    }
+  };
+
+  return (
+    <section className="detail-section">
+      <div className="section-header">
+        <h2>📢 Customer-Friendly Status Message</h2>
+        <div className="customer-message-actions">
+          {available.length > 1 && (
+            <select
+              value={locale}
+              onChange={handleLocaleChange}
+              className="customer-message-language"
+              aria-label="Message language"
+            >
+              {available.map(code => (
+                <option key={code} value={code}>
+                  {languageNames.of(code)}
+                </option>
+              ))}
+            </select>
+          )}
+          <button
+            onClick={copyMessage}
+            className="btn btn-small"
+            disabled={!shownMessage}
+          >
+            {copied ? '✓ Copied!' : 'Copy to Clipboard'}
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="customer-message-error">{error}</p>}
+
+      <div className="ai-content customer-message">
+        {shownMessage || (locale === BASE_LOCALE
+          ? <em>No customer message available</em>
+          : !error && <em>Loading translation...</em>)}
+      </div>
+      <p className="help-text">
+        This message is suitable for public status pages or customer communications.
+      </p>
+    </section>
+  );
+}
+
+export default CustomerMessagePanel;
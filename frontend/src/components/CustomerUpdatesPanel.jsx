@@ -0,0 +1,346 @@
+/**
+ * Customer Updates Panel
+ *
+ * Purpose: Draft, review and publish updates to customers, with the history of published ones
+ * Used by: IncidentDetailPage
+ *
+ * Updates move from draft → approved → published. Drafts are written by hand
+ * or by the AI (from the incident status, earlier updates and latest notes),
+ * can be edited until published (editing an approved draft needs approval
+ * again) and published updates are kept as the record of what customers were told.
+ * Published updates appear on the public status page (/status) under the
+ * public title and affected components set here.
+ *
+ * Props:
+ * - incidentId:         incident ID
+ * - publicTitle:        incident.public_title (null = generic title on the status page)
+ * - affectedComponents: incident.affected_components
+ * - canDraft:           whether the user may write, edit and discard drafts (customer_updates:draft)
+ * - canPublish:         whether the user may approve, publish and edit status page details
+ *                       (customer_updates:publish)
+ */
+
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  getCustomerUpdates,
+  createCustomerUpdate,
+  draftCustomerUpdate,
+  editCustomerUpdate,
+  approveCustomerUpdate,
+  publishCustomerUpdate,
+  discardCustomerUpdate,
+  updatePublicInfo,
+} from '../services/incidentsApi';
+import './CustomerUpdatesPanel.css';
+
+function CustomerUpdatesPanel({ incidentId, publicTitle, affectedComponents, canDraft, canPublish }) {
+  const [updates, setUpdates] = useState(null);
+  const [publicInfo, setPublicInfo] = useState({ publicTitle, affectedComponents: affectedComponents || [] });
+  const [publicForm, setPublicForm] = useState(null); // { title, components } while editing
+  const [newText, setNewText] = useState(null);    // null = not writing a new draft
+  const [editing, setEditing] = useState(null);    // { id, text } of the draft being edited
+  const [busy, setBusy] = useState(null);          // 'draft' | 'create' | 'public' | update ID | null
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    async function loadUpdates() {
+      try {
+        setError(null);
+        setUpdates(await getCustomerUpdates(incidentId));
+      } catch (err) {
+        console.error('Failed to load customer updates:', err);
+        setError(err.message || 'Failed to load customer updates');
+      }
+    }
+
+    loadUpdates();
+  }, [incidentId]);
+
+  const drafts = (updates || []).filter(update => update.status !== 'published');
+  const published = (updates || []).filter(update => update.status === 'published');
+
+  /**
+   * Run an action that changes one update, then put the result in the list
+   * (or remove it when the action returns nothing to keep)
+   */
+  const run = async (key, action, { remove = false } = {}) => {
+    try {
+      setBusy(key);
+      setError(null);
+      const result = await action();
+
+      setUpdates(list => {
+        const rest = (list || []).filter(update => update.id !== result.id);
+        return remove ? rest : [result, ...rest];
+      });
+      return true;
+    } catch (err) {
+      console.error('Customer update action failed:', err);
+      setError(err.message || 'Customer update action failed');
+      return false;
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleAiDraft = () => run('draft', () => draftCustomerUpdate(incidentId));
+
+  const handleCreate = async () => {
+    if (await run('create', () => createCustomerUpdate(incidentId, newText))) {
+      setNewText(null);
+    }
+  };
+
+  const handleSaveEdit = async () => {
+    if (await run(editing.id, () => editCustomerUpdate(incidentId, editing.id, editing.text))) {
+      setEditing(null);
+    }
+  };
+
+  const handlePublish = (update) => {
+    if (!window.confirm('Publish this update to customers? Published updates cannot be changed.')) {
+      return;
+    }
+    run(update.id, () => publishCustomerUpdate(incidentId, update.id));
+  };
+
+  const handleDiscard = (update) => {
+    if (!window.confirm('Discard this draft?')) {
+      return;
+    }
+    run(update.id, () => discardCustomerUpdate(incidentId, update.id), { remove: true });
+  };
+
+  const handleSavePublicInfo = async () => {
+    try {
+      setBusy('public');
+      setError(null);
+      setPublicInfo(await updatePublicInfo(incidentId, {
+        publicTitle: publicForm.title,
+        affectedComponents: publicForm.components.split(',').map(name => name.trim()).filter(Boolean),
+      }));
+      setPublicForm(null);
+    } catch (err) {
+      console.error('Failed to update status page details:', err);
+      setError(err.message || 'Failed to update status page details');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const formatDate = (timestamp) => new Date(timestamp).toLocaleString();
+
+  return (
+    <section className="detail-section">
+      <div className="section-header">
+        <h2>📣 Customer Updates</h2>
+        {canDraft && (
+          <div className="customer-updates-actions">
+            <button onClick={handleAiDraft} className="btn btn-small" disabled={busy !== null}>
+              {busy === 'draft' ? 'Drafting...' : 'Draft next update with AI'}
+            </button>
+            {newText === null && (
+              <button onClick={() => setNewText('')} className="btn btn-small" disabled={busy !== null}>
+                Write update
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {error && <p className="customer-updates-error">{error}</p>}
+
+      {updates === null && !error && <em>Loading customer updates...</em>}
+
+      {newText !== null && (
+        <div className="customer-update-editor">
+          <textarea
+            value={newText}
+            onChange={(e) => setNewText(e.target.value)}
+            rows={4}
+            placeholder="What should customers know right now?"
+          />
+          <div className="customer-updates-actions">
+            <button
+              onClick={handleCreate}
+              className="btn btn-small btn-primary"
+              disabled={busy !== null || !newText.trim()}
+            >
+              {busy === 'create' ? 'Saving...' : 'Save draft'}
+            </button>
+            <button onClick={() => setNewText(null)} className="btn btn-small" disabled={busy !== null}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {drafts.length > 0 && (
+        <>
+          <h3 className="customer-updates-heading">Awaiting review</h3>
+          <ul className="customer-update-list">
+            {drafts.map(update => (
+              <li key={update.id} className={`customer-update customer-update-${update.status}`}>
+                <div className="customer-update-meta">
+                  <span className={`customer-update-status status-${update.status}`}>{update.status}</span>
+                  <span>
+                    {update.source === 'ai' ? `AI draft (${update.provider})` : 'Written'}
+                    {update.created_by ? ` by ${update.created_by}` : ''} · {formatDate(update.created_at)}
+                  </span>
+                  {update.approved_by && <span>· approved by {update.approved_by}</span>}
+                </div>
+
+                {editing?.id === update.id ? (
+                  <div className="customer-update-editor">
+                    <textarea
+                      value={editing.text}
+                      onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+                      rows={4}
+                    />
+                    {update.status === 'approved' && (
+                      <p className="help-text">Saving an approved update sends it back for approval.</p>
+                    )}
+                    <div className="customer-updates-actions">
+                      <button
+                        onClick={handleSaveEdit}
+                        className="btn btn-small btn-primary"
+                        disabled={busy !== null || !editing.text.trim()}
+                      >
+                        {busy === update.id ? 'Saving...' : 'Save'}
+                      </button>
+                      <button onClick={() => setEditing(null)} className="btn btn-small" disabled={busy !== null}>
+                        Cancel
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <>
+                    <p className="customer-update-message">{update.message}</p>
+                    <div className="customer-updates-actions">
+                      {canPublish && (update.status === 'draft' ? (
+                          <button
+                            onClick={() => run(update.id, () => approveCustomerUpdate(incidentId, update.id))}
+                            className="btn btn-small btn-primary"
+                            disabled={busy !== null}
+                          >
+                            Approve
+                          </button>
+                        ) : (
+                          <button
+                            onClick={() => handlePublish(update)}
+                            className="btn btn-small btn-primary"
+                            disabled={busy !== null}
+                          >
+                            Publish
+                          </button>
+                      ))}
+                      {canDraft && (
+                        <>
+                          <button
+                            onClick={() => setEditing({ id: update.id, text: update.message })}
+                            className="btn btn-small"
+                            disabled={busy !== null}
+                          >
+                            Edit
+                          </button>
+                          <button onClick={() => handleDiscard(update)} className="btn btn-small" disabled={busy !== null}>
+                            Discard
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      <h3 className="customer-updates-heading">Status page</h3>
+      {publicForm === null ? (
+        <div className="customer-update-public">
+          <span>
+            Shown as <strong>{publicInfo.publicTitle || 'a generic title'}</strong>
+            {publicInfo.affectedComponents.length > 0
+              ? `, affecting ${publicInfo.affectedComponents.join(', ')}`
+              : ', no components selected'}
+          </span>
+          {canPublish && (
+            <button
+              onClick={() => setPublicForm({
+                title: publicInfo.publicTitle || '',
+                components: publicInfo.affectedComponents.join(', '),
+              })}
+              className="btn btn-small"
+              disabled={busy !== null}
+            >
+              Edit
+            </button>
+          )}
+          {published.length > 0 && (
+            <Link to={`/status/incidents/${incidentId}`} target="_blank" rel="noreferrer">
+              View on status page ↗
+            </Link>
+          )}
+        </div>
+      ) : (
+        <div className="customer-update-public-form">
+          <label>
+            Public title
+            <input
+              value={publicForm.title}
+              onChange={(e) => setPublicForm({ ...publicForm, title: e.target.value })}
+              placeholder="e.g. Delays in checkout (leave empty for a generic title)"
+              maxLength={255}
+            />
+          </label>
+          <label>
+            Affected components
+            <input
+              value={publicForm.components}
+              onChange={(e) => setPublicForm({ ...publicForm, components: e.target.value })}
+              placeholder="Comma-separated, e.g. API, Checkout"
+            />
+          </label>
+          <div className="customer-updates-actions">
+            <button onClick={handleSavePublicInfo} className="btn btn-small btn-primary" disabled={busy !== null}>
+              {busy === 'public' ? 'Saving...' : 'Save'}
+            </button>
+            <button onClick={() => setPublicForm(null)} className="btn btn-small" disabled={busy !== null}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {updates && (
+        <>
+          <h3 className="customer-updates-heading">Published</h3>
+          {published.length === 0 ? (
+            <p className="help-text">Nothing has been published to customers yet.</p>
+          ) : (
+            <ol className="customer-update-list">
+              {published.map(update => (
+                <li key={update.id} className="customer-update customer-update-published">
+                  <div className="customer-update-meta">
+                    <strong>{formatDate(update.published_at)}</strong>
+                    <span className="customer-update-incident-status">{update.incident_status}</span>
+                    <span>
+                      published by {update.published_by}
+                      {update.approved_by ? `, approved by ${update.approved_by}` : ''}
+                    </span>
+                  </div>
+                  <p className="customer-update-message">{update.message}</p>
+                </li>
+              ))}
+            </ol>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
+
+export default CustomerUpdatesPanel;
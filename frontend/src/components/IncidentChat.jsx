@@ -0,0 +1,112 @@
+/**
+ * Incident Chat Panel
+ *
+ * Purpose: Follow-up questions to the AI about this incident
+ * Used by: IncidentDetailPage
+ *
+ * Answers are grounded in the incident, its comments, activity log and
+ * current analysis; the thread is stored per incident.
+ *
+ * Props:
+ * - incidentId: incident ID
+ * - canAsk:     whether the user may ask questions (analysis:run)
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { getChatMessages, sendChatMessage } from '../services/incidentsApi';
+import './IncidentChat.css';
+
+function IncidentChat({ incidentId, canAsk }) {
+  const [messages, setMessages] = useState(null);
+  const [question, setQuestion] = useState('');
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(null);
+  const threadEndRef = useRef(null);
+
+  useEffect(() => {
+    async function loadMessages() {
+      try {
+        setError(null);
+        setMessages(await getChatMessages(incidentId));
+      } catch (err) {
+        console.error('Failed to load incident chat:', err);
+        setError(err.message || 'Failed to load chat');
+      }
+    }
+
+    loadMessages();
+  }, [incidentId]);
+
+  // Keep the newest answer in view
+  useEffect(() => {
+    threadEndRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [messages]);
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!question.trim()) return;
+
+    try {
+      setSending(true);
+      setError(null);
+      const { userMessage, assistantMessage } = await sendChatMessage(incidentId, question);
+      setMessages((current) => [...(current || []), userMessage, assistantMessage]);
+      setQuestion('');
+    } catch (err) {
+      console.error('Failed to send chat message:', err);
+      setError(err.message || 'Failed to get an answer');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <section className="detail-section">
+      <h2>💬 Ask About This Incident</h2>
+
+      {messages === null && !error && <em>Loading chat...</em>}
+
+      {messages && messages.length === 0 && (
+        <p className="help-text">
+          Ask a follow-up question, e.g. &quot;What changed right before this started?&quot;
+        </p>
+      )}
+
+      {messages && messages.length > 0 && (
+        <ul className="chat-thread">
+          {messages.map((message) => (
+            <li key={message.id} className={`chat-message chat-message-${message.role}`}>
+              <div className="chat-message-meta">
+                {message.role === 'user' ? message.author_name || 'Anonymous' : `AI (${message.model})`}
+                {' · '}
+                {new Date(message.created_at).toLocaleString()}
+              </div>
+              <div className="chat-message-content">{message.content}</div>
+            </li>
+          ))}
+          <li ref={threadEndRef} />
+        </ul>
+      )}
+
+      {error && <p className="chat-error">{error}</p>}
+
+      {canAsk && (
+        <form className="chat-form" onSubmit={handleSend}>
+          <textarea
+            value={question}
+            onChange={(e) => setQuestion(e.target.value)}
+            placeholder="Ask a question about this incident..."
+            rows={2}
+            maxLength={4000}
+            disabled={sending}
+          />
+          <button type="submit" className="btn btn-small" disabled={sending || !question.trim()}>
+            {sending ? 'Thinking...' : 'Ask'}
+          </button>
+        </form>
+      )}
+    </section>
+  );
+}
+
+export default IncidentChat;
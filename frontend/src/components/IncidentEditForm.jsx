@@ -0,0 +1,178 @@
+/**
+ * Incident Edit Form
+ *
+ * Purpose: Inline form to correct an incident's title, severity and description
+ * Used by: IncidentDetailPage (edit mode, for users with incidents:update)
+ *
+ * Only changed fields are sent, so the activity timeline lists exactly what
+ * was edited. When the description changes, the user can re-run the AI
+ * analysis, since the current one was based on the old text.
+ *
+ * The edit is based on the incident's version: if someone else changed the
+ * incident in the meantime, nothing is saved and the form offers to reload it.
+ *
+ * Severity is only editable for users who decide it (severity:decide);
+ * the API rejects severity changes from anyone else.
+ *
+ * Props:
+ * - incident:     the incident being edited
+ * - canReanalyze: whether the user may queue an AI analysis (analysis:run)
+ * - canChangeSeverity: whether the user may change the severity (severity:decide)
+ * - onSaved:      called with the updated incident
+ * - onCancel:     called when the user leaves edit mode without saving
+ * - onReload:     called to load the latest version after a conflict (discards the edits)
+ */
+
+import { useState } from 'react';
+import { updateIncident } from '../services/incidentsApi';
+import './IncidentEditForm.css';
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+function IncidentEditForm({ incident, canReanalyze, canChangeSeverity, onSaved, onCancel, onReload }) {
+  const [form, setForm] = useState({
+    title: incident.title,
+    ...(canChangeSeverity && { severity: incident.severity }),
+    description: incident.description,
+  });
+  const [reanalyze, setReanalyze] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [conflict, setConflict] = useState(false); // Someone else changed the incident (412)
+
+  const changes = Object.fromEntries(
+    Object.entries(form).filter(([field, value]) => value !== incident[field])
+  );
+  const descriptionChanged = 'description' in changes;
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((current) => ({ ...current, [name]: value }));
+    setFieldErrors((current) => ({ ...current, [name]: undefined }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (Object.keys(changes).length === 0) {
+      onCancel();
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setError(null);
+      setFieldErrors({});
+      onSaved(await updateIncident(incident.id, changes, {
+        reanalyze: canReanalyze && descriptionChanged && reanalyze,
+        version: incident.version,
+      }));
+    } catch (err) {
+      console.error('Failed to update incident:', err);
+
+      if (err.status === 412) {
+        setConflict(true);
+        setSaving(false);
+        return;
+      }
+
+      setFieldErrors(err.fields || {});
+      setError(err.fields ? 'Please fix the highlighted fields.' : err.message || 'Failed to save the incident');
+      setSaving(false);
+    }
+  };
+
+  const fieldClass = (field) => (fieldErrors[field] ? 'incident-edit-input has-error' : 'incident-edit-input');
+
+  return (
+    <form className="incident-edit-form" onSubmit={handleSubmit}>
+      <div className="incident-edit-row">
+        <div className="incident-edit-field incident-edit-title">
+          <label htmlFor="edit-title">Title</label>
+          <input
+            id="edit-title"
+            name="title"
+            type="text"
+            maxLength={255}
+            value={form.title}
+            onChange={handleChange}
+            disabled={saving}
+            className={fieldClass('title')}
+            autoFocus
+          />
+          {fieldErrors.title && <p className="incident-edit-field-error">Title {fieldErrors.title}</p>}
+        </div>
+
+        {canChangeSeverity && (
+          <div className="incident-edit-field">
+            <label htmlFor="edit-severity">Severity</label>
+            <select
+              id="edit-severity"
+              name="severity"
+              value={form.severity}
+              onChange={handleChange}
+              disabled={saving}
+              className={fieldClass('severity')}
+            >
+              {SEVERITIES.map((severity) => (
+                <option key={severity} value={severity}>{severity}</option>
+              ))}
+            </select>
+            {fieldErrors.severity && <p className="incident-edit-field-error">Severity {fieldErrors.severity}</p>}
+          </div>
+        )}
+      </div>
+
+      <div className="incident-edit-field">
+        <label htmlFor="edit-description">Description</label>
+        <textarea
+          id="edit-description"
+          name="description"
+          rows={8}
+          value={form.description}
+          onChange={handleChange}
+          disabled={saving}
+          className={fieldClass('description')}
+        />
+        {fieldErrors.description && (
+          <p className="incident-edit-field-error">Description {fieldErrors.description}</p>
+        )}
+      </div>
+
+      {descriptionChanged && canReanalyze && (
+        <label className="incident-edit-reanalyze">
+          <input
+            type="checkbox"
+            checked={reanalyze}
+            onChange={(e) => setReanalyze(e.target.checked)}
+            disabled={saving}
+          />
+          Re-run the AI analysis with the new description
+        </label>
+      )}
+
+      {error && <div className="incident-edit-error">{error}</div>}
+
+      {conflict && (
+        <div className="incident-edit-conflict" role="alert">
+          <span>This incident was changed by someone else since you opened it. Reload it to see their changes?</span>
+          <button type="button" className="btn btn-small btn-primary" onClick={onReload}>
+            Reload (discards your edits)
+          </button>
+        </div>
+      )}
+
+      <div className="incident-edit-actions">
+        <button type="button" className="btn btn-small" onClick={onCancel} disabled={saving}>
+          Cancel
+        </button>
+        <button type="submit" className="btn btn-small btn-primary" disabled={saving || conflict}>
+          {saving ? 'Saving...' : 'Save changes'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default IncidentEditForm;
@@ -0,0 +1,162 @@
+/**
+ * Incident Status Control
+ *
+ * Purpose: Shows the incident status and moves it along the workflow
+ * Used by: IncidentDetailPage
+ *
+ * Only the transitions the backend allows from the current status are offered
+ * (incident.allowed_statuses). Transitions that require a resolution note or a
+ * reason ask for it before saving. If someone else changed the incident in the
+ * meantime (409 or 412), it offers to reload.
+ *
+ * Props:
+ * - incident:  the incident, with status, allowed_statuses, version and resolution_note
+ * - canUpdate: whether the user may change the status (incidents:update)
+ * - onChanged: called after the status changed
+ * - onReload:  called to load the latest version after a conflict
+ */
+
+import { useState } from 'react';
+import { updateIncidentStatus } from '../services/incidentsApi';
+import './IncidentStatusControl.css';
+
+// Button labels, by target status
+const ACTION_LABELS = {
+  open: 'Mark open',
+  acknowledged: 'Acknowledge',
+  investigating: 'Start investigating',
+  identified: 'Cause identified',
+  monitoring: 'Monitor fix',
+  resolved: 'Resolve',
+  postmortem_pending: 'Await postmortem',
+  closed: 'Close',
+  reopened: 'Reopen',
+};
+
+const FIELD_LABELS = {
+  resolutionNote: 'Resolution note',
+  reason: 'Reason',
+};
+
+const FIELD_PLACEHOLDERS = {
+  resolutionNote: 'How was the incident resolved?',
+  reason: 'Why is the status changing?',
+};
+
+function IncidentStatusControl({ incident, canUpdate, onChanged, onReload }) {
+  const [pending, setPending] = useState(null); // Transition waiting for its required fields
+  const [values, setValues] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [conflict, setConflict] = useState(false);
+
+  const allowed = incident.allowed_statuses || [];
+
+  const changeStatus = async (status, fields = {}) => {
+    try {
+      setSaving(true);
+      setError(null);
+      await updateIncidentStatus(incident.id, status, { ...fields, version: incident.version });
+      setPending(null);
+      setValues({});
+      onChanged();
+    } catch (err) {
+      console.error('Failed to change incident status:', err);
+
+      // The incident moved on (409: another status, 412: another version) since it was loaded
+      if (err.status === 409 || err.status === 412) {
+        setConflict(true);
+        setPending(null);
+      } else {
+        setError(err.message || 'Failed to change the status');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleChoose = (transition) => {
+    setError(null);
+
+    if (transition.requiredFields.length > 0) {
+      setPending(transition);
+      setValues({});
+    } else {
+      changeStatus(transition.status);
+    }
+  };
+
+  const handleConfirm = (e) => {
+    e.preventDefault();
+    changeStatus(pending.status, values);
+  };
+
+  const handleReload = () => {
+    setConflict(false);
+    onReload();
+  };
+
+  return (
+    <div className="status-control">
+      <div className="status-control-row">
+        <strong>Status:</strong>
+        <span className={`status-badge status-${incident.status}`}>{incident.status.replace('_', ' ')}</span>
+
+        {canUpdate && !pending && allowed.map((transition) => (
+          <button
+            key={transition.status}
+            className="btn btn-small"
+            onClick={() => handleChoose(transition)}
+            disabled={saving || conflict}
+          >
+            {ACTION_LABELS[transition.status] || transition.status}
+          </button>
+        ))}
+      </div>
+
+      {incident.resolution_note && (
+        <p className="status-control-note">
+          <strong>Resolution:</strong> {incident.resolution_note}
+        </p>
+      )}
+
+      {pending && (
+        <form className="status-control-form" onSubmit={handleConfirm}>
+          {pending.requiredFields.map((field) => (
+            <div key={field}>
+              <label htmlFor={`status-${field}`}>{FIELD_LABELS[field] || field}</label>
+              <textarea
+                id={`status-${field}`}
+                rows={3}
+                value={values[field] || ''}
+                onChange={(e) => setValues((current) => ({ ...current, [field]: e.target.value }))}
+                placeholder={FIELD_PLACEHOLDERS[field]}
+                required
+                disabled={saving}
+              />
+            </div>
+          ))}
+          <div className="status-control-actions">
+            <button type="button" className="btn btn-small" onClick={() => setPending(null)} disabled={saving}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-small btn-primary" disabled={saving}>
+              {saving ? 'Saving...' : ACTION_LABELS[pending.status] || pending.status}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {error && <p className="status-control-error">{error}</p>}
+
+      {conflict && (
+        <div className="status-control-conflict" role="alert">
+          <span>This incident was changed by someone else since you opened it. Reload it to see the current status?</span>
+          <button className="btn btn-small btn-primary" onClick={handleReload}>Reload</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default IncidentStatusControl;
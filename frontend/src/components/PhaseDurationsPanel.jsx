@@ -0,0 +1,75 @@
+/**
+ * Phase Durations Panel
+ *
+ * Purpose: Shows how long incidents spend in each status (time to acknowledge,
+ *          to identify the cause, monitoring a fix, waiting for a postmortem...)
+ * Used by: AnalyticsDashboard
+ *
+ * Only finished phases count: an incident that is still investigating adds to
+ * the investigating row once it moves on.
+ *
+ * Props:
+ * - phases: analytics.byPhase, one row per status with count, avg_seconds,
+ *           median_seconds and total_seconds
+ */
+
+import './AiUsagePanel.css';
+
+/**
+ * Seconds as the two largest units, e.g. "2h 15m"
+ */
+function formatDuration(seconds) {
+  const value = Math.round(Number(seconds) || 0);
+  if (value < 60) return `${value}s`;
+
+  const units = [['d', 86400], ['h', 3600], ['m', 60]];
+  const parts = [];
+  let rest = value;
+
+  units.forEach(([unit, size]) => {
+    const amount = Math.floor(rest / size);
+    if (amount > 0 && parts.length < 2) {
+      parts.push(`${amount}${unit}`);
+      rest -= amount * size;
+    }
+  });
+
+  return parts.join(' ');
+}
+
+function PhaseDurationsPanel({ phases = [] }) {
+  return (
+    <div className="chart-card ai-usage-panel">
+      <div className="ai-usage-header">
+        <h2 className="chart-title">Time in Each Phase</h2>
+      </div>
+
+      {phases.length === 0 ? (
+        <p className="ai-usage-empty">No status changes yet.</p>
+      ) : (
+        <table className="ai-usage-table">
+          <thead>
+            <tr>
+              <th>Status</th><th>Times</th><th>Median</th><th>Average</th><th>Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {phases.map(phase => (
+              <tr key={phase.status}>
+                <td>
+                  <span className={`status-badge status-${phase.status}`}>{phase.status.replace('_', ' ')}</span>
+                </td>
+                <td>{phase.count}</td>
+                <td>{formatDuration(phase.median_seconds)}</td>
+                <td>{formatDuration(phase.avg_seconds)}</td>
+                <td>{formatDuration(phase.total_seconds)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default PhaseDurationsPanel;
@@ -0,0 +1,194 @@
+/**
+ * Postmortem Panel
+ *
+ * Purpose: Draft, edit and export the blameless postmortem of an incident
+ * Used by: IncidentDetailPage
+ *
+ * The AI drafts the document from the incident history once the incident is
+ * over (resolved, waiting for its postmortem or closed). Every draft and edit
+ * is kept as a revision; older revisions can be viewed, restored (saved again
+ * as the newest) and exported.
+ *
+ * Props:
+ * - incidentId: incident ID
+ * - status:     incident status (drafting is offered for resolved/postmortem_pending/closed incidents)
+ * - canEdit:    whether the user may draft and edit (postmortems:write)
+ */
+
+import { useState, useEffect } from 'react';
+import {
+  draftPostmortem,
+  savePostmortem,
+  getPostmortemRevisions,
+  getPostmortemRevision,
+  getPostmortemExportUrl,
+} from '../services/incidentsApi';
+import './PostmortemPanel.css';
+
+const DRAFTABLE_STATUSES = ['resolved', 'postmortem_pending', 'closed'];
+
+function PostmortemPanel({ incidentId, status, canEdit }) {
+  const [revisions, setRevisions] = useState(null);
+  const [current, setCurrent] = useState(null);
+  const [editText, setEditText] = useState(null); // null = not editing
+  const [busy, setBusy] = useState(null);          // 'draft' | 'save' | null
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    async function loadPostmortem() {
+      try {
+        setError(null);
+        const list = await getPostmortemRevisions(incidentId);
+        setRevisions(list);
+        setCurrent(list.length > 0 ? await getPostmortemRevision(incidentId, list[0].revision) : null);
+      } catch (err) {
+        console.error('Failed to load postmortem:', err);
+        setError(err.message || 'Failed to load postmortem');
+      }
+    }
+
+    loadPostmortem();
+  }, [incidentId]);
+
+  const latestRevision = revisions?.[0]?.revision;
+  const viewingOld = current && current.revision !== latestRevision;
+  const canDraft = canEdit && DRAFTABLE_STATUSES.includes(status);
+
+  /**
+   * Add a newly stored revision to the top of the list and show it
+   */
+  const showNewRevision = (revision) => {
+    setRevisions((list) => [revision, ...(list || [])]);
+    setCurrent(revision);
+    setEditText(null);
+  };
+
+  const handleDraft = async () => {
+    if (current && !window.confirm('Draft a new postmortem with AI? Your edits stay available as older revisions.')) {
+      return;
+    }
+
+    try {
+      setBusy('draft');
+      setError(null);
+      showNewRevision(await draftPostmortem(incidentId));
+    } catch (err) {
+      console.error('Failed to draft postmortem:', err);
+      setError(err.message || 'Failed to draft postmortem');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleSave = async (content) => {
+    try {
+      setBusy('save');
+      setError(null);
+      showNewRevision(await savePostmortem(incidentId, content));
+    } catch (err) {
+      console.error('Failed to save postmortem:', err);
+      setError(err.message || 'Failed to save postmortem');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleSelectRevision = async (revision) => {
+    try {
+      setError(null);
+      setEditText(null);
+      setCurrent(await getPostmortemRevision(incidentId, revision));
+    } catch (err) {
+      console.error('Failed to load postmortem revision:', err);
+      setError(err.message || 'Failed to load revision');
+    }
+  };
+
+  // Nothing to show for open incidents without a postmortem
+  if (revisions && revisions.length === 0 && !canDraft) {
+    return null;
+  }
+
+  return (
+    <section className="detail-section">
+      <div className="section-header">
+        <h2>📝 Postmortem</h2>
+        <div className="postmortem-actions">
+          {canDraft && (
+            <button onClick={handleDraft} className="btn btn-small" disabled={busy !== null || editText !== null}>
+              {busy === 'draft' ? 'Drafting...' : current ? 'Redraft with AI' : 'Draft with AI'}
+            </button>
+          )}
+          {current && editText === null && (
+            <>
+              {canEdit && (
+                <button onClick={() => setEditText(current.content)} className="btn btn-small" disabled={busy !== null}>
+                  Edit
+                </button>
+              )}
+              <a href={getPostmortemExportUrl(incidentId, current.revision)} className="btn btn-small" download>
+                Export Markdown
+              </a>
+            </>
+          )}
+        </div>
+      </div>
+
+      {error && <p className="postmortem-error">{error}</p>}
+
+      {revisions === null && !error && <em>Loading postmortem...</em>}
+
+      {revisions && revisions.length === 0 && (
+        <p className="help-text">
+          No postmortem yet. Draft one from the description, analysis, comments and timeline, then edit it.
+        </p>
+      )}
+
+      {current && (
+        <div className="postmortem-meta">
+          <select
+            value={current.revision}
+            onChange={(e) => handleSelectRevision(Number(e.target.value))}
+            disabled={editText !== null}
+          >
+            {revisions.map((revision) => (
+              <option key={revision.revision} value={revision.revision}>
+                Revision {revision.revision} · {revision.source === 'draft' ? `AI draft (${revision.provider})` : 'edited'}
+                {revision.created_by ? ` by ${revision.created_by}` : ''} · {new Date(revision.created_at).toLocaleString()}
+              </option>
+            ))}
+          </select>
+          {canEdit && viewingOld && editText === null && (
+            <button onClick={() => handleSave(current.content)} className="btn btn-small" disabled={busy !== null}>
+              Restore this revision
+            </button>
+          )}
+        </div>
+      )}
+
+      {current && editText === null && (
+        <pre className="postmortem-content">{current.content}</pre>
+      )}
+
+      {editText !== null && (
+        <div className="postmortem-editor">
+          <textarea value={editText} onChange={(e) => setEditText(e.target.value)} rows={24} />
+          <div className="postmortem-actions">
+            <button
+              onClick={() => handleSave(editText)}
+              className="btn btn-small btn-primary"
+              disabled={busy !== null || !editText.trim()}
+            >
+              {busy === 'save' ? 'Saving...' : 'Save as new revision'}
+            </button>
+            <button onClick={() => setEditText(null)} className="btn btn-small" disabled={busy !== null}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default PostmortemPanel;
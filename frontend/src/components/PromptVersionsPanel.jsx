@@ -0,0 +1,108 @@
+/**
+ * Prompt Versions Panel
+ *
+ * Purpose: Compares prompt template versions by volume, fallbacks, tokens,
+ *          cost and user ratings, and shows the active version or A/B split
+ * Used by: AnalyticsDashboard
+ *
+ * Props:
+ * - refreshKey: any value; the report reloads whenever it changes
+ */
+
+import { useState, useEffect } from 'react';
+import { getPromptVersions } from '../services/analyticsApi';
+import './AiUsagePanel.css';
+
+const RANGE_OPTIONS = [7, 30, 90];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function PromptVersionsPanel({ refreshKey }) {
+  const [days, setDays] = useState(30);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    async function loadReport() {
+      const now = Date.now();
+      const to = new Date(now).toISOString().slice(0, 10);
+      const from = new Date(now - (days - 1) * DAY_MS).toISOString().slice(0, 10);
+
+      try {
+        setError(null);
+        setReport(await getPromptVersions({ from, to }));
+      } catch (err) {
+        console.error('Failed to load prompt versions:', err);
+        setError(err.message || 'Failed to load prompt versions');
+      }
+    }
+
+    loadReport();
+  }, [days, refreshKey]);
+
+  const header = (
+    <div className="ai-usage-header">
+      <h2 className="chart-title">Prompt Versions</h2>
+      <select value={days} onChange={(e) => setDays(Number(e.target.value))}>
+        {RANGE_OPTIONS.map(option => (
+          <option key={option} value={option}>Last {option} days</option>
+        ))}
+      </select>
+    </div>
+  );
+
+  if (error || !report) {
+    return (
+      <div className="chart-card ai-usage-panel">
+        {header}
+        <p className="ai-usage-empty">{error || 'Loading prompt versions...'}</p>
+      </div>
+    );
+  }
+
+  const splitEntries = Object.entries(report.current.split);
+
+  return (
+    <div className="chart-card ai-usage-panel">
+      {header}
+
+      <p className="ai-usage-subtitle">
+        {splitEntries.length > 0
+          ? `A/B split: ${splitEntries.map(([version, weight]) => `${version} (${weight})`).join(' vs ')}`
+          : `All analyses use ${report.current.version}`}
+      </p>
+
+      {report.versions.length === 0 ? (
+        <p className="ai-usage-empty">No AI analyses in this period.</p>
+      ) : (
+        <table className="ai-usage-table">
+          <thead>
+            <tr>
+              <th>Version</th><th>Analyses</th><th>Fallbacks</th><th>Avg tokens</th>
+              <th>Cost</th><th>👍</th><th>👎</th><th>Approval</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.versions.map(row => (
+              <tr key={row.promptVersion}>
+                <td>{row.promptVersion}</td>
+                <td>{row.analyses}</td>
+                <td>{row.fallbacks}</td>
+                <td>{row.avgTokens.toLocaleString()}</td>
+                <td>${row.costUsd.toFixed(4)}</td>
+                <td>{row.ratings.up}</td>
+                <td>{row.ratings.down}</td>
+                <td>
+                  {row.ratings.approvalRate === null
+                    ? '—'
+                    : `${Math.round(row.ratings.approvalRate * 100)}% of ${row.ratings.total}`}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default PromptVersionsPanel;
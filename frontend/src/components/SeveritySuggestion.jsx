@@ -0,0 +1,63 @@
+/**
+ * Severity Suggestion Banner
+ *
+ * Purpose: Shows "AI suggests raising severity to ..." with the AI's
+ *          justification, and lets the user accept or dismiss it
+ * Used by: IncidentDetailPage (when the incident has a severity_suggestion,
+ *          i.e. SEVERITY_POLICY=suggest on the backend)
+ *
+ * Props:
+ * - incidentId: incident ID
+ * - severity:   current severity
+ * - suggestion: incident.severity_suggestion ({ severity, justification })
+ * - onResolved: called with the updated incident after accept or dismiss
+ * - canDecide:  whether the user may accept or dismiss (incident commanders and admins)
+ */
+
+import { useState } from 'react';
+import { acceptSeveritySuggestion, dismissSeveritySuggestion } from '../services/incidentsApi';
+import './SeveritySuggestion.css';
+
+function SeveritySuggestion({ incidentId, severity, suggestion, onResolved, canDecide }) {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const resolve = async (action) => {
+    try {
+      setBusy(true);
+      setError(null);
+      onResolved(await action(incidentId));
+    } catch (err) {
+      console.error('Failed to update severity suggestion:', err);
+      setError(err.message || 'Failed to update the severity');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="severity-suggestion" role="alert">
+      <div className="severity-suggestion-text">
+        <strong>
+          🤖 AI suggests raising severity from {severity} to{' '}
+          <span className={`severity-badge severity-${suggestion.severity}`}>{suggestion.severity}</span>
+        </strong>
+        {suggestion.justification && <p>{suggestion.justification}</p>}
+        {error && <p className="severity-suggestion-error">{error}</p>}
+        {!canDecide && <p>An incident commander can accept or dismiss this suggestion.</p>}
+      </div>
+      {canDecide && (
+        <div className="severity-suggestion-actions">
+          <button className="btn btn-small btn-primary" onClick={() => resolve(acceptSeveritySuggestion)} disabled={busy}>
+            Raise to {suggestion.severity}
+          </button>
+          <button className="btn btn-small" onClick={() => resolve(dismissSeveritySuggestion)} disabled={busy}>
+            Keep {severity}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SeveritySuggestion;
@@ -0,0 +1,76 @@
+/**
+ * Similar Incidents Panel
+ *
+ * Purpose: Lists past incidents that resemble this one and how they were resolved
+ * Used by: IncidentDetailPage
+ *
+ * Props:
+ * - incidentId:       incident ID
+ * - activeAnalysisId: incident.active_analysis_id (reloads when a new analysis lands,
+ *                     since the incident is re-embedded with its new summary)
+ */
+
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { getSimilarIncidents } from '../services/incidentsApi';
+import './SimilarIncidents.css';
+
+function SimilarIncidents({ incidentId, activeAnalysisId }) {
+  const [similar, setSimilar] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    async function loadSimilar() {
+      try {
+        setError(null);
+        setSimilar(await getSimilarIncidents(incidentId));
+      } catch (err) {
+        console.error('Failed to load similar incidents:', err);
+        setError(err.message || 'Failed to load similar incidents');
+      }
+    }
+
+    loadSimilar();
+  }, [incidentId, activeAnalysisId]);
+
+  return (
+    <section className="detail-section">
+      <h2>🔗 Similar Past Incidents</h2>
+
+      {error && <p className="similar-error">{error}</p>}
+
+      {!error && similar === null && <em>Looking for similar incidents...</em>}
+
+      {similar && similar.length === 0 && <em>No similar incidents found</em>}
+
+      {similar && similar.length > 0 && (
+        <ul className="similar-list">
+          {similar.map(item => (
+            <li key={item.id} className="similar-item">
+              <div className="similar-item-header">
+                <Link to={`/incidents/${item.id}`}>#{item.id} {item.title}</Link>
+                <span className="similar-score">{Math.round(item.score * 100)}% match</span>
+              </div>
+              <div className="similar-item-meta">
+                <span className={`severity-badge severity-${item.severity}`}>{item.severity}</span>
+                <span className="similar-status">{item.status.replace('_', ' ')}</span>
+              </div>
+              {item.resolution.rootCause && (
+                <p className="similar-resolution">
+                  <strong>Root cause:</strong> {item.resolution.rootCause}
+                </p>
+              )}
+              {item.resolution.completedActions.length > 0 && (
+                <p className="similar-resolution">
+                  <strong>Resolved by:</strong> {item.resolution.completedActions.join('; ')}
+                </p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+export default SimilarIncidents;
@@ -0,0 +1,237 @@
+/**
+ * Account Page
+ *
+ * Purpose: The logged-in user's password and personal API tokens
+ * Route: /account
+ *
+ * Features:
+ * - Change password (other sessions are logged out by the backend)
+ * - Create API tokens for scripts and CI; the secret is shown once
+ * - Revoke API tokens
+ */
+
+import { useState, useEffect } from 'react';
+import { useOutletContext } from 'react-router-dom';
+import { changePassword, getApiTokens, createApiToken, revokeApiToken } from '../services/authApi';
+import './AccountPage.css';
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : '—';
+}
+
+function tokenState(token) {
+  if (token.revoked_at) return 'revoked';
+  if (token.expires_at && new Date(token.expires_at) < new Date()) return 'expired';
+  return 'active';
+}
+
+function AccountPage() {
+  const { user } = useOutletContext();
+
+  // Password form
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [passwordMessage, setPasswordMessage] = useState(null);
+  const [passwordError, setPasswordError] = useState(null);
+  const [savingPassword, setSavingPassword] = useState(false);
+
+  // API tokens
+  const [tokens, setTokens] = useState([]);
+  const [tokenName, setTokenName] = useState('');
+  const [expiresInDays, setExpiresInDays] = useState('90');
+  const [createdToken, setCreatedToken] = useState(null);
+  const [tokenError, setTokenError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    getApiTokens()
+      .then(setTokens)
+      .catch((err) => setTokenError(err.message));
+  }, []);
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+    setPasswordMessage(null);
+    setPasswordError(null);
+    setSavingPassword(true);
+
+    try {
+      await changePassword(currentPassword, newPassword);
+      setCurrentPassword('');
+      setNewPassword('');
+      setPasswordMessage('Password changed. Other sessions were logged out.');
+    } catch (err) {
+      setPasswordError(err.message);
+    } finally {
+      setSavingPassword(false);
+    }
+  };
+
+  const handleCreateToken = async (e) => {
+    e.preventDefault();
+    setTokenError(null);
+    setBusy(true);
+
+    try {
+      const token = await createApiToken({
+        name: tokenName.trim(),
+        expiresInDays: expiresInDays ? Number(expiresInDays) : undefined,
+      });
+      const { token: secret, ...row } = token;
+      setCreatedToken(secret);
+      setTokens((prev) => [row, ...prev]);
+      setTokenName('');
+    } catch (err) {
+      setTokenError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    if (!window.confirm(`Revoke "${token.name}"? Scripts using it will stop working.`)) {
+      return;
+    }
+
+    setTokenError(null);
+    setBusy(true);
+
+    try {
+      const revoked = await revokeApiToken(token.id);
+      setTokens((prev) => prev.map((t) => (t.id === revoked.id ? revoked : t)));
+    } catch (err) {
+      setTokenError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="account-page">
+      <h1>Account</h1>
+      <p className="account-identity">
+        {user.name} · {user.email}
+      </p>
+
+      <section className="account-section">
+        <h2>Change Password</h2>
+        {passwordMessage && <div className="account-success">{passwordMessage}</div>}
+        {passwordError && <div className="account-error">{passwordError}</div>}
+
+        <form className="account-form" onSubmit={handlePasswordSubmit}>
+          <label htmlFor="current-password">Current password</label>
+          <input
+            id="current-password"
+            type="password"
+            autoComplete="current-password"
+            value={currentPassword}
+            onChange={(e) => setCurrentPassword(e.target.value)}
+            required
+          />
+
+          <label htmlFor="new-password">New password (at least 10 characters)</label>
+          <input
+            id="new-password"
+            type="password"
+            autoComplete="new-password"
+            minLength={10}
+            value={newPassword}
+            onChange={(e) => setNewPassword(e.target.value)}
+            required
+          />
+
+          <button type="submit" className="btn btn-primary" disabled={savingPassword}>
+            {savingPassword ? 'Saving...' : 'Change Password'}
+          </button>
+        </form>
+      </section>
+
+      <section className="account-section">
+        <h2>API Tokens</h2>
+        <p className="account-hint">
+          For scripts and automation: send <code>Authorization: Bearer &lt;token&gt;</code>.
+          Actions are recorded under your name.
+        </p>
+
+        {tokenError && <div className="account-error">{tokenError}</div>}
+
+        {createdToken && (
+          <div className="account-new-token">
+            <p>Copy this token now; it will not be shown again.</p>
+            <code>{createdToken}</code>
+            <button type="button" className="btn btn-small" onClick={() => setCreatedToken(null)}>
+              Done
+            </button>
+          </div>
+        )}
+
+        <form className="account-token-form" onSubmit={handleCreateToken}>
+          <input
+            type="text"
+            placeholder="Token name, e.g. CI pipeline"
+            value={tokenName}
+            onChange={(e) => setTokenName(e.target.value)}
+            maxLength={100}
+            required
+          />
+          <select value={expiresInDays} onChange={(e) => setExpiresInDays(e.target.value)}>
+            <option value="30">Expires in 30 days</option>
+            <option value="90">Expires in 90 days</option>
+            <option value="365">Expires in 1 year</option>
+            <option value="">Never expires</option>
+          </select>
+          <button type="submit" className="btn btn-primary" disabled={busy}>
+            Create Token
+          </button>
+        </form>
+
+        {tokens.length === 0 ? (
+          <p className="account-hint">No API tokens yet.</p>
+        ) : (
+          <table className="account-tokens">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Token</th>
+                <th>Created</th>
+                <th>Last used</th>
+                <th>Expires</th>
+                <th>Status</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {tokens.map((token) => {
+                const state = tokenState(token);
+                return (
+                  <tr key={token.id}>
+                    <td>{token.name}</td>
+                    <td><code>{token.token_prefix}…</code></td>
+                    <td>{formatDate(token.created_at)}</td>
+                    <td>{formatDate(token.last_used_at)}</td>
+                    <td>{token.expires_at ? formatDate(token.expires_at) : 'Never'}</td>
+                    <td><span className={`token-state token-state-${state}`}>{state}</span></td>
+                    <td>
+                      {state === 'active' && (
+                        <button
+                          type="button"
+                          className="btn btn-small btn-danger"
+                          onClick={() => handleRevoke(token)}
+                          disabled={busy}
+                        >
+                          Revoke
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default AccountPage;
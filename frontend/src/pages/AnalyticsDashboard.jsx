@@ -8,11 +8,19 @@
  * - Metric cards showing totals (total incidents, open, resolved, closed)
  * - Pie chart for severity distribution
  * - Bar chart for status breakdown
+ * - Time incidents spend in each status (PhaseDurationsPanel)
+ * - AI token usage, cost and monthly budget (AiUsagePanel)
+ * - Prompt template versions compared by user ratings (PromptVersionsPanel)
+ * - AI analysis accuracy from user feedback, and low-rated analyses to re-run (AiQualityPanel)
  * - Real-time data from backend analytics endpoint
  */
 
 import { useState, useEffect } from 'react';
 import { getAnalytics } from '../services/analyticsApi';
+import PhaseDurationsPanel from '../components/PhaseDurationsPanel';
+import AiUsagePanel from '../components/AiUsagePanel';
+import PromptVersionsPanel from '../components/PromptVersionsPanel';
+import AiQualityPanel from '../components/AiQualityPanel';
 import './AnalyticsDashboard.css';
 
 function AnalyticsDashboard() {
@@ -66,7 +74,7 @@ function AnalyticsDashboard() {
     );
   }
 
-  const { byStatus, bySeverity, totals } = analytics;
+  const { byStatus, bySeverity, byPhase, totals } = analytics;
 
   // Calculate totals for metric cards
   const totalIncidents = totals?.total || 0;
@@ -78,14 +86,20 @@ function AnalyticsDashboard() {
   const severityColors = {
     low: '#10b981',
     medium: '#f59e0b',
-    high: '#ef4444'
+    high: '#ef4444',
+    critical: '#7f1d1d'
   };
 
   const statusColors = {
     open: '#3b82f6',
+    acknowledged: '#0ea5e9',
     investigating: '#8b5cf6',
+    identified: '#f97316',
+    monitoring: '#14b8a6',
     resolved: '#10b981',
-    closed: '#6b7280'
+    postmortem_pending: '#a855f7',
+    closed: '#6b7280',
+    reopened: '#ef4444'
   };
 
   // Calculate percentages for pie chart
@@ -210,7 +224,7 @@ function AnalyticsDashboard() {
                       </div>
                     </div>
                     <div className="bar-label">
-                      {item.status.charAt(0).toUpperCase() + item.status.slice(1)}
+                      {item.status.charAt(0).toUpperCase() + item.status.slice(1).replace('_', ' ')}
                     </div>
                   </div>
                 );
@@ -220,6 +234,18 @@ function AnalyticsDashboard() {
         </div>
       </div>
 
+      {/* Time spent in each status */}
+      <PhaseDurationsPanel phases={byPhase} />
+
+      {/* AI Usage & Cost */}
+      <AiUsagePanel refreshKey={analytics.timestamp} />
+
+      {/* Prompt template A/B comparison */}
+      <PromptVersionsPanel refreshKey={analytics.timestamp} />
+
+      {/* Accuracy from user feedback and analyses flagged for a re-run */}
+      <AiQualityPanel refreshKey={analytics.timestamp} />
+
       {/* Summary Section */}
       <div className="dashboard-footer">
         <p className="footer-text">
@@ -0,0 +1,188 @@
+/**
+ * Archived Incidents Page
+ *
+ * Purpose: Lists deleted (archived) incidents so they can be restored or purged
+ * Route: /archive (linked in the header for users with incidents:delete)
+ *
+ * Features:
+ * - Lists archived incidents, most recently archived first, with who archived them
+ * - Restore an incident (incidents:delete): it returns to the incidents list
+ *   with its comments and activity
+ * - Purge an incident for good (incidents:purge, admins), once it has been
+ *   archived for the retention period (purgeable_at)
+ */
+
+import { useState, useEffect } from 'react';
+import { useOutletContext } from 'react-router-dom';
+import { getIncidents, restoreIncident, purgeIncident } from '../services/incidentsApi';
+import { hasPermission } from '../services/authApi';
+import './IncidentsListPage.css';
+import './ArchivedIncidentsPage.css';
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : '—';
+}
+
+function ArchivedIncidentsPage() {
+  const [incidents, setIncidents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null); // Incident being restored or purged
+
+  const { user } = useOutletContext();
+  const canRestore = hasPermission(user, 'incidents:delete');
+  const canPurge = hasPermission(user, 'incidents:purge');
+
+  useEffect(() => {
+    async function loadArchive() {
+      try {
+        setLoading(true);
+        setError(null);
+        setIncidents(await getIncidents({ limit: 100, offset: 0, archived: true }));
+      } catch (err) {
+        console.error('Failed to load archived incidents:', err);
+        setError(err.message || 'Failed to load archived incidents');
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    loadArchive();
+  }, []);
+
+  /**
+   * Run an action on one incident and drop it from the archive list
+   */
+  const runAction = async (id, action, failureMessage) => {
+    try {
+      setBusyId(id);
+      await action(id);
+      setIncidents(prev => prev.filter(incident => incident.id !== id));
+    } catch (err) {
+      console.error(`${failureMessage}:`, err);
+      alert(`${failureMessage}: ${err.message}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRestore = (incident) => runAction(incident.id, restoreIncident, 'Failed to restore incident');
+
+  const handlePurge = (incident) => {
+    const confirmed = window.confirm(
+      `Permanently delete incident #${incident.id}?\n\n"${incident.title}"\n\n`
+        + 'Its comments, activity history, analyses and postmortem are deleted too. This cannot be undone.'
+    );
+
+    if (confirmed) {
+      runAction(incident.id, purgeIncident, 'Failed to purge incident');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="incidents-page">
+        <div className="loading">
+          <div className="spinner"></div>
+          <p>Loading archived incidents...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="incidents-page">
+        <div className="error-message">
+          <h2>Error Loading Archived Incidents</h2>
+          <p>{error}</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="incidents-page">
+      <div className="page-header">
+        <h1>Archived Incidents</h1>
+      </div>
+
+      <p className="archive-description">
+        Deleted incidents are kept here with their comments and activity history.
+        Restore them to bring them back, or purge them once their retention period is over.
+      </p>
+
+      {incidents.length === 0 ? (
+        <div className="empty-state">
+          <p>No archived incidents.</p>
+        </div>
+      ) : (
+        <div className="table-container">
+          <table className="incidents-table">
+            <thead>
+              <tr>
+                <th>ID</th>
+                <th>Title</th>
+                <th>Severity</th>
+                <th>Status</th>
+                <th>Archived</th>
+                <th>Can be purged</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {incidents.map((incident) => {
+                const purgeable = new Date(incident.purgeable_at) <= new Date();
+
+                return (
+                  <tr key={incident.id}>
+                    <td className="id-cell">{incident.id}</td>
+                    <td className="archive-title">{incident.title}</td>
+                    <td>
+                      <span className={`severity-badge severity-${incident.severity}`}>{incident.severity}</span>
+                    </td>
+                    <td>
+                      <span className={`status-badge status-${incident.status}`}>
+                        {incident.status.replace('_', ' ')}
+                      </span>
+                    </td>
+                    <td className="date-cell">
+                      {formatDate(incident.deleted_at)}
+                      {incident.deleted_by && <div className="archive-by">by {incident.deleted_by}</div>}
+                    </td>
+                    <td className="date-cell">{purgeable ? 'Now' : formatDate(incident.purgeable_at)}</td>
+                    <td>
+                      <div className="actions-cell">
+                        {canRestore && (
+                          <button
+                            onClick={() => handleRestore(incident)}
+                            className="btn btn-small"
+                            disabled={busyId === incident.id}
+                          >
+                            Restore
+                          </button>
+                        )}
+                        {canPurge && (
+                          <button
+                            onClick={() => handlePurge(incident)}
+                            className="btn btn-small btn-delete"
+                            disabled={busyId === incident.id || !purgeable}
+                            title={purgeable ? 'Permanently delete' : 'Still in its retention period'}
+                          >
+                            Purge
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ArchivedIncidentsPage;
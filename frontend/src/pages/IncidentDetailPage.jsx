@@ -7,9 +7,23 @@
  * Features:
  * - Loads incident by ID from URL parameter
  * - Shows all incident fields: title, severity, description
+ * - Inline edit mode for the title, severity and description, optionally
+ *   re-running the AI analysis when the description changed; offers to reload
+ *   if someone else changed the incident in the meantime (412 from If-Match)
+ * - Status changes limited to the transitions the workflow allows, asking for
+ *   a resolution note or reason where required
  * - Shows AI analysis: summary, root causes, customer message
- * - Copy-to-clipboard for customer message
+ * - Banner to accept or dismiss the AI's suggestion to raise the severity
+ * - Customer message in each configured language, with copy-to-clipboard
+ * - Customer update drafts (hand-written or AI) with approval and publish history
+ * - Streams the background AI analysis over SSE, showing the summary and root
+ *   causes as they are generated (falls back to polling if streaming fails)
+ * - Feedback on the active AI analysis (helpful? which root cause was correct?)
+ * - Action item checklist, similar past incidents and AI analysis version history
+ * - Chat panel for follow-up questions to the AI about this incident
+ * - AI-drafted, editable postmortem with revisions and Markdown export
  * - Back button to return to list
+ * - Actions the user's role does not allow are hidden (the backend enforces them too)
  *
  * State flow:
  * 1. Component mounts → Extract ID from URL
@@ -19,19 +33,39 @@
  */
 
 import { useState, useEffect } from 'react';
-import { useParams, Link, useNavigate } from 'react-router-dom';
-import { getIncident, deleteIncident } from '../services/incidentsApi';
+import { useParams, Link, useNavigate, useOutletContext } from 'react-router-dom';
+import { getIncident, deleteIncident, openAnalysisStream } from '../services/incidentsApi';
+import { hasPermission } from '../services/authApi';
+import AnalysisHistory from '../components/AnalysisHistory';
+import AnalysisFeedback from '../components/AnalysisFeedback';
+import SeveritySuggestion from '../components/SeveritySuggestion';
+import IncidentEditForm from '../components/IncidentEditForm';
+import IncidentStatusControl from '../components/IncidentStatusControl';
+import ActionItemChecklist from '../components/ActionItemChecklist';
+import SimilarIncidents from '../components/SimilarIncidents';
+import IncidentChat from '../components/IncidentChat';
+import PostmortemPanel from '../components/PostmortemPanel';
+import CustomerMessagePanel from '../components/CustomerMessagePanel';
+import CustomerUpdatesPanel from '../components/CustomerUpdatesPanel';
+import { RootCauseList } from '../components/AnalysisItems';
 import './IncidentDetailPage.css';
 
+// How often to re-fetch the incident when the analysis stream is unavailable
+const ANALYSIS_POLL_INTERVAL_MS = 3000;
+
 function IncidentDetailPage() {
   const { id } = useParams(); // Get ID from URL parameter
   const navigate = useNavigate();
+  const { user } = useOutletContext();
+  const can = (permission) => hasPermission(user, permission);
 
   const [incident, setIncident] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [copied, setCopied] = useState(false); // For "copied!" feedback
   const [deleting, setDeleting] = useState(false); // For delete operation
+  const [editing, setEditing] = useState(false); // Inline edit mode for title, severity and description
+  const [livePartial, setLivePartial] = useState(null); // Analysis sections streamed so far
+  const [feedbackCount, setFeedbackCount] = useState(0); // Reloads the analysis history after feedback
 
   // Load incident when component mounts or ID changes
   useEffect(() => {
@@ -54,22 +88,90 @@ function IncidentDetailPage() {
     loadIncident();
   }, [id]); // Re-run if ID changes
 
+  // Follow the background AI analysis live over SSE until it finishes
+  const analysisInProgress = ['pending', 'running'].includes(incident?.analysis_status);
+
+  useEffect(() => {
+    if (!analysisInProgress) return;
+
+    let pollTimer = null;
+
+    async function reloadIncident() {
+      try {
+        const data = await getIncident(id);
+        setIncident(data);
+      } catch (err) {
+        console.error('Failed to refresh incident:', err);
+      }
+    }
+
+    setLivePartial(null);
+    const stream = openAnalysisStream(id);
+
+    stream.addEventListener('status', (event) => {
+      const { status } = JSON.parse(event.data);
+      setIncident((current) => ({ ...current, analysis_status: status }));
+    });
+
+    stream.addEventListener('partial', (event) => {
+      setLivePartial(JSON.parse(event.data));
+    });
+
+    const finish = () => {
+      stream.close();
+      reloadIncident();
+    };
+    stream.addEventListener('done', finish);
+    stream.addEventListener('failed', finish);
+
+    // Streaming unavailable (proxy, network) - fall back to polling
+    stream.onerror = () => {
+      stream.close();
+      if (!pollTimer) {
+        pollTimer = setInterval(reloadIncident, ANALYSIS_POLL_INTERVAL_MS);
+      }
+    };
+
+    return () => {
+      stream.close();
+      clearInterval(pollTimer);
+    };
+  }, [id, analysisInProgress]);
+
+  // Sections streamed so far replace the previous analysis while it is regenerated
+  const streamedSummary = analysisInProgress ? livePartial?.summary : null;
+  const streamedRootCauses = analysisInProgress && livePartial?.rootCauses?.length > 0
+    ? livePartial.rootCauses
+    : null;
+
   /**
-   * Copy customer message to clipboard
+   * Reload the incident after a re-run is queued or another version is activated
    */
-  const copyCustomerMessage = async () => {
-    if (!incident?.ai_customer_message) return;
-
+  const refreshIncident = async () => {
     try {
-      await navigator.clipboard.writeText(incident.ai_customer_message);
-      setCopied(true);
-      setTimeout(() => setCopied(false), 2000); // Reset after 2 seconds
+      const data = await getIncident(id);
+      setIncident(data);
     } catch (err) {
-      console.error('Failed to copy:', err);
-      alert('Failed to copy to clipboard');
+      console.error('Failed to refresh incident:', err);
     }
   };
 
+  /**
+   * Leave edit mode with the saved incident (analysis_status is 'pending' if a re-run was queued)
+   */
+  const handleSaved = (updated) => {
+    setIncident(updated);
+    setEditing(false);
+  };
+
+  /**
+   * Someone else changed the incident while it was being edited: show their version
+   */
+  const handleReload = async () => {
+    await refreshIncident();
+    setEditing(false);
+  };
+
   /**
    * Format timestamp
    */
@@ -90,7 +192,7 @@ function IncidentDetailPage() {
   const handleDelete = async () => {
     // Confirm deletion
     const confirmed = window.confirm(
-      `Are you sure you want to delete incident #${id}?\n\n"${incident.title}"\n\nThis action cannot be undone and will also delete all comments and activity.`
+      `Are you sure you want to delete incident #${id}?\n\n"${incident.title}"\n\nIt will be moved to the archive with its comments and activity, where it can be restored.`
     );
 
     if (!confirmed) return;
@@ -100,7 +202,7 @@ function IncidentDetailPage() {
       await deleteIncident(id);
 
       // Show success message
-      alert('Incident deleted successfully');
+      alert('Incident archived');
 
       // Navigate back to incidents list
       navigate('/');
@@ -172,11 +274,27 @@ function IncidentDetailPage() {
           <span className={getSeverityClass(incident.severity)}>
             {incident.severity}
           </span>
+          {can('incidents:update') && !editing && (
+            <button className="btn btn-small" onClick={() => setEditing(true)}>
+              Edit
+            </button>
+          )}
         </div>
       </div>
 
-      {/* Title */}
-      <h1 className="incident-title">{incident.title}</h1>
+      {/* Title (the edit form replaces the title and description) */}
+      {editing ? (
+        <IncidentEditForm
+          incident={incident}
+          canReanalyze={can('analysis:run')}
+          canChangeSeverity={can('severity:decide')}
+          onSaved={handleSaved}
+          onCancel={() => setEditing(false)}
+          onReload={handleReload}
+        />
+      ) : (
+        <h1 className="incident-title">{incident.title}</h1>
+      )}
 
       {/* Metadata */}
       <div className="incident-dates">
@@ -188,72 +306,117 @@ function IncidentDetailPage() {
         </div>
       </div>
 
+      {/* Status and the transitions allowed from it */}
+      <IncidentStatusControl
+        incident={incident}
+        canUpdate={can('incidents:update')}
+        onChanged={refreshIncident}
+        onReload={refreshIncident}
+      />
+
       {/* Original Description */}
-      <section className="detail-section">
-        <h2>Description</h2>
-        <div className="description-box">
-          {incident.description}
+      {!editing && (
+        <section className="detail-section">
+          <h2>Description</h2>
+          <div className="description-box">
+            {incident.description}
+          </div>
+        </section>
+      )}
+
+      {/* AI suggests a higher severity (SEVERITY_POLICY=suggest) */}
+      {incident.severity_suggestion && (
+        <SeveritySuggestion
+          incidentId={id}
+          severity={incident.severity}
+          suggestion={incident.severity_suggestion}
+          onResolved={refreshIncident}
+          canDecide={can('severity:decide')}
+        />
+      )}
+
+      {/* AI Analysis Progress */}
+      {analysisInProgress && (
+        <div className="analysis-status-banner">
+          <span className="inline-spinner"></span>
+          {incident.analysis_status === 'running'
+            ? 'AI analysis in progress...'
+            : 'AI analysis queued...'}
         </div>
-      </section>
+      )}
+      {incident.analysis_status === 'failed' && (
+        <div className="analysis-status-banner analysis-failed">
+          ⚠️ AI analysis failed. Review the incident manually.
+        </div>
+      )}
 
       {/* AI Summary */}
       <section className="detail-section">
         <h2>🤖 AI Analysis Summary</h2>
-        <div className="ai-content summary">
-          {incident.ai_summary || <em>No summary available</em>}
-        </div>
+        {streamedSummary ? (
+          <div className="ai-content summary streaming">{streamedSummary}</div>
+        ) : (
+          <div className="ai-content summary">
+            {incident.ai_summary || <em>No summary available</em>}
+          </div>
+        )}
       </section>
 
       {/* AI Root Causes */}
       <section className="detail-section">
         <h2>⚠️ Possible Root Causes</h2>
-        {incident.ai_root_causes && incident.ai_root_causes.length > 0 ? (
-          <ul className="root-causes-list">
-            {incident.ai_root_causes.map((cause, index) => (
-              <li key={index}>{cause}</li>
-            ))}
-          </ul>
+        {streamedRootCauses ? (
+          <RootCauseList rootCauses={streamedRootCauses} />
+        ) : incident.ai_root_causes && incident.ai_root_causes.length > 0 ? (
+          <RootCauseList rootCauses={incident.ai_root_causes} />
         ) : (
           <em>No root causes identified</em>
         )}
+
+        {incident.active_analysis_id && !analysisInProgress && can('analysis:feedback') && (
+          <AnalysisFeedback
+            key={incident.active_analysis_id}
+            incidentId={id}
+            rootCauses={incident.ai_root_causes || []}
+            onSubmitted={() => setFeedbackCount((count) => count + 1)}
+          />
+        )}
       </section>
 
-      {/* Action Items */}
-      {incident.ai_action_items && incident.ai_action_items.length > 0 && (
-        <section className="detail-section">
-          <h2>🔧 Action Items & Resolution Steps</h2>
-          <div className="action-items-list">
-            {incident.ai_action_items.map((item, index) => (
-              <div key={index} className="action-item">
-                <div className="action-content">{item}</div>
-              </div>
-            ))}
-          </div>
-          <p className="help-text">
-            Follow these steps to investigate and resolve this incident.
-          </p>
-        </section>
-      )}
+      {/* Action Items - trackable checklist seeded from the AI analysis */}
+      <ActionItemChecklist
+        incidentId={id}
+        activeAnalysisId={incident.active_analysis_id}
+        canEdit={can('action_items:write')}
+      />
+
+      {/* Past incidents that looked like this one, and how they were resolved */}
+      <SimilarIncidents
+        incidentId={id}
+        activeAnalysisId={incident.active_analysis_id}
+      />
+
+      {/* Follow-up questions answered with the incident as context */}
+      <IncidentChat incidentId={id} canAsk={can('analysis:run')} />
+
+      {/* Blameless postmortem, drafted once the incident is resolved */}
+      <PostmortemPanel incidentId={id} status={incident.status} canEdit={can('postmortems:write')} />
 
       {/* Customer Message */}
-      <section className="detail-section">
-        <div className="section-header">
-          <h2>📢 Customer-Friendly Status Message</h2>
-          <button
-            onClick={copyCustomerMessage}
-            className="btn btn-small"
-            disabled={!incident.ai_customer_message}
-          >
-            {copied ? '✓ Copied!' : 'Copy to Clipboard'}
-          </button>
-        </div>
-        <div className="ai-content customer-message">
-          {incident.ai_customer_message || <em>No customer message available</em>}
-        </div>
-        <p className="help-text">
-          This message is suitable for public status pages or customer communications.
-        </p>
-      </section>
+      <CustomerMessagePanel
+        incidentId={id}
+        activeAnalysisId={incident.active_analysis_id}
+        message={incident.ai_customer_message}
+      />
+
+      {/* Reviewed updates to customers: draft → approve → publish */}
+      <CustomerUpdatesPanel
+        incidentId={id}
+        publicTitle={incident.public_title}
+        affectedComponents={incident.affected_components}
+        canDraft={can('customer_updates:draft')}
+        canPublish={can('customer_updates:publish')}
+      />
 
       {/* AI Metadata Section */}
       {incident.ai_metadata && Object.keys(incident.ai_metadata).length > 0 && (
@@ -314,6 +477,18 @@ function IncidentDetailPage() {
                   <span className="metadata-value">{incident.ai_metadata.tokensUsed.toLocaleString()}</span>
                 </div>
               )}
+              {incident.ai_metadata.costUsd > 0 && (
+                <div className="metadata-item">
+                  <span className="metadata-label">Cost:</span>
+                  <span className="metadata-value">${incident.ai_metadata.costUsd.toFixed(4)}</span>
+                </div>
+              )}
+              {incident.ai_metadata.redactions?.categories?.length > 0 && (
+                <div className="metadata-item">
+                  <span className="metadata-label">Redacted before analysis:</span>
+                  <span className="metadata-value">{incident.ai_metadata.redactions.categories.join(', ')}</span>
+                </div>
+              )}
               {incident.ai_metadata.fallbackMode && (
                 <div className="metadata-item fallback-warning">
                   <span className="metadata-label">⚠️ Note:</span>
@@ -325,20 +500,33 @@ function IncidentDetailPage() {
         </>
       )}
 
+      {/* Analysis versions: re-run, compare and activate */}
+      <AnalysisHistory
+        incidentId={id}
+        activeAnalysisId={incident.active_analysis_id}
+        analysisInProgress={analysisInProgress}
+        onChange={refreshIncident}
+        refreshKey={feedbackCount}
+        canRun={can('analysis:run')}
+        canRate={can('analysis:feedback')}
+      />
+
       {/* Delete Button */}
-      <section className="detail-section danger-zone">
-        <h2>Danger Zone</h2>
-        <p className="danger-zone-description">
-          Deleting this incident will permanently remove all associated data, including comments and activity history. This action cannot be undone.
-        </p>
-        <button
-          onClick={handleDelete}
-          className="btn btn-danger"
-          disabled={deleting}
-        >
-          {deleting ? 'Deleting...' : 'Delete Incident'}
-        </button>
-      </section>
+      {can('incidents:delete') && (
+        <section className="detail-section danger-zone">
+          <h2>Danger Zone</h2>
+          <p className="danger-zone-description">
+            Deleting this incident moves it to the archive: it disappears from the incidents list, search, analytics and the status page, but keeps its comments and activity history and can be restored. Admins can purge it for good after the retention period.
+          </p>
+          <button
+            onClick={handleDelete}
+            className="btn btn-danger"
+            disabled={deleting}
+          >
+            {deleting ? 'Deleting...' : 'Delete Incident'}
+          </button>
+        </section>
+      )}
     </div>
   );
 }
@@ -20,8 +20,9 @@
  */
 
 import { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useOutletContext } from 'react-router-dom';
 import { getIncidents, deleteIncident } from '../services/incidentsApi';
+import { hasPermission } from '../services/authApi';
 import './IncidentsListPage.css';
 
 function IncidentsListPage() {
@@ -31,6 +32,11 @@ function IncidentsListPage() {
   const [error, setError] = useState(null);        // Error message
   const [deletingId, setDeletingId] = useState(null); // Track which incident is being deleted
 
+  // Hide actions the user's role does not allow
+  const { user } = useOutletContext();
+  const canCreate = hasPermission(user, 'incidents:create');
+  const canDelete = hasPermission(user, 'incidents:delete');
+
   // Load incidents when component mounts
   useEffect(() => {
     async function loadIncidents() {
@@ -72,7 +78,7 @@ function IncidentsListPage() {
    */
   const handleDelete = async (id, title) => {
     const confirmed = window.confirm(
-      `Are you sure you want to delete incident #${id}?\n\n"${title}"\n\nThis action cannot be undone.`
+      `Are you sure you want to delete incident #${id}?\n\n"${title}"\n\nIt will be moved to the archive, where it can be restored.`
     );
 
     if (!confirmed) return;
@@ -85,7 +91,7 @@ function IncidentsListPage() {
       setIncidents(prev => prev.filter(inc => inc.id !== id));
 
       // Show success message
-      alert('Incident deleted successfully');
+      alert('Incident archived');
 
     } catch (err) {
       console.error('Failed to delete incident:', err);
@@ -127,18 +133,22 @@ function IncidentsListPage() {
     <div className="incidents-page">
       <div className="page-header">
         <h1>Incidents</h1>
-        <Link to="/incidents/new" className="btn btn-primary">
-          Create New Incident
-        </Link>
+        {canCreate && (
+          <Link to="/incidents/new" className="btn btn-primary">
+            Create New Incident
+          </Link>
+        )}
       </div>
 
       {incidents.length === 0 ? (
         // Empty state
         <div className="empty-state">
           <p>No incidents yet.</p>
-          <Link to="/incidents/new" className="btn btn-primary">
-            Create Your First Incident
-          </Link>
+          {canCreate && (
+            <Link to="/incidents/new" className="btn btn-primary">
+              Create Your First Incident
+            </Link>
+          )}
         </div>
       ) : (
         // Incidents table
@@ -178,7 +188,7 @@ function IncidentsListPage() {
                     </td>
                     <td>
                       <span className={`status-badge status-${incident.status || 'open'}`}>
-                        {incident.status || 'open'}
+                        {(incident.status || 'open').replace('_', ' ')}
                       </span>
                     </td>
                     <td className="ai-analysis-cell">
@@ -216,14 +226,16 @@ function IncidentsListPage() {
                         <Link to={`/incidents/${incident.id}`} className="btn btn-small">
                           View
                         </Link>
-                        <button
-                          onClick={() => handleDelete(incident.id, incident.title)}
-                          className="btn btn-small btn-delete"
-                          disabled={deletingId === incident.id}
-                          title="Delete incident"
-                        >
-                          {deletingId === incident.id ? 'Deleting...' : 'Delete'}
-                        </button>
+                        {canDelete && (
+                          <button
+                            onClick={() => handleDelete(incident.id, incident.title)}
+                            className="btn btn-small btn-delete"
+                            disabled={deletingId === incident.id}
+                            title="Delete incident"
+                          >
+                            {deletingId === incident.id ? 'Deleting...' : 'Delete'}
+                          </button>
+                        )}
                       </div>
                     </td>
                   </tr>
@@ -0,0 +1,111 @@
+/**
+ * Login Page
+ *
+ * Purpose: Login for the internal app, with email and password or single sign-on
+ * Route: /login
+ *
+ * Features:
+ * - Logs in with POST /api/auth/login; the backend sets the session cookie
+ * - "Log in with SSO" when the backend has an OIDC identity provider; the
+ *   browser goes to the provider and the backend sends it back afterwards
+ * - Hides the password form when the backend only accepts single sign-on
+ * - Shows why a single sign-on login failed (?error=... from the backend)
+ * - Returns to the page the user was sent here from (location.state.from)
+ */
+
+import { useState, useEffect } from 'react';
+import { useNavigate, useLocation, useSearchParams } from 'react-router-dom';
+import { login, getLoginOptions, getSsoLoginUrl } from '../services/authApi';
+import './LoginPage.css';
+
+function LoginPage() {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams] = useSearchParams();
+
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(searchParams.get('error'));
+  // Until the backend answers, offer the password form only
+  const [options, setOptions] = useState({ passwordLogin: true, oidc: null });
+
+  const returnTo = location.state?.from || '/';
+
+  useEffect(() => {
+    getLoginOptions()
+      .then(setOptions)
+      .catch((err) => console.error('Failed to load login options:', err));
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setLoading(true);
+
+    try {
+      await login(email.trim(), password);
+      navigate(returnTo, { replace: true });
+    } catch (err) {
+      setError(err.message);
+      setLoading(false);
+    }
+  };
+
+  const handleSso = () => {
+    setLoading(true);
+    window.location.assign(getSsoLoginUrl(returnTo));
+  };
+
+  return (
+    <div className="login-page">
+      <form className="login-card" onSubmit={handleSubmit}>
+        <h1>AI Incident Assistant</h1>
+        <p className="login-subtitle">Log in to manage incidents</p>
+
+        {error && <div className="login-error">{error}</div>}
+
+        {options.oidc && (
+          <button type="button" className="login-submit login-sso" onClick={handleSso} disabled={loading}>
+            Log in with {options.oidc.name}
+          </button>
+        )}
+
+        {options.oidc && options.passwordLogin && (
+          <div className="login-divider"><span>or</span></div>
+        )}
+
+        {options.passwordLogin && (
+          <>
+            <label htmlFor="login-email">Email</label>
+            <input
+              id="login-email"
+              type="email"
+              autoComplete="username"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+              autoFocus={!options.oidc}
+            />
+
+            <label htmlFor="login-password">Password</label>
+            <input
+              id="login-password"
+              type="password"
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+            />
+
+            <button type="submit" className="login-submit" disabled={loading}>
+              {loading ? 'Logging in...' : 'Log in'}
+            </button>
+          </>
+        )}
+      </form>
+    </div>
+  );
+}
+
+export default LoginPage;
@@ -8,8 +8,9 @@
  * - Form with title, severity, and description fields
  * - Validation before submission
  * - Shows loading state while creating
- * - Redirects to detail page on success
+ * - Redirects to detail page on success, where the AI analysis streams in live
  * - Shows error if creation fails
+ * - Viewers (no incidents:create permission) get a notice instead of the form
  *
  * State flow:
  * 1. User fills form → Update state on each change
@@ -21,12 +22,14 @@
  */
 
 import { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useNavigate, Link, useOutletContext } from 'react-router-dom';
 import { createIncident } from '../services/incidentsApi';
+import { hasPermission } from '../services/authApi';
 import './NewIncidentPage.css';
 
 function NewIncidentPage() {
   const navigate = useNavigate();
+  const { user } = useOutletContext();
 
   // Form state
   const [formData, setFormData] = useState({
@@ -102,6 +105,23 @@ function NewIncidentPage() {
     }
   };
 
+  if (!hasPermission(user, 'incidents:create')) {
+    return (
+      <div className="new-incident-page">
+        <div className="page-header">
+          <Link to="/" className="back-link">
+            ← Back to Incidents
+          </Link>
+        </div>
+
+        <h1>Create New Incident</h1>
+        <div className="error-banner">
+          Your role ({user.role}) cannot create incidents. Ask an admin for responder access.
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="new-incident-page">
       <div className="page-header">
@@ -113,7 +133,7 @@ function NewIncidentPage() {
       <h1>Create New Incident</h1>
       <p className="page-description">
         Describe the incident below. AI will automatically generate a summary, root cause
-        suggestions, and a customer-friendly status message.
+        suggestions, and a customer-friendly status message in the background.
       </p>
 
       <form onSubmit={handleSubmit} className="incident-form">
@@ -154,7 +174,8 @@ function NewIncidentPage() {
           >
             <option value="low">Low - Minor issue, low impact</option>
             <option value="medium">Medium - Moderate impact</option>
-            <option value="high">High - Critical issue, major impact</option>
+            <option value="high">High - Major impact</option>
+            <option value="critical">Critical - Outage or data loss, all customers affected</option>
           </select>
           <p className="help-text">
             How severe is this incident?
@@ -207,7 +228,7 @@ function NewIncidentPage() {
             {loading ? (
               <>
                 <span className="btn-spinner"></span>
-                Creating & Analyzing...
+                Creating...
               </>
             ) : (
               'Create Incident'
@@ -218,8 +239,8 @@ function NewIncidentPage() {
         {/* Loading message */}
         {loading && (
           <div className="loading-message">
-            <p>Creating incident and generating AI analysis...</p>
-            <p className="loading-subtext">This may take a few seconds.</p>
+            <p>Creating incident...</p>
+            <p className="loading-subtext">The AI analysis will stream in on the incident page as it is written.</p>
           </div>
         )}
       </form>
@@ -0,0 +1,70 @@
+/**
+ * Public Incident Page
+ *
+ * Purpose: One incident on the public status page, with every published update
+ * Route: /status/incidents/:id (rendered without the internal header and navigation)
+ *
+ * Uses the public API only (GET /api/public/incidents/:id), which returns 404 for
+ * incidents that have no published update.
+ */
+
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { getPublicIncident } from '../services/publicStatusApi';
+import './PublicStatusPage.css';
+
+function PublicIncidentPage() {
+  const { id } = useParams();
+  const [incident, setIncident] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    async function loadIncident() {
+      try {
+        setError(null);
+        setIncident(await getPublicIncident(id));
+      } catch (err) {
+        console.error('Failed to load incident:', err);
+        setError(err.message || 'Incident not found');
+      }
+    }
+
+    loadIncident();
+  }, [id]);
+
+  return (
+    <div className="public-status">
+      <header className="public-status-header">
+        <Link to="/status" className="public-back">← Current status</Link>
+      </header>
+
+      {error && <p className="public-status-error">{error}</p>}
+
+      {!incident && !error && <p className="public-status-loading">Loading incident...</p>}
+
+      {incident && (
+        <section className="public-section">
+          <h1 className="public-incident-heading">{incident.title}</h1>
+          <p className="public-incident-meta">
+            <span className={`public-impact-badge public-impact-${incident.impact}`}>{incident.impact} impact</span>
+            {incident.components.length > 0 && <span>Affects {incident.components.join(', ')}</span>}
+            <span>Started {new Date(incident.startedAt).toLocaleString()}</span>
+            {incident.resolvedAt && <span>Resolved {new Date(incident.resolvedAt).toLocaleString()}</span>}
+          </p>
+
+          <ol className="public-timeline">
+            {incident.updates.map(update => (
+              <li key={update.id} className="public-timeline-entry">
+                <strong className="public-update-status">{update.status}</strong>
+                <p className="public-update-message">{update.message}</p>
+                <span className="public-time">{new Date(update.publishedAt).toLocaleString()}</span>
+              </li>
+            ))}
+          </ol>
+        </section>
+      )}
+    </div>
+  );
+}
+
+export default PublicIncidentPage;
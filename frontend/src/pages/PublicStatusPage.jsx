@@ -0,0 +1,143 @@
+/**
+ * Public Status Page
+ *
+ * Purpose: The customer-facing status page: overall status, components and incidents
+ * Route: /status (rendered without the internal header and navigation)
+ *
+ * Features:
+ * - Overall status banner and the status of each component
+ * - Active incidents with their latest published update
+ * - Recently resolved incidents
+ * - RSS/Atom feed links
+ * - Refreshes every minute
+ *
+ * Only data from the public API (/api/public) is used, which never includes
+ * internal fields such as the description or root causes.
+ */
+
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { getPublicStatus, getStatusFeedUrl } from '../services/publicStatusApi';
+import './PublicStatusPage.css';
+
+const REFRESH_INTERVAL_MS = 60000;
+
+const COMPONENT_STATUS_LABELS = {
+  operational: 'Operational',
+  degraded_performance: 'Degraded performance',
+  partial_outage: 'Partial outage',
+  major_outage: 'Major outage',
+};
+
+/**
+ * Title, impact and latest update of one incident
+ */
+function IncidentSummary({ incident }) {
+  const latest = incident.updates[0];
+
+  return (
+    <li className={`public-incident public-impact-${incident.impact}`}>
+      <Link to={`/status/incidents/${incident.id}`} className="public-incident-title">
+        {incident.title}
+      </Link>
+      {latest && (
+        <p className="public-update">
+          <strong className="public-update-status">{latest.status}</strong> – {latest.message}
+          <span className="public-time">{new Date(latest.publishedAt).toLocaleString()}</span>
+        </p>
+      )}
+    </li>
+  );
+}
+
+function PublicStatusPage() {
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    async function loadStatus() {
+      try {
+        setStatus(await getPublicStatus());
+        setError(null);
+      } catch (err) {
+        console.error('Failed to load status:', err);
+        setError('The status could not be loaded. Please try again in a moment.');
+      }
+    }
+
+    loadStatus();
+    const interval = setInterval(loadStatus, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  useEffect(() => {
+    if (status) document.title = status.title;
+  }, [status]);
+
+  return (
+    <div className="public-status">
+      <header className="public-status-header">
+        <h1>{status?.title || 'System Status'}</h1>
+      </header>
+
+      {error && <p className="public-status-error">{error}</p>}
+
+      {!status && !error && <p className="public-status-loading">Loading status...</p>}
+
+      {status && (
+        <>
+          <div className={`public-overall public-indicator-${status.status.indicator}`}>
+            {status.status.description}
+          </div>
+
+          {status.activeIncidents.length > 0 && (
+            <section className="public-section">
+              <h2>Current incidents</h2>
+              <ul className="public-incident-list">
+                {status.activeIncidents.map(incident => (
+                  <IncidentSummary key={incident.id} incident={incident} />
+                ))}
+              </ul>
+            </section>
+          )}
+
+          {status.components.length > 0 && (
+            <section className="public-section">
+              <h2>Components</h2>
+              <ul className="public-component-list">
+                {status.components.map(component => (
+                  <li key={component.name} className="public-component">
+                    <span>{component.name}</span>
+                    <span className={`public-component-status public-component-${component.status}`}>
+                      {COMPONENT_STATUS_LABELS[component.status] || component.status}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+
+          {status.resolvedIncidents.length > 0 && (
+            <section className="public-section">
+              <h2>Recently resolved</h2>
+              <ul className="public-incident-list">
+                {status.resolvedIncidents.map(incident => (
+                  <IncidentSummary key={incident.id} incident={incident} />
+                ))}
+              </ul>
+            </section>
+          )}
+
+          <footer className="public-status-footer">
+            <span>Last updated {new Date(status.generatedAt).toLocaleTimeString()}</span>
+            <span>
+              Subscribe: <a href={getStatusFeedUrl('rss')}>RSS</a> · <a href={getStatusFeedUrl('atom')}>Atom</a>
+            </span>
+          </footer>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default PublicStatusPage;
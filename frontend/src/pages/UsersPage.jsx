@@ -0,0 +1,200 @@
+/**
+ * Users Page
+ *
+ * Purpose: Admins manage who can sign in and what their role allows
+ * Route: /users (linked in the header for users with users:manage)
+ *
+ * Features:
+ * - Lists all users with role, status and last login
+ * - Change a user's role
+ * - Deactivate or reactivate a user (deactivated users cannot log in)
+ * - Create a user with an initial password
+ */
+
+import { useState, useEffect } from 'react';
+import { useOutletContext } from 'react-router-dom';
+import { hasPermission } from '../services/authApi';
+import { ROLES, getUsers, createUser, updateUser } from '../services/usersApi';
+import './AccountPage.css';
+import './UsersPage.css';
+
+const EMPTY_FORM = { email: '', name: '', password: '', role: 'responder' };
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : '—';
+}
+
+function UsersPage() {
+  const { user } = useOutletContext();
+  const canManage = hasPermission(user, 'users:manage');
+
+  const [users, setUsers] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (!canManage) {
+      return;
+    }
+    getUsers()
+      .then(setUsers)
+      .catch((err) => setError(err.message));
+  }, [canManage]);
+
+  const replaceUser = (updated) => {
+    setUsers((prev) => prev.map((u) => (u.id === updated.id ? updated : u)));
+  };
+
+  const handleUpdate = async (target, changes) => {
+    setError(null);
+    setMessage(null);
+    setBusy(true);
+
+    try {
+      replaceUser(await updateUser(target.id, changes));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setMessage(null);
+    setBusy(true);
+
+    try {
+      const created = await createUser({ ...form, email: form.email.trim(), name: form.name.trim() });
+      setUsers((prev) => [...prev, created]);
+      setForm(EMPTY_FORM);
+      setMessage(`Created ${created.email}. Share the initial password with them securely.`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!canManage) {
+    return (
+      <div className="account-page">
+        <h1>Users</h1>
+        <div className="account-error">Only admins can manage users.</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="account-page">
+      <h1>Users</h1>
+      <p className="account-identity">
+        Viewers can read incidents; responders work them; incident commanders also decide
+        severity and publish customer updates; admins can delete incidents and manage users.
+      </p>
+
+      {error && <div className="account-error">{error}</div>}
+      {message && <div className="account-success">{message}</div>}
+
+      <section className="account-section">
+        <h2>Accounts</h2>
+        <table className="account-tokens users-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Email</th>
+              <th>Role</th>
+              <th>Last login</th>
+              <th>Status</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {users.map((u) => {
+              const isSelf = u.id === user.id;
+              return (
+                <tr key={u.id} className={u.is_active ? '' : 'users-inactive'}>
+                  <td>{u.name}</td>
+                  <td>{u.email}</td>
+                  <td>
+                    <select
+                      value={u.role}
+                      onChange={(e) => handleUpdate(u, { role: e.target.value })}
+                      disabled={busy || isSelf}
+                      title={isSelf ? 'You cannot change your own role' : undefined}
+                    >
+                      {ROLES.map((role) => (
+                        <option key={role.value} value={role.value}>{role.label}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>{formatDate(u.last_login_at)}</td>
+                  <td>
+                    <span className={`token-state token-state-${u.is_active ? 'active' : 'revoked'}`}>
+                      {u.is_active ? 'active' : 'deactivated'}
+                    </span>
+                  </td>
+                  <td>
+                    {!isSelf && (
+                      <button
+                        type="button"
+                        className={`btn btn-small ${u.is_active ? 'btn-danger' : ''}`}
+                        onClick={() => handleUpdate(u, { isActive: !u.is_active })}
+                        disabled={busy}
+                      >
+                        {u.is_active ? 'Deactivate' : 'Reactivate'}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </section>
+
+      <section className="account-section">
+        <h2>Add User</h2>
+        <form className="account-token-form" onSubmit={handleCreate}>
+          <input
+            type="text"
+            placeholder="Name"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            maxLength={255}
+            required
+          />
+          <input
+            type="email"
+            placeholder="Email"
+            value={form.email}
+            onChange={(e) => setForm({ ...form, email: e.target.value })}
+            required
+          />
+          <input
+            type="password"
+            placeholder="Initial password (at least 10 characters)"
+            autoComplete="new-password"
+            minLength={10}
+            value={form.password}
+            onChange={(e) => setForm({ ...form, password: e.target.value })}
+            required
+          />
+          <select value={form.role} onChange={(e) => setForm({ ...form, role: e.target.value })}>
+            {ROLES.map((role) => (
+              <option key={role.value} value={role.value}>{role.label}</option>
+            ))}
+          </select>
+          <button type="submit" className="btn btn-primary" disabled={busy}>
+            Add User
+          </button>
+        </form>
+      </section>
+    </div>
+  );
+}
+
+export default UsersPage;
@@ -24,3 +24,69 @@ export async function getAnalytics() {
   const response = await api.get('/api/analytics/overview');
   return response.data;
 }
+
+/**
+ * Get AI token usage and cost for a date range
+ *
+ * @param {Object} range
+ * @param {string} range.from - First day, YYYY-MM-DD
+ * @param {string} range.to - Last day (inclusive), YYYY-MM-DD
+ * @returns {Promise<Object>} - Usage report
+ *
+ * Example response:
+ * {
+ *   totals: { calls: 42, total_tokens: 61000, cost_usd: 0.031 },
+ *   byDay: [{ day: '2024-01-01', calls: 3, cost_usd: 0.002, ... }, ...],
+ *   byModel: [{ provider: 'openai', model: 'gpt-4o-mini', ... }, ...],
+ *   bySeverity: [{ severity: 'high', ... }, ...],
+ *   budget: { budgetUsd: 50, spentUsd: 12.4, exceeded: false, reason: null }
+ * }
+ */
+export async function getAiUsage({ from, to }) {
+  const response = await api.get(`/api/analytics/ai-usage?from=${from}&to=${to}`);
+  return response.data;
+}
+
+/**
+ * Compare prompt template versions for a date range
+ *
+ * @param {Object} range
+ * @param {string} range.from - First day, YYYY-MM-DD
+ * @param {string} range.to - Last day (inclusive), YYYY-MM-DD
+ * @returns {Promise<Object>} - Prompt version report
+ *
+ * Example response:
+ * {
+ *   current: { version: 'incident-analysis/v2', split: { v2: 50, v3: 50 }, available: ['v2', 'v3'] },
+ *   versions: [{ promptVersion: 'incident-analysis/v2', analyses: 40, fallbacks: 1, avgTokens: 1800,
+ *                costUsd: 0.04, ratings: { up: 12, down: 3, total: 15, approvalRate: 0.8 } }, ...]
+ * }
+ */
+export async function getPromptVersions({ from, to }) {
+  const response = await api.get(`/api/analytics/prompt-versions?from=${from}&to=${to}`);
+  return response.data;
+}
+
+/**
+ * Accuracy of AI analyses according to user feedback, for a date range
+ *
+ * @param {Object} range
+ * @param {string} range.from - First day, YYYY-MM-DD
+ * @param {string} range.to - Last day (inclusive), YYYY-MM-DD
+ * @returns {Promise<Object>} - AI quality report
+ *
+ * Example response:
+ * {
+ *   overall: { analyses: 40, ratedAnalyses: 12, ratings: { up: 9, down: 4, total: 13, approvalRate: 0.692 },
+ *              rootCause: { answers: 10, correct: 8, correctFirst: 6, accuracy: 0.8, topAccuracy: 0.6 } },
+ *   byModel: [{ key: 'gpt-4o-mini', ...same fields as overall }, ...],
+ *   bySeverity: [{ key: 'high', ... }, ...],
+ *   byPromptVersion: [{ key: 'incident-analysis/v2', ... }, ...],
+ *   flagged: [{ incidentId: 4, title: 'DB down', version: 2, reason: '0 of 2 ratings positive',
+ *               rerunQueued: false, ... }, ...]
+ * }
+ */
+export async function getAiQuality({ from, to }) {
+  const response = await api.get(`/api/analytics/ai-quality?from=${from}&to=${to}`);
+  return response.data;
+}
@@ -9,23 +9,29 @@
  * - Common headers (Content-Type, etc.)
  * - Error handling
  * - Response parsing
+ * - Authentication: the session cookie set by POST /api/auth/login is sent
+ *   with every request (credentials: 'include')
  *
  * Benefits:
  * - Don't have to repeat base URL in every API call
  * - Consistent error handling across the app
- * - Easy to add authentication headers later
  */
 
 // Get API URL from environment variable
 // Vite exposes env vars that start with VITE_ to the client
 // Use empty string if VITE_API_URL is explicitly set to empty, otherwise fallback to localhost
-const API_BASE_URL = import.meta.env.VITE_API_URL !== undefined ? import.meta.env.VITE_API_URL : 'http://localhost:3001';
+export const API_BASE_URL = import.meta.env.VITE_API_URL !== undefined ? import.meta.env.VITE_API_URL : 'http://localhost:3001';
+
+// Dispatched on window when the API answers 401, i.e. the session has expired
+// or was logged out elsewhere; the app layout sends the user to the login page
+export const UNAUTHORIZED_EVENT = 'api:unauthorized';
 
 /**
  * Makes an HTTP request to the backend API
  *
  * @param {string} endpoint - API endpoint (e.g., '/api/incidents')
- * @param {Object} options - Fetch options (method, headers, body, etc.)
+ * @param {Object} options - Fetch options (method, headers, body, etc.), plus
+ *                           skipUnauthorizedEvent to handle a 401 yourself (e.g. login)
  * @returns {Promise<Object>} - Parsed JSON response
  *
  * Example usage:
@@ -50,8 +56,10 @@ async function apiClient(endpoint, options = {}) {
 
   // Make the request
   try {
+    const { skipUnauthorizedEvent, ...fetchOptions } = options;
     const response = await fetch(url, {
-      ...options,
+      credentials: 'include',
+      ...fetchOptions,
       headers,
       body,
     });
@@ -61,7 +69,15 @@ async function apiClient(endpoint, options = {}) {
 
     // If response is not ok (status >= 400), throw an error
     if (!response.ok) {
-      throw new Error(data.error?.message || `HTTP ${response.status}: ${response.statusText}`);
+      if (response.status === 401 && !skipUnauthorizedEvent) {
+        window.dispatchEvent(new Event(UNAUTHORIZED_EVENT));
+      }
+
+      const error = new Error(data.error?.message || data.message || `HTTP ${response.status}: ${response.statusText}`);
+      error.status = response.status;
+      // Per-field validation problems, e.g. { title: 'must not be empty' }
+      error.fields = data.error?.fields;
+      throw error;
     }
 
     return data;
@@ -86,14 +102,15 @@ const api = {
   /**
    * GET request
    * Example: api.get('/api/incidents')
+   * options are passed to fetch, e.g. { credentials: 'omit' } for public endpoints
    */
-  get: (endpoint) => apiClient(endpoint, { method: 'GET' }),
+  get: (endpoint, options) => apiClient(endpoint, { ...options, method: 'GET' }),
 
   /**
    * POST request
    * Example: api.post('/api/incidents', { title: 'Test', ... })
    */
-  post: (endpoint, body) => apiClient(endpoint, { method: 'POST', body }),
+  post: (endpoint, body, options) => apiClient(endpoint, { ...options, method: 'POST', body }),
 
   /**
    * PUT request
@@ -101,6 +118,13 @@ const api = {
    */
   put: (endpoint, body) => apiClient(endpoint, { method: 'PUT', body }),
 
+  /**
+   * PATCH request
+   * Example: api.patch('/api/incidents/1/action-items/3', { status: 'done' })
+   * options are passed to fetch, e.g. { headers: { 'If-Match': '"v3"' } }
+   */
+  patch: (endpoint, body, options) => apiClient(endpoint, { ...options, method: 'PATCH', body }),
+
   /**
    * DELETE request
    * Example: api.delete('/api/incidents/1')
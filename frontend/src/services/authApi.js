@@ -0,0 +1,124 @@
+/**
+ * Auth API Service
+ *
+ * Purpose: Logging in (password or single sign-on) and out, the current user,
+ *          their password and API tokens
+ * Used by: App (InternalLayout), LoginPage, AccountPage
+ *
+ * The session itself lives in an httpOnly cookie set by the backend, so
+ * nothing here stores a token; apiClient sends the cookie with every request.
+ */
+
+import api, { API_BASE_URL } from './apiClient';
+
+/**
+ * Login methods the backend offers
+ *
+ * @returns {Promise<Object>} - { passwordLogin: boolean, oidc: { name } | null }
+ */
+export async function getLoginOptions() {
+  const response = await api.get('/api/auth/options', { skipUnauthorizedEvent: true });
+  return response.data;
+}
+
+/**
+ * URL that starts single sign-on; navigate the browser to it (not fetch),
+ * the backend redirects to the identity provider and back to returnTo
+ *
+ * @param {string} [returnTo='/'] - App path to show after logging in
+ * @returns {string}
+ */
+export function getSsoLoginUrl(returnTo = '/') {
+  return `${API_BASE_URL}/api/auth/oidc/login?returnTo=${encodeURIComponent(returnTo)}`;
+}
+
+/**
+ * Log in with email and password
+ *
+ * @param {string} email - Email
+ * @param {string} password - Password
+ * @returns {Promise<Object>} - { user: { id, email, name }, expiresAt }
+ */
+export async function login(email, password) {
+  // A 401 here means wrong credentials, not an expired session
+  const response = await api.post('/api/auth/login', { email, password }, { skipUnauthorizedEvent: true });
+  return response.data;
+}
+
+/**
+ * Log out and clear the session cookie
+ *
+ * @returns {Promise<string|null>} - The identity provider's logout URL for
+ *   single sign-on sessions; navigate there to end that session too
+ */
+export async function logout() {
+  const response = await api.post('/api/auth/logout');
+  return response.data?.logoutUrl || null;
+}
+
+/**
+ * Whether the user's role allows an operation
+ * The backend enforces this too; the frontend uses it to hide actions.
+ *
+ * @param {Object} user - Result of getCurrentUser
+ * @param {string} permission - e.g. 'incidents:delete' (see backend utils/permissions.js)
+ * @returns {boolean}
+ */
+export function hasPermission(user, permission) {
+  return Boolean(user?.permissions?.includes(permission));
+}
+
+/**
+ * Get the logged-in user
+ *
+ * @returns {Promise<Object>} - { id, email, name, role, authMethod, permissions }
+ * @throws {Error} - error.status 401 when not logged in
+ */
+export async function getCurrentUser() {
+  const response = await api.get('/api/auth/me', { skipUnauthorizedEvent: true });
+  return response.data;
+}
+
+/**
+ * Change the password; other sessions are logged out
+ *
+ * @param {string} currentPassword - Current password
+ * @param {string} newPassword - New password (at least 10 characters)
+ */
+export async function changePassword(currentPassword, newPassword) {
+  await api.put('/api/auth/password', { currentPassword, newPassword });
+}
+
+/**
+ * List personal API tokens (secrets are never returned)
+ *
+ * @returns {Promise<Array>} - [{ id, name, token_prefix, created_at, last_used_at, expires_at, revoked_at }]
+ */
+export async function getApiTokens() {
+  const response = await api.get('/api/auth/tokens');
+  return response.data;
+}
+
+/**
+ * Create a personal API token
+ *
+ * @param {Object} fields
+ * @param {string} fields.name - What the token is for
+ * @param {number} [fields.expiresInDays] - Omit for a token that does not expire
+ * @returns {Promise<Object>} - The token row plus token, the secret (only shown once)
+ */
+export async function createApiToken(fields) {
+  const response = await api.post('/api/auth/tokens', fields);
+  return response.data;
+}
+
+/**
+ * Revoke a personal API token
+ *
+ * @param {number} tokenId - Token ID
+ * @returns {Promise<Object>} - The revoked token
+ */
+export async function revokeApiToken(tokenId) {
+  const response = await api.delete(`/api/auth/tokens/${tokenId}`);
+  return response.data;
+}
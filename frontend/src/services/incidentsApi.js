@@ -13,7 +13,7 @@
  * - Single place to update if API changes
  */
 
-import api from './apiClient';
+import api, { API_BASE_URL } from './apiClient';
 
 /**
  * Get all incidents
@@ -21,13 +21,16 @@ import api from './apiClient';
  * @param {Object} params - Query parameters
  * @param {number} params.limit - Maximum number of incidents to return
  * @param {number} params.offset - Number of incidents to skip (for pagination)
+ * @param {boolean} params.archived - List archived incidents instead, with deleted_at,
+ *   deleted_by and purgeable_at
  * @returns {Promise<Array>} - Array of incident objects
  *
  * Example usage in a component:
  *   const incidents = await getIncidents({ limit: 20, offset: 0 });
  */
-export async function getIncidents({ limit = 100, offset = 0 } = {}) {
-  const response = await api.get(`/api/incidents?limit=${limit}&offset=${offset}`);
+export async function getIncidents({ limit = 100, offset = 0, archived = false } = {}) {
+  const archivedParam = archived ? '&archived=true' : '';
+  const response = await api.get(`/api/incidents?limit=${limit}&offset=${offset}${archivedParam}`);
   return response.data; // Extract data array from { success: true, data: [...] }
 }
 
@@ -51,9 +54,9 @@ export async function getIncident(id) {
  *
  * @param {Object} incidentData - Incident data
  * @param {string} incidentData.title - Incident title
- * @param {string} incidentData.severity - Severity: 'low', 'medium', or 'high'
+ * @param {string} incidentData.severity - Severity: 'low', 'medium', 'high', or 'critical'
  * @param {string} incidentData.description - Full description with error logs
- * @returns {Promise<Object>} - Created incident with AI-generated fields
+ * @returns {Promise<Object>} - Created incident (AI fields arrive later, see analysis_status)
  *
  * Example usage:
  *   const newIncident = await createIncident({
@@ -61,7 +64,7 @@ export async function getIncident(id) {
  *     severity: 'high',
  *     description: 'Users reporting 504 errors...'
  *   });
- *   // newIncident will have: id, ai_summary, ai_root_causes, ai_customer_message, etc.
+ *   // newIncident.analysis_status is 'pending' until the AI analysis finishes
  */
 export async function createIncident(incidentData) {
   const response = await api.post('/api/incidents', incidentData);
@@ -71,7 +74,7 @@ export async function createIncident(incidentData) {
 /**
  * Get incidents by severity
  *
- * @param {string} severity - Severity level: 'low', 'medium', or 'high'
+ * @param {string} severity - Severity level: 'low', 'medium', 'high', or 'critical'
  * @returns {Promise<Array>} - Array of incidents with matching severity
  *
  * Example usage:
@@ -83,7 +86,56 @@ export async function getIncidentsBySeverity(severity) {
 }
 
 /**
- * Delete an incident
+ * Edit an incident's title, description and/or severity
+ * Each changed field shows up in the activity timeline with its old and new value
+ *
+ * @param {number} id - Incident ID
+ * @param {Object} changes - Any of { title, description, severity }
+ * @param {Object} [options]
+ * @param {boolean} [options.reanalyze=false] - Queue a new AI analysis if the description changed
+ * @param {number} [options.version] - incident.version the edit is based on; if someone
+ *   changed the incident since, nothing is saved and the error has status 412
+ * @returns {Promise<Object>} - Updated incident
+ * @throws {Error} - With error.fields ({ title: 'must not be empty', ... }) for invalid fields
+ *
+ * Example usage:
+ *   await updateIncident(5, { description: 'Only eu-west-1 is affected' }, { reanalyze: true, version: 3 });
+ */
+export async function updateIncident(id, changes, { reanalyze = false, version } = {}) {
+  const response = await api.patch(`/api/incidents/${id}`, { ...changes, reanalyze }, ifMatch(version));
+  return response.data;
+}
+
+/**
+ * Move an incident to another status
+ * Only the statuses in incident.allowed_statuses are accepted; some require a
+ * resolutionNote or reason (see their requiredFields)
+ *
+ * @param {number} id - Incident ID
+ * @param {string} status - New status, e.g. 'resolved'
+ * @param {Object} [options]
+ * @param {string} [options.resolutionNote] - How the incident was resolved
+ * @param {string} [options.reason] - Why the status changed
+ * @param {number} [options.version] - incident.version the change is based on (412 if outdated)
+ * @returns {Promise<Object>} - Updated incident with its next allowed_statuses
+ * @throws {Error} - status 409 with error.allowedStatuses if the change is not allowed (anymore)
+ */
+export async function updateIncidentStatus(id, status, { resolutionNote, reason, version } = {}) {
+  const response = await api.patch(`/api/incidents/${id}/status`, { status, resolutionNote, reason }, ifMatch(version));
+  return response.data;
+}
+
+/**
+ * Request options that make an update fail with 412 if the incident is no longer at this version
+ * (the backend sends the same value as the ETag of GET /api/incidents/:id)
+ */
+function ifMatch(version) {
+  return version == null ? undefined : { headers: { 'If-Match': `"v${version}"` } };
+}
+
+/**
+ * Delete (archive) an incident
+ * It disappears from the list but keeps its comments and activity, and can be restored
  *
  * @param {number} id - Incident ID
  * @returns {Promise<Object>} - Success response
@@ -95,3 +147,395 @@ export async function deleteIncident(id) {
   const response = await api.delete(`/api/incidents/${id}`);
   return response;
 }
+
+/**
+ * Bring an archived incident back
+ *
+ * @param {number} id - Incident ID
+ * @returns {Promise<Object>} - The restored incident
+ */
+export async function restoreIncident(id) {
+  const response = await api.post(`/api/incidents/${id}/restore`);
+  return response.data;
+}
+
+/**
+ * Permanently delete an archived incident with its comments and activity
+ * Only possible once its retention period is over (purgeable_at)
+ *
+ * @param {number} id - Incident ID
+ * @returns {Promise<Object>} - Success response
+ */
+export async function purgeIncident(id) {
+  const response = await api.delete(`/api/incidents/${id}/purge`);
+  return response;
+}
+
+/**
+ * Queue a fresh AI analysis that includes the incident's comments
+ *
+ * @param {number} id - Incident ID
+ * @returns {Promise<Object>} - Queued analysis job
+ */
+export async function requestReanalysis(id) {
+  const response = await api.post(`/api/incidents/${id}/analysis`, {});
+  return response.data;
+}
+
+/**
+ * Open a Server-Sent Events stream with live AI analysis progress
+ *
+ * Events (data is JSON):
+ * - status:  { status }                      'pending' or 'running'
+ * - partial: { summary, rootCauses, ... }    sections generated so far
+ * - done:    { incident }                    analysis finished; stream closes
+ * - failed:  { error }                       analysis failed; stream closes
+ *
+ * @param {number} id - Incident ID
+ * @returns {EventSource} - Caller must close() it when done
+ */
+export function openAnalysisStream(id) {
+  return new EventSource(`${API_BASE_URL}/api/incidents/${id}/analysis/stream`, { withCredentials: true });
+}
+
+/**
+ * Get all AI analysis versions for an incident (newest first)
+ *
+ * @param {number} id - Incident ID
+ * @returns {Promise<Array>} - Analysis versions, each with an is_active flag
+ */
+export async function getAnalyses(id) {
+  const response = await api.get(`/api/incidents/${id}/analyses`);
+  return response.data;
+}
+
+/**
+ * Compare two AI analysis versions
+ *
+ * @param {number} id - Incident ID
+ * @param {number} from - Base version
+ * @param {number} to - Version to compare
+ * @returns {Promise<Object>} - Field-by-field diff
+ */
+export async function getAnalysisDiff(id, from, to) {
+  const response = await api.get(`/api/incidents/${id}/analyses/diff?from=${from}&to=${to}`);
+  return response.data;
+}
+
+/**
+ * Make an analysis version the active one shown on the incident
+ *
+ * @param {number} id - Incident ID
+ * @param {number} version - Version to activate
+ * @returns {Promise<Object>} - Updated incident
+ */
+export async function activateAnalysis(id, version) {
+  const response = await api.post(`/api/incidents/${id}/analyses/${version}/activate`, {});
+  return response.data;
+}
+
+/**
+ * Raise the severity to the one the AI suggested
+ * The pending suggestion comes with getIncident as severity_suggestion
+ *
+ * @param {number} id - Incident ID
+ * @returns {Promise<Object>} - Updated incident
+ */
+export async function acceptSeveritySuggestion(id) {
+  const response = await api.post(`/api/incidents/${id}/severity-suggestion/accept`, {});
+  return response.data;
+}
+
+/**
+ * Keep the reported severity instead of the AI's suggestion
+ *
+ * @param {number} id - Incident ID
+ * @returns {Promise<Object>} - Updated incident
+ */
+export async function dismissSeveritySuggestion(id) {
+  const response = await api.post(`/api/incidents/${id}/severity-suggestion/dismiss`, {});
+  return response.data;
+}
+
+/**
+ * Get the customer message in one language
+ *
+ * @param {number} id - Incident ID
+ * @param {string} [lang='en'] - Locale, e.g. 'de'
+ * @returns {Promise<Object>} - { locale, message, available: ['en', 'de', ...], createdAt }
+ */
+export async function getCustomerMessage(id, lang = 'en') {
+  const response = await api.get(`/api/incidents/${id}/customer-message?lang=${encodeURIComponent(lang)}`);
+  return response.data;
+}
+
+/**
+ * Give feedback on the active analysis
+ *
+ * @param {number} id - Incident ID
+ * @param {Object} feedback
+ * @param {string} feedback.rating - 'up' or 'down'
+ * @param {number} [feedback.correctRootCause] - Index of the correct root cause, -1 for none of them
+ * @param {string} [feedback.comment] - Optional note
+ * @returns {Promise<Object>} - Stored feedback; flagged is true when it flagged the analysis for a re-run
+ */
+export async function submitAnalysisFeedback(id, feedback) {
+  const response = await api.post(`/api/incidents/${id}/analysis/feedback`, feedback);
+  return response.data;
+}
+
+/**
+ * Rate an analysis version thumbs up or down
+ *
+ * @param {number} id - Incident ID
+ * @param {number} version - Analysis version
+ * @param {string} rating - 'up' or 'down'
+ * @returns {Promise<Object>} - Stored rating
+ */
+export async function rateAnalysis(id, version, rating) {
+  const response = await api.post(`/api/incidents/${id}/analyses/${version}/rating`, { rating });
+  return response.data;
+}
+
+/**
+ * Get past incidents similar to this one
+ *
+ * @param {number} id - Incident ID
+ * @param {number} [limit=5] - Maximum number of results
+ * @returns {Promise<Array>} - Most similar first, each with score and resolution
+ */
+export async function getSimilarIncidents(id, limit = 5) {
+  const response = await api.get(`/api/incidents/${id}/similar?limit=${limit}`);
+  return response.data;
+}
+
+/**
+ * Get the action item checklist for an incident
+ *
+ * @param {number} id - Incident ID
+ * @returns {Promise<Array>} - Action items (open first)
+ */
+export async function getActionItems(id) {
+  const response = await api.get(`/api/incidents/${id}/action-items`);
+  return response.data;
+}
+
+/**
+ * Add a manual action item
+ *
+ * @param {number} id - Incident ID
+ * @param {Object} item - { action, priority, owner, dueDate }
+ * @returns {Promise<Object>} - Created action item
+ */
+export async function createActionItem(id, item) {
+  const response = await api.post(`/api/incidents/${id}/action-items`, item);
+  return response.data;
+}
+
+/**
+ * Update an action item
+ *
+ * @param {number} id - Incident ID
+ * @param {number} itemId - Action item ID
+ * @param {Object} changes - Any of { status, owner, dueDate, action, priority, command }
+ * @returns {Promise<Object>} - Updated action item
+ *
+ * Example usage:
+ *   await updateActionItem(5, 3, { status: 'done' });
+ */
+export async function updateActionItem(id, itemId, changes) {
+  const response = await api.patch(`/api/incidents/${id}/action-items/${itemId}`, changes);
+  return response.data;
+}
+
+/**
+ * Delete an action item
+ *
+ * @param {number} id - Incident ID
+ * @param {number} itemId - Action item ID
+ * @returns {Promise<Object>} - Success response
+ */
+export async function deleteActionItem(id, itemId) {
+  const response = await api.delete(`/api/incidents/${id}/action-items/${itemId}`);
+  return response;
+}
+
+/**
+ * Get the AI chat thread for an incident
+ *
+ * @param {number} id - Incident ID
+ * @returns {Promise<Array>} - Messages, oldest first
+ */
+export async function getChatMessages(id) {
+  const response = await api.get(`/api/incidents/${id}/chat`);
+  return response.data;
+}
+
+/**
+ * Ask the AI a question about an incident
+ *
+ * @param {number} id - Incident ID
+ * @param {string} message - The question
+ * @returns {Promise<Object>} - { userMessage, assistantMessage }
+ *
+ * Example usage:
+ *   const { assistantMessage } = await sendChatMessage(5, 'Which deploy went out before the errors?');
+ */
+export async function sendChatMessage(id, message) {
+  const response = await api.post(`/api/incidents/${id}/chat`, { message });
+  return response.data;
+}
+
+/**
+ * Draft a postmortem with the AI (incident must be resolved or closed)
+ *
+ * @param {number} id - Incident ID
+ * @returns {Promise<Object>} - The new revision, with Markdown content
+ */
+export async function draftPostmortem(id) {
+  const response = await api.post(`/api/incidents/${id}/postmortem`, {});
+  return response.data;
+}
+
+/**
+ * Save an edited postmortem as a new revision
+ *
+ * @param {number} id - Incident ID
+ * @param {string} content - The full document as Markdown
+ * @returns {Promise<Object>} - The new revision
+ */
+export async function savePostmortem(id, content) {
+  const response = await api.put(`/api/incidents/${id}/postmortem`, { content });
+  return response.data;
+}
+
+/**
+ * List postmortem revisions (newest first, without content)
+ *
+ * @param {number} id - Incident ID
+ * @returns {Promise<Array>} - Empty when no postmortem was drafted yet
+ */
+export async function getPostmortemRevisions(id) {
+  const response = await api.get(`/api/incidents/${id}/postmortem/revisions`);
+  return response.data;
+}
+
+/**
+ * Get a single postmortem revision
+ *
+ * @param {number} id - Incident ID
+ * @param {number} revision - Revision number
+ * @returns {Promise<Object>} - Revision with Markdown content
+ */
+export async function getPostmortemRevision(id, revision) {
+  const response = await api.get(`/api/incidents/${id}/postmortem/revisions/${revision}`);
+  return response.data;
+}
+
+/**
+ * URL that downloads a postmortem revision as a Markdown file
+ *
+ * @param {number} id - Incident ID
+ * @param {number} revision - Revision number
+ * @returns {string}
+ */
+export function getPostmortemExportUrl(id, revision) {
+  return `${API_BASE_URL}/api/incidents/${id}/postmortem/export?revision=${revision}`;
+}
+
+/**
+ * List customer updates (published newest first, then drafts)
+ *
+ * @param {number} id - Incident ID
+ * @returns {Promise<Array>}
+ */
+export async function getCustomerUpdates(id) {
+  const response = await api.get(`/api/incidents/${id}/customer-updates`);
+  return response.data;
+}
+
+/**
+ * Write a customer update draft
+ *
+ * @param {number} id - Incident ID
+ * @param {string} message - Update text
+ * @returns {Promise<Object>} - The new draft
+ */
+export async function createCustomerUpdate(id, message) {
+  const response = await api.post(`/api/incidents/${id}/customer-updates`, { message });
+  return response.data;
+}
+
+/**
+ * Let the AI draft the next customer update
+ *
+ * @param {number} id - Incident ID
+ * @returns {Promise<Object>} - The new draft
+ */
+export async function draftCustomerUpdate(id) {
+  const response = await api.post(`/api/incidents/${id}/customer-updates/draft`, {});
+  return response.data;
+}
+
+/**
+ * Edit an unpublished customer update (an approved one needs approval again)
+ *
+ * @param {number} id - Incident ID
+ * @param {number} updateId - Update ID
+ * @param {string} message - New text
+ * @returns {Promise<Object>} - The edited update
+ */
+export async function editCustomerUpdate(id, updateId, message) {
+  const response = await api.patch(`/api/incidents/${id}/customer-updates/${updateId}`, { message });
+  return response.data;
+}
+
+/**
+ * Approve a customer update draft
+ *
+ * @param {number} id - Incident ID
+ * @param {number} updateId - Update ID
+ * @returns {Promise<Object>} - The approved update
+ */
+export async function approveCustomerUpdate(id, updateId) {
+  const response = await api.post(`/api/incidents/${id}/customer-updates/${updateId}/approve`, {});
+  return response.data;
+}
+
+/**
+ * Publish an approved customer update
+ *
+ * @param {number} id - Incident ID
+ * @param {number} updateId - Update ID
+ * @returns {Promise<Object>} - The published update
+ */
+export async function publishCustomerUpdate(id, updateId) {
+  const response = await api.post(`/api/incidents/${id}/customer-updates/${updateId}/publish`, {});
+  return response.data;
+}
+
+/**
+ * Discard an unpublished customer update
+ *
+ * @param {number} id - Incident ID
+ * @param {number} updateId - Update ID
+ * @returns {Promise<Object>} - The discarded update
+ */
+export async function discardCustomerUpdate(id, updateId) {
+  const response = await api.delete(`/api/incidents/${id}/customer-updates/${updateId}`);
+  return response.data;
+}
+
+/**
+ * Set how the incident appears on the public status page
+ *
+ * @param {number} id - Incident ID
+ * @param {Object} info
+ * @param {string} [info.publicTitle] - Empty for a generic title
+ * @param {Array<string>} [info.affectedComponents] - e.g. ['API', 'Checkout']
+ * @returns {Promise<Object>} - { publicTitle, affectedComponents }
+ */
+export async function updatePublicInfo(id, info) {
+  const response = await api.put(`/api/incidents/${id}/public-info`, info);
+  return response.data;
+}
@@ -0,0 +1,46 @@
+/**
+ * Public Status API Service
+ *
+ * Purpose: Reads the unauthenticated status page API (/api/public)
+ * Used by: PublicStatusPage, PublicIncidentPage
+ *
+ * Everything returned here is safe to show to anyone: the backend only
+ * exposes published customer updates and whitelisted incident fields.
+ */
+
+import api, { API_BASE_URL } from './apiClient';
+
+// The public API allows any origin but no credentials, so never send the session cookie
+const PUBLIC_REQUEST = { credentials: 'omit' };
+
+/**
+ * Get the overall status, components and incidents
+ *
+ * @returns {Promise<Object>} - { title, status: { indicator, description }, components,
+ *                                activeIncidents, resolvedIncidents, generatedAt }
+ */
+export async function getPublicStatus() {
+  const response = await api.get('/api/public/status', PUBLIC_REQUEST);
+  return response.data;
+}
+
+/**
+ * Get one public incident with its published updates
+ *
+ * @param {number} id - Incident ID
+ * @returns {Promise<Object>}
+ */
+export async function getPublicIncident(id) {
+  const response = await api.get(`/api/public/incidents/${id}`, PUBLIC_REQUEST);
+  return response.data;
+}
+
+/**
+ * URL of the feed of published updates
+ *
+ * @param {string} format - 'rss' or 'atom'
+ * @returns {string}
+ */
+export function getStatusFeedUrl(format) {
+  return `${API_BASE_URL}/api/public/feed.${format}`;
+}
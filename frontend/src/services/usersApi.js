@@ -0,0 +1,53 @@
+/**
+ * Users API Service
+ *
+ * Purpose: Managing user accounts and their roles (admins only)
+ * Used by: UsersPage
+ */
+
+import api from './apiClient';
+
+// Roles from least to most access (see backend utils/permissions.js)
+export const ROLES = [
+  { value: 'viewer', label: 'Viewer' },
+  { value: 'responder', label: 'Responder' },
+  { value: 'incident_commander', label: 'Incident commander' },
+  { value: 'admin', label: 'Admin' },
+];
+
+/**
+ * List all users
+ *
+ * @returns {Promise<Array>} - [{ id, email, name, role, is_active, created_at, last_login_at }]
+ */
+export async function getUsers() {
+  const response = await api.get('/api/users');
+  return response.data;
+}
+
+/**
+ * Create a user
+ *
+ * @param {Object} fields
+ * @param {string} fields.email - Email
+ * @param {string} fields.name - Display name
+ * @param {string} fields.password - Initial password (at least 10 characters)
+ * @param {string} [fields.role] - One of ROLES (defaults to viewer)
+ * @returns {Promise<Object>} - The created user
+ */
+export async function createUser(fields) {
+  const response = await api.post('/api/users', fields);
+  return response.data;
+}
+
+/**
+ * Change a user's role or deactivate/reactivate them
+ *
+ * @param {number} userId - User ID
+ * @param {Object} changes - { role, isActive } (either optional)
+ * @returns {Promise<Object>} - The updated user
+ */
+export async function updateUser(userId, changes) {
+  const response = await api.patch(`/api/users/${userId}`, changes);
+  return response.data;
+}
@@ -13,6 +13,10 @@ export default defineConfig({
   ],
   use: {
     baseURL: process.env.BASE_URL || 'http://localhost:8080',
+    // The API requires authentication: pass a personal API token (iat_...)
+    extraHTTPHeaders: process.env.API_TOKEN
+      ? { Authorization: `Bearer ${process.env.API_TOKEN}` }
+      : undefined,
     trace: 'on-first-retry',
     screenshot: 'only-on-failure',
   },
@@ -23,6 +23,11 @@ export const options = {
 
 const BASE_URL = __ENV.BASE_URL || 'http://129.212.208.28';
 
+// /api routes require authentication: pass a personal API token (iat_...)
+const params = __ENV.API_TOKEN
+  ? { headers: { Authorization: `Bearer ${__ENV.API_TOKEN}` } }
+  : {};
+
 export default function () {
   // Test 1: Homepage
   let res = http.get(`${BASE_URL}/`);
@@ -40,7 +45,7 @@ export default function () {
   sleep(1);
 
   // Test 3: Get Incidents List
-  res = http.get(`${BASE_URL}/api/incidents`);
+  res = http.get(`${BASE_URL}/api/incidents`, params);
   check(res, {
     'incidents endpoint is 200': (r) => r.status === 200,
     'incidents returns valid JSON': (r) => {
@@ -55,7 +60,7 @@ export default function () {
   sleep(1);
 
   // Test 4: Get Analytics Data
-  res = http.get(`${BASE_URL}/api/analytics/overview`);
+  res = http.get(`${BASE_URL}/api/analytics/overview`, params);
   check(res, {
     'analytics endpoint is 200': (r) => r.status === 200,
     'analytics has data': (r) => {
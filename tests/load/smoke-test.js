@@ -13,6 +13,11 @@ export const options = {
 
 const BASE_URL = __ENV.BASE_URL || 'http://129.212.208.28';
 
+// /api routes require authentication: pass a personal API token (iat_...)
+const params = __ENV.API_TOKEN
+  ? { headers: { Authorization: `Bearer ${__ENV.API_TOKEN}` } }
+  : {};
+
 export default function () {
   // Test critical paths only
   const endpoints = [
@@ -23,7 +28,7 @@ export default function () {
   ];
 
   endpoints.forEach(endpoint => {
-    const res = http.get(`${BASE_URL}${endpoint.url}`);
+    const res = http.get(`${BASE_URL}${endpoint.url}`, params);
     check(res, {
       [`${endpoint.name} status is 200`]: (r) => r.status === 200,
     });